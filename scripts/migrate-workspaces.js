@@ -0,0 +1,179 @@
+/**
+ * 🏢 SCRIPT DE MIGRACIÓN A WORKSPACES (MULTI-TENANT)
+ *
+ * Crea el workspace por defecto y asigna workspaceId/tenantId a los documentos
+ * existentes que no los tienen. Sin esos campos los documentos no aparecen en
+ * las consultas filtradas por workspace.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { firestore, FieldValue } = require('../src/config/firebase');
+const { getDefaultTenant } = require('../src/utils/tenantContext');
+const logger = require('../src/utils/logger');
+
+const BATCH_SIZE = 400;
+
+// Colecciones (o grupos de colecciones) con datos por workspace
+const TARGETS = [
+  { name: 'users', query: () => firestore.collection('users') },
+  { name: 'contacts', query: () => firestore.collection('contacts') },
+  { name: 'campaigns', query: () => firestore.collection('campaigns') },
+  { name: 'conversations', query: () => firestore.collectionGroup('conversations') },
+  { name: 'employees', query: () => firestore.collection('employees') },
+  { name: 'providers', query: () => firestore.collection('providers') },
+  { name: 'platforms', query: () => firestore.collectionGroup('platforms') },
+  { name: 'client_platforms', query: () => firestore.collection('client_platforms') },
+  { name: 'materials', query: () => firestore.collection('materials') },
+  { name: 'drivers', query: () => firestore.collection('drivers') },
+  { name: 'payroll_periods', query: () => firestore.collection('payroll_periods') },
+  { name: 'payroll_runs', query: () => firestore.collection('payroll_runs') },
+  { name: 'suppression_list', query: () => firestore.collection('suppression_list') },
+  { name: 'canned_responses', query: () => firestore.collection('canned_responses') },
+  { name: 'canned_response_usage', query: () => firestore.collection('canned_response_usage') },
+  { name: 'whatsapp_templates', query: () => firestore.collection('whatsapp_templates') },
+  { name: 'audience_segments', query: () => firestore.collection('audience_segments') },
+  { name: 'scheduled_messages', query: () => firestore.collection('scheduled_messages') }
+  // audit_logs no se migra: el workspaceId formaría parte del hash y rompería la cadena
+];
+
+/**
+ * Crear el workspace por defecto si no existe
+ */
+async function ensureDefaultWorkspace(tenant) {
+  const ref = firestore.collection('workspaces').doc(tenant.workspaceId);
+  const doc = await ref.get();
+
+  if (doc.exists) {
+    logger.info(`⏭️ Workspace ${tenant.workspaceId} ya existe`);
+    return;
+  }
+
+  await ref.set({
+    name: 'Workspace principal',
+    tenantId: tenant.tenantId,
+    createdBy: 'migration',
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  });
+  logger.info(`✅ Workspace ${tenant.workspaceId} creado (tenant ${tenant.tenantId})`);
+}
+
+/**
+ * Documentos de un destino sin workspaceId
+ */
+async function findPending(target) {
+  const snapshot = await target.query().get();
+  return {
+    total: snapshot.size,
+    pending: snapshot.docs.filter(doc => !doc.data().workspaceId)
+  };
+}
+
+/**
+ * Asignar el workspace por defecto a los documentos sin workspaceId
+ */
+async function migrateAll() {
+  try {
+    const tenant = getDefaultTenant();
+    logger.info('🚀 Iniciando migración a workspaces...', tenant);
+
+    await ensureDefaultWorkspace(tenant);
+
+    for (const target of TARGETS) {
+      const { total, pending } = await findPending(target);
+
+      if (pending.length === 0) {
+        logger.info(`⏭️ ${target.name}: ${total} documentos, ninguno pendiente`);
+        continue;
+      }
+
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = firestore.batch();
+        pending.slice(i, i + BATCH_SIZE).forEach(doc => {
+          batch.update(doc.ref, {
+            workspaceId: tenant.workspaceId,
+            tenantId: doc.data().tenantId || tenant.tenantId,
+            workspaceMigrationDate: FieldValue.serverTimestamp()
+          });
+        });
+        await batch.commit();
+      }
+
+      logger.info(`✅ ${target.name}: ${pending.length} de ${total} documentos migrados`);
+    }
+
+    logger.info('✅ Migración a workspaces completada');
+  } catch (error) {
+    logger.error('❌ Error durante la migración:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verificar estado de la migración
+ */
+async function checkMigrationStatus() {
+  try {
+    logger.info('🔍 Verificando estado de migración a workspaces...');
+
+    const status = {};
+    for (const target of TARGETS) {
+      const { total, pending } = await findPending(target);
+      status[target.name] = { total, pending: pending.length };
+    }
+
+    logger.info('📊 Estado de migración:', status);
+    return status;
+  } catch (error) {
+    logger.error('❌ Error verificando estado:', error);
+    throw error;
+  }
+}
+
+// Ejecutar script si se llama directamente
+if (require.main === module) {
+  const command = process.argv[2];
+
+  async function main() {
+    try {
+      switch (command) {
+        case 'migrate-all':
+          await migrateAll();
+          break;
+        case 'check':
+          await checkMigrationStatus();
+          break;
+        default:
+          console.log(`
+🎯 Script de Migración a Workspaces
+
+Uso:
+  node scripts/migrate-workspaces.js <comando>
+
+Comandos disponibles:
+  migrate-all     - Crear workspace por defecto y asignarlo a los documentos sin workspaceId
+  check          - Contar documentos pendientes por colección
+
+Variables:
+  DEFAULT_WORKSPACE_ID / DEFAULT_TENANT_ID definen el workspace por defecto
+
+Ejemplos:
+  node scripts/migrate-workspaces.js check
+  node scripts/migrate-workspaces.js migrate-all
+          `);
+      }
+    } catch (error) {
+      logger.error('❌ Error ejecutando script:', error);
+      process.exit(1);
+    }
+  }
+
+  main();
+}
+
+module.exports = {
+  migrateAll,
+  checkMigrationStatus
+};
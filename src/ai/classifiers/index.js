@@ -0,0 +1,54 @@
+/**
+ * 🧭 REGISTRO DE CLASIFICADORES DE MENSAJES
+ *
+ * Clasificadores intercambiables de sentimiento/intención. Cada uno expone
+ * classify(text, options) y devuelve la clasificación normalizada o null.
+ *
+ * Selección (MESSAGE_CLASSIFIER):
+ * - auto (default): IA si el workspace tiene ai_enabled, si no léxico local
+ * - ai: siempre IA (con léxico como respaldo si falla)
+ * - lexicon: siempre léxico local
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const lexiconClassifier = require('./lexicon');
+const llmClassifier = require('./llm');
+
+/**
+ * Clasificadores disponibles
+ */
+const CLASSIFIERS = {
+  lexicon: {
+    name: 'Léxico local',
+    classify: (text) => lexiconClassifier.classify(text)
+  },
+  ai: {
+    name: 'Proveedor IA',
+    classify: (text, options) => llmClassifier.classify(text, options)
+  }
+};
+
+/**
+ * Registrar un clasificador adicional (p. ej. un modelo local)
+ */
+function registerClassifier(name, classifier) {
+  if (!classifier || typeof classifier.classify !== 'function') {
+    throw new Error(`Clasificador inválido: ${name}`);
+  }
+  CLASSIFIERS[name] = { name, ...classifier };
+}
+
+/**
+ * Obtener clasificador por nombre (léxico si no existe)
+ */
+function getClassifier(name) {
+  return CLASSIFIERS[name] || CLASSIFIERS.lexicon;
+}
+
+module.exports = {
+  CLASSIFIERS,
+  registerClassifier,
+  getClassifier
+};
@@ -0,0 +1,218 @@
+/**
+ * 📚 CLASIFICADOR LOCAL POR LÉXICO
+ *
+ * Clasificador de sentimiento, emoción, intención y urgencia para mensajes
+ * en español sin dependencias externas. Se usa cuando la IA está apagada o
+ * el proveedor falla.
+ *
+ * - Léxico con pesos por término (frases de varias palabras incluidas)
+ * - Negación ("no", "nunca", "ni") invierte la polaridad de los 3 tokens siguientes
+ * - Intensificadores ("muy", "super", ...) y mayúsculas/exclamaciones amplifican
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const MODEL_NAME = 'lexicon-es-v1';
+
+const SENTIMENT_LEXICON = {
+  // Positivo
+  gracias: 1, 'muchas gracias': 1.5, excelente: 2, perfecto: 1.5, genial: 1.5, bien: 0.5,
+  bueno: 0.75, buena: 0.75, feliz: 1.5, satisfecho: 1.5, satisfecha: 1.5, encanta: 2,
+  encantado: 1.5, amable: 1, rapido: 0.5, recomiendo: 1.5, 'me gusta': 1.5,
+  listo: 0.5, increible: 1.5, maravilloso: 2, contento: 1.5, contenta: 1.5,
+  // Negativo
+  problema: -1, error: -1, molesto: -1.5, molesta: -1.5, enojado: -2, enojada: -2,
+  mal: -1, malo: -1.5, mala: -1.5, queja: -1.5, reclamo: -1.5, pesimo: -2.5, horrible: -2.5,
+  terrible: -2.5, fatal: -2, decepcionado: -2, decepcionada: -2, harto: -2, harta: -2,
+  tarde: -0.5, roto: -1.5, rota: -1.5, danado: -1.5, falla: -1, fraude: -2.5,
+  estafa: -2.5, robo: -2, inaceptable: -2.5, 'no funciona': -2, 'no sirve': -2,
+  'nadie responde': -2, 'no me han': -1
+};
+
+const EMOTION_LEXICON = {
+  joy: ['gracias', 'feliz', 'contento', 'contenta', 'encanta', 'genial', 'excelente', 'maravilloso', 'perfecto'],
+  anger: ['enojado', 'enojada', 'molesto', 'molesta', 'harto', 'harta', 'furioso', 'furiosa', 'inaceptable', 'pesimo', 'fraude', 'estafa', 'indignado', 'indignada'],
+  sadness: ['triste', 'decepcionado', 'decepcionada', 'lamentable', 'desanimado', 'desanimada', 'lastima'],
+  fear: ['preocupado', 'preocupada', 'miedo', 'asustado', 'asustada', 'nervioso', 'nerviosa', 'riesgo', 'peligro']
+};
+
+const INTENT_LEXICON = {
+  complaint: ['queja', 'reclamo', 'inconformidad', 'mal servicio', 'pesimo', 'molesto', 'molesta', 'no funciona', 'no sirve', 'nadie responde', 'exijo', 'inaceptable', 'denuncia', 'profeco'],
+  purchase: ['comprar', 'precio', 'precios', 'cotizacion', 'cotizar', 'cuanto cuesta', 'cuanto vale', 'costo', 'pedido', 'ordenar', 'disponible', 'disponibilidad', 'catalogo', 'promocion', 'descuento', 'pagar', 'factura'],
+  support: ['ayuda', 'ayudar', 'problema', 'error', 'falla', 'soporte', 'como puedo', 'como hago', 'no puedo', 'configurar', 'instalar', 'acceso', 'contrasena', 'duda', 'pregunta'],
+  cancellation: ['cancelar', 'cancelacion', 'dar de baja', 'darme de baja', 'baja', 'reembolso', 'devolucion', 'devolver', 'anular', 'rescindir', 'ya no quiero']
+};
+
+const URGENCY_LEXICON = {
+  high: ['urgente', 'urgencia', 'inmediato', 'inmediatamente', 'ahora mismo', 'cuanto antes', 'lo antes posible', 'emergencia', 'ya mismo', 'hoy mismo', 'asap'],
+  medium: ['pronto', 'hoy', 'manana', 'rapido', 'esperando', 'sigo esperando', 'todavia', 'aun no']
+};
+
+const NEGATIONS = ['no', 'nunca', 'ni', 'tampoco', 'jamas', 'sin'];
+const INTENSIFIERS = ['muy', 'super', 'demasiado', 'bastante', 'totalmente', 'sumamente', 'extremadamente'];
+const NEGATION_SCOPE = 3;
+
+/**
+ * Minúsculas, sin acentos y sin signos (conserva espacios)
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9ñ\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Número de apariciones de un término (palabra o frase completa)
+ */
+function countTerm(normalized, term) {
+  const pattern = new RegExp(`(^|\\s)${term.replace(/\s+/g, '\\s+')}(?=\\s|$)`, 'g');
+  return (normalized.match(pattern) || []).length;
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Puntaje de sentimiento en [-1, 1] con negación e intensificadores
+ */
+function scoreSentiment(normalized, amplifier) {
+  const tokens = normalized.split(' ').filter(Boolean);
+  let total = 0;
+  let hits = 0;
+
+  // Frases de varias palabras primero (no aplican negación: ya la incluyen)
+  Object.entries(SENTIMENT_LEXICON)
+    .filter(([term]) => term.includes(' '))
+    .forEach(([term, weight]) => {
+      const count = countTerm(normalized, term);
+      if (count > 0) {
+        total += weight * count;
+        hits += count;
+      }
+    });
+
+  let negationLeft = 0;
+  let intensity = 1;
+
+  tokens.forEach(token => {
+    if (NEGATIONS.includes(token)) {
+      negationLeft = NEGATION_SCOPE;
+      return;
+    }
+    if (INTENSIFIERS.includes(token)) {
+      intensity = 1.5;
+      return;
+    }
+
+    const weight = SENTIMENT_LEXICON[token];
+    if (weight !== undefined) {
+      total += (negationLeft > 0 ? -weight * 0.75 : weight) * intensity;
+      hits++;
+      intensity = 1;
+    }
+
+    if (negationLeft > 0) negationLeft--;
+  });
+
+  const score = hits === 0 ? 0 : Math.tanh((total * amplifier) / 3);
+  return { score: clamp(score, -1, 1), hits };
+}
+
+/**
+ * Puntajes normalizados por categoría (suman 1 si hay coincidencias)
+ */
+function scoreCategories(normalized, lexicon) {
+  const raw = {};
+  let total = 0;
+
+  Object.entries(lexicon).forEach(([label, terms]) => {
+    raw[label] = terms.reduce((acc, term) => acc + countTerm(normalized, term), 0);
+    total += raw[label];
+  });
+
+  const scores = {};
+  Object.keys(raw).forEach(label => {
+    scores[label] = total > 0 ? round(raw[label] / total) : 0;
+  });
+
+  const [topLabel, topScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return { scores, topLabel: topScore > 0 ? topLabel : null, total };
+}
+
+/**
+ * Clasificar un mensaje
+ * @param {string} text
+ * @returns {Promise<Object>} Clasificación normalizada
+ */
+async function classify(text) {
+  const raw = String(text || '');
+  const normalized = normalizeText(raw);
+
+  const exclamations = (raw.match(/!/g) || []).length;
+  const letters = raw.replace(/[^A-Za-zÁÉÍÓÚÑáéíóúñ]/g, '');
+  const shouting = letters.length >= 8 && letters === letters.toUpperCase();
+  const amplifier = 1 + Math.min(exclamations, 3) * 0.15 + (shouting ? 0.3 : 0);
+
+  // Sentimiento
+  const sentimentResult = scoreSentiment(normalized, amplifier);
+  const sentimentLabel = sentimentResult.score >= 0.2
+    ? 'positive'
+    : sentimentResult.score <= -0.2 ? 'negative' : 'neutral';
+
+  // Emoción
+  const emotionResult = scoreCategories(normalized, EMOTION_LEXICON);
+  let emotionLabel = emotionResult.topLabel || 'neutral';
+  if (!emotionResult.topLabel && shouting && sentimentLabel === 'negative') {
+    emotionLabel = 'anger';
+  }
+
+  // Intención
+  const intentResult = scoreCategories(normalized, INTENT_LEXICON);
+  if (intentResult.scores.complaint === 0 && sentimentResult.score <= -0.5 && intentResult.total === 0) {
+    intentResult.scores.complaint = 1;
+    intentResult.topLabel = 'complaint';
+  }
+
+  // Urgencia
+  const highHits = URGENCY_LEXICON.high.reduce((acc, term) => acc + countTerm(normalized, term), 0);
+  const mediumHits = URGENCY_LEXICON.medium.reduce((acc, term) => acc + countTerm(normalized, term), 0);
+  let urgencyScore = highHits * 0.6 + mediumHits * 0.25 + Math.min(exclamations, 3) * 0.05 + (shouting ? 0.15 : 0);
+  if (sentimentLabel === 'negative') urgencyScore += Math.abs(sentimentResult.score) * 0.2;
+  urgencyScore = clamp(urgencyScore, 0, 1);
+
+  const urgencyLevel = urgencyScore >= 0.6 ? 'high' : urgencyScore >= 0.25 ? 'medium' : 'normal';
+
+  return {
+    sentiment: {
+      label: sentimentLabel,
+      score: round(sentimentResult.score),
+      confidence: round(sentimentResult.hits === 0 ? 0.5 : Math.min(0.9, 0.55 + 0.1 * sentimentResult.hits))
+    },
+    emotion: {
+      label: emotionLabel,
+      scores: emotionResult.scores
+    },
+    intent: {
+      label: intentResult.topLabel || 'other',
+      scores: intentResult.scores,
+      confidence: round(intentResult.topLabel ? Math.max(...Object.values(intentResult.scores)) : 0)
+    },
+    urgency: {
+      level: urgencyLevel,
+      score: round(urgencyScore)
+    },
+    classifier: 'lexicon',
+    model: MODEL_NAME
+  };
+}
+
+module.exports = {
+  MODEL_NAME,
+  classify,
+  normalizeText
+};
@@ -0,0 +1,135 @@
+/**
+ * 🤖 CLASIFICADOR CON PROVEEDOR IA
+ *
+ * Pide al proveedor configurado (con su cadena de fallback) una clasificación
+ * en JSON y la normaliza al mismo formato del clasificador por léxico.
+ * Devuelve null si la respuesta no es utilizable para que el llamador use el
+ * clasificador local.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { generateWithProvider } = require('../vendors');
+const logger = require('../../utils/logger');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const EMOTIONS = ['joy', 'anger', 'sadness', 'fear', 'neutral'];
+const INTENTS = ['complaint', 'purchase', 'support', 'cancellation', 'other'];
+const URGENCY_LEVELS = ['high', 'medium', 'normal'];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const toNumber = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+/**
+ * Prompt de clasificación (respuesta solo JSON)
+ */
+function buildPrompt(text) {
+  return [
+    'Clasifica el siguiente mensaje de un cliente de WhatsApp.',
+    'Responde SOLO con un objeto JSON con esta forma exacta:',
+    '{"sentiment":{"label":"positive|neutral|negative","score":-1..1},',
+    '"emotion":{"label":"joy|anger|sadness|fear|neutral"},',
+    '"intent":{"label":"complaint|purchase|support|cancellation|other","confidence":0..1},',
+    '"urgency":{"score":0..1}}',
+    '',
+    `Mensaje: """${String(text || '').slice(0, 1000)}"""`
+  ].join('\n');
+}
+
+/**
+ * Extraer el primer objeto JSON de la respuesta del modelo
+ */
+function parseResponse(responseText) {
+  const match = String(responseText || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalizar respuesta del modelo; null si faltan campos esenciales
+ */
+function normalizeResult(parsed, meta = {}) {
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const sentimentLabel = parsed.sentiment?.label;
+  const intentLabel = parsed.intent?.label;
+  if (!SENTIMENTS.includes(sentimentLabel) || !INTENTS.includes(intentLabel)) {
+    return null;
+  }
+
+  const defaultScore = { positive: 0.6, neutral: 0, negative: -0.6 }[sentimentLabel];
+  const urgencyScore = clamp(toNumber(parsed.urgency?.score, 0), 0, 1);
+  const emotionLabel = EMOTIONS.includes(parsed.emotion?.label) ? parsed.emotion.label : 'neutral';
+  const intentConfidence = clamp(toNumber(parsed.intent?.confidence, 0.7), 0, 1);
+
+  return {
+    sentiment: {
+      label: sentimentLabel,
+      score: clamp(toNumber(parsed.sentiment?.score, defaultScore), -1, 1),
+      confidence: clamp(toNumber(parsed.sentiment?.confidence, 0.8), 0, 1)
+    },
+    emotion: {
+      label: emotionLabel,
+      scores: { [emotionLabel]: 1 }
+    },
+    intent: {
+      label: intentLabel,
+      scores: { [intentLabel]: intentConfidence },
+      confidence: intentConfidence
+    },
+    urgency: {
+      level: URGENCY_LEVELS.includes(parsed.urgency?.level)
+        ? parsed.urgency.level
+        : urgencyScore >= 0.6 ? 'high' : urgencyScore >= 0.25 ? 'medium' : 'normal',
+      score: urgencyScore
+    },
+    classifier: meta.provider ? `ai:${meta.provider}` : 'ai',
+    model: meta.model || null
+  };
+}
+
+/**
+ * Clasificar un mensaje con el proveedor configurado
+ * @param {string} text
+ * @param {Object} options - { provider, model, workspaceId, conversationId }
+ * @returns {Promise<Object|null>}
+ */
+async function classify(text, options = {}) {
+  const { provider = 'openai', model, workspaceId, conversationId } = options;
+
+  const result = await generateWithProvider(provider, {
+    prompt: buildPrompt(text),
+    model,
+    temperature: 0,
+    maxTokens: 150,
+    workspaceId,
+    conversationId
+  });
+
+  if (!result?.ok) {
+    logger.warn('⚠️ Clasificador IA sin respuesta utilizable', {
+      provider,
+      error: result?.error,
+      conversationId
+    });
+    return null;
+  }
+
+  return normalizeResult(parseResponse(result.text), {
+    provider: result.provider || provider,
+    model: result.usage?.model || model
+  });
+}
+
+module.exports = {
+  classify,
+  buildPrompt,
+  parseResponse,
+  normalizeResult
+};
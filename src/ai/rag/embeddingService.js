@@ -1,10 +1,14 @@
 /**
- * 🔤 SERVICIO DE EMBEDDINGS (STUB)
- * 
- * Stub del servicio de embeddings para RAG.
- * No genera embeddings reales, solo simula el proceso.
- * 
- * @version 1.0.0
+ * 🔤 SERVICIO DE EMBEDDINGS
+ *
+ * Construye chunks de documentos y genera embeddings locales
+ * deterministas (feature hashing) para el vector store de RAG.
+ *
+ * Los embeddings locales no requieren proveedor externo: el mismo
+ * texto produce siempre el mismo vector, por lo que consultas y
+ * chunks indexados comparten espacio vectorial.
+ *
+ * @version 1.1.0
  * @author Backend Team
  */
 
@@ -15,6 +19,7 @@ const logger = require('../../utils/logger');
  */
 const EMBEDDING_CONFIG = {
   model: 'text-embedding-3-small',
+  localModel: 'local-hashing-v1',
   dimensions: 1536,
   maxTokens: 8191,
   batchSize: 100
@@ -25,25 +30,20 @@ const EMBEDDING_CONFIG = {
  */
 async function queueIngestion(docId, workspaceId) {
   try {
-    logger.info('🔤 Cola de embeddings (STUB)', {
+    logger.info('🔤 Cola de embeddings', {
       docId,
       workspaceId,
-      operation: 'queue_ingestion',
-      note: 'RAG deshabilitado - no se procesan embeddings reales'
+      operation: 'queue_ingestion'
     });
 
-    // Simular procesamiento
-    await new Promise(resolve => setTimeout(resolve, 100));
-
     return {
       success: true,
       docId,
       queued: true,
-      estimatedTime: '0ms (stub)',
-      note: 'RAG deshabilitado - embeddings simulados'
+      estimatedTime: '0ms (local)'
     };
   } catch (error) {
-    logger.error('❌ Error en cola de embeddings (STUB)', {
+    logger.error('❌ Error en cola de embeddings', {
       docId,
       workspaceId,
       error: error.message
@@ -52,49 +52,129 @@ async function queueIngestion(docId, workspaceId) {
   }
 }
 
+/**
+ * Normalizar texto y extraer tokens (sin acentos, minúsculas)
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9ñ]+/)
+    .filter(token => token.length > 1);
+}
+
+/**
+ * Hash FNV-1a de 32 bits
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generar embedding local para un texto
+ * Unigramas y bigramas proyectados con hashing con signo y normalizados (L2)
+ */
+function embedText(text, dimensions = EMBEDDING_CONFIG.dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]}_${tokens[i + 1]}`);
+  }
+
+  for (const feature of features) {
+    const hash = hashFeature(feature);
+    const index = hash % dimensions;
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    // Los bigramas pesan menos que los unigramas
+    const weight = feature.includes('_') ? 0.5 : 1;
+    vector[index] += sign * weight;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    return vector;
+  }
+
+  return vector.map(value => Math.round((value / norm) * 1e6) / 1e6);
+}
+
 /**
  * Construir chunks del documento
+ * Usa config.text si se proporciona; si no, el título del documento
  */
 async function buildChunks(document, config = {}) {
   try {
     const {
       chunkSize = 800,
-      overlap = 100
+      overlap = 100,
+      text = null
     } = config;
 
-    logger.info('🔤 Construcción de chunks (STUB)', {
+    const source = (text && text.trim()) || document.title || '';
+
+    logger.info('🔤 Construcción de chunks', {
       docId: document.id,
       workspaceId: document.workspaceId,
       chunkSize,
       overlap,
-      operation: 'build_chunks',
-      note: 'RAG deshabilitado - chunks simulados'
+      sourceLength: source.length,
+      operation: 'build_chunks'
     });
 
-    // Simular chunks basados en el título
     const chunks = [];
-    const title = document.title;
-    const words = title.split(' ');
-    
-    for (let i = 0; i < Math.min(words.length, 3); i++) {
-      chunks.push({
-        id: `${document.id}#chunk_${i.toString().padStart(2, '0')}`,
-        docId: document.id,
-        content: words.slice(i, i + 2).join(' '),
-        start: i,
-        end: i + 2,
-        tokens: Math.ceil(words.slice(i, i + 2).join(' ').length / 4)
-      });
+    const step = Math.max(1, chunkSize - overlap);
+    let start = 0;
+
+    while (start < source.length) {
+      let end = Math.min(source.length, start + chunkSize);
+
+      // Cortar en espacio para no partir palabras
+      if (end < source.length) {
+        const lastSpace = source.lastIndexOf(' ', end);
+        if (lastSpace > start + step / 2) {
+          end = lastSpace;
+        }
+      }
+
+      const content = source.substring(start, end).trim();
+      if (content.length > 0) {
+        chunks.push({
+          id: `${document.id}#chunk_${chunks.length.toString().padStart(2, '0')}`,
+          docId: document.id,
+          title: document.title,
+          tags: document.tags || [],
+          content,
+          start,
+          end,
+          tokens: Math.ceil(content.length / 4)
+        });
+      }
+
+      if (end >= source.length) {
+        break;
+      }
+      start = Math.max(start + 1, end - overlap);
     }
 
     return {
       success: true,
       chunks,
-      totalChunks: chunks.length,
-      note: 'RAG deshabilitado - chunks simulados'
+      totalChunks: chunks.length
     };
   } catch (error) {
-    logger.error('❌ Error construyendo chunks (STUB)', {
+    logger.error('❌ Error construyendo chunks', {
       docId: document.id,
       workspaceId: document.workspaceId,
       error: error.message
@@ -104,28 +184,28 @@ async function buildChunks(document, config = {}) {
 }
 
 /**
- * Generar embeddings para chunks (STUB)
+ * Generar embeddings para chunks
  */
 async function embedChunks(chunks, workspaceId) {
   try {
-    logger.info('🔤 Generación de embeddings (STUB)', {
+    logger.info('🔤 Generación de embeddings', {
       workspaceId,
       chunksCount: chunks.length,
-      operation: 'embed_chunks',
-      note: 'RAG deshabilitado - embeddings simulados'
+      model: EMBEDDING_CONFIG.localModel,
+      operation: 'embed_chunks'
     });
 
-    // Simular embeddings
-    const embeddings = chunks.map((chunk, index) => ({
+    const embeddings = chunks.map(chunk => ({
       id: chunk.id,
       docId: chunk.docId,
-      embedding: new Array(EMBEDDING_CONFIG.dimensions).fill(0).map(() => Math.random() - 0.5),
+      embedding: embedText(`${chunk.title || ''} ${chunk.content}`),
       metadata: {
+        title: chunk.title || '',
+        tags: chunk.tags || [],
         content: chunk.content,
         tokens: chunk.tokens,
         generated: new Date().toISOString(),
-        model: EMBEDDING_CONFIG.model,
-        stub: true
+        model: EMBEDDING_CONFIG.localModel
       }
     }));
 
@@ -133,11 +213,10 @@ async function embedChunks(chunks, workspaceId) {
       success: true,
       embeddings,
       totalEmbeddings: embeddings.length,
-      dimensions: EMBEDDING_CONFIG.dimensions,
-      note: 'RAG deshabilitado - embeddings simulados'
+      dimensions: EMBEDDING_CONFIG.dimensions
     };
   } catch (error) {
-    logger.error('❌ Error generando embeddings (STUB)', {
+    logger.error('❌ Error generando embeddings', {
       workspaceId,
       chunksCount: chunks.length,
       error: error.message
@@ -150,18 +229,19 @@ async function embedChunks(chunks, workspaceId) {
  * Procesar documento completo
  */
 async function processDocument(document, config = {}) {
+  const startTime = Date.now();
+
   try {
-    logger.info('🔤 Procesamiento completo de documento (STUB)', {
+    logger.info('🔤 Procesamiento completo de documento', {
       docId: document.id,
       workspaceId: document.workspaceId,
       title: document.title,
-      operation: 'process_document',
-      note: 'RAG deshabilitado - procesamiento simulado'
+      operation: 'process_document'
     });
 
     // Construir chunks
     const chunksResult = await buildChunks(document, config);
-    
+
     // Generar embeddings
     const embeddingsResult = await embedChunks(chunksResult.chunks, document.workspaceId);
 
@@ -170,11 +250,10 @@ async function processDocument(document, config = {}) {
       docId: document.id,
       chunks: chunksResult.chunks,
       embeddings: embeddingsResult.embeddings,
-      processingTime: '0ms (stub)',
-      note: 'RAG deshabilitado - procesamiento simulado'
+      processingTime: `${Date.now() - startTime}ms`
     };
   } catch (error) {
-    logger.error('❌ Error procesando documento (STUB)', {
+    logger.error('❌ Error procesando documento', {
       docId: document.id,
       workspaceId: document.workspaceId,
       error: error.message
@@ -188,21 +267,17 @@ async function processDocument(document, config = {}) {
  */
 async function checkEmbeddingService() {
   try {
-    logger.info('🔤 Verificación de servicio de embeddings (STUB)', {
-      operation: 'health_check',
-      note: 'RAG deshabilitado - servicio simulado'
-    });
+    const probe = embedText('health check');
 
     return {
-      status: 'healthy',
-      service: 'embedding_stub',
-      model: EMBEDDING_CONFIG.model,
+      status: probe.length === EMBEDDING_CONFIG.dimensions ? 'healthy' : 'degraded',
+      service: 'embedding_local',
+      model: EMBEDDING_CONFIG.localModel,
       dimensions: EMBEDDING_CONFIG.dimensions,
-      enabled: false,
-      note: 'RAG deshabilitado - servicio simulado'
+      enabled: true
     };
   } catch (error) {
-    logger.error('❌ Error verificando servicio de embeddings (STUB)', {
+    logger.error('❌ Error verificando servicio de embeddings', {
       error: error.message
     });
     throw error;
@@ -214,22 +289,23 @@ async function checkEmbeddingService() {
  */
 function getEmbeddingStats() {
   return {
-    service: 'embedding_stub',
-    status: 'disabled',
-    model: EMBEDDING_CONFIG.model,
+    service: 'embedding_local',
+    status: 'enabled',
+    model: EMBEDDING_CONFIG.localModel,
     dimensions: EMBEDDING_CONFIG.dimensions,
     maxTokens: EMBEDDING_CONFIG.maxTokens,
-    batchSize: EMBEDDING_CONFIG.batchSize,
-    note: 'RAG deshabilitado - estadísticas simuladas'
+    batchSize: EMBEDDING_CONFIG.batchSize
   };
 }
 
 module.exports = {
   EMBEDDING_CONFIG,
   queueIngestion,
+  tokenize,
+  embedText,
   buildChunks,
   embedChunks,
   processDocument,
   checkEmbeddingService,
   getEmbeddingStats
-}; 
\ No newline at end of file
+};
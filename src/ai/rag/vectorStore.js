@@ -1,13 +1,21 @@
 /**
- * 🗄️ VECTOR STORE (STUB)
- * 
- * Stub del vector store para RAG.
- * Simula búsquedas cuando RAG está deshabilitado.
- * 
- * @version 1.0.0
+ * 🗄️ VECTOR STORE
+ *
+ * Índice vectorial por workspace persistido en Firestore
+ * (ai_vectors/{workspaceId}/chunks/{chunkId}) con búsqueda
+ * top-K por similitud coseno, filtros de metadata, borrado
+ * por docId y reindexación.
+ *
+ * Los vectores de cada workspace se cargan en memoria bajo
+ * demanda y se mantienen en caché hasta que expira el TTL o
+ * el workspace se modifica.
+ *
+ * @version 2.0.0
  * @author Backend Team
  */
 
+const { firestore } = require('../../config/firebase');
+const { embedText, EMBEDDING_CONFIG } = require('./embeddingService');
 const logger = require('../../utils/logger');
 
 /**
@@ -20,35 +28,196 @@ const VECTOR_STORE_CONFIG = {
   defaultTopK: 3
 };
 
+const COLLECTION = 'ai_vectors';
+const CHUNKS_SUBCOLLECTION = 'chunks';
+const BATCH_LIMIT = 400;
+const IN_QUERY_LIMIT = 10;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_SNIPPET_LENGTH = 500;
+
+/**
+ * Caché en memoria: workspaceId -> { loadedAt, vectors: Map<chunkId, entry> }
+ */
+const workspaceCache = new Map();
+
+/**
+ * Referencia a la subcolección de chunks del workspace
+ */
+function chunksRef(workspaceId) {
+  if (!firestore) {
+    throw new Error('Firestore no disponible para el vector store');
+  }
+  if (!workspaceId) {
+    throw new Error('workspaceId es requerido');
+  }
+  return firestore.collection(COLLECTION).doc(workspaceId).collection(CHUNKS_SUBCOLLECTION);
+}
+
+/**
+ * Similitud coseno entre dos vectores
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Convertir un vector de entrada al documento persistido
+ */
+function toStoredEntry(vector, workspaceId) {
+  const metadata = vector.metadata || {};
+
+  return {
+    id: vector.id,
+    docId: vector.docId,
+    workspaceId,
+    embedding: vector.embedding,
+    title: vector.title || metadata.title || '',
+    content: vector.content || metadata.content || '',
+    tags: vector.tags || metadata.tags || [],
+    metadata: {
+      ...metadata,
+      // El contenido se guarda en el nivel superior
+      content: undefined,
+      title: undefined,
+      tags: undefined
+    },
+    model: metadata.model || EMBEDDING_CONFIG.localModel,
+    dimensions: vector.embedding.length,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Quitar claves undefined (Firestore no las acepta)
+ */
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
 /**
- * Almacenar vectores en el store (STUB)
+ * Cargar vectores del workspace (con caché)
+ */
+async function loadWorkspace(workspaceId, { force = false } = {}) {
+  const cached = workspaceCache.get(workspaceId);
+  if (!force && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.vectors;
+  }
+
+  const snapshot = await chunksRef(workspaceId).get();
+  const vectors = new Map();
+  snapshot.forEach(doc => {
+    vectors.set(doc.id, doc.data());
+  });
+
+  workspaceCache.set(workspaceId, { loadedAt: Date.now(), vectors });
+
+  logger.debug('🗄️ Vectores de workspace cargados', {
+    workspaceId,
+    vectorsCount: vectors.size
+  });
+
+  return vectors;
+}
+
+/**
+ * Invalidar caché del workspace
+ */
+function invalidateWorkspace(workspaceId) {
+  workspaceCache.delete(workspaceId);
+}
+
+/**
+ * Verificar si un vector cumple los filtros
+ * filters: { tags: [], docIds: [], metadata: { key: value } }
+ */
+function matchesFilters(entry, filters = {}) {
+  if (Array.isArray(filters.tags) && filters.tags.length > 0) {
+    const entryTags = entry.tags || [];
+    if (!filters.tags.some(tag => entryTags.includes(tag))) {
+      return false;
+    }
+  }
+
+  if (Array.isArray(filters.docIds) && filters.docIds.length > 0) {
+    if (!filters.docIds.includes(entry.docId)) {
+      return false;
+    }
+  }
+
+  if (filters.metadata && typeof filters.metadata === 'object') {
+    const entryMetadata = entry.metadata || {};
+    for (const [key, value] of Object.entries(filters.metadata)) {
+      if (entryMetadata[key] !== value) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Almacenar vectores en el store
  */
 async function upsert(vectors, workspaceId) {
   try {
-    logger.info('🗄️ Upsert de vectores (STUB)', {
+    const valid = vectors.filter(vector =>
+      vector && vector.id && vector.docId && Array.isArray(vector.embedding) && vector.embedding.length > 0
+    );
+    const failed = vectors.length - valid.length;
+
+    const ref = chunksRef(workspaceId);
+    const entries = valid.map(vector => stripUndefined(toStoredEntry(vector, workspaceId)));
+    entries.forEach(entry => {
+      entry.metadata = stripUndefined(entry.metadata);
+    });
+
+    for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+      const batch = firestore.batch();
+      entries.slice(i, i + BATCH_LIMIT).forEach(entry => {
+        batch.set(ref.doc(encodeChunkId(entry.id)), entry);
+      });
+      await batch.commit();
+    }
+
+    // Mantener caché coherente si ya estaba cargada
+    const cached = workspaceCache.get(workspaceId);
+    if (cached) {
+      entries.forEach(entry => cached.vectors.set(encodeChunkId(entry.id), entry));
+    }
+
+    logger.info('🗄️ Upsert de vectores', {
       workspaceId,
       vectorsCount: vectors.length,
-      operation: 'upsert',
-      note: 'RAG deshabilitado - vectores simulados'
+      stored: entries.length,
+      failed,
+      operation: 'upsert'
     });
 
-    // Simular almacenamiento
-    const storedVectors = vectors.map(vector => ({
-      id: vector.id,
-      docId: vector.docId,
-      stored: true,
-      timestamp: new Date().toISOString(),
-      stub: true
-    }));
-
     return {
       success: true,
-      stored: storedVectors.length,
-      failed: 0,
-      note: 'RAG deshabilitado - vectores simulados'
+      stored: entries.length,
+      failed
     };
   } catch (error) {
-    logger.error('❌ Error en upsert de vectores (STUB)', {
+    logger.error('❌ Error en upsert de vectores', {
       workspaceId,
       vectorsCount: vectors.length,
       error: error.message
@@ -58,9 +227,19 @@ async function upsert(vectors, workspaceId) {
 }
 
 /**
- * Buscar vectores similares (STUB)
+ * Los IDs de chunk usan '#', que Firestore admite pero no '/'
+ */
+function encodeChunkId(chunkId) {
+  return String(chunkId).replace(/\//g, '_');
+}
+
+/**
+ * Buscar vectores similares
+ * query puede ser texto o un embedding ya calculado
  */
 async function search(query, options = {}) {
+  const queryPreview = typeof query === 'string' ? query.substring(0, 100) : '[embedding]';
+
   try {
     const {
       workspaceId,
@@ -69,29 +248,54 @@ async function search(query, options = {}) {
       minScore = VECTOR_STORE_CONFIG.minScore
     } = options;
 
-    logger.info('🗄️ Búsqueda de vectores (STUB)', {
+    const limit = Math.max(1, Math.min(topK, VECTOR_STORE_CONFIG.maxResults));
+    const queryEmbedding = Array.isArray(query) ? query : embedText(query);
+    const vectors = await loadWorkspace(workspaceId);
+
+    const matches = [];
+    for (const entry of vectors.values()) {
+      if (!matchesFilters(entry, filters)) {
+        continue;
+      }
+
+      const score = cosineSimilarity(queryEmbedding, entry.embedding);
+      if (score < minScore) {
+        continue;
+      }
+
+      matches.push({
+        id: entry.id,
+        docId: entry.docId,
+        title: entry.title,
+        snippet: (entry.content || '').substring(0, MAX_SNIPPET_LENGTH),
+        score: Math.round(score * 10000) / 10000,
+        tags: entry.tags || [],
+        metadata: entry.metadata || {}
+      });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    const topMatches = matches.slice(0, limit);
+
+    logger.info('🗄️ Búsqueda de vectores', {
       workspaceId,
-      query: query.substring(0, 100),
-      topK,
-      filters,
-      operation: 'search',
-      note: 'RAG deshabilitado - búsqueda simulada'
+      query: queryPreview,
+      topK: limit,
+      candidates: vectors.size,
+      totalMatches: topMatches.length,
+      operation: 'search'
     });
 
-    // Simular búsqueda basada en keywords
-    const matches = await simulateKeywordSearch(query, workspaceId, topK, filters, minScore);
-
     return {
       success: true,
-      matches,
-      totalMatches: matches.length,
-      query: query.substring(0, 100),
-      note: 'RAG deshabilitado - búsqueda simulada'
+      matches: topMatches,
+      totalMatches: topMatches.length,
+      query: queryPreview
     };
   } catch (error) {
-    logger.error('❌ Error en búsqueda de vectores (STUB)', {
+    logger.error('❌ Error en búsqueda de vectores', {
       workspaceId: options.workspaceId,
-      query: query.substring(0, 100),
+      query: queryPreview,
       error: error.message
     });
     throw error;
@@ -99,121 +303,131 @@ async function search(query, options = {}) {
 }
 
 /**
- * Simular búsqueda por keywords
+ * Eliminar vectores del store por docId
  */
-async function simulateKeywordSearch(query, workspaceId, topK, filters, minScore) {
+async function deleteVectors(docIds, workspaceId) {
   try {
-    // Simular documentos basados en la query
-    const queryWords = query.toLowerCase().split(' ').filter(word => word.length > 2);
-    const matches = [];
+    const ref = chunksRef(workspaceId);
+    let deleted = 0;
+
+    for (let i = 0; i < docIds.length; i += IN_QUERY_LIMIT) {
+      const snapshot = await ref.where('docId', 'in', docIds.slice(i, i + IN_QUERY_LIMIT)).get();
+      const docs = snapshot.docs;
 
-    // Generar resultados simulados
-    for (let i = 0; i < Math.min(topK, 5); i++) {
-      const score = Math.random() * (VECTOR_STORE_CONFIG.maxScore - minScore) + minScore;
-      
-      if (score >= minScore) {
-        const docId = `doc_${workspaceId}_${i + 1}`;
-        const chunkId = `${docId}#chunk_${(i + 1).toString().padStart(2, '0')}`;
-        
-        // Generar snippet basado en la query
-        const snippet = generateSimulatedSnippet(query, queryWords);
-        
-        matches.push({
-          id: chunkId,
-          docId: docId,
-          title: `Documento ${i + 1} - ${queryWords[0] || 'General'}`,
-          snippet: snippet,
-          score: score,
-          tags: filters.tags || ['general'],
-          metadata: {
-            source: 'stub_search',
-            generated: new Date().toISOString(),
-            query: query.substring(0, 100)
-          }
-        });
+      for (let j = 0; j < docs.length; j += BATCH_LIMIT) {
+        const batch = firestore.batch();
+        docs.slice(j, j + BATCH_LIMIT).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
       }
+      deleted += docs.length;
     }
 
-    // Ordenar por score descendente
-    matches.sort((a, b) => b.score - a.score);
+    invalidateWorkspace(workspaceId);
+
+    logger.info('🗄️ Eliminación de vectores', {
+      workspaceId,
+      docIdsCount: docIds.length,
+      deleted,
+      operation: 'delete'
+    });
 
-    return matches;
+    return {
+      success: true,
+      deleted,
+      failed: 0
+    };
   } catch (error) {
-    logger.error('❌ Error en búsqueda simulada por keywords', {
+    logger.error('❌ Error eliminando vectores', {
       workspaceId,
-      query,
+      docIdsCount: docIds.length,
       error: error.message
     });
-    return [];
+    throw error;
   }
 }
 
 /**
- * Generar snippet simulado basado en la query
+ * Reindexar vectores a partir del contenido almacenado
+ * Regenera los embeddings con el modelo local vigente
  */
-function generateSimulatedSnippet(query, queryWords) {
-  const snippets = [
-    `Este documento contiene información relevante sobre ${queryWords[0] || 'el tema solicitado'}.`,
-    `Aquí encontrarás detalles importantes relacionados con ${queryWords[0] || 'tu consulta'}.`,
-    `La información sobre ${queryWords[0] || 'este tema'} está disponible en esta sección.`,
-    `Respuesta a tu pregunta sobre ${queryWords[0] || 'el asunto consultado'}.`,
-    `Documentación relacionada con ${queryWords[0] || 'la materia de interés'}.`
-  ];
-
-  const randomSnippet = snippets[Math.floor(Math.random() * snippets.length)];
-  
-  // Limitar a 500 caracteres
-  return randomSnippet.substring(0, 500);
-}
-
-/**
- * Eliminar vectores del store (STUB)
- */
-async function deleteVectors(docIds, workspaceId) {
+async function reindex(workspaceId, docIds = null) {
   try {
-    logger.info('🗄️ Eliminación de vectores (STUB)', {
+    const vectors = await loadWorkspace(workspaceId, { force: true });
+    const entries = [...vectors.values()].filter(entry =>
+      !docIds || docIds.includes(entry.docId)
+    );
+
+    const reembedded = entries.map(entry => ({
+      id: entry.id,
+      docId: entry.docId,
+      embedding: embedText(`${entry.title || ''} ${entry.content || ''}`),
+      metadata: {
+        ...(entry.metadata || {}),
+        title: entry.title,
+        content: entry.content,
+        tags: entry.tags,
+        model: EMBEDDING_CONFIG.localModel,
+        reindexedAt: new Date().toISOString()
+      }
+    }));
+
+    const result = await upsert(reembedded, workspaceId);
+    const reindexedDocIds = [...new Set(entries.map(entry => entry.docId))];
+
+    logger.info('🗄️ Reindexación de vectores', {
       workspaceId,
-      docIdsCount: docIds.length,
-      operation: 'delete',
-      note: 'RAG deshabilitado - eliminación simulada'
+      docIdsCount: reindexedDocIds.length,
+      chunks: result.stored,
+      operation: 'reindex'
     });
 
     return {
       success: true,
-      deleted: docIds.length,
-      failed: 0,
-      note: 'RAG deshabilitado - eliminación simulada'
+      reindexed: reindexedDocIds,
+      chunks: result.stored
     };
   } catch (error) {
-    logger.error('❌ Error eliminando vectores (STUB)', {
+    logger.error('❌ Error reindexando vectores', {
       workspaceId,
-      docIdsCount: docIds.length,
       error: error.message
     });
     throw error;
   }
 }
 
+/**
+ * Contar vectores almacenados del workspace
+ */
+async function countVectors(workspaceId) {
+  const snapshot = await chunksRef(workspaceId).count().get();
+  return snapshot.data().count;
+}
+
 /**
  * Verificar estado del vector store
  */
 async function checkVectorStore() {
   try {
-    logger.info('🗄️ Verificación de vector store (STUB)', {
-      operation: 'health_check',
-      note: 'RAG deshabilitado - store simulado'
-    });
+    if (!firestore) {
+      return {
+        status: 'unhealthy',
+        service: 'vector_store_firestore',
+        enabled: false,
+        error: 'Firestore no disponible'
+      };
+    }
+
+    await firestore.collection(COLLECTION).limit(1).get();
 
     return {
       status: 'healthy',
-      service: 'vector_store_stub',
+      service: 'vector_store_firestore',
       maxResults: VECTOR_STORE_CONFIG.maxResults,
       minScore: VECTOR_STORE_CONFIG.minScore,
-      enabled: false,
-      note: 'RAG deshabilitado - store simulado'
+      enabled: true
     };
   } catch (error) {
-    logger.error('❌ Error verificando vector store (STUB)', {
+    logger.error('❌ Error verificando vector store', {
       error: error.message
     });
     throw error;
@@ -225,13 +439,14 @@ async function checkVectorStore() {
  */
 function getVectorStoreStats() {
   return {
-    service: 'vector_store_stub',
-    status: 'disabled',
+    service: 'vector_store_firestore',
+    status: firestore ? 'enabled' : 'disabled',
     maxResults: VECTOR_STORE_CONFIG.maxResults,
     minScore: VECTOR_STORE_CONFIG.minScore,
     maxScore: VECTOR_STORE_CONFIG.maxScore,
     defaultTopK: VECTOR_STORE_CONFIG.defaultTopK,
-    note: 'RAG deshabilitado - estadísticas simuladas'
+    cachedWorkspaces: workspaceCache.size,
+    cachedVectors: [...workspaceCache.values()].reduce((sum, cached) => sum + cached.vectors.size, 0)
   };
 }
 
@@ -240,20 +455,36 @@ function getVectorStoreStats() {
  */
 async function clearWorkspace(workspaceId) {
   try {
-    logger.info('🗄️ Limpieza de workspace (STUB)', {
+    const ref = chunksRef(workspaceId);
+    let cleared = 0;
+    let snapshot;
+
+    do {
+      snapshot = await ref.limit(BATCH_LIMIT).get();
+      if (snapshot.empty) {
+        break;
+      }
+      const batch = firestore.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      cleared += snapshot.size;
+    } while (snapshot.size === BATCH_LIMIT);
+
+    invalidateWorkspace(workspaceId);
+
+    logger.info('🗄️ Limpieza de workspace', {
       workspaceId,
-      operation: 'clear_workspace',
-      note: 'RAG deshabilitado - limpieza simulada'
+      cleared,
+      operation: 'clear_workspace'
     });
 
     return {
       success: true,
-      cleared: true,
-      workspaceId,
-      note: 'RAG deshabilitado - limpieza simulada'
+      cleared,
+      workspaceId
     };
   } catch (error) {
-    logger.error('❌ Error limpiando workspace (STUB)', {
+    logger.error('❌ Error limpiando workspace', {
       workspaceId,
       error: error.message
     });
@@ -266,8 +497,12 @@ module.exports = {
   upsert,
   search,
   deleteVectors,
+  reindex,
+  countVectors,
   checkVectorStore,
   getVectorStoreStats,
   clearWorkspace,
-  simulateKeywordSearch
-}; 
\ No newline at end of file
+  cosineSimilarity,
+  matchesFilters,
+  invalidateWorkspace
+};
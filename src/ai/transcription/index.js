@@ -0,0 +1,58 @@
+/**
+ * 🎧 REGISTRO DE BACKENDS DE TRANSCRIPCIÓN
+ *
+ * Cada backend expone isAvailable() y transcribe(buffer, options), que
+ * devuelve { text, language, duration, confidence, segments } o lanza error.
+ *
+ * El orden de intento se toma de TRANSCRIPTION_BACKENDS (separado por comas);
+ * por defecto OpenAI y luego los backends locales como respaldo.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const openaiBackend = require('./openai');
+const llmStudioBackend = require('./llmStudio');
+const whisperCppBackend = require('./whisperCpp');
+
+const DEFAULT_ORDER = ['openai', 'llm_studio', 'whisper_cpp'];
+
+/**
+ * Backends disponibles
+ */
+const BACKENDS = {
+  openai: openaiBackend,
+  llm_studio: llmStudioBackend,
+  whisper_cpp: whisperCppBackend
+};
+
+/**
+ * Registrar un backend adicional
+ */
+function registerBackend(name, backend) {
+  if (!backend || typeof backend.transcribe !== 'function' || typeof backend.isAvailable !== 'function') {
+    throw new Error(`Backend de transcripción inválido: ${name}`);
+  }
+  BACKENDS[name] = { name, ...backend };
+}
+
+/**
+ * Backends configurados y disponibles, en orden de intento
+ */
+function getBackendChain() {
+  const order = process.env.TRANSCRIPTION_BACKENDS
+    ? process.env.TRANSCRIPTION_BACKENDS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  return order
+    .filter((name, index) => order.indexOf(name) === index)
+    .filter(name => BACKENDS[name] && BACKENDS[name].isAvailable())
+    .map(name => ({ name, backend: BACKENDS[name] }));
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_ORDER,
+  registerBackend,
+  getBackendChain
+};
@@ -0,0 +1,35 @@
+/**
+ * 🏠 TRANSCRIPCIÓN CON ENDPOINT COMPATIBLE (LLM STUDIO / LOCALAI)
+ *
+ * Usa un servidor local que exponga /v1/audio/transcriptions con el mismo
+ * contrato de OpenAI.
+ *
+ * Variables:
+ * - TRANSCRIPTION_LLM_STUDIO_URL: base del servidor (ej: http://192.168.1.100:8080)
+ * - TRANSCRIPTION_LLM_STUDIO_MODEL: modelo whisper cargado (default: whisper-1)
+ * - TRANSCRIPTION_LLM_STUDIO_API_KEY: opcional
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { requestTranscription } = require('./openai');
+
+module.exports = {
+  name: 'llm_studio',
+
+  isAvailable() {
+    return !!process.env.TRANSCRIPTION_LLM_STUDIO_URL;
+  },
+
+  async transcribe(buffer, options = {}) {
+    const baseUrl = process.env.TRANSCRIPTION_LLM_STUDIO_URL.replace(/\/+$/, '');
+
+    return requestTranscription(`${baseUrl}/v1/audio/transcriptions`, buffer, {
+      ...options,
+      apiKey: process.env.TRANSCRIPTION_LLM_STUDIO_API_KEY || null,
+      model: process.env.TRANSCRIPTION_LLM_STUDIO_MODEL || 'whisper-1',
+      maxRetries: 1
+    });
+  }
+};
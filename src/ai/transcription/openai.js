@@ -0,0 +1,102 @@
+/**
+ * 🎙️ TRANSCRIPCIÓN CON OPENAI WHISPER
+ *
+ * Backend de transcripción vía /v1/audio/transcriptions. La misma petición
+ * sirve para cualquier endpoint compatible con OpenAI (ver llmStudio.js).
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const logger = require('../../utils/logger');
+
+const OPENAI_TRANSCRIPTIONS_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const MAX_SIZE_BYTES = 25 * 1024 * 1024; // Límite de Whisper
+
+/**
+ * Petición multipart a un endpoint compatible con /v1/audio/transcriptions
+ * Reintenta ante 429 (backoff exponencial) y errores 5xx.
+ */
+async function requestTranscription(url, buffer, options = {}) {
+  const {
+    apiKey = null,
+    model = 'whisper-1',
+    language = 'auto',
+    temperature = 0.2,
+    fileName = 'audio.mp3',
+    mimetype = 'audio/mpeg',
+    maxRetries = 3,
+    timeout = 120000
+  } = options;
+
+  if (buffer.length > MAX_SIZE_BYTES) {
+    throw new Error('Archivo de audio muy grande (máximo 25MB)');
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const form = new FormData();
+    form.append('file', buffer, { filename: fileName, contentType: mimetype });
+    form.append('model', model);
+    if (language && language !== 'auto') {
+      form.append('language', language);
+    }
+    form.append('temperature', temperature.toString());
+    form.append('response_format', 'verbose_json');
+
+    try {
+      const response = await axios.post(url, form, {
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          ...form.getHeaders()
+        },
+        timeout,
+        maxContentLength: 50 * 1024 * 1024
+      });
+
+      const data = typeof response.data === 'string' ? { text: response.data } : response.data;
+      return {
+        text: (data.text || '').trim(),
+        language: data.language || null,
+        duration: data.duration || null,
+        confidence: data.confidence || 0.8,
+        segments: data.segments || []
+      };
+    } catch (error) {
+      lastError = error;
+      const status = error.response?.status;
+      const retryable = status === 429 || status >= 500;
+
+      if (!retryable || attempt === maxRetries) break;
+
+      const waitTime = status === 429 ? Math.pow(2, attempt) * 1000 : 2000 * attempt;
+      logger.warn(`Error ${status} en transcripción, reintentando en ${waitTime}ms (${attempt}/${maxRetries})`, {
+        url,
+        status
+      });
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
+  throw new Error(lastError.response?.data?.error?.message || lastError.message);
+}
+
+module.exports = {
+  name: 'openai',
+  MAX_SIZE_BYTES,
+  requestTranscription,
+
+  isAvailable() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  async transcribe(buffer, options = {}) {
+    return requestTranscription(OPENAI_TRANSCRIPTIONS_URL, buffer, {
+      ...options,
+      apiKey: process.env.OPENAI_API_KEY,
+      model: options.model || 'whisper-1'
+    });
+  }
+};
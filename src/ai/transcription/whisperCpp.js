@@ -0,0 +1,94 @@
+/**
+ * 💻 TRANSCRIPCIÓN LOCAL CON BINARIO ESTILO WHISPER.CPP
+ *
+ * Convierte el audio a WAV 16 kHz mono (requisito de whisper.cpp), ejecuta
+ * el binario y lee el .txt generado. No envía audio fuera del servidor.
+ *
+ * Variables:
+ * - WHISPER_CPP_BIN: ruta al ejecutable (ej: /opt/whisper.cpp/main)
+ * - WHISPER_CPP_MODEL: ruta al modelo ggml (ej: /opt/whisper.cpp/models/ggml-base.bin)
+ * - WHISPER_CPP_THREADS: hilos (default: 2)
+ * - WHISPER_CPP_TIMEOUT_MS: tiempo máximo por archivo (default: 120000)
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { Readable } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * Convertir a WAV PCM 16 kHz mono en un archivo temporal
+ */
+function convertToWav(buffer, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(Readable.from([buffer]))
+      .audioFrequency(16000)
+      .audioChannels(1)
+      .audioCodec('pcm_s16le')
+      .format('wav')
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+/**
+ * Ejecutar el binario con timeout
+ */
+function runBinary(bin, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`whisper.cpp falló: ${error.killed ? 'timeout' : (stderr || error.message).toString().slice(0, 300)}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+module.exports = {
+  name: 'whisper_cpp',
+
+  isAvailable() {
+    return !!(process.env.WHISPER_CPP_BIN && process.env.WHISPER_CPP_MODEL);
+  },
+
+  async transcribe(buffer, options = {}) {
+    const { language = 'auto' } = options;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+    const wavPath = path.join(workDir, 'audio.wav');
+    const outputBase = path.join(workDir, 'transcript');
+
+    try {
+      await convertToWav(buffer, wavPath);
+
+      await runBinary(process.env.WHISPER_CPP_BIN, [
+        '-m', process.env.WHISPER_CPP_MODEL,
+        '-f', wavPath,
+        '-l', language || 'auto',
+        '-t', String(parseInt(process.env.WHISPER_CPP_THREADS) || 2),
+        '-nt',
+        '-otxt',
+        '-of', outputBase
+      ], parseInt(process.env.WHISPER_CPP_TIMEOUT_MS) || 120000);
+
+      const text = await fs.readFile(`${outputBase}.txt`, 'utf8');
+
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        language: language !== 'auto' ? language : null,
+        duration: null,
+        confidence: 0.7,
+        segments: []
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+};
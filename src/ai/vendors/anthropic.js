@@ -0,0 +1,397 @@
+/**
+ * 🤖 WRAPPER ANTHROPIC PROVIDER
+ *
+ * Integración con Anthropic Messages API (Claude) para generación de texto
+ * con timeouts, retries, rate limiting, circuit breaker y guardrails.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+let Anthropic;
+try {
+  Anthropic = require('@anthropic-ai/sdk');
+} catch (error) {
+  Anthropic = null;
+}
+
+const logger = require('../../utils/logger');
+const { aiLogger } = require('../../utils/aiLogger');
+const { CircuitBreaker, RateLimiter } = require('./providerGuards');
+const { isBreakerOpen } = require('../../services/AICircuitBreaker');
+
+/**
+ * Configuración por defecto del proveedor Anthropic
+ */
+const ANTHROPIC_CONFIG = {
+  timeout: 5000, // 5 segundos
+  maxRetries: 1,
+  backoffMs: 250,
+  maxTokensOut: 150,
+  maxOutputLength: 500,
+  rateLimitPerMinute: 6,
+  circuitBreakerThreshold: 0.1, // 10% error rate
+  circuitBreakerWindow: 5 * 60 * 1000, // 5 minutos
+  defaultModel: 'claude-3-haiku'
+};
+
+/**
+ * Alias de modelos usados en configuración → IDs de la API
+ */
+const MODEL_IDS = {
+  'claude-3-haiku': 'claude-3-haiku-20240307',
+  'claude-3-sonnet': 'claude-3-sonnet-20240229',
+  'claude-3-opus': 'claude-3-opus-20240229'
+};
+
+/**
+ * Costos por 1K tokens (USD)
+ */
+const MODEL_COSTS = {
+  'claude-3-haiku': { input: 0.00025, output: 0.00125 },
+  'claude-3-sonnet': { input: 0.003, output: 0.015 },
+  'claude-3-opus': { input: 0.015, output: 0.075 }
+};
+
+// Instancias globales del proveedor
+const circuitBreaker = new CircuitBreaker('Anthropic', ANTHROPIC_CONFIG);
+const rateLimiter = new RateLimiter(ANTHROPIC_CONFIG);
+
+/**
+ * Cliente Anthropic con configuración
+ */
+let anthropicClient = null;
+
+function initializeAnthropicClient() {
+  try {
+    if (!Anthropic) {
+      logger.warn('⚠️ Módulo @anthropic-ai/sdk no disponible');
+      return false;
+    }
+
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+
+    if (!apiKey) {
+      logger.error('❌ ANTHROPIC_API_KEY no configurada');
+      return false;
+    }
+
+    anthropicClient = new Anthropic({
+      apiKey,
+      timeout: ANTHROPIC_CONFIG.timeout,
+      maxRetries: 0 // Manejamos retries manualmente
+    });
+
+    logger.info('✅ Cliente Anthropic inicializado');
+    return true;
+
+  } catch (error) {
+    logger.error('❌ Error inicializando cliente Anthropic', {
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Resolver alias de modelo; modelos de otros proveedores usan el modelo por defecto
+ */
+function resolveModel(model) {
+  const alias = MODEL_IDS[model] ? model : ANTHROPIC_CONFIG.defaultModel;
+  return { alias, modelId: MODEL_IDS[alias] };
+}
+
+/**
+ * Sanitizar salida del LLM
+ */
+function sanitizeOutput(text) {
+  if (!text || typeof text !== 'string') {
+    return { text: '', json: null };
+  }
+
+  let sanitizedText = text.substring(0, ANTHROPIC_CONFIG.maxOutputLength);
+
+  // Remover HTML peligroso
+  sanitizedText = sanitizedText
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
+    .replace(/javascript:/gi, '')
+    .replace(/on\w+\s*=/gi, '');
+
+  let json = null;
+  try {
+    const jsonMatch = sanitizedText.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      json = JSON.parse(jsonMatch[0]);
+    }
+  } catch (error) {
+    logger.debug('JSON no parseable en salida del LLM', {
+      text: sanitizedText.substring(0, 100)
+    });
+  }
+
+  return {
+    text: sanitizedText,
+    json
+  };
+}
+
+/**
+ * Respuesta de error con uso vacío
+ */
+function errorResult(error, message, startTime) {
+  return {
+    ok: false,
+    error,
+    message,
+    usage: {
+      in: 0,
+      out: 0,
+      latencyMs: Date.now() - startTime
+    }
+  };
+}
+
+/**
+ * Generar texto con Anthropic
+ */
+async function generateWithAnthropic(params) {
+  const startTime = Date.now();
+
+  const {
+    prompt,
+    systemPrompt = 'Eres un asistente de atención al cliente profesional y útil.',
+    temperature = 0.3,
+    maxTokens = 150,
+    workspaceId,
+    conversationId
+  } = params;
+  const { alias: model, modelId } = resolveModel(params.model);
+
+  try {
+    // Circuit breaker del proveedor y del workspace (el resultado del workspace lo registra AIWebhookIntegration)
+    if (circuitBreaker.isCircuitOpen()) {
+      return errorResult('CIRCUIT_BREAKER_OPEN', 'Anthropic temporalmente no disponible', startTime);
+    }
+
+    if (workspaceId && isBreakerOpen(workspaceId)) {
+      return errorResult('CIRCUIT_BREAKER_OPEN', 'IA temporalmente deshabilitada para el workspace', startTime);
+    }
+
+    if (!rateLimiter.canMakeRequest(conversationId)) {
+      return errorResult('RATE_LIMIT_EXCEEDED', 'Límite de requests por minuto excedido', startTime);
+    }
+
+    if (!anthropicClient && !initializeAnthropicClient()) {
+      return errorResult('NOT_INITIALIZED', 'Cliente Anthropic no inicializado', startTime);
+    }
+
+    // Aplicar clamps a parámetros
+    const clampedTemperature = Math.max(0, Math.min(1, temperature));
+    const clampedMaxTokens = Math.min(maxTokens, ANTHROPIC_CONFIG.maxTokensOut);
+
+    aiLogger.logAIStart(workspaceId, 'anthropic_generate', {
+      model,
+      temperature: clampedTemperature,
+      maxTokens: clampedMaxTokens,
+      conversationId
+    });
+
+    // Realizar request con retry
+    let response;
+    let lastError;
+
+    for (let attempt = 0; attempt <= ANTHROPIC_CONFIG.maxRetries; attempt++) {
+      try {
+        response = await anthropicClient.messages.create({
+          model: modelId,
+          system: systemPrompt,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: clampedTemperature,
+          max_tokens: clampedMaxTokens
+        });
+
+        break;
+
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < ANTHROPIC_CONFIG.maxRetries) {
+          const delay = ANTHROPIC_CONFIG.backoffMs * Math.pow(2, attempt);
+          await new Promise(resolve => setTimeout(resolve, delay));
+
+          logger.warn('⚠️ Retry Anthropic request', {
+            attempt: attempt + 1,
+            error: error.message,
+            conversationId
+          });
+        }
+      }
+    }
+
+    if (!response) {
+      circuitBreaker.recordFailure();
+
+      return errorResult('PROVIDER_ERROR', lastError?.message || 'Error desconocido del proveedor', startTime);
+    }
+
+    // Procesar respuesta: concatenar bloques de texto
+    const content = (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const sanitized = sanitizeOutput(content);
+
+    const latencyMs = Date.now() - startTime;
+    const tokensIn = response.usage?.input_tokens || 0;
+    const tokensOut = response.usage?.output_tokens || 0;
+
+    circuitBreaker.recordSuccess();
+
+    await aiLogger.logAISuccess(workspaceId, 'anthropic_generate', {
+      text: sanitized.text,
+      json: sanitized.json
+    }, {
+      model,
+      tokensIn,
+      tokensOut,
+      latencyMs,
+      costUsd: estimateCost(tokensIn, tokensOut, model)
+    });
+
+    logger.info('✅ Anthropic request exitoso', {
+      workspaceId,
+      conversationId,
+      model,
+      tokensIn,
+      tokensOut,
+      latencyMs
+    });
+
+    return {
+      ok: true,
+      text: sanitized.text,
+      json: sanitized.json,
+      usage: {
+        in: tokensIn,
+        out: tokensOut,
+        latencyMs,
+        model
+      }
+    };
+
+  } catch (error) {
+    const latencyMs = Date.now() - startTime;
+
+    circuitBreaker.recordFailure();
+
+    aiLogger.logAIError(workspaceId || 'unknown', 'anthropic_generate', error, {
+      latencyMs
+    });
+
+    logger.error('❌ Error en Anthropic request', {
+      workspaceId,
+      conversationId,
+      error: error.message,
+      latencyMs
+    });
+
+    return errorResult('UNEXPECTED_ERROR', error.message, startTime);
+  }
+}
+
+/**
+ * Estimar costo de la request
+ */
+function estimateCost(tokensIn, tokensOut, model) {
+  const modelCosts = MODEL_COSTS[model] || MODEL_COSTS[ANTHROPIC_CONFIG.defaultModel];
+  return (tokensIn / 1000) * modelCosts.input + (tokensOut / 1000) * modelCosts.output;
+}
+
+/**
+ * Obtener estadísticas del proveedor
+ */
+function getProviderStats() {
+  return {
+    circuitBreaker: circuitBreaker.getStats(),
+    rateLimiter: {
+      config: {
+        maxRequestsPerMinute: ANTHROPIC_CONFIG.rateLimitPerMinute
+      }
+    },
+    config: ANTHROPIC_CONFIG
+  };
+}
+
+/**
+ * Verificar salud del proveedor
+ */
+async function checkProviderHealth() {
+  try {
+    if (!Anthropic) {
+      return {
+        ok: false,
+        provider: 'anthropic',
+        error: 'MODULE_NOT_AVAILABLE',
+        message: 'Módulo @anthropic-ai/sdk no disponible'
+      };
+    }
+
+    if (!anthropicClient && !initializeAnthropicClient()) {
+      return {
+        ok: false,
+        provider: 'anthropic',
+        error: 'NOT_INITIALIZED',
+        message: 'Cliente Anthropic no inicializado'
+      };
+    }
+
+    if (circuitBreaker.isCircuitOpen()) {
+      return {
+        ok: false,
+        provider: 'anthropic',
+        error: 'CIRCUIT_BREAKER_OPEN',
+        message: 'Circuit breaker abierto'
+      };
+    }
+
+    // Test simple de conectividad
+    await anthropicClient.messages.create({
+      model: MODEL_IDS[ANTHROPIC_CONFIG.defaultModel],
+      messages: [{ role: 'user', content: 'Test' }],
+      max_tokens: 5
+    });
+
+    return {
+      ok: true,
+      provider: 'anthropic',
+      model: ANTHROPIC_CONFIG.defaultModel,
+      limits: {
+        maxTokensOut: ANTHROPIC_CONFIG.maxTokensOut,
+        timeout: ANTHROPIC_CONFIG.timeout,
+        maxRetries: ANTHROPIC_CONFIG.maxRetries
+      },
+      stats: getProviderStats()
+    };
+
+  } catch (error) {
+    return {
+      ok: false,
+      provider: 'anthropic',
+      error: 'HEALTH_CHECK_FAILED',
+      message: error.message
+    };
+  }
+}
+
+module.exports = {
+  generateWithAnthropic,
+  checkProviderHealth,
+  getProviderStats,
+  initializeAnthropicClient,
+  estimateCost,
+  ANTHROPIC_CONFIG,
+  MODEL_IDS,
+  circuitBreaker,
+  rateLimiter
+};
@@ -0,0 +1,392 @@
+/**
+ * 🤖 WRAPPER GEMINI PROVIDER
+ *
+ * Integración con Google Gemini (Generative AI) para generación de texto
+ * con timeouts, retries, rate limiting, circuit breaker y guardrails.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+let GoogleGenerativeAI;
+try {
+  ({ GoogleGenerativeAI } = require('@google/generative-ai'));
+} catch (error) {
+  GoogleGenerativeAI = null;
+}
+
+const logger = require('../../utils/logger');
+const { aiLogger } = require('../../utils/aiLogger');
+const { CircuitBreaker, RateLimiter } = require('./providerGuards');
+const { isBreakerOpen } = require('../../services/AICircuitBreaker');
+
+/**
+ * Configuración por defecto del proveedor Gemini
+ */
+const GEMINI_CONFIG = {
+  timeout: 5000, // 5 segundos
+  maxRetries: 1,
+  backoffMs: 250,
+  maxTokensOut: 150,
+  maxOutputLength: 500,
+  rateLimitPerMinute: 6,
+  circuitBreakerThreshold: 0.1, // 10% error rate
+  circuitBreakerWindow: 5 * 60 * 1000, // 5 minutos
+  defaultModel: 'gemini-1.5-flash'
+};
+
+/**
+ * Alias de modelos usados en configuración → IDs de la API
+ */
+const MODEL_IDS = {
+  'gemini-1.5-flash': 'gemini-1.5-flash',
+  'gemini-1.5-pro': 'gemini-1.5-pro'
+};
+
+/**
+ * Costos por 1K tokens (USD)
+ */
+const MODEL_COSTS = {
+  'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
+  'gemini-1.5-pro': { input: 0.00125, output: 0.005 }
+};
+
+// Instancias globales del proveedor
+const circuitBreaker = new CircuitBreaker('Gemini', GEMINI_CONFIG);
+const rateLimiter = new RateLimiter(GEMINI_CONFIG);
+
+/**
+ * Cliente Gemini con configuración
+ */
+let geminiClient = null;
+
+function initializeGeminiClient() {
+  try {
+    if (!GoogleGenerativeAI) {
+      logger.warn('⚠️ Módulo @google/generative-ai no disponible');
+      return false;
+    }
+
+    const apiKey = process.env.GEMINI_API_KEY;
+
+    if (!apiKey) {
+      logger.error('❌ GEMINI_API_KEY no configurada');
+      return false;
+    }
+
+    geminiClient = new GoogleGenerativeAI(apiKey);
+
+    logger.info('✅ Cliente Gemini inicializado');
+    return true;
+
+  } catch (error) {
+    logger.error('❌ Error inicializando cliente Gemini', {
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Resolver alias de modelo; modelos de otros proveedores usan el modelo por defecto
+ */
+function resolveModel(model) {
+  const alias = MODEL_IDS[model] ? model : GEMINI_CONFIG.defaultModel;
+  return { alias, modelId: MODEL_IDS[alias] };
+}
+
+/**
+ * Sanitizar salida del LLM
+ */
+function sanitizeOutput(text) {
+  if (!text || typeof text !== 'string') {
+    return { text: '', json: null };
+  }
+
+  let sanitizedText = text.substring(0, GEMINI_CONFIG.maxOutputLength);
+
+  // Remover HTML peligroso
+  sanitizedText = sanitizedText
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
+    .replace(/javascript:/gi, '')
+    .replace(/on\w+\s*=/gi, '');
+
+  let json = null;
+  try {
+    const jsonMatch = sanitizedText.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      json = JSON.parse(jsonMatch[0]);
+    }
+  } catch (error) {
+    logger.debug('JSON no parseable en salida del LLM', {
+      text: sanitizedText.substring(0, 100)
+    });
+  }
+
+  return {
+    text: sanitizedText,
+    json
+  };
+}
+
+/**
+ * Respuesta de error con uso vacío
+ */
+function errorResult(error, message, startTime) {
+  return {
+    ok: false,
+    error,
+    message,
+    usage: {
+      in: 0,
+      out: 0,
+      latencyMs: Date.now() - startTime
+    }
+  };
+}
+
+/**
+ * Generar texto con Gemini
+ */
+async function generateWithGemini(params) {
+  const startTime = Date.now();
+
+  const {
+    prompt,
+    systemPrompt = 'Eres un asistente de atención al cliente profesional y útil.',
+    temperature = 0.3,
+    maxTokens = 150,
+    workspaceId,
+    conversationId
+  } = params;
+  const { alias: model, modelId } = resolveModel(params.model);
+
+  try {
+    // Circuit breaker del proveedor y del workspace (el resultado del workspace lo registra AIWebhookIntegration)
+    if (circuitBreaker.isCircuitOpen()) {
+      return errorResult('CIRCUIT_BREAKER_OPEN', 'Gemini temporalmente no disponible', startTime);
+    }
+
+    if (workspaceId && isBreakerOpen(workspaceId)) {
+      return errorResult('CIRCUIT_BREAKER_OPEN', 'IA temporalmente deshabilitada para el workspace', startTime);
+    }
+
+    if (!rateLimiter.canMakeRequest(conversationId)) {
+      return errorResult('RATE_LIMIT_EXCEEDED', 'Límite de requests por minuto excedido', startTime);
+    }
+
+    if (!geminiClient && !initializeGeminiClient()) {
+      return errorResult('NOT_INITIALIZED', 'Cliente Gemini no inicializado', startTime);
+    }
+
+    // Aplicar clamps a parámetros
+    const clampedTemperature = Math.max(0, Math.min(1, temperature));
+    const clampedMaxTokens = Math.min(maxTokens, GEMINI_CONFIG.maxTokensOut);
+
+    aiLogger.logAIStart(workspaceId, 'gemini_generate', {
+      model,
+      temperature: clampedTemperature,
+      maxTokens: clampedMaxTokens,
+      conversationId
+    });
+
+    // Realizar request con retry
+    let response;
+    let lastError;
+
+    for (let attempt = 0; attempt <= GEMINI_CONFIG.maxRetries; attempt++) {
+      try {
+        const generativeModel = geminiClient.getGenerativeModel({
+          model: modelId,
+          systemInstruction: systemPrompt,
+          generationConfig: {
+            temperature: clampedTemperature,
+            maxOutputTokens: clampedMaxTokens
+          }
+        }, { timeout: GEMINI_CONFIG.timeout });
+
+        response = (await generativeModel.generateContent(prompt)).response;
+
+        break;
+
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < GEMINI_CONFIG.maxRetries) {
+          const delay = GEMINI_CONFIG.backoffMs * Math.pow(2, attempt);
+          await new Promise(resolve => setTimeout(resolve, delay));
+
+          logger.warn('⚠️ Retry Gemini request', {
+            attempt: attempt + 1,
+            error: error.message,
+            conversationId
+          });
+        }
+      }
+    }
+
+    if (!response) {
+      circuitBreaker.recordFailure();
+
+      return errorResult('PROVIDER_ERROR', lastError?.message || 'Error desconocido del proveedor', startTime);
+    }
+
+    // Procesar respuesta (text() lanza error si la respuesta fue bloqueada por seguridad)
+    const content = response.text();
+    const sanitized = sanitizeOutput(content);
+
+    const latencyMs = Date.now() - startTime;
+    const tokensIn = response.usageMetadata?.promptTokenCount || 0;
+    const tokensOut = response.usageMetadata?.candidatesTokenCount || 0;
+
+    circuitBreaker.recordSuccess();
+
+    await aiLogger.logAISuccess(workspaceId, 'gemini_generate', {
+      text: sanitized.text,
+      json: sanitized.json
+    }, {
+      model,
+      tokensIn,
+      tokensOut,
+      latencyMs,
+      costUsd: estimateCost(tokensIn, tokensOut, model)
+    });
+
+    logger.info('✅ Gemini request exitoso', {
+      workspaceId,
+      conversationId,
+      model,
+      tokensIn,
+      tokensOut,
+      latencyMs
+    });
+
+    return {
+      ok: true,
+      text: sanitized.text,
+      json: sanitized.json,
+      usage: {
+        in: tokensIn,
+        out: tokensOut,
+        latencyMs,
+        model
+      }
+    };
+
+  } catch (error) {
+    const latencyMs = Date.now() - startTime;
+
+    circuitBreaker.recordFailure();
+
+    aiLogger.logAIError(workspaceId || 'unknown', 'gemini_generate', error, {
+      latencyMs
+    });
+
+    logger.error('❌ Error en Gemini request', {
+      workspaceId,
+      conversationId,
+      error: error.message,
+      latencyMs
+    });
+
+    return errorResult('UNEXPECTED_ERROR', error.message, startTime);
+  }
+}
+
+/**
+ * Estimar costo de la request
+ */
+function estimateCost(tokensIn, tokensOut, model) {
+  const modelCosts = MODEL_COSTS[model] || MODEL_COSTS[GEMINI_CONFIG.defaultModel];
+  return (tokensIn / 1000) * modelCosts.input + (tokensOut / 1000) * modelCosts.output;
+}
+
+/**
+ * Obtener estadísticas del proveedor
+ */
+function getProviderStats() {
+  return {
+    circuitBreaker: circuitBreaker.getStats(),
+    rateLimiter: {
+      config: {
+        maxRequestsPerMinute: GEMINI_CONFIG.rateLimitPerMinute
+      }
+    },
+    config: GEMINI_CONFIG
+  };
+}
+
+/**
+ * Verificar salud del proveedor
+ */
+async function checkProviderHealth() {
+  try {
+    if (!GoogleGenerativeAI) {
+      return {
+        ok: false,
+        provider: 'gemini',
+        error: 'MODULE_NOT_AVAILABLE',
+        message: 'Módulo @google/generative-ai no disponible'
+      };
+    }
+
+    if (!geminiClient && !initializeGeminiClient()) {
+      return {
+        ok: false,
+        provider: 'gemini',
+        error: 'NOT_INITIALIZED',
+        message: 'Cliente Gemini no inicializado'
+      };
+    }
+
+    if (circuitBreaker.isCircuitOpen()) {
+      return {
+        ok: false,
+        provider: 'gemini',
+        error: 'CIRCUIT_BREAKER_OPEN',
+        message: 'Circuit breaker abierto'
+      };
+    }
+
+    // Test simple de conectividad
+    await geminiClient
+      .getGenerativeModel({
+        model: MODEL_IDS[GEMINI_CONFIG.defaultModel],
+        generationConfig: { maxOutputTokens: 5 }
+      }, { timeout: GEMINI_CONFIG.timeout })
+      .generateContent('Test');
+
+    return {
+      ok: true,
+      provider: 'gemini',
+      model: GEMINI_CONFIG.defaultModel,
+      limits: {
+        maxTokensOut: GEMINI_CONFIG.maxTokensOut,
+        timeout: GEMINI_CONFIG.timeout,
+        maxRetries: GEMINI_CONFIG.maxRetries
+      },
+      stats: getProviderStats()
+    };
+
+  } catch (error) {
+    return {
+      ok: false,
+      provider: 'gemini',
+      error: 'HEALTH_CHECK_FAILED',
+      message: error.message
+    };
+  }
+}
+
+module.exports = {
+  generateWithGemini,
+  checkProviderHealth,
+  getProviderStats,
+  initializeGeminiClient,
+  estimateCost,
+  GEMINI_CONFIG,
+  MODEL_IDS,
+  circuitBreaker,
+  rateLimiter
+};
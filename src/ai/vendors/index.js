@@ -10,6 +10,8 @@
 
 const openaiProvider = require('./openai');
 const llmStudioProvider = require('./llmStudio');
+const anthropicProvider = require('./anthropic');
+const geminiProvider = require('./gemini');
 const logger = require('../../utils/logger');
 
 /**
@@ -19,6 +21,7 @@ const PROVIDERS = {
   openai: {
     name: 'OpenAI',
     module: openaiProvider,
+    generate: params => openaiProvider.generateWithOpenAI(params),
     defaultModel: 'gpt-4o-mini',
     models: ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'],
     // Habilitar solo si hay API key configurada
@@ -27,6 +30,7 @@ const PROVIDERS = {
   llm_studio: {
     name: 'LLM Studio Local',
     module: llmStudioProvider,
+    generate: params => llmStudioProvider.generateWithLLMStudio(params),
     defaultModel: 'gpt-oss-20b',
     models: ['gpt-oss-20b', 'llama-3.1-8b', 'mistral-7b', 'codellama-7b'],
     // Habilitar por defecto si hay URL configurada o si la flag lo indica
@@ -34,20 +38,32 @@ const PROVIDERS = {
   },
   anthropic: {
     name: 'Anthropic',
-    module: null, // TODO: Implementar en Fase C
+    module: anthropicProvider,
+    generate: params => anthropicProvider.generateWithAnthropic(params),
     defaultModel: 'claude-3-haiku',
     models: ['claude-3-haiku', 'claude-3-sonnet', 'claude-3-opus'],
-    enabled: false
+    enabled: !!process.env.ANTHROPIC_API_KEY
   },
   gemini: {
     name: 'Google Gemini',
-    module: null, // TODO: Implementar en Fase C
+    module: geminiProvider,
+    generate: params => geminiProvider.generateWithGemini(params),
     defaultModel: 'gemini-1.5-flash',
     models: ['gemini-1.5-flash', 'gemini-1.5-pro'],
-    enabled: false
+    enabled: !!process.env.GEMINI_API_KEY
   }
 };
 
+/**
+ * Orden de fallback automático cuando el proveedor solicitado falla
+ */
+const FALLBACK_ORDER = ['llm_studio', 'openai', 'anthropic', 'gemini'];
+
+/**
+ * Errores que no justifican intentar con otro proveedor
+ */
+const NON_RETRYABLE_ERRORS = ['RATE_LIMIT_EXCEEDED'];
+
 /**
  * Obtener proveedor por nombre
  */
@@ -81,24 +97,69 @@ function getProvider(providerName = 'llm_studio') {
   return provider;
 }
 
+/**
+ * Cadena de proveedores a intentar: el solicitado primero y luego los disponibles en FALLBACK_ORDER
+ */
+function getFallbackChain(providerName) {
+  return [providerName, ...FALLBACK_ORDER]
+    .filter((name, index, chain) => chain.indexOf(name) === index)
+    .filter(name => isProviderAvailable(name));
+}
+
 /**
  * Generar texto con proveedor específico
+ * Si el proveedor falla (circuit breaker, error del proveedor, no disponible) se intenta
+ * con el siguiente de la cadena de fallback. El modelo solicitado solo se envía al
+ * proveedor original; los demás usan su modelo por defecto.
  */
 async function generateWithProvider(providerName, params) {
-  const provider = getProvider(providerName);
-  
-  // Si es LLM Studio, usar función específica
-  if (providerName === 'llm_studio' && provider.module) {
-    return await provider.module.generateWithLLMStudio(params);
+  const chain = getFallbackChain(providerName);
+
+  if (chain.length === 0) {
+    // Sin proveedores habilitados: mantener comportamiento previo (OpenAI responde en modo stub)
+    const provider = getProvider(providerName);
+    return await provider.generate(params);
   }
-  
-  logger.info('🤖 Usando proveedor para generación', {
-    provider: provider.name,
-    model: params.model || provider.defaultModel,
-    workspaceId: params.workspaceId
-  });
-  
-  return await provider.module.generateWithOpenAI(params);
+
+  let lastResult = null;
+
+  for (const name of chain) {
+    const provider = PROVIDERS[name];
+    const isFallback = name !== providerName;
+    const model = isFallback ? provider.defaultModel : (params.model || provider.defaultModel);
+
+    logger.info('🤖 Usando proveedor para generación', {
+      provider: provider.name,
+      model,
+      workspaceId: params.workspaceId,
+      fallbackFrom: isFallback ? providerName : undefined
+    });
+
+    const result = await provider.generate({ ...params, model });
+
+    if (result.ok) {
+      return {
+        ...result,
+        provider: name,
+        fallbackFrom: isFallback ? providerName : undefined
+      };
+    }
+
+    lastResult = { ...result, provider: name };
+
+    if (NON_RETRYABLE_ERRORS.includes(result.error)) {
+      break;
+    }
+
+    logger.warn('⚠️ Proveedor falló, intentando siguiente en la cadena de fallback', {
+      provider: name,
+      error: result.error,
+      message: result.message,
+      workspaceId: params.workspaceId
+    });
+  }
+
+  return lastResult;
 }
 
 /**
@@ -198,7 +259,9 @@ function getAvailableProviders() {
 
 module.exports = {
   PROVIDERS,
+  FALLBACK_ORDER,
   getProvider,
+  getFallbackChain,
   generateWithProvider,
   checkAllProvidersHealth,
   getRecommendedProvider,
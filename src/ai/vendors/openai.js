@@ -18,6 +18,7 @@ try {
 
 const logger = require('../../utils/logger');
 const { aiLogger } = require('../../utils/aiLogger');
+const { CircuitBreaker, RateLimiter } = require('./providerGuards');
 
 /**
  * Configuración por defecto del proveedor OpenAI
@@ -33,121 +34,9 @@ const OPENAI_CONFIG = {
   circuitBreakerWindow: 5 * 60 * 1000, // 5 minutos
 };
 
-/**
- * Circuit breaker para el proveedor
- */
-class CircuitBreaker {
-  constructor() {
-    this.failures = 0;
-    this.successes = 0;
-    this.lastFailureTime = null;
-    this.isOpen = false;
-  }
-
-  recordSuccess() {
-    this.successes++;
-    this.failures = 0;
-    this.isOpen = false;
-  }
-
-  recordFailure() {
-    this.failures++;
-    this.lastFailureTime = Date.now();
-    
-    const total = this.successes + this.failures;
-    const errorRate = this.failures / total;
-    
-    if (errorRate > OPENAI_CONFIG.circuitBreakerThreshold) {
-      this.isOpen = true;
-      logger.warn('🚨 Circuit breaker abierto para OpenAI', {
-        errorRate,
-        failures: this.failures,
-        successes: this.successes
-      });
-    }
-  }
-
-  isCircuitOpen() {
-    if (!this.isOpen) return false;
-    
-    // Verificar si ha pasado el tiempo de ventana
-    if (Date.now() - this.lastFailureTime > OPENAI_CONFIG.circuitBreakerWindow) {
-      this.isOpen = false;
-      logger.info('✅ Circuit breaker cerrado para OpenAI');
-      return false;
-    }
-    
-    return true;
-  }
-
-  getStats() {
-    const total = this.successes + this.failures;
-    return {
-      isOpen: this.isOpen,
-      errorRate: total > 0 ? this.failures / total : 0,
-      failures: this.failures,
-      successes: this.successes,
-      lastFailureTime: this.lastFailureTime
-    };
-  }
-}
-
-// Instancia global del circuit breaker
-const circuitBreaker = new CircuitBreaker();
-
-/**
- * Rate limiter por conversación
- */
-class RateLimiter {
-  constructor() {
-    this.requests = new Map(); // conversationId -> { count, lastReset }
-  }
-
-  canMakeRequest(conversationId) {
-    const now = Date.now();
-    const minute = 60 * 1000;
-    
-    if (!this.requests.has(conversationId)) {
-      this.requests.set(conversationId, { count: 0, lastReset: now });
-    }
-    
-    const request = this.requests.get(conversationId);
-    
-    // Resetear contador si ha pasado un minuto
-    if (now - request.lastReset > minute) {
-      request.count = 0;
-      request.lastReset = now;
-    }
-    
-    // Verificar límite
-    if (request.count >= OPENAI_CONFIG.rateLimitPerMinute) {
-      return false;
-    }
-    
-    request.count++;
-    return true;
-  }
-
-  getStats(conversationId) {
-    const request = this.requests.get(conversationId);
-    if (!request) return { count: 0, remaining: OPENAI_CONFIG.rateLimitPerMinute };
-    
-    const now = Date.now();
-    const minute = 60 * 1000;
-    
-    if (now - request.lastReset > minute) {
-      return { count: 0, remaining: OPENAI_CONFIG.rateLimitPerMinute };
-    }
-    
-    return {
-      count: request.count,
-      remaining: OPENAI_CONFIG.rateLimitPerMinute - request.count
-    };
-  }
-}
-
-// Instancia global del rate limiter
-const rateLimiter = new RateLimiter();
+// Instancias globales del proveedor
+const circuitBreaker = new CircuitBreaker('OpenAI', OPENAI_CONFIG);
+const rateLimiter = new RateLimiter(OPENAI_CONFIG);
 
 /**
  * Cliente OpenAI con configuración
@@ -575,6 +464,7 @@ module.exports = {
   checkProviderHealth,
   getProviderStats,
   initializeOpenAIClient,
+  buildPromptWithGuardrails,
   OPENAI_CONFIG,
   circuitBreaker,
   rateLimiter
@@ -0,0 +1,139 @@
+/**
+ * 🛡️ PROTECCIONES COMPARTIDAS DE PROVEEDORES LLM
+ *
+ * Circuit breaker por proveedor y rate limiter por conversación usados por
+ * los wrappers de OpenAI, Anthropic y Gemini. Cada proveedor crea sus
+ * instancias con su nombre y su configuración (umbral, ventana y límite
+ * por minuto).
+ *
+ * El breaker por workspace (AICircuitBreaker) es otra capa: lo alimenta
+ * AIWebhookIntegration una vez por llamada, no los proveedores.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const logger = require('../../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Circuit breaker para el proveedor
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} providerName - Nombre para logs (OpenAI, Anthropic...)
+   * @param {{ circuitBreakerThreshold: number, circuitBreakerWindow: number }} config
+   */
+  constructor(providerName, config) {
+    this.providerName = providerName;
+    this.config = config;
+    this.failures = 0;
+    this.successes = 0;
+    this.lastFailureTime = null;
+    this.isOpen = false;
+  }
+
+  recordSuccess() {
+    this.successes++;
+    this.failures = 0;
+    this.isOpen = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.lastFailureTime = Date.now();
+
+    const total = this.successes + this.failures;
+    const errorRate = this.failures / total;
+
+    if (errorRate > this.config.circuitBreakerThreshold) {
+      this.isOpen = true;
+      logger.warn(`🚨 Circuit breaker abierto para ${this.providerName}`, {
+        errorRate,
+        failures: this.failures,
+        successes: this.successes
+      });
+    }
+  }
+
+  isCircuitOpen() {
+    if (!this.isOpen) return false;
+
+    // Verificar si ha pasado el tiempo de ventana
+    if (Date.now() - this.lastFailureTime > this.config.circuitBreakerWindow) {
+      this.isOpen = false;
+      logger.info(`✅ Circuit breaker cerrado para ${this.providerName}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  getStats() {
+    const total = this.successes + this.failures;
+    return {
+      isOpen: this.isOpen,
+      errorRate: total > 0 ? this.failures / total : 0,
+      failures: this.failures,
+      successes: this.successes,
+      lastFailureTime: this.lastFailureTime
+    };
+  }
+}
+
+/**
+ * Rate limiter por conversación
+ */
+class RateLimiter {
+  /**
+   * @param {{ rateLimitPerMinute: number }} config
+   */
+  constructor(config) {
+    this.config = config;
+    this.requests = new Map(); // conversationId -> { count, lastReset }
+  }
+
+  canMakeRequest(conversationId) {
+    const now = Date.now();
+
+    if (!this.requests.has(conversationId)) {
+      this.requests.set(conversationId, { count: 0, lastReset: now });
+    }
+
+    const request = this.requests.get(conversationId);
+
+    // Resetear contador si ha pasado un minuto
+    if (now - request.lastReset > MINUTE_MS) {
+      request.count = 0;
+      request.lastReset = now;
+    }
+
+    // Verificar límite
+    if (request.count >= this.config.rateLimitPerMinute) {
+      return false;
+    }
+
+    request.count++;
+    return true;
+  }
+
+  getStats(conversationId) {
+    const limit = this.config.rateLimitPerMinute;
+    const request = this.requests.get(conversationId);
+
+    if (!request || Date.now() - request.lastReset > MINUTE_MS) {
+      return { count: 0, remaining: limit };
+    }
+
+    return {
+      count: request.count,
+      remaining: limit - request.count
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  RateLimiter
+};
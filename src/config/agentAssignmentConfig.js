@@ -0,0 +1,44 @@
+/**
+ * Configuración de Asignación Automática de Agentes
+ * Estrategias, roles elegibles y límites de capacidad
+ */
+
+const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'round_robin',
+  LEAST_OPEN: 'least_open',
+  SKILLS: 'skills'
+};
+
+const AGENT_ASSIGNMENT_CONFIG = {
+  // Activar/desactivar la asignación automática de conversaciones entrantes
+  enabled: process.env.AGENT_AUTO_ASSIGNMENT_ENABLED !== 'false',
+
+  // Estrategia por defecto (round_robin | least_open | skills)
+  strategy: process.env.AGENT_ASSIGNMENT_STRATEGY || ASSIGNMENT_STRATEGIES.LEAST_OPEN,
+
+  // Roles que pueden recibir conversaciones
+  eligibleRoles: ['agent', 'supervisor', 'admin'],
+
+  // Máximo de conversaciones abiertas por agente si el usuario no define la suya
+  defaultCapacity: parseInt(process.env.AGENT_DEFAULT_CAPACITY || '10', 10),
+
+  // Estados de conversación que cuentan como carga de trabajo
+  openStatuses: ['open', 'pending'],
+
+  // Solo asignar a agentes conectados por socket
+  requireOnline: process.env.AGENT_ASSIGNMENT_REQUIRE_ONLINE !== 'false',
+
+  // Estados de presencia considerados disponibles
+  availablePresenceStatuses: ['online'],
+
+  // Colección con el estado de round-robin por workspace
+  stateCollection: 'agent_assignment_state',
+
+  // Usuario registrado como asignador en assignedAgents
+  assignedBy: 'auto_assignment'
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  AGENT_ASSIGNMENT_CONFIG
+};
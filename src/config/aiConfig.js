@@ -26,7 +26,8 @@ const DEFAULT_AI_CONFIG = {
     rag: false,
     reports: false,
     console: false,
-    provider_ready: false
+    provider_ready: false,
+    internal_notes: false // Incluir notas internas en el contexto de sugerencias
   },
   policies: {
     no_inventar_precios: true,
@@ -66,7 +67,9 @@ const SUPPORTED_MODELS = [
   'gpt-3.5-turbo',
   'claude-3-haiku',
   'claude-3-sonnet',
-  'gemini-1.5-flash'
+  'claude-3-opus',
+  'gemini-1.5-flash',
+  'gemini-1.5-pro'
 ];
 
 /**
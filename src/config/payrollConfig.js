@@ -0,0 +1,62 @@
+/**
+ * Configuración de Nómina
+ * Datos del patrón (emisor) para recibos de nómina y catálogos SAT
+ */
+
+const PAYROLL_COMPANY = {
+  name: process.env.PAYROLL_COMPANY_NAME || 'UTalk',
+  rfc: process.env.PAYROLL_COMPANY_RFC || 'XAXX010101000',
+  // Régimen fiscal del emisor (c_RegimenFiscal, 601 = General de Ley Personas Morales)
+  taxRegime: process.env.PAYROLL_COMPANY_TAX_REGIME || '601',
+  employerRegistration: process.env.PAYROLL_EMPLOYER_REGISTRATION || '',
+  // Código postal del lugar de expedición
+  expeditionZip: process.env.PAYROLL_EXPEDITION_ZIP || '00000',
+  // Clave de entidad federativa donde se presta el servicio
+  state: process.env.PAYROLL_STATE || 'CMX',
+  address: process.env.PAYROLL_COMPANY_ADDRESS || '',
+  phone: process.env.PAYROLL_COMPANY_PHONE || '',
+  email: process.env.PAYROLL_COMPANY_EMAIL || ''
+};
+
+// c_PeriodicidadPago
+const SAT_PAYMENT_FREQUENCY = {
+  weekly: '02',
+  biweekly: '04',
+  monthly: '05'
+};
+
+// c_TipoPercepcion por tipo de percepción de PayrollRun
+const SAT_PERCEPTION_TYPES = {
+  salary: '001', // Sueldos, salarios, rayas y jornales
+  overtime: '019', // Horas extra
+  vacation_premium: '021', // Prima vacacional
+  bonus: '038' // Otros ingresos por salarios
+};
+
+// c_TipoDeduccion por tipo de deducción de PayrollRun
+const SAT_DEDUCTION_TYPES = {
+  imss: '001', // Seguridad social
+  isr: '002', // ISR
+  afore: '003', // Aportaciones a retiro, cesantía y vejez
+  infonavit: '010', // Pago por crédito de vivienda
+  absence: '020', // Ausencia (ausentismo)
+  loan: '004', // Otros
+  damage: '004', // Otros
+  deduction: '004' // Otros
+};
+
+// Parámetros de finiquito y liquidación (LFT)
+const SETTLEMENT_CONFIG = {
+  // Salario mínimo general diario: tope para la prima de antigüedad (arts. 162, 485 y 486)
+  minimumWageDaily: Number(process.env.PAYROLL_MINIMUM_WAGE_DAILY) || 278.80,
+  aguinaldoDays: 15, // Art. 87
+  vacationPremiumRate: 0.25 // Art. 80
+};
+
+module.exports = {
+  PAYROLL_COMPANY,
+  SETTLEMENT_CONFIG,
+  SAT_PAYMENT_FREQUENCY,
+  SAT_PERCEPTION_TYPES,
+  SAT_DEDUCTION_TYPES
+};
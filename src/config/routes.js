@@ -109,6 +109,12 @@ function registerRoutes(app, { PORT, socketManager, healthService }) {
     app.use('/api/conversations', conversationRoutes);
     app.use('/api/messages', messageRoutes);
     app.use('/api/campaigns', campaignRoutes);
+    app.use('/api/templates', require('../routes/templates'));
+    app.use('/api/suppression', require('../routes/suppression'));
+    app.use('/api/sla', require('../routes/sla'));
+    app.use('/api/auto-replies', require('../routes/autoReplies'));
+    app.use('/api/canned-responses', require('../routes/cannedResponses'));
+    app.use('/api/mentions', require('../routes/mentions'));
     app.use('/api/team', teamRoutes);
     app.use('/api/module-permissions', modulePermissionsRoutes);
     app.use('/api/knowledge', knowledgeRoutes);
@@ -127,6 +133,9 @@ function registerRoutes(app, { PORT, socketManager, healthService }) {
     app.use('/api/equipment', require('../routes/equipment'));
     app.use('/api/attachments', require('../routes/attachments'));
     app.use('/api/attendance', require('../routes/attendance'));
+    app.use('/api/payroll', require('../routes/payroll'));
+    app.use('/api/audit', require('../routes/audit'));
+    app.use('/api/workspaces', require('../routes/workspaces'));
 
     // AI y derivados (los módulos exportan .router)
     if (aiRoutes?.router) app.use('/api/ai', aiRoutes.router);
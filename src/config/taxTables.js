@@ -0,0 +1,55 @@
+/**
+ * Tablas fiscales integradas
+ * Se usan como respaldo cuando no hay versiones cargadas en Firestore (colección tax_tables)
+ * Las nuevas versiones anuales se cargan por API: POST /api/payroll/tax-tables
+ */
+
+// México 2025 (valores anuales de ISR)
+const DEFAULT_TAX_TABLE = {
+  version: '2025',
+  effectiveFrom: '2025-01-01',
+  source: 'builtin',
+  isrTable: [
+    { desde: 0, hasta: 416220.00, cuotaFija: 0, porcentaje: 0 },
+    { desde: 416220.01, hasta: 624329.00, cuotaFija: 0, porcentaje: 0.15 },
+    { desde: 624329.01, hasta: 867123.00, cuotaFija: 31216.00, porcentaje: 0.20 },
+    { desde: 867123.01, hasta: 1000000.00, cuotaFija: 79776.00, porcentaje: 0.25 },
+    { desde: 1000000.01, hasta: 1200000.00, cuotaFija: 133095.00, porcentaje: 0.30 },
+    { desde: 1200000.01, hasta: 1500000.00, cuotaFija: 193095.00, porcentaje: 0.32 },
+    { desde: 1500000.01, hasta: 2000000.00, cuotaFija: 289095.00, porcentaje: 0.34 },
+    { desde: 2000000.01, hasta: 3000000.00, cuotaFija: 459095.00, porcentaje: 0.35 },
+    { desde: 3000000.01, hasta: null, cuotaFija: 809095.00, porcentaje: 0.36 }
+  ],
+  // UMA (Unidad de Medida y Actualización)
+  uma: {
+    diaria: 108.57,
+    mensual: 3296.76,
+    anual: 39561.12
+  },
+  socialSecurity: {
+    // IMSS Empleado
+    imssEmpleado: {
+      enfermedadMaternidad: 0.025, // 2.5%
+      invalidezVida: 0.00625, // 0.625%
+      cesantiaVejez: 0.01125 // 1.125%
+    },
+    // IMSS Patrón
+    imssPatron: {
+      enfermedadMaternidad: 0.204, // 20.4%
+      riesgoTrabajo: 0.005, // Variable, promedio 0.5%
+      invalidezVida: 0.0175, // 1.75%
+      cesantiaVejez: 0.0315, // 3.15%
+      guarderia: 0.01, // 1%
+      infonavit: 0.05 // 5%
+    },
+    // AFORE
+    afore: 0.01125, // 1.125%
+    // Topes de cotización expresados en UMAs mensuales
+    topeImssUmas: 25,
+    topeInfonavitUmas: 25
+  }
+};
+
+module.exports = {
+  DEFAULT_TAX_TABLE
+};
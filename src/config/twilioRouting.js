@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { normalizePhoneNumber } = require('../utils/conversation');
+const { getDefaultTenant } = require('../utils/tenantContext');
 
 /**
  * Carga configuración de routing desde JSON si existe
@@ -56,4 +57,58 @@ function resolveRouting({ toPhone, fromPhone }) {
   return null;
 }
 
-module.exports = { resolveRouting }; 
\ No newline at end of file
+/**
+ * Workspace de una conversación existente entre el cliente y nuestro número
+ * @returns {Promise<{ workspaceId: string, tenantId: string } | null>}
+ */
+async function findConversationTenant(fromPhone, conversationId) {
+  const { firestore } = require('./firebase');
+  const phone = normalizePhoneNumber(fromPhone || '');
+  if (!phone || !conversationId) return null;
+
+  const contacts = await firestore.collection('contacts').where('phone', '==', phone).limit(10).get();
+  for (const contactDoc of contacts.docs) {
+    const conversationDoc = await firestore
+      .collection('contacts').doc(contactDoc.id)
+      .collection('conversations').doc(conversationId)
+      .get();
+    const data = conversationDoc.exists ? conversationDoc.data() : null;
+    if (data?.workspaceId) {
+      return { workspaceId: data.workspaceId, tenantId: data.tenantId || getDefaultTenant().tenantId };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resuelve el workspace de un mensaje entrante antes de escribirlo
+ * 1) Workspace dueño del número de WhatsApp destino (To)
+ * 2) Workspace de la conversación existente con el cliente
+ * 3) Archivo de routing o variables de entorno
+ * 4) Workspace por defecto
+ * @param {{ toPhone: string, fromPhone: string, conversationId?: string }} params
+ * @returns {Promise<{ workspaceId: string, tenantId: string, source: string }>}
+ */
+async function resolveInboundTenant({ toPhone, fromPhone, conversationId }) {
+  const Workspace = require('../models/Workspace');
+
+  const workspace = await Workspace.findByWhatsAppNumber(toPhone);
+  if (workspace) {
+    return { workspaceId: workspace.id, tenantId: workspace.tenantId, source: 'workspace_number' };
+  }
+
+  const conversationTenant = await findConversationTenant(fromPhone, conversationId);
+  if (conversationTenant) {
+    return { ...conversationTenant, source: 'conversation' };
+  }
+
+  const routing = resolveRouting({ toPhone, fromPhone });
+  const fallback = getDefaultTenant();
+  return {
+    workspaceId: routing?.workspaceId || fallback.workspaceId,
+    tenantId: routing?.tenantId || fallback.tenantId,
+    source: routing?.workspaceId ? 'routing' : 'default'
+  };
+}
+
+module.exports = { resolveRouting, resolveInboundTenant }; 
\ No newline at end of file
@@ -951,6 +951,7 @@ class AIController {
       const { loadConversationContext } = require('../utils/contextLoader');
       const context = await loadConversationContext(conversationId, {
         maxMessages: 20,
+        includeInternalNotes: config.flags?.internal_notes === true,
         workspaceId
       });
 
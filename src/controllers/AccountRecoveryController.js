@@ -0,0 +1,86 @@
+const AccountTokenService = require('../services/AccountTokenService');
+const logger = require('../utils/logger');
+const { getPolicy } = require('../utils/passwordPolicy');
+const { ResponseHandler, ApiError } = require('../utils/responseHandler');
+
+/**
+ * Controlador de recuperación de cuenta: "olvidé mi contraseña" y aceptar invitación
+ * Rutas públicas: la autorización la da el token firmado recibido por correo/WhatsApp
+ */
+class AccountRecoveryController {
+  static handleError (res, next, error, message) {
+    logger.error(message, { error: error.message });
+    if (error instanceof ApiError) {
+      return ResponseHandler.error(res, error);
+    }
+    next(error);
+  }
+
+  /**
+   * Solicitar enlace de restablecimiento (respuesta idéntica exista o no el correo)
+   */
+  static async forgotPassword (req, res, next) {
+    try {
+      const { email, channel } = req.body;
+      await AccountTokenService.requestPasswordReset(email, { channel });
+
+      return ResponseHandler.success(res, null, 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña');
+    } catch (error) {
+      return AccountRecoveryController.handleError(res, next, error, 'Error al solicitar restablecimiento de contraseña:');
+    }
+  }
+
+  /**
+   * Validar enlace antes de mostrar el formulario
+   */
+  static async describeToken (req, res, next, purpose) {
+    try {
+      const { user, record } = await AccountTokenService.verify(req.body.token, purpose);
+
+      return ResponseHandler.success(res, {
+        email: user.email,
+        name: user.name,
+        expiresAt: record.expiresAt,
+        passwordPolicy: getPolicy()
+      }, 'Enlace válido');
+    } catch (error) {
+      return AccountRecoveryController.handleError(res, next, error, 'Error al validar token de cuenta:');
+    }
+  }
+
+  static verifyResetToken (req, res, next) {
+    return AccountRecoveryController.describeToken(req, res, next, 'password_reset');
+  }
+
+  static verifyInvitation (req, res, next) {
+    return AccountRecoveryController.describeToken(req, res, next, 'invite');
+  }
+
+  /**
+   * Restablecer contraseña con el token
+   */
+  static async resetPassword (req, res, next) {
+    try {
+      const result = await AccountTokenService.complete(req.body.token, 'password_reset', req.body.newPassword);
+
+      return ResponseHandler.success(res, result, 'Contraseña restablecida. Inicia sesión con tu nueva contraseña.');
+    } catch (error) {
+      return AccountRecoveryController.handleError(res, next, error, 'Error al restablecer contraseña:');
+    }
+  }
+
+  /**
+   * Aceptar invitación estableciendo la contraseña
+   */
+  static async acceptInvitation (req, res, next) {
+    try {
+      const result = await AccountTokenService.complete(req.body.token, 'invite', req.body.newPassword);
+
+      return ResponseHandler.success(res, result, 'Invitación aceptada. Ya puedes iniciar sesión.');
+    } catch (error) {
+      return AccountRecoveryController.handleError(res, next, error, 'Error al aceptar invitación:');
+    }
+  }
+}
+
+module.exports = AccountRecoveryController;
@@ -407,18 +407,22 @@ class AttendanceController {
       const { reportId } = req.params;
       const { format = 'pdf' } = req.query;
 
-      const exportData = await AttendanceService.exportReport(reportId, format);
+      const exportFormat = format === 'xlsx' ? 'excel' : format;
+      if (!['pdf', 'excel', 'csv'].includes(exportFormat)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Formato no soportado. Use pdf, excel o csv'
+        });
+      }
+
+      const exportData = await AttendanceService.exportReport(reportId, exportFormat);
 
       // Configurar headers para descarga
-      res.setHeader('Content-Type', `application/${format}`);
+      res.setHeader('Content-Type', exportData.contentType);
       res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+      res.setHeader('Content-Length', exportData.buffer.length);
 
-      // Enviar datos (en producción se generaría el archivo real)
-      res.json({
-        success: true,
-        message: `Reporte exportado como ${format}`,
-        data: exportData
-      });
+      res.send(exportData.buffer);
 
     } catch (error) {
       logger.error('Error exportando reporte:', error);
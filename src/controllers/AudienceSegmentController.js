@@ -0,0 +1,195 @@
+const AudienceSegment = require('../models/AudienceSegment');
+const Campaign = require('../models/Campaign');
+const AudienceSegmentService = require('../services/AudienceSegmentService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Controlador de segmentos de audiencia para campañas
+ */
+class AudienceSegmentController {
+  /**
+   * Listar segmentos
+   */
+  static async list (req, res, next) {
+    try {
+      const createdBy = req.user.role === 'admin' ? null : req.user.id;
+      const segments = await AudienceSegment.list({ createdBy });
+
+      return ResponseHandler.success(res, {
+        segments: segments.map(segment => segment.toJSON()),
+        total: segments.length,
+      }, 'Segmentos listados correctamente');
+    } catch (error) {
+      logger.error('Error al listar segmentos:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Crear segmento
+   */
+  static async create (req, res, next) {
+    try {
+      const segment = await AudienceSegment.create({
+        ...req.body,
+        createdBy: req.user.id,
+      });
+
+      logger.info('Segmento de audiencia creado', {
+        segmentId: segment.id,
+        name: segment.name,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.created(res, segment.toJSON(), 'Segmento creado exitosamente');
+    } catch (error) {
+      logger.error('Error al crear segmento:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener segmento por ID
+   */
+  static async getById (req, res, next) {
+    try {
+      const segment = await AudienceSegmentController.findAuthorized(req, res);
+      if (!segment) return;
+
+      return ResponseHandler.success(res, { segment: segment.toJSON() }, 'Segmento obtenido correctamente');
+    } catch (error) {
+      logger.error('Error al obtener segmento:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar segmento
+   */
+  static async update (req, res, next) {
+    try {
+      const segment = await AudienceSegmentController.findAuthorized(req, res);
+      if (!segment) return;
+
+      await segment.update(req.body);
+
+      logger.info('Segmento de audiencia actualizado', {
+        segmentId: segment.id,
+        updatedBy: req.user.id,
+        fields: Object.keys(req.body),
+      });
+
+      return ResponseHandler.success(res, segment.toJSON(), 'Segmento actualizado exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar segmento:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar segmento (soft delete)
+   */
+  static async delete (req, res, next) {
+    try {
+      const segment = await AudienceSegmentController.findAuthorized(req, res);
+      if (!segment) return;
+
+      await segment.delete();
+
+      logger.info('Segmento de audiencia eliminado', {
+        segmentId: segment.id,
+        deletedBy: req.user.id,
+      });
+
+      return ResponseHandler.deleted(res, 'Segmento eliminado exitosamente');
+    } catch (error) {
+      logger.error('Error al eliminar segmento:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Vista previa de reglas sin guardar (conteo + muestra)
+   */
+  static async previewRules (req, res, next) {
+    try {
+      const preview = await AudienceSegmentService.preview(req.body.rules || {});
+
+      return ResponseHandler.success(res, preview, 'Vista previa de audiencia generada');
+    } catch (error) {
+      logger.error('Error generando vista previa de audiencia:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Vista previa de un segmento guardado
+   */
+  static async previewSegment (req, res, next) {
+    try {
+      const segment = await AudienceSegmentController.findAuthorized(req, res);
+      if (!segment) return;
+
+      const preview = await AudienceSegmentService.preview(segment.rules);
+
+      return ResponseHandler.success(res, {
+        segmentId: segment.id,
+        ...preview,
+      }, 'Vista previa de segmento generada');
+    } catch (error) {
+      logger.error('Error generando vista previa de segmento:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Vista previa de los destinatarios de una campaña (segmento o lista explícita)
+   */
+  static async previewCampaignAudience (req, res, next) {
+    try {
+      const { campaignId } = req.params;
+      const campaign = await Campaign.getById(campaignId);
+
+      if (!campaign) {
+        return ResponseHandler.notFoundError(res, `No se encontró una campaña con ID ${campaignId}`);
+      }
+
+      const recipients = await AudienceSegmentService.resolveCampaignRecipients(campaign);
+
+      return ResponseHandler.success(res, {
+        campaignId,
+        source: recipients.source,
+        segmentId: campaign.segmentId || null,
+        count: recipients.contacts.length,
+        excludedOptedOut: recipients.excludedOptedOut,
+      }, 'Vista previa de audiencia de campaña generada');
+    } catch (error) {
+      logger.error('Error generando vista previa de audiencia de campaña:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Buscar segmento verificando permisos (solo admin o creador)
+   * Responde 404/403 y devuelve null si no procede
+   */
+  static async findAuthorized (req, res) {
+    const { segmentId } = req.params;
+    const segment = await AudienceSegment.getById(segmentId);
+
+    if (!segment || !segment.isActive) {
+      ResponseHandler.notFoundError(res, `No se encontró un segmento con ID ${segmentId}`);
+      return null;
+    }
+
+    if (req.user.role !== 'admin' && segment.createdBy !== req.user.id) {
+      ResponseHandler.authorizationError(res, 'No tienes permisos para este segmento');
+      return null;
+    }
+
+    return segment;
+  }
+}
+
+module.exports = AudienceSegmentController;
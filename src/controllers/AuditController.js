@@ -0,0 +1,85 @@
+const AuditService = require('../services/AuditService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+const EXPORT_LIMIT = 1000;
+
+/**
+ * Controlador de la bitácora de auditoría (solo admin/superadmin)
+ */
+class AuditController {
+  static filtersFrom (query) {
+    const { entityType, entityId, actorEmail, action, from, to, cursor, limit } = query;
+    return { entityType, entityId, actorEmail, action, from, to, before: cursor, limit };
+  }
+
+  /**
+   * Consultar entradas con filtros (paginación por cursor createdAt)
+   */
+  static async list (req, res, next) {
+    try {
+      const { entries, pagination } = await AuditService.list(AuditController.filtersFrom(req.query));
+
+      return ResponseHandler.paginated(res, entries.map(entry => entry.toJSON()), pagination, 'Bitácora de auditoría obtenida');
+    } catch (error) {
+      logger.error('Error al consultar auditoría:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Exportar entradas filtradas a CSV
+   */
+  static async exportCsv (req, res, next) {
+    try {
+      const { entries } = await AuditService.list({
+        ...AuditController.filtersFrom(req.query),
+        limit: req.query.limit || EXPORT_LIMIT
+      });
+
+      logger.info('🧾 Exportación de auditoría', { by: req.user.email, count: entries.length });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=audit_${Date.now()}.csv`);
+      return res.send(AuditService.toCsv(entries));
+    } catch (error) {
+      logger.error('Error al exportar auditoría:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Verificar integridad de la cadena de hashes
+   */
+  static async verify (req, res, next) {
+    try {
+      const result = await AuditService.verifyChain();
+
+      return ResponseHandler.success(res, result, result.valid
+        ? 'La cadena de auditoría está íntegra'
+        : 'Se detectó una alteración en la cadena de auditoría');
+    } catch (error) {
+      logger.error('Error al verificar cadena de auditoría:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener una entrada
+   */
+  static async getById (req, res, next) {
+    try {
+      const entry = await AuditService.getById(req.params.id);
+      if (!entry) {
+        return ResponseHandler.notFoundError(res, 'Entrada de auditoría no encontrada');
+      }
+
+      return ResponseHandler.success(res, entry.toJSON(), 'Entrada de auditoría obtenida');
+    } catch (error) {
+      logger.error('Error al obtener entrada de auditoría:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = AuditController;
@@ -1,5 +1,7 @@
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
+const TwoFactorService = require('../services/TwoFactorService');
+const { validatePassword: validatePasswordPolicy } = require('../utils/passwordPolicy');
 const logger = require('../utils/logger');
 const jwt = require('jsonwebtoken');
 const { ResponseHandler } = require('../utils/responseHandler');
@@ -162,170 +164,29 @@ class AuthController {
         });
       }
 
-      // Actualizar último login
-      logger.debug('Actualizando último login del usuario', {
-        category: 'AUTH_UPDATE_LOGIN'
-      });
-      await user.updateLastLogin();
-      logger.debug('Último login actualizado exitosamente', {
-        category: 'AUTH_UPDATE_LOGIN_SUCCESS'
-      });
-      
-      if (req.logger && typeof req.logger.database === 'function') {
-        req.logger.database('document_updated', {
-          operation: 'last_login_update',
-          email
-        });
-      }
+      // 🔐 Verificación en dos pasos: los tokens se emiten hasta validar el código
+      if (TwoFactorService.requiresChallenge(user)) {
+        const challenge = TwoFactorService.createChallenge(user);
 
-      // Generar access token
-      logger.debug('Obteniendo configuración JWT', {
-        category: 'AUTH_JWT_CONFIG'
-      });
-      const jwtConfig = getAccessTokenConfig();
-      logger.debug('Configuración JWT obtenida', {
-        category: 'AUTH_JWT_CONFIG_SUCCESS',
-        hasSecret: !!jwtConfig.secret,
-        hasExpiresIn: !!jwtConfig.expiresIn,
-        hasIssuer: !!jwtConfig.issuer,
-        hasAudience: !!jwtConfig.audience
-      });
-
-      if (!jwtConfig.secret) {
-        logger.error('JWT_SECRET no configurado', {
-          category: 'AUTH_JWT_ERROR',
-          severity: 'CRITICAL'
-        });
-        if (req.logger && typeof req.logger.error === 'function') {
-          req.logger.error('JWT_SECRET no configurado');
+        if (req.logger && typeof req.logger.auth === 'function') {
+          req.logger.auth('login_pending_2fa', {
+            email: user.email,
+            enrollmentRequired: challenge.enrollmentRequired,
+            ip: req.ip
+          });
         }
-        const { ResponseHandler } = require('../utils/responseHandler');
-        return ResponseHandler.error(res, {
-          type: 'CONFIGURATION_ERROR',
-          code: 'JWT_SECRET_MISSING',
-          message: 'Error de configuración del servidor'
-        }, 500);
-      }
-      logger.debug('JWT_SECRET configurado correctamente', {
-        category: 'AUTH_JWT_CONFIG_VALID'
-      });
-
-      // Crear payload del access token
-      const accessTokenPayload = {
-        email: user.email,
-        role: user.role,
-        name: user.name,
-        type: 'access',
-        userId: user.id,
-        workspaceId: user.workspaceId || process.env.WORKSPACE_ID || process.env.DEFAULT_WORKSPACE_ID || 'default_workspace',
-        tenantId: user.tenantId || process.env.TENANT_ID || process.env.DEFAULT_TENANT_ID || 'default_tenant',
-        iat: Math.floor(Date.now() / 1000),
-      };
-      logger.debug('Access token payload creado', {
-        category: 'AUTH_TOKEN_PAYLOAD',
-        hasEmail: !!accessTokenPayload.email,
-        role: accessTokenPayload.role,
-        hasName: !!accessTokenPayload.name,
-        type: accessTokenPayload.type,
-        hasUserId: !!accessTokenPayload.userId,
-        hasWorkspaceId: !!accessTokenPayload.workspaceId,
-        hasTenantId: !!accessTokenPayload.tenantId
-      });
-
-      // Generar access token
-      logger.debug('Generando access token', {
-        category: 'AUTH_TOKEN_GENERATION'
-      });
-      const AuthService = require('../services/AuthService');
-      const accessToken = AuthService.signAccess(accessTokenPayload);
-      logger.debug('Access token generado exitosamente', {
-        category: 'AUTH_TOKEN_SUCCESS'
-      });
-
-      // Generar refresh token
-      const deviceInfo = {
-        deviceId: req.headers['x-device-id'] || uuidv4(),
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent']?.substring(0, 200),
-        deviceType: req.headers['x-device-type'] || 'web',
-        loginAt: new Date().toISOString()
-      };
-      logger.debug('Device info creado para refresh token', {
-        category: 'AUTH_DEVICE_INFO',
-        hasDeviceId: !!deviceInfo.deviceId,
-        ipAddress: deviceInfo.ipAddress,
-        deviceType: deviceInfo.deviceType
-      });
-
-      logger.debug('Generando refresh token', {
-        category: 'AUTH_REFRESH_TOKEN_GENERATION',
-        userEmail: user.email.substring(0, 10) + '...',
-        hasUserId: !!user.id,
-        hasDeviceInfo: !!deviceInfo
-      });
-      const refreshToken = await RefreshToken.generate(user.email, user.id, deviceInfo);
-      logger.debug('Refresh token generado exitosamente', {
-        category: 'AUTH_REFRESH_TOKEN_SUCCESS'
-      });
-
-      // Log de tokens generados
-      if (req.logger && typeof req.logger.auth === 'function') {
-        req.logger.auth('tokens_generated', {
-          email: user.email,
-          role: user.role,
-          accessTokenExpiresIn: jwtConfig.expiresIn,
-          refreshTokenExpiresIn: '7d',
-          deviceId: deviceInfo.deviceId
-        });
-      }
 
-      // Login exitoso
-      if (req.logger && typeof req.logger.auth === 'function') {
-        req.logger.auth('login_success', {
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          department: user.department,
-          ip: req.ip,
-          userAgent: req.headers['user-agent']?.substring(0, 100),
-          deviceId: deviceInfo.deviceId
-        });
+        return ResponseHandler.success(res, {
+          success: true,
+          status: 'pending_2fa',
+          challengeToken: challenge.challengeToken,
+          enrollmentRequired: challenge.enrollmentRequired,
+          expiresIn: challenge.expiresIn,
+          user: { email: user.email, name: user.name, role: user.role }
+        }, 'Se requiere verificación en dos pasos');
       }
 
-      // Preparar respuesta exitosa
-      logger.debug('Preparando respuesta de login exitoso', {
-        category: 'AUTH_RESPONSE_PREPARATION'
-      });
-      const userJSON = user.toJSON();
-      logger.debug('Usuario serializado para respuesta', {
-        category: 'AUTH_USER_SERIALIZATION',
-        hasEmail: !!userJSON.email,
-        hasName: !!userJSON.name,
-        hasRole: !!userJSON.role
-      });
-      
-      const response = {
-        success: true,
-        message: 'Login exitoso',
-        accessToken: accessToken,
-        refreshToken: refreshToken.token,
-        expiresIn: jwtConfig.expiresIn,
-        refreshExpiresIn: '7d',
-        user: userJSON,
-        deviceInfo: {
-          deviceId: deviceInfo.deviceId,
-          deviceType: deviceInfo.deviceType,
-          loginAt: deviceInfo.loginAt
-        }
-      };
-      
-      logger.info('Login completado exitosamente', {
-        category: 'AUTH_LOGIN_SUCCESS',
-        email: user.email.substring(0, 10) + '...',
-        role: user.role,
-        deviceId: deviceInfo.deviceId
-      });
-      return ResponseHandler.success(res, response, 'Login exitoso');
+      return AuthController.completeLogin(req, res, user);
 
     } catch (error) {
       const errorMessage = error && typeof error === 'object' && error.message ? error.message : 'Error desconocido';
@@ -355,6 +216,179 @@ class AuthController {
     }
   }
 
+  /**
+   * ✅ COMPLETAR LOGIN
+   * Emite access + refresh token una vez validadas las credenciales (y el 2FA si aplica)
+   * extra: campos adicionales para la respuesta (p. ej. códigos de respaldo recién generados)
+   */
+  static async completeLogin(req, res, user, extra = {}) {
+    // Actualizar último login
+    logger.debug('Actualizando último login del usuario', {
+      category: 'AUTH_UPDATE_LOGIN'
+    });
+    await user.updateLastLogin();
+    logger.debug('Último login actualizado exitosamente', {
+      category: 'AUTH_UPDATE_LOGIN_SUCCESS'
+    });
+    
+    if (req.logger && typeof req.logger.database === 'function') {
+      req.logger.database('document_updated', {
+        operation: 'last_login_update',
+        email: user.email
+      });
+    }
+
+    // Generar access token
+    logger.debug('Obteniendo configuración JWT', {
+      category: 'AUTH_JWT_CONFIG'
+    });
+    const jwtConfig = getAccessTokenConfig();
+    logger.debug('Configuración JWT obtenida', {
+      category: 'AUTH_JWT_CONFIG_SUCCESS',
+      hasSecret: !!jwtConfig.secret,
+      hasExpiresIn: !!jwtConfig.expiresIn,
+      hasIssuer: !!jwtConfig.issuer,
+      hasAudience: !!jwtConfig.audience
+    });
+
+    if (!jwtConfig.secret) {
+      logger.error('JWT_SECRET no configurado', {
+        category: 'AUTH_JWT_ERROR',
+        severity: 'CRITICAL'
+      });
+      if (req.logger && typeof req.logger.error === 'function') {
+        req.logger.error('JWT_SECRET no configurado');
+      }
+      const { ResponseHandler } = require('../utils/responseHandler');
+      return ResponseHandler.error(res, {
+        type: 'CONFIGURATION_ERROR',
+        code: 'JWT_SECRET_MISSING',
+        message: 'Error de configuración del servidor'
+      }, 500);
+    }
+    logger.debug('JWT_SECRET configurado correctamente', {
+      category: 'AUTH_JWT_CONFIG_VALID'
+    });
+
+    // Crear payload del access token
+    const accessTokenPayload = {
+      email: user.email,
+      role: user.role,
+      name: user.name,
+      type: 'access',
+      userId: user.id,
+      workspaceId: user.workspaceId || process.env.WORKSPACE_ID || process.env.DEFAULT_WORKSPACE_ID || 'default_workspace',
+      tenantId: user.tenantId || process.env.TENANT_ID || process.env.DEFAULT_TENANT_ID || 'default_tenant',
+      iat: Math.floor(Date.now() / 1000),
+    };
+    logger.debug('Access token payload creado', {
+      category: 'AUTH_TOKEN_PAYLOAD',
+      hasEmail: !!accessTokenPayload.email,
+      role: accessTokenPayload.role,
+      hasName: !!accessTokenPayload.name,
+      type: accessTokenPayload.type,
+      hasUserId: !!accessTokenPayload.userId,
+      hasWorkspaceId: !!accessTokenPayload.workspaceId,
+      hasTenantId: !!accessTokenPayload.tenantId
+    });
+
+    // Generar access token
+    logger.debug('Generando access token', {
+      category: 'AUTH_TOKEN_GENERATION'
+    });
+    const AuthService = require('../services/AuthService');
+    const accessToken = AuthService.signAccess(accessTokenPayload);
+    logger.debug('Access token generado exitosamente', {
+      category: 'AUTH_TOKEN_SUCCESS'
+    });
+
+    // Generar refresh token
+    const deviceInfo = {
+      deviceId: req.headers['x-device-id'] || uuidv4(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']?.substring(0, 200),
+      deviceType: req.headers['x-device-type'] || 'web',
+      loginAt: new Date().toISOString()
+    };
+    logger.debug('Device info creado para refresh token', {
+      category: 'AUTH_DEVICE_INFO',
+      hasDeviceId: !!deviceInfo.deviceId,
+      ipAddress: deviceInfo.ipAddress,
+      deviceType: deviceInfo.deviceType
+    });
+
+    logger.debug('Generando refresh token', {
+      category: 'AUTH_REFRESH_TOKEN_GENERATION',
+      userEmail: user.email.substring(0, 10) + '...',
+      hasUserId: !!user.id,
+      hasDeviceInfo: !!deviceInfo
+    });
+    const refreshToken = await RefreshToken.generate(user.email, user.id, deviceInfo);
+    logger.debug('Refresh token generado exitosamente', {
+      category: 'AUTH_REFRESH_TOKEN_SUCCESS'
+    });
+
+    // Log de tokens generados
+    if (req.logger && typeof req.logger.auth === 'function') {
+      req.logger.auth('tokens_generated', {
+        email: user.email,
+        role: user.role,
+        accessTokenExpiresIn: jwtConfig.expiresIn,
+        refreshTokenExpiresIn: '7d',
+        deviceId: deviceInfo.deviceId
+      });
+    }
+
+    // Login exitoso
+    if (req.logger && typeof req.logger.auth === 'function') {
+      req.logger.auth('login_success', {
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        department: user.department,
+        ip: req.ip,
+        userAgent: req.headers['user-agent']?.substring(0, 100),
+        deviceId: deviceInfo.deviceId
+      });
+    }
+
+    // Preparar respuesta exitosa
+    logger.debug('Preparando respuesta de login exitoso', {
+      category: 'AUTH_RESPONSE_PREPARATION'
+    });
+    const userJSON = user.toJSON();
+    logger.debug('Usuario serializado para respuesta', {
+      category: 'AUTH_USER_SERIALIZATION',
+      hasEmail: !!userJSON.email,
+      hasName: !!userJSON.name,
+      hasRole: !!userJSON.role
+    });
+    
+    const response = {
+      success: true,
+      message: 'Login exitoso',
+      accessToken: accessToken,
+      refreshToken: refreshToken.token,
+      expiresIn: jwtConfig.expiresIn,
+      refreshExpiresIn: '7d',
+      user: userJSON,
+      deviceInfo: {
+        deviceId: deviceInfo.deviceId,
+        deviceType: deviceInfo.deviceType,
+        loginAt: deviceInfo.loginAt
+      },
+      ...extra
+    };
+    
+    logger.info('Login completado exitosamente', {
+      category: 'AUTH_LOGIN_SUCCESS',
+      email: user.email.substring(0, 10) + '...',
+      role: user.role,
+      deviceId: deviceInfo.deviceId
+    });
+    return ResponseHandler.success(res, response, 'Login exitoso');
+  }
+
   /**
    * 🔄 REFRESH TOKEN ENDPOINT
    * Renueva access token usando refresh token válido
@@ -1085,8 +1119,9 @@ class AuthController {
         return ResponseHandler.validationError(res, 'Contraseña actual y nueva contraseña son requeridas');
       }
 
-      if (newPassword.length < 8) {
-        return ResponseHandler.validationError(res, 'La nueva contraseña debe tener al menos 8 caracteres');
+      const policyErrors = validatePasswordPolicy(newPassword, { email });
+      if (policyErrors.length > 0) {
+        return ResponseHandler.validationError(res, 'La nueva contraseña no cumple la política de seguridad', policyErrors);
       }
 
       logger.info('🔑 Cambio de contraseña solicitado', { email });
@@ -1102,7 +1137,7 @@ class AuthController {
 
       // Obtener usuario y actualizar contraseña
       const user = await User.getByEmail(email);
-      await user.update({ password: newPassword }); // Se hasheará automáticamente en el modelo
+      await user.setPassword(newPassword);
 
       // 🔄 INVALIDAR TODOS LOS REFRESH TOKENS DEL USUARIO
       const invalidatedCount = await RefreshToken.invalidateAllForUser(email);
@@ -0,0 +1,71 @@
+const AutoReplySettings = require('../models/AutoReplySettings');
+const BusinessHoursCalendar = require('../models/BusinessHoursCalendar');
+const AutoResponderService = require('../services/AutoResponderService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Controlador de respuestas automáticas (fuera de horario, feriados, saludo)
+ */
+class AutoReplyController {
+  /**
+   * Obtener configuración del workspace
+   */
+  static async getSettings (req, res, next) {
+    try {
+      const workspaceId = req.user.workspaceId || 'default_workspace';
+      const settings = await AutoReplySettings.getForWorkspace(workspaceId);
+
+      return ResponseHandler.success(res, settings.toJSON(), 'Configuración de respuestas automáticas obtenida');
+    } catch (error) {
+      logger.error('Error al obtener respuestas automáticas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar configuración del workspace
+   */
+  static async updateSettings (req, res, next) {
+    try {
+      const workspaceId = req.user.workspaceId || 'default_workspace';
+
+      if (req.body.calendarId) {
+        const calendar = await BusinessHoursCalendar.getById(req.body.calendarId);
+        if (!calendar || !calendar.isActive) {
+          return ResponseHandler.validationError(res, `No se encontró un calendario con ID ${req.body.calendarId}`);
+        }
+      }
+
+      const settings = await AutoReplySettings.upsert(workspaceId, req.body, req.user.id);
+
+      logger.info('Respuestas automáticas actualizadas', {
+        workspaceId,
+        updatedBy: req.user.id,
+        fields: Object.keys(req.body),
+      });
+
+      return ResponseHandler.success(res, settings.toJSON(), 'Respuestas automáticas actualizadas exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar respuestas automáticas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Estado actual del horario y respuesta que se enviaría ahora
+   */
+  static async getStatus (req, res, next) {
+    try {
+      const workspaceId = req.user.workspaceId || 'default_workspace';
+      const status = await AutoResponderService.getStatus(workspaceId);
+
+      return ResponseHandler.success(res, status, 'Estado de horario obtenido');
+    } catch (error) {
+      logger.error('Error al obtener estado de horario:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = AutoReplyController;
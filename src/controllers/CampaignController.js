@@ -1,5 +1,7 @@
 const Campaign = require('../models/Campaign');
 const Contact = require('../models/Contact');
+const AudienceSegment = require('../models/AudienceSegment');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
 const { getMessageService } = require('../services/MessageService');
 const logger = require('../utils/logger');
 const { Parser } = require('json2csv');
@@ -93,6 +95,22 @@ class CampaignController {
    */
   static async create (req, res, next) {
     try {
+      // Validar segmento de audiencia si se especifica
+      if (req.body.segmentId) {
+        const segment = await AudienceSegment.getById(req.body.segmentId);
+        if (!segment || !segment.isActive) {
+          return ResponseHandler.validationError(res, `El segmento ${req.body.segmentId} no existe`);
+        }
+      }
+
+      // Validar plantilla de WhatsApp si se especifica
+      if (req.body.templateId) {
+        const template = await WhatsAppTemplate.getById(req.body.templateId);
+        if (!template || !template.isUsable()) {
+          return ResponseHandler.validationError(res, `La plantilla ${req.body.templateId} no existe o no está aprobada`);
+        }
+      }
+
       const campaignData = {
         ...req.body,
         createdBy: req.user.id, // Se mantiene internamente
@@ -175,6 +193,22 @@ class CampaignController {
         updates.estimatedReach = validContacts.length;
       }
 
+      // Validar segmento de audiencia si se está actualizando
+      if (updates.segmentId) {
+        const segment = await AudienceSegment.getById(updates.segmentId);
+        if (!segment || !segment.isActive) {
+          return ResponseHandler.validationError(res, `El segmento ${updates.segmentId} no existe`);
+        }
+      }
+
+      // Validar plantilla de WhatsApp si se está actualizando
+      if (updates.templateId) {
+        const template = await WhatsAppTemplate.getById(updates.templateId);
+        if (!template || !template.isUsable()) {
+          return ResponseHandler.validationError(res, `La plantilla ${updates.templateId} no existe o no está aprobada`);
+        }
+      }
+
       await campaign.update(updates);
 
       logger.info('Campaña actualizada', {
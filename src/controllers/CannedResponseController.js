@@ -0,0 +1,305 @@
+const CannedResponse = require('../models/CannedResponse');
+const CannedResponseService = require('../services/CannedResponseService');
+const ConversationService = require('../services/ConversationService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Controlador de la biblioteca de respuestas guardadas
+ */
+class CannedResponseController {
+  /**
+   * Listar respuestas visibles para el usuario
+   */
+  static async list (req, res, next) {
+    try {
+      const { category, scope } = req.query;
+      const responses = await CannedResponseService.listForUser(req.user, { category, scope });
+
+      return ResponseHandler.success(res, {
+        responses: responses.map(response => response.toJSON()),
+        total: responses.length,
+      }, 'Respuestas guardadas listadas correctamente');
+    } catch (error) {
+      logger.error('Error al listar respuestas guardadas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Buscar por atajo o texto
+   */
+  static async search (req, res, next) {
+    try {
+      const { q, category, limit } = req.query;
+      const responses = await CannedResponseService.search(req.user, q, {
+        category,
+        limit: parseInt(limit) || 20,
+      });
+
+      return ResponseHandler.success(res, {
+        responses: responses.map(response => response.toJSON()),
+        total: responses.length,
+      }, 'Búsqueda de respuestas completada');
+    } catch (error) {
+      logger.error('Error al buscar respuestas guardadas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Estadísticas de uso
+   */
+  static async getStats (req, res, next) {
+    try {
+      const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+      const startDate = req.query.startDate
+        ? new Date(req.query.startDate)
+        : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      const stats = await CannedResponseService.getUsageStats(req.user, {
+        startDate,
+        endDate,
+        limit: parseInt(req.query.limit) || 10,
+      });
+
+      return ResponseHandler.success(res, {
+        period: { startDate: startDate.toISOString(), endDate: endDate.toISOString() },
+        ...stats,
+      }, 'Estadísticas de respuestas guardadas obtenidas');
+    } catch (error) {
+      logger.error('Error al obtener estadísticas de respuestas guardadas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Crear respuesta guardada
+   */
+  static async create (req, res, next) {
+    try {
+      const { fileIds = [], ...body } = req.body;
+      const draft = {
+        ...body,
+        shortcut: CannedResponseService.normalizeShortcut(body.shortcut),
+        teamId: body.scope === 'team' ? (body.teamId || req.user.department) : null,
+        ownerId: body.scope === 'personal' ? req.user.id : null,
+      };
+
+      const invalid = await CannedResponseController.validateDraft(req, res, draft, fileIds);
+      if (invalid) return;
+
+      const { attachments } = await CannedResponseService.resolveAttachments(fileIds);
+      const response = await CannedResponse.create({
+        ...draft,
+        attachments,
+        createdBy: req.user.id,
+      });
+
+      logger.info('Respuesta guardada creada', {
+        responseId: response.id,
+        shortcut: response.shortcut,
+        scope: response.scope,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.created(res, response.toJSON(), 'Respuesta guardada creada exitosamente');
+    } catch (error) {
+      logger.error('Error al crear respuesta guardada:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener respuesta por ID
+   */
+  static async getById (req, res, next) {
+    try {
+      const response = await CannedResponseController.findVisible(req, res);
+      if (!response) return;
+
+      return ResponseHandler.success(res, response.toJSON(), 'Respuesta guardada obtenida correctamente');
+    } catch (error) {
+      logger.error('Error al obtener respuesta guardada:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar respuesta guardada
+   */
+  static async update (req, res, next) {
+    try {
+      const response = await CannedResponseController.findVisible(req, res);
+      if (!response) return;
+
+      if (!CannedResponseService.canManage(response, req.user)) {
+        return ResponseHandler.authorizationError(res, 'No puedes modificar esta respuesta guardada');
+      }
+
+      const { fileIds, ...body } = req.body;
+      const updates = { ...body };
+      if (body.shortcut !== undefined) updates.shortcut = CannedResponseService.normalizeShortcut(body.shortcut);
+      if (body.scope !== undefined && body.scope !== response.scope) {
+        updates.teamId = body.scope === 'team' ? (body.teamId || req.user.department) : null;
+        updates.ownerId = body.scope === 'personal' ? req.user.id : null;
+      }
+
+      const draft = { ...response.toJSON(), ...updates, id: response.id };
+      const invalid = await CannedResponseController.validateDraft(req, res, draft, fileIds || []);
+      if (invalid) return;
+
+      if (fileIds !== undefined) {
+        updates.attachments = (await CannedResponseService.resolveAttachments(fileIds)).attachments;
+      }
+
+      await response.update(updates);
+
+      logger.info('Respuesta guardada actualizada', {
+        responseId: response.id,
+        updatedBy: req.user.id,
+        fields: Object.keys(req.body),
+      });
+
+      return ResponseHandler.success(res, response.toJSON(), 'Respuesta guardada actualizada exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar respuesta guardada:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar respuesta guardada (soft delete)
+   */
+  static async delete (req, res, next) {
+    try {
+      const response = await CannedResponseController.findVisible(req, res);
+      if (!response) return;
+
+      if (!CannedResponseService.canManage(response, req.user)) {
+        return ResponseHandler.authorizationError(res, 'No puedes eliminar esta respuesta guardada');
+      }
+
+      await response.delete();
+
+      logger.info('Respuesta guardada eliminada', {
+        responseId: response.id,
+        deletedBy: req.user.id,
+      });
+
+      return ResponseHandler.deleted(res, 'Respuesta guardada eliminada exitosamente');
+    } catch (error) {
+      logger.error('Error al eliminar respuesta guardada:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Usar respuesta: rellena placeholders para la conversación y registra el uso
+   */
+  static async use (req, res, next) {
+    try {
+      const response = await CannedResponseController.findVisible(req, res);
+      if (!response) return;
+
+      let conversation = null;
+      if (req.body.conversationId) {
+        conversation = await ConversationService.getConversationById(req.body.conversationId);
+        if (!conversation) {
+          return ResponseHandler.notFoundError(res, `No se encontró una conversación con ID ${req.body.conversationId}`);
+        }
+      }
+
+      const result = await CannedResponseService.use(response, { user: req.user, conversation });
+
+      return ResponseHandler.success(res, result, 'Respuesta guardada lista para enviar');
+    } catch (error) {
+      logger.error('Error al usar respuesta guardada:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Publicar respuesta en la base de conocimiento
+   */
+  static async promoteToKnowledge (req, res, next) {
+    try {
+      const response = await CannedResponseController.findVisible(req, res);
+      if (!response) return;
+
+      if (response.scope === 'personal') {
+        return ResponseHandler.validationError(res, 'Solo las respuestas globales o de equipo pueden publicarse');
+      }
+
+      if (!CannedResponseService.canManage(response, req.user)) {
+        return ResponseHandler.authorizationError(res, 'Solo administradores o supervisores pueden publicar respuestas');
+      }
+
+      const { knowledge, created } = await CannedResponseService.promoteToKnowledge(response, req.user);
+      const payload = { responseId: response.id, knowledge: knowledge.toJSON() };
+
+      return created
+        ? ResponseHandler.created(res, payload, 'Respuesta publicada en la base de conocimiento')
+        : ResponseHandler.success(res, payload, 'La respuesta ya estaba publicada en la base de conocimiento');
+    } catch (error) {
+      logger.error('Error al publicar respuesta guardada:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Validar permisos, atajo único y adjuntos; responde y devuelve true si es inválida
+   */
+  static async validateDraft (req, res, draft, fileIds) {
+    if (!CannedResponseService.canManage(draft, req.user)) {
+      ResponseHandler.authorizationError(res, 'Solo administradores o supervisores pueden gestionar respuestas globales o de equipo');
+      return true;
+    }
+
+    if (!draft.shortcut) {
+      ResponseHandler.validationError(res, 'El atajo debe contener letras o números');
+      return true;
+    }
+
+    if (draft.scope === 'team' && !draft.teamId) {
+      ResponseHandler.validationError(res, 'Las respuestas de equipo requieren teamId (o un usuario con departamento)');
+      return true;
+    }
+
+    const conflict = await CannedResponseService.findShortcutConflict(draft.shortcut, {
+      scope: draft.scope,
+      teamId: draft.teamId,
+      ownerId: draft.ownerId,
+      excludeId: draft.id || null,
+    });
+    if (conflict) {
+      ResponseHandler.conflictError(res, `El atajo ${draft.shortcut} ya está en uso`);
+      return true;
+    }
+
+    const { missing } = await CannedResponseService.resolveAttachments(fileIds);
+    if (missing.length > 0) {
+      ResponseHandler.validationError(res, 'Archivos adjuntos no encontrados', missing.map(fileId => ({ field: 'fileIds', value: fileId })));
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Buscar respuesta activa visible; responde 404 y devuelve null si no existe
+   */
+  static async findVisible (req, res) {
+    const { responseId } = req.params;
+    const response = await CannedResponse.getById(responseId);
+
+    if (!response || !response.isActive || !CannedResponseService.isVisibleTo(response, req.user)) {
+      ResponseHandler.notFoundError(res, `No se encontró una respuesta guardada con ID ${responseId}`);
+      return null;
+    }
+
+    return response;
+  }
+}
+
+module.exports = CannedResponseController;
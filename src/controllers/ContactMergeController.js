@@ -0,0 +1,128 @@
+const Contact = require('../models/Contact');
+const ContactMerge = require('../models/ContactMerge');
+const ContactMergeService = require('../services/ContactMergeService');
+const logger = require('../utils/logger');
+const { ResponseHandler, ApiError } = require('../utils/responseHandler');
+
+/**
+ * Controlador de deduplicación y fusión de contactos
+ */
+class ContactMergeController {
+  /**
+   * Listar grupos de contactos duplicados
+   */
+  static async listDuplicates (req, res, next) {
+    try {
+      const { nameThreshold, limit } = req.query;
+      const groups = await ContactMergeService.findDuplicates({ nameThreshold, limit });
+
+      return ResponseHandler.success(res, {
+        groups,
+        total: groups.length,
+      }, 'Duplicados detectados correctamente');
+    } catch (error) {
+      logger.error('Error al detectar contactos duplicados:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Posibles duplicados de un contacto
+   */
+  static async listContactDuplicates (req, res, next) {
+    try {
+      const { contactId } = req.params;
+      const contact = await Contact.getById(contactId);
+      if (!contact) {
+        return ResponseHandler.notFoundError(res, `No se encontró un contacto con ID ${contactId}`);
+      }
+
+      const candidates = await ContactMergeService.findDuplicatesFor(contactId, { nameThreshold: req.query.nameThreshold });
+
+      return ResponseHandler.success(res, {
+        contactId,
+        candidates,
+        total: candidates.length,
+      }, 'Duplicados del contacto obtenidos correctamente');
+    } catch (error) {
+      logger.error('Error al obtener duplicados del contacto:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Fusionar contactos en el superviviente
+   */
+  static async merge (req, res, next) {
+    try {
+      const { survivorId, mergedIds, reason } = req.body;
+      const merge = await ContactMergeService.merge({ survivorId, mergedIds, reason, user: req.user });
+      const survivor = await Contact.getById(survivorId);
+
+      return ResponseHandler.created(res, {
+        merge: merge.toJSON(),
+        contact: survivor ? survivor.toJSON() : null,
+      }, 'Contactos fusionados exitosamente');
+    } catch (error) {
+      logger.error('Error al fusionar contactos:', error);
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Historial de fusiones
+   */
+  static async listMerges (req, res, next) {
+    try {
+      const { contactId, limit } = req.query;
+      const merges = await ContactMerge.list({ contactId, limit });
+
+      return ResponseHandler.success(res, {
+        merges: merges.map(merge => merge.toJSON()),
+        total: merges.length,
+      }, 'Fusiones listadas correctamente');
+    } catch (error) {
+      logger.error('Error al listar fusiones de contactos:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Detalle de una fusión
+   */
+  static async getMerge (req, res, next) {
+    try {
+      const merge = await ContactMerge.getById(req.params.mergeId);
+      if (!merge) {
+        return ResponseHandler.notFoundError(res, `No se encontró una fusión con ID ${req.params.mergeId}`);
+      }
+
+      return ResponseHandler.success(res, merge.toJSON(), 'Fusión obtenida correctamente');
+    } catch (error) {
+      logger.error('Error al obtener fusión de contactos:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Deshacer una fusión
+   */
+  static async undoMerge (req, res, next) {
+    try {
+      const merge = await ContactMergeService.undo(req.params.mergeId, req.user);
+
+      return ResponseHandler.success(res, merge.toJSON(), 'Fusión deshecha exitosamente');
+    } catch (error) {
+      logger.error('Error al deshacer fusión de contactos:', error);
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error);
+      }
+      next(error);
+    }
+  }
+}
+
+module.exports = ContactMergeController;
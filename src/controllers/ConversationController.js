@@ -63,7 +63,11 @@ class ConversationController {
         status: statusFilter = 'all',
         search = '',
         limit = '20',
-        page = '1'
+        page = '1',
+        sentiment,
+        intent,
+        urgency,
+        negativeTrend
       } = req.query || {};
 
       const userEmail = req.user.email;
@@ -93,13 +97,17 @@ class ConversationController {
         filters: {
           status: statusFilter && statusFilter !== 'all' ? statusFilter : undefined,
           search: search ? search.trim() : undefined,
+          sentiment,
+          intent,
+          urgency,
+          negativeTrend,
           limit: limitNum,
           page: pageNum
         }
       });
 
       // 🔧 CACHE: Generar clave única para cache
-      const cacheKey = `conversations:${userEmail}:${statusFilter}:${search}:${limitNum}:${pageNum}`;
+      const cacheKey = `conversations:${req.user.workspaceId}:${userEmail}:${statusFilter}:${search}:${limitNum}:${pageNum}`;
       
       // 🔧 CACHE: Intentar obtener del cache primero
       let result = cacheService.get(cacheKey);
@@ -202,6 +210,18 @@ class ConversationController {
         });
       }
 
+      // Filtros por resumen de sentimiento/intención (post-snapshot)
+      if (sentiment || intent || urgency || negativeTrend !== undefined) {
+        filteredConversations = filteredConversations.filter(conv => {
+          const summary = conv.sentimentSummary || {};
+          if (sentiment && summary.lastSentiment !== sentiment) return false;
+          if (intent && summary.lastIntent !== intent) return false;
+          if (urgency && summary.urgencyLevel !== urgency) return false;
+          if (negativeTrend !== undefined && String(summary.negativeTrend === true) !== String(negativeTrend)) return false;
+          return true;
+        });
+      }
+
       // Helper para convertir timestamps a milisegundos
       function toMs(ts) {
         if (!ts) return null;
@@ -743,7 +763,6 @@ class ConversationController {
       // 📡 EMITIR EVENTOS WEBSOCKET (ESPECÍFICOS POR WORKSPACE/TENANT)
       const socketManager = req.app.get('socketManager');
       if (socketManager) {
-        // 🔧 USAR broadcastToWorkspace EN VEZ DE io.emit GLOBAL
         const broadcastData = {
           workspaceId: req.user.workspaceId || 'default_workspace',
           tenantId: req.user.tenantId || 'default_tenant',
@@ -755,8 +774,7 @@ class ConversationController {
           }
         };
         
-        // 🔧 FIX: usar io.emit global ya que broadcastToWorkspace no existe
-        socketManager.io.emit(broadcastData.event, broadcastData.payload);
+        socketManager.broadcastToWorkspace(broadcastData);
         
         logger.info('📡 Evento conversation-created emitido al workspace', {
           conversationId: conversation.id,
@@ -780,8 +798,7 @@ class ConversationController {
             }
           };
           
-          // 🔧 FIX: usar io.emit global ya que broadcastToWorkspace no existe
-          socketManager.io.emit(assignmentData.event, assignmentData.payload);
+          socketManager.broadcastToWorkspace(assignmentData);
         }
       }
 
@@ -943,7 +960,7 @@ class ConversationController {
           }
         };
         
-        socketManager.io.emit(broadcastData.event, broadcastData.payload);
+        socketManager.broadcastToWorkspace(broadcastData);
       }
 
       logger.info('Conversación asignada', {
@@ -1070,8 +1087,7 @@ class ConversationController {
           }
         };
         
-        // 🔧 FIX: usar io.emit global ya que broadcastToWorkspace no existe
-        socketManager.io.emit(broadcastData.event, broadcastData.payload);
+        socketManager.broadcastToWorkspace(broadcastData);
       }
 
       logger.info('Conversación desasignada', {
@@ -1166,8 +1182,7 @@ class ConversationController {
           }
         };
         
-        // 🔧 FIX: usar io.emit global ya que broadcastToWorkspace no existe
-        socketManager.io.emit(broadcastData.event, broadcastData.payload);
+        socketManager.broadcastToWorkspace(broadcastData);
       }
 
       logger.info('Conversación transferida', {
@@ -1292,8 +1307,7 @@ class ConversationController {
           }
         };
         
-        // 🔧 FIX: usar io.emit global ya que broadcastToWorkspace no existe
-        socketManager.io.emit(broadcastData.event, broadcastData.payload);
+        socketManager.broadcastToWorkspace(broadcastData);
       }
 
       logger.info('Prioridad de conversación cambiada', {
@@ -28,7 +28,9 @@ const cacheService = require('../services/CacheService');
 const batchService = require('../services/BatchService');
 const shardingService = require('../services/ShardingService');
 const campaignQueueService = require('../services/CampaignQueueService');
+const SlaService = require('../services/SlaService');
 const { ResponseHandler } = require('../utils/responseHandler');
+const { getTenant, getDefaultTenant } = require('../utils/tenantContext');
 
 class EnterpriseDashboardController {
   // Cache TTL configuration
@@ -79,12 +81,14 @@ class EnterpriseDashboardController {
           campaignStats,
           userActivity,
           recentActivity,
+          slaStats,
         ] = await Promise.all([
           this.getCachedMessageMetrics(userId, start, end),
           this.getCachedContactMetrics(userId, start, end),
           this.getCachedCampaignMetrics(userId, start, end),
           this.getCachedUserActivityMetrics(userId, start, end),
           this.getCachedRecentActivityData(userId, 10),
+          this.getCachedSlaMetrics(start, end),
         ]);
 
         metrics = {
@@ -98,10 +102,13 @@ class EnterpriseDashboardController {
             totalContacts: contactStats.total,
             totalCampaigns: campaignStats.total,
             activeUsers: userActivity.activeUsers,
+            slaFirstResponseCompliance: slaStats?.firstResponse.complianceRate ?? null,
+            slaResolutionCompliance: slaStats?.resolution.complianceRate ?? null,
           },
           messages: messageStats,
           contacts: contactStats,
           campaigns: campaignStats,
+          sla: slaStats,
           userActivity,
           recentActivity,
           trends: await this.getCachedTrendData(userId, start, end),
@@ -437,6 +444,32 @@ class EnterpriseDashboardController {
     return stats;
   }
 
+  /**
+   * ⏱️ OBTENER CUMPLIMIENTO SLA (CACHED)
+   * Métrica del workspace completo; si falla no bloquea el dashboard
+   */
+  static async getCachedSlaMetrics(startDate, endDate) {
+    const { workspaceId, tenantId } = getTenant() || getDefaultTenant();
+    const cacheKey = `sla_metrics:${workspaceId}:${tenantId}:${startDate.toISOString()}:${endDate.toISOString()}`;
+
+    let stats = await cacheService.get(cacheKey);
+
+    if (!stats) {
+      try {
+        stats = await SlaService.getComplianceMetrics(startDate, endDate);
+        await cacheService.set(cacheKey, stats, this.CACHE_TTL.STATS);
+      } catch (error) {
+        logger.warn('No se pudo calcular cumplimiento SLA', {
+          category: 'DASHBOARD_SLA_METRICS_ERROR',
+          error: error.message
+        });
+        return null;
+      }
+    }
+
+    return stats;
+  }
+
   /**
    * 👤 OBTENER MÉTRICAS DE ACTIVIDAD DE USUARIOS (CACHED)
    */
@@ -247,6 +247,13 @@ class EmployeeController {
         });
       }
 
+      if (employee.isLocked()) {
+        return res.status(409).json({
+          success: false,
+          error: 'El expediente está bloqueado por una baja con finiquito registrada'
+        });
+      }
+
       // Guardar valores anteriores para el historial
       const oldValues = {
         personalInfo: { ...employee.personalInfo },
@@ -376,6 +383,13 @@ class EmployeeController {
         });
       }
 
+      if (employee.isLocked()) {
+        return res.status(409).json({
+          success: false,
+          error: 'El expediente está bloqueado por una baja con finiquito registrada'
+        });
+      }
+
       await employee.delete(deletedBy);
 
       // Registrar en historial
@@ -0,0 +1,101 @@
+const SettlementService = require('../services/SettlementService');
+const EmployeeHistory = require('../models/EmployeeHistory');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador de Bajas de Empleados
+ * Finiquito / liquidación y bloqueo del expediente
+ */
+class EmployeeTerminationController {
+
+  /**
+   * Código HTTP según el mensaje de error del servicio
+   */
+  static errorStatus(error) {
+    if (/no encontrad/i.test(error.message || '')) {
+      return 404;
+    }
+    return /bloquead/i.test(error.message || '') ? 409 : 400;
+  }
+
+  /**
+   * Vista previa del finiquito (no guarda)
+   * POST /api/employees/:id/termination/preview
+   */
+  static async preview(req, res) {
+    try {
+      const settlement = await SettlementService.preview(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        data: settlement
+      });
+    } catch (error) {
+      logger.error('Error calculando finiquito:', error);
+      res.status(EmployeeTerminationController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error calculando finiquito'
+      });
+    }
+  }
+
+  /**
+   * Registrar la baja con su finiquito y bloquear el expediente
+   * POST /api/employees/:id/termination
+   */
+  static async terminate(req, res) {
+    try {
+      const settlement = await SettlementService.terminate(req.params.id, req.body, req.user);
+
+      await EmployeeHistory.createHistoryRecord(
+        req.params.id,
+        'status_change',
+        `Baja registrada con ${settlement.type}`,
+        {
+          action: 'termination',
+          settlementId: settlement.id,
+          reason: settlement.reason,
+          terminationDate: settlement.terminationDate,
+          netAmount: settlement.netAmount
+        },
+        req.user?.id || null,
+        req
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Baja registrada exitosamente',
+        data: settlement
+      });
+    } catch (error) {
+      logger.error('Error registrando baja de empleado:', error);
+      res.status(EmployeeTerminationController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error registrando baja de empleado'
+      });
+    }
+  }
+
+  /**
+   * Obtener el finiquito registrado
+   * GET /api/employees/:id/termination
+   */
+  static async getSettlement(req, res) {
+    try {
+      const settlement = await SettlementService.getSettlement(req.params.id);
+
+      res.json({
+        success: true,
+        data: settlement
+      });
+    } catch (error) {
+      logger.error('Error obteniendo finiquito:', error);
+      res.status(EmployeeTerminationController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error obteniendo finiquito'
+      });
+    }
+  }
+}
+
+module.exports = EmployeeTerminationController;
@@ -0,0 +1,189 @@
+const Mention = require('../models/Mention');
+const InternalNoteService = require('../services/InternalNoteService');
+const ConversationService = require('../services/ConversationService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Controlador de notas internas, menciones y transcripción de conversaciones
+ */
+class InternalNoteController {
+  /**
+   * Crear nota interna (no se envía al cliente)
+   */
+  static async createNote (req, res, next) {
+    try {
+      const conversation = await InternalNoteController.findConversation(req, res);
+      if (!conversation) return;
+
+      const { content, mentions } = req.body;
+      const result = await InternalNoteService.createNote({
+        conversation,
+        author: req.user,
+        content,
+        mentions,
+      });
+
+      return ResponseHandler.created(res, {
+        note: result.message,
+        mentions: result.mentions.map(mention => mention.toJSON()),
+        unresolvedMentions: result.unresolved,
+      }, 'Nota interna creada exitosamente');
+    } catch (error) {
+      logger.error('Error al crear nota interna:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Listar notas internas de la conversación
+   */
+  static async listNotes (req, res, next) {
+    try {
+      const conversation = await InternalNoteController.findConversation(req, res);
+      if (!conversation) return;
+
+      const notes = await InternalNoteService.listNotes(conversation);
+
+      return ResponseHandler.success(res, {
+        conversationId: conversation.id,
+        notes,
+        total: notes.length,
+      }, 'Notas internas listadas correctamente');
+    } catch (error) {
+      logger.error('Error al listar notas internas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Exportar transcripción (sin notas internas salvo includeInternalNotes=true)
+   */
+  static async exportTranscript (req, res, next) {
+    try {
+      const conversation = await InternalNoteController.findConversation(req, res);
+      if (!conversation) return;
+
+      const { format, includeInternalNotes } = req.query;
+      const entries = await InternalNoteService.buildTranscript(conversation, { includeInternalNotes });
+
+      logger.info('Transcripción de conversación exportada', {
+        conversationId: conversation.id,
+        format,
+        includeInternalNotes,
+        entries: entries.length,
+        exportedBy: req.user.email,
+      });
+
+      if (format === 'txt') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=transcript_${conversation.id}_${Date.now()}.txt`);
+        return res.send(InternalNoteService.formatTranscriptText(conversation, entries));
+      }
+
+      return ResponseHandler.success(res, {
+        conversationId: conversation.id,
+        includeInternalNotes,
+        messages: entries,
+        total: entries.length,
+      }, 'Transcripción generada correctamente');
+    } catch (error) {
+      logger.error('Error al exportar transcripción:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Feed de menciones del usuario
+   */
+  static async listMentions (req, res, next) {
+    try {
+      const { unreadOnly, limit } = req.query;
+      const [mentions, unreadCount] = await Promise.all([
+        Mention.listForUser(req.user.email, { unreadOnly, limit }),
+        Mention.countUnread(req.user.email),
+      ]);
+
+      return ResponseHandler.success(res, {
+        mentions: mentions.map(mention => mention.toJSON()),
+        total: mentions.length,
+        unreadCount,
+      }, 'Menciones listadas correctamente');
+    } catch (error) {
+      logger.error('Error al listar menciones:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Conteo de menciones sin leer
+   */
+  static async getUnreadCount (req, res, next) {
+    try {
+      const unreadCount = await Mention.countUnread(req.user.email);
+
+      return ResponseHandler.success(res, { unreadCount }, 'Conteo de menciones obtenido');
+    } catch (error) {
+      logger.error('Error al contar menciones:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Marcar una mención como leída
+   */
+  static async markRead (req, res, next) {
+    try {
+      const { mentionId } = req.params;
+      const mention = await Mention.getById(mentionId);
+
+      if (!mention || mention.userEmail !== String(req.user.email).toLowerCase()) {
+        return ResponseHandler.notFoundError(res, `No se encontró una mención con ID ${mentionId}`);
+      }
+
+      await mention.markRead();
+
+      return ResponseHandler.success(res, mention.toJSON(), 'Mención marcada como leída');
+    } catch (error) {
+      logger.error('Error al marcar mención como leída:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Marcar todas las menciones como leídas (opcionalmente de una conversación)
+   */
+  static async markAllRead (req, res, next) {
+    try {
+      const { conversationId } = req.body;
+      const markedCount = await Mention.markAllRead(req.user.email, { conversationId });
+
+      return ResponseHandler.success(res, { markedCount }, `${markedCount} menciones marcadas como leídas`);
+    } catch (error) {
+      logger.error('Error al marcar menciones como leídas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Buscar conversación; responde 404 y devuelve null si no existe
+   */
+  static async findConversation (req, res) {
+    const conversationId = req.normalizedConversationId || req.params.id;
+    const conversation = await ConversationService.getConversationById(conversationId);
+
+    if (!conversation || !conversation.contactId) {
+      ResponseHandler.notFoundError(res, `No se encontró una conversación con ID ${conversationId}`);
+      return null;
+    }
+
+    if (req.user.role === 'viewer' && conversation.assignedTo !== req.user.email) {
+      ResponseHandler.authorizationError(res, 'No tienes acceso a esta conversación');
+      return null;
+    }
+
+    return conversation;
+  }
+}
+
+module.exports = InternalNoteController;
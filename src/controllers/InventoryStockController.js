@@ -0,0 +1,156 @@
+/**
+ * 📒 CONTROLADOR DE STOCK (KARDEX)
+ *
+ * Existencias, movimientos por material y documentos de salida, consumo y ajuste.
+ *
+ * @version 1.0.0
+ */
+
+const StockLedgerService = require('../services/StockLedgerService');
+const { ResponseHandler, CommonErrors, ApiError } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+class InventoryStockController {
+  /**
+   * GET /api/inventory/stock/balances
+   * Existencias por material, categoría, proveedor y ubicación
+   */
+  static async getBalances(req, res, next) {
+    try {
+      const { materialId, category, providerId, location, includeZero } = req.query;
+
+      const options = {
+        materialId: materialId || '',
+        category: category || '',
+        providerId: providerId || '',
+        location: location || '',
+        includeZero: includeZero === 'true'
+      };
+
+      const service = new StockLedgerService();
+      const result = await service.getBalances(options);
+
+      return ResponseHandler.success(res, result, 'Existencias obtenidas exitosamente');
+    } catch (error) {
+      logger.error('Error en getStockBalances', { error: error.message });
+
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error, error.statusCode);
+      }
+
+      return ResponseHandler.error(res, CommonErrors.INTERNAL_SERVER_ERROR('Error obteniendo existencias'));
+    }
+  }
+
+  /**
+   * GET /api/inventory/stock/kardex/:materialId
+   * Historial de movimientos de un material
+   * Paginado con ?startAfter=<nextCursor>; balanceAfter es el saldo corrido
+   * del proveedor y ubicación de cada movimiento
+   */
+  static async getKardex(req, res, next) {
+    try {
+      // ✅ CORRECCIÓN: Usar email como userId (estructura del sistema)
+      const userId = req.user.email || req.user.id;
+      const { materialId } = req.params;
+      const { providerId, location, startDate, endDate, limit, startAfter } = req.query;
+
+      const options = {
+        providerId: providerId || '',
+        location: location || '',
+        startDate: startDate || null,
+        endDate: endDate || null,
+        limit: parseInt(limit) || 100,
+        startAfter: startAfter || null
+      };
+
+      const service = new StockLedgerService();
+      const kardex = await service.getKardex(userId, materialId, options);
+
+      return ResponseHandler.success(res, kardex, 'Kardex obtenido exitosamente');
+    } catch (error) {
+      logger.error('Error en getKardex', { error: error.message });
+
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error, error.statusCode);
+      }
+
+      return ResponseHandler.error(res, CommonErrors.INTERNAL_SERVER_ERROR('Error obteniendo kardex'));
+    }
+  }
+
+  /**
+   * GET /api/inventory/stock/documents
+   * Lista documentos de salida, consumo y ajuste
+   */
+  static async listDocuments(req, res, next) {
+    try {
+      const { type, limit, offset } = req.query;
+
+      const service = new StockLedgerService();
+      const result = await service.listDocuments({
+        type: type || '',
+        limit: parseInt(limit) || 50,
+        offset: parseInt(offset) || 0
+      });
+
+      return ResponseHandler.success(res, result, 'Documentos de stock obtenidos exitosamente');
+    } catch (error) {
+      logger.error('Error en listStockDocuments', { error: error.message });
+
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error, error.statusCode);
+      }
+
+      return ResponseHandler.error(res, CommonErrors.INTERNAL_SERVER_ERROR('Error listando documentos de stock'));
+    }
+  }
+
+  /**
+   * GET /api/inventory/stock/documents/:documentId
+   * Obtiene un documento de stock
+   */
+  static async getDocument(req, res, next) {
+    try {
+      const service = new StockLedgerService();
+      const document = await service.getDocument(req.params.documentId);
+
+      return ResponseHandler.success(res, document, 'Documento de stock obtenido exitosamente');
+    } catch (error) {
+      logger.error('Error en getStockDocument', { error: error.message });
+
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error, error.statusCode);
+      }
+
+      return ResponseHandler.error(res, CommonErrors.INTERNAL_SERVER_ERROR('Error obteniendo documento de stock'));
+    }
+  }
+
+  /**
+   * POST /api/inventory/stock/documents
+   * Registra una salida (outbound), consumo (consumption) o ajuste (adjustment)
+   */
+  static async createDocument(req, res, next) {
+    try {
+      // ✅ CORRECCIÓN: Usar email como userId (estructura del sistema)
+      const userId = req.user.email || req.user.id;
+      const createdBy = req.user.email || req.user.id;
+
+      const service = new StockLedgerService();
+      const document = await service.createDocument(userId, req.body, createdBy);
+
+      return ResponseHandler.created(res, document, 'Documento de stock registrado exitosamente');
+    } catch (error) {
+      logger.error('Error en createStockDocument', { error: error.message });
+
+      if (error instanceof ApiError) {
+        return ResponseHandler.error(res, error, error.statusCode);
+      }
+
+      return ResponseHandler.error(res, CommonErrors.INTERNAL_SERVER_ERROR('Error registrando documento de stock'));
+    }
+  }
+}
+
+module.exports = InventoryStockController;
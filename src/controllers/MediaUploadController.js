@@ -1929,7 +1929,8 @@ class MediaUploadController {
       const socketManager = socketIndex.getSocketManager();
       
       if (socketManager?.io) {
-        socketManager.io.emit('file-upload-error', {
+        // Solo al usuario que subió el archivo
+        socketManager.io.to(`user-${String(userEmail || '').toLowerCase()}`).emit('file-upload-error', {
           fileId: `temp_${Date.now()}`,
           fileName: file?.originalname,
           error: errorMessage,
@@ -25,6 +25,8 @@ const { ResponseHandler, CommonErrors, ApiError } = require('../utils/responseHa
 const { validatePhoneNumber } = require('../middleware/phoneValidation');
 const FileService = require('../services/FileService');
 const MessageService = require('../services/MessageService');
+const WhatsAppTemplateService = require('../services/WhatsAppTemplateService');
+const Contact = require('../models/Contact');
 
 class MessageController {
   /**
@@ -1292,6 +1294,99 @@ class MessageController {
     }
   }
 
+  /**
+   * 📝 POST /api/messages/send-template
+   * Envía una plantilla aprobada de WhatsApp (fuera de la ventana de 24 horas)
+   * Las variables se llenan desde el contacto y pueden sobrescribirse en el body
+   */
+  static async sendTemplateMessage(req, res, next) {
+    try {
+      const { to, templateId, variables = {}, conversationId } = req.body;
+
+      let template;
+      try {
+        template = await WhatsAppTemplateService.getUsableTemplate(templateId);
+      } catch (templateError) {
+        throw new ApiError(
+          'TEMPLATE_NOT_AVAILABLE',
+          templateError.message,
+          'Usa una plantilla registrada y aprobada',
+          404
+        );
+      }
+
+      const contact = await Contact.getByPhone(to);
+      const prepared = WhatsAppTemplateService.prepareMessage(template, contact, variables);
+
+      if (!prepared.ready) {
+        throw new ApiError(
+          'TEMPLATE_VARIABLES_UNRESOLVED',
+          `Variables de plantilla sin resolver: ${prepared.missing.join(', ')}`,
+          'Proporciona los valores faltantes en "variables" o completa los datos del contacto',
+          400,
+          { missing: prepared.missing }
+        );
+      }
+
+      const messageService = getMessageService();
+      const sentMessage = await messageService.sendWhatsAppTemplate({
+        from: process.env.TWILIO_WHATSAPP_NUMBER,
+        to,
+        contentSid: prepared.contentSid,
+        contentVariables: prepared.contentVariables
+      });
+
+      // Si se proporciona conversationId, guardar en la conversación
+      if (conversationId) {
+        const conversationsRepo = getConversationsRepository();
+        await conversationsRepo.appendOutbound({
+          conversationId,
+          messageId: sentMessage.sid,
+          content: prepared.body,
+          type: 'text',
+          direction: 'outbound',
+          status: 'sent',
+          senderIdentifier: req.user.email,
+          recipientIdentifier: to,
+          timestamp: new Date(),
+          metadata: {
+            sentBy: req.user.email,
+            sentAt: new Date().toISOString(),
+            twilioSid: sentMessage.sid,
+            templateId: template.id,
+            contentSid: prepared.contentSid,
+            contentVariables: prepared.contentVariables
+          }
+        });
+      }
+
+      logger.info('Plantilla de WhatsApp enviada exitosamente', {
+        userEmail: req.user.email,
+        to,
+        templateId: template.id,
+        contentSid: prepared.contentSid,
+        conversationId: conversationId || 'none'
+      });
+
+      return ResponseHandler.success(res, {
+        messageId: sentMessage.sid,
+        twilioSid: sentMessage.sid,
+        status: sentMessage.status,
+        templateId: template.id,
+        rendered: prepared.body
+      }, 'Plantilla enviada exitosamente', 201);
+
+    } catch (error) {
+      logger.error('Error enviando plantilla de WhatsApp', {
+        error: error.message,
+        stack: error.stack,
+        userEmail: req.user?.email,
+        body: req.body
+      });
+      return ResponseHandler.error(res, error);
+    }
+  }
+
   /**
    * 🆕 POST /api/messages/send-sticker
    * Envía mensaje de sticker a un número específico
@@ -0,0 +1,387 @@
+const PayrollService = require('../services/PayrollService');
+const PayrollReceiptService = require('../services/PayrollReceiptService');
+const TaxCalculationService = require('../services/TaxCalculationService');
+const PayrollRun = require('../models/PayrollRun');
+const logger = require('../utils/logger');
+
+/**
+ * Controlador de Nómina
+ * Períodos de nómina y corridas por empleado (draft → approved → closed)
+ */
+class PayrollController {
+
+  /**
+   * Código HTTP según el mensaje de error del servicio
+   */
+  static errorStatus(error) {
+    return /no encontrad/i.test(error.message || '') ? 404 : 400;
+  }
+
+  /**
+   * Crear período de nómina
+   * POST /api/payroll/periods
+   */
+  static async createPeriod(req, res) {
+    try {
+      const period = await PayrollService.createPeriod(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Período de nómina creado exitosamente',
+        data: period
+      });
+    } catch (error) {
+      logger.error('Error creando período de nómina:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Error creando período de nómina'
+      });
+    }
+  }
+
+  /**
+   * Listar períodos de nómina
+   * GET /api/payroll/periods
+   */
+  static async listPeriods(req, res) {
+    try {
+      const { status, frequency, limit } = req.query;
+      const periods = await PayrollService.listPeriods({
+        status,
+        frequency,
+        limit: limit ? parseInt(limit) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: {
+          periods,
+          total: periods.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error listando períodos de nómina:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error listando períodos de nómina'
+      });
+    }
+  }
+
+  /**
+   * Obtener período con sus corridas
+   * GET /api/payroll/periods/:periodId
+   */
+  static async getPeriod(req, res) {
+    try {
+      const data = await PayrollService.getPeriod(req.params.periodId);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error obteniendo período de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error obteniendo período de nómina'
+      });
+    }
+  }
+
+  /**
+   * Generar corridas en borrador del período
+   * POST /api/payroll/periods/:periodId/runs
+   */
+  static async generateRuns(req, res) {
+    try {
+      const { employeeIds } = req.body || {};
+      const result = await PayrollService.generateRuns(req.params.periodId, { employeeIds }, req.user.id);
+
+      res.json({
+        success: true,
+        message: `${result.generated.length} corridas generadas`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error generando corridas de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error generando corridas de nómina'
+      });
+    }
+  }
+
+  /**
+   * Aprobar todas las corridas en borrador del período
+   * POST /api/payroll/periods/:periodId/approve
+   */
+  static async approvePeriod(req, res) {
+    try {
+      const result = await PayrollService.approvePeriod(req.params.periodId, req.user.id);
+
+      res.json({
+        success: true,
+        message: `${result.approved} corridas aprobadas`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error aprobando período de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error aprobando período de nómina'
+      });
+    }
+  }
+
+  /**
+   * Cerrar período de nómina
+   * POST /api/payroll/periods/:periodId/close
+   */
+  static async closePeriod(req, res) {
+    try {
+      const result = await PayrollService.closePeriod(req.params.periodId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Período de nómina cerrado exitosamente',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error cerrando período de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error cerrando período de nómina'
+      });
+    }
+  }
+
+  /**
+   * Obtener corrida de nómina
+   * GET /api/payroll/runs/:runId
+   */
+  static async getRun(req, res) {
+    try {
+      const run = await PayrollService.getRun(req.params.runId);
+
+      res.json({
+        success: true,
+        data: run
+      });
+    } catch (error) {
+      logger.error('Error obteniendo corrida de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error obteniendo corrida de nómina'
+      });
+    }
+  }
+
+  /**
+   * Recalcular corrida en borrador
+   * POST /api/payroll/runs/:runId/recalculate
+   */
+  static async recalculateRun(req, res) {
+    try {
+      const run = await PayrollService.recalculateRun(req.params.runId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Corrida de nómina recalculada',
+        data: run
+      });
+    } catch (error) {
+      logger.error('Error recalculando corrida de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error recalculando corrida de nómina'
+      });
+    }
+  }
+
+  /**
+   * Aprobar corrida
+   * POST /api/payroll/runs/:runId/approve
+   */
+  static async approveRun(req, res) {
+    try {
+      const run = await PayrollService.approveRun(req.params.runId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Corrida de nómina aprobada',
+        data: run
+      });
+    } catch (error) {
+      logger.error('Error aprobando corrida de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error aprobando corrida de nómina'
+      });
+    }
+  }
+
+  /**
+   * Generar recibo (PDF + XML) de una corrida
+   * POST /api/payroll/runs/:runId/receipt
+   */
+  static async generateReceipt(req, res) {
+    try {
+      const regenerate = req.query.regenerate === 'true';
+      const receipt = await PayrollReceiptService.generateReceipt(req.params.runId, req.user, { regenerate });
+
+      res.status(201).json({
+        success: true,
+        message: 'Recibo de nómina generado',
+        data: receipt
+      });
+    } catch (error) {
+      logger.error('Error generando recibo de nómina:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error generando recibo de nómina'
+      });
+    }
+  }
+
+  /**
+   * Generar recibos de todas las corridas aprobadas o cerradas del período
+   * POST /api/payroll/periods/:periodId/receipts
+   */
+  static async generatePeriodReceipts(req, res) {
+    try {
+      const regenerate = req.query.regenerate === 'true';
+      const result = await PayrollReceiptService.generatePeriodReceipts(req.params.periodId, req.user, { regenerate });
+
+      res.json({
+        success: true,
+        message: `${result.generated.length} recibos generados`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error generando recibos del período:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error generando recibos del período'
+      });
+    }
+  }
+
+  /**
+   * Historial de corridas de un empleado
+   * GET /api/payroll/employees/:employeeId/runs
+   */
+  static async getEmployeeRuns(req, res) {
+    try {
+      const { status, limit = 24 } = req.query;
+      const runs = await PayrollRun.findByEmployee(req.params.employeeId, {
+        status,
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          runs,
+          total: runs.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error obteniendo corridas del empleado:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo corridas del empleado'
+      });
+    }
+  }
+
+  /**
+   * Listar versiones de tablas fiscales
+   * GET /api/payroll/tax-tables
+   */
+  static async listTaxTables(req, res) {
+    try {
+      const tables = await TaxCalculationService.listTables();
+
+      res.json({
+        success: true,
+        data: {
+          tables,
+          total: tables.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error listando tablas fiscales:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error listando tablas fiscales'
+      });
+    }
+  }
+
+  /**
+   * Tabla fiscal vigente en una fecha
+   * GET /api/payroll/tax-tables/effective?date=YYYY-MM-DD
+   */
+  static async getEffectiveTaxTable(req, res) {
+    try {
+      const table = await TaxCalculationService.getTableForDate(req.query.date || new Date());
+
+      res.json({
+        success: true,
+        data: TaxCalculationService.serializeTable(table)
+      });
+    } catch (error) {
+      logger.error('Error obteniendo tabla fiscal vigente:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error obteniendo tabla fiscal vigente'
+      });
+    }
+  }
+
+  /**
+   * Obtener versión de tabla fiscal
+   * GET /api/payroll/tax-tables/:version
+   */
+  static async getTaxTable(req, res) {
+    try {
+      const table = await TaxCalculationService.getTable(req.params.version);
+
+      res.json({
+        success: true,
+        data: table
+      });
+    } catch (error) {
+      logger.error('Error obteniendo tabla fiscal:', error);
+      res.status(PayrollController.errorStatus(error)).json({
+        success: false,
+        message: error.message || 'Error obteniendo tabla fiscal'
+      });
+    }
+  }
+
+  /**
+   * Cargar nueva versión de tablas fiscales
+   * POST /api/payroll/tax-tables
+   */
+  static async createTaxTable(req, res) {
+    try {
+      const table = await TaxCalculationService.createTable(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Tabla fiscal ${table.version} cargada exitosamente`,
+        data: table
+      });
+    } catch (error) {
+      logger.error('Error cargando tabla fiscal:', error);
+      res.status(/ya existe/i.test(error.message || '') ? 409 : 400).json({
+        success: false,
+        message: error.message || 'Error cargando tabla fiscal'
+      });
+    }
+  }
+}
+
+module.exports = PayrollController;
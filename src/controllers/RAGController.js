@@ -89,7 +89,8 @@ class RAGController {
       // Subir documento
       const result = await new RAGService().uploadDocument(workspaceId, {
         title,
-        type,
+        // El tipo de un archivo subido lo define su MIME, no el formulario
+        type: req.file ? Document.getTypeFromMime(req.file.mimetype) : type,
         storagePath,
         tags,
         metadata: {
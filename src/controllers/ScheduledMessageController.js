@@ -0,0 +1,179 @@
+const File = require('../models/File');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const ScheduledMessageService = require('../services/ScheduledMessageService');
+const ConversationService = require('../services/ConversationService');
+const WhatsAppTemplateService = require('../services/WhatsAppTemplateService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+const EDITABLE_STATUSES = ['scheduled', 'failed'];
+
+/**
+ * Controlador de mensajes programados por conversación
+ */
+class ScheduledMessageController {
+  /**
+   * Listar mensajes programados de la conversación
+   */
+  static async list (req, res, next) {
+    try {
+      const conversation = await ScheduledMessageController.findConversation(req, res);
+      if (!conversation) return;
+
+      const scheduled = await ScheduledMessage.listByConversation(conversation.id, { status: req.query.status });
+
+      return ResponseHandler.success(res, {
+        conversationId: conversation.id,
+        scheduledMessages: scheduled.map(item => item.toJSON()),
+        total: scheduled.length,
+      }, 'Mensajes programados listados correctamente');
+    } catch (error) {
+      logger.error('Error al listar mensajes programados:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Programar mensaje
+   */
+  static async create (req, res, next) {
+    try {
+      const conversation = await ScheduledMessageController.findConversation(req, res);
+      if (!conversation) return;
+
+      const { content = '', fileIds = [], scheduledAt, fallbackTemplateId = null, templateVariables = {} } = req.body;
+
+      const attachments = await ScheduledMessageController.validateDraft(req, res, { content, fileIds, fallbackTemplateId });
+      if (!attachments) return;
+
+      const scheduled = await ScheduledMessageService.schedule({
+        conversation,
+        user: req.user,
+        content,
+        attachments,
+        scheduledAt,
+        fallbackTemplateId,
+        templateVariables,
+      });
+
+      return ResponseHandler.created(res, scheduled.toJSON(), 'Mensaje programado exitosamente');
+    } catch (error) {
+      logger.error('Error al programar mensaje:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Editar mensaje programado (también reprograma uno fallido)
+   */
+  static async update (req, res, next) {
+    try {
+      const scheduled = await ScheduledMessageController.findScheduled(req, res);
+      if (!scheduled) return;
+
+      if (!EDITABLE_STATUSES.includes(scheduled.status)) {
+        return ResponseHandler.conflictError(res, `No se puede editar un mensaje en estado ${scheduled.status}`);
+      }
+
+      const { fileIds, ...updates } = req.body;
+      const draft = {
+        content: updates.content !== undefined ? updates.content : scheduled.content,
+        fileIds: fileIds !== undefined ? fileIds : scheduled.attachments.map(attachment => attachment.fileId),
+        fallbackTemplateId: updates.fallbackTemplateId !== undefined ? updates.fallbackTemplateId : scheduled.fallbackTemplateId,
+      };
+
+      const attachments = await ScheduledMessageController.validateDraft(req, res, draft);
+      if (!attachments) return;
+      if (fileIds !== undefined) updates.attachments = attachments;
+
+      await ScheduledMessageService.reschedule(scheduled, updates, req.user);
+
+      return ResponseHandler.success(res, scheduled.toJSON(), 'Mensaje programado actualizado exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar mensaje programado:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Cancelar mensaje programado
+   */
+  static async cancel (req, res, next) {
+    try {
+      const scheduled = await ScheduledMessageController.findScheduled(req, res);
+      if (!scheduled) return;
+
+      if (!EDITABLE_STATUSES.includes(scheduled.status)) {
+        return ResponseHandler.conflictError(res, `No se puede cancelar un mensaje en estado ${scheduled.status}`);
+      }
+
+      await ScheduledMessageService.cancel(scheduled, req.user);
+
+      return ResponseHandler.success(res, scheduled.toJSON(), 'Mensaje programado cancelado exitosamente');
+    } catch (error) {
+      logger.error('Error al cancelar mensaje programado:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Validar contenido, adjuntos y plantilla de respaldo
+   * Responde y devuelve null si es inválido; si no, los adjuntos resueltos
+   */
+  static async validateDraft (req, res, { content, fileIds, fallbackTemplateId }) {
+    if (!String(content || '').trim() && fileIds.length === 0) {
+      ResponseHandler.validationError(res, 'El mensaje requiere contenido o al menos un adjunto');
+      return null;
+    }
+
+    const { attachments, missing } = await File.resolveAttachments(fileIds);
+    if (missing.length > 0) {
+      ResponseHandler.validationError(res, 'Archivos adjuntos no encontrados', missing.map(fileId => ({ field: 'fileIds', value: fileId })));
+      return null;
+    }
+
+    if (fallbackTemplateId) {
+      try {
+        await WhatsAppTemplateService.getUsableTemplate(fallbackTemplateId);
+      } catch (templateError) {
+        ResponseHandler.validationError(res, templateError.message, [{ field: 'fallbackTemplateId', value: fallbackTemplateId }]);
+        return null;
+      }
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Buscar conversación; responde 404 y devuelve null si no existe
+   */
+  static async findConversation (req, res) {
+    const conversationId = req.normalizedConversationId || req.params.id;
+    const conversation = await ConversationService.getConversationById(conversationId);
+
+    if (!conversation || !conversation.contactId) {
+      ResponseHandler.notFoundError(res, `No se encontró una conversación con ID ${conversationId}`);
+      return null;
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Buscar mensaje programado de la conversación; responde 404 y devuelve null si no existe
+   */
+  static async findScheduled (req, res) {
+    const conversationId = req.normalizedConversationId || req.params.id;
+    const { scheduledMessageId } = req.params;
+    const scheduled = await ScheduledMessage.getById(scheduledMessageId);
+
+    if (!scheduled || scheduled.conversationId !== conversationId) {
+      ResponseHandler.notFoundError(res, `No se encontró un mensaje programado con ID ${scheduledMessageId}`);
+      return null;
+    }
+
+    return scheduled;
+  }
+}
+
+module.exports = ScheduledMessageController;
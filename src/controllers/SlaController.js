@@ -0,0 +1,308 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const BusinessHoursCalendar = require('../models/BusinessHoursCalendar');
+const SlaService = require('../services/SlaService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+const { withTenant } = require('../utils/tenantContext');
+
+/**
+ * Controlador de políticas SLA y calendarios de horario hábil
+ */
+class SlaController {
+  /**
+   * Listar políticas SLA
+   */
+  static async listPolicies (req, res, next) {
+    try {
+      const policies = await SlaPolicy.list();
+
+      return ResponseHandler.success(res, {
+        policies: policies.map(policy => policy.toJSON()),
+        total: policies.length,
+      }, 'Políticas SLA listadas correctamente');
+    } catch (error) {
+      logger.error('Error al listar políticas SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Crear política SLA
+   */
+  static async createPolicy (req, res, next) {
+    try {
+      if (!(await SlaController.calendarExists(req.body.calendarId))) {
+        return ResponseHandler.validationError(res, `No se encontró un calendario con ID ${req.body.calendarId}`);
+      }
+
+      const policy = await SlaPolicy.create({
+        ...req.body,
+        createdBy: req.user.id,
+      });
+
+      logger.info('Política SLA creada', {
+        policyId: policy.id,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.created(res, policy.toJSON(), 'Política SLA creada exitosamente');
+    } catch (error) {
+      logger.error('Error al crear política SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener política SLA por ID
+   */
+  static async getPolicy (req, res, next) {
+    try {
+      const policy = await SlaController.findActivePolicy(req, res);
+      if (!policy) return;
+
+      return ResponseHandler.success(res, policy.toJSON(), 'Política SLA obtenida correctamente');
+    } catch (error) {
+      logger.error('Error al obtener política SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar política SLA
+   */
+  static async updatePolicy (req, res, next) {
+    try {
+      const policy = await SlaController.findActivePolicy(req, res);
+      if (!policy) return;
+
+      if (!(await SlaController.calendarExists(req.body.calendarId))) {
+        return ResponseHandler.validationError(res, `No se encontró un calendario con ID ${req.body.calendarId}`);
+      }
+
+      await policy.update(req.body);
+
+      logger.info('Política SLA actualizada', {
+        policyId: policy.id,
+        updatedBy: req.user.id,
+        fields: Object.keys(req.body),
+      });
+
+      return ResponseHandler.success(res, policy.toJSON(), 'Política SLA actualizada exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar política SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar política SLA (soft delete)
+   */
+  static async deletePolicy (req, res, next) {
+    try {
+      const policy = await SlaController.findActivePolicy(req, res);
+      if (!policy) return;
+
+      await policy.delete();
+
+      logger.info('Política SLA eliminada', {
+        policyId: policy.id,
+        deletedBy: req.user.id,
+      });
+
+      return ResponseHandler.deleted(res, 'Política SLA eliminada exitosamente');
+    } catch (error) {
+      logger.error('Error al eliminar política SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Listar calendarios de horario hábil
+   */
+  static async listCalendars (req, res, next) {
+    try {
+      const calendars = await BusinessHoursCalendar.list();
+
+      return ResponseHandler.success(res, {
+        calendars: calendars.map(calendar => calendar.toJSON()),
+        total: calendars.length,
+      }, 'Calendarios listados correctamente');
+    } catch (error) {
+      logger.error('Error al listar calendarios:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Crear calendario de horario hábil
+   */
+  static async createCalendar (req, res, next) {
+    try {
+      if (req.body.isDefault) {
+        await SlaController.clearDefaultCalendar(withTenant(req.body).workspaceId);
+      }
+
+      const calendar = await BusinessHoursCalendar.create({
+        ...req.body,
+        createdBy: req.user.id,
+      });
+
+      logger.info('Calendario de horario hábil creado', {
+        calendarId: calendar.id,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.created(res, calendar.toJSON(), 'Calendario creado exitosamente');
+    } catch (error) {
+      logger.error('Error al crear calendario:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar calendario de horario hábil
+   */
+  static async updateCalendar (req, res, next) {
+    try {
+      const calendar = await SlaController.findActiveCalendar(req, res);
+      if (!calendar) return;
+
+      if (req.body.isDefault && !calendar.isDefault) {
+        await SlaController.clearDefaultCalendar(calendar.workspaceId);
+      }
+
+      await calendar.update(req.body);
+
+      logger.info('Calendario de horario hábil actualizado', {
+        calendarId: calendar.id,
+        updatedBy: req.user.id,
+        fields: Object.keys(req.body),
+      });
+
+      return ResponseHandler.success(res, calendar.toJSON(), 'Calendario actualizado exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar calendario:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar calendario (soft delete); no se permite si una política lo usa
+   */
+  static async deleteCalendar (req, res, next) {
+    try {
+      const calendar = await SlaController.findActiveCalendar(req, res);
+      if (!calendar) return;
+
+      const policies = await SlaPolicy.list();
+      const inUse = policies.filter(policy => policy.calendarId === calendar.id);
+      if (inUse.length > 0) {
+        return ResponseHandler.conflictError(res, `El calendario está en uso por ${inUse.length} política(s) SLA`);
+      }
+
+      await calendar.delete();
+
+      logger.info('Calendario de horario hábil eliminado', {
+        calendarId: calendar.id,
+        deletedBy: req.user.id,
+      });
+
+      return ResponseHandler.deleted(res, 'Calendario eliminado exitosamente');
+    } catch (error) {
+      logger.error('Error al eliminar calendario:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Cumplimiento SLA del periodo
+   */
+  static async getCompliance (req, res, next) {
+    try {
+      const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+      const startDate = req.query.startDate
+        ? new Date(req.query.startDate)
+        : new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+      const compliance = await SlaService.getComplianceMetrics(startDate, endDate);
+
+      return ResponseHandler.success(res, {
+        period: { startDate: startDate.toISOString(), endDate: endDate.toISOString() },
+        ...compliance,
+      }, 'Cumplimiento SLA obtenido correctamente');
+    } catch (error) {
+      logger.error('Error al obtener cumplimiento SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Ejecutar evaluación SLA inmediata
+   */
+  static async evaluate (req, res, next) {
+    try {
+      const stats = await SlaService.evaluateAll();
+
+      logger.info('Evaluación SLA manual ejecutada', {
+        requestedBy: req.user.id,
+        ...stats,
+      });
+
+      return ResponseHandler.success(res, stats, 'Evaluación SLA ejecutada');
+    } catch (error) {
+      logger.error('Error al ejecutar evaluación SLA:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * ¿Existe el calendario activo? (sin calendario se considera 24/7)
+   */
+  static async calendarExists (calendarId) {
+    if (!calendarId) return true;
+    const calendar = await BusinessHoursCalendar.getById(calendarId);
+    return !!(calendar && calendar.isActive);
+  }
+
+  /**
+   * Quitar la marca de calendario por defecto del workspace
+   */
+  static async clearDefaultCalendar (workspaceId) {
+    const current = await BusinessHoursCalendar.getDefaultForWorkspace(workspaceId);
+    if (current) {
+      await current.update({ isDefault: false });
+    }
+  }
+
+  /**
+   * Buscar política activa; responde 404 y devuelve null si no existe
+   */
+  static async findActivePolicy (req, res) {
+    const { policyId } = req.params;
+    const policy = await SlaPolicy.getById(policyId);
+
+    if (!policy || !policy.isActive) {
+      ResponseHandler.notFoundError(res, `No se encontró una política SLA con ID ${policyId}`);
+      return null;
+    }
+
+    return policy;
+  }
+
+  /**
+   * Buscar calendario activo; responde 404 y devuelve null si no existe
+   */
+  static async findActiveCalendar (req, res) {
+    const { calendarId } = req.params;
+    const calendar = await BusinessHoursCalendar.getById(calendarId);
+
+    if (!calendar || !calendar.isActive) {
+      ResponseHandler.notFoundError(res, `No se encontró un calendario con ID ${calendarId}`);
+      return null;
+    }
+
+    return calendar;
+  }
+}
+
+module.exports = SlaController;
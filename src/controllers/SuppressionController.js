@@ -0,0 +1,116 @@
+const SuppressionEntry = require('../models/SuppressionEntry');
+const SuppressionService = require('../services/SuppressionService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Controlador de la lista de supresión (solo admin)
+ */
+class SuppressionController {
+  /**
+   * Listar números en la lista
+   */
+  static async list (req, res, next) {
+    try {
+      const { status = 'active', reason, limit = 100 } = req.query;
+      const isActive = status === 'all' ? null : status === 'active';
+
+      const entries = await SuppressionEntry.list({ isActive, reason, limit: parseInt(limit) });
+
+      return ResponseHandler.success(res, {
+        entries: entries.map(entry => entry.toJSON()),
+        total: entries.length,
+      }, 'Lista de supresión obtenida correctamente');
+    } catch (error) {
+      logger.error('Error al listar supresiones:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Consultar estado de un número
+   */
+  static async check (req, res, next) {
+    try {
+      const phone = SuppressionService.normalizePhone(req.params.phone);
+      const entry = await SuppressionEntry.getByPhone(phone);
+
+      return ResponseHandler.success(res, {
+        phone,
+        suppressed: !!(entry && entry.isActive),
+        entry: entry ? entry.toJSON() : null,
+      }, 'Estado de supresión obtenido');
+    } catch (error) {
+      logger.error('Error al consultar supresión:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Agregar número manualmente
+   */
+  static async add (req, res, next) {
+    try {
+      const { phone, note } = req.body;
+
+      if (!SuppressionService.isValidPhone(phone)) {
+        return ResponseHandler.validationError(res, `Número inválido: ${phone}`);
+      }
+
+      const entry = await SuppressionService.suppress(phone, {
+        reason: 'manual',
+        note,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.created(res, entry.toJSON(), 'Número agregado a la lista de supresión');
+    } catch (error) {
+      logger.error('Error al agregar supresión:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Importar números (arreglo o texto CSV)
+   */
+  static async import (req, res, next) {
+    try {
+      const { phones = [], csv, note } = req.body;
+      const csvPhones = csv
+        ? csv.split(/[\n,;]+/).map(value => value.trim()).filter(Boolean)
+        : [];
+
+      const result = await SuppressionService.importPhones([...phones, ...csvPhones], {
+        note,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.success(res, result, 'Importación de lista de supresión completada');
+    } catch (error) {
+      logger.error('Error al importar supresiones:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Revertir baja (override)
+   */
+  static async remove (req, res, next) {
+    try {
+      const entry = await SuppressionService.unsuppress(req.params.phone, {
+        removedBy: req.user.id,
+        note: req.body?.note,
+      });
+
+      return ResponseHandler.success(res, entry.toJSON(), 'Baja revertida exitosamente');
+    } catch (error) {
+      if (error.message.includes('no está en la lista')) {
+        return ResponseHandler.notFoundError(res, error.message);
+      }
+      logger.error('Error al revertir supresión:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = SuppressionController;
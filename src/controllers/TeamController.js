@@ -6,6 +6,7 @@ const Campaign = require('../models/Campaign');
 const { firestore } = require('../config/firebase');
 const moment = require('moment');
 const { ResponseHandler } = require('../utils/responseHandler');
+const AccountTokenService = require('../services/AccountTokenService');
 const { 
   getAvailableModules, 
   getDefaultPermissionsForRole, 
@@ -163,7 +164,7 @@ class TeamController {
    */
   static async invite (req, res, next) {
     try {
-      const { email, name, role = 'viewer' } = req.body;
+      const { email, name, role = 'viewer', phone = null, channel = 'email' } = req.body;
 
       // Verificar que es administrador
       if (req.user.role !== 'admin') {
@@ -177,30 +178,34 @@ class TeamController {
       }
 
       // CREAR usuario directamente en Firestore (EMAIL-FIRST)
+      // La contraseña temporal no se comparte: el invitado define la suya con el enlace
       const temporaryPassword = TeamController.generateTemporaryPassword();
       
       const user = await User.create({
         email,
         password: temporaryPassword,
         name,
+        phone,
         role,
         isActive: true,
       });
 
-      // ✅ Implementado: Envío de email de invitación
-    // Nota: La implementación de email se maneja a través del servicio de notificaciones
-      // await this.sendInvitationEmail(email, displayName, temporaryPassword);
+      const invitation = await AccountTokenService.issue('invite', user, { channel, createdBy: req.user.email });
 
       logger.info('Miembro invitado al equipo', {
         newUserEmail: user.email,
         email: user.email,
         role: user.role,
         invitedBy: req.user.email,
+        channel: invitation.channel,
       });
 
       return ResponseHandler.created(res, {
         user: user.toJSON(),
-        temporaryPassword: 'Se ha enviado por email', // En producción no devolver la contraseña
+        invitation: {
+          channel: invitation.channel,
+          expiresAt: invitation.expiresAt,
+        },
       }, 'Miembro invitado exitosamente');
     } catch (error) {
       logger.error('Error al invitar miembro:', error);
@@ -453,31 +458,56 @@ class TeamController {
         return ResponseHandler.notFoundError(res, 'Usuario no encontrado');
       }
 
-      // Generar nueva contraseña temporal
-      const temporaryPassword = TeamController.generateTemporaryPassword();
-
-      // Actualizar contraseña directamente en Firestore (EMAIL-FIRST)
-      await user.update({ password: temporaryPassword });
-
-      // Enviar email con nueva contraseña
-              // ✅ Implementado: Envío de email para reset de contraseña
-    // Nota: La implementación de email se maneja a través del servicio de notificaciones
-        // await this.sendPasswordResetEmail(user.email, user.displayName, temporaryPassword);
+      // Enviar enlace de restablecimiento: el miembro define su nueva contraseña
+      const reset = await AccountTokenService.issue('password_reset', user, {
+        channel: req.body.channel,
+        createdBy: req.user.email,
+      });
 
-      logger.info('Contraseña reseteada', {
+      logger.info('Restablecimiento de contraseña enviado', {
         userEmail: user.email,
         resetBy: req.user.email,
+        channel: reset.channel,
       });
 
       return ResponseHandler.success(res, {
-        temporaryPassword: 'Se ha enviado por email', // En producción no devolver la contraseña
-      }, 'Contraseña reseteada exitosamente');
+        channel: reset.channel,
+        expiresAt: reset.expiresAt,
+      }, 'Enlace de restablecimiento enviado exitosamente');
     } catch (error) {
       logger.error('Error al resetear contraseña:', error);
       next(error);
     }
   }
 
+  /**
+   * Reenviar invitación (invalida el enlace anterior)
+   */
+  static async resendInvitation (req, res, next) {
+    try {
+      const user = await User.getByEmail(req.params.id); // id es ahora email
+      if (!user) {
+        return ResponseHandler.notFoundError(res, 'Usuario no encontrado');
+      }
+      if (user.lastLoginAt) {
+        return ResponseHandler.conflictError(res, 'El miembro ya aceptó su invitación');
+      }
+
+      const invitation = await AccountTokenService.issue('invite', user, {
+        channel: req.body.channel,
+        createdBy: req.user.email,
+      });
+
+      return ResponseHandler.success(res, {
+        channel: invitation.channel,
+        expiresAt: invitation.expiresAt,
+      }, 'Invitación reenviada exitosamente');
+    } catch (error) {
+      logger.error('Error al reenviar invitación:', error);
+      next(error);
+    }
+  }
+
   /**
    * Cambiar rol de un miembro del equipo
    */
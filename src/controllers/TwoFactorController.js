@@ -0,0 +1,180 @@
+const User = require('../models/User');
+const TwoFactorService = require('../services/TwoFactorService');
+const AuthController = require('./AuthController');
+const logger = require('../utils/logger');
+const { ResponseHandler, ApiError } = require('../utils/responseHandler');
+
+/**
+ * Controlador de verificación en dos pasos (TOTP + códigos de respaldo)
+ */
+class TwoFactorController {
+  /**
+   * Cargar usuario activo por email
+   */
+  static async loadUser (email) {
+    const user = await User.getByEmail(email);
+    if (!user) {
+      throw ApiError.notFoundError(`No se encontró un usuario con email ${email}`);
+    }
+    return user;
+  }
+
+  /**
+   * Usuario del challenge token (paso pending_2fa del login)
+   */
+  static async loadChallengeUser (challengeToken, { enrollment = false } = {}) {
+    const challenge = TwoFactorService.verifyChallenge(challengeToken);
+    if (enrollment && !challenge.enrollmentRequired) {
+      throw ApiError.validationError('El usuario ya tiene verificación en dos pasos activa');
+    }
+    return TwoFactorController.loadUser(challenge.email);
+  }
+
+  static handleError (res, next, error, message) {
+    logger.error(message, { error: error.message });
+    if (error instanceof ApiError) {
+      return ResponseHandler.error(res, error);
+    }
+    next(error);
+  }
+
+  /**
+   * Estado de 2FA del usuario autenticado
+   */
+  static async getStatus (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadUser(req.user.email);
+
+      return ResponseHandler.success(res, TwoFactorService.getStatus(user), 'Estado de verificación en dos pasos');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al obtener estado 2FA:');
+    }
+  }
+
+  /**
+   * Iniciar enrolamiento (usuario autenticado)
+   */
+  static async setup (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadUser(req.user.email);
+      const provisioning = await TwoFactorService.startEnrollment(user);
+
+      return ResponseHandler.success(res, provisioning, 'Escanea el código QR con tu app de autenticación');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al iniciar enrolamiento 2FA:');
+    }
+  }
+
+  /**
+   * Confirmar enrolamiento con el primer código (usuario autenticado)
+   */
+  static async enable (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadUser(req.user.email);
+      const result = await TwoFactorService.confirmEnrollment(user, req.body.code);
+
+      return ResponseHandler.success(res, result, 'Verificación en dos pasos activada');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al activar 2FA:');
+    }
+  }
+
+  /**
+   * Iniciar enrolamiento obligatorio durante el login
+   */
+  static async challengeSetup (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadChallengeUser(req.body.challengeToken, { enrollment: true });
+      const provisioning = await TwoFactorService.startEnrollment(user);
+
+      return ResponseHandler.success(res, provisioning, 'Escanea el código QR con tu app de autenticación');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al iniciar enrolamiento 2FA en login:');
+    }
+  }
+
+  /**
+   * Confirmar enrolamiento obligatorio y completar el login
+   */
+  static async challengeEnable (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadChallengeUser(req.body.challengeToken, { enrollment: true });
+      const { backupCodes } = await TwoFactorService.confirmEnrollment(user, req.body.code);
+
+      return AuthController.completeLogin(req, res, user, { backupCodes });
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al activar 2FA en login:');
+    }
+  }
+
+  /**
+   * Paso pending_2fa: validar código TOTP o de respaldo y emitir tokens
+   */
+  static async verify (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadChallengeUser(req.body.challengeToken);
+      if (!user.twoFactor?.enabled) {
+        throw ApiError.validationError('Debes activar la verificación en dos pasos para continuar');
+      }
+
+      const { code, backupCode } = req.body;
+      const result = await TwoFactorService.verify(user, { code, backupCode });
+
+      if (req.logger && typeof req.logger.auth === 'function') {
+        req.logger.auth('login_2fa_verified', { email: user.email, method: result.method, ip: req.ip });
+      }
+
+      return AuthController.completeLogin(req, res, user, { twoFactor: result });
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al verificar 2FA:');
+    }
+  }
+
+  /**
+   * Desactivar 2FA (requiere código vigente)
+   */
+  static async disable (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadUser(req.user.email);
+      await TwoFactorService.disable(user, req.body);
+
+      return ResponseHandler.success(res, TwoFactorService.getStatus(user), 'Verificación en dos pasos desactivada');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al desactivar 2FA:');
+    }
+  }
+
+  /**
+   * Regenerar códigos de respaldo
+   */
+  static async regenerateBackupCodes (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadUser(req.user.email);
+      const result = await TwoFactorService.regenerateBackupCodes(user, req.body.code);
+
+      return ResponseHandler.success(res, result, 'Códigos de respaldo regenerados');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al regenerar códigos de respaldo:');
+    }
+  }
+
+  /**
+   * Restablecer 2FA de un usuario (admin)
+   */
+  static async adminReset (req, res, next) {
+    try {
+      const user = await TwoFactorController.loadUser(req.params.email);
+      const result = await TwoFactorService.adminReset(user, req.user.email);
+
+      return ResponseHandler.success(res, {
+        email: user.email,
+        ...result,
+        ...TwoFactorService.getStatus(user)
+      }, 'Verificación en dos pasos restablecida');
+    } catch (error) {
+      return TwoFactorController.handleError(res, next, error, 'Error al restablecer 2FA:');
+    }
+  }
+}
+
+module.exports = TwoFactorController;
@@ -0,0 +1,209 @@
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const Campaign = require('../models/Campaign');
+const Contact = require('../models/Contact');
+const WhatsAppTemplateService = require('../services/WhatsAppTemplateService');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Controlador del registro local de plantillas de WhatsApp (Content SID)
+ */
+class WhatsAppTemplateController {
+  /**
+   * Listar plantillas
+   */
+  static async list (req, res, next) {
+    try {
+      const { status, category } = req.query;
+      const templates = await WhatsAppTemplate.list({ status, category });
+
+      return ResponseHandler.success(res, {
+        templates: templates.map(template => template.toJSON()),
+        total: templates.length,
+      }, 'Plantillas listadas correctamente');
+    } catch (error) {
+      logger.error('Error al listar plantillas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Registrar plantilla aprobada
+   */
+  static async create (req, res, next) {
+    try {
+      const errors = WhatsAppTemplateService.validateDefinition(req.body);
+      if (errors.length > 0) {
+        return ResponseHandler.validationError(res, 'Plantilla inválida', errors);
+      }
+
+      const existing = await WhatsAppTemplate.getByContentSid(req.body.contentSid);
+      if (existing) {
+        return ResponseHandler.conflictError(res, `El Content SID ${req.body.contentSid} ya está registrado`);
+      }
+
+      const template = await WhatsAppTemplate.create({
+        ...req.body,
+        createdBy: req.user.id,
+      });
+
+      logger.info('Plantilla de WhatsApp registrada', {
+        templateId: template.id,
+        contentSid: template.contentSid,
+        createdBy: req.user.id,
+      });
+
+      return ResponseHandler.created(res, template.toJSON(), 'Plantilla registrada exitosamente');
+    } catch (error) {
+      logger.error('Error al registrar plantilla:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener plantilla por ID
+   */
+  static async getById (req, res, next) {
+    try {
+      const template = await WhatsAppTemplateController.findActive(req, res);
+      if (!template) return;
+
+      return ResponseHandler.success(res, {
+        template: template.toJSON(),
+        placeholders: WhatsAppTemplateService.extractPlaceholders(template.body),
+      }, 'Plantilla obtenida correctamente');
+    } catch (error) {
+      logger.error('Error al obtener plantilla:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Actualizar plantilla
+   */
+  static async update (req, res, next) {
+    try {
+      const template = await WhatsAppTemplateController.findActive(req, res);
+      if (!template) return;
+
+      // Validar la definición resultante completa
+      const errors = WhatsAppTemplateService.validateDefinition({ ...template.toJSON(), ...req.body });
+      if (errors.length > 0) {
+        return ResponseHandler.validationError(res, 'Plantilla inválida', errors);
+      }
+
+      if (req.body.contentSid && req.body.contentSid !== template.contentSid) {
+        const existing = await WhatsAppTemplate.getByContentSid(req.body.contentSid);
+        if (existing) {
+          return ResponseHandler.conflictError(res, `El Content SID ${req.body.contentSid} ya está registrado`);
+        }
+      }
+
+      await template.update(req.body);
+
+      logger.info('Plantilla de WhatsApp actualizada', {
+        templateId: template.id,
+        updatedBy: req.user.id,
+        fields: Object.keys(req.body),
+      });
+
+      return ResponseHandler.success(res, template.toJSON(), 'Plantilla actualizada exitosamente');
+    } catch (error) {
+      logger.error('Error al actualizar plantilla:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar plantilla (soft delete)
+   */
+  static async delete (req, res, next) {
+    try {
+      const template = await WhatsAppTemplateController.findActive(req, res);
+      if (!template) return;
+
+      await template.delete();
+
+      logger.info('Plantilla de WhatsApp eliminada', {
+        templateId: template.id,
+        deletedBy: req.user.id,
+      });
+
+      return ResponseHandler.deleted(res, 'Plantilla eliminada exitosamente');
+    } catch (error) {
+      logger.error('Error al eliminar plantilla:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Vista previa renderizada para contactos específicos
+   */
+  static async preview (req, res, next) {
+    try {
+      const template = await WhatsAppTemplateController.findActive(req, res);
+      if (!template) return;
+
+      const { contactIds = [], variables = {} } = req.body;
+      const contacts = (await Promise.all(contactIds.map(contactId => Contact.getById(contactId))))
+        .filter(contact => contact !== null);
+
+      // Sin contactos: vista previa con valores fijos y defaults
+      const preview = contacts.length > 0
+        ? WhatsAppTemplateService.previewForContacts(template, contacts, variables)
+        : WhatsAppTemplateService.previewForContacts(template, [{ id: null, name: null, phone: null }], variables);
+
+      return ResponseHandler.success(res, preview, 'Vista previa de plantilla generada');
+    } catch (error) {
+      logger.error('Error generando vista previa de plantilla:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Vista previa por destinatario de una campaña con plantilla
+   */
+  static async previewCampaign (req, res, next) {
+    try {
+      const { campaignId } = req.params;
+      const campaign = await Campaign.getById(campaignId);
+
+      if (!campaign) {
+        return ResponseHandler.notFoundError(res, `No se encontró una campaña con ID ${campaignId}`);
+      }
+
+      if (!campaign.templateId) {
+        return ResponseHandler.validationError(res, 'La campaña no tiene plantilla asignada');
+      }
+
+      const preview = await WhatsAppTemplateService.previewCampaign(campaign, {
+        limit: parseInt(req.query.limit) || 20,
+      });
+
+      return ResponseHandler.success(res, {
+        campaignId,
+        ...preview,
+      }, 'Vista previa de plantilla de campaña generada');
+    } catch (error) {
+      logger.error('Error generando vista previa de plantilla de campaña:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Buscar plantilla activa; responde 404 y devuelve null si no existe
+   */
+  static async findActive (req, res) {
+    const { templateId } = req.params;
+    const template = await WhatsAppTemplate.getById(templateId);
+
+    if (!template || !template.isActive) {
+      ResponseHandler.notFoundError(res, `No se encontró una plantilla con ID ${templateId}`);
+      return null;
+    }
+
+    return template;
+  }
+}
+
+module.exports = WhatsAppTemplateController;
@@ -0,0 +1,158 @@
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../utils/logger');
+const { ResponseHandler } = require('../utils/responseHandler');
+const { getDefaultTenant } = require('../utils/tenantContext');
+
+/**
+ * Controlador de workspaces (aislamiento multi-tenant)
+ * Un admin solo gestiona workspaces de su tenant; el superadmin gestiona todos
+ */
+class WorkspaceController {
+  static isSuperAdmin (req) {
+    return req.user.role === 'superadmin';
+  }
+
+  /**
+   * Obtener un workspace visible para el usuario (null si no existe o es de otro tenant)
+   */
+  static async findVisible (req, id) {
+    const workspace = await Workspace.getById(id);
+    if (!workspace) {
+      return null;
+    }
+    if (!WorkspaceController.isSuperAdmin(req) && workspace.tenantId !== req.user.tenantId) {
+      return null;
+    }
+    return workspace;
+  }
+
+  /**
+   * Número de WhatsApp ya asignado a otro workspace (o null)
+   * Cada número enruta sus mensajes entrantes a un solo workspace
+   */
+  static async findTakenNumber (numbers = [], workspaceId) {
+    for (const number of numbers) {
+      const owner = await Workspace.findByWhatsAppNumber(number);
+      if (owner && owner.id !== workspaceId) {
+        return number;
+      }
+    }
+    return null;
+  }
+
+  static async list (req, res, next) {
+    try {
+      const tenantId = WorkspaceController.isSuperAdmin(req) ? req.query.tenantId : req.user.tenantId;
+      const workspaces = await Workspace.list({ tenantId });
+
+      return ResponseHandler.success(res, workspaces.map(workspace => workspace.toJSON()), 'Workspaces obtenidos');
+    } catch (error) {
+      logger.error('Error al listar workspaces:', error);
+      next(error);
+    }
+  }
+
+  static async create (req, res, next) {
+    try {
+      const { id, name, whatsappNumbers = [] } = req.body;
+      const tenantId = WorkspaceController.isSuperAdmin(req)
+        ? req.body.tenantId || req.user.tenantId
+        : req.user.tenantId;
+
+      if (await Workspace.getById(id)) {
+        return ResponseHandler.conflictError(res, `El workspace ${id} ya existe`);
+      }
+
+      const takenNumber = await WorkspaceController.findTakenNumber(whatsappNumbers, id);
+      if (takenNumber) {
+        return ResponseHandler.conflictError(res, `El número ${takenNumber} ya pertenece a otro workspace`);
+      }
+
+      const workspace = await Workspace.create({ id, name, tenantId, whatsappNumbers, createdBy: req.user.email });
+
+      logger.info('🏢 Workspace creado', { workspaceId: id, tenantId, by: req.user.email });
+
+      return ResponseHandler.created(res, workspace.toJSON(), 'Workspace creado');
+    } catch (error) {
+      logger.error('Error al crear workspace:', error);
+      next(error);
+    }
+  }
+
+  static async getById (req, res, next) {
+    try {
+      const workspace = await WorkspaceController.findVisible(req, req.params.id);
+      if (!workspace) {
+        return ResponseHandler.notFoundError(res, 'Workspace no encontrado');
+      }
+
+      return ResponseHandler.success(res, workspace.toJSON(), 'Workspace obtenido');
+    } catch (error) {
+      logger.error('Error al obtener workspace:', error);
+      next(error);
+    }
+  }
+
+  static async update (req, res, next) {
+    try {
+      const workspace = await WorkspaceController.findVisible(req, req.params.id);
+      if (!workspace) {
+        return ResponseHandler.notFoundError(res, 'Workspace no encontrado');
+      }
+
+      const { name, whatsappNumbers } = req.body;
+      const takenNumber = await WorkspaceController.findTakenNumber(whatsappNumbers, workspace.id);
+      if (takenNumber) {
+        return ResponseHandler.conflictError(res, `El número ${takenNumber} ya pertenece a otro workspace`);
+      }
+
+      await workspace.update({
+        ...(name !== undefined && { name }),
+        ...(whatsappNumbers !== undefined && { whatsappNumbers })
+      });
+
+      return ResponseHandler.updated(res, workspace.toJSON(), 'Workspace actualizado');
+    } catch (error) {
+      logger.error('Error al actualizar workspace:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Asignar un usuario a un workspace
+   * Invalida sus refresh tokens: el JWT vigente deja de ser válido (WORKSPACE_CHANGED)
+   */
+  static async assignMember (req, res, next) {
+    try {
+      const workspace = await WorkspaceController.findVisible(req, req.params.id);
+      if (!workspace) {
+        return ResponseHandler.notFoundError(res, 'Workspace no encontrado');
+      }
+
+      const user = await User.getByEmail(req.params.email);
+      const userTenantId = user?.tenantId || getDefaultTenant().tenantId;
+      if (!user || (!WorkspaceController.isSuperAdmin(req) && userTenantId !== req.user.tenantId)) {
+        return ResponseHandler.notFoundError(res, 'Usuario no encontrado');
+      }
+
+      await user.update({ workspaceId: workspace.id, tenantId: workspace.tenantId });
+      await RefreshToken.invalidateAllForUser(user.email);
+
+      logger.info('🏢 Usuario asignado a workspace', {
+        email: user.email,
+        workspaceId: workspace.id,
+        tenantId: workspace.tenantId,
+        by: req.user.email
+      });
+
+      return ResponseHandler.updated(res, user.toJSON(), 'Usuario asignado al workspace');
+    } catch (error) {
+      logger.error('Error al asignar usuario a workspace:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = WorkspaceController;
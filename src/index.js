@@ -310,6 +310,9 @@ class ConsolidatedServer {
         // Inicializar otros servicios existentes
         await this.initializeSocketIO();
         await this.initializeHealthChecks();
+
+        // Evaluador periódico de SLA de conversaciones
+        require('./services/SlaService').start();
         
         logger.info('✅ Todos los servicios inicializados correctamente', {
           category: 'SERVICE_INIT_BACKGROUND_SUCCESS'
@@ -336,6 +339,9 @@ class ConsolidatedServer {
       }
       
       await campaignQueueService.initialize();
+
+      // Worker de mensajes programados (Bull o sondeo sin Redis)
+      await require('./services/ScheduledMessageQueueService').initialize();
       logger.info('Servicios de colas inicializados correctamente', {
         category: 'QUEUE_SERVICE_INIT'
       });
@@ -470,6 +476,8 @@ class ConsolidatedServer {
 
     // Rate limiting específico para login
     this.app.use('/api/auth/login', rateLimitManager.createLoginLimiter());
+    // Mismo límite para solicitar enlaces de restablecimiento (evita spam de correos)
+    this.app.use('/api/auth/password/forgot', rateLimitManager.createLoginLimiter());
 
     // Slow down para endpoints pesados
     this.app.use('/api/media', rateLimitManager.createSlowDown());
@@ -477,7 +485,7 @@ class ConsolidatedServer {
 
     logger.info('✅ Rate limiting configurado en rutas', {
       category: 'RATE_LIMIT_SETUP_SUCCESS',
-      protectedRoutes: ['/api/*', '/api/conversations', '/api/messages', '/api/auth/login', '/api/media', '/api/campaigns']
+      protectedRoutes: ['/api/*', '/api/conversations', '/api/messages', '/api/auth/login', '/api/auth/password/forgot', '/api/media', '/api/campaigns']
     });
   }
 
@@ -781,11 +789,13 @@ class ConsolidatedServer {
         }
       }
 
-      // 4. Detener HealthCheckService
+      // 4. Detener HealthCheckService y evaluador SLA
       if (this.healthService) {
         this.healthService.shutdown();
         logger.info('✅ Health service detenido', { category: 'SHUTDOWN_HEALTH_STOPPED' });
       }
+      require('./services/SlaService').stop();
+      await require('./services/ScheduledMessageQueueService').shutdown();
 
       // 5. Limpiar cache service
       if (cacheService) {
@@ -0,0 +1,71 @@
+/**
+ * 🧾 MIDDLEWARE DE AUDITORÍA
+ *
+ * Captura el estado de la entidad antes de la operación y, cuando la respuesta
+ * termina con éxito (2xx), vuelve a leerla y registra la acción con su diff
+ * en la bitácora de auditoría (AuditService).
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const logger = require('../utils/logger');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Middleware para auditar una ruta
+ * @param {Object} options
+ * @param {string} options.action - Acción auditada (p. ej. 'employee.update')
+ * @param {string} options.entityType - Tipo de entidad (p. ej. 'employee')
+ * @param {Function} options.getEntityId - (req) => id de la entidad afectada
+ * @param {Function} [options.load] - async (req, entityId) => estado actual de la entidad
+ * @param {Function} [options.metadata] - (req) => datos adicionales a guardar
+ */
+const auditTrail = ({ action, entityType, getEntityId = (req) => req.params.id, load = null, metadata = null }) => {
+  return async (req, res, next) => {
+    const entityId = getEntityId(req);
+    let before = null;
+
+    if (load) {
+      try {
+        before = await load(req, entityId);
+      } catch (error) {
+        logger.warn('⚠️ No se pudo obtener el estado previo para auditoría', { action, entityId, error: error.message });
+      }
+    }
+
+    res.on('finish', async () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return;
+      }
+
+      let after = null;
+      if (load) {
+        try {
+          after = await load(req, entityId);
+        } catch (error) {
+          logger.warn('⚠️ No se pudo obtener el estado posterior para auditoría', { action, entityId, error: error.message });
+        }
+      }
+
+      await AuditService.record({
+        req,
+        action,
+        entityType,
+        entityId,
+        before,
+        after,
+        metadata: {
+          statusCode: res.statusCode,
+          ...(metadata ? metadata(req) : {})
+        }
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail
+};
@@ -2,6 +2,62 @@ const User = require('../models/User');
 const logger = require('../utils/logger');
 const jwt = require('jsonwebtoken');
 const { getAccessTokenConfig } = require('../config/jwt');
+const { getDefaultTenant, runWithTenant, bindRequestToTenant } = require('../utils/tenantContext');
+
+const WORKSPACE_HEADER = 'x-workspace-id';
+
+/**
+ * Resolver el workspace de la petición a partir del JWT
+ * - El workspace del token debe coincidir con el del usuario en Firestore; si
+ *   se movió de workspace, el token queda invalidado (debe volver a iniciar sesión)
+ * - Un superadmin puede operar sobre otro workspace con el header x-workspace-id
+ * @returns {Promise<{tenant?: Object, error?: Object}>}
+ */
+const resolveRequestTenant = async (req, decodedToken, user) => {
+  const tokenWorkspaceId = decodedToken.workspaceId || getDefaultTenant().workspaceId;
+
+  if (tokenWorkspaceId !== user.workspaceId) {
+    return {
+      error: {
+        status: 401,
+        type: 'AUTHENTICATION_ERROR',
+        code: 'WORKSPACE_CHANGED',
+        message: 'Tu workspace cambió. Inicia sesión de nuevo.'
+      }
+    };
+  }
+
+  const requestedWorkspaceId = req.get(WORKSPACE_HEADER);
+  if (requestedWorkspaceId && requestedWorkspaceId !== user.workspaceId) {
+    if (user.role !== 'superadmin') {
+      return {
+        error: {
+          status: 403,
+          type: 'AUTHORIZATION_ERROR',
+          code: 'WORKSPACE_FORBIDDEN',
+          message: 'No tienes acceso a ese workspace.'
+        }
+      };
+    }
+
+    const Workspace = require('../models/Workspace');
+    const workspace = await Workspace.getById(requestedWorkspaceId);
+    if (!workspace) {
+      return {
+        error: {
+          status: 404,
+          type: 'NOT_FOUND_ERROR',
+          code: 'WORKSPACE_NOT_FOUND',
+          message: 'El workspace solicitado no existe.'
+        }
+      };
+    }
+
+    return { tenant: { workspaceId: workspace.id, tenantId: workspace.tenantId } };
+  }
+
+  return { tenant: { workspaceId: user.workspaceId, tenantId: user.tenantId } };
+};
 
 /**
  * Middleware de autenticación con JWT INTERNO - SUPER ROBUSTO
@@ -307,8 +363,32 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    // 🏢 Workspace de la petición (aislamiento multi-tenant)
+    const { tenant, error: tenantError } = await resolveRequestTenant(req, decodedToken, userFromDb);
+    if (tenantError) {
+      logger.warn('Acceso rechazado por workspace', {
+        category: 'AUTH_WORKSPACE_DENIED',
+        requestId,
+        email: userFromDb.email,
+        code: tenantError.code,
+        ip: req.ip,
+      });
+      return res.status(tenantError.status).json({
+        success: false,
+        error: {
+          type: tenantError.type,
+          code: tenantError.code,
+          message: tenantError.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
     // ✅ SUPER ROBUSTO: Adjuntar la instancia completa del usuario de Firestore a la petición
     req.user = userFromDb;
+    req.user.workspaceId = tenant.workspaceId;
+    req.user.tenantId = tenant.tenantId;
+    req.tenant = tenant;
 
     // ✅ SUPER ROBUSTO: Logging de éxito con métricas
     const duration = Date.now() - startTime;
@@ -318,12 +398,18 @@ const authMiddleware = async (req, res, next) => {
       email: req.user.email,
       name: req.user.name,
       role: req.user.role,
+      workspaceId: tenant.workspaceId,
       ip: req.ip,
       url: req.originalUrl,
       duration: `${duration}ms`
     });
 
-    next();
+    // El resto de la petición corre dentro del contexto del workspace,
+    // incluidos los middlewares que leen el body después (uploads con multer)
+    return runWithTenant(tenant, () => {
+      bindRequestToTenant(req);
+      return next();
+    });
   } catch (error) {
     logger.error('💥 Error inesperado en middleware de autenticación', {
       category: 'AUTH_SYSTEM_ERROR',
@@ -519,6 +605,7 @@ module.exports = {
   requireRole,
   requireAdmin,
   requireAdminOrSuperAdmin,
+  requireAdminOrQA,
   requireWriteAccess,
   requireReadAccess,
   requirePermission,
@@ -424,6 +424,31 @@ function validateFileAccess() {
   };
 }
 
+/**
+ * Handler para router.param: el empleado del parámetro debe pertenecer al
+ * workspace de la petición (Employee.findById ya filtra por workspace).
+ * Protege también las subcolecciones (incidencias, extras, vacaciones, ...)
+ */
+async function requireEmployeeInWorkspace(req, res, next, employeeId) {
+  try {
+    const employee = await Employee.findById(employeeId);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empleado no encontrado'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error validating employee workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al validar el empleado'
+    });
+  }
+}
+
 /**
  * Middleware combinado para rutas de empleados
  */
@@ -447,5 +472,6 @@ module.exports = {
   filterDataByPermissions,
   validateFileAccess,
   logHRAction,
+  requireEmployeeInWorkspace,
   hrMiddleware
 };
@@ -0,0 +1,192 @@
+/**
+ * 🔐 MIDDLEWARE DE FIRMA DE WEBHOOKS TWILIO
+ *
+ * Verifica X-Twilio-Signature (HMAC-SHA1 con el Auth Token) y descarta
+ * reenvíos del mismo evento dentro de la ventana de replay.
+ *
+ * Payload firmado (algoritmo de Twilio):
+ * - Form: URL completa + cada parámetro ordenado por nombre como nombre+valor, sin separadores
+ * - JSON: URL completa (incluye ?bodySHA256=...) y el SHA-256 del body debe coincidir
+ *
+ * La URL se reconstruye con TWILIO_WEBHOOK_BASE_URL si está definida o con
+ * X-Forwarded-Proto / X-Forwarded-Host detrás de proxy.
+ *
+ * BYPASS SOLO PARA FIXTURES LOCALES: con NODE_ENV=test y
+ * TWILIO_WEBHOOK_SKIP_VALIDATION=true no se valida la firma. Se ignora en
+ * cualquier otro entorno.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { isValidSignature, safeCompare } = require('../utils/twilioSignature');
+const { cacheService, ManagedMap } = require('../services/CacheService');
+
+const DEFAULT_REPLAY_WINDOW_MS = 10 * 60 * 1000;
+
+const replayCache = cacheService.createManagedMap('twilio_webhook_replay', {
+  defaultTTL: DEFAULT_REPLAY_WINDOW_MS
+}) || new ManagedMap('twilio_webhook_replay', { defaultTTL: DEFAULT_REPLAY_WINDOW_MS });
+
+/**
+ * Auth Token de Twilio (mismas variables que MessageService)
+ */
+function getAuthToken() {
+  return process.env.TWILIO_AUTH_TOKEN || process.env.TWILIO_TOKEN || process.env.TWILIO_SECRET || null;
+}
+
+/**
+ * ¿Bypass de fixtures locales activo?
+ */
+function isBypassEnabled() {
+  return process.env.NODE_ENV === 'test' && process.env.TWILIO_WEBHOOK_SKIP_VALIDATION === 'true';
+}
+
+/**
+ * URL pública con la que Twilio llamó al webhook (proxy-aware)
+ */
+function buildWebhookUrl(req) {
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL;
+  if (baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}${req.originalUrl}`;
+  }
+
+  const forwardedProto = (req.get('x-forwarded-proto') || '').split(',')[0].trim();
+  const forwardedHost = (req.get('x-forwarded-host') || '').split(',')[0].trim();
+  const protocol = forwardedProto || req.protocol;
+  const host = forwardedHost || req.get('host');
+
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Validar firma de una request de Twilio
+ * @returns {{ valid: boolean, code?: string }}
+ */
+function validateSignature(req, authToken) {
+  const signature = req.get('x-twilio-signature');
+  if (!signature) {
+    return { valid: false, code: 'MISSING_SIGNATURE' };
+  }
+
+  const url = buildWebhookUrl(req);
+  const bodySHA256 = req.query?.bodySHA256;
+
+  // Webhooks JSON: se firma solo la URL y el hash del body va en el query
+  if (bodySHA256) {
+    const rawBody = req.rawBody || Buffer.from('');
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    if (!safeCompare(bodyHash, bodySHA256)) {
+      return { valid: false, code: 'BODY_HASH_MISMATCH' };
+    }
+  }
+
+  const params = bodySHA256 ? {} : req.body;
+  const valid = isValidSignature(authToken, signature, url, params);
+
+  return valid ? { valid: true } : { valid: false, code: 'INVALID_SIGNATURE' };
+}
+
+/**
+ * Registrar evento de seguridad y responder 403
+ */
+function reject(req, res, code, details = {}) {
+  logger.error('🚨 WEBHOOK TWILIO RECHAZADO', {
+    category: 'SECURITY_WEBHOOK_REJECTED',
+    error: code,
+    path: req.originalUrl,
+    ip: req.ip,
+    forwardedFor: req.get('x-forwarded-for') || null,
+    userAgent: req.get('user-agent') || null,
+    messageSid: req.body?.MessageSid || null,
+    ...details
+  });
+
+  return res.status(403).json({
+    success: false,
+    error: 'Webhook signature validation failed',
+    code,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Middleware de firma + protección contra replay
+ *
+ * @param {Object} options
+ * @param {Function} options.dedupeKey - (body) => clave única del evento o null
+ * @param {number} options.replayWindowMs - Ventana para descartar duplicados
+ */
+function validateTwilioWebhook(options = {}) {
+  const {
+    dedupeKey = body => body?.MessageSid || null,
+    replayWindowMs = parseInt(process.env.TWILIO_WEBHOOK_REPLAY_WINDOW_MS) || DEFAULT_REPLAY_WINDOW_MS
+  } = options;
+
+  return (req, res, next) => {
+    try {
+      if (isBypassEnabled()) {
+        logger.warn('⚠️ Validación de firma Twilio omitida (fixtures de test)', {
+          category: 'SECURITY_WEBHOOK_BYPASS',
+          path: req.originalUrl
+        });
+        req.twilioSignatureValidated = false;
+        return next();
+      }
+
+      const authToken = getAuthToken();
+      if (!authToken) {
+        return reject(req, res, 'SIGNATURE_NOT_CONFIGURED');
+      }
+
+      const result = validateSignature(req, authToken);
+      if (!result.valid) {
+        return reject(req, res, result.code, { url: buildWebhookUrl(req) });
+      }
+
+      req.twilioSignatureValidated = true;
+
+      // Replay: mismo evento firmado recibido de nuevo dentro de la ventana
+      const key = dedupeKey(req.body) || req.get('i-twilio-idempotency-token');
+      if (key) {
+        const cacheKey = `${req.baseUrl}${req.path}:${key}`;
+
+        if (replayCache.has(cacheKey)) {
+          logger.warn('🔁 WEBHOOK TWILIO DUPLICADO DESCARTADO', {
+            category: 'SECURITY_WEBHOOK_REPLAY',
+            path: req.originalUrl,
+            dedupeKey: key,
+            ip: req.ip
+          });
+
+          // 200 para que Twilio no reintente
+          return res.status(200).json({
+            success: true,
+            duplicate: true,
+            message: 'Evento ya procesado'
+          });
+        }
+
+        replayCache.set(cacheKey, Date.now(), replayWindowMs);
+      }
+
+      next();
+    } catch (error) {
+      logger.error('❌ Error validando webhook de Twilio', {
+        category: 'SECURITY_WEBHOOK_ERROR',
+        error: error.message,
+        path: req.originalUrl
+      });
+      return reject(req, res, 'SIGNATURE_VALIDATION_ERROR');
+    }
+  };
+}
+
+module.exports = {
+  validateTwilioWebhook,
+  validateSignature,
+  buildWebhookUrl,
+  replayCache
+};
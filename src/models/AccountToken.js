@@ -0,0 +1,112 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { prepareForFirestore } = require('../utils/firestore');
+const logger = require('../utils/logger');
+
+const PURPOSES = ['password_reset', 'invite'];
+
+/**
+ * Registro de tokens de cuenta (restablecer contraseña / aceptar invitación)
+ *
+ * El token que recibe el usuario es un JWT firmado; aquí solo se guarda su jti
+ * (ID del documento) para poder marcarlo como usado o revocarlo: así cada
+ * token es de un solo uso aunque su firma siga vigente.
+ */
+class AccountToken {
+  constructor (data) {
+    this.id = data.id; // jti del JWT
+    this.email = data.email;
+    this.purpose = data.purpose;
+    this.status = data.status || 'active'; // active | used | revoked
+    this.channel = data.channel || 'email';
+    this.expiresAt = data.expiresAt; // ISO
+    this.createdBy = data.createdBy || null;
+    this.usedAt = data.usedAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.createdAt = data.createdAt || Timestamp.now();
+  }
+
+  /**
+   * Registrar token emitido
+   */
+  static async create (tokenData) {
+    const token = new AccountToken(tokenData);
+
+    const { createdAt, ...fields } = token;
+    await firestore.collection('account_tokens').doc(token.id).set({
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    return token;
+  }
+
+  static async getById (id) {
+    const doc = await firestore.collection('account_tokens').doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new AccountToken({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Marcar como usado dentro de una transacción (evita doble canje concurrente)
+   * Devuelve false si el token ya no estaba activo
+   */
+  static async consume (id) {
+    const ref = firestore.collection('account_tokens').doc(id);
+
+    return firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().status !== 'active') {
+        return false;
+      }
+
+      transaction.update(ref, {
+        status: 'used',
+        usedAt: new Date().toISOString()
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Revocar los tokens activos de un usuario para un propósito
+   * (al emitir uno nuevo, el anterior deja de servir)
+   */
+  static async revokeActive (email, purpose) {
+    const snapshot = await firestore.collection('account_tokens')
+      .where('email', '==', email)
+      .where('purpose', '==', purpose)
+      .where('status', '==', 'active')
+      .get();
+
+    if (snapshot.empty) {
+      return 0;
+    }
+
+    const batch = firestore.batch();
+    const revokedAt = new Date().toISOString();
+    snapshot.docs.forEach(doc => batch.update(doc.ref, { status: 'revoked', revokedAt }));
+    await batch.commit();
+
+    logger.info('🔒 Tokens de cuenta revocados', { email, purpose, count: snapshot.size });
+    return snapshot.size;
+  }
+
+  toJSON () {
+    return {
+      id: this.id,
+      email: this.email,
+      purpose: this.purpose,
+      status: this.status,
+      channel: this.channel,
+      expiresAt: this.expiresAt,
+      createdBy: this.createdBy,
+      usedAt: this.usedAt,
+      revokedAt: this.revokedAt
+    };
+  }
+}
+
+module.exports = AccountToken;
+module.exports.PURPOSES = PURPOSES;
@@ -0,0 +1,128 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Segmento de audiencia guardado para campañas
+ * Las reglas se evalúan contra los contactos al momento del envío (lista dinámica)
+ *
+ * rules: {
+ *   tags: { any: [], all: [], none: [] },
+ *   customFields: [{ field, operator: eq|neq|contains|in|exists|not_exists|gt|gte|lt|lte, value }],
+ *   lastContactAt: { after, before, withinDays, olderThanDays },
+ *   totalMessages: { min, max },
+ *   conversation: { status: [], priority: [] }
+ * }
+ */
+class AudienceSegment {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.description = data.description || '';
+    this.rules = data.rules || {};
+    this.createdBy = data.createdBy;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.lastResolvedCount = data.lastResolvedCount !== undefined ? data.lastResolvedCount : null;
+    this.lastResolvedAt = data.lastResolvedAt || null;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear segmento
+   */
+  static async create (segmentData) {
+    const segment = new AudienceSegment(withTenant(segmentData));
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = segment;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('audience_segments').doc(segment.id).set(cleanData);
+    return segment;
+  }
+
+  /**
+   * Obtener segmento por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('audience_segments').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new AudienceSegment({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Listar segmentos activos
+   */
+  static async list ({ createdBy = null, limit = 50 } = {}) {
+    let query = scopeQuery(firestore.collection('audience_segments')).where('isActive', '==', true);
+
+    if (createdBy) {
+      query = query.where('createdBy', '==', createdBy);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => new AudienceSegment({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Actualizar segmento
+   */
+  async update (updates) {
+    // El workspace no se cambia por update
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
+    const validUpdates = {
+      ...prepareForFirestore(allowedUpdates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('audience_segments').doc(this.id).update(validUpdates);
+
+    Object.assign(this, allowedUpdates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Eliminar segmento (soft delete)
+   */
+  async delete () {
+    await this.update({
+      isActive: false,
+      deletedAt: new Date(),
+    });
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      rules: this.rules,
+      createdBy: this.createdBy,
+      lastResolvedCount: this.lastResolvedCount,
+      lastResolvedAt: toISO(this.lastResolvedAt),
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = AudienceSegment;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { firestore } = require('../config/firebase');
+const { scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON canónico (llaves ordenadas) para que el hash no dependa del orden de propiedades
+ */
+function canonicalize (value) {
+  if (value === undefined) {
+    return 'null';
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Registro de auditoría append-only con encadenamiento de hashes
+ *
+ * Cada entrada guarda el hash de la anterior (prevHash) y su propio hash
+ * SHA-256 calculado sobre su contenido canónico + prevHash. Modificar o borrar
+ * una entrada rompe la cadena a partir de ese punto (ver AuditService.verifyChain).
+ * La cabeza de la cadena (último hash y secuencia) vive en audit_chain/head y
+ * se actualiza en la misma transacción que la entrada.
+ *
+ * La cadena es única para todo el sistema; cada entrada lleva el workspace en
+ * que ocurrió y las consultas solo devuelven las del workspace activo.
+ */
+class AuditLog {
+  constructor (data) {
+    this.id = data.id;
+    this.sequence = data.sequence;
+    this.action = data.action;
+    this.entityType = data.entityType;
+    this.entityId = data.entityId || null;
+    this.actor = data.actor || { id: null, email: 'system', role: null };
+    this.ip = data.ip || null;
+    this.userAgent = data.userAgent || null;
+    this.method = data.method || null;
+    this.path = data.path || null;
+    this.reason = data.reason || null;
+    this.before = data.before ?? null;
+    this.after = data.after ?? null;
+    this.diff = data.diff || [];
+    this.metadata = data.metadata || {};
+    // Sin valor por defecto: las entradas previas a multi-tenancy no lo tienen en su hash
+    this.workspaceId = data.workspaceId;
+    this.tenantId = data.tenantId;
+    this.createdAt = data.createdAt; // ISO: forma parte del hash
+    this.prevHash = data.prevHash;
+    this.hash = data.hash;
+  }
+
+  /**
+   * Contenido que se firma (todo excepto id y hash)
+   */
+  static hashableContent (entry) {
+    const { id, hash, ...content } = entry;
+    return content;
+  }
+
+  static computeHash (entry) {
+    return crypto
+      .createHash('sha256')
+      .update(`${entry.prevHash}|${canonicalize(AuditLog.hashableContent(entry))}`)
+      .digest('hex');
+  }
+
+  /**
+   * Agregar entrada al final de la cadena (transacción serializa escrituras concurrentes)
+   */
+  static async append (data) {
+    const headRef = firestore.collection('audit_chain').doc('head');
+
+    return firestore.runTransaction(async (transaction) => {
+      const head = await transaction.get(headRef);
+      const { lastHash = GENESIS_HASH, sequence = 0 } = head.exists ? head.data() : {};
+
+      const nextSequence = sequence + 1;
+      const entry = new AuditLog({
+        ...withTenant(data),
+        id: String(nextSequence).padStart(12, '0'),
+        sequence: nextSequence,
+        createdAt: new Date().toISOString(),
+        prevHash: lastHash
+      });
+      entry.hash = AuditLog.computeHash({ ...entry });
+
+      transaction.set(firestore.collection('audit_logs').doc(entry.id), { ...entry });
+      transaction.set(headRef, { lastHash: entry.hash, sequence: nextSequence, updatedAt: entry.createdAt });
+
+      return entry;
+    });
+  }
+
+  static async getById (id) {
+    const doc = await firestore.collection('audit_logs').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new AuditLog({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Consultar entradas (más recientes primero)
+   * Filtros: entityType, entityId, actorEmail, action, from, to (ISO), before (cursor createdAt)
+   * Cada combinación de igualdades necesita su índice; las permitidas se validan en routes/audit.js
+   */
+  static async list ({ entityType, entityId, actorEmail, action, from, to, before, limit = 100 } = {}) {
+    let query = scopeQuery(firestore.collection('audit_logs'));
+
+    if (entityType) query = query.where('entityType', '==', entityType);
+    if (entityId) query = query.where('entityId', '==', entityId);
+    if (actorEmail) query = query.where('actor.email', '==', actorEmail);
+    if (action) query = query.where('action', '==', action);
+    if (from) query = query.where('createdAt', '>=', from);
+    if (to) query = query.where('createdAt', '<=', to);
+    if (before) query = query.where('createdAt', '<', before);
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => new AuditLog({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Página de la cadena en orden de secuencia (para verificación)
+   */
+  static async listBySequence ({ afterSequence = 0, limit = 500 } = {}) {
+    const snapshot = await firestore.collection('audit_logs')
+      .where('sequence', '>', afterSequence)
+      .orderBy('sequence', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => new AuditLog({ id: doc.id, ...doc.data() }));
+  }
+
+  static async getHead () {
+    const head = await firestore.collection('audit_chain').doc('head').get();
+    return head.exists ? head.data() : { lastHash: GENESIS_HASH, sequence: 0 };
+  }
+
+  toJSON () {
+    return { ...this };
+  }
+}
+
+module.exports = AuditLog;
+module.exports.GENESIS_HASH = GENESIS_HASH;
+module.exports.canonicalize = canonicalize;
@@ -0,0 +1,98 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { prepareForFirestore } = require('../utils/firestore');
+
+const DEFAULT_MESSAGES = {
+  greeting: '¡Hola! Gracias por escribirnos. Un agente te atenderá en breve.',
+  afterHours: 'Gracias por tu mensaje. Estamos fuera de horario; te responderemos a partir de {{nextOpening}}.',
+  holiday: 'Hoy es día festivo ({{holiday}}). Te responderemos a partir de {{nextOpening}}.',
+};
+
+/**
+ * Configuración de respuestas automáticas por workspace
+ * Un documento por workspace (ID = workspaceId). Sin calendarId se usa el
+ * calendario por defecto del workspace.
+ *
+ * Placeholders: {{nextOpening}} próxima apertura, {{holiday}} nombre del feriado
+ */
+class AutoReplySettings {
+  constructor (data) {
+    this.workspaceId = data.workspaceId || 'default_workspace';
+    this.enabled = data.enabled === true;
+    this.calendarId = data.calendarId || null;
+    this.windowMinutes = data.windowMinutes !== undefined ? data.windowMinutes : 240;
+    this.greeting = {
+      enabled: data.greeting?.enabled === true,
+      message: data.greeting?.message || DEFAULT_MESSAGES.greeting,
+    };
+    this.afterHours = {
+      enabled: data.afterHours?.enabled !== false,
+      message: data.afterHours?.message || DEFAULT_MESSAGES.afterHours,
+    };
+    this.holiday = {
+      enabled: data.holiday?.enabled !== false,
+      message: data.holiday?.message || DEFAULT_MESSAGES.holiday,
+    };
+    this.updatedBy = data.updatedBy || null;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Obtener configuración del workspace (valores por defecto si no existe)
+   */
+  static async getForWorkspace (workspaceId = 'default_workspace') {
+    const doc = await firestore.collection('auto_reply_settings').doc(workspaceId).get();
+    if (!doc.exists) {
+      return new AutoReplySettings({ workspaceId });
+    }
+    return new AutoReplySettings({ ...doc.data(), workspaceId });
+  }
+
+  /**
+   * Guardar cambios (merge) y devolver la configuración resultante
+   */
+  static async upsert (workspaceId, updates, updatedBy) {
+    const current = await AutoReplySettings.getForWorkspace(workspaceId);
+    const settings = new AutoReplySettings({
+      ...current,
+      ...updates,
+      greeting: { ...current.greeting, ...updates.greeting },
+      afterHours: { ...current.afterHours, ...updates.afterHours },
+      holiday: { ...current.holiday, ...updates.holiday },
+      workspaceId,
+      updatedBy,
+    });
+
+    const { updatedAt, ...fields } = settings;
+    await firestore.collection('auto_reply_settings').doc(workspaceId).set({
+      ...prepareForFirestore(fields),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    settings.updatedAt = Timestamp.now();
+    return settings;
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const updatedAt = this.updatedAt && typeof this.updatedAt.toDate === 'function'
+      ? this.updatedAt.toDate().toISOString()
+      : this.updatedAt;
+
+    return {
+      workspaceId: this.workspaceId,
+      enabled: this.enabled,
+      calendarId: this.calendarId,
+      windowMinutes: this.windowMinutes,
+      greeting: this.greeting,
+      afterHours: this.afterHours,
+      holiday: this.holiday,
+      updatedBy: this.updatedBy,
+      updatedAt: updatedAt || null,
+    };
+  }
+}
+
+module.exports = AutoReplySettings;
+module.exports.DEFAULT_MESSAGES = DEFAULT_MESSAGES;
@@ -0,0 +1,142 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Calendario de horario hábil
+ * Horario semanal por día (0 = domingo) en la zona horaria indicada y
+ * feriados en fecha local. Lo usan las políticas SLA para medir tiempos.
+ *
+ * weeklySchedule: { '1': [{ start: '09:00', end: '18:00' }], ... }
+ * holidays: [{ date: '2026-12-25', name: 'Navidad' }]
+ */
+class BusinessHoursCalendar {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.timezone = data.timezone || 'America/Mexico_City';
+    this.weeklySchedule = data.weeklySchedule || {};
+    this.holidays = data.holidays || [];
+    this.isDefault = data.isDefault === true;
+    this.createdBy = data.createdBy;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear calendario
+   */
+  static async create (calendarData) {
+    const calendar = new BusinessHoursCalendar(withTenant(calendarData));
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = calendar;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('business_hours_calendars').doc(calendar.id).set(cleanData);
+    return calendar;
+  }
+
+  /**
+   * Obtener calendario por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('business_hours_calendars').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new BusinessHoursCalendar({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Listar calendarios activos
+   */
+  static async list ({ limit = 100 } = {}) {
+    const query = scopeQuery(firestore.collection('business_hours_calendars')).where('isActive', '==', true);
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => new BusinessHoursCalendar({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Calendario por defecto del workspace
+   */
+  static async getDefaultForWorkspace (workspaceId = 'default_workspace') {
+    const snapshot = await firestore.collection('business_hours_calendars')
+      .where('workspaceId', '==', workspaceId)
+      .where('isDefault', '==', true)
+      .where('isActive', '==', true)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return new BusinessHoursCalendar({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Actualizar calendario
+   */
+  async update (updates) {
+    // El workspace no se cambia por update
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
+    const validUpdates = {
+      ...prepareForFirestore(allowedUpdates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('business_hours_calendars').doc(this.id).update(validUpdates);
+
+    Object.assign(this, allowedUpdates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Eliminar calendario (soft delete)
+   */
+  async delete () {
+    await this.update({
+      isActive: false,
+      isDefault: false,
+      deletedAt: new Date(),
+    });
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      name: this.name,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
+      timezone: this.timezone,
+      weeklySchedule: this.weeklySchedule,
+      holidays: this.holidays,
+      isDefault: this.isDefault,
+      createdBy: this.createdBy,
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = BusinessHoursCalendar;
@@ -1,12 +1,42 @@
 const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
 const { prepareForFirestore } = require('../utils/firestore');
 const logger = require('../utils/logger');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class Campaign {
   constructor (data) {
-    this.id = data.id;
+    this.id = data.id || uuidv4();
     this.name = data.name;
     this.status = data.status || 'draft';
+    this.description = data.description || '';
+    this.message = data.message || data.messageTemplate || '';
+
+    // Plantilla aprobada de WhatsApp (Content SID) y valores fijos por placeholder
+    this.templateId = data.templateId || null;
+    this.templateVariables = data.templateVariables || {};
+    this.createdBy = data.createdBy;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.scheduledAt = data.scheduledAt || null;
+    this.tags = data.tags || [];
+
+    // Audiencia: lista explícita de contactos o segmento resuelto al enviar
+    this.contacts = data.contacts || data.contactList || [];
+    this.segmentId = data.segmentId || null;
+    this.contactsTargeted = data.contactsTargeted || 0;
+    this.excludedOptedOut = data.excludedOptedOut || 0;
+
+    // Métricas
+    this.messagesSent = data.messagesSent || 0;
+    this.sentCount = data.sentCount || 0;
+    this.deliveredCount = data.deliveredCount || 0;
+    this.failedCount = data.failedCount || 0;
+    this.openedCount = data.openedCount || 0;
+    this.clickedCount = data.clickedCount || 0;
+    this.results = data.results || [];
+
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
     this.createdAt = data.createdAt || Timestamp.now();
   }
 
@@ -14,7 +44,7 @@ class Campaign {
    * Crear nueva campaña
    */
   static async create (campaignData) {
-    const campaign = new Campaign(campaignData);
+    const campaign = new Campaign(withTenant(campaignData));
 
     // Preparar datos para Firestore, removiendo campos undefined/null/vacíos
     const cleanData = prepareForFirestore({
@@ -32,7 +62,7 @@ class Campaign {
    */
   static async getById (id) {
     const doc = await firestore.collection('campaigns').doc(id).get();
-    if (!doc.exists) {
+    if (!doc.exists || !belongsToTenant(doc.data())) {
       return null;
     }
     return new Campaign({ id: doc.id, ...doc.data() });
@@ -48,7 +78,7 @@ class Campaign {
     createdBy = null,
     isActive = true,
   } = {}) {
-    let query = firestore.collection('campaigns');
+    let query = scopeQuery(firestore.collection('campaigns'));
 
     if (createdBy) {
       query = query.where('createdBy', '==', createdBy);
@@ -76,7 +106,7 @@ class Campaign {
    * Buscar campañas por nombre
    */
   static async search (searchTerm, createdBy = null) {
-    let query = firestore.collection('campaigns').where('isActive', '==', true);
+    let query = scopeQuery(firestore.collection('campaigns')).where('isActive', '==', true);
 
     if (createdBy) {
       query = query.where('createdBy', '==', createdBy);
@@ -97,7 +127,7 @@ class Campaign {
    * Obtener campañas por estado
    */
   static async getByStatus (status, createdBy = null) {
-    let query = firestore.collection('campaigns')
+    let query = scopeQuery(firestore.collection('campaigns'))
       .where('status', '==', status)
       .where('isActive', '==', true);
 
@@ -113,15 +143,16 @@ class Campaign {
    * Actualizar campaña
    */
   async update (updates) {
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
     const validUpdates = prepareForFirestore({
-      ...updates,
+      ...allowedUpdates,
       updatedAt: FieldValue.serverTimestamp(),
     });
 
     await firestore.collection('campaigns').doc(this.id).update(validUpdates);
 
     // Actualizar propiedades locales
-    Object.assign(this, updates);
+    Object.assign(this, allowedUpdates);
     this.updatedAt = Timestamp.now();
   }
 
@@ -240,9 +271,8 @@ class Campaign {
    */
   canBeSent () {
     return ['draft', 'scheduled', 'paused'].includes(this.status) &&
-           this.contacts.length > 0 &&
-           this.message &&
-           this.message.trim().length > 0;
+           (this.contacts.length > 0 || !!this.segmentId) &&
+           (!!this.templateId || (!!this.message && this.message.trim().length > 0));
   }
 
   /**
@@ -342,7 +372,7 @@ class Campaign {
       };
 
       results.forEach((doc, index) => {
-        if (doc.exists) {
+        if (doc.exists && belongsToTenant(doc.data())) {
           const campaignData = doc.data();
           const campaignId = campaignIds[index];
 
@@ -406,6 +436,11 @@ class Campaign {
       status: this.status || 'draft',
       createdAt: createdAtISO,
       messagesSent: this.messagesSent || 0,
+      segmentId: this.segmentId || null,
+      templateId: this.templateId || null,
+      contactsCount: this.contacts.length,
+      contactsTargeted: this.contactsTargeted || 0,
+      excludedOptedOut: this.excludedOptedOut || 0,
     };
   }
 }
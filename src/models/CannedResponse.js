@@ -0,0 +1,177 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Respuesta guardada (respuesta rápida) para agentes
+ * Alcance: global (todo el workspace), team (mismo department del usuario)
+ * o personal (solo su dueño). El contenido admite placeholders como
+ * {{contact.firstName}} o {{agent.name}}.
+ *
+ * attachments: [{ fileId, url, name, mimeType, category }]
+ */
+class CannedResponse {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.title = data.title;
+    this.shortcut = data.shortcut;
+    this.content = data.content || '';
+    this.category = data.category || 'general';
+    this.scope = data.scope || 'personal';
+    this.teamId = data.teamId || null;
+    this.ownerId = data.ownerId || null;
+    this.attachments = data.attachments || [];
+    this.usageCount = data.usageCount || 0;
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.knowledgeId = data.knowledgeId || null;
+    this.createdBy = data.createdBy;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear respuesta guardada
+   */
+  static async create (responseData) {
+    const response = new CannedResponse(withTenant(responseData));
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = response;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('canned_responses').doc(response.id).set(cleanData);
+    return response;
+  }
+
+  /**
+   * Obtener respuesta por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('canned_responses').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new CannedResponse({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Listar respuestas activas (la visibilidad por usuario se filtra en el servicio)
+   */
+  static async list ({ category = null, scope = null } = {}) {
+    let query = scopeQuery(firestore.collection('canned_responses')).where('isActive', '==', true);
+
+    if (category) {
+      query = query.where('category', '==', category);
+    }
+
+    if (scope) {
+      query = query.where('scope', '==', scope);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => new CannedResponse({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Actualizar respuesta
+   */
+  async update (updates) {
+    // El workspace no se cambia por update
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
+    const validUpdates = {
+      ...prepareForFirestore(allowedUpdates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('canned_responses').doc(this.id).update(validUpdates);
+
+    Object.assign(this, allowedUpdates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Registrar un uso (contador + evento para estadísticas por periodo)
+   */
+  async recordUsage ({ userId, conversationId = null }) {
+    const usedAt = new Date();
+
+    await Promise.all([
+      firestore.collection('canned_responses').doc(this.id).update({
+        usageCount: FieldValue.increment(1),
+        lastUsedAt: usedAt,
+      }),
+      firestore.collection('canned_response_usage').add({
+        responseId: this.id,
+        workspaceId: this.workspaceId,
+        tenantId: this.tenantId,
+        userId,
+        conversationId,
+        usedAt,
+      }),
+    ]);
+
+    this.usageCount += 1;
+    this.lastUsedAt = usedAt;
+  }
+
+  /**
+   * Eventos de uso en un periodo
+   */
+  static async getUsageEvents (startDate, endDate) {
+    const snapshot = await scopeQuery(firestore.collection('canned_response_usage'))
+      .where('usedAt', '>=', startDate)
+      .where('usedAt', '<=', endDate)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  /**
+   * Eliminar respuesta (soft delete)
+   */
+  async delete () {
+    await this.update({
+      isActive: false,
+      deletedAt: new Date(),
+    });
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      title: this.title,
+      shortcut: this.shortcut,
+      content: this.content,
+      category: this.category,
+      scope: this.scope,
+      teamId: this.teamId,
+      ownerId: this.ownerId,
+      attachments: this.attachments,
+      usageCount: this.usageCount,
+      lastUsedAt: toISO(this.lastUsedAt),
+      knowledgeId: this.knowledgeId,
+      createdBy: this.createdBy,
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = CannedResponse;
@@ -1,6 +1,7 @@
 const { firestore, FieldValue, Timestamp } = require('../config/firebase');
 const { v4: uuidv4 } = require('uuid');
 const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class Contact {
   constructor (data) {
@@ -17,6 +18,13 @@ class Contact {
     this.createdAt = data.createdAt || Timestamp.now();
     this.updatedAt = data.updatedAt || Timestamp.now();
     this.conversationIds = data.conversationIds || []; // ✅ NUEVA REFERENCIA A CONVERSACIONES
+    this.optedOut = data.optedOut === true; // Baja de campañas (STOP/BAJA); se excluye de envíos masivos
+    this.optedOutAt = data.optedOutAt || null;
+    this.alternatePhones = data.alternatePhones || []; // Teléfonos de contactos fusionados en este
+    this.mergedInto = data.mergedInto || null; // Superviviente si este contacto fue fusionado
+    this.mergeId = data.mergeId || null;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
   }
 
   /**
@@ -30,7 +38,7 @@ class Contact {
         : `whatsapp:${contactData.phone}`;
     }
     
-    const contact = new Contact(contactData);
+    const contact = new Contact(withTenant(contactData));
 
     // Preparar datos para Firestore, removiendo campos undefined/null/vacíos
     const cleanData = prepareForFirestore({
@@ -79,7 +87,7 @@ class Contact {
    */
   static async getById (id) {
     const doc = await firestore.collection('contacts').doc(id).get();
-    if (!doc.exists) {
+    if (!doc.exists || !belongsToTenant(doc.data())) {
       return null;
     }
     return new Contact({ id: doc.id, ...doc.data() });
@@ -96,8 +104,7 @@ class Contact {
         : `whatsapp:${phone}`;
         
       // Primero intentar buscar contactos activos
-      let snapshot = await firestore
-        .collection('contacts')
+      let snapshot = await scopeQuery(firestore.collection('contacts'))
         .where('phone', '==', normalizedPhone)
         .where('isActive', '==', true)
         .limit(1)
@@ -105,8 +112,7 @@ class Contact {
 
       // Si no encuentra contactos activos, buscar cualquier contacto con ese teléfono
       if (snapshot.empty) {
-        snapshot = await firestore
-          .collection('contacts')
+        snapshot = await scopeQuery(firestore.collection('contacts'))
           .where('phone', '==', normalizedPhone)
           .limit(1)
           .get();
@@ -138,13 +144,14 @@ class Contact {
       const docRef = firestore.collection('contacts').doc(id);
       const doc = await docRef.get();
       
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToTenant(doc.data())) {
         return null;
       }
 
-      // Preparar datos para Firestore
+      // Preparar datos para Firestore (el workspace no se cambia por update)
+      const { workspaceId, tenantId, ...allowedUpdates } = updates;
       const validUpdates = prepareForFirestore({
-        ...updates,
+        ...allowedUpdates,
         updatedAt: FieldValue.serverTimestamp(),
       });
 
@@ -204,7 +211,7 @@ class Contact {
       const docRef = firestore.collection('contacts').doc(id);
       const doc = await docRef.get();
       
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToTenant(doc.data())) {
         return null;
       }
 
@@ -239,7 +246,7 @@ class Contact {
     userId = null,
     isActive = true,
   } = {}) {
-    let query = firestore.collection('contacts');
+    let query = scopeQuery(firestore.collection('contacts'));
 
     if (userId) {
       query = query.where('userId', '==', userId);
@@ -279,7 +286,7 @@ class Contact {
    * Buscar contactos por texto
    */
   static async search (searchTerm, userId = null) {
-    let query = firestore.collection('contacts').where('isActive', '==', true);
+    let query = scopeQuery(firestore.collection('contacts')).where('isActive', '==', true);
 
     if (userId) {
       query = query.where('userId', '==', userId);
@@ -301,7 +308,7 @@ class Contact {
    * Obtener contactos por tags
    */
   static async getByTags (tags, userId = null) {
-    let query = firestore.collection('contacts')
+    let query = scopeQuery(firestore.collection('contacts'))
       .where('tags', 'array-contains-any', tags)
       .where('isActive', '==', true);
 
@@ -317,15 +324,16 @@ class Contact {
    * Actualizar contacto
    */
   async update (updates) {
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
     const validUpdates = prepareForFirestore({
-      ...updates,
+      ...allowedUpdates,
       updatedAt: FieldValue.serverTimestamp(),
     });
 
     await firestore.collection('contacts').doc(this.id).update(validUpdates);
 
     // Actualizar propiedades locales
-    Object.assign(this, updates);
+    Object.assign(this, allowedUpdates);
     this.updatedAt = Timestamp.now();
   }
 
@@ -373,7 +381,7 @@ class Contact {
    * Exportar contactos a CSV
    */
   static async exportToCSV (userId = null) {
-    let query = firestore.collection('contacts').where('isActive', '==', true);
+    let query = scopeQuery(firestore.collection('contacts')).where('isActive', '==', true);
 
     if (userId) {
       query = query.where('userId', '==', userId);
@@ -402,7 +410,7 @@ class Contact {
    */
   static async getAllTags (userId = null) {
     try {
-      let query = firestore.collection('contacts').where('isActive', '==', true);
+      let query = scopeQuery(firestore.collection('contacts')).where('isActive', '==', true);
 
       if (userId) {
         query = query.where('userId', '==', userId);
@@ -479,7 +487,10 @@ class Contact {
       company: this.company || '',
       lastModifiedBy: this.lastModifiedBy || '',
       createdBy: this.createdBy || '',
-      conversationIds: this.conversationIds || [] // ✅ NUEVA REFERENCIA A CONVERSACIONES
+      conversationIds: this.conversationIds || [], // ✅ NUEVA REFERENCIA A CONVERSACIONES
+      alternatePhones: this.alternatePhones || [],
+      mergedInto: this.mergedInto || null,
+      mergeId: this.mergeId || null
     };
   }
 }
@@ -0,0 +1,139 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+
+const STATUSES = ['in_progress', 'completed', 'failed', 'undone'];
+
+/**
+ * Registro de auditoría de una fusión de contactos
+ * Guarda lo necesario para deshacerla: qué conversaciones se movieron
+ * (conversations) y qué cambió en el contacto superviviente (survivorChanges).
+ *
+ * conversations[].mode: 'moved' (la conversación completa cambió de contacto)
+ * o 'combined' (sus mensajes se unieron a una conversación con el mismo ID)
+ */
+class ContactMerge {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.survivorId = data.survivorId;
+    this.mergedIds = data.mergedIds || [];
+    this.involvedContactIds = data.involvedContactIds || [this.survivorId, ...this.mergedIds];
+    this.status = data.status || 'in_progress';
+    this.reason = data.reason || null;
+    this.mergedContacts = data.mergedContacts || [];
+    this.conversations = data.conversations || [];
+    this.survivorChanges = data.survivorChanges || {};
+    this.conflicts = data.conflicts || [];
+    this.error = data.error || null;
+    this.workspaceId = data.workspaceId || null;
+    this.tenantId = data.tenantId || null;
+    this.mergedBy = data.mergedBy;
+    this.undoneBy = data.undoneBy || null;
+    this.undoneAt = data.undoneAt || null;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear registro de fusión
+   */
+  static async create (mergeData) {
+    const merge = new ContactMerge(mergeData);
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = merge;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('contact_merges').doc(merge.id).set(cleanData);
+    return merge;
+  }
+
+  /**
+   * Obtener fusión por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('contact_merges').doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new ContactMerge({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Historial de fusiones (opcionalmente de un contacto)
+   */
+  static async list ({ contactId = null, limit = 50 } = {}) {
+    let query = firestore.collection('contact_merges');
+
+    if (contactId) {
+      query = query.where('involvedContactIds', 'array-contains', contactId);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => new ContactMerge({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Actualizar fusión
+   */
+  async update (updates) {
+    const validUpdates = {
+      ...prepareForFirestore(updates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('contact_merges').doc(this.id).update(validUpdates);
+
+    Object.assign(this, updates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Registrar conversaciones movidas
+   * Sin prepareForFirestore: los datos de conversación guardados llevan Timestamps
+   */
+  async recordConversations (conversations) {
+    await firestore.collection('contact_merges').doc(this.id).update({
+      conversations,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    this.conversations = conversations;
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      survivorId: this.survivorId,
+      mergedIds: this.mergedIds,
+      status: this.status,
+      reason: this.reason,
+      mergedContacts: this.mergedContacts,
+      conversations: this.conversations.map(({ conversationData, previousLastMessage, ...move }) => move),
+      survivorChanges: this.survivorChanges,
+      conflicts: this.conflicts,
+      error: this.error,
+      mergedBy: this.mergedBy,
+      undoneBy: this.undoneBy,
+      undoneAt: toISO(this.undoneAt),
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = ContactMerge;
+module.exports.STATUSES = STATUSES;
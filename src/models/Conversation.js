@@ -38,6 +38,16 @@ class Conversation {
     this.unreadCount = data.unreadCount || 0;
     this.lastMessage = data.lastMessage || null;
     this.lastMessageAt = data.lastMessageAt || null;
+
+    // Resumen de sentimiento/intención de mensajes entrantes
+    this.sentimentSummary = data.sentimentSummary || null;
+
+    // Estado SLA (primera respuesta / resolución) calculado por SlaService
+    this.firstResponseAt = data.firstResponseAt || null;
+    this.sla = data.sla || null;
+
+    // Último mensaje del cliente: abre la ventana de 24h de WhatsApp
+    this.lastInboundAt = data.lastInboundAt || null;
     
     // Campos de tenant/workspace
     this.workspaceId = data.workspaceId || 'default_workspace';
@@ -151,6 +161,10 @@ class Conversation {
       unreadCount: this.unreadCount,
       lastMessage: this.lastMessage,
       lastMessageAt: safeDateToISOString(this.lastMessageAt),
+      sentimentSummary: this.sentimentSummary,
+      firstResponseAt: safeDateToISOString(this.firstResponseAt),
+      sla: this.sla,
+      lastInboundAt: safeDateToISOString(this.lastInboundAt),
       workspaceId: this.workspaceId,
       tenantId: this.tenantId,
       createdBy: this.createdBy,
@@ -8,6 +8,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/firebase');
+const { getTenant, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class Driver {
   constructor(data = {}) {
@@ -118,6 +119,7 @@ class Driver {
   async save() {
     try {
       this.updatedAt = new Date();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
       
       const docRef = db.collection('drivers').doc(this.id);
       await docRef.set(this.toFirestore());
@@ -133,7 +135,9 @@ class Driver {
    */
   async update(updates) {
     try {
-      Object.assign(this, updates);
+      // El workspace no se cambia por update
+      const { workspaceId, tenantId, ...allowedUpdates } = updates;
+      Object.assign(this, allowedUpdates);
       this.updatedAt = new Date();
       
       const docRef = db.collection('drivers').doc(this.id);
@@ -166,7 +170,7 @@ class Driver {
     try {
       const doc = await db.collection('drivers').doc(id).get();
       
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToTenant(doc.data())) {
         return null;
       }
       
@@ -182,6 +186,12 @@ class Driver {
    */
   static async listByWorkspace(workspaceId, tenantId, options = {}) {
     try {
+      // El workspace del JWT tiene prioridad sobre el recibido por parámetro
+      const tenant = getTenant();
+      if (tenant) {
+        ({ workspaceId, tenantId } = tenant);
+      }
+
       // ✅ VALIDACIÓN DE PARÁMETROS
       if (!workspaceId || !tenantId) {
         console.log('⚠️ Parámetros de workspace faltantes:', { workspaceId, tenantId });
@@ -308,6 +318,11 @@ class Driver {
    */
   static async plateExistsInWorkspace(workspaceId, tenantId, plate, excludeId = null) {
     try {
+      const tenant = getTenant();
+      if (tenant) {
+        ({ workspaceId, tenantId } = tenant);
+      }
+
       // Validar parámetros requeridos
       if (!workspaceId || !tenantId || !plate) {
         return false;
@@ -1,6 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/firebase');
 const { FieldValue } = require('firebase-admin/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 /**
  * Modelo de Empleado - Núcleo del sistema de Recursos Humanos
@@ -116,6 +117,9 @@ class Employee {
     this.sbc = data.sbc || 0;
     this.vacationBalance = data.vacationBalance || 0;
     this.sickLeaveBalance = data.sickLeaveBalance || 0;
+
+    // Baja registrada con finiquito: { settlementId, terminationDate, reason, lockedAt, lockedBy }
+    this.termination = data.termination || null;
     this.metrics = data.metrics || {
       totalEarnings: 0,
       totalDeductions: 0,
@@ -138,6 +142,10 @@ class Employee {
     this.updatedAt = data.updatedAt || new Date().toISOString();
     this.createdBy = data.createdBy || null;
     this.updatedBy = data.updatedBy || null;
+
+    // Workspace (multi-tenant): se fija al crear y no cambia con update()
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
   }
 
   /**
@@ -145,7 +153,7 @@ class Employee {
    */
   static async generateEmployeeNumber() {
     try {
-      const employeesRef = db.collection('employees');
+      const employeesRef = scopeQuery(db.collection('employees'));
       const snapshot = await employeesRef
         .orderBy('employeeNumber', 'desc')
         .limit(1)
@@ -171,7 +179,7 @@ class Employee {
    */
   static async findByDepartment(department) {
     try {
-      const snapshot = await db.collection('employees')
+      const snapshot = await scopeQuery(db.collection('employees'))
         .where('position.department', '==', department)
         .where('status', '==', 'active')
         .get();
@@ -245,11 +253,14 @@ class Employee {
       sbc: this.sbc,
       vacationBalance: this.vacationBalance,
       sickLeaveBalance: this.sickLeaveBalance,
+      termination: this.termination,
       metrics: this.metrics,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       createdBy: this.createdBy,
-      updatedBy: this.updatedBy
+      updatedBy: this.updatedBy,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId
     };
   }
 
@@ -276,6 +287,7 @@ class Employee {
       }
 
       this.updatedAt = new Date().toISOString();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
 
       const docRef = db.collection('employees').doc(this.id);
       await docRef.set(this.toFirestore());
@@ -292,6 +304,8 @@ class Employee {
    */
   async update(data, updatedBy = null) {
     try {
+      this.assertNotLocked();
+
       // Actualizar solo los campos proporcionados
       if (data.personalInfo) {
         this.personalInfo = { ...this.personalInfo, ...data.personalInfo };
@@ -360,6 +374,8 @@ class Employee {
    */
   async delete(deletedBy = null) {
     try {
+      this.assertNotLocked();
+
       this.status = 'terminated';
       this.updatedAt = new Date().toISOString();
       this.updatedBy = deletedBy;
@@ -380,13 +396,67 @@ class Employee {
     }
   }
 
+  /**
+   * Indica si el expediente está bloqueado por una baja con finiquito
+   */
+  isLocked() {
+    return Boolean(this.termination?.settlementId);
+  }
+
+  /**
+   * Lanza error si el expediente está bloqueado
+   */
+  assertNotLocked() {
+    if (this.isLocked()) {
+      const error = new Error('El expediente del empleado está bloqueado por una baja registrada');
+      error.code = 'EMPLOYEE_LOCKED';
+      throw error;
+    }
+  }
+
+  /**
+   * Registra la baja y bloquea el expediente
+   */
+  async lock(termination, lockedBy = null) {
+    try {
+      this.assertNotLocked();
+
+      const now = new Date().toISOString();
+      this.termination = {
+        ...termination,
+        lockedAt: now,
+        lockedBy
+      };
+      this.status = 'terminated';
+      this.contract = { ...this.contract, endDate: termination.terminationDate };
+      this.position = { ...this.position, endDate: termination.terminationDate };
+      this.updatedAt = now;
+      this.updatedBy = lockedBy;
+
+      const docRef = db.collection('employees').doc(this.id);
+      await docRef.update({
+        termination: this.termination,
+        status: this.status,
+        contract: this.contract,
+        position: this.position,
+        updatedAt: this.updatedAt,
+        updatedBy: this.updatedBy
+      });
+
+      return this;
+    } catch (error) {
+      console.error('Error locking employee:', error);
+      throw error;
+    }
+  }
+
   /**
    * Busca un empleado por ID
    */
   static async findById(id) {
     try {
       const doc = await db.collection('employees').doc(id).get();
-      if (!doc.exists) {
+      if (!doc.exists || !belongsToTenant(doc.data())) {
         return null;
       }
       return Employee.fromFirestore(doc);
@@ -401,7 +471,7 @@ class Employee {
    */
   static async findByEmployeeNumber(employeeNumber) {
     try {
-      const snapshot = await db.collection('employees')
+      const snapshot = await scopeQuery(db.collection('employees'))
         .where('employeeNumber', '==', employeeNumber)
         .limit(1)
         .get();
@@ -422,7 +492,7 @@ class Employee {
    */
   static async findActive() {
     try {
-      const snapshot = await db.collection('employees')
+      const snapshot = await scopeQuery(db.collection('employees'))
         .where('status', '==', 'active')
         .get();
       
@@ -448,7 +518,7 @@ class Employee {
         sortOrder = 'desc'
       } = options;
 
-      let query = db.collection('employees');
+      let query = scopeQuery(db.collection('employees'));
 
       // Filtros
       if (department) {
@@ -498,7 +568,7 @@ class Employee {
       });
 
       // Obtener total para paginación
-      let totalQuery = db.collection('employees');
+      let totalQuery = scopeQuery(db.collection('employees'));
       if (department) {
         totalQuery = totalQuery.where('position.department', '==', department);
       }
@@ -529,7 +599,7 @@ class Employee {
    */
   static async getSummary() {
     try {
-      const snapshot = await db.collection('employees').get();
+      const snapshot = await scopeQuery(db.collection('employees')).get();
       
       const summary = {
         total: 0,
@@ -557,7 +627,7 @@ class Employee {
    */
   static async getByDepartment(department) {
     try {
-      const snapshot = await db.collection('employees')
+      const snapshot = await scopeQuery(db.collection('employees'))
         .where('position.department', '==', department)
         .where('status', '==', 'active')
         .get();
@@ -581,7 +651,7 @@ class Employee {
     try {
       if (!email) return false;
       
-      let query = db.collection('employees').where('personalInfo.email', '==', email);
+      let query = scopeQuery(db.collection('employees')).where('personalInfo.email', '==', email);
       
       if (excludeId) {
         query = query.where(FieldValue.documentId(), '!=', excludeId);
@@ -602,7 +672,7 @@ class Employee {
     try {
       if (!phone) return false;
       
-      let query = db.collection('employees').where('personalInfo.phone', '==', phone);
+      let query = scopeQuery(db.collection('employees')).where('personalInfo.phone', '==', phone);
       
       if (excludeId) {
         query = query.where(FieldValue.documentId(), '!=', excludeId);
@@ -623,7 +693,7 @@ class Employee {
     try {
       if (!rfc) return false;
       
-      let query = db.collection('employees').where('personalInfo.rfc', '==', rfc);
+      let query = scopeQuery(db.collection('employees')).where('personalInfo.rfc', '==', rfc);
       
       if (excludeId) {
         query = query.where(FieldValue.documentId(), '!=', excludeId);
@@ -0,0 +1,132 @@
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * Modelo de Finiquito / Liquidación
+ * Cálculo de la baja de un empleado (uno por empleado)
+ * type: 'finiquito' (prestaciones devengadas) o 'liquidacion' (finiquito + indemnizaciones)
+ */
+class EmployeeSettlement {
+  constructor(data = {}) {
+    this.id = data.id || EmployeeSettlement.buildId(data.employeeId);
+    this.employeeId = data.employeeId;
+    this.employeeName = data.employeeName || '';
+    this.employeeNumber = data.employeeNumber || '';
+    this.department = data.department || '';
+    this.position = data.position || '';
+    this.type = data.type || 'finiquito';
+    this.reason = data.reason; // voluntary_resignation, justified_dismissal, unjustified_dismissal, contract_end, mutual_agreement
+    this.notes = data.notes || null;
+    this.currency = data.currency || 'MXN';
+
+    // Base de cálculo
+    this.startDate = data.startDate;
+    this.terminationDate = data.terminationDate;
+    this.yearsOfService = data.yearsOfService || 0;
+    this.monthlySalary = data.monthlySalary || 0;
+    this.dailySalary = data.dailySalary || 0;
+    this.integratedDailySalary = data.integratedDailySalary || 0;
+    this.pendingSalaryDays = data.pendingSalaryDays || 0;
+    this.aguinaldoDays = data.aguinaldoDays || 0;
+    this.vacationDays = data.vacationDays || 0;
+    this.vacationPremiumRate = data.vacationPremiumRate || 0;
+
+    // Conceptos: [{ type, concept, amount, exempt, taxable }]
+    this.perceptions = data.perceptions || [];
+    this.deductions = data.deductions || [];
+
+    // Totales
+    this.totalPerceptions = data.totalPerceptions || 0;
+    this.totalExempt = data.totalExempt || 0;
+    this.totalTaxable = data.totalTaxable || 0;
+    this.totalDeductions = data.totalDeductions || 0;
+    this.netAmount = data.netAmount || 0;
+
+    // Detalle de ISR (ordinario + separación, art. 95 LISR) y versión de tabla fiscal aplicada
+    this.taxes = data.taxes || { isr: 0, ordinaryIsr: 0, separationIsr: 0, separationRate: 0, tableVersion: null };
+
+    // Documento PDF guardado en los documentos del empleado
+    this.pdfDocumentId = data.pdfDocumentId || null;
+
+    this.calculatedBy = data.calculatedBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * ID determinista: un finiquito por empleado
+   */
+  static buildId(employeeId) {
+    if (!employeeId) {
+      return undefined;
+    }
+    return `settlement_${employeeId}`;
+  }
+
+  /**
+   * Guardar finiquito en Firestore
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      await db.collection('employee_settlements').doc(this.id).set({ ...this });
+
+      logger.info('EmployeeSettlement guardado', {
+        id: this.id,
+        employeeId: this.employeeId,
+        type: this.type,
+        netAmount: this.netAmount
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error guardando EmployeeSettlement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar finiquito
+   */
+  async update(updateData) {
+    try {
+      this.updatedAt = new Date().toISOString();
+
+      await db.collection('employee_settlements').doc(this.id).update({
+        ...updateData,
+        updatedAt: this.updatedAt
+      });
+
+      Object.assign(this, updateData);
+
+      return this;
+    } catch (error) {
+      logger.error('Error actualizando EmployeeSettlement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar finiquito de un empleado
+   */
+  static async findByEmployee(employeeId) {
+    try {
+      const doc = await db.collection('employee_settlements').doc(EmployeeSettlement.buildId(employeeId)).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      return new EmployeeSettlement({
+        id: doc.id,
+        ...doc.data()
+      });
+    } catch (error) {
+      logger.error('Error buscando finiquito por empleado:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = EmployeeSettlement;
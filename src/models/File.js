@@ -32,6 +32,7 @@ class File {
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.metadata = data.metadata || {};
     this.tags = data.tags || [];
+    this.transcript = data.transcript || null; // Texto transcrito (audio)
     this.downloadCount = data.downloadCount || 0;
     this.lastAccessedAt = data.lastAccessedAt;
     this.createdAt = data.createdAt || new Date();
@@ -183,6 +184,32 @@ class File {
     return new File({ id: doc.id, ...doc.data() });
   }
 
+  /**
+   * Resolver IDs de archivo a adjuntos de mensaje
+   * @returns {Promise<{ attachments: object[], missing: string[] }>}
+   */
+  static async resolveAttachments(fileIds = []) {
+    const files = await Promise.all(fileIds.map(fileId => File.getById(fileId)));
+    const attachments = [];
+    const missing = [];
+
+    files.forEach((file, index) => {
+      if (!file || file.isActive === false) {
+        missing.push(fileIds[index]);
+        return;
+      }
+      attachments.push({
+        fileId: file.id,
+        url: file.publicUrl || file.storageUrl,
+        name: file.originalName,
+        mimeType: file.mimeType,
+        category: file.category
+      });
+    });
+
+    return { attachments, missing };
+  }
+
   /**
    * Buscar archivo por storage path
    */
@@ -497,6 +524,7 @@ class File {
       .filter(file =>
         file.originalName.toLowerCase().includes(searchLower) ||
         file.category.toLowerCase().includes(searchLower) ||
+        (file.transcript && file.transcript.toLowerCase().includes(searchLower)) ||
         (file.metadata && JSON.stringify(file.metadata).toLowerCase().includes(searchLower))
       )
       .slice(0, limit);
@@ -773,6 +801,7 @@ class File {
       isActive: this.isActive,
       metadata: this.metadata,
       tags: this.tags,
+      transcript: this.transcript,
       downloadCount: this.downloadCount,
       lastAccessedAt: this.lastAccessedAt?.toDate?.()?.toISOString() || this.lastAccessedAt,
       createdAt: this.createdAt?.toDate?.()?.toISOString() || this.createdAt,
@@ -8,6 +8,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/firebase');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class Material {
   constructor(data = {}) {
@@ -20,6 +21,8 @@ class Material {
     this.providerIds = data.providerIds || [];
     this.unit = data.unit || 'm²';
     this.standardWidth = data.standardWidth !== undefined ? data.standardWidth : 0.3;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -37,6 +40,8 @@ class Material {
       providerIds: this.providerIds,
       unit: this.unit,
       standardWidth: this.standardWidth,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -63,6 +68,7 @@ class Material {
   async save() {
     try {
       this.updatedAt = new Date();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
       const docRef = db.collection('materials').doc(this.id);
       
       await docRef.set(this.toFirestore());
@@ -78,7 +84,9 @@ class Material {
    */
   async update(updates) {
     try {
-      Object.assign(this, updates);
+      // El workspace no se cambia por update
+      const { workspaceId, tenantId, ...allowedUpdates } = updates;
+      Object.assign(this, allowedUpdates);
       this.updatedAt = new Date();
       
       const docRef = db.collection('materials').doc(this.id);
@@ -115,14 +123,31 @@ class Material {
       
       const material = Material.fromFirestore(doc);
       
-      // Antes se validaba por userId; ahora es global
-      return material;
+      // Antes se validaba por userId; ahora se valida por workspace
+      return material && belongsToTenant(material) ? material : null;
     } catch (error) {
       console.error('Error buscando material:', error);
       throw error;
     }
   }
 
+  /**
+   * Busca un material del workspace por nombre (las piezas de plataforma guardan el nombre)
+   */
+  static async findByName(userId, name) {
+    try {
+      const snapshot = await scopeQuery(db.collection('materials'))
+        .where('name', '==', name)
+        .limit(1)
+        .get();
+
+      return snapshot.empty ? null : Material.fromFirestore(snapshot.docs[0]);
+    } catch (error) {
+      console.error('Error buscando material por nombre:', error);
+      throw error;
+    }
+  }
+
   /**
    * Lista todos los materiales de un usuario
    */
@@ -137,7 +162,7 @@ class Material {
         offset = 0
       } = options;
 
-      let query = db.collection('materials');
+      let query = scopeQuery(db.collection('materials'));
 
       // Filtrar por estado activo
       if (active !== null) {
@@ -176,10 +201,10 @@ class Material {
         );
       }
 
-      // Contar total (sin filtrar por usuario)
+      // Contar total del workspace
       const totalQuery = active !== null 
-        ? db.collection('materials').where('isActive', '==', active)
-        : db.collection('materials');
+        ? scopeQuery(db.collection('materials')).where('isActive', '==', active)
+        : scopeQuery(db.collection('materials'));
       
       const totalSnapshot = await totalQuery.get();
       const total = totalSnapshot.size;
@@ -204,7 +229,7 @@ class Material {
    */
   static async listByCategory(userId, category) {
     try {
-      const snapshot = await db.collection('materials')
+      const snapshot = await scopeQuery(db.collection('materials'))
         .where('category', '==', category)
         .where('isActive', '==', true)
         .orderBy('name', 'asc')
@@ -222,7 +247,7 @@ class Material {
    */
   static async getCategories(userId) {
     try {
-      const snapshot = await db.collection('materials')
+      const snapshot = await scopeQuery(db.collection('materials'))
         .where('isActive', '==', true)
         .get();
 
@@ -0,0 +1,146 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+
+const BATCH_LIMIT = 400;
+
+/**
+ * Mención de un usuario en una nota interna de conversación
+ * Alimenta el feed de menciones no leídas de cada usuario (userEmail).
+ */
+class Mention {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.userEmail = String(data.userEmail || '').toLowerCase();
+    this.conversationId = data.conversationId;
+    this.contactId = data.contactId || null;
+    this.messageId = data.messageId;
+    this.authorEmail = data.authorEmail;
+    this.authorName = data.authorName || null;
+    this.excerpt = data.excerpt || '';
+    this.workspaceId = data.workspaceId || null;
+    this.tenantId = data.tenantId || null;
+    this.read = data.read === true;
+    this.readAt = data.readAt || null;
+    this.createdAt = data.createdAt || Timestamp.now();
+  }
+
+  /**
+   * Crear mención
+   */
+  static async create (mentionData) {
+    const mention = new Mention(mentionData);
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, ...fields } = mention;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('mentions').doc(mention.id).set(cleanData);
+    return mention;
+  }
+
+  /**
+   * Obtener mención por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('mentions').doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new Mention({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Feed de menciones del usuario (más recientes primero)
+   */
+  static async listForUser (userEmail, { unreadOnly = false, limit = 50 } = {}) {
+    let query = firestore.collection('mentions').where('userEmail', '==', String(userEmail).toLowerCase());
+
+    if (unreadOnly) {
+      query = query.where('read', '==', false);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(doc => new Mention({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Número de menciones sin leer del usuario
+   */
+  static async countUnread (userEmail) {
+    const snapshot = await firestore.collection('mentions')
+      .where('userEmail', '==', String(userEmail).toLowerCase())
+      .where('read', '==', false)
+      .get();
+
+    return snapshot.size;
+  }
+
+  /**
+   * Marcar como leídas todas las menciones del usuario (opcionalmente de una conversación)
+   * @returns {Promise<number>} menciones actualizadas
+   */
+  static async markAllRead (userEmail, { conversationId = null } = {}) {
+    let query = firestore.collection('mentions')
+      .where('userEmail', '==', String(userEmail).toLowerCase())
+      .where('read', '==', false);
+
+    if (conversationId) {
+      query = query.where('conversationId', '==', conversationId);
+    }
+
+    const snapshot = await query.get();
+    const readAt = new Date();
+
+    for (let i = 0; i < snapshot.docs.length; i += BATCH_LIMIT) {
+      const batch = firestore.batch();
+      snapshot.docs.slice(i, i + BATCH_LIMIT).forEach(doc => batch.update(doc.ref, { read: true, readAt }));
+      await batch.commit();
+    }
+
+    return snapshot.size;
+  }
+
+  /**
+   * Marcar mención como leída
+   */
+  async markRead () {
+    if (this.read) return;
+
+    const readAt = new Date();
+    await firestore.collection('mentions').doc(this.id).update({ read: true, readAt });
+
+    this.read = true;
+    this.readAt = readAt;
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      userEmail: this.userEmail,
+      conversationId: this.conversationId,
+      contactId: this.contactId,
+      messageId: this.messageId,
+      authorEmail: this.authorEmail,
+      authorName: this.authorName,
+      excerpt: this.excerpt,
+      read: this.read,
+      readAt: toISO(this.readAt),
+      createdAt: toISO(this.createdAt),
+    };
+  }
+}
+
+module.exports = Mention;
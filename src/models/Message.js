@@ -122,6 +122,12 @@ class Message {
       this.location = data.location || null;
       this.sticker = data.sticker || null;
 
+      // Clasificación de sentimiento/intención (solo inbound)
+      this.analysis = data.analysis || null;
+
+      // Transcripción de notas de voz
+      this.transcription = data.transcription || null;
+
       // Validar y ajustar tipo según contenido
       if (this.location && this.type !== 'location') {
         this.type = 'location';
@@ -733,6 +739,8 @@ class Message {
       status: this.status,
       timestamp: normalizedTimestamp,
       metadata: this.metadata,
+      analysis: this.analysis,
+      transcription: this.transcription,
       createdAt: normalizedCreatedAt,
       updatedAt: normalizedUpdatedAt,
     };
@@ -997,8 +1005,10 @@ class Message {
    */
   static async search (conversationId, searchTerm, options = {}) {
     const messages = await this.getByConversation(conversationId, { ...options, limit: 1000 });
+    const term = searchTerm.toLowerCase();
     return messages.messages.filter(message =>
-      message.content?.toLowerCase().includes(searchTerm.toLowerCase()),
+      message.content?.toLowerCase().includes(term) ||
+      message.transcription?.text?.toLowerCase().includes(term),
     );
   }
 
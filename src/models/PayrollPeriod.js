@@ -0,0 +1,252 @@
+const { db } = require('../config/firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Modelo de Período de Nómina
+ * Agrupa las corridas de nómina de un rango de fechas (semanal, quincenal o mensual)
+ * y acumula la asistencia aprobada de cada empleado en la subcolección `attendance`
+ */
+class PayrollPeriod {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.frequency = data.frequency; // weekly, biweekly, monthly
+    this.startDate = data.startDate; // YYYY-MM-DD
+    this.endDate = data.endDate; // YYYY-MM-DD
+    this.paymentDate = data.paymentDate || data.endDate;
+    this.status = data.status || 'open'; // open, closed
+    this.notes = data.notes || '';
+    this.totals = data.totals || {
+      employees: 0,
+      grossSalary: 0,
+      totalDeductions: 0,
+      netSalary: 0
+    };
+    this.attendanceReports = data.attendanceReports || [];
+    this.createdBy = data.createdBy;
+    this.closedBy = data.closedBy || null;
+    this.closedAt = data.closedAt || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+
+    // Workspace (multi-tenant): se fija al crear y no cambia con update()
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+  }
+
+  /**
+   * Guardar período en Firestore
+   */
+  async save() {
+    try {
+      const docRef = db.collection('payroll_periods').doc();
+      this.id = docRef.id;
+      this.createdAt = new Date().toISOString();
+      this.updatedAt = new Date().toISOString();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
+
+      await docRef.set({
+        ...this,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+      });
+
+      logger.info('PayrollPeriod guardado', {
+        id: this.id,
+        frequency: this.frequency,
+        startDate: this.startDate,
+        endDate: this.endDate
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error guardando PayrollPeriod:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar período
+   */
+  async update(updateData) {
+    try {
+      // El workspace no se cambia por update
+      const { workspaceId, tenantId, ...allowedUpdates } = updateData;
+      this.updatedAt = new Date().toISOString();
+
+      await db.collection('payroll_periods').doc(this.id).update({
+        ...allowedUpdates,
+        updatedAt: this.updatedAt
+      });
+
+      Object.assign(this, allowedUpdates);
+
+      logger.info('PayrollPeriod actualizado', {
+        id: this.id,
+        status: this.status
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error actualizando PayrollPeriod:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar si una fecha (YYYY-MM-DD) pertenece al período
+   */
+  includesDate(date) {
+    return date >= this.startDate && date <= this.endDate;
+  }
+
+  /**
+   * Acumular asistencia de un reporte aprobado para un empleado
+   * Idempotente por reporte: si el reporte ya fue aplicado no vuelve a sumar
+   */
+  async addAttendance(employeeId, reportId, summary) {
+    const docRef = db.collection('payroll_periods').doc(this.id)
+      .collection('attendance').doc(employeeId);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const current = doc.exists ? doc.data() : { reportIds: [] };
+
+      if ((current.reportIds || []).includes(reportId)) {
+        return false;
+      }
+
+      const increments = {};
+      Object.entries(summary.days || {}).forEach(([status, count]) => {
+        increments[`days.${status}`] = FieldValue.increment(count);
+      });
+
+      const payload = {
+        employeeId,
+        reportIds: FieldValue.arrayUnion(reportId),
+        totalHours: FieldValue.increment(summary.totalHours || 0),
+        overtimeHours: FieldValue.increment(summary.overtimeHours || 0),
+        updatedAt: new Date().toISOString()
+      };
+
+      if (doc.exists) {
+        transaction.update(docRef, { ...payload, ...increments });
+      } else {
+        transaction.set(docRef, {
+          ...payload,
+          days: summary.days || {}
+        });
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Obtener asistencia acumulada de un empleado en el período
+   */
+  async getAttendance(employeeId) {
+    try {
+      const doc = await db.collection('payroll_periods').doc(this.id)
+        .collection('attendance').doc(employeeId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      return doc.data();
+    } catch (error) {
+      logger.error('Error obteniendo asistencia del período:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar período por ID
+   */
+  static async findById(periodId) {
+    try {
+      const doc = await db.collection('payroll_periods').doc(periodId).get();
+
+      if (!doc.exists || !belongsToTenant(doc.data())) {
+        return null;
+      }
+
+      return new PayrollPeriod({
+        id: doc.id,
+        ...doc.data()
+      });
+    } catch (error) {
+      logger.error('Error buscando período de nómina por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar períodos abiertos que contienen una fecha
+   */
+  static async findOpenByDate(date) {
+    try {
+      const snapshot = await scopeQuery(db.collection('payroll_periods'))
+        .where('status', '==', 'open')
+        .get();
+
+      return snapshot.docs
+        .map(doc => new PayrollPeriod({ id: doc.id, ...doc.data() }))
+        .filter(period => period.includesDate(date));
+    } catch (error) {
+      logger.error('Error buscando períodos abiertos por fecha:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar períodos de una frecuencia que se traslapan con un rango
+   */
+  static async findOverlapping(frequency, startDate, endDate) {
+    try {
+      const snapshot = await scopeQuery(db.collection('payroll_periods'))
+        .where('frequency', '==', frequency)
+        .where('startDate', '<=', endDate)
+        .get();
+
+      return snapshot.docs
+        .map(doc => new PayrollPeriod({ id: doc.id, ...doc.data() }))
+        .filter(period => period.endDate >= startDate);
+    } catch (error) {
+      logger.error('Error buscando períodos traslapados:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar períodos con filtros
+   */
+  static async list(filters = {}) {
+    try {
+      let query = scopeQuery(db.collection('payroll_periods'));
+
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      if (filters.frequency) {
+        query = query.where('frequency', '==', filters.frequency);
+      }
+
+      const snapshot = await query.get();
+      const periods = snapshot.docs.map(doc => new PayrollPeriod({ id: doc.id, ...doc.data() }));
+
+      // Ordenar en memoria para no requerir índices compuestos
+      periods.sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+      return filters.limit ? periods.slice(0, filters.limit) : periods;
+    } catch (error) {
+      logger.error('Error listando períodos de nómina:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PayrollPeriod;
@@ -0,0 +1,197 @@
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Modelo de Corrida de Nómina
+ * Cálculo de nómina de un empleado dentro de un período
+ * Estados: draft → approved → closed
+ */
+class PayrollRun {
+  constructor(data = {}) {
+    this.id = data.id || PayrollRun.buildId(data.periodId, data.employeeId);
+    this.periodId = data.periodId;
+    this.employeeId = data.employeeId;
+    this.employeeName = data.employeeName || '';
+    this.employeeNumber = data.employeeNumber || '';
+    this.department = data.department || '';
+    this.position = data.position || '';
+    this.frequency = data.frequency; // weekly, biweekly, monthly
+    this.periodStart = data.periodStart;
+    this.periodEnd = data.periodEnd;
+    this.paymentDate = data.paymentDate || data.periodEnd;
+    this.status = data.status || 'draft'; // draft, approved, closed
+    this.currency = data.currency || 'MXN';
+
+    // Base de cálculo
+    this.monthlySalary = data.monthlySalary || 0;
+    this.dailySalary = data.dailySalary || 0;
+    this.paidDays = data.paidDays || 0;
+    this.sbc = data.sbc || 0;
+
+    // Conceptos: [{ type, concept, amount, taxable }]
+    this.perceptions = data.perceptions || [];
+    this.deductions = data.deductions || [];
+
+    // Totales
+    this.grossSalary = data.grossSalary || 0;
+    this.taxableIncome = data.taxableIncome || 0;
+    this.totalDeductions = data.totalDeductions || 0;
+    this.netSalary = data.netSalary || 0;
+
+    // Detalle de origen (tableVersion: versión de tabla fiscal aplicada)
+    this.taxes = data.taxes || { isr: 0, imss: 0, afore: 0, infonavit: 0, tableVersion: null };
+    this.extras = data.extras || { breakdown: {}, movementIds: [] };
+    this.vacation = data.vacation || { days: 0, premiumRate: 0, premium: 0, requestIds: [] };
+    this.attendance = data.attendance || null;
+
+    // Recibo generado: { pdfDocumentId, xmlDocumentId, generatedAt, generatedBy }
+    this.receipt = data.receipt || null;
+
+    this.generatedBy = data.generatedBy || null;
+    this.approvedBy = data.approvedBy || null;
+    this.approvedAt = data.approvedAt || null;
+    this.closedBy = data.closedBy || null;
+    this.closedAt = data.closedAt || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+
+    // Workspace (multi-tenant): el del período; no cambia con update()
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+  }
+
+  /**
+   * ID determinista: una corrida por empleado y período
+   */
+  static buildId(periodId, employeeId) {
+    if (!periodId || !employeeId) {
+      return undefined;
+    }
+    return `${periodId}_${employeeId}`;
+  }
+
+  /**
+   * Guardar (crear o reemplazar) corrida en Firestore
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date().toISOString();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
+
+      await db.collection('payroll_runs').doc(this.id).set({ ...this });
+
+      logger.info('PayrollRun guardado', {
+        id: this.id,
+        periodId: this.periodId,
+        employeeId: this.employeeId,
+        netSalary: this.netSalary,
+        status: this.status
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error guardando PayrollRun:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar corrida
+   */
+  async update(updateData) {
+    try {
+      // El workspace no se cambia por update
+      const { workspaceId, tenantId, ...allowedUpdates } = updateData;
+      this.updatedAt = new Date().toISOString();
+
+      await db.collection('payroll_runs').doc(this.id).update({
+        ...allowedUpdates,
+        updatedAt: this.updatedAt
+      });
+
+      Object.assign(this, allowedUpdates);
+
+      logger.info('PayrollRun actualizado', {
+        id: this.id,
+        status: this.status
+      });
+
+      return this;
+    } catch (error) {
+      logger.error('Error actualizando PayrollRun:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar corrida por ID
+   */
+  static async findById(runId) {
+    try {
+      const doc = await db.collection('payroll_runs').doc(runId).get();
+
+      if (!doc.exists || !belongsToTenant(doc.data())) {
+        return null;
+      }
+
+      return new PayrollRun({
+        id: doc.id,
+        ...doc.data()
+      });
+    } catch (error) {
+      logger.error('Error buscando corrida de nómina por ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar corridas de un período
+   */
+  static async findByPeriod(periodId, filters = {}) {
+    try {
+      let query = scopeQuery(db.collection('payroll_runs'))
+        .where('periodId', '==', periodId);
+
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      const runs = snapshot.docs.map(doc => new PayrollRun({ id: doc.id, ...doc.data() }));
+
+      runs.sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+
+      return runs;
+    } catch (error) {
+      logger.error('Error buscando corridas por período:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar corridas de un empleado (más recientes primero)
+   */
+  static async findByEmployee(employeeId, filters = {}) {
+    try {
+      let query = scopeQuery(db.collection('payroll_runs'))
+        .where('employeeId', '==', employeeId);
+
+      if (filters.status) {
+        query = query.where('status', '==', filters.status);
+      }
+
+      const snapshot = await query.get();
+      const runs = snapshot.docs.map(doc => new PayrollRun({ id: doc.id, ...doc.data() }));
+
+      runs.sort((a, b) => b.periodStart.localeCompare(a.periodStart));
+
+      return filters.limit ? runs.slice(0, filters.limit) : runs;
+    } catch (error) {
+      logger.error('Error buscando corridas por empleado:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PayrollRun;
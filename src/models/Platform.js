@@ -8,6 +8,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/firebase');
+const { scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class Platform {
   constructor(data = {}) {
@@ -38,6 +39,11 @@ class Platform {
     this.status = data.status || 'in_progress'; // in_progress | completed | exported
     this.notes = data.notes || '';
     this.evidenceCount = data.evidenceCount || 0;
+    
+    // ✅ KARDEX: ubicación en patio/almacén y fecha en que se registró la entrada de stock
+    this.location = data.location || 'general';
+    this.stockPostedAt = data.stockPostedAt || null;
+    
     this.createdBy = data.createdBy;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
@@ -132,6 +138,8 @@ class Platform {
       status: this.status,
       notes: this.notes,
       evidenceCount: this.evidenceCount,
+      location: this.location,
+      stockPostedAt: this.stockPostedAt,
       createdBy: this.createdBy,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -149,6 +157,7 @@ class Platform {
       id: doc.id,
       ...data,
       receptionDate: data.receptionDate?.toDate?.() || data.receptionDate,
+      stockPostedAt: data.stockPostedAt?.toDate?.() || data.stockPostedAt,
       createdAt: data.createdAt?.toDate?.() || data.createdAt,
       updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
     });
@@ -161,6 +170,7 @@ class Platform {
     try {
       this.calculateTotals();
       this.updatedAt = new Date();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
       
       let docRef;
       
@@ -189,7 +199,9 @@ class Platform {
    */
   async update(updates) {
     try {
-      Object.assign(this, updates);
+      // El workspace no se cambia por update; stockPostedAt solo lo escribe el kardex
+      const { workspaceId, tenantId, stockPostedAt, ...allowedUpdates } = updates;
+      Object.assign(this, allowedUpdates);
       this.calculateTotals();
       this.updatedAt = new Date();
       
@@ -215,6 +227,15 @@ class Platform {
     }
   }
 
+  /**
+   * Referencia del documento según el tipo de plataforma
+   */
+  getDocRef() {
+    return this.platformType === 'provider'
+      ? db.collection('providers').doc(this.providerId).collection('platforms').doc(this.id)
+      : db.collection('client_platforms').doc(this.id);
+  }
+
   /**
    * Elimina la plataforma
    */
@@ -356,6 +377,15 @@ class Platform {
         offset = 0
       } = options;
 
+      // El proveedor debe ser del workspace de la petición
+      const providerDoc = await db.collection('providers').doc(providerId).get();
+      if (!providerDoc.exists || !belongsToTenant(providerDoc.data())) {
+        return {
+          platforms: [],
+          pagination: { total: 0, limit, offset, hasMore: false }
+        };
+      }
+
       let query = db.collection('providers').doc(providerId)
         .collection('platforms');
 
@@ -437,8 +467,8 @@ class Platform {
 
       // ✅ OBTENER CARGAS DE PROVEEDOR
       if (!platformType || platformType === 'provider') {
-        // Obtener todos los proveedores (global)
-        const providersSnapshot = await db.collection('providers').get();
+        // Obtener los proveedores del workspace
+        const providersSnapshot = await scopeQuery(db.collection('providers')).get();
 
         // Obtener plataformas de cada proveedor
         for (const providerDoc of providersSnapshot.docs) {
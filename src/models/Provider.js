@@ -8,6 +8,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/firebase');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class Provider {
   constructor(data = {}) {
@@ -20,6 +21,8 @@ class Provider {
     this.address = data.address || '';
     this.materialIds = data.materialIds || [];
     this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -37,6 +40,8 @@ class Provider {
       address: this.address,
       materialIds: this.materialIds,
       isActive: this.isActive,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -63,6 +68,7 @@ class Provider {
   async save() {
     try {
       this.updatedAt = new Date();
+      Object.assign(this, withTenant({ workspaceId: this.workspaceId, tenantId: this.tenantId }));
       const docRef = db.collection('providers').doc(this.id);
       
       await docRef.set(this.toFirestore());
@@ -78,7 +84,9 @@ class Provider {
    */
   async update(updates) {
     try {
-      Object.assign(this, updates);
+      // El workspace no se cambia por update
+      const { workspaceId, tenantId, ...allowedUpdates } = updates;
+      Object.assign(this, allowedUpdates);
       this.updatedAt = new Date();
       
       const docRef = db.collection('providers').doc(this.id);
@@ -115,8 +123,8 @@ class Provider {
       
       const provider = Provider.fromFirestore(doc);
       
-      // Antes se validaba por userId; ahora es global
-      return provider;
+      // Antes se validaba por userId; ahora se valida por workspace
+      return provider && belongsToTenant(provider) ? provider : null;
     } catch (error) {
       console.error('Error buscando proveedor:', error);
       throw error;
@@ -135,7 +143,7 @@ class Provider {
         offset = 0
       } = options;
 
-      let query = db.collection('providers');
+      let query = scopeQuery(db.collection('providers'));
 
       // Filtrar por estado activo
       if (active !== null) {
@@ -165,10 +173,10 @@ class Provider {
         );
       }
 
-      // Contar total (sin filtrar por usuario)
+      // Contar total del workspace
       const totalQuery = active !== null 
-        ? db.collection('providers').where('isActive', '==', active)
-        : db.collection('providers');
+        ? scopeQuery(db.collection('providers')).where('isActive', '==', active)
+        : scopeQuery(db.collection('providers'));
       
       const totalSnapshot = await totalQuery.get();
       const total = totalSnapshot.size;
@@ -0,0 +1,193 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+const { scopeQuery, belongsToTenant } = require('../utils/tenantContext');
+
+const STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+/**
+ * Mensaje saliente programado para una fecha futura
+ * Lo entrega ScheduledMessageQueueService; mientras espera aparece en el hilo
+ * como mensaje con status 'scheduled' (placeholderMessageId).
+ *
+ * revision: aumenta con cada edición para descartar jobs de versiones anteriores
+ * deliveredVia: 'session' (dentro de la ventana de 24h) o 'template' (respaldo)
+ */
+class ScheduledMessage {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.conversationId = data.conversationId;
+    this.contactId = data.contactId;
+    this.recipientIdentifier = data.recipientIdentifier;
+    this.content = data.content || '';
+    this.attachments = data.attachments || [];
+    this.scheduledAt = data.scheduledAt;
+    this.status = data.status || 'scheduled';
+    this.fallbackTemplateId = data.fallbackTemplateId || null;
+    this.templateVariables = data.templateVariables || {};
+    this.placeholderMessageId = data.placeholderMessageId || `SCHED_${this.id}`;
+    this.revision = data.revision || 1;
+    this.jobId = data.jobId || null;
+    this.deliveredVia = data.deliveredVia || null;
+    this.sentMessageId = data.sentMessageId || null;
+    this.twilioSid = data.twilioSid || null;
+    this.failureReason = data.failureReason || null;
+    this.failureMessage = data.failureMessage || null;
+    this.sentAt = data.sentAt || null;
+    this.cancelledAt = data.cancelledAt || null;
+    this.cancelledBy = data.cancelledBy || null;
+    this.workspaceId = data.workspaceId || null;
+    this.tenantId = data.tenantId || null;
+    this.createdBy = data.createdBy;
+    this.updatedBy = data.updatedBy || null;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear mensaje programado
+   */
+  static async create (scheduledData) {
+    const scheduled = new ScheduledMessage(scheduledData);
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = scheduled;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('scheduled_messages').doc(scheduled.id).set(cleanData);
+    return scheduled;
+  }
+
+  /**
+   * Obtener mensaje programado por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('scheduled_messages').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new ScheduledMessage({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Mensajes programados de una conversación (próximos primero)
+   */
+  static async listByConversation (conversationId, { status = null } = {}) {
+    let query = scopeQuery(firestore.collection('scheduled_messages')).where('conversationId', '==', conversationId);
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('scheduledAt', 'asc').get();
+    return snapshot.docs.map(doc => new ScheduledMessage({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Programados cuya hora ya pasó (entrega sin Redis y recuperación al arrancar)
+   */
+  static async listDue (now = new Date(), limit = 100) {
+    const snapshot = await firestore.collection('scheduled_messages')
+      .where('status', '==', 'scheduled')
+      .where('scheduledAt', '<=', now)
+      .orderBy('scheduledAt', 'asc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => new ScheduledMessage({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Todos los pendientes (para reencolar al arrancar el worker)
+   */
+  static async listPending () {
+    const snapshot = await firestore.collection('scheduled_messages')
+      .where('status', '==', 'scheduled')
+      .get();
+
+    return snapshot.docs.map(doc => new ScheduledMessage({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Tomar el mensaje para envío (scheduled → sending) si sigue en la misma revisión
+   * @returns {Promise<boolean>} false si fue cancelado, editado o ya se envió
+   */
+  async claimForDelivery (revision) {
+    const ref = firestore.collection('scheduled_messages').doc(this.id);
+
+    const claimed = await firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return false;
+
+      const data = doc.data();
+      if (data.status !== 'scheduled' || (revision && data.revision !== revision)) {
+        return false;
+      }
+
+      transaction.update(ref, { status: 'sending', updatedAt: new Date() });
+      return true;
+    });
+
+    if (claimed) this.status = 'sending';
+    return claimed;
+  }
+
+  /**
+   * Actualizar mensaje programado
+   */
+  async update (updates) {
+    const validUpdates = {
+      ...prepareForFirestore(updates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('scheduled_messages').doc(this.id).update(validUpdates);
+
+    Object.assign(this, updates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      conversationId: this.conversationId,
+      recipientIdentifier: this.recipientIdentifier,
+      content: this.content,
+      attachments: this.attachments,
+      scheduledAt: toISO(this.scheduledAt),
+      status: this.status,
+      fallbackTemplateId: this.fallbackTemplateId,
+      templateVariables: this.templateVariables,
+      placeholderMessageId: this.placeholderMessageId,
+      revision: this.revision,
+      deliveredVia: this.deliveredVia,
+      sentMessageId: this.sentMessageId,
+      twilioSid: this.twilioSid,
+      failureReason: this.failureReason,
+      failureMessage: this.failureMessage,
+      sentAt: toISO(this.sentAt),
+      cancelledAt: toISO(this.cancelledAt),
+      cancelledBy: this.cancelledBy,
+      createdBy: this.createdBy,
+      updatedBy: this.updatedBy,
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = ScheduledMessage;
+module.exports.STATUSES = STATUSES;
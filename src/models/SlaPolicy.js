@@ -0,0 +1,155 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Política SLA de conversaciones
+ * Aplica a conversaciones cuya prioridad o etiquetas coinciden; si varias
+ * coinciden gana la de menor `rank`. Los objetivos se miden en minutos
+ * hábiles del calendario (24/7 si no tiene calendarId). Cada política
+ * aplica solo a conversaciones de su workspace.
+ *
+ * match: { priorities: ['urgent', 'high'], tags: ['vip'] }
+ * escalation: { raisePriority: true, reassignTo: 'supervisor@empresa.com' }
+ */
+class SlaPolicy {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.description = data.description || '';
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.match = {
+      priorities: data.match?.priorities || [],
+      tags: data.match?.tags || [],
+    };
+    this.firstResponseMinutes = data.firstResponseMinutes;
+    this.resolutionMinutes = data.resolutionMinutes;
+    this.atRiskThreshold = data.atRiskThreshold !== undefined ? data.atRiskThreshold : 0.8;
+    this.calendarId = data.calendarId || null;
+    this.escalation = {
+      raisePriority: data.escalation?.raisePriority === true,
+      reassignTo: data.escalation?.reassignTo || null,
+    };
+    this.rank = data.rank !== undefined ? data.rank : 100;
+    this.createdBy = data.createdBy;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear política
+   */
+  static async create (policyData) {
+    const policy = new SlaPolicy(withTenant(policyData));
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = policy;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('sla_policies').doc(policy.id).set(cleanData);
+    return policy;
+  }
+
+  /**
+   * Obtener política por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('sla_policies').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new SlaPolicy({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Listar políticas activas ordenadas por rank
+   * Sin contexto de tenant (evaluador) devuelve las de todos los workspaces
+   */
+  static async list ({ limit = 100 } = {}) {
+    const query = scopeQuery(firestore.collection('sla_policies')).where('isActive', '==', true);
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs
+      .map(doc => new SlaPolicy({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.rank - b.rank);
+  }
+
+  /**
+   * Actualizar política
+   */
+  async update (updates) {
+    // El workspace no se cambia por update
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
+    const validUpdates = {
+      ...prepareForFirestore(allowedUpdates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('sla_policies').doc(this.id).update(validUpdates);
+
+    Object.assign(this, allowedUpdates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Eliminar política (soft delete)
+   */
+  async delete () {
+    await this.update({
+      isActive: false,
+      deletedAt: new Date(),
+    });
+  }
+
+  /**
+   * ¿Aplica a la conversación? Sin criterios aplica a todas (política por defecto)
+   */
+  matches (conversation) {
+    if (this.workspaceId !== (conversation.workspaceId || getDefaultTenant().workspaceId)) return false;
+
+    const { priorities, tags } = this.match;
+    if (priorities.length === 0 && tags.length === 0) return true;
+
+    const priorityMatch = priorities.includes(conversation.priority);
+    const tagMatch = (conversation.tags || []).some(tag => tags.includes(tag));
+    return priorityMatch || tagMatch;
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
+      match: this.match,
+      firstResponseMinutes: this.firstResponseMinutes,
+      resolutionMinutes: this.resolutionMinutes,
+      atRiskThreshold: this.atRiskThreshold,
+      calendarId: this.calendarId,
+      escalation: this.escalation,
+      rank: this.rank,
+      createdBy: this.createdBy,
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = SlaPolicy;
@@ -0,0 +1,111 @@
+/**
+ * 📦 MODELO DE EXISTENCIA (ON-HAND)
+ *
+ * Saldo actual de un material de un proveedor en una ubicación. Lo mantiene
+ * el kardex dentro de la misma transacción en que registra cada movimiento.
+ *
+ * @version 1.0.0
+ */
+
+const { db } = require('../config/firebase');
+const { getDefaultTenant, scopeQuery } = require('../utils/tenantContext');
+
+class StockBalance {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.materialId = data.materialId;
+    this.materialName = data.materialName || '';
+    this.category = data.category || '';
+    this.providerId = data.providerId || null;
+    this.provider = data.provider || '';
+    this.unit = data.unit || 'm²';
+    this.location = data.location || 'general';
+    this.linearMeters = data.linearMeters || 0;
+    this.pieces = data.pieces || 0;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.lastMovementAt = data.lastMovementAt || null;
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * ID determinístico por workspace, material, proveedor y ubicación
+   */
+  static buildId(workspaceId, materialId, providerId, location) {
+    return [workspaceId, materialId, providerId || 'sin-proveedor', location]
+      .map(part => String(part).replace(/[/\s]+/g, '-'))
+      .join('__');
+  }
+
+  /**
+   * Convierte la instancia a formato Firestore
+   */
+  toFirestore() {
+    return {
+      materialId: this.materialId,
+      materialName: this.materialName,
+      category: this.category,
+      providerId: this.providerId,
+      provider: this.provider,
+      unit: this.unit,
+      location: this.location,
+      linearMeters: this.linearMeters,
+      pieces: this.pieces,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
+      lastMovementAt: this.lastMovementAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Crea una instancia desde un documento de Firestore
+   */
+  static fromFirestore(doc) {
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    return new StockBalance({
+      id: doc.id,
+      ...data,
+      lastMovementAt: data.lastMovementAt?.toDate?.() || data.lastMovementAt,
+      updatedAt: data.updatedAt?.toDate?.() || data.updatedAt
+    });
+  }
+
+  static getDocRef(id) {
+    return db.collection('stock_balances').doc(id);
+  }
+
+  /**
+   * Lista existencias del workspace
+   */
+  static async list(options = {}) {
+    try {
+      const { materialId = '', category = '', providerId = '', location = '' } = options;
+
+      let query = scopeQuery(db.collection('stock_balances'));
+
+      if (materialId) {
+        query = query.where('materialId', '==', materialId);
+      }
+      if (category) {
+        query = query.where('category', '==', category);
+      }
+      if (providerId) {
+        query = query.where('providerId', '==', providerId);
+      }
+      if (location) {
+        query = query.where('location', '==', location);
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => StockBalance.fromFirestore(doc));
+    } catch (error) {
+      console.error('Error listando existencias:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StockBalance;
@@ -0,0 +1,146 @@
+/**
+ * 🧾 MODELO DE DOCUMENTO DE STOCK
+ *
+ * Salidas de patio (envíos a cliente u obra), consumos internos y ajustes
+ * de inventario. Cada renglón genera un movimiento en el kardex.
+ *
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { getDefaultTenant, scopeQuery, belongsToTenant } = require('../utils/tenantContext');
+
+// Prefijo del folio por tipo de documento
+const DOCUMENT_TYPES = {
+  outbound: 'SAL',
+  consumption: 'CON',
+  adjustment: 'AJU'
+};
+
+class StockDocument {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.type = data.type; // outbound | consumption | adjustment
+    this.documentNumber = data.documentNumber || '';
+    this.date = data.date || new Date();
+    this.destination = data.destination || ''; // Cliente u obra (salidas)
+    this.driver = data.driver || '';
+    this.reference = data.reference || '';
+    this.reason = data.reason || ''; // Obligatorio en ajustes
+    this.notes = data.notes || '';
+    this.lines = data.lines || [];
+    this.totalLinearMeters = data.totalLinearMeters || 0;
+    this.totalPieces = data.totalPieces || 0;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Convierte la instancia a formato Firestore
+   */
+  toFirestore() {
+    return {
+      type: this.type,
+      documentNumber: this.documentNumber,
+      date: this.date,
+      destination: this.destination,
+      driver: this.driver,
+      reference: this.reference,
+      reason: this.reason,
+      notes: this.notes,
+      lines: this.lines,
+      totalLinearMeters: this.totalLinearMeters,
+      totalPieces: this.totalPieces,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Crea una instancia desde un documento de Firestore
+   */
+  static fromFirestore(doc) {
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    return new StockDocument({
+      id: doc.id,
+      ...data,
+      date: data.date?.toDate?.() || data.date,
+      createdAt: data.createdAt?.toDate?.() || data.createdAt
+    });
+  }
+
+  getDocRef() {
+    return db.collection('stock_documents').doc(this.id);
+  }
+
+  /**
+   * Referencia del consecutivo de folios por workspace y tipo
+   */
+  static getCounterRef(workspaceId, type) {
+    return db.collection('stock_counters').doc(`${workspaceId}_${type}`);
+  }
+
+  static formatNumber(type, sequence) {
+    return `${DOCUMENT_TYPES[type]}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Busca un documento por ID
+   */
+  static async findById(documentId) {
+    try {
+      const doc = await db.collection('stock_documents').doc(documentId).get();
+
+      const document = StockDocument.fromFirestore(doc);
+      return document && belongsToTenant(document) ? document : null;
+    } catch (error) {
+      console.error('Error buscando documento de stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista documentos del workspace
+   */
+  static async list(options = {}) {
+    try {
+      const { type = '', limit = 50, offset = 0 } = options;
+
+      let query = scopeQuery(db.collection('stock_documents'));
+
+      if (type) {
+        query = query.where('type', '==', type);
+      }
+
+      query = query.orderBy('createdAt', 'desc');
+
+      const snapshot = await query.get();
+      const documents = snapshot.docs.map(doc => StockDocument.fromFirestore(doc));
+      const total = documents.length;
+
+      return {
+        documents: documents.slice(offset, offset + limit),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        }
+      };
+    } catch (error) {
+      console.error('Error listando documentos de stock:', error);
+      throw error;
+    }
+  }
+}
+
+StockDocument.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = StockDocument;
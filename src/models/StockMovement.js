@@ -0,0 +1,171 @@
+/**
+ * 📒 MODELO DE MOVIMIENTO DE STOCK (KARDEX)
+ *
+ * Cada entrada o salida de material genera un movimiento inmutable con la
+ * existencia resultante (balanceAfter) de su material, proveedor y ubicación.
+ * Las cantidades van con signo: positivas para entradas y negativas para salidas.
+ *
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../config/firebase');
+const { getDefaultTenant, scopeQuery } = require('../utils/tenantContext');
+
+const MOVEMENT_TYPES = ['receipt', 'receipt_reversal', 'outbound', 'consumption', 'adjustment'];
+
+class StockMovement {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.type = data.type; // receipt | receipt_reversal | outbound | consumption | adjustment
+    this.materialId = data.materialId;
+    this.materialName = data.materialName || '';
+    this.category = data.category || '';
+    this.providerId = data.providerId || null;
+    this.provider = data.provider || '';
+    this.location = data.location || 'general';
+    this.linearMeters = data.linearMeters || 0;
+    this.pieces = data.pieces || 0;
+    this.balanceAfter = data.balanceAfter || { linearMeters: 0, pieces: 0 };
+    this.sourceType = data.sourceType; // platform | document
+    this.sourceId = data.sourceId;
+    this.reference = data.reference || '';
+    this.notes = data.notes || '';
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Convierte la instancia a formato Firestore
+   */
+  toFirestore() {
+    return {
+      type: this.type,
+      materialId: this.materialId,
+      materialName: this.materialName,
+      category: this.category,
+      providerId: this.providerId,
+      provider: this.provider,
+      location: this.location,
+      linearMeters: this.linearMeters,
+      pieces: this.pieces,
+      balanceAfter: this.balanceAfter,
+      sourceType: this.sourceType,
+      sourceId: this.sourceId,
+      reference: this.reference,
+      notes: this.notes,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Crea una instancia desde un documento de Firestore
+   */
+  static fromFirestore(doc) {
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    return new StockMovement({
+      id: doc.id,
+      ...data,
+      createdAt: data.createdAt?.toDate?.() || data.createdAt
+    });
+  }
+
+  /**
+   * Referencia para escribir el movimiento dentro de una transacción
+   */
+  getDocRef() {
+    return db.collection('stock_movements').doc(this.id);
+  }
+
+  /**
+   * Kardex de un material (más recientes primero)
+   * balanceAfter es el saldo de cada movimiento en su propio proveedor y
+   * ubicación: solo forma un saldo corrido continuo al filtrar por
+   * providerId y location
+   * @param {Object} options - providerId, location, startDate, endDate, limit,
+   *   startAfter (ID del último movimiento de la página anterior)
+   */
+  static async listByMaterial(materialId, options = {}) {
+    try {
+      const {
+        providerId = '',
+        location = '',
+        startDate = null,
+        endDate = null,
+        limit = 100,
+        startAfter = null
+      } = options;
+
+      let query = scopeQuery(db.collection('stock_movements'))
+        .where('materialId', '==', materialId);
+
+      if (providerId) {
+        query = query.where('providerId', '==', providerId);
+      }
+      if (location) {
+        query = query.where('location', '==', location);
+      }
+      if (startDate) {
+        query = query.where('createdAt', '>=', new Date(startDate));
+      }
+      if (endDate) {
+        query = query.where('createdAt', '<=', new Date(endDate));
+      }
+
+      query = query.orderBy('createdAt', 'desc');
+
+      // Paginación por cursor: continuar después del último movimiento recibido
+      if (startAfter) {
+        const cursorDoc = await db.collection('stock_movements').doc(startAfter).get();
+        if (cursorDoc.exists) {
+          query = query.startAfter(cursorDoc);
+        }
+      }
+
+      // Un movimiento extra indica si hay más páginas
+      const snapshot = await query.limit(limit + 1).get();
+      const movements = snapshot.docs.slice(0, limit).map(doc => StockMovement.fromFirestore(doc));
+      const hasMore = snapshot.docs.length > limit;
+
+      return {
+        movements,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? movements[movements.length - 1].id : null
+        }
+      };
+    } catch (error) {
+      console.error('Error listando kardex:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Movimientos generados por una plataforma o documento
+   */
+  static async listBySource(sourceType, sourceId) {
+    try {
+      const snapshot = await scopeQuery(db.collection('stock_movements'))
+        .where('sourceType', '==', sourceType)
+        .where('sourceId', '==', sourceId)
+        .get();
+
+      return snapshot.docs.map(doc => StockMovement.fromFirestore(doc));
+    } catch (error) {
+      console.error('Error listando movimientos por origen:', error);
+      throw error;
+    }
+  }
+}
+
+StockMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
@@ -0,0 +1,156 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, getTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Entrada de la lista de supresión (bajas de campañas)
+ * Cada workspace tiene su propia lista: el ID del documento es
+ * {workspaceId}_{teléfono normalizado (E.164 sin prefijo whatsapp:)}.
+ * Las entradas previas a multi-tenancy usan solo el teléfono como ID.
+ *
+ * reason: keyword | import | manual
+ * isActive: false cuando un admin revierte la baja (se conserva el historial)
+ */
+class SuppressionEntry {
+  constructor (data) {
+    this.phone = data.phone;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.id = data.id || SuppressionEntry.buildId(this.workspaceId, data.phone);
+    this.reason = data.reason || 'manual';
+    this.keyword = data.keyword || null;
+    this.note = data.note || null;
+    this.createdBy = data.createdBy || null;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.removedBy = data.removedBy || null;
+    this.removedAt = data.removedAt || null;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * ID del documento por workspace y teléfono
+   */
+  static buildId (workspaceId, phone) {
+    return `${workspaceId}_${phone}`;
+  }
+
+  /**
+   * Crear o reactivar entrada
+   */
+  static async upsert (entryData) {
+    const entry = new SuppressionEntry(withTenant(entryData));
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { id, createdAt, updatedAt, removedBy, removedAt, ...fields } = entry;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      isActive: true,
+      removedBy: null,
+      removedAt: null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('suppression_list').doc(entry.id).set(cleanData, { merge: true });
+    return entry;
+  }
+
+  /**
+   * Obtener entrada por teléfono normalizado
+   */
+  static async getByPhone (phone) {
+    const tenant = getTenant() || getDefaultTenant();
+    const collection = firestore.collection('suppression_list');
+
+    const doc = await collection.doc(SuppressionEntry.buildId(tenant.workspaceId, phone)).get();
+    if (doc.exists) {
+      return new SuppressionEntry({ id: doc.id, ...doc.data() });
+    }
+
+    const legacyDoc = await collection.doc(phone).get();
+    if (!legacyDoc.exists || !belongsToTenant(legacyDoc.data(), tenant)) {
+      return null;
+    }
+    return new SuppressionEntry({ id: legacyDoc.id, phone, ...legacyDoc.data() });
+  }
+
+  /**
+   * Listar entradas
+   */
+  static async list ({ isActive = true, reason = null, limit = 100 } = {}) {
+    let query = scopeQuery(firestore.collection('suppression_list'));
+
+    if (isActive !== null) {
+      query = query.where('isActive', '==', isActive);
+    }
+
+    if (reason) {
+      query = query.where('reason', '==', reason);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => new SuppressionEntry({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Teléfonos suprimidos activos
+   */
+  static async getActivePhones () {
+    const snapshot = await scopeQuery(firestore.collection('suppression_list'))
+      .where('isActive', '==', true)
+      .select('phone')
+      .get();
+
+    return new Set(snapshot.docs.map(doc => doc.get('phone') || doc.id));
+  }
+
+  /**
+   * Revertir baja (override de admin)
+   */
+  async deactivate ({ removedBy, note = null } = {}) {
+    const updates = {
+      isActive: false,
+      removedBy,
+      removedAt: new Date(),
+    };
+
+    if (note) {
+      updates.note = note;
+    }
+
+    await firestore.collection('suppression_list').doc(this.id).update({
+      ...prepareForFirestore(updates),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    Object.assign(this, updates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      phone: this.phone || this.id,
+      reason: this.reason,
+      keyword: this.keyword,
+      note: this.note,
+      createdBy: this.createdBy,
+      isActive: this.isActive,
+      removedBy: this.removedBy,
+      removedAt: toISO(this.removedAt),
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = SuppressionEntry;
@@ -0,0 +1,84 @@
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+/**
+ * Modelo de Tabla Fiscal versionada
+ * Cada versión (ej. "2026") tiene fecha de inicio de vigencia; la versión vigente
+ * para una fecha es la de mayor effectiveFrom que no la supere
+ */
+class TaxTable {
+  constructor(data = {}) {
+    this.version = data.version;
+    this.effectiveFrom = data.effectiveFrom; // YYYY-MM-DD
+    this.isrTable = data.isrTable || []; // [{ desde, hasta (null = sin límite), cuotaFija, porcentaje }]
+    this.uma = data.uma || {};
+    this.socialSecurity = data.socialSecurity || {};
+    this.notes = data.notes || '';
+    this.source = data.source || 'api';
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Guardar nueva versión (falla si la versión ya existe)
+   */
+  async save() {
+    try {
+      this.createdAt = new Date().toISOString();
+
+      await db.collection('tax_tables').doc(this.version).create({ ...this });
+
+      logger.info('TaxTable guardada', {
+        version: this.version,
+        effectiveFrom: this.effectiveFrom,
+        brackets: this.isrTable.length
+      });
+
+      return this;
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) {
+        throw new Error(`La versión de tabla fiscal ${this.version} ya existe`);
+      }
+      logger.error('Error guardando TaxTable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Buscar versión
+   */
+  static async findByVersion(version) {
+    try {
+      const doc = await db.collection('tax_tables').doc(version).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      return new TaxTable(doc.data());
+    } catch (error) {
+      logger.error('Error buscando tabla fiscal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar versiones (más reciente primero)
+   */
+  static async list() {
+    try {
+      const snapshot = await db.collection('tax_tables').get();
+      const tables = snapshot.docs.map(doc => new TaxTable(doc.data()));
+
+      tables.sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+      return tables;
+    } catch (error) {
+      logger.error('Error listando tablas fiscales:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TaxTable;
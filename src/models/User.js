@@ -2,6 +2,7 @@ const { firestore, FieldValue, Timestamp } = require('../config/firebase');
 const { prepareForFirestore } = require('../utils/firestore');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
+const { getDefaultTenant, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 /**
  * MODELO DE USUARIO - EMAIL-FIRST
@@ -27,6 +28,10 @@ class User {
     this.department = data.department || null;
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.lastLoginAt = data.lastLoginAt || null;
+
+    // Workspace al que pertenece (se copia al JWT y delimita todos los datos que ve)
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
     this.settings = data.settings || {
       notifications: true,
       language: 'es',
@@ -39,6 +44,9 @@ class User {
     
     // Datos de rendimiento
     this.performance = data.performance || null;
+
+    // Verificación en dos pasos: { enabled, secret (cifrado), pendingSecret, backupCodes (hash), lastUsedStep, ... }
+    this.twoFactor = data.twoFactor || null;
   }
 
   /**
@@ -227,7 +235,8 @@ class User {
       const saltRounds = 12;
       const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
 
-      const newUserData = {
+      // El usuario nace en el workspace de quien lo crea (o el indicado fuera de contexto)
+      const newUserData = withTenant({
         email: userData.email,
         password: userData.password, // Mantener texto plano para compatibilidad temporal
         passwordHash: hashedPassword, // 🔐 HASH SEGURO
@@ -251,7 +260,9 @@ class User {
           conversionRate: 0,
           responseTime: '0s'
         },
-      };
+        workspaceId: userData.workspaceId,
+        tenantId: userData.tenantId,
+      });
 
       // Usar email como document ID para facilitar búsquedas
       const docId = userData.email.replace(/[.#$[\]]/g, '_'); // Firestore safe ID
@@ -309,6 +320,11 @@ class User {
           return new User(userData);
         })
         .filter(user => {
+          // Solo usuarios del workspace activo
+          if (!belongsToTenant(user)) {
+            return false;
+          }
+
           // Filtrar por isActive
           if (isActive !== null && user.isActive !== isActive) {
             return false;
@@ -397,6 +413,21 @@ class User {
     }
   }
 
+  /**
+   * 🔐 ESTABLECER contraseña con hash bcrypt
+   * Limpia la contraseña en texto plano para que deje de aceptarse la anterior
+   */
+  async setPassword(newPassword) {
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    await this.update({
+      password: null,
+      passwordHash,
+      passwordChangedAt: new Date().toISOString(),
+    });
+  }
+
   /**
    * MAPEO: Encontrar email por número de teléfono
    */
@@ -491,13 +522,16 @@ class User {
       role: this.role,
       permissions: this.permissions,
       department: this.department,
+      workspaceId: this.workspaceId,
+      tenantId: this.tenantId,
       isActive: this.isActive,
       settings: this.settings,
       lastLoginAt: this.lastLoginAt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       performance: this.performance,
-      // NO incluir password en JSON
+      twoFactorEnabled: Boolean(this.twoFactor?.enabled),
+      // NO incluir password ni secretos 2FA en JSON
     };
   }
 
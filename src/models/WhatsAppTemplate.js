@@ -0,0 +1,160 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { v4: uuidv4 } = require('uuid');
+const { prepareForFirestore } = require('../utils/firestore');
+const { getDefaultTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
+
+/**
+ * Plantilla de WhatsApp aprobada (Twilio Content API)
+ * Registro local del Content SID con el cuerpo para vista previa y el
+ * mapeo de cada placeholder a un campo del contacto
+ *
+ * body: 'Hola {{1}}, tu plan {{2}} vence pronto'
+ * variables: { '1': 'firstName', '2': 'customFields.plan' }
+ * defaults: { '2': 'actual' }
+ */
+class WhatsAppTemplate {
+  constructor (data) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.contentSid = data.contentSid;
+    this.language = data.language || 'es';
+    this.category = data.category || 'marketing';
+    this.body = data.body || '';
+    this.variables = data.variables || {};
+    this.defaults = data.defaults || {};
+    this.status = data.status || 'approved';
+    this.createdBy = data.createdBy;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.workspaceId = data.workspaceId || getDefaultTenant().workspaceId;
+    this.tenantId = data.tenantId || getDefaultTenant().tenantId;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Registrar plantilla
+   */
+  static async create (templateData) {
+    const template = new WhatsAppTemplate(withTenant(templateData));
+
+    // Timestamps fuera de prepareForFirestore: los sentinels no son objetos planos
+    const { createdAt, updatedAt, ...fields } = template;
+    const cleanData = {
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('whatsapp_templates').doc(template.id).set(cleanData);
+    return template;
+  }
+
+  /**
+   * Obtener plantilla por ID
+   */
+  static async getById (id) {
+    const doc = await firestore.collection('whatsapp_templates').doc(id).get();
+    if (!doc.exists || !belongsToTenant(doc.data())) {
+      return null;
+    }
+    return new WhatsAppTemplate({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Buscar plantilla activa por Content SID
+   */
+  static async getByContentSid (contentSid) {
+    const snapshot = await scopeQuery(firestore.collection('whatsapp_templates'))
+      .where('contentSid', '==', contentSid)
+      .where('isActive', '==', true)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const doc = snapshot.docs[0];
+    return new WhatsAppTemplate({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Listar plantillas activas
+   */
+  static async list ({ status = null, category = null, limit = 100 } = {}) {
+    let query = scopeQuery(firestore.collection('whatsapp_templates')).where('isActive', '==', true);
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    if (category) {
+      query = query.where('category', '==', category);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => new WhatsAppTemplate({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Actualizar plantilla
+   */
+  async update (updates) {
+    // El workspace no se cambia por update
+    const { workspaceId, tenantId, ...allowedUpdates } = updates;
+    const validUpdates = {
+      ...prepareForFirestore(allowedUpdates),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    await firestore.collection('whatsapp_templates').doc(this.id).update(validUpdates);
+
+    Object.assign(this, allowedUpdates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  /**
+   * Eliminar plantilla (soft delete)
+   */
+  async delete () {
+    await this.update({
+      isActive: false,
+      deletedAt: new Date(),
+    });
+  }
+
+  /**
+   * ¿Se puede usar para envíos?
+   */
+  isUsable () {
+    return this.isActive && this.status === 'approved' && !!this.contentSid;
+  }
+
+  /**
+   * Convertir a objeto plano para respuestas JSON
+   */
+  toJSON () {
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return {
+      id: this.id,
+      name: this.name,
+      contentSid: this.contentSid,
+      language: this.language,
+      category: this.category,
+      body: this.body,
+      variables: this.variables,
+      defaults: this.defaults,
+      status: this.status,
+      createdBy: this.createdBy,
+      createdAt: toISO(this.createdAt),
+      updatedAt: toISO(this.updatedAt),
+    };
+  }
+}
+
+module.exports = WhatsAppTemplate;
@@ -0,0 +1,112 @@
+const { firestore, FieldValue, Timestamp } = require('../config/firebase');
+const { prepareForFirestore } = require('../utils/firestore');
+const { normalizePhoneNumber } = require('../utils/conversation');
+
+const normalizeNumbers = (numbers = []) => [...new Set(numbers.map(number => normalizePhoneNumber(number)).filter(Boolean))];
+
+/**
+ * Workspace: unidad de aislamiento de datos (multi-tenancy)
+ * El ID del documento es el workspaceId que viaja en el JWT y se guarda en cada
+ * conversación, contacto, campaña, empleado e inventario.
+ * Un tenant (organización) puede tener varios workspaces.
+ * Los números de WhatsApp del workspace (whatsappNumbers) deciden a qué
+ * workspace pertenece cada mensaje entrante de Twilio.
+ */
+class Workspace {
+  constructor (data) {
+    this.id = data.id;
+    this.name = data.name || data.id;
+    this.tenantId = data.tenantId;
+    this.whatsappNumbers = normalizeNumbers(data.whatsappNumbers);
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || Timestamp.now();
+    this.updatedAt = data.updatedAt || Timestamp.now();
+  }
+
+  /**
+   * Crear workspace (falla si el ID ya existe)
+   */
+  static async create (workspaceData) {
+    const workspace = new Workspace(workspaceData);
+
+    const { id, createdAt, updatedAt, ...fields } = workspace;
+    await firestore.collection('workspaces').doc(workspace.id).create({
+      ...prepareForFirestore(fields),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    return workspace;
+  }
+
+  static async getById (id) {
+    const doc = await firestore.collection('workspaces').doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new Workspace({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Workspace dueño de un número de WhatsApp (To del webhook de Twilio)
+   */
+  static async findByWhatsAppNumber (phone) {
+    const number = normalizePhoneNumber(phone);
+    if (!number) {
+      return null;
+    }
+
+    const snapshot = await firestore.collection('workspaces')
+      .where('whatsappNumbers', 'array-contains', number)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+    const doc = snapshot.docs[0];
+    return new Workspace({ id: doc.id, ...doc.data() });
+  }
+
+  /**
+   * Listar workspaces (opcionalmente de un tenant)
+   */
+  static async list ({ tenantId = null, limit = 200 } = {}) {
+    let query = firestore.collection('workspaces');
+
+    if (tenantId) {
+      query = query.where('tenantId', '==', tenantId);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => new Workspace({ id: doc.id, ...doc.data() }));
+  }
+
+  async update (updates) {
+    if (updates.whatsappNumbers) {
+      updates = { ...updates, whatsappNumbers: normalizeNumbers(updates.whatsappNumbers) };
+    }
+
+    await firestore.collection('workspaces').doc(this.id).update({
+      ...prepareForFirestore(updates),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    Object.assign(this, updates);
+    this.updatedAt = Timestamp.now();
+  }
+
+  toJSON () {
+    return {
+      id: this.id,
+      name: this.name,
+      tenantId: this.tenantId,
+      whatsappNumbers: this.whatsappNumbers,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt?.toDate?.()?.toISOString() || this.createdAt,
+      updatedAt: this.updatedAt?.toDate?.()?.toISOString() || this.updatedAt,
+    };
+  }
+}
+
+module.exports = Workspace;
@@ -16,6 +16,8 @@ const { FieldValue } = require('firebase-admin/firestore');
 const { redactQueryLog } = require('../utils/redact');
 const { getDefaultViewerEmails } = require('../config/defaultViewers');
 const { generateConversationId } = require('../utils/conversation');
+const { INTERNAL_NOTE_TYPE, INTERNAL_DIRECTION } = require('../utils/internalNotes');
+const { getTenant, scopeQuery, belongsToTenant } = require('../utils/tenantContext');
 
 /**
  * ViewModel canónico para conversaciones
@@ -47,12 +49,22 @@ class ConversationsRepository {
     this.verboseLogs = process.env.LOG_VERBOSE_CONVERSATIONS === 'true';
   }
 
+  /**
+   * Imponer el workspace/tenant del JWT sobre los recibidos por parámetro
+   * Sin contexto (webhooks, workers) se respetan los parámetros
+   */
+  applyTenantScope(params = {}) {
+    const tenant = getTenant();
+    return tenant ? { ...params, workspaceId: tenant.workspaceId, tenantId: tenant.tenantId } : params;
+  }
+
   /**
    * Construir query de Firestore con filtros reales (endurecido)
    * @param {object} params - Parámetros de construcción
    * @returns {object} Query builder y debug info
    */
   buildQuery(params = {}) {
+    params = this.applyTenantScope(params);
     const {
       workspaceId,
       tenantId,
@@ -179,7 +191,11 @@ class ConversationsRepository {
       updatedAt: docData.updatedAt,
       messageCount: docData.messageCount,
       priority: docData.priority,
-      tags: docData.tags
+      tags: docData.tags,
+      sentimentSummary: docData.sentimentSummary || null,
+      firstResponseAt: docData.firstResponseAt || null,
+      lastInboundAt: docData.lastInboundAt || null,
+      sla: docData.sla || null
     };
 
     return vm;
@@ -192,6 +208,7 @@ class ConversationsRepository {
    */
   async list(params = {}) {
     const startTime = Date.now();
+    params = this.applyTenantScope(params);
     const { workspaceId, tenantId, filters = {}, pagination = {} } = params;
 
     // Helper para enmascarar PII
@@ -398,6 +415,7 @@ class ConversationsRepository {
       allUserEmails = usersSnapshot.docs
         .map(doc => doc.data())
         .filter(u => u.isActive !== false) // Incluir true y undefined como activos
+        .filter(u => !msg.workspaceId || belongsToTenant(u, { workspaceId: msg.workspaceId })) // Solo usuarios del workspace
         .map(u => String(u.email || '').toLowerCase().trim())
         .filter(Boolean);
         
@@ -485,6 +503,11 @@ class ConversationsRepository {
       })();
 
       // 🔒 BÚSQUEDA ROBUSTA DE CONTACTO: Normalizar teléfono y buscar múltiples variantes
+      // Solo entre los contactos del workspace resuelto para el mensaje
+      const contactsQuery = () => scopeQuery(
+        firestore.collection('contacts'),
+        msg.workspaceId ? { workspaceId: msg.workspaceId } : undefined
+      );
       let contactId = null;
       const originalPhone = msg.senderIdentifier;
       const normalizedPhone = this.normalizePhoneForContact(originalPhone);
@@ -496,14 +519,14 @@ class ConversationsRepository {
       });
 
       // Buscar por teléfono normalizado primero
-      let contactSnap = await firestore.collection('contacts')
+      let contactSnap = await contactsQuery()
         .where('phone', '==', normalizedPhone)
         .limit(1)
         .get();
 
       // Si no se encuentra con normalizado, buscar con original
       if (contactSnap.empty && normalizedPhone !== originalPhone) {
-        contactSnap = await firestore.collection('contacts')
+        contactSnap = await contactsQuery()
           .where('phone', '==', originalPhone)
           .limit(1)
           .get();
@@ -514,7 +537,7 @@ class ConversationsRepository {
         const phoneVariants = this.generatePhoneVariants(originalPhone);
         for (const variant of phoneVariants) {
           if (variant !== normalizedPhone && variant !== originalPhone) {
-            const variantQuery = await firestore.collection('contacts')
+            const variantQuery = await contactsQuery()
               .where('phone', '==', variant)
               .limit(1)
               .get();
@@ -534,7 +557,7 @@ class ConversationsRepository {
       }
 
       if (!contactSnap.empty) {
-        contactId = contactSnap.docs[0].id;
+        contactId = this.resolveContactId(contactSnap.docs[0]);
         logger.info('✅ Contacto existente encontrado', {
           contactId,
           originalPhone,
@@ -550,13 +573,13 @@ class ConversationsRepository {
         });
 
         // ÚLTIMA VERIFICACIÓN antes de crear: buscar de nuevo por si hay condición de carrera
-        const finalCheck = await firestore.collection('contacts')
+        const finalCheck = await contactsQuery()
           .where('phone', '==', normalizedPhone)
           .limit(1)
           .get();
 
         if (!finalCheck.empty) {
-          contactId = finalCheck.docs[0].id;
+          contactId = this.resolveContactId(finalCheck.docs[0]);
           logger.warn('⚠️ Contacto encontrado en verificación final (condición de carrera evitada)', {
             contactId,
             normalizedPhone,
@@ -567,6 +590,7 @@ class ConversationsRepository {
         const newContactRef = await firestore.collection('contacts').add({
             phone: normalizedPhone, // USAR NORMALIZADO para evitar duplicados futuros
             name: msg.profileName || originalPhone,
+            ...(msg.workspaceId ? { workspaceId: msg.workspaceId, tenantId: msg.tenantId } : {}),
             metadata: { 
               createdVia: 'inbound_message', 
               createdAt: new Date().toISOString(),
@@ -670,6 +694,7 @@ class ConversationsRepository {
           lastMessageAt,
           messageCount: FieldValue.increment(1),
           unreadCount: FieldValue.increment(1), // inbound suma no-leídos
+          lastInboundAt: lastMessageAt, // abre la ventana de 24h de WhatsApp
           participants,
           updatedAt: new Date()
         };
@@ -706,7 +731,10 @@ class ConversationsRepository {
           message: messageFirestoreData, 
           conversation: conversationUpdate,
           idempotent: false,
-          contactId
+          contactId,
+          created: !conversationExists,
+          primaryAgent: currentData.primaryAgent || currentData.assignedTo || null,
+          tags: currentData.tags || []
         };
       });
 
@@ -756,6 +784,7 @@ class ConversationsRepository {
    */
   async appendOutbound(msg) {
     const startTime = Date.now();
+    msg = this.applyTenantScope(msg);
     const requestId = `append_outbound_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     // 🔧 OBTENER USUARIOS SIN ÍNDICES - FALLBACK DIRECTO
@@ -766,6 +795,7 @@ class ConversationsRepository {
       allUserEmails = usersSnapshot.docs
         .map(doc => doc.data())
         .filter(u => u.isActive !== false) // Incluir true y undefined como activos
+        .filter(u => !msg.workspaceId || belongsToTenant(u, { workspaceId: msg.workspaceId })) // Solo usuarios del workspace
         .map(u => String(u.email || '').toLowerCase().trim())
         .filter(Boolean);
         
@@ -823,6 +853,14 @@ class ConversationsRepository {
         throw error;
       }
 
+      // Las notas internas nunca salen a Twilio: usar appendInternalNote
+      if (msg.type === INTERNAL_NOTE_TYPE) {
+        const error = new Error('Las notas internas no se envían al cliente; usa appendInternalNote');
+        error.statusCode = 400;
+        error.validationError = true;
+        throw error;
+      }
+
       // Normalizar datos
       const messageData = {
         id: msg.messageId,
@@ -881,7 +919,7 @@ class ConversationsRepository {
         const newContactRef = await firestore.collection('contacts').add(newContactData);
         contactId = newContactRef.id;
       } else {
-        contactId = contactSnap.docs[0].id;
+        contactId = this.resolveContactId(contactSnap.docs[0]);
       }
 
       // Transacción atómica: mensaje + conversación (solo en contacts/{contactId}/conversations)
@@ -947,8 +985,9 @@ class ConversationsRepository {
         const participantsSet = new Set(existingParticipants.map(p => String(p || '').toLowerCase()));
         // agregar todos los usuarios activos
         for (const email of allUserEmails) participantsSet.add(email);
-        // agregar sender si es email
-        if (msg.senderIdentifier) participantsSet.add(String(msg.senderIdentifier).toLowerCase());
+        // agregar sender si es email (las respuestas automáticas las envía 'system')
+        const automated = msg.metadata?.automated === true;
+        if (msg.senderIdentifier && !automated) participantsSet.add(String(msg.senderIdentifier).toLowerCase());
         if (msg.agentEmail) participantsSet.add(String(msg.agentEmail).toLowerCase());
         // viewers por defecto
         const viewers_out = getDefaultViewerEmails();
@@ -975,6 +1014,11 @@ class ConversationsRepository {
           conversationUpdate.tenantId = msg.tenantId;
         }
 
+        // Primera respuesta humana (SLA): las respuestas automáticas no cuentan
+        if (!automated && !(conversationExists && conversationDoc.data().firstResponseAt)) {
+          conversationUpdate.firstResponseAt = lastMessageAt;
+        }
+
         // Si la conversación no existe, agregar campos obligatorios
         if (!conversationExists) {
           conversationUpdate.id = msg.conversationId;
@@ -1068,9 +1112,14 @@ class ConversationsRepository {
           bodyLen: msg.content?.length 
         });
 
-        const resp = await messageService.sendWhatsAppMessage({
-          from, to, body: msg.content, mediaUrl: mediaUrls
-        });
+        // Plantilla aprobada (fuera de la ventana de 24h) o mensaje de sesión
+        const resp = msg.contentSid
+          ? await messageService.sendWhatsAppTemplate({
+            from, to, contentSid: msg.contentSid, contentVariables: msg.contentVariables || {}
+          })
+          : await messageService.sendWhatsAppMessage({
+            from, to, body: msg.content, mediaUrl: mediaUrls
+          });
 
         result.message.twilioSid = resp?.sid;
         result.message.status = resp?.status || 'queued';
@@ -1184,6 +1233,111 @@ class ConversationsRepository {
     }
   }
 
+  /**
+   * 📝 ESCRITOR DE NOTAS INTERNAS
+   * Guarda la nota en la subcolección de mensajes sin pasar por Twilio.
+   * No toca lastMessage, unreadCount ni messageCount: la nota no es parte
+   * del hilo con el cliente.
+   *
+   * @param {object} note - { contactId, conversationId, messageId, content, authorEmail, authorName, mentions, workspaceId, tenantId }
+   * @returns {Promise<{message: object, idempotent: boolean}>}
+   */
+  async appendInternalNote(note) {
+    if (!note.contactId || !note.conversationId || !note.messageId || !note.authorEmail) {
+      const error = new Error('contactId, conversationId, messageId y authorEmail son obligatorios');
+      error.statusCode = 400;
+      error.validationError = true;
+      throw error;
+    }
+
+    const conversationRef = firestore
+      .collection('contacts').doc(note.contactId)
+      .collection('conversations').doc(note.conversationId);
+    const messageRef = conversationRef.collection('messages').doc(note.messageId);
+
+    return firestore.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      if (messageDoc.exists) {
+        return { message: messageDoc.data(), idempotent: true };
+      }
+
+      const now = new Date();
+      const message = {
+        id: note.messageId,
+        conversationId: note.conversationId,
+        content: note.content,
+        type: INTERNAL_NOTE_TYPE,
+        direction: INTERNAL_DIRECTION,
+        status: 'internal',
+        senderIdentifier: note.authorEmail,
+        recipientIdentifier: null,
+        mentions: note.mentions || [],
+        timestamp: now,
+        metadata: {
+          internal: true,
+          authorName: note.authorName || null
+        },
+        createdAt: now,
+        updatedAt: now
+      };
+
+      if (note.workspaceId) message.workspaceId = note.workspaceId;
+      if (note.tenantId) message.tenantId = note.tenantId;
+
+      transaction.set(messageRef, message);
+      transaction.set(conversationRef, {
+        notesCount: FieldValue.increment(1),
+        lastNoteAt: now,
+        updatedAt: now
+      }, { merge: true });
+
+      return { message, idempotent: false };
+    });
+  }
+
+  /**
+   * 🕒 MENSAJE PROGRAMADO EN EL HILO
+   * Crea o actualiza el mensaje visible en la conversación mientras espera su
+   * envío (status 'scheduled') o cuando falla antes de llegar a Twilio.
+   * No toca lastMessage ni contadores: aún no es parte del hilo con el cliente.
+   *
+   * @param {object} placeholder - { contactId, conversationId, messageId, content, senderIdentifier, recipientIdentifier, scheduledAt, status, metadata }
+   */
+  async upsertScheduledPlaceholder(placeholder) {
+    const messageRef = firestore
+      .collection('contacts').doc(placeholder.contactId)
+      .collection('conversations').doc(placeholder.conversationId)
+      .collection('messages').doc(placeholder.messageId);
+
+    const message = {
+      id: placeholder.messageId,
+      conversationId: placeholder.conversationId,
+      content: placeholder.content || '',
+      type: placeholder.type || 'text',
+      direction: 'outbound',
+      status: placeholder.status || 'scheduled',
+      senderIdentifier: placeholder.senderIdentifier,
+      recipientIdentifier: placeholder.recipientIdentifier,
+      timestamp: placeholder.scheduledAt,
+      metadata: { ...(placeholder.metadata || {}), scheduled: true },
+      updatedAt: new Date()
+    };
+
+    await messageRef.set(message, { merge: true });
+    return message;
+  }
+
+  /**
+   * Quitar el mensaje programado del hilo (cancelación o antes del envío real)
+   */
+  async removeScheduledPlaceholder({ contactId, conversationId, messageId }) {
+    await firestore
+      .collection('contacts').doc(contactId)
+      .collection('conversations').doc(conversationId)
+      .collection('messages').doc(messageId)
+      .delete();
+  }
+
   /**
    * 🔧 MÉTODOS CRÍTICOS PARA FUNCIONALIDAD COMPLETA
    * Implementan las funcionalidades que se perdieron en la migración
@@ -1420,6 +1574,13 @@ class ConversationsRepository {
     }
   }
 
+  /**
+   * ID de contacto efectivo: un contacto fusionado enruta a su superviviente
+   */
+  resolveContactId(contactDoc) {
+    return contactDoc.data().mergedInto || contactDoc.id;
+  }
+
   /**
    * 🔒 MÉTODOS ANTI-DUPLICADOS: Normalización robusta de teléfonos
    */
@@ -42,7 +42,9 @@ const aiValidators = {
       'gpt-3.5-turbo',
       'claude-3-haiku',
       'claude-3-sonnet',
-      'gemini-1.5-flash'
+      'claude-3-opus',
+      'gemini-1.5-flash',
+      'gemini-1.5-pro'
     ).description('Modelo de IA por defecto'),
     escalationModel: Joi.string().optional().valid(
       'gpt-4o-mini',
@@ -50,7 +52,9 @@ const aiValidators = {
       'gpt-3.5-turbo',
       'claude-3-haiku',
       'claude-3-sonnet',
-      'gemini-1.5-flash'
+      'claude-3-opus',
+      'gemini-1.5-flash',
+      'gemini-1.5-pro'
     ).description('Modelo de escalación'),
     temperature: Joi.number().min(0).max(1).optional()
       .description('Temperatura del modelo (0-1)'),
@@ -61,7 +65,8 @@ const aiValidators = {
       rag: Joi.boolean().optional(),
       reports: Joi.boolean().optional(),
       console: Joi.boolean().optional(),
-      provider_ready: Joi.boolean().optional()
+      provider_ready: Joi.boolean().optional(),
+      internal_notes: Joi.boolean().optional()
     }).optional().description('Banderas de funcionalidades'),
     policies: Joi.object({
       no_inventar_precios: Joi.boolean().optional(),
@@ -134,7 +139,8 @@ const aiValidators = {
       console: Joi.boolean().optional(),
       rag: Joi.boolean().optional(),
       reports: Joi.boolean().optional(),
-      provider_ready: Joi.boolean().optional()
+      provider_ready: Joi.boolean().optional(),
+      internal_notes: Joi.boolean().optional()
     }).optional(),
     toolsEnabled: Joi.array().items(Joi.string().valid('crear_reporte', 'enviar_alerta', 'programar_followup')).optional(),
     policies: Joi.object({
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const AuditController = require('../controllers/AuditController');
+const { authMiddleware, requireAdminOrSuperAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+const filtersSchema = {
+  entityType: Joi.string().max(50).optional(),
+  entityId: Joi.string().max(200).optional(),
+  actorEmail: Joi.string().email().optional(),
+  action: Joi.string().max(100).optional(),
+  from: Joi.string().isoDate().optional(),
+  to: Joi.string().isoDate().optional(),
+  cursor: Joi.string().isoDate().optional()
+};
+
+// Solo combinaciones con índice compuesto en firestore.indexes.json:
+// entityType (+ entityId o + action), entityId, actorEmail o action; from/to/cursor con cualquiera
+const withIndexedFilters = (schema) => schema
+  .without('actorEmail', ['entityType', 'entityId', 'action'])
+  .without('entityId', ['action'])
+  .messages({
+    'object.without': 'Combinación de filtros no soportada: {{#mainWithLabel}} no se puede combinar con {{#peerWithLabel}}'
+  });
+
+// Validadores de la bitácora de auditoría
+const auditValidators = {
+  validateList: validateRequest({
+    query: withIndexedFilters(Joi.object({
+      ...filtersSchema,
+      limit: Joi.number().integer().min(1).max(500).default(100)
+    }))
+  }),
+
+  validateExport: validateRequest({
+    query: withIndexedFilters(Joi.object({
+      ...filtersSchema,
+      limit: Joi.number().integer().min(1).max(1000).default(1000)
+    }))
+  })
+};
+
+router.use(authMiddleware, requireAdminOrSuperAdmin);
+
+/**
+ * @route GET /api/audit
+ * @desc Consultar bitácora (filtros: entityType, entityId, actorEmail, action, from, to, cursor)
+ * @access Private (Admin, Superadmin)
+ */
+router.get('/',
+  auditValidators.validateList,
+  AuditController.list
+);
+
+/**
+ * @route GET /api/audit/export
+ * @desc Exportar bitácora filtrada a CSV
+ * @access Private (Admin, Superadmin)
+ */
+router.get('/export',
+  auditValidators.validateExport,
+  AuditController.exportCsv
+);
+
+/**
+ * @route GET /api/audit/verify
+ * @desc Verificar integridad de la cadena de hashes
+ * @access Private (Admin, Superadmin)
+ */
+router.get('/verify', AuditController.verify);
+
+/**
+ * @route GET /api/audit/:id
+ * @desc Obtener una entrada de la bitácora
+ * @access Private (Admin, Superadmin)
+ */
+router.get('/:id', AuditController.getById);
+
+module.exports = router;
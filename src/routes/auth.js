@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/AuthController');
+const TwoFactorController = require('../controllers/TwoFactorController');
+const AccountRecoveryController = require('../controllers/AccountRecoveryController');
 const { validateRequest } = require('../middleware/validation');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireAdminOrSuperAdmin } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const User = require('../models/User');
 const Joi = require('joi');
 
 // Validadores específicos para autenticación
@@ -34,6 +38,66 @@ const authValidators = {
     body: Joi.object({
       refreshToken: Joi.string().optional()
     })
+  }),
+
+  validateTwoFactorCode: validateRequest({
+    body: Joi.object({
+      code: Joi.string().pattern(/^\d{6}$/).required()
+    })
+  }),
+
+  validateTwoFactorProof: validateRequest({
+    body: Joi.object({
+      code: Joi.string().pattern(/^\d{6}$/),
+      backupCode: Joi.string().max(20)
+    }).xor('code', 'backupCode')
+  }),
+
+  validateChallenge: validateRequest({
+    body: Joi.object({
+      challengeToken: Joi.string().required()
+    })
+  }),
+
+  validateChallengeEnable: validateRequest({
+    body: Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().pattern(/^\d{6}$/).required()
+    })
+  }),
+
+  validateChallengeVerify: validateRequest({
+    body: Joi.object({
+      challengeToken: Joi.string().required(),
+      code: Joi.string().pattern(/^\d{6}$/),
+      backupCode: Joi.string().max(20)
+    }).xor('code', 'backupCode')
+  }),
+
+  validateForgotPassword: validateRequest({
+    body: Joi.object({
+      email: Joi.string().email().required(),
+      channel: Joi.string().valid('email', 'whatsapp').default('email')
+    })
+  }),
+
+  validateAccountToken: validateRequest({
+    body: Joi.object({
+      token: Joi.string().max(2048).required()
+    })
+  }),
+
+  validateSetPassword: validateRequest({
+    body: Joi.object({
+      token: Joi.string().max(2048).required(),
+      newPassword: Joi.string().max(128).required()
+    })
+  }),
+
+  validateTwoFactorReset: validateRequest({
+    params: Joi.object({
+      email: Joi.string().email().required()
+    })
   })
 };
 
@@ -135,4 +199,158 @@ router.delete('/sessions/:sessionId',
   AuthController.closeSession
 );
 
+/**
+ * @route POST /api/auth/password/forgot
+ * @desc Solicitar enlace de restablecimiento (por correo o WhatsApp)
+ * @access Public
+ */
+router.post('/password/forgot',
+  authValidators.validateForgotPassword,
+  AccountRecoveryController.forgotPassword
+);
+
+/**
+ * @route POST /api/auth/password/verify
+ * @desc Validar enlace de restablecimiento
+ * @access Public (requiere token)
+ */
+router.post('/password/verify',
+  authValidators.validateAccountToken,
+  AccountRecoveryController.verifyResetToken
+);
+
+/**
+ * @route POST /api/auth/password/reset
+ * @desc Restablecer contraseña con token de un solo uso
+ * @access Public (requiere token)
+ */
+router.post('/password/reset',
+  authValidators.validateSetPassword,
+  AccountRecoveryController.resetPassword
+);
+
+/**
+ * @route POST /api/auth/invitations/verify
+ * @desc Validar enlace de invitación
+ * @access Public (requiere token)
+ */
+router.post('/invitations/verify',
+  authValidators.validateAccountToken,
+  AccountRecoveryController.verifyInvitation
+);
+
+/**
+ * @route POST /api/auth/invitations/accept
+ * @desc Aceptar invitación estableciendo la contraseña
+ * @access Public (requiere token)
+ */
+router.post('/invitations/accept',
+  authValidators.validateSetPassword,
+  AccountRecoveryController.acceptInvitation
+);
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Completar login pending_2fa con código TOTP o de respaldo
+ * @access Public (requiere challengeToken del login)
+ */
+router.post('/2fa/verify',
+  authValidators.validateChallengeVerify,
+  TwoFactorController.verify
+);
+
+/**
+ * @route POST /api/auth/2fa/challenge/setup
+ * @desc Enrolamiento obligatorio durante el login: obtener secreto y URI del QR
+ * @access Public (requiere challengeToken del login)
+ */
+router.post('/2fa/challenge/setup',
+  authValidators.validateChallenge,
+  TwoFactorController.challengeSetup
+);
+
+/**
+ * @route POST /api/auth/2fa/challenge/enable
+ * @desc Confirmar enrolamiento obligatorio y completar el login
+ * @access Public (requiere challengeToken del login)
+ */
+router.post('/2fa/challenge/enable',
+  authValidators.validateChallengeEnable,
+  TwoFactorController.challengeEnable
+);
+
+/**
+ * @route GET /api/auth/2fa/status
+ * @desc Estado de verificación en dos pasos del usuario actual
+ * @access Private
+ */
+router.get('/2fa/status',
+  authMiddleware,
+  TwoFactorController.getStatus
+);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Iniciar enrolamiento: secreto y URI otpauth para el QR
+ * @access Private
+ */
+router.post('/2fa/setup',
+  authMiddleware,
+  TwoFactorController.setup
+);
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirmar enrolamiento con el primer código; devuelve códigos de respaldo
+ * @access Private
+ */
+router.post('/2fa/enable',
+  authMiddleware,
+  authValidators.validateTwoFactorCode,
+  TwoFactorController.enable
+);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Desactivar 2FA (no permitido si el rol lo exige)
+ * @access Private
+ */
+router.post('/2fa/disable',
+  authMiddleware,
+  authValidators.validateTwoFactorProof,
+  TwoFactorController.disable
+);
+
+/**
+ * @route POST /api/auth/2fa/backup-codes
+ * @desc Regenerar códigos de respaldo (invalida los anteriores)
+ * @access Private
+ */
+router.post('/2fa/backup-codes',
+  authMiddleware,
+  authValidators.validateTwoFactorCode,
+  TwoFactorController.regenerateBackupCodes
+);
+
+/**
+ * @route POST /api/auth/2fa/reset/:email
+ * @desc Restablecer 2FA de un usuario y cerrar sus sesiones
+ * @access Private (Admin)
+ */
+router.post('/2fa/reset/:email',
+  authMiddleware,
+  requireAdminOrSuperAdmin,
+  authValidators.validateTwoFactorReset,
+  auditTrail({
+    action: 'two_factor.reset',
+    entityType: 'user',
+    getEntityId: (req) => req.params.email,
+    load: async (req, email) => {
+      const user = await User.getByEmail(email);
+      return user ? { twoFactorEnabled: !!user.twoFactor?.enabled } : null;
+    }
+  }),
+  TwoFactorController.adminReset
+);
+
 module.exports = router;
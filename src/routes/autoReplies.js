@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const AutoReplyController = require('../controllers/AutoReplyController');
+const { authMiddleware, requireAdmin, requireReadAccess } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+const replyMessage = Joi.object({
+  enabled: Joi.boolean(),
+  message: Joi.string().min(1).max(1024)
+});
+
+// Validadores específicos para respuestas automáticas
+const autoReplyValidators = {
+  validateUpdate: validateRequest({
+    body: Joi.object({
+      enabled: Joi.boolean(),
+      calendarId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).allow(null),
+      windowMinutes: Joi.number().integer().min(1).max(10080),
+      greeting: replyMessage,
+      afterHours: replyMessage,
+      holiday: replyMessage
+    }).min(1)
+  })
+};
+
+/**
+ * @route GET /api/auto-replies
+ * @desc Configuración de respuestas automáticas del workspace
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/',
+  authMiddleware,
+  requireReadAccess,
+  AutoReplyController.getSettings
+);
+
+/**
+ * @route PUT /api/auto-replies
+ * @desc Actualizar respuestas automáticas (fuera de horario, feriado, saludo)
+ * @access Private (Admin)
+ */
+router.put('/',
+  authMiddleware,
+  requireAdmin,
+  autoReplyValidators.validateUpdate,
+  AutoReplyController.updateSettings
+);
+
+/**
+ * @route GET /api/auto-replies/status
+ * @desc Estado actual del horario hábil y respuesta que se enviaría
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/status',
+  authMiddleware,
+  requireReadAccess,
+  AutoReplyController.getStatus
+);
+
+module.exports = router;
@@ -1,10 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const CampaignController = require('../controllers/CampaignController');
+const AudienceSegmentController = require('../controllers/AudienceSegmentController');
+const WhatsAppTemplateController = require('../controllers/WhatsAppTemplateController');
 const { authMiddleware, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const Joi = require('joi');
 
+// Reglas de segmento de audiencia
+const segmentRulesSchema = Joi.object({
+  tags: Joi.object({
+    any: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+    all: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+    none: Joi.array().items(Joi.string().max(50)).max(20).optional()
+  }).optional(),
+  customFields: Joi.array().items(Joi.object({
+    field: Joi.string().min(1).max(100).required(),
+    operator: Joi.string().valid('eq', 'neq', 'contains', 'in', 'exists', 'not_exists', 'gt', 'gte', 'lt', 'lte').default('eq'),
+    value: Joi.alternatives().try(
+      Joi.string().max(500),
+      Joi.number(),
+      Joi.boolean(),
+      Joi.array().items(Joi.string().max(200)).max(50)
+    ).optional()
+  })).max(20).optional(),
+  lastContactAt: Joi.object({
+    after: Joi.date().iso().optional(),
+    before: Joi.date().iso().optional(),
+    withinDays: Joi.number().integer().min(0).max(3650).optional(),
+    olderThanDays: Joi.number().integer().min(0).max(3650).optional()
+  }).optional(),
+  totalMessages: Joi.object({
+    min: Joi.number().integer().min(0).optional(),
+    max: Joi.number().integer().min(0).optional()
+  }).optional(),
+  conversation: Joi.object({
+    status: Joi.array().items(Joi.string().valid('open', 'pending', 'resolved', 'closed')).max(4).optional(),
+    priority: Joi.array().items(Joi.string().valid('low', 'normal', 'medium', 'high', 'urgent')).max(5).optional()
+  }).optional()
+});
+
 // Validadores específicos para campañas
 const campaignValidators = {
   validateCreate: validateRequest({
@@ -14,8 +49,15 @@ const campaignValidators = {
       description: Joi.string().max(1000).optional(),
       targetAudience: Joi.array().items(Joi.string().max(100)).max(10).optional(),
       scheduledAt: Joi.date().iso().optional(),
-      messageTemplate: Joi.string().min(1).max(4096).required(),
+      messageTemplate: Joi.string().min(1).max(4096).when('templateId', {
+        is: Joi.string().min(1),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      }),
       contactList: Joi.array().items(Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/)).min(1).optional(),
+      segmentId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).allow(null).optional(),
+      templateId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).allow(null).optional(),
+      templateVariables: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, Joi.string().max(500)).optional(),
       tags: Joi.array().items(Joi.string().max(50)).max(20).optional()
     })
   }),
@@ -29,6 +71,9 @@ const campaignValidators = {
       scheduledAt: Joi.date().iso().optional(),
       messageTemplate: Joi.string().min(1).max(4096).optional(),
       contactList: Joi.array().items(Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/)).min(1).optional(),
+      segmentId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).allow(null).optional(),
+      templateId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).allow(null).optional(),
+      templateVariables: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, Joi.string().max(500)).optional(),
       tags: Joi.array().items(Joi.string().max(50)).max(20).optional()
     })
   }),
@@ -46,6 +91,28 @@ const campaignValidators = {
     })
   }),
 
+  validateSegment: validateRequest({
+    body: Joi.object({
+      name: Joi.string().min(1).max(200).required(),
+      description: Joi.string().max(1000).allow('').optional(),
+      rules: segmentRulesSchema.required()
+    })
+  }),
+
+  validateSegmentUpdate: validateRequest({
+    body: Joi.object({
+      name: Joi.string().min(1).max(200).optional(),
+      description: Joi.string().max(1000).allow('').optional(),
+      rules: segmentRulesSchema.optional()
+    }).min(1)
+  }),
+
+  validateSegmentPreview: validateRequest({
+    body: Joi.object({
+      rules: segmentRulesSchema.required()
+    })
+  }),
+
   validateStats: validateRequest({
     query: Joi.object({
       period: Joi.string().valid('1d', '7d', '30d', '90d', '1y').default('7d'),
@@ -81,6 +148,117 @@ router.get('/stats',
   CampaignController.getStats
 );
 
+/**
+ * @route GET /api/campaigns/segments
+ * @desc Listar segmentos de audiencia
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/segments',
+  authMiddleware,
+  requireReadAccess,
+  AudienceSegmentController.list
+);
+
+/**
+ * @route POST /api/campaigns/segments
+ * @desc Crear segmento de audiencia
+ * @access Private (Agent, Admin)
+ */
+router.post('/segments',
+  authMiddleware,
+  requireWriteAccess,
+  campaignValidators.validateSegment,
+  AudienceSegmentController.create
+);
+
+/**
+ * @route POST /api/campaigns/segments/preview
+ * @desc Conteo y muestra de destinatarios para reglas sin guardar
+ * @access Private (Agent, Admin)
+ */
+router.post('/segments/preview',
+  authMiddleware,
+  requireWriteAccess,
+  campaignValidators.validateSegmentPreview,
+  AudienceSegmentController.previewRules
+);
+
+/**
+ * @route GET /api/campaigns/segments/:segmentId
+ * @desc Obtener segmento de audiencia por ID
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/segments/:segmentId',
+  authMiddleware,
+  requireReadAccess,
+  validateRequest({ params: Joi.object({ segmentId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() }) }),
+  AudienceSegmentController.getById
+);
+
+/**
+ * @route GET /api/campaigns/segments/:segmentId/preview
+ * @desc Conteo y muestra de destinatarios actuales del segmento
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/segments/:segmentId/preview',
+  authMiddleware,
+  requireReadAccess,
+  validateRequest({ params: Joi.object({ segmentId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() }) }),
+  AudienceSegmentController.previewSegment
+);
+
+/**
+ * @route PUT /api/campaigns/segments/:segmentId
+ * @desc Actualizar segmento de audiencia
+ * @access Private (Agent, Admin)
+ */
+router.put('/segments/:segmentId',
+  authMiddleware,
+  requireWriteAccess,
+  validateRequest({ params: Joi.object({ segmentId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() }) }),
+  campaignValidators.validateSegmentUpdate,
+  AudienceSegmentController.update
+);
+
+/**
+ * @route DELETE /api/campaigns/segments/:segmentId
+ * @desc Eliminar segmento de audiencia
+ * @access Private (Agent, Admin)
+ */
+router.delete('/segments/:segmentId',
+  authMiddleware,
+  requireWriteAccess,
+  validateRequest({ params: Joi.object({ segmentId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() }) }),
+  AudienceSegmentController.delete
+);
+
+/**
+ * @route GET /api/campaigns/:campaignId/audience-preview
+ * @desc Conteo de destinatarios de la campaña resuelto al momento (excluye bajas)
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:campaignId/audience-preview',
+  authMiddleware,
+  requireReadAccess,
+  validateRequest({ params: Joi.object({ campaignId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() }) }),
+  AudienceSegmentController.previewCampaignAudience
+);
+
+/**
+ * @route GET /api/campaigns/:campaignId/template-preview
+ * @desc Mensaje de plantilla renderizado por destinatario antes del lanzamiento
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:campaignId/template-preview',
+  authMiddleware,
+  requireReadAccess,
+  validateRequest({
+    params: Joi.object({ campaignId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() }),
+    query: Joi.object({ limit: Joi.number().integer().min(1).max(100).default(20) })
+  }),
+  WhatsAppTemplateController.previewCampaign
+);
+
 /**
  * @route GET /api/campaigns/:campaignId
  * @desc Obtener campaña por ID
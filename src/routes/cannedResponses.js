@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const CannedResponseController = require('../controllers/CannedResponseController');
+const { authMiddleware, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+const SCOPES = ['global', 'team', 'personal'];
+const idSchema = Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/);
+
+const responseFields = {
+  title: Joi.string().min(1).max(200),
+  shortcut: Joi.string().min(2).max(50),
+  content: Joi.string().min(1).max(4096),
+  category: Joi.string().min(1).max(50),
+  scope: Joi.string().valid(...SCOPES),
+  teamId: Joi.string().max(100).allow(null),
+  fileIds: Joi.array().items(idSchema).max(10)
+};
+
+// Validadores específicos para respuestas guardadas
+const cannedResponseValidators = {
+  validateCreate: validateRequest({
+    body: Joi.object({
+      ...responseFields,
+      title: responseFields.title.required(),
+      shortcut: responseFields.shortcut.required(),
+      content: responseFields.content.required(),
+      scope: responseFields.scope.default('personal'),
+      fileIds: responseFields.fileIds.default([])
+    })
+  }),
+
+  validateUpdate: validateRequest({
+    body: Joi.object(responseFields).min(1)
+  }),
+
+  validateList: validateRequest({
+    query: Joi.object({
+      category: Joi.string().max(50).optional(),
+      scope: Joi.string().valid(...SCOPES).optional()
+    })
+  }),
+
+  validateSearch: validateRequest({
+    query: Joi.object({
+      q: Joi.string().max(100).allow('').default(''),
+      category: Joi.string().max(50).optional(),
+      limit: Joi.number().integer().min(1).max(50).default(20)
+    })
+  }),
+
+  validateStats: validateRequest({
+    query: Joi.object({
+      startDate: Joi.date().iso().optional(),
+      endDate: Joi.date().iso().optional(),
+      limit: Joi.number().integer().min(1).max(50).default(10)
+    })
+  }),
+
+  validateUse: validateRequest({
+    body: Joi.object({
+      conversationId: Joi.string().min(1).max(256).optional()
+    })
+  }),
+
+  validateResponseId: validateRequest({
+    params: Joi.object({ responseId: idSchema.required() })
+  })
+};
+
+/**
+ * @route GET /api/canned-responses
+ * @desc Listar respuestas guardadas visibles (globales, de equipo y personales)
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/',
+  authMiddleware,
+  requireReadAccess,
+  cannedResponseValidators.validateList,
+  CannedResponseController.list
+);
+
+/**
+ * @route GET /api/canned-responses/search
+ * @desc Buscar por atajo (/precio) o texto
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/search',
+  authMiddleware,
+  requireReadAccess,
+  cannedResponseValidators.validateSearch,
+  CannedResponseController.search
+);
+
+/**
+ * @route GET /api/canned-responses/stats
+ * @desc Estadísticas de uso y candidatas para la base de conocimiento
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/stats',
+  authMiddleware,
+  requireReadAccess,
+  cannedResponseValidators.validateStats,
+  CannedResponseController.getStats
+);
+
+/**
+ * @route POST /api/canned-responses
+ * @desc Crear respuesta guardada (global/equipo: admin o supervisor)
+ * @access Private (Agent, Admin)
+ */
+router.post('/',
+  authMiddleware,
+  requireWriteAccess,
+  cannedResponseValidators.validateCreate,
+  CannedResponseController.create
+);
+
+/**
+ * @route GET /api/canned-responses/:responseId
+ * @desc Obtener respuesta guardada
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:responseId',
+  authMiddleware,
+  requireReadAccess,
+  cannedResponseValidators.validateResponseId,
+  CannedResponseController.getById
+);
+
+/**
+ * @route PUT /api/canned-responses/:responseId
+ * @desc Actualizar respuesta guardada
+ * @access Private (Agent, Admin)
+ */
+router.put('/:responseId',
+  authMiddleware,
+  requireWriteAccess,
+  cannedResponseValidators.validateResponseId,
+  cannedResponseValidators.validateUpdate,
+  CannedResponseController.update
+);
+
+/**
+ * @route DELETE /api/canned-responses/:responseId
+ * @desc Eliminar respuesta guardada
+ * @access Private (Agent, Admin)
+ */
+router.delete('/:responseId',
+  authMiddleware,
+  requireWriteAccess,
+  cannedResponseValidators.validateResponseId,
+  CannedResponseController.delete
+);
+
+/**
+ * @route POST /api/canned-responses/:responseId/use
+ * @desc Rellenar placeholders para una conversación y registrar el uso
+ * @access Private (Agent, Admin)
+ */
+router.post('/:responseId/use',
+  authMiddleware,
+  requireWriteAccess,
+  cannedResponseValidators.validateResponseId,
+  cannedResponseValidators.validateUse,
+  CannedResponseController.use
+);
+
+/**
+ * @route POST /api/canned-responses/:responseId/knowledge
+ * @desc Publicar respuesta como FAQ en la base de conocimiento
+ * @access Private (Agent, Admin)
+ */
+router.post('/:responseId/knowledge',
+  authMiddleware,
+  requireWriteAccess,
+  cannedResponseValidators.validateResponseId,
+  CannedResponseController.promoteToKnowledge
+);
+
+module.exports = router;
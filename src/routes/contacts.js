@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const ContactController = require('../controllers/ContactController');
+const ContactMergeController = require('../controllers/ContactMergeController');
 const ContactService = require('../services/ContactService');
 const { validateRequest } = require('../middleware/validation');
 const { validatePhoneInBody, validateOptionalPhoneInBody } = require('../middleware/phoneValidation');
-const { authMiddleware, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
+const { authMiddleware, requireReadAccess, requireWriteAccess, requireAdmin } = require('../middleware/auth');
 const Joi = require('joi');
 
 const logger = require('../utils/logger');
@@ -67,6 +68,34 @@ const contactValidators = {
       period: Joi.string().valid('7d', '30d', '90d', '1y').default('30d'),
       userId: Joi.string().optional()
     })
+  }),
+
+  validateDuplicates: validateRequest({
+    query: Joi.object({
+      nameThreshold: Joi.number().min(0.5).max(1).optional(),
+      limit: Joi.number().integer().min(1).max(200).default(50)
+    })
+  }),
+
+  validateMerge: validateRequest({
+    body: Joi.object({
+      survivorId: Joi.string().min(1).max(128).required(),
+      mergedIds: Joi.array().items(Joi.string().min(1).max(128)).min(1).max(10).unique().required(),
+      reason: Joi.string().max(500).optional()
+    })
+  }),
+
+  validateListMerges: validateRequest({
+    query: Joi.object({
+      contactId: Joi.string().max(128).optional(),
+      limit: Joi.number().integer().min(1).max(100).default(50)
+    })
+  }),
+
+  validateMergeId: validateRequest({
+    params: Joi.object({
+      mergeId: Joi.string().guid().required()
+    })
   })
 };
 
@@ -81,6 +110,80 @@ router.get('/',
   ContactController.list
 );
 
+// 🔗 DEDUPLICACIÓN Y FUSIÓN (antes de /:contactId para que no la capture)
+
+/**
+ * @route GET /api/contacts/duplicates
+ * @desc Detectar grupos de contactos duplicados (correo, teléfono, nombre)
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/duplicates',
+  authMiddleware,
+  requireReadAccess,
+  contactValidators.validateDuplicates,
+  ContactMergeController.listDuplicates
+);
+
+/**
+ * @route POST /api/contacts/merge
+ * @desc Fusionar contactos en un superviviente (mueve conversaciones, tags y customFields)
+ * @access Private (Admin)
+ */
+router.post('/merge',
+  authMiddleware,
+  requireAdmin,
+  contactValidators.validateMerge,
+  ContactMergeController.merge
+);
+
+/**
+ * @route GET /api/contacts/merges
+ * @desc Historial de fusiones (filtrable por contacto)
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/merges',
+  authMiddleware,
+  requireReadAccess,
+  contactValidators.validateListMerges,
+  ContactMergeController.listMerges
+);
+
+/**
+ * @route GET /api/contacts/merges/:mergeId
+ * @desc Obtener registro de una fusión
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/merges/:mergeId',
+  authMiddleware,
+  requireReadAccess,
+  contactValidators.validateMergeId,
+  ContactMergeController.getMerge
+);
+
+/**
+ * @route POST /api/contacts/merges/:mergeId/undo
+ * @desc Deshacer una fusión de contactos
+ * @access Private (Admin)
+ */
+router.post('/merges/:mergeId/undo',
+  authMiddleware,
+  requireAdmin,
+  contactValidators.validateMergeId,
+  ContactMergeController.undoMerge
+);
+
+/**
+ * @route GET /api/contacts/:contactId/duplicates
+ * @desc Posibles duplicados de un contacto
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:contactId/duplicates',
+  authMiddleware,
+  requireReadAccess,
+  contactValidators.validateDuplicates,
+  ContactMergeController.listContactDuplicates
+);
+
 /**
  * @route GET /api/contacts/:contactId
  * @desc Obtener contacto por ID
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const ConversationController = require('../controllers/ConversationController');
+const InternalNoteController = require('../controllers/InternalNoteController');
+const ScheduledMessageController = require('../controllers/ScheduledMessageController');
+const { STATUSES: SCHEDULED_STATUSES } = require('../models/ScheduledMessage');
 const { validateRequest } = require('../middleware/validation');
 const { validatePhoneInBody } = require('../middleware/phoneValidation');
 const { authMiddleware, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
@@ -84,7 +87,11 @@ const conversationValidators = {
       status: Joi.string().valid('open', 'pending', 'resolved', 'closed', 'all').optional(),
       priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
       assignedTo: Joi.string().email().optional(),
-      search: Joi.string().min(1).max(100).optional()
+      search: Joi.string().min(1).max(100).optional(),
+      sentiment: Joi.string().valid('positive', 'neutral', 'negative').optional(),
+      intent: Joi.string().valid('complaint', 'purchase', 'support', 'cancellation', 'other').optional(),
+      urgency: Joi.string().valid('high', 'medium', 'normal').optional(),
+      negativeTrend: Joi.boolean().optional()
     })
   }),
 
@@ -364,6 +371,150 @@ router.post('/',
   ConversationController.createConversation
 );
 
+// Validadores de notas internas y transcripción
+const noteValidators = {
+  validateCreateNote: validateRequest({
+    body: Joi.object({
+      content: Joi.string().trim().min(1).max(4096).required(),
+      mentions: Joi.array().items(Joi.string().max(254)).max(20).default([])
+    })
+  }),
+
+  validateTranscript: validateRequest({
+    query: Joi.object({
+      format: Joi.string().valid('json', 'txt').default('json'),
+      includeInternalNotes: Joi.boolean().default(false)
+    })
+  })
+};
+
+/**
+ * @route GET /api/conversations/:id/notes
+ * @desc Listar notas internas de la conversación
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:id/notes',
+  authMiddleware,
+  requireReadAccess,
+  normalizeConversationId,
+  InternalNoteController.listNotes
+);
+
+/**
+ * @route POST /api/conversations/:id/notes
+ * @desc Crear nota interna con @menciones (no se envía al cliente)
+ * @access Private (Agent, Admin)
+ */
+router.post('/:id/notes',
+  authMiddleware,
+  requireWriteAccess,
+  normalizeConversationId,
+  noteValidators.validateCreateNote,
+  InternalNoteController.createNote
+);
+
+/**
+ * @route GET /api/conversations/:id/transcript
+ * @desc Exportar transcripción para el cliente (sin notas internas salvo includeInternalNotes=true)
+ * @access Private (Agent, Admin)
+ */
+router.get('/:id/transcript',
+  authMiddleware,
+  requireWriteAccess,
+  normalizeConversationId,
+  noteValidators.validateTranscript,
+  InternalNoteController.exportTranscript
+);
+
+// Validadores de mensajes programados
+const scheduledFields = {
+  content: Joi.string().max(1600).allow(''),
+  fileIds: Joi.array().items(Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/)).max(10),
+  scheduledAt: Joi.date().iso().greater('now'),
+  fallbackTemplateId: Joi.string().max(128).allow(null),
+  templateVariables: Joi.object().pattern(Joi.string(), Joi.string().max(1024))
+};
+
+const scheduledValidators = {
+  validateCreate: validateRequest({
+    body: Joi.object({
+      ...scheduledFields,
+      scheduledAt: scheduledFields.scheduledAt.required(),
+      fileIds: scheduledFields.fileIds.default([])
+    })
+  }),
+
+  validateUpdate: validateRequest({
+    body: Joi.object(scheduledFields).min(1)
+  }),
+
+  validateList: validateRequest({
+    query: Joi.object({
+      status: Joi.string().valid(...SCHEDULED_STATUSES).optional()
+    })
+  }),
+
+  validateScheduledId: validateRequest({
+    params: Joi.object({
+      id: Joi.string().required(),
+      scheduledMessageId: Joi.string().guid().required()
+    })
+  })
+};
+
+/**
+ * @route GET /api/conversations/:id/scheduled-messages
+ * @desc Listar mensajes programados de la conversación
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:id/scheduled-messages',
+  authMiddleware,
+  requireReadAccess,
+  normalizeConversationId,
+  scheduledValidators.validateList,
+  ScheduledMessageController.list
+);
+
+/**
+ * @route POST /api/conversations/:id/scheduled-messages
+ * @desc Programar mensaje (con adjuntos y plantilla de respaldo opcional)
+ * @access Private (Agent, Admin)
+ */
+router.post('/:id/scheduled-messages',
+  authMiddleware,
+  requireWriteAccess,
+  normalizeConversationId,
+  scheduledValidators.validateCreate,
+  ScheduledMessageController.create
+);
+
+/**
+ * @route PUT /api/conversations/:id/scheduled-messages/:scheduledMessageId
+ * @desc Editar o reprogramar mensaje programado
+ * @access Private (Agent, Admin)
+ */
+router.put('/:id/scheduled-messages/:scheduledMessageId',
+  authMiddleware,
+  requireWriteAccess,
+  normalizeConversationId,
+  scheduledValidators.validateScheduledId,
+  scheduledValidators.validateUpdate,
+  ScheduledMessageController.update
+);
+
+/**
+ * @route DELETE /api/conversations/:id/scheduled-messages/:scheduledMessageId
+ * @desc Cancelar mensaje programado
+ * @access Private (Agent, Admin)
+ */
+router.delete('/:id/scheduled-messages/:scheduledMessageId',
+  authMiddleware,
+  requireWriteAccess,
+  normalizeConversationId,
+  scheduledValidators.validateScheduledId,
+  ScheduledMessageController.cancel
+);
+
 /**
  * @route DELETE /api/conversations/:id
  * @desc Eliminar conversación
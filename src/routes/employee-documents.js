@@ -15,7 +15,7 @@ const router = express.Router();
 const { authMiddleware, requireRole } = require('../middleware/auth');
 
 // Middleware de autorización HR
-const { checkHRPermission } = require('../middleware/hrAuthorization');
+const { checkHRPermission, requireEmployeeInWorkspace } = require('../middleware/hrAuthorization');
 
 // Controlador
 const EmployeeDocumentController = require('../controllers/EmployeeDocumentController');
@@ -29,6 +29,9 @@ const { validateEmployeeId, validateDocumentId } = require('../middleware/valida
  */
 router.use(authMiddleware);
 
+// Todo :employeeId debe ser un empleado del workspace de la petición
+router.param('employeeId', requireEmployeeInWorkspace);
+
 /**
  * 📋 RUTAS DE DOCUMENTOS POR EMPLEADO
  * Prefijo: /api/employees (compartido)
@@ -13,12 +13,19 @@ const EquipmentReviewController = require('../controllers/EquipmentReviewControl
 const ExtrasController = require('../controllers/ExtrasController');
 const AttachmentsController = require('../controllers/AttachmentsController');
 const ReportsController = require('../controllers/ReportsController');
+const EmployeeTerminationController = require('../controllers/EmployeeTerminationController');
 
 // Middleware
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../middleware/auth');
 const { validateRequest, validateRequiredFields } = require('../middleware/validation');
 const { intelligentRateLimit } = require('../middleware/intelligentRateLimit');
+const { auditTrail } = require('../middleware/audit');
+const { requireEmployeeInWorkspace } = require('../middleware/hrAuthorization');
 const Joi = require('joi');
+const { TERMINATION_REASONS } = require('../services/SettlementService');
+const Employee = require('../models/Employee');
+const ExtrasMovement = require('../models/ExtrasMovement');
+const Incident = require('../models/Incident');
 
 // Configuración de multer para subida de archivos
 const storage = multer.memoryStorage();
@@ -291,15 +298,66 @@ const employeeValidators = {
       department: Joi.string().max(50).optional(),
       level: Joi.string().valid('Entry', 'Junior', 'Mid', 'Senior', 'Lead', 'Manager', 'Director', 'Executive').optional()
     }).options({ allowUnknown: false })
+  }),
+
+  // Validación para finiquito / liquidación
+  validateTermination: validateRequest({
+    body: Joi.object({
+      terminationDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+        'string.pattern.base': 'La fecha de baja debe tener formato YYYY-MM-DD'
+      }),
+      reason: Joi.string().valid(...TERMINATION_REASONS).required().messages({
+        'any.only': `El motivo debe ser: ${TERMINATION_REASONS.join(', ')}`
+      }),
+      pendingSalaryDays: Joi.number().min(0).max(31).optional(),
+      unusedVacationDays: Joi.number().min(0).max(365).optional(),
+      aguinaldoDays: Joi.number().min(15).max(365).optional().messages({
+        'number.min': 'El aguinaldo no puede ser menor a 15 días (art. 87 LFT)'
+      }),
+      vacationPremiumRate: Joi.number().min(0.25).max(1).optional().messages({
+        'number.min': 'La prima vacacional no puede ser menor a 25% (art. 80 LFT)'
+      }),
+      otherDeductions: Joi.array().items(Joi.object({
+        concept: Joi.string().max(100).required(),
+        amount: Joi.number().min(0).required()
+      })).max(20).optional(),
+      notes: Joi.string().max(1000).optional()
+    }).options({ allowUnknown: false })
   })
 };
 
+// Auditoría de acciones sensibles (estado antes/después de la entidad)
+const employeeAudit = (action) => auditTrail({
+  action,
+  entityType: 'employee',
+  load: (req, id) => Employee.findById(id)
+});
+
+const extrasAudit = (action) => auditTrail({
+  action,
+  entityType: 'extras_movement',
+  getEntityId: (req) => req.params.movementId,
+  load: (req, movementId) => ExtrasMovement.findById(req.body.employeeId, movementId),
+  metadata: (req) => ({ employeeId: req.body.employeeId })
+});
+
+const incidentAudit = (action) => auditTrail({
+  action,
+  entityType: 'incident',
+  getEntityId: (req) => req.params.incidentId,
+  load: (req, incidentId) => Incident.findById(req.params.id, incidentId),
+  metadata: (req) => ({ employeeId: req.params.id })
+});
+
 // Aplicar autenticación a todas las rutas
 router.use(authMiddleware);
 
 // Aplicar rate limiting inteligente
 router.use(intelligentRateLimit);
 
+// Todo :id debe ser un empleado del workspace de la petición
+router.param('id', requireEmployeeInWorkspace);
+
 /**
  * RUTAS PRINCIPALES DE EMPLEADOS
  */
@@ -344,10 +402,24 @@ router.post('/',
 router.get('/:id', EmployeeController.getById);
 
 // Actualizar empleado
-router.put('/:id', EmployeeController.update);
+router.put('/:id', employeeAudit('employee.update'), EmployeeController.update);
 
 // Eliminar empleado
-router.delete('/:id', EmployeeController.delete);
+router.delete('/:id', employeeAudit('employee.delete'), EmployeeController.delete);
+
+// Finiquito / liquidación: vista previa, registro de la baja (bloquea el expediente) y consulta
+router.post('/:id/termination/preview',
+  requireRole(['admin', 'superadmin']),
+  employeeValidators.validateTermination,
+  EmployeeTerminationController.preview
+);
+router.post('/:id/termination',
+  requireRole(['admin', 'superadmin']),
+  employeeValidators.validateTermination,
+  employeeAudit('employee.terminate'),
+  EmployeeTerminationController.terminate
+);
+router.get('/:id/termination', requireRole(['admin', 'superadmin']), EmployeeTerminationController.getSettlement);
 
 
 
@@ -362,10 +434,10 @@ router.get('/extras/stats', ExtrasController.getExtrasStats);
 router.get('/extras/pending-approvals', ExtrasController.getPendingApprovals);
 
 // Aprobar movimiento
-router.put('/extras/:movementId/approve', ExtrasController.approveMovement);
+router.put('/extras/:movementId/approve', extrasAudit('extras.approve'), ExtrasController.approveMovement);
 
 // Rechazar movimiento
-router.put('/extras/:movementId/reject', ExtrasController.rejectMovement);
+router.put('/extras/:movementId/reject', extrasAudit('extras.reject'), ExtrasController.rejectMovement);
 
 // Obtener todos los movimientos de extras de un empleado
 router.get('/:id/extras', ExtrasController.getExtrasByEmployee);
@@ -647,11 +719,12 @@ router.put('/:id/incidents/:incidentId', IncidentController.update);
 router.delete('/:id/incidents/:incidentId', IncidentController.delete);
 
 // 6. Aprobar incidente
-router.put('/:id/incidents/:incidentId/approve', IncidentController.approve);
+router.put('/:id/incidents/:incidentId/approve', incidentAudit('incident.approve'), IncidentController.approve);
 
 // 7. Rechazar incidente
 router.put('/:id/incidents/:incidentId/reject', 
   validateRequiredFields(['comments']),
+  incidentAudit('incident.reject'),
   IncidentController.reject
 );
 
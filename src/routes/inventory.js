@@ -29,6 +29,7 @@ const InventoryMaterialController = require('../controllers/InventoryMaterialCon
 const InventoryConfigurationController = require('../controllers/InventoryConfigurationController');
 const InventoryEvidenceController = require('../controllers/InventoryEvidenceController');
 const InventoryDriverController = require('../controllers/InventoryDriverController');
+const InventoryStockController = require('../controllers/InventoryStockController');
 
 /**
  * 🔐 MIDDLEWARE DE AUTENTICACIÓN
@@ -236,5 +237,34 @@ router.delete('/drivers/:id',
   InventoryDriverController.delete
 );
 
+/**
+ * 📒 STOCK (KARDEX)
+ */
+
+// GET /api/inventory/stock/balances
+router.get('/stock/balances',
+  InventoryStockController.getBalances
+);
+
+// GET /api/inventory/stock/kardex/:materialId
+router.get('/stock/kardex/:materialId',
+  InventoryStockController.getKardex
+);
+
+// GET /api/inventory/stock/documents
+router.get('/stock/documents',
+  InventoryStockController.listDocuments
+);
+
+// GET /api/inventory/stock/documents/:documentId
+router.get('/stock/documents/:documentId',
+  InventoryStockController.getDocument
+);
+
+// POST /api/inventory/stock/documents
+router.post('/stock/documents',
+  InventoryStockController.createDocument
+);
+
 module.exports = router;
 
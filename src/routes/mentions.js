@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const InternalNoteController = require('../controllers/InternalNoteController');
+const { authMiddleware, requireReadAccess } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+// Validadores específicos para el feed de menciones
+const mentionValidators = {
+  validateList: validateRequest({
+    query: Joi.object({
+      unreadOnly: Joi.boolean().default(false),
+      limit: Joi.number().integer().min(1).max(100).default(50)
+    })
+  }),
+
+  validateMarkAllRead: validateRequest({
+    body: Joi.object({
+      conversationId: Joi.string().min(1).max(256).optional()
+    })
+  }),
+
+  validateMentionId: validateRequest({
+    params: Joi.object({ mentionId: Joi.string().guid().required() })
+  })
+};
+
+/**
+ * @route GET /api/mentions
+ * @desc Feed de menciones del usuario autenticado
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/',
+  authMiddleware,
+  requireReadAccess,
+  mentionValidators.validateList,
+  InternalNoteController.listMentions
+);
+
+/**
+ * @route GET /api/mentions/unread-count
+ * @desc Número de menciones sin leer
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/unread-count',
+  authMiddleware,
+  requireReadAccess,
+  InternalNoteController.getUnreadCount
+);
+
+/**
+ * @route POST /api/mentions/read-all
+ * @desc Marcar todas las menciones como leídas (opcional: de una conversación)
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.post('/read-all',
+  authMiddleware,
+  requireReadAccess,
+  mentionValidators.validateMarkAllRead,
+  InternalNoteController.markAllRead
+);
+
+/**
+ * @route POST /api/mentions/:mentionId/read
+ * @desc Marcar una mención como leída
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.post('/:mentionId/read',
+  authMiddleware,
+  requireReadAccess,
+  mentionValidators.validateMentionId,
+  InternalNoteController.markRead
+);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { validateRequest } = require('../middleware/validation');
 const { validatePhoneInBody, validateMultiplePhonesInBody } = require('../middleware/phoneValidation');
 const { authMiddleware, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
 const { normalizeConversationId, normalizeConversationIdQuery } = require('../middleware/conversationIdNormalization');
+const { validateTwilioWebhook } = require('../middleware/twilioSignature');
 const Joi = require('joi');
 const { validateId, validateConversationId } = require('../middleware/validation');
 
@@ -46,6 +47,15 @@ const messageValidators = {
     })
   }),
 
+  validateSendTemplate: validateRequest({
+    body: Joi.object({
+      to: Joi.string().pattern(/^\+[1-9]\d{1,14}$/).required(),
+      templateId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required(),
+      variables: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, Joi.string().max(500)).default({}),
+      conversationId: Joi.string().optional()
+    })
+  }),
+
   validateSendSticker: validateRequest({
     body: Joi.object({
       to: Joi.string().pattern(/^\+[1-9]\d{1,14}$/).required(),
@@ -306,9 +316,10 @@ router.post('/send',
 /**
  * @route POST /api/messages/webhook
  * @desc Webhook de Twilio para mensajes entrantes
- * @access Public (Twilio)
+ * @access Public (Twilio, firma X-Twilio-Signature requerida)
  */
 router.post('/webhook',
+  validateTwilioWebhook(),
   messageValidators.validateWebhook,
   MessageController.handleWebhookSafe
 );
@@ -325,6 +336,18 @@ router.post('/send-location',
   MessageController.sendLocationMessage
 );
 
+/**
+ * 📝 @route POST /api/messages/send-template
+ * @desc Enviar plantilla aprobada de WhatsApp (Content SID) con variables por contacto
+ * @access Private (Agent, Admin)
+ */
+router.post('/send-template',
+  authMiddleware,
+  requireWriteAccess,
+  messageValidators.validateSendTemplate,
+  MessageController.sendTemplateMessage
+);
+
 /**
  * 🆕 @route POST /api/messages/send-sticker
  * @desc Enviar mensaje de sticker
@@ -13,6 +13,8 @@ const router = express.Router();
 const ModulePermissionsController = require('../controllers/ModulePermissionsController');
 const { authMiddleware, requireAdmin } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { auditTrail } = require('../middleware/audit');
+const User = require('../models/User');
 const Joi = require('joi');
 
 // 🛡️ VALIDADORES PARA PERMISOS DE MÓDULOS
@@ -54,6 +56,17 @@ const modulePermissionsValidators = {
   })
 };
 
+// Auditoría de cambios de rol/permisos de un usuario
+const permissionsAudit = (action) => auditTrail({
+  action,
+  entityType: 'user_permissions',
+  getEntityId: (req) => req.params.email,
+  load: async (req, email) => {
+    const user = await User.getByEmail(email);
+    return user ? { role: user.role, permissions: user.permissions || {} } : null;
+  }
+});
+
 /**
  * @route GET /api/module-permissions/modules
  * @desc Obtener lista de módulos disponibles
@@ -95,6 +108,7 @@ router.put('/user/:email',
   requireAdmin,
   modulePermissionsValidators.validateUserEmail,
   modulePermissionsValidators.validateUpdatePermissions,
+  permissionsAudit('module_permissions.update'),
   ModulePermissionsController.updateUserModulePermissions
 );
 
@@ -107,6 +121,7 @@ router.post('/user/:email/reset',
   authMiddleware,
   requireAdmin,
   modulePermissionsValidators.validateUserEmail,
+  permissionsAudit('module_permissions.reset'),
   ModulePermissionsController.resetUserModulePermissions
 );
 
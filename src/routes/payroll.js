@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const PayrollController = require('../controllers/PayrollController');
+const { PAYROLL_FREQUENCIES } = require('../services/PayrollService');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+
+/**
+ * RUTAS DE NÓMINA
+ * Períodos (semanal, quincenal, mensual) y corridas por empleado
+ */
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+  'string.pattern.base': 'La fecha debe tener formato YYYY-MM-DD'
+});
+
+const rate = Joi.number().min(0).max(1);
+
+// 🛡️ VALIDADORES DE NÓMINA
+const payrollValidators = {
+  validateCreatePeriod: validateRequest({
+    body: Joi.object({
+      frequency: Joi.string().valid(...PAYROLL_FREQUENCIES).required().messages({
+        'any.required': 'La frecuencia es obligatoria',
+        'any.only': 'La frecuencia debe ser: weekly, biweekly o monthly'
+      }),
+      referenceDate: isoDate.optional(),
+      startDate: isoDate.optional(),
+      endDate: isoDate.optional(),
+      paymentDate: isoDate.optional(),
+      notes: Joi.string().max(500).allow('').optional()
+    }).and('startDate', 'endDate')
+  }),
+
+  validateGenerateRuns: validateRequest({
+    body: Joi.object({
+      employeeIds: Joi.array().items(Joi.string()).max(500).optional()
+    })
+  }),
+
+  validateCreateTaxTable: validateRequest({
+    body: Joi.object({
+      version: Joi.string().pattern(/^[A-Za-z0-9._-]{1,20}$/).required().messages({
+        'any.required': 'La versión es obligatoria',
+        'string.pattern.base': 'La versión solo puede contener letras, números, punto, guion y guion bajo'
+      }),
+      effectiveFrom: isoDate.required().messages({
+        'any.required': 'La fecha de vigencia es obligatoria'
+      }),
+      isrTable: Joi.array().items(Joi.object({
+        desde: Joi.number().min(0).required(),
+        hasta: Joi.number().positive().allow(null).required(),
+        cuotaFija: Joi.number().min(0).required(),
+        porcentaje: Joi.number().min(0).max(1).required()
+      })).min(1).max(30).required(),
+      uma: Joi.object({
+        diaria: Joi.number().positive().required(),
+        mensual: Joi.number().positive().required(),
+        anual: Joi.number().positive().required()
+      }).required(),
+      socialSecurity: Joi.object({
+        imssEmpleado: Joi.object({
+          enfermedadMaternidad: rate.required(),
+          invalidezVida: rate.required(),
+          cesantiaVejez: rate.required()
+        }).required(),
+        imssPatron: Joi.object({
+          enfermedadMaternidad: rate.required(),
+          riesgoTrabajo: rate.required(),
+          invalidezVida: rate.required(),
+          cesantiaVejez: rate.required(),
+          guarderia: rate.required(),
+          infonavit: rate.required()
+        }).required(),
+        afore: rate.required(),
+        topeImssUmas: Joi.number().positive().default(25),
+        topeInfonavitUmas: Joi.number().positive().default(25)
+      }).required(),
+      notes: Joi.string().max(500).allow('').optional()
+    })
+  })
+};
+
+// Todas las rutas requieren autenticación
+router.use(authMiddleware);
+
+/**
+ * PERÍODOS DE NÓMINA
+ */
+
+// Crear período
+router.post('/periods',
+  requireRole(['admin', 'superadmin']),
+  payrollValidators.validateCreatePeriod,
+  PayrollController.createPeriod
+);
+
+// Listar períodos
+router.get('/periods', requireRole(['admin', 'superadmin']), PayrollController.listPeriods);
+
+// Obtener período con corridas
+router.get('/periods/:periodId', requireRole(['admin', 'superadmin']), PayrollController.getPeriod);
+
+// Generar o recalcular corridas en borrador
+router.post('/periods/:periodId/runs',
+  requireRole(['admin', 'superadmin']),
+  payrollValidators.validateGenerateRuns,
+  PayrollController.generateRuns
+);
+
+// Aprobar todas las corridas en borrador
+router.post('/periods/:periodId/approve', requireRole(['admin', 'superadmin']), PayrollController.approvePeriod);
+
+// Cerrar período
+router.post('/periods/:periodId/close', requireRole(['admin', 'superadmin']), PayrollController.closePeriod);
+
+// Generar recibos (PDF + XML) de las corridas aprobadas o cerradas
+router.post('/periods/:periodId/receipts', requireRole(['admin', 'superadmin']), PayrollController.generatePeriodReceipts);
+
+/**
+ * CORRIDAS DE NÓMINA
+ */
+
+// Obtener corrida
+router.get('/runs/:runId', requireRole(['admin', 'superadmin']), PayrollController.getRun);
+
+// Recalcular corrida en borrador
+router.post('/runs/:runId/recalculate', requireRole(['admin', 'superadmin']), PayrollController.recalculateRun);
+
+// Aprobar corrida
+router.post('/runs/:runId/approve', requireRole(['admin', 'superadmin']), PayrollController.approveRun);
+
+// Generar recibo (PDF + XML); se guarda en /api/employees/:id/documents
+router.post('/runs/:runId/receipt', requireRole(['admin', 'superadmin']), PayrollController.generateReceipt);
+
+/**
+ * TABLAS FISCALES (ISR, UMA, IMSS) VERSIONADAS POR FECHA DE VIGENCIA
+ */
+
+// Listar versiones
+router.get('/tax-tables', PayrollController.listTaxTables);
+
+// Tabla vigente en una fecha (?date=YYYY-MM-DD)
+router.get('/tax-tables/effective', PayrollController.getEffectiveTaxTable);
+
+// Obtener versión
+router.get('/tax-tables/:version', PayrollController.getTaxTable);
+
+// Cargar nueva versión (ej. tablas del nuevo año)
+router.post('/tax-tables',
+  requireRole(['admin', 'superadmin']),
+  payrollValidators.validateCreateTaxTable,
+  PayrollController.createTaxTable
+);
+
+// Historial de corridas del empleado
+router.get('/employees/:employeeId/runs', requireRole(['admin', 'superadmin']), PayrollController.getEmployeeRuns);
+
+module.exports = router;
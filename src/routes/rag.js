@@ -17,6 +17,7 @@ const router = express.Router();
 const { authMiddleware, requireAdminOrQA } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { qaRateLimiter } = require('../middleware/aiRateLimit');
+const { ResponseHandler } = require('../utils/responseHandler');
 
 // Controlador
 const RAGController = require('../controllers/RAGController');
@@ -59,9 +60,21 @@ const ragValidators = {
       .description('Tipo de documento'),
     storagePath: Joi.string().optional()
       .description('Ruta de almacenamiento (para URLs)'),
-    tags: Joi.array().items(Joi.string().max(50)).max(20).default([])
+    // En multipart un solo tag llega como texto
+    tags: Joi.array().items(Joi.string().max(50)).max(20).single().default([])
       .description('Tags del documento'),
-    metadata: Joi.object().optional()
+    // En multipart metadata llega como JSON en texto
+    metadata: Joi.alternatives().try(
+      Joi.object(),
+      Joi.string().max(5000).custom((value, helpers) => {
+        try {
+          const parsed = JSON.parse(value);
+          return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : helpers.error('any.invalid');
+        } catch (_) {
+          return helpers.error('any.invalid');
+        }
+      })
+    ).optional()
       .description('Metadatos adicionales')
   }),
 
@@ -101,7 +114,11 @@ const ragValidators = {
       .description('Número máximo de resultados'),
     filters: Joi.object({
       tags: Joi.array().items(Joi.string()).optional()
-        .description('Filtrar por tags')
+        .description('Filtrar por tags'),
+      docIds: Joi.array().items(Joi.string()).max(50).optional()
+        .description('Restringir a documentos específicos'),
+      metadata: Joi.object().optional()
+        .description('Igualdad exacta sobre campos de metadata')
     }).optional().default({}),
     minScore: Joi.number().min(0).max(1).default(0.35)
       .description('Score mínimo para resultados')
@@ -120,80 +137,88 @@ const ragValidators = {
   })
 };
 
+/**
+ * El workspaceId de la petición debe ser el del JWT (o el elegido por un
+ * superadmin con x-workspace-id)
+ * @param {string} source - body, query o params
+ */
+const requireOwnWorkspace = (source) => (req, res, next) => {
+  if (req[source]?.workspaceId !== req.user.workspaceId) {
+    return ResponseHandler.authorizationError(res, 'No tienes acceso a ese workspace');
+  }
+  next();
+};
+
 /**
  * Rutas de documentos RAG
  */
 
-// POST /api/ai/docs/upload - TEMPORALMENTE COMENTADO
-/*
+// POST /api/ai/docs/upload
 router.post('/docs/upload',
   authMiddleware,
   requireAdminOrQA,
   qaRateLimiter,
   upload.single('file'),
-  validateRequest(ragValidators.validateUploadDocument, 'body'),
+  validateRequest({ body: ragValidators.validateUploadDocument }),
+  requireOwnWorkspace('body'),
   RAGController.uploadDocument
 );
-*/
 
-// GET /api/ai/docs/list - TEMPORALMENTE COMENTADO
-/*
+// GET /api/ai/docs/list
 router.get('/docs/list',
   authMiddleware,
   requireAdminOrQA,
-  validateRequest(ragValidators.validateListDocuments, 'query'),
+  validateRequest({ query: ragValidators.validateListDocuments }),
+  requireOwnWorkspace('query'),
   RAGController.listDocuments
 );
-*/
 
-// DELETE /api/ai/docs/:docId - TEMPORALMENTE COMENTADO
-/*
+// DELETE /api/ai/docs/:docId
 router.delete('/docs/:docId',
   authMiddleware,
   requireAdminOrQA,
-  validateRequest(ragValidators.validateDocId, 'params'),
-  validateRequest(Joi.object({
-    workspaceId: Joi.string().required()
-  }), 'query'),
+  validateRequest({
+    params: ragValidators.validateDocId,
+    query: Joi.object({
+      workspaceId: Joi.string().required()
+    })
+  }),
+  requireOwnWorkspace('query'),
   RAGController.deleteDocument
 );
-*/
 
 /**
- * Rutas de RAG - TEMPORALMENTE COMENTADAS
+ * Rutas de RAG
  */
 
-// POST /api/ai/rag/reindex - TEMPORALMENTE COMENTADO
-/*
+// POST /api/ai/rag/reindex
 router.post('/rag/reindex',
   authMiddleware,
   requireAdminOrQA,
   qaRateLimiter,
-  validateRequest(ragValidators.validateReindexDocuments, 'body'),
+  validateRequest({ body: ragValidators.validateReindexDocuments }),
+  requireOwnWorkspace('body'),
   RAGController.reindexDocuments
 );
-*/
 
-// POST /api/ai/rag/search - TEMPORALMENTE COMENTADO
-/*
+// POST /api/ai/rag/search
 router.post('/rag/search',
   authMiddleware,
   requireAdminOrQA,
   qaRateLimiter,
-  validateRequest(ragValidators.validateSearchDocuments, 'body'),
+  validateRequest({ body: ragValidators.validateSearchDocuments }),
+  requireOwnWorkspace('body'),
   RAGController.searchDocuments
 );
-*/
 
-// GET /api/ai/rag/stats/:workspaceId - TEMPORALMENTE COMENTADO
-/*
+// GET /api/ai/rag/stats/:workspaceId
 router.get('/rag/stats/:workspaceId',
   authMiddleware,
   requireAdminOrQA,
-  validateRequest(ragValidators.validateWorkspaceId, 'params'),
+  validateRequest({ params: ragValidators.validateWorkspaceId }),
+  requireOwnWorkspace('params'),
   RAGController.getRAGStats
 );
-*/
 
 module.exports = {
   router,
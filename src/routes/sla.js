@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const SlaController = require('../controllers/SlaController');
+const { authMiddleware, requireAdmin, requireReadAccess } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const idSchema = Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/);
+const timeSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/);
+
+const timeSlot = Joi.object({
+  start: timeSchema.required(),
+  end: timeSchema.required()
+});
+
+const weeklySchedule = Joi.object().pattern(/^[0-6]$/, Joi.array().items(timeSlot).max(6));
+
+const holiday = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  name: Joi.string().max(100).optional()
+});
+
+const timezone = Joi.string().max(64).custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('timezone debe ser una zona horaria IANA válida');
+  }
+});
+
+const policyFields = {
+  name: Joi.string().min(1).max(200),
+  description: Joi.string().max(1000).allow(''),
+  workspaceId: Joi.string().max(128),
+  match: Joi.object({
+    priorities: Joi.array().items(Joi.string().valid(...PRIORITIES)).default([]),
+    tags: Joi.array().items(Joi.string().max(50)).default([])
+  }),
+  firstResponseMinutes: Joi.number().integer().min(1).max(525600),
+  resolutionMinutes: Joi.number().integer().min(1).max(525600),
+  atRiskThreshold: Joi.number().min(0.1).max(0.99),
+  calendarId: idSchema.allow(null),
+  escalation: Joi.object({
+    raisePriority: Joi.boolean().default(false),
+    reassignTo: Joi.string().email().allow(null)
+  }),
+  rank: Joi.number().integer().min(0).max(10000)
+};
+
+const calendarFields = {
+  name: Joi.string().min(1).max(200),
+  workspaceId: Joi.string().max(128),
+  timezone,
+  weeklySchedule,
+  holidays: Joi.array().items(holiday).max(366),
+  isDefault: Joi.boolean()
+};
+
+// Validadores específicos para SLA
+const slaValidators = {
+  validateCreatePolicy: validateRequest({
+    body: Joi.object({
+      ...policyFields,
+      name: policyFields.name.required()
+    }).or('firstResponseMinutes', 'resolutionMinutes')
+  }),
+
+  validateUpdatePolicy: validateRequest({
+    body: Joi.object(policyFields).min(1)
+  }),
+
+  validateCreateCalendar: validateRequest({
+    body: Joi.object({
+      ...calendarFields,
+      name: calendarFields.name.required(),
+      timezone: calendarFields.timezone.required(),
+      weeklySchedule: calendarFields.weeklySchedule.required()
+    })
+  }),
+
+  validateUpdateCalendar: validateRequest({
+    body: Joi.object(calendarFields).min(1)
+  }),
+
+  validateList: validateRequest({
+    query: Joi.object({
+      workspaceId: Joi.string().max(128).optional()
+    })
+  }),
+
+  validateCompliance: validateRequest({
+    query: Joi.object({
+      startDate: Joi.date().iso().optional(),
+      endDate: Joi.date().iso().optional()
+    })
+  }),
+
+  validatePolicyId: validateRequest({
+    params: Joi.object({ policyId: idSchema.required() })
+  }),
+
+  validateCalendarId: validateRequest({
+    params: Joi.object({ calendarId: idSchema.required() })
+  })
+};
+
+/**
+ * @route GET /api/sla/policies
+ * @desc Listar políticas SLA
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/policies',
+  authMiddleware,
+  requireReadAccess,
+  slaValidators.validateList,
+  SlaController.listPolicies
+);
+
+/**
+ * @route POST /api/sla/policies
+ * @desc Crear política SLA
+ * @access Private (Admin)
+ */
+router.post('/policies',
+  authMiddleware,
+  requireAdmin,
+  slaValidators.validateCreatePolicy,
+  SlaController.createPolicy
+);
+
+/**
+ * @route GET /api/sla/policies/:policyId
+ * @desc Obtener política SLA por ID
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/policies/:policyId',
+  authMiddleware,
+  requireReadAccess,
+  slaValidators.validatePolicyId,
+  SlaController.getPolicy
+);
+
+/**
+ * @route PUT /api/sla/policies/:policyId
+ * @desc Actualizar política SLA
+ * @access Private (Admin)
+ */
+router.put('/policies/:policyId',
+  authMiddleware,
+  requireAdmin,
+  slaValidators.validatePolicyId,
+  slaValidators.validateUpdatePolicy,
+  SlaController.updatePolicy
+);
+
+/**
+ * @route DELETE /api/sla/policies/:policyId
+ * @desc Eliminar política SLA
+ * @access Private (Admin)
+ */
+router.delete('/policies/:policyId',
+  authMiddleware,
+  requireAdmin,
+  slaValidators.validatePolicyId,
+  SlaController.deletePolicy
+);
+
+/**
+ * @route GET /api/sla/calendars
+ * @desc Listar calendarios de horario hábil
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/calendars',
+  authMiddleware,
+  requireReadAccess,
+  slaValidators.validateList,
+  SlaController.listCalendars
+);
+
+/**
+ * @route POST /api/sla/calendars
+ * @desc Crear calendario de horario hábil
+ * @access Private (Admin)
+ */
+router.post('/calendars',
+  authMiddleware,
+  requireAdmin,
+  slaValidators.validateCreateCalendar,
+  SlaController.createCalendar
+);
+
+/**
+ * @route PUT /api/sla/calendars/:calendarId
+ * @desc Actualizar calendario de horario hábil
+ * @access Private (Admin)
+ */
+router.put('/calendars/:calendarId',
+  authMiddleware,
+  requireAdmin,
+  slaValidators.validateCalendarId,
+  slaValidators.validateUpdateCalendar,
+  SlaController.updateCalendar
+);
+
+/**
+ * @route DELETE /api/sla/calendars/:calendarId
+ * @desc Eliminar calendario de horario hábil
+ * @access Private (Admin)
+ */
+router.delete('/calendars/:calendarId',
+  authMiddleware,
+  requireAdmin,
+  slaValidators.validateCalendarId,
+  SlaController.deleteCalendar
+);
+
+/**
+ * @route GET /api/sla/compliance
+ * @desc Cumplimiento SLA del periodo (por defecto últimos 7 días)
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/compliance',
+  authMiddleware,
+  requireReadAccess,
+  slaValidators.validateCompliance,
+  SlaController.getCompliance
+);
+
+/**
+ * @route POST /api/sla/evaluate
+ * @desc Ejecutar evaluación SLA inmediata
+ * @access Private (Admin)
+ */
+router.post('/evaluate',
+  authMiddleware,
+  requireAdmin,
+  SlaController.evaluate
+);
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const SuppressionController = require('../controllers/SuppressionController');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+const phoneParam = Joi.object({
+  phone: Joi.string().pattern(/^(whatsapp:)?\+?[0-9]{7,15}$/).required()
+});
+
+// Validadores específicos para la lista de supresión
+const suppressionValidators = {
+  validateList: validateRequest({
+    query: Joi.object({
+      status: Joi.string().valid('active', 'removed', 'all').default('active'),
+      reason: Joi.string().valid('keyword', 'import', 'manual').optional(),
+      limit: Joi.number().integer().min(1).max(1000).default(100)
+    })
+  }),
+
+  validateAdd: validateRequest({
+    body: Joi.object({
+      phone: Joi.string().pattern(/^\+[1-9]\d{6,14}$/).required(),
+      note: Joi.string().max(500).optional()
+    })
+  }),
+
+  validateImport: validateRequest({
+    body: Joi.object({
+      phones: Joi.array().items(Joi.string().max(30)).max(5000).optional(),
+      csv: Joi.string().max(200000).optional(),
+      note: Joi.string().max(500).optional()
+    }).or('phones', 'csv')
+  }),
+
+  validateRemove: validateRequest({
+    params: phoneParam,
+    body: Joi.object({
+      note: Joi.string().max(500).optional()
+    })
+  })
+};
+
+/**
+ * @route GET /api/suppression
+ * @desc Listar números dados de baja
+ * @access Private (Admin)
+ */
+router.get('/',
+  authMiddleware,
+  requireAdmin,
+  suppressionValidators.validateList,
+  SuppressionController.list
+);
+
+/**
+ * @route POST /api/suppression
+ * @desc Agregar número manualmente
+ * @access Private (Admin)
+ */
+router.post('/',
+  authMiddleware,
+  requireAdmin,
+  suppressionValidators.validateAdd,
+  SuppressionController.add
+);
+
+/**
+ * @route POST /api/suppression/import
+ * @desc Importar números (arreglo o CSV)
+ * @access Private (Admin)
+ */
+router.post('/import',
+  authMiddleware,
+  requireAdmin,
+  suppressionValidators.validateImport,
+  SuppressionController.import
+);
+
+/**
+ * @route GET /api/suppression/:phone
+ * @desc Consultar si un número está suprimido
+ * @access Private (Admin)
+ */
+router.get('/:phone',
+  authMiddleware,
+  requireAdmin,
+  validateRequest({ params: phoneParam }),
+  SuppressionController.check
+);
+
+/**
+ * @route DELETE /api/suppression/:phone
+ * @desc Revertir baja de un número (override de admin)
+ * @access Private (Admin)
+ */
+router.delete('/:phone',
+  authMiddleware,
+  requireAdmin,
+  suppressionValidators.validateRemove,
+  SuppressionController.remove
+);
+
+module.exports = router;
@@ -27,7 +27,9 @@ const teamValidators = {
       body: Joi.object({
         email: Joi.string().email({ minDomainSegments: 2 }).max(254).required(),
         name: Joi.string().min(1).max(100).required(),
-        role: Joi.string().valid('admin', 'agent', 'viewer').default('viewer')
+        role: Joi.string().valid('admin', 'agent', 'viewer').default('viewer'),
+        phone: Joi.string().pattern(/^\+[1-9]\d{1,14}$/).optional(),
+        channel: Joi.string().valid('email', 'whatsapp').default('email')
       })
     }),
     sanitizeProfileData
@@ -71,7 +73,15 @@ const teamValidators = {
   // Validar reset de contraseña
   validateResetPassword: validateRequest({
     body: Joi.object({
-      confirm: Joi.boolean().valid(true).required()
+      confirm: Joi.boolean().valid(true).required(),
+      channel: Joi.string().valid('email', 'whatsapp').default('email')
+    })
+  }),
+
+  // Validar reenvío de invitación
+  validateResendInvite: validateRequest({
+    body: Joi.object({
+      channel: Joi.string().valid('email', 'whatsapp').default('email')
     })
   }),
 
@@ -412,6 +422,19 @@ router.post('/:id/reset-password',
   TeamController.resetPassword
 );
 
+/**
+ * @route POST /api/team/:id/resend-invite
+ * @desc Reenviar invitación (invalida el enlace anterior)
+ * @access Private (Admin)
+ */
+router.post('/:id/resend-invite',
+  authMiddleware,
+  requireAdmin,
+  teamValidators.validateIdParam,
+  teamValidators.validateResendInvite,
+  TeamController.resendInvitation
+);
+
 /**
  * @route PUT /api/team/:id
  * @desc Actualizar miembro
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const WhatsAppTemplateController = require('../controllers/WhatsAppTemplateController');
+const { authMiddleware, requireAdmin, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const Joi = require('joi');
+
+const variableSource = Joi.alternatives().try(
+  Joi.string().valid('name', 'firstName', 'phone', 'email'),
+  Joi.string().pattern(/^customFields\.[^.\s]+$/)
+);
+
+// Validadores específicos para plantillas
+const templateValidators = {
+  validateCreate: validateRequest({
+    body: Joi.object({
+      name: Joi.string().min(1).max(200).required(),
+      contentSid: Joi.string().pattern(/^HX[0-9a-fA-F]{32}$/).required(),
+      language: Joi.string().max(10).default('es'),
+      category: Joi.string().valid('marketing', 'utility', 'authentication').default('marketing'),
+      body: Joi.string().min(1).max(1024).required(),
+      variables: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, variableSource).default({}),
+      defaults: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, Joi.string().max(500)).default({}),
+      status: Joi.string().valid('approved', 'pending', 'rejected').default('approved')
+    })
+  }),
+
+  validateUpdate: validateRequest({
+    body: Joi.object({
+      name: Joi.string().min(1).max(200).optional(),
+      contentSid: Joi.string().pattern(/^HX[0-9a-fA-F]{32}$/).optional(),
+      language: Joi.string().max(10).optional(),
+      category: Joi.string().valid('marketing', 'utility', 'authentication').optional(),
+      body: Joi.string().min(1).max(1024).optional(),
+      variables: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, variableSource).optional(),
+      defaults: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, Joi.string().max(500)).optional(),
+      status: Joi.string().valid('approved', 'pending', 'rejected').optional()
+    }).min(1)
+  }),
+
+  validatePreview: validateRequest({
+    body: Joi.object({
+      contactIds: Joi.array().items(Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/)).max(20).default([]),
+      variables: Joi.object().pattern(/^[a-zA-Z0-9_]+$/, Joi.string().max(500)).default({})
+    })
+  }),
+
+  validateList: validateRequest({
+    query: Joi.object({
+      status: Joi.string().valid('approved', 'pending', 'rejected').optional(),
+      category: Joi.string().valid('marketing', 'utility', 'authentication').optional()
+    })
+  }),
+
+  validateTemplateId: validateRequest({
+    params: Joi.object({ templateId: Joi.string().min(1).max(128).pattern(/^[a-zA-Z0-9_-]+$/).required() })
+  })
+};
+
+/**
+ * @route GET /api/templates
+ * @desc Listar plantillas de WhatsApp registradas
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/',
+  authMiddleware,
+  requireReadAccess,
+  templateValidators.validateList,
+  WhatsAppTemplateController.list
+);
+
+/**
+ * @route POST /api/templates
+ * @desc Registrar plantilla aprobada (Content SID)
+ * @access Private (Admin)
+ */
+router.post('/',
+  authMiddleware,
+  requireAdmin,
+  templateValidators.validateCreate,
+  WhatsAppTemplateController.create
+);
+
+/**
+ * @route GET /api/templates/:templateId
+ * @desc Obtener plantilla por ID
+ * @access Private (Admin, Agent, Viewer)
+ */
+router.get('/:templateId',
+  authMiddleware,
+  requireReadAccess,
+  templateValidators.validateTemplateId,
+  WhatsAppTemplateController.getById
+);
+
+/**
+ * @route PUT /api/templates/:templateId
+ * @desc Actualizar plantilla
+ * @access Private (Admin)
+ */
+router.put('/:templateId',
+  authMiddleware,
+  requireAdmin,
+  templateValidators.validateTemplateId,
+  templateValidators.validateUpdate,
+  WhatsAppTemplateController.update
+);
+
+/**
+ * @route DELETE /api/templates/:templateId
+ * @desc Eliminar plantilla
+ * @access Private (Admin)
+ */
+router.delete('/:templateId',
+  authMiddleware,
+  requireAdmin,
+  templateValidators.validateTemplateId,
+  WhatsAppTemplateController.delete
+);
+
+/**
+ * @route POST /api/templates/:templateId/preview
+ * @desc Vista previa renderizada por contacto
+ * @access Private (Agent, Admin)
+ */
+router.post('/:templateId/preview',
+  authMiddleware,
+  requireWriteAccess,
+  templateValidators.validateTemplateId,
+  templateValidators.validatePreview,
+  WhatsAppTemplateController.preview
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const TwilioStatusController = require('../controllers/TwilioStatusController');
 const { authMiddleware, requireReadAccess, requireWriteAccess } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { validateTwilioWebhook } = require('../middleware/twilioSignature');
 const Joi = require('joi');
 
 // Validadores específicos para Twilio
@@ -32,9 +33,13 @@ const twilioValidators = {
 /**
  * @route POST /api/twilio/status-callback
  * @desc Callback de status de mensajes de Twilio
- * @access Public (webhook de Twilio)
+ * @access Public (webhook de Twilio, firma X-Twilio-Signature requerida)
  */
 router.post('/status-callback',
+  // Un mismo MessageSid recibe un callback por cada cambio de estado
+  validateTwilioWebhook({
+    dedupeKey: body => (body?.MessageSid ? `${body.MessageSid}:${body.MessageStatus || body.SmsStatus || ''}` : null)
+  }),
   twilioValidators.validateWebhook,
   TwilioStatusController.handleStatusCallback
 );
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const WorkspaceController = require('../controllers/WorkspaceController');
+const { authMiddleware, requireAdminOrSuperAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { auditTrail } = require('../middleware/audit');
+const User = require('../models/User');
+const Joi = require('joi');
+
+const workspaceIdSchema = Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(3).max(64);
+const whatsappNumbersSchema = Joi.array().items(Joi.string().pattern(/^(whatsapp:)?\+?[1-9]\d{7,14}$/)).max(20);
+
+// Validadores de workspaces
+const workspaceValidators = {
+  validateList: validateRequest({
+    query: Joi.object({
+      tenantId: Joi.string().max(64).optional()
+    })
+  }),
+
+  validateCreate: validateRequest({
+    body: Joi.object({
+      id: workspaceIdSchema.required(),
+      name: Joi.string().trim().min(1).max(100).required(),
+      tenantId: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(64).optional(),
+      whatsappNumbers: whatsappNumbersSchema.optional()
+    })
+  }),
+
+  validateUpdate: validateRequest({
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(100).optional(),
+      whatsappNumbers: whatsappNumbersSchema.optional()
+    }).min(1)
+  }),
+
+  validateMember: validateRequest({
+    params: Joi.object({
+      id: workspaceIdSchema.required(),
+      email: Joi.string().email().required()
+    })
+  })
+};
+
+const memberAudit = auditTrail({
+  action: 'workspace.assign_member',
+  entityType: 'user',
+  getEntityId: (req) => req.params.email,
+  load: async (req, email) => {
+    const user = await User.getByEmail(email);
+    return user ? { workspaceId: user.workspaceId, tenantId: user.tenantId } : null;
+  }
+});
+
+router.use(authMiddleware, requireAdminOrSuperAdmin);
+
+/**
+ * @route GET /api/workspaces
+ * @desc Listar workspaces del tenant (superadmin: todos o filtrados por tenantId)
+ * @access Private (Admin, Superadmin)
+ */
+router.get('/',
+  workspaceValidators.validateList,
+  WorkspaceController.list
+);
+
+/**
+ * @route POST /api/workspaces
+ * @desc Crear workspace (solo superadmin puede indicar otro tenantId)
+ * @access Private (Admin, Superadmin)
+ */
+router.post('/',
+  workspaceValidators.validateCreate,
+  WorkspaceController.create
+);
+
+/**
+ * @route GET /api/workspaces/:id
+ * @desc Obtener workspace
+ * @access Private (Admin, Superadmin)
+ */
+router.get('/:id', WorkspaceController.getById);
+
+/**
+ * @route PUT /api/workspaces/:id
+ * @desc Renombrar workspace o cambiar sus números de WhatsApp
+ * @access Private (Admin, Superadmin)
+ */
+router.put('/:id',
+  workspaceValidators.validateUpdate,
+  WorkspaceController.update
+);
+
+/**
+ * @route PUT /api/workspaces/:id/members/:email
+ * @desc Asignar usuario al workspace (invalida sus sesiones)
+ * @access Private (Admin, Superadmin)
+ */
+router.put('/:id/members/:email',
+  workspaceValidators.validateMember,
+  memberAudit,
+  WorkspaceController.assignMember
+);
+
+module.exports = router;
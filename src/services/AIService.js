@@ -24,6 +24,11 @@ const { Suggestion } = require('../models/Suggestion');
 const SuggestionsRepository = require('../repositories/SuggestionsRepository');
 const RAGService = require('./RAGService');
 
+/**
+ * Proveedores con generación real (el resto usa sugerencias fake)
+ */
+const REAL_PROVIDERS = ['openai', 'anthropic', 'gemini'];
+
 /**
  * Recuperar documentos relevantes para el contexto
  */
@@ -109,6 +114,7 @@ async function generateSuggestionForMessage(workspaceId, conversationId, message
     // Cargar contexto conversacional
     const context = await loadConversationContext(conversationId, {
       maxMessages: config.limits.maxContextMessages,
+      includeInternalNotes: config.flags?.internal_notes === true,
       workspaceId
     });
 
@@ -133,7 +139,7 @@ async function generateSuggestionForMessage(workspaceId, conversationId, message
 
     // Generar sugerencia con proveedor real o fake según configuración
     let suggestion;
-    if (config.flags.provider_ready && config.provider === 'openai') {
+    if (config.flags.provider_ready && REAL_PROVIDERS.includes(config.provider)) {
       suggestion = await generateRealSuggestion(context, contextSummary, config);
     } else {
       suggestion = await generateFakeSuggestion(context, contextSummary, config);
@@ -230,7 +236,7 @@ async function generateSuggestionForMessage(workspaceId, conversationId, message
     // Log de sugerencia generada
     aiLogger.logSuggestionGenerated(workspaceId, conversationId, messageId, suggestion, metrics);
 
-    const isReal = config.flags.provider_ready && config.provider === 'openai';
+    const isReal = config.flags.provider_ready && REAL_PROVIDERS.includes(config.provider);
     logger.info(`✅ Sugerencia IA generada (${isReal ? 'REAL' : 'FAKE'})`, {
       workspaceId,
       conversationId,
@@ -336,8 +342,8 @@ async function generateRealSuggestion(context, contextSummary, config) {
         }
       },
       estado: 'draft',
-      modelo: config.defaultModel,
-      proveedor: config.provider,
+      modelo: result.usage.model || config.defaultModel,
+      proveedor: result.provider || config.provider,
       tokensEstimados: {
         in: result.usage.in,
         out: result.usage.out
@@ -345,10 +351,11 @@ async function generateRealSuggestion(context, contextSummary, config) {
       createdAt: new Date().toISOString(),
       metadata: {
         latencyMs: result.usage.latencyMs,
-        costUsd: estimateCost(result.usage.in, result.usage.out, config.defaultModel),
+        costUsd: estimateCost(result.usage.in, result.usage.out, result.usage.model || config.defaultModel),
         version: '1.0.0',
         real: true,
-        provider: config.provider
+        provider: result.provider || config.provider,
+        fallbackFrom: result.fallbackFrom || null
       }
     };
 
@@ -510,7 +517,12 @@ function estimateCost(tokensIn, tokensOut, model) {
   const costs = {
     'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
     'gpt-4o': { input: 0.005, output: 0.015 },
-    'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 }
+    'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+    'claude-3-haiku': { input: 0.00025, output: 0.00125 },
+    'claude-3-sonnet': { input: 0.003, output: 0.015 },
+    'claude-3-opus': { input: 0.015, output: 0.075 },
+    'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
+    'gemini-1.5-pro': { input: 0.00125, output: 0.005 }
   };
   
   const modelCosts = costs[model] || costs['gpt-4o-mini'];
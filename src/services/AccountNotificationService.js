@@ -0,0 +1,100 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { redactPII } = require('../utils/redact');
+
+const OUTBOX_LIMIT = 50;
+
+/**
+ * Entrega de notificaciones de cuenta (restablecer contraseña, invitaciones)
+ *
+ * Cada canal usa un transporte configurable:
+ * - ACCOUNT_EMAIL_TRANSPORT: 'log' (stub local) | 'webhook' (POST a ACCOUNT_EMAIL_WEBHOOK_URL)
+ * - ACCOUNT_WHATSAPP_TRANSPORT: 'log' (stub local) | 'twilio'
+ * El stub 'log' guarda los mensajes en memoria (outbox) para pruebas y desarrollo.
+ */
+class AccountNotificationService {
+  static outbox = [];
+
+  static transports = {
+    log: async (message) => {
+      AccountNotificationService.outbox.push({ ...message, deliveredAt: new Date().toISOString() });
+      if (AccountNotificationService.outbox.length > OUTBOX_LIMIT) {
+        AccountNotificationService.outbox.shift();
+      }
+
+      logger.info('📭 Notificación de cuenta (transporte local)', {
+        channel: message.channel,
+        to: redactPII(message.to),
+        subject: message.subject,
+        // El enlace solo se muestra fuera de producción para poder probar el flujo
+        link: process.env.NODE_ENV === 'production' ? undefined : message.link
+      });
+      return { transport: 'log' };
+    },
+
+    webhook: async (message) => {
+      const url = process.env.ACCOUNT_EMAIL_WEBHOOK_URL;
+      if (!url) {
+        throw new Error('ACCOUNT_EMAIL_WEBHOOK_URL no configurado');
+      }
+
+      await axios.post(url, {
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        purpose: message.purpose
+      }, { timeout: 10000 });
+      return { transport: 'webhook' };
+    },
+
+    twilio: async (message) => {
+      const { client, twilioConfig } = require('../config/twilio');
+      const to = message.to.startsWith('whatsapp:') ? message.to : `whatsapp:${message.to}`;
+
+      const result = await client.messages.create({
+        from: twilioConfig.whatsappNumber,
+        to,
+        body: message.text
+      });
+      return { transport: 'twilio', sid: result.sid };
+    }
+  };
+
+  /**
+   * Registrar un transporte adicional (p. ej. un proveedor de correo)
+   */
+  static registerTransport (name, handler) {
+    this.transports[name] = handler;
+  }
+
+  static transportFor (channel) {
+    const name = channel === 'whatsapp'
+      ? (process.env.ACCOUNT_WHATSAPP_TRANSPORT || 'log')
+      : (process.env.ACCOUNT_EMAIL_TRANSPORT || 'log');
+
+    const transport = this.transports[name];
+    if (!transport) {
+      throw new Error(`Transporte de notificaciones no soportado: ${name}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Enviar notificación
+   * @param {Object} message - { channel: 'email'|'whatsapp', to, subject, text, link, purpose }
+   */
+  static async deliver (message) {
+    const result = await this.transportFor(message.channel)(message);
+
+    logger.info('📨 Notificación de cuenta enviada', {
+      channel: message.channel,
+      purpose: message.purpose,
+      to: redactPII(message.to),
+      transport: result.transport
+    });
+
+    return result;
+  }
+}
+
+module.exports = AccountNotificationService;
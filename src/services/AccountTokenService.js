@@ -0,0 +1,180 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const AccountNotificationService = require('./AccountNotificationService');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/responseHandler');
+const { getAccessTokenConfig } = require('../config/jwt');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+/**
+ * Tokens de cuenta: restablecer contraseña e invitaciones
+ *
+ * Cada token es un JWT firmado (audiencia propia por propósito, con expiración)
+ * cuyo jti se registra en account_tokens para que sea de un solo uso y se pueda
+ * revocar. El token nunca se devuelve en la API: se entrega por correo/WhatsApp.
+ */
+class AccountTokenService {
+  static getConfig() {
+    const frontendUrl = (process.env.FRONTEND_URL || 'https://app.utalk.com').split(',')[0].trim().replace(/\/$/, '');
+
+    return {
+      password_reset: {
+        expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+        path: '/reset-password',
+        subject: 'Restablece tu contraseña de UTalk'
+      },
+      invite: {
+        expiresIn: process.env.INVITE_EXPIRES_IN || '72h',
+        path: '/accept-invite',
+        subject: 'Te invitaron a UTalk'
+      },
+      frontendUrl
+    };
+  }
+
+  static audience(purpose) {
+    return `${getAccessTokenConfig().audience}:${purpose}`;
+  }
+
+  /**
+   * Texto del mensaje según el propósito
+   */
+  static buildMessage(purpose, user, link, expiresAt) {
+    const name = user.name || user.email;
+    const expires = new Date(expiresAt).toLocaleString('es-MX', { timeZone: 'America/Mexico_City' });
+
+    if (purpose === 'invite') {
+      return `Hola ${name}, te invitaron a unirte a UTalk. Crea tu contraseña aquí: ${link} (válido hasta ${expires}).`;
+    }
+    return `Hola ${name}, recibimos una solicitud para restablecer tu contraseña. Hazlo aquí: ${link} (válido hasta ${expires}). Si no fuiste tú, ignora este mensaje.`;
+  }
+
+  /**
+   * Emitir y entregar un token (revoca los anteriores del mismo propósito)
+   */
+  static async issue(purpose, user, { channel = 'email', createdBy = null } = {}) {
+    const config = this.getConfig();
+    const purposeConfig = config[purpose];
+    if (!purposeConfig) {
+      throw ApiError.validationError(`Propósito de token no soportado: ${purpose}`);
+    }
+
+    // WhatsApp solo si el usuario tiene teléfono; si no, por correo
+    const finalChannel = channel === 'whatsapp' && user.phone ? 'whatsapp' : 'email';
+
+    await AccountToken.revokeActive(user.email, purpose);
+
+    const jti = uuidv4();
+    const cfg = getAccessTokenConfig();
+    const token = jwt.sign({ sub: user.email, purpose }, cfg.secret, {
+      issuer: cfg.issuer,
+      audience: this.audience(purpose),
+      algorithm: 'HS256',
+      expiresIn: purposeConfig.expiresIn,
+      jwtid: jti
+    });
+    const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+
+    await AccountToken.create({
+      id: jti,
+      email: user.email,
+      purpose,
+      channel: finalChannel,
+      expiresAt,
+      createdBy
+    });
+
+    const link = `${config.frontendUrl}${purposeConfig.path}?token=${encodeURIComponent(token)}`;
+    await AccountNotificationService.deliver({
+      channel: finalChannel,
+      to: finalChannel === 'whatsapp' ? user.phone : user.email,
+      subject: purposeConfig.subject,
+      text: this.buildMessage(purpose, user, link, expiresAt),
+      link,
+      purpose
+    });
+
+    logger.info('🔑 Token de cuenta emitido', { email: user.email, purpose, channel: finalChannel, expiresAt });
+
+    return { tokenId: jti, channel: finalChannel, expiresAt };
+  }
+
+  /**
+   * "Olvidé mi contraseña": no revela si el correo existe
+   * Un fallo de entrega solo se registra: la respuesta debe ser la misma
+   * exista o no la cuenta
+   */
+  static async requestPasswordReset(email, { channel = 'email' } = {}) {
+    const user = await User.getByEmail(email);
+    if (!user || user.isActive === false) {
+      logger.warn('⚠️ Restablecimiento solicitado para email inexistente', { email });
+      return;
+    }
+
+    try {
+      await this.issue('password_reset', user, { channel, createdBy: 'self_service' });
+    } catch (error) {
+      logger.error('❌ No se pudo entregar el enlace de restablecimiento', { email, channel, error: error.message });
+    }
+  }
+
+  /**
+   * Validar firma, expiración y que el token siga activo
+   */
+  static async verify(token, purpose) {
+    const cfg = getAccessTokenConfig();
+    let decoded;
+    try {
+      decoded = jwt.verify(token, cfg.secret, {
+        issuer: cfg.issuer,
+        audience: this.audience(purpose),
+        algorithms: ['HS256']
+      });
+    } catch (error) {
+      throw ApiError.validationError('El enlace es inválido o ya expiró');
+    }
+
+    const record = await AccountToken.getById(decoded.jti);
+    if (!record || record.status !== 'active' || record.purpose !== purpose) {
+      throw ApiError.validationError('El enlace ya fue utilizado o fue reemplazado por uno más reciente');
+    }
+
+    const user = await User.getByEmail(decoded.sub);
+    if (!user || user.isActive === false) {
+      throw ApiError.validationError('La cuenta asociada al enlace no está activa');
+    }
+
+    return { user, record };
+  }
+
+  /**
+   * Canjear token estableciendo la nueva contraseña
+   * Cierra todas las sesiones del usuario (refresh tokens)
+   */
+  static async complete(token, purpose, newPassword) {
+    const { user, record } = await this.verify(token, purpose);
+
+    // La política se valida antes de consumir para no gastar el enlace en un intento fallido
+    const policyErrors = validatePassword(newPassword, { email: user.email, name: user.name });
+    if (policyErrors.length > 0) {
+      throw ApiError.validationError('La contraseña no cumple la política de seguridad', policyErrors);
+    }
+
+    const consumed = await AccountToken.consume(record.id);
+    if (!consumed) {
+      throw ApiError.validationError('El enlace ya fue utilizado o fue reemplazado por uno más reciente');
+    }
+
+    await user.setPassword(newPassword);
+    const sessionsClosed = await RefreshToken.invalidateAllForUser(user.email);
+
+    logger.info('🔑 Contraseña establecida con token de cuenta', { email: user.email, purpose, sessionsClosed });
+
+    return { email: user.email, sessionsClosed };
+  }
+}
+
+module.exports = AccountTokenService;
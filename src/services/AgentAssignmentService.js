@@ -0,0 +1,296 @@
+/**
+ * 🎯 SERVICIO DE ASIGNACIÓN AUTOMÁTICA DE AGENTES
+ *
+ * Selecciona un agente de la colección `users` para conversaciones
+ * entrantes según la estrategia configurada (round-robin, menor
+ * número de conversaciones abiertas o coincidencia de skills/tags).
+ *
+ * Solo considera agentes activos del workspace de la conversación, con rol
+ * elegible, conectados según la presencia del EnterpriseSocketManager y por
+ * debajo de su capacidad en ese workspace.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { firestore } = require('../config/firebase');
+const { ASSIGNMENT_STRATEGIES, AGENT_ASSIGNMENT_CONFIG } = require('../config/agentAssignmentConfig');
+const logger = require('../utils/logger');
+const { getTenant, getDefaultTenant } = require('../utils/tenantContext');
+
+// Sin workspace explícito se usa el de la petición (o el por defecto)
+const currentWorkspaceId = () => (getTenant() || getDefaultTenant()).workspaceId;
+
+class AgentAssignmentService {
+  constructor(config = AGENT_ASSIGNMENT_CONFIG) {
+    this.config = config;
+  }
+
+  /**
+   * Normalizar lista de skills/tags para comparación
+   */
+  static normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      return [];
+    }
+    return [...new Set(tags
+      .filter(tag => typeof tag === 'string' && tag.trim().length > 0)
+      .map(tag => tag.trim().toLowerCase()))];
+  }
+
+  /**
+   * Emails de usuarios disponibles según presencia de sockets
+   * Devuelve null si no hay socket manager (no se puede filtrar por presencia)
+   */
+  getOnlineEmails() {
+    const { getSocketManager } = require('../socket');
+    const socketManager = getSocketManager();
+
+    if (!socketManager || typeof socketManager.getAvailableUserEmails !== 'function') {
+      return null;
+    }
+
+    return new Set(socketManager.getAvailableUserEmails(this.config.availablePresenceStatuses));
+  }
+
+  /**
+   * Obtener agentes elegibles del workspace (activos, rol válido, auto-asignación habilitada)
+   */
+  async getEligibleAgents(workspaceId = currentWorkspaceId()) {
+    const snapshot = await firestore
+      .collection('users')
+      .where('workspaceId', '==', workspaceId)
+      .where('role', 'in', this.config.eligibleRoles)
+      .get();
+
+    const agents = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      if (!data.email || data.isActive === false) {
+        return;
+      }
+
+      const assignment = data.assignment || {};
+      if (assignment.autoAssign === false) {
+        return;
+      }
+
+      agents.push({
+        email: String(data.email).toLowerCase().trim(),
+        name: data.name || data.displayName || data.email,
+        role: data.role,
+        skills: AgentAssignmentService.normalizeTags(assignment.skills || data.skills || []),
+        capacity: Number.isInteger(assignment.maxOpenConversations)
+          ? assignment.maxOpenConversations
+          : this.config.defaultCapacity
+      });
+    });
+
+    return agents;
+  }
+
+  /**
+   * Contar conversaciones abiertas asignadas a un agente en el workspace
+   */
+  async getOpenConversationCount(agentEmail, workspaceId = currentWorkspaceId()) {
+    const snapshot = await firestore
+      .collectionGroup('conversations')
+      .where('workspaceId', '==', workspaceId)
+      .where('primaryAgent', '==', agentEmail)
+      .where('status', 'in', this.config.openStatuses)
+      .count()
+      .get();
+
+    return snapshot.data().count;
+  }
+
+  /**
+   * Leer estado de round-robin del workspace
+   */
+  async getAssignmentState(workspaceId) {
+    const doc = await firestore
+      .collection(this.config.stateCollection)
+      .doc(workspaceId)
+      .get();
+
+    return doc.exists ? (doc.data().lastAssigned || {}) : {};
+  }
+
+  /**
+   * Registrar la última asignación del agente en el workspace
+   */
+  async recordAssignment(workspaceId, agentEmail) {
+    await firestore
+      .collection(this.config.stateCollection)
+      .doc(workspaceId)
+      .set({
+        lastAssigned: { [agentEmail]: new Date().toISOString() },
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+  }
+
+  /**
+   * Ordenar candidatos según la estrategia
+   * Cada candidato: { email, skills, openCount, capacity, lastAssignedAt }
+   */
+  static rankCandidates(candidates, strategy, requiredSkills = []) {
+    const byLastAssigned = (a, b) => {
+      const timeA = a.lastAssignedAt ? Date.parse(a.lastAssignedAt) : 0;
+      const timeB = b.lastAssignedAt ? Date.parse(b.lastAssignedAt) : 0;
+      return timeA - timeB || a.email.localeCompare(b.email);
+    };
+    const byOpenCount = (a, b) => a.openCount - b.openCount || byLastAssigned(a, b);
+
+    const available = candidates.filter(candidate => candidate.openCount < candidate.capacity);
+
+    switch (strategy) {
+      case ASSIGNMENT_STRATEGIES.ROUND_ROBIN:
+        return [...available].sort(byLastAssigned);
+
+      case ASSIGNMENT_STRATEGIES.SKILLS: {
+        const required = AgentAssignmentService.normalizeTags(requiredSkills);
+        if (required.length === 0) {
+          return [...available].sort(byOpenCount);
+        }
+
+        const scored = available.map(candidate => ({
+          ...candidate,
+          skillScore: required.filter(skill => candidate.skills.includes(skill)).length
+        }));
+        const matching = scored.filter(candidate => candidate.skillScore > 0);
+
+        // Sin coincidencias: degradar a menor carga
+        if (matching.length === 0) {
+          return scored.sort(byOpenCount);
+        }
+
+        return matching.sort((a, b) => b.skillScore - a.skillScore || byOpenCount(a, b));
+      }
+
+      case ASSIGNMENT_STRATEGIES.LEAST_OPEN:
+      default:
+        return [...available].sort(byOpenCount);
+    }
+  }
+
+  /**
+   * Seleccionar agente para una conversación
+   * @returns {Promise<{email, name, strategy, openCount, capacity}|null>}
+   */
+  async selectAgent(options = {}) {
+    const {
+      workspaceId = 'default_workspace',
+      strategy = this.config.strategy,
+      requiredSkills = [],
+      excludeEmails = []
+    } = options;
+
+    const excluded = new Set(excludeEmails.map(email => String(email).toLowerCase()));
+    let agents = (await this.getEligibleAgents(workspaceId)).filter(agent => !excluded.has(agent.email));
+
+    if (this.config.requireOnline) {
+      const onlineEmails = this.getOnlineEmails();
+      if (onlineEmails) {
+        agents = agents.filter(agent => onlineEmails.has(agent.email));
+      } else {
+        logger.warn('Presencia no disponible, no se filtran agentes por conexión', {
+          category: 'AGENT_ASSIGNMENT_NO_PRESENCE',
+          workspaceId
+        });
+      }
+    }
+
+    if (agents.length === 0) {
+      logger.warn('No hay agentes elegibles en línea', {
+        category: 'AGENT_ASSIGNMENT_NO_AGENTS',
+        workspaceId,
+        strategy
+      });
+      return null;
+    }
+
+    const [lastAssigned, openCounts] = await Promise.all([
+      this.getAssignmentState(workspaceId),
+      Promise.all(agents.map(agent => this.getOpenConversationCount(agent.email, workspaceId)))
+    ]);
+
+    const candidates = agents.map((agent, index) => ({
+      ...agent,
+      openCount: openCounts[index],
+      lastAssignedAt: lastAssigned[agent.email] || null
+    }));
+
+    const ranked = AgentAssignmentService.rankCandidates(candidates, strategy, requiredSkills);
+    if (ranked.length === 0) {
+      logger.warn('Todos los agentes en línea están a capacidad máxima', {
+        category: 'AGENT_ASSIGNMENT_AT_CAPACITY',
+        workspaceId,
+        strategy,
+        candidates: candidates.length
+      });
+      return null;
+    }
+
+    const selected = ranked[0];
+    return {
+      email: selected.email,
+      name: selected.name,
+      strategy,
+      openCount: selected.openCount,
+      capacity: selected.capacity
+    };
+  }
+
+  /**
+   * Asignar conversación al agente seleccionado
+   * Escribe assignedAgents/primaryAgent mediante el modelo Conversation
+   */
+  async assignConversation(conversation, options = {}) {
+    const Conversation = require('../models/Conversation');
+
+    if (!conversation?.id) {
+      throw new Error('Conversación inválida para asignación automática');
+    }
+
+    if (conversation.primaryAgent || conversation.assignedTo) {
+      return null;
+    }
+
+    const workspaceId = conversation.workspaceId || options.workspaceId || 'default_workspace';
+    const agent = await this.selectAgent({
+      ...options,
+      workspaceId,
+      requiredSkills: [...(options.requiredSkills || []), ...(conversation.tags || [])]
+    });
+
+    if (!agent) {
+      return null;
+    }
+
+    const conversationModel = conversation instanceof Conversation
+      ? conversation
+      : new Conversation(conversation);
+
+    await conversationModel.assignTo(agent.email, agent.name, 'principal', this.config.assignedBy);
+    await this.recordAssignment(workspaceId, agent.email);
+
+    logger.info('Conversación asignada automáticamente', {
+      category: 'AGENT_ASSIGNMENT_SUCCESS',
+      conversationId: conversation.id,
+      workspaceId,
+      agentEmail: agent.email,
+      strategy: agent.strategy,
+      openCount: agent.openCount,
+      capacity: agent.capacity
+    });
+
+    return agent;
+  }
+}
+
+const agentAssignmentService = new AgentAssignmentService();
+
+module.exports = {
+  AgentAssignmentService,
+  agentAssignmentService
+};
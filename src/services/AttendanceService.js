@@ -4,6 +4,120 @@ const AttendanceMovement = require('../models/AttendanceMovement');
 const AttendanceException = require('../models/AttendanceException');
 const Employee = require('../models/Employee');
 const logger = require('../utils/logger');
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+
+/**
+ * Etiquetas y columnas compartidas por las exportaciones de reportes
+ */
+const EXPORT_STATUS_LABELS = {
+  present: 'Presente',
+  absent: 'Ausente',
+  late: 'Retardo',
+  vacation: 'Vacaciones',
+  sick_leave: 'Incapacidad',
+  personal_leave: 'Permiso personal',
+  maternity_leave: 'Maternidad',
+  paternity_leave: 'Paternidad'
+};
+
+const EXPORT_REPORT_STATUS_LABELS = {
+  draft: 'Borrador',
+  completed: 'Completado',
+  approved: 'Aprobado',
+  rejected: 'Rechazado'
+};
+
+const EXPORT_MOVEMENT_LABELS = {
+  overtime: 'Horas extra',
+  loan: 'Préstamo',
+  bonus: 'Bono',
+  deduction: 'Deducción',
+  incident: 'Incidente',
+  vacation: 'Vacaciones'
+};
+
+const EXPORT_EXCEPTION_LABELS = {
+  late: 'Retardo',
+  early_leave: 'Salida anticipada',
+  break_violation: 'Exceso de descanso',
+  missing_clock_in: 'Sin registro de entrada',
+  missing_clock_out: 'Sin registro de salida',
+  no_show: 'Inasistencia'
+};
+
+const EXPORT_SEVERITY_LABELS = {
+  low: 'Baja',
+  medium: 'Media',
+  high: 'Alta'
+};
+
+const EXPORT_REVIEW_LABELS = {
+  pending: 'Pendiente',
+  approved: 'Aprobado',
+  rejected: 'Rechazado',
+  reviewed: 'Revisado',
+  resolved: 'Resuelto',
+  dismissed: 'Descartado'
+};
+
+const EXPORT_SUMMARY_FIELDS = {
+  totalEmployees: 'Total de empleados',
+  presentCount: 'Presentes',
+  absentCount: 'Ausentes',
+  lateCount: 'Retardos',
+  vacationCount: 'Vacaciones',
+  totalHours: 'Horas totales',
+  overtimeHours: 'Horas extra'
+};
+
+const EXPORT_APPROVAL_FIELDS = {
+  status: 'Estado',
+  createdBy: 'Creado por',
+  createdAt: 'Fecha de creación',
+  approvedBy: 'Aprobado por',
+  approvedAt: 'Fecha de aprobación',
+  rejectedBy: 'Rechazado por',
+  rejectedAt: 'Fecha de rechazo',
+  rejectionReason: 'Motivo de rechazo',
+  notes: 'Notas'
+};
+
+const EXPORT_EMPLOYEE_FIELDS = [
+  { label: 'No. Empleado', value: 'employeeNumber', width: 14 },
+  { label: 'Empleado', value: 'employeeName', width: 30 },
+  { label: 'Departamento', value: 'department', width: 20 },
+  { label: 'Puesto', value: 'position', width: 20 },
+  { label: 'Estado', value: 'status', width: 16 },
+  { label: 'Entrada', value: 'clockIn', width: 10 },
+  { label: 'Salida', value: 'clockOut', width: 10 },
+  { label: 'Horas', value: 'totalHours', width: 10 },
+  { label: 'Horas extra', value: 'overtimeHours', width: 12 },
+  { label: 'Descanso', value: 'breakHours', width: 10 },
+  { label: 'Notas', value: 'notes', width: 30 }
+];
+
+const EXPORT_MOVEMENT_FIELDS = [
+  { label: 'Empleado', value: 'employeeName', width: 30 },
+  { label: 'Tipo', value: 'type', width: 16 },
+  { label: 'Subtipo', value: 'subtype', width: 14 },
+  { label: 'Descripción', value: 'description', width: 36 },
+  { label: 'Horas', value: 'hours', width: 10 },
+  { label: 'Monto', value: 'amount', width: 12 },
+  { label: 'Estado', value: 'status', width: 14 },
+  { label: 'Revisado por', value: 'approvedBy', width: 24 }
+];
+
+const EXPORT_EXCEPTION_FIELDS = [
+  { label: 'Empleado', value: 'employeeName', width: 30 },
+  { label: 'Tipo', value: 'type', width: 24 },
+  { label: 'Descripción', value: 'description', width: 36 },
+  { label: 'Hora', value: 'time', width: 10 },
+  { label: 'Duración (min)', value: 'duration', width: 14 },
+  { label: 'Severidad', value: 'severity', width: 12 },
+  { label: 'Estado', value: 'status', width: 14 },
+  { label: 'Resolución', value: 'resolution', width: 30 }
+];
 
 /**
  * Servicio principal de Asistencia
@@ -500,13 +614,22 @@ class AttendanceService {
    */
   static async syncWithPayroll(reportId) {
     try {
-      // Esta función se conectaría con el módulo de nómina cuando esté disponible
-      logger.info('Sincronizando reporte con nómina', { reportId });
+      const PayrollService = require('./PayrollService');
 
-      // Por ahora, solo logueamos la acción
-      // Cuando se implemente nómina, aquí se haría la integración real
+      const report = await AttendanceReport.findById(reportId);
+      if (!report) {
+        throw new Error('Reporte no encontrado');
+      }
 
-      return true;
+      const records = await AttendanceRecord.findByReport(reportId);
+
+      logger.info('Sincronizando reporte con nómina', {
+        reportId,
+        date: report.date,
+        records: records.length
+      });
+
+      return await PayrollService.applyAttendanceReport(report, records);
     } catch (error) {
       logger.error('Error sincronizando con nómina:', error);
       throw error;
@@ -756,42 +879,198 @@ class AttendanceService {
     }
   }
 
+  /**
+   * Normalizar datos del reporte para exportación
+   * Todos los formatos (PDF, Excel, CSV) comparten las mismas filas y etiquetas
+   */
+  static buildExportData(reportData) {
+    const { report, records = [], movements = [], exceptions = [], stats = {} } = reportData;
+
+    const employeeById = {};
+    records.forEach(record => {
+      employeeById[record.employeeId] = record;
+    });
+    const employeeName = (employeeId) => employeeById[employeeId]?.employeeName || employeeId;
+
+    const employees = records.map(record => ({
+      employeeNumber: record.employeeNumber || '',
+      employeeName: record.employeeName || '',
+      department: record.department || '',
+      position: record.position || '',
+      status: EXPORT_STATUS_LABELS[record.status] || record.status || '',
+      clockIn: record.clockIn || '',
+      clockOut: record.clockOut || '',
+      totalHours: Number(record.totalHours) || 0,
+      overtimeHours: Number(record.overtimeHours) || 0,
+      breakHours: Number(record.breakHours) || 0,
+      notes: record.notes || ''
+    }));
+
+    const movementRows = movements.map(movement => ({
+      employeeName: employeeName(movement.employeeId),
+      type: EXPORT_MOVEMENT_LABELS[movement.type] || movement.type || '',
+      subtype: movement.subtype || '',
+      description: movement.description || '',
+      hours: Number(movement.hours) || 0,
+      amount: Number(movement.amount) || 0,
+      status: EXPORT_REVIEW_LABELS[movement.status] || movement.status || '',
+      approvedBy: movement.approvedBy || movement.rejectedBy || ''
+    }));
+
+    const exceptionRows = exceptions.map(exception => ({
+      employeeName: employeeName(exception.employeeId),
+      type: EXPORT_EXCEPTION_LABELS[exception.type] || exception.type || '',
+      description: exception.description || '',
+      time: exception.time || '',
+      duration: Number(exception.duration) || 0,
+      severity: EXPORT_SEVERITY_LABELS[exception.severity] || exception.severity || '',
+      status: EXPORT_REVIEW_LABELS[exception.status] || exception.status || '',
+      resolution: exception.resolution || ''
+    }));
+
+    const approval = {
+      status: EXPORT_REPORT_STATUS_LABELS[report.status] || report.status || '',
+      createdBy: report.createdBy || '',
+      createdAt: report.createdAt || '',
+      approvedBy: report.approvedBy || '',
+      approvedAt: report.approvedAt || '',
+      rejectedBy: report.rejectedBy || '',
+      rejectedAt: report.rejectedAt || '',
+      rejectionReason: report.rejectionReason || '',
+      notes: report.notes || ''
+    };
+
+    const summary = {
+      totalEmployees: stats.totalEmployees ?? report.totalEmployees ?? records.length,
+      presentCount: stats.presentCount ?? report.presentCount ?? 0,
+      absentCount: stats.absentCount ?? report.absentCount ?? 0,
+      lateCount: stats.lateCount ?? report.lateCount ?? 0,
+      vacationCount: stats.vacationCount ?? report.vacationCount ?? 0,
+      totalHours: stats.totalHours ?? report.totalHours ?? 0,
+      overtimeHours: stats.overtimeHours ?? report.overtimeHours ?? 0
+    };
+
+    return {
+      reportId: report.id,
+      date: report.date,
+      summary,
+      approval,
+      employees,
+      movements: movementRows,
+      exceptions: exceptionRows
+    };
+  }
+
   /**
    * Generar reporte PDF
    */
   static async generatePDFReport(reportData) {
-    // Esta función generaría un PDF usando alguna librería como puppeteer o pdfkit
-    // Por ahora, retornamos datos estructurados
+    const PDFService = require('./PDFService');
+    const exportData = this.buildExportData(reportData);
+    const { pdfBuffer } = await PDFService.generateAttendanceReport(exportData);
+
     return {
       format: 'pdf',
-      filename: `reporte-asistencia-${reportData.report.date}.pdf`,
-      data: reportData
+      filename: `reporte-asistencia-${exportData.date}.pdf`,
+      contentType: 'application/pdf',
+      buffer: pdfBuffer
     };
   }
 
   /**
    * Generar reporte Excel
+   * Una hoja por sección: resumen/aprobación, empleados, movimientos y excepciones
    */
   static async generateExcelReport(reportData) {
-    // Esta función generaría un Excel usando alguna librería como exceljs
-    // Por ahora, retornamos datos estructurados
+    const exportData = this.buildExportData(reportData);
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'UTalk';
+    workbook.created = new Date();
+
+    // Resumen y aprobación
+    const summarySheet = workbook.addWorksheet('Resumen');
+    summarySheet.columns = [
+      { header: 'Concepto', key: 'label', width: 28 },
+      { header: 'Valor', key: 'value', width: 40 }
+    ];
+    summarySheet.addRow({ label: 'Fecha del reporte', value: exportData.date });
+    Object.entries(EXPORT_SUMMARY_FIELDS).forEach(([key, label]) => {
+      summarySheet.addRow({ label, value: exportData.summary[key] });
+    });
+    summarySheet.addRow({});
+    Object.entries(EXPORT_APPROVAL_FIELDS).forEach(([key, label]) => {
+      summarySheet.addRow({ label, value: exportData.approval[key] });
+    });
+
+    const sections = [
+      { name: 'Empleados', fields: EXPORT_EMPLOYEE_FIELDS, rows: exportData.employees },
+      { name: 'Movimientos', fields: EXPORT_MOVEMENT_FIELDS, rows: exportData.movements },
+      { name: 'Excepciones', fields: EXPORT_EXCEPTION_FIELDS, rows: exportData.exceptions }
+    ];
+
+    sections.forEach(section => {
+      const worksheet = workbook.addWorksheet(section.name);
+      worksheet.columns = section.fields.map(field => ({
+        header: field.label,
+        key: field.value,
+        width: field.width || 15
+      }));
+      worksheet.addRows(section.rows);
+    });
+
+    workbook.eachSheet(worksheet => {
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    });
+
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
     return {
       format: 'excel',
-      filename: `reporte-asistencia-${reportData.report.date}.xlsx`,
-      data: reportData
+      filename: `reporte-asistencia-${exportData.date}.xlsx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      buffer
     };
   }
 
   /**
    * Generar reporte CSV
+   * Secciones separadas por una línea en blanco, cada una con su encabezado
    */
   static async generateCSVReport(reportData) {
-    // Esta función generaría un CSV
-    // Por ahora, retornamos datos estructurados
+    const exportData = this.buildExportData(reportData);
+    const metadataFields = [
+      { label: 'Concepto', value: 'label' },
+      { label: 'Valor', value: 'value' }
+    ];
+
+    const metadataRows = [
+      { label: 'Fecha del reporte', value: exportData.date },
+      ...Object.entries(EXPORT_SUMMARY_FIELDS).map(([key, label]) => ({ label, value: exportData.summary[key] })),
+      ...Object.entries(EXPORT_APPROVAL_FIELDS).map(([key, label]) => ({ label, value: exportData.approval[key] }))
+    ];
+
+    const sections = [
+      { title: 'RESUMEN', fields: metadataFields, rows: metadataRows },
+      { title: 'EMPLEADOS', fields: EXPORT_EMPLOYEE_FIELDS, rows: exportData.employees },
+      { title: 'MOVIMIENTOS', fields: EXPORT_MOVEMENT_FIELDS, rows: exportData.movements },
+      { title: 'EXCEPCIONES', fields: EXPORT_EXCEPTION_FIELDS, rows: exportData.exceptions }
+    ];
+
+    const csv = sections
+      .map(section => {
+        const parser = new Parser({
+          fields: section.fields.map(({ label, value }) => ({ label, value }))
+        });
+        return `${section.title}\n${parser.parse(section.rows)}`;
+      })
+      .join('\n\n');
+
     return {
       format: 'csv',
-      filename: `reporte-asistencia-${reportData.report.date}.csv`,
-      data: reportData
+      filename: `reporte-asistencia-${exportData.date}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      buffer: Buffer.from(`\ufeff${csv}`, 'utf8')
     };
   }
 
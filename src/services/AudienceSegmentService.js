@@ -0,0 +1,311 @@
+const { firestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const AudienceSegment = require('../models/AudienceSegment');
+const Contact = require('../models/Contact');
+const { scopeQuery } = require('../utils/tenantContext');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 🎯 SERVICIO DE SEGMENTOS DE AUDIENCIA
+ *
+ * Evalúa reglas sobre campos del contacto (tags, customFields, lastContactAt,
+ * totalMessages) y sobre el estado/prioridad de sus conversaciones.
+ * Los segmentos se resuelven al momento del envío y siempre excluyen
+ * contactos dados de baja (optedOut).
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class AudienceSegmentService {
+
+  /**
+   * Convertir Timestamp / Date / ISO a milisegundos
+   */
+  static toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value.toDate === 'function') return value.toDate().getTime();
+    if (value._seconds !== undefined) return value._seconds * 1000;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Teléfono sin prefijo whatsapp: para cruzar contactos con conversaciones
+   */
+  static normalizePhone(phone) {
+    return (phone || '').replace(/^whatsapp:/, '').trim();
+  }
+
+  /**
+   * Evaluar una condición sobre customFields
+   */
+  static matchesCustomField(customFields, condition) {
+    const { field, operator = 'eq', value } = condition;
+    const actual = (customFields || {})[field];
+    const exists = actual !== undefined && actual !== null && actual !== '';
+
+    switch (operator) {
+      case 'exists':
+        return exists;
+      case 'not_exists':
+        return !exists;
+      case 'eq':
+        return exists && String(actual).toLowerCase() === String(value).toLowerCase();
+      case 'neq':
+        return !exists || String(actual).toLowerCase() !== String(value).toLowerCase();
+      case 'contains':
+        return exists && String(actual).toLowerCase().includes(String(value).toLowerCase());
+      case 'in':
+        return exists && (Array.isArray(value) ? value : [value])
+          .map(item => String(item).toLowerCase())
+          .includes(String(actual).toLowerCase());
+      case 'gt':
+        return exists && Number(actual) > Number(value);
+      case 'gte':
+        return exists && Number(actual) >= Number(value);
+      case 'lt':
+        return exists && Number(actual) < Number(value);
+      case 'lte':
+        return exists && Number(actual) <= Number(value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluar reglas contra un contacto
+   * conversationsByPhone: Map(teléfono → [{ status, priority }]) requerido solo si hay regla de conversación
+   */
+  static matchesContact(contact, rules = {}, conversationsByPhone = null, now = Date.now()) {
+    const tags = (contact.tags || []).map(tag => String(tag).toLowerCase());
+    const tagRules = rules.tags || {};
+    const normalize = list => (list || []).map(tag => String(tag).toLowerCase());
+
+    // Tags
+    if (tagRules.any?.length && !normalize(tagRules.any).some(tag => tags.includes(tag))) {
+      return false;
+    }
+    if (tagRules.all?.length && !normalize(tagRules.all).every(tag => tags.includes(tag))) {
+      return false;
+    }
+    if (tagRules.none?.length && normalize(tagRules.none).some(tag => tags.includes(tag))) {
+      return false;
+    }
+
+    // Campos personalizados (todas las condiciones deben cumplirse)
+    for (const condition of rules.customFields || []) {
+      if (!this.matchesCustomField(contact.customFields, condition)) {
+        return false;
+      }
+    }
+
+    // Último contacto
+    const lastContact = rules.lastContactAt;
+    if (lastContact) {
+      const lastContactMs = this.toMillis(contact.lastContactAt);
+
+      if (lastContact.after && (lastContactMs === null || lastContactMs < this.toMillis(lastContact.after))) {
+        return false;
+      }
+      if (lastContact.before && (lastContactMs === null || lastContactMs > this.toMillis(lastContact.before))) {
+        return false;
+      }
+      if (lastContact.withinDays !== undefined && (lastContactMs === null || now - lastContactMs > lastContact.withinDays * DAY_MS)) {
+        return false;
+      }
+      // Sin contacto registrado cuenta como "inactivo"
+      if (lastContact.olderThanDays !== undefined && lastContactMs !== null && now - lastContactMs < lastContact.olderThanDays * DAY_MS) {
+        return false;
+      }
+    }
+
+    // Total de mensajes
+    const totalMessages = contact.totalMessages || 0;
+    if (rules.totalMessages?.min !== undefined && totalMessages < rules.totalMessages.min) {
+      return false;
+    }
+    if (rules.totalMessages?.max !== undefined && totalMessages > rules.totalMessages.max) {
+      return false;
+    }
+
+    // Conversaciones: al menos una conversación debe cumplir estado y prioridad
+    const conversationRule = rules.conversation;
+    if (this.hasConversationRule(rules) && conversationsByPhone) {
+      const conversations = conversationsByPhone.get(this.normalizePhone(contact.phone)) || [];
+      const match = conversations.some(conversation =>
+        (!conversationRule.status?.length || conversationRule.status.includes(conversation.status)) &&
+        (!conversationRule.priority?.length || conversationRule.priority.includes(conversation.priority))
+      );
+      if (!match) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * ¿Las reglas filtran por conversación?
+   */
+  static hasConversationRule(rules = {}) {
+    return !!(rules.conversation?.status?.length || rules.conversation?.priority?.length);
+  }
+
+  /**
+   * Cargar conversaciones que cumplen la regla, indexadas por teléfono
+   * Las conversaciones viven en contacts/{contactId}/conversations
+   */
+  static async loadConversationIndex(conversationRule = {}) {
+    let query = scopeQuery(firestore.collectionGroup('conversations'));
+
+    if (conversationRule.status?.length) {
+      query = query.where('status', 'in', conversationRule.status.slice(0, 10));
+    } else if (conversationRule.priority?.length) {
+      query = query.where('priority', 'in', conversationRule.priority.slice(0, 10));
+    }
+
+    const snapshot = await query.get();
+    const index = new Map();
+
+    snapshot.docs.forEach(doc => {
+      const data = doc.data();
+      const phone = this.normalizePhone(data.customerPhone);
+      if (!phone) return;
+
+      if (!index.has(phone)) {
+        index.set(phone, []);
+      }
+      index.get(phone).push({
+        status: data.status || 'open',
+        priority: data.priority || 'normal'
+      });
+    });
+
+    return index;
+  }
+
+  /**
+   * Cargar contactos candidatos (prefiltro por tags en Firestore cuando es posible)
+   */
+  static async loadCandidateContacts(rules = {}, userId = null) {
+    let query = firestore.collection('contacts').where('isActive', '==', true);
+
+    if (userId) {
+      query = query.where('userId', '==', userId);
+    }
+
+    const anyTags = rules.tags?.any || [];
+    if (anyTags.length > 0 && anyTags.length <= 10) {
+      query = query.where('tags', 'array-contains-any', anyTags);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => new Contact({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Resolver reglas a la lista de destinatarios
+   * @returns {Promise<{ contacts: Contact[], matched: number, excludedOptedOut: number }>}
+   */
+  static async resolveRules(rules = {}, options = {}) {
+    const { userId = null } = options;
+
+    const candidates = await this.loadCandidateContacts(rules, userId);
+    const conversationIndex = this.hasConversationRule(rules)
+      ? await this.loadConversationIndex(rules.conversation)
+      : null;
+
+    const now = Date.now();
+    const matched = candidates.filter(contact => this.matchesContact(contact, rules, conversationIndex, now));
+    const contacts = matched.filter(contact => !contact.optedOut);
+
+    return {
+      contacts,
+      matched: matched.length,
+      excludedOptedOut: matched.length - contacts.length
+    };
+  }
+
+  /**
+   * Resolver segmento guardado y registrar el conteo
+   */
+  static async resolveSegment(segmentId, options = {}) {
+    const segment = await AudienceSegment.getById(segmentId);
+    if (!segment || !segment.isActive) {
+      throw new Error(`Segmento ${segmentId} no encontrado`);
+    }
+
+    const result = await this.resolveRules(segment.rules, options);
+
+    try {
+      await segment.update({
+        lastResolvedCount: result.contacts.length,
+        lastResolvedAt: new Date()
+      });
+    } catch (error) {
+      logger.warn('⚠️ No se pudo registrar conteo del segmento', {
+        segmentId,
+        error: error.message
+      });
+    }
+
+    logger.info('🎯 Segmento resuelto', {
+      segmentId,
+      matched: result.matched,
+      recipients: result.contacts.length,
+      excludedOptedOut: result.excludedOptedOut
+    });
+
+    return { segment, ...result };
+  }
+
+  /**
+   * Vista previa: conteo y muestra de destinatarios
+   */
+  static async preview(rules = {}, options = {}) {
+    const { sampleSize = 5 } = options;
+    const result = await this.resolveRules(rules, options);
+
+    return {
+      count: result.contacts.length,
+      matched: result.matched,
+      excludedOptedOut: result.excludedOptedOut,
+      sample: result.contacts.slice(0, sampleSize).map(contact => ({
+        id: contact.id,
+        name: contact.name,
+        phone: contact.phone,
+        tags: contact.tags
+      }))
+    };
+  }
+
+  /**
+   * Resolver destinatarios de una campaña: segmento (dinámico) o lista explícita
+   * @returns {Promise<{ contacts: Contact[], excludedOptedOut: number, source: string }>}
+   */
+  static async resolveCampaignRecipients(campaign) {
+    if (campaign.segmentId) {
+      const result = await this.resolveSegment(campaign.segmentId);
+      return {
+        contacts: result.contacts,
+        excludedOptedOut: result.excludedOptedOut,
+        source: 'segment'
+      };
+    }
+
+    const contacts = (await Promise.all(
+      (campaign.contacts || []).map(contactId => Contact.getById(contactId))
+    )).filter(contact => contact !== null);
+    const recipients = contacts.filter(contact => !contact.optedOut);
+
+    return {
+      contacts: recipients,
+      excludedOptedOut: contacts.length - recipients.length,
+      source: 'contacts'
+    };
+  }
+}
+
+module.exports = AudienceSegmentService;
@@ -0,0 +1,232 @@
+const { Parser } = require('json2csv');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+const SENSITIVE_KEY = /password|secret|token|backupCodes/i;
+const REDACTED = '[REDACTED]';
+const VERIFY_PAGE_SIZE = 500;
+
+/**
+ * Bitácora de auditoría unificada para acciones de RH y administración
+ *
+ * Registra actor, IP, entidad afectada, motivo y el diff antes/después en la
+ * colección append-only audit_logs (encadenada por hash, ver AuditLog).
+ */
+class AuditService {
+  /**
+   * Convertir modelos a objetos planos y ocultar campos sensibles
+   */
+  static sanitize (value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value.toFirestore === 'function') {
+      return this.sanitize(value.toFirestore());
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value.toDate === 'function') {
+      return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.sanitize(item));
+    }
+    if (typeof value === 'object') {
+      return Object.entries(value).reduce((acc, [key, item]) => {
+        if (item === undefined || typeof item === 'function') {
+          return acc;
+        }
+        acc[key] = SENSITIVE_KEY.test(key) ? REDACTED : this.sanitize(item);
+        return acc;
+      }, {});
+    }
+    return value;
+  }
+
+  static flatten (value, prefix = '', out = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      Object.entries(value).forEach(([key, item]) => {
+        this.flatten(item, prefix ? `${prefix}.${key}` : key, out);
+      });
+    } else if (prefix) {
+      out[prefix] = value;
+    }
+    return out;
+  }
+
+  /**
+   * Diferencias campo a campo (rutas con punto) entre dos estados ya sanitizados
+   */
+  static diff (before, after) {
+    const flatBefore = this.flatten(before || {});
+    const flatAfter = this.flatten(after || {});
+    const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+    return paths
+      .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+      .map(path => ({
+        path,
+        before: flatBefore[path] === undefined ? null : flatBefore[path],
+        after: flatAfter[path] === undefined ? null : flatAfter[path]
+      }));
+  }
+
+  /**
+   * Contexto de la petición: actor, IP, user agent y ruta
+   */
+  static requestContext (req) {
+    if (!req) {
+      return { actor: { id: null, email: 'system', role: null } };
+    }
+
+    return {
+      actor: {
+        id: req.user?.id || req.user?.email || null,
+        email: req.user?.email || 'anonymous',
+        role: req.user?.role || null
+      },
+      ip: req.ip || req.connection?.remoteAddress || null,
+      userAgent: req.get ? req.get('user-agent') || null : null,
+      method: req.method || null,
+      path: req.originalUrl || req.url || null
+    };
+  }
+
+  /**
+   * Registrar una acción auditada
+   * Nunca lanza: una falla de auditoría se registra en logs sin romper la operación
+   */
+  static async record ({ req = null, action, entityType, entityId = null, before = null, after = null, reason = null, metadata = {} }) {
+    try {
+      const cleanBefore = this.sanitize(before);
+      const cleanAfter = this.sanitize(after);
+
+      const entry = await AuditLog.append({
+        ...this.requestContext(req),
+        action,
+        entityType,
+        entityId: entityId !== null ? String(entityId) : null,
+        reason: reason || (req?.get ? req.get('x-audit-reason') : null) || req?.body?.reason || null,
+        before: cleanBefore,
+        after: cleanAfter,
+        diff: this.diff(cleanBefore, cleanAfter),
+        metadata: this.sanitize(metadata) || {}
+      });
+
+      logger.info('🧾 Acción auditada', {
+        auditId: entry.id,
+        action,
+        entityType,
+        entityId,
+        actor: entry.actor.email,
+        changes: entry.diff.length
+      });
+
+      return entry;
+    } catch (error) {
+      logger.error('❌ Error registrando auditoría', { action, entityType, entityId, error: error.message });
+      return null;
+    }
+  }
+
+  static async list (filters = {}) {
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, 1000);
+    const entries = await AuditLog.list({ ...filters, limit: limit + 1 });
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    return {
+      entries: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1].createdAt : null
+      }
+    };
+  }
+
+  static async getById (id) {
+    return AuditLog.getById(id);
+  }
+
+  /**
+   * Recorrer la cadena completa y detectar alteraciones
+   * Verifica hash de cada entrada, enlace con la anterior, huecos de secuencia y la cabeza
+   */
+  static async verifyChain () {
+    let expectedPrevHash = AuditLog.GENESIS_HASH;
+    let expectedSequence = 1;
+    let checked = 0;
+    let lastSequence = 0;
+
+    while (true) {
+      const page = await AuditLog.listBySequence({ afterSequence: lastSequence, limit: VERIFY_PAGE_SIZE });
+
+      for (const entry of page) {
+        const problem = entry.sequence !== expectedSequence
+          ? `Falta la entrada con secuencia ${expectedSequence}`
+          : entry.prevHash !== expectedPrevHash
+            ? 'El hash previo no coincide con la entrada anterior'
+            : AuditLog.computeHash({ ...entry }) !== entry.hash
+              ? 'El contenido de la entrada fue modificado'
+              : null;
+
+        if (problem) {
+          logger.error('🚨 Cadena de auditoría alterada', { auditId: entry.id, sequence: entry.sequence, problem });
+          return { valid: false, checked, brokenAt: { id: entry.id, sequence: entry.sequence, problem } };
+        }
+
+        expectedPrevHash = entry.hash;
+        expectedSequence += 1;
+        lastSequence = entry.sequence;
+        checked += 1;
+      }
+
+      if (page.length < VERIFY_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const head = await AuditLog.getHead();
+    if (head.sequence !== lastSequence || head.lastHash !== expectedPrevHash) {
+      const problem = 'La cabeza de la cadena no coincide con la última entrada (entradas eliminadas al final)';
+      logger.error('🚨 Cadena de auditoría alterada', { problem, headSequence: head.sequence, lastSequence });
+      return { valid: false, checked, brokenAt: { id: null, sequence: lastSequence + 1, problem } };
+    }
+
+    return { valid: true, checked, lastHash: expectedPrevHash };
+  }
+
+  /**
+   * Exportar entradas a CSV (before/after/diff como JSON)
+   */
+  static toCsv (entries) {
+    const parser = new Parser({
+      fields: ['id', 'sequence', 'createdAt', 'action', 'entityType', 'entityId', 'actorEmail', 'actorRole',
+        'ip', 'method', 'path', 'reason', 'diff', 'before', 'after', 'prevHash', 'hash']
+    });
+
+    return parser.parse(entries.map(entry => ({
+      id: entry.id,
+      sequence: entry.sequence,
+      createdAt: entry.createdAt,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      actorEmail: entry.actor?.email,
+      actorRole: entry.actor?.role,
+      ip: entry.ip,
+      method: entry.method,
+      path: entry.path,
+      reason: entry.reason,
+      diff: JSON.stringify(entry.diff || []),
+      before: JSON.stringify(entry.before),
+      after: JSON.stringify(entry.after),
+      prevHash: entry.prevHash,
+      hash: entry.hash
+    })));
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,193 @@
+const { firestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const AutoReplySettings = require('../models/AutoReplySettings');
+const BusinessHoursCalendar = require('../models/BusinessHoursCalendar');
+const { getHoliday, isWithinBusinessHours, nextBusinessOpening } = require('../utils/businessHours');
+
+/**
+ * 🎯 SERVICIO DE RESPUESTAS AUTOMÁTICAS
+ *
+ * Responde mensajes entrantes fuera de horario o en feriado según el
+ * calendario del workspace, y saluda al iniciar una conversación nueva.
+ * Cada cliente recibe como máximo una respuesta automática por ventana
+ * (windowMinutes) y cada respuesta queda en el hilo como mensaje de sistema
+ * con metadata.automated = true (no cuenta como primera respuesta SLA).
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class AutoResponderService {
+
+  /**
+   * Calendario aplicable: el configurado o el por defecto del workspace
+   */
+  static async getCalendar(settings) {
+    if (settings.calendarId) {
+      const calendar = await BusinessHoursCalendar.getById(settings.calendarId);
+      if (calendar && calendar.isActive) return calendar;
+    }
+    return BusinessHoursCalendar.getDefaultForWorkspace(settings.workspaceId);
+  }
+
+  /**
+   * Fecha/hora local legible de la próxima apertura
+   */
+  static formatOpening(date, calendar) {
+    if (!date) return 'el próximo día hábil';
+    return new Intl.DateTimeFormat('es-MX', {
+      timeZone: calendar.timezone || 'UTC',
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(date);
+  }
+
+  /**
+   * Reemplazar placeholders {{nombre}} del mensaje
+   */
+  static render(message, variables) {
+    return String(message).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+      variables[key] !== undefined && variables[key] !== null ? variables[key] : ''
+    ));
+  }
+
+  /**
+   * Respuesta que corresponde en `now` (sin efectos secundarios)
+   * Prioridad: feriado → fuera de horario → saludo de conversación nueva
+   * @returns {{ type: string, body: string } | null}
+   */
+  static resolveReply({ settings, calendar, isNewConversation = false, now = new Date() }) {
+    if (!settings.enabled) return null;
+
+    if (calendar && !isWithinBusinessHours(now, calendar)) {
+      const holiday = getHoliday(now, calendar);
+      const variables = {
+        holiday: holiday?.name || holiday?.date,
+        nextOpening: AutoResponderService.formatOpening(nextBusinessOpening(now, calendar), calendar)
+      };
+
+      if (holiday && settings.holiday.enabled) {
+        return { type: 'holiday', body: AutoResponderService.render(settings.holiday.message, variables) };
+      }
+      if (settings.afterHours.enabled) {
+        return { type: 'after_hours', body: AutoResponderService.render(settings.afterHours.message, variables) };
+      }
+    }
+
+    if (isNewConversation && settings.greeting.enabled) {
+      return { type: 'greeting', body: AutoResponderService.render(settings.greeting.message, {}) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reservar la ventana de respuesta automática de la conversación
+   * @returns {Promise<boolean>} false si ya se respondió dentro de la ventana
+   */
+  static async claimWindow({ contactId, conversationId, type, windowMinutes, now = new Date() }) {
+    const conversationRef = firestore
+      .collection('contacts').doc(contactId)
+      .collection('conversations').doc(conversationId);
+
+    return firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(conversationRef);
+      const lastSentAt = doc.exists ? doc.data().autoReply?.lastSentAt : null;
+      const lastSentMs = lastSentAt && typeof lastSentAt.toDate === 'function'
+        ? lastSentAt.toDate().getTime()
+        : (lastSentAt ? new Date(lastSentAt).getTime() : 0);
+
+      if (lastSentMs && now.getTime() - lastSentMs < windowMinutes * 60 * 1000) {
+        return false;
+      }
+
+      transaction.set(conversationRef, { autoReply: { lastSentAt: now, lastType: type } }, { merge: true });
+      return true;
+    });
+  }
+
+  /**
+   * Enviar la respuesta y registrarla en el hilo como mensaje de sistema
+   */
+  static async sendReply({ conversationId, customerPhone, reply, workspaceId, tenantId }) {
+    // appendOutbound envía a Twilio y emite los eventos en tiempo real
+    const { getConversationsRepository } = require('../repositories/ConversationsRepository');
+    const result = await getConversationsRepository().appendOutbound({
+      conversationId,
+      messageId: `AUTO_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      content: reply.body,
+      type: 'system',
+      senderIdentifier: 'system',
+      recipientIdentifier: customerPhone,
+      timestamp: new Date(),
+      workspaceId,
+      tenantId,
+      metadata: {
+        automated: true,
+        autoReplyType: reply.type
+      }
+    });
+
+    return result.message;
+  }
+
+  /**
+   * Evaluar y enviar respuesta automática para un mensaje entrante
+   * @returns {Promise<{ sent: boolean, type?: string, reason?: string }>}
+   */
+  static async handleInboundMessage({ contactId, conversationId, customerPhone, isNewConversation, workspaceId = 'default_workspace', tenantId = 'default_tenant', now = new Date() }) {
+    const settings = await AutoReplySettings.getForWorkspace(workspaceId);
+    if (!settings.enabled) {
+      return { sent: false, reason: 'disabled' };
+    }
+
+    const calendar = await AutoResponderService.getCalendar(settings);
+    const reply = AutoResponderService.resolveReply({ settings, calendar, isNewConversation, now });
+    if (!reply) {
+      return { sent: false, reason: 'not_applicable' };
+    }
+
+    const claimed = await AutoResponderService.claimWindow({
+      contactId,
+      conversationId,
+      type: reply.type,
+      windowMinutes: settings.windowMinutes,
+      now
+    });
+    if (!claimed) {
+      return { sent: false, type: reply.type, reason: 'rate_limited' };
+    }
+
+    const message = await AutoResponderService.sendReply({ conversationId, customerPhone, reply, workspaceId, tenantId });
+
+    logger.info('🤖 Respuesta automática enviada', {
+      category: 'AUTO_REPLY_SENT',
+      conversationId,
+      messageId: message?.id,
+      type: reply.type
+    });
+
+    return { sent: true, type: reply.type, messageId: message?.id };
+  }
+
+  /**
+   * Estado actual del horario del workspace (abierto, feriado, próxima apertura)
+   */
+  static async getStatus(workspaceId = 'default_workspace', now = new Date()) {
+    const settings = await AutoReplySettings.getForWorkspace(workspaceId);
+    const calendar = await AutoResponderService.getCalendar(settings);
+
+    return {
+      calendarId: calendar?.id || null,
+      timezone: calendar?.timezone || null,
+      isOpen: isWithinBusinessHours(now, calendar),
+      holiday: getHoliday(now, calendar),
+      nextOpening: calendar ? nextBusinessOpening(now, calendar) : now,
+      reply: AutoResponderService.resolveReply({ settings, calendar, now })
+    };
+  }
+}
+
+module.exports = AutoResponderService;
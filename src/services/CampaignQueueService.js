@@ -19,7 +19,10 @@ const Redis = require('ioredis');
 const logger = require('../utils/logger');
 const { getMessageService } = require('./MessageService');
 const Campaign = require('../models/Campaign');
-const Contact = require('../models/Contact');
+const AudienceSegmentService = require('./AudienceSegmentService');
+const WhatsAppTemplateService = require('./WhatsAppTemplateService');
+const SuppressionService = require('./SuppressionService');
+const { runWithTenant } = require('../utils/tenantContext');
 
 class CampaignQueueService {
   constructor() {
@@ -244,12 +247,12 @@ class CampaignQueueService {
   async setupWorkers() {
     // Worker para procesar campañas
     this.campaignQueue.process('process-campaign', async (job) => {
-      return await this.processCampaignJob(job);
+      return await this.runInJobTenant(job, () => this.processCampaignJob(job));
     });
 
     // Worker para procesar mensajes individuales
     this.processingQueue.process('send-message', async (job) => {
-      return await this.processMessageJob(job);
+      return await this.runInJobTenant(job, () => this.processMessageJob(job));
     });
 
     // Manejar eventos de la cola
@@ -271,6 +274,15 @@ class CampaignQueueService {
     });
   }
 
+  /**
+   * 🏢 Ejecutar un job dentro del workspace de la campaña
+   * (los segmentos y contactos se resuelven solo en ese workspace)
+   */
+  runInJobTenant(job, fn) {
+    const { workspaceId, tenantId } = job.data;
+    return workspaceId ? runWithTenant({ workspaceId, tenantId }, fn) : fn();
+  }
+
   /**
    * 📊 CONFIGURAR MONITOREO
    */
@@ -305,12 +317,22 @@ class CampaignQueueService {
         throw new Error(`Campaña ${campaignId} no puede ser enviada`);
       }
 
+      // La plantilla debe existir y estar aprobada antes de encolar
+      if (campaign.templateId) {
+        await WhatsAppTemplateService.getUsableTemplate(campaign.templateId);
+      }
+
+      // Estimación: los segmentos se vuelven a resolver al procesar el job
+      const estimatedContacts = await this.estimateRecipients(campaign);
+
       // Crear job de campaña
       const job = await this.campaignQueue.add('process-campaign', {
         campaignId,
+        workspaceId: campaign.workspaceId,
+        tenantId: campaign.tenantId,
         userId: options.userId,
         priority: options.priority || 'normal',
-        estimatedContacts: campaign.contacts.length,
+        estimatedContacts,
         scheduledAt: campaign.scheduledAt
       }, {
         priority: this.getJobPriority(options.priority),
@@ -324,7 +346,8 @@ class CampaignQueueService {
       logger.info('📤 Campaña encolada exitosamente', {
         campaignId,
         jobId: job.id,
-        estimatedContacts: campaign.contacts.length,
+        segmentId: campaign.segmentId,
+        estimatedContacts,
         scheduledAt: campaign.scheduledAt
       });
 
@@ -332,8 +355,8 @@ class CampaignQueueService {
         success: true,
         jobId: job.id,
         campaignId,
-        estimatedContacts: campaign.contacts.length,
-        estimatedTime: this.estimateProcessingTime(campaign.contacts.length)
+        estimatedContacts,
+        estimatedTime: this.estimateProcessingTime(estimatedContacts)
       };
 
     } catch (error) {
@@ -368,11 +391,19 @@ class CampaignQueueService {
       // Actualizar estado
       await campaign.updateStatus('sending');
 
-      // Obtener contactos
-      const contacts = await Promise.all(
-        campaign.contacts.map(contactId => Contact.getById(contactId))
-      );
-      const validContacts = contacts.filter(contact => contact !== null);
+      // Resolver destinatarios al momento del envío (segmento dinámico o lista explícita, sin bajas)
+      const recipients = await AudienceSegmentService.resolveCampaignRecipients(campaign);
+      const validContacts = recipients.contacts;
+
+      await campaign.update({
+        contactsTargeted: validContacts.length,
+        excludedOptedOut: recipients.excludedOptedOut
+      });
+
+      // Plantilla aprobada: se carga una vez y se personaliza por destinatario
+      const template = campaign.templateId
+        ? await WhatsAppTemplateService.getUsableTemplate(campaign.templateId)
+        : null;
 
       // Dividir contactos en lotes para rate limiting
       const batches = this.createBatches(validContacts, this.twilioLimits.messagesPerSecond);
@@ -397,22 +428,50 @@ class CampaignQueueService {
         }
 
         // Encolar mensajes del lote
-        const batchJobs = batch.map(contact => ({
-          name: 'send-message',
-          data: {
+        const batchJobs = [];
+        for (const contact of batch) {
+          const data = {
             campaignId,
+            workspaceId: campaign.workspaceId,
+            tenantId: campaign.tenantId,
             contactId: contact.id,
             phone: contact.phone,
             message: campaign.message,
             userId
-          },
-          opts: {
-            priority: 'high',
-            delay: i * 1000 // Delay de 1 segundo entre lotes
+          };
+
+          if (template) {
+            const prepared = WhatsAppTemplateService.prepareMessage(template, contact, campaign.templateVariables);
+
+            // No se envía una plantilla con placeholders sin resolver
+            if (!prepared.ready) {
+              await this.recordMessageResult(campaignId, contact.id, {
+                success: false,
+                error: `Variables de plantilla sin resolver: ${prepared.missing.join(', ')}`,
+                failedAt: new Date()
+              });
+              failureCount++;
+              continue;
+            }
+
+            data.message = prepared.body;
+            data.contentSid = prepared.contentSid;
+            data.contentVariables = prepared.contentVariables;
           }
-        }));
 
-        await this.processingQueue.addBulk(batchJobs);
+          batchJobs.push({
+            name: 'send-message',
+            data,
+            opts: {
+              priority: 'high',
+              delay: i * 1000 // Delay de 1 segundo entre lotes
+            }
+          });
+        }
+
+        if (batchJobs.length > 0) {
+          await this.processingQueue.addBulk(batchJobs);
+        }
         
         processedCount += batch.length;
         
@@ -490,7 +549,7 @@ class CampaignQueueService {
    * 📨 PROCESAR JOB DE MENSAJE INDIVIDUAL
    */
   async processMessageJob(job) {
-    const { campaignId, contactId, phone, message, userId } = job.data;
+    const { campaignId, contactId, phone, message, contentSid, contentVariables, userId } = job.data;
 
     try {
       // Verificar circuit breaker
@@ -504,13 +563,38 @@ class CampaignQueueService {
         }
       }
 
-      // Enviar mensaje
+      // Omitir números dados de baja desde que se resolvió la audiencia
+      if (await SuppressionService.isSuppressed(phone)) {
+        await this.recordMessageResult(campaignId, contactId, {
+          success: false,
+          error: 'Número en lista de supresión',
+          failedAt: new Date()
+        });
+
+        logger.info('🚫 Mensaje de campaña omitido por baja', { campaignId, contactId });
+
+        return {
+          success: false,
+          skipped: true,
+          contactId,
+          phone
+        };
+      }
+
+      // Enviar mensaje (plantilla aprobada si la campaña la define)
       const messageService = getMessageService();
-      const result = await messageService.sendWhatsAppMessage({
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: phone,
-        body: message
-      });
+      const result = contentSid
+        ? await messageService.sendWhatsAppTemplate({
+          from: process.env.TWILIO_WHATSAPP_NUMBER,
+          to: phone,
+          contentSid,
+          contentVariables
+        })
+        : await messageService.sendWhatsAppMessage({
+          from: process.env.TWILIO_WHATSAPP_NUMBER,
+          to: phone,
+          body: message
+        });
 
       // Registrar éxito
       await this.recordMessageResult(campaignId, contactId, {
@@ -717,6 +801,15 @@ class CampaignQueueService {
     return batches;
   }
 
+  async estimateRecipients(campaign) {
+    if (!campaign.segmentId) {
+      return campaign.contacts.length;
+    }
+
+    const { contacts } = await AudienceSegmentService.resolveSegment(campaign.segmentId);
+    return contacts.length;
+  }
+
   getJobPriority(priority) {
     const priorities = {
       'high': 1,
@@ -0,0 +1,271 @@
+const logger = require('../utils/logger');
+const CannedResponse = require('../models/CannedResponse');
+const File = require('../models/File');
+const Knowledge = require('../models/Knowledge');
+const WhatsAppTemplateService = require('./WhatsAppTemplateService');
+
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z]+)\.([a-zA-Z0-9_.]+)\s*\}\}/g;
+const MANAGER_ROLES = ['admin', 'superadmin', 'supervisor'];
+
+/**
+ * 🎯 SERVICIO DE RESPUESTAS GUARDADAS
+ *
+ * Biblioteca compartida de respuestas rápidas con atajos (/precio),
+ * categorías y alcance global, por equipo o personal. Rellena
+ * placeholders con datos del contacto, la conversación y el agente, adjunta
+ * archivos de FileService y lleva estadísticas de uso para promover las
+ * más usadas a la base de conocimiento.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class CannedResponseService {
+
+  /**
+   * Atajo normalizado: '/'+minúsculas sin espacios ni acentos
+   */
+  static normalizeShortcut(shortcut) {
+    const slug = String(shortcut || '')
+      .trim()
+      .replace(/^\/+/, '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    return slug ? `/${slug}` : null;
+  }
+
+  /**
+   * ¿El usuario puede ver la respuesta?
+   */
+  static isVisibleTo(response, user) {
+    if (response.scope === 'global') return true;
+    if (response.scope === 'team') return !!user.department && response.teamId === user.department;
+    return response.ownerId === user.id;
+  }
+
+  /**
+   * ¿El usuario puede crear o editar respuestas con este alcance?
+   * Global y equipo: admin/supervisor; personal: solo su dueño
+   */
+  static canManage(response, user) {
+    if (response.scope === 'personal') {
+      return !response.ownerId || response.ownerId === user.id;
+    }
+    return MANAGER_ROLES.includes(user.role);
+  }
+
+  /**
+   * Respuestas visibles para el usuario (personales primero, luego por uso)
+   */
+  static async listForUser(user, { category = null, scope = null } = {}) {
+    const responses = await CannedResponse.list({ category, scope });
+    const scopeOrder = { personal: 0, team: 1, global: 2 };
+
+    return responses
+      .filter(response => this.isVisibleTo(response, user))
+      .sort((a, b) => (scopeOrder[a.scope] - scopeOrder[b.scope]) || (b.usageCount - a.usageCount));
+  }
+
+  /**
+   * Buscar por atajo, título, contenido o categoría
+   * Un término que empieza con '/' busca solo por prefijo de atajo
+   */
+  static async search(user, term, { category = null, limit = 20 } = {}) {
+    const responses = await this.listForUser(user, { category });
+    const query = String(term || '').trim().toLowerCase();
+    if (!query) return responses.slice(0, limit);
+
+    if (query.startsWith('/')) {
+      const prefix = this.normalizeShortcut(query) || '/';
+      return responses.filter(response => response.shortcut.startsWith(prefix)).slice(0, limit);
+    }
+
+    const score = (response) => {
+      if (response.shortcut.includes(query)) return 3;
+      if (response.title.toLowerCase().includes(query)) return 2;
+      if (response.content.toLowerCase().includes(query) || response.category.toLowerCase().includes(query)) return 1;
+      return 0;
+    };
+
+    return responses
+      .map(response => ({ response, score: score(response) }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => (b.score - a.score) || (b.response.usageCount - a.response.usageCount))
+      .slice(0, limit)
+      .map(item => item.response);
+  }
+
+  /**
+   * ¿Atajo ya usado por otra respuesta visible en el mismo alcance?
+   */
+  static async findShortcutConflict(shortcut, { scope, teamId, ownerId, excludeId = null }) {
+    const responses = await CannedResponse.list({ scope });
+    return responses.find(response =>
+      response.id !== excludeId &&
+      response.shortcut === shortcut &&
+      (scope === 'global' ||
+        (scope === 'team' && response.teamId === teamId) ||
+        (scope === 'personal' && response.ownerId === ownerId))
+    ) || null;
+  }
+
+  /**
+   * Resolver adjuntos desde el índice de archivos
+   * @returns {Promise<{ attachments: object[], missing: string[] }>}
+   */
+  static async resolveAttachments(fileIds = []) {
+    return File.resolveAttachments(fileIds);
+  }
+
+  /**
+   * Valor de un placeholder {{origen.campo}}
+   */
+  static resolvePlaceholder(source, field, { contact, conversation, agent }) {
+    switch (source) {
+      case 'contact':
+        return WhatsAppTemplateService.resolveSource(contact, field);
+      case 'agent':
+        if (!agent) return null;
+        if (field === 'firstName') return agent.name ? String(agent.name).trim().split(/\s+/)[0] : null;
+        return ['name', 'email'].includes(field) ? agent[field] || null : null;
+      case 'conversation':
+        if (!conversation) return null;
+        return ['id', 'status', 'priority'].includes(field) ? conversation[field] || null : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Rellenar placeholders; los que no tienen valor quedan vacíos y se reportan
+   * @returns {{ content: string, missing: string[] }}
+   */
+  static render(content, context = {}) {
+    const missing = [];
+
+    const rendered = String(content).replace(PLACEHOLDER_REGEX, (match, source, field) => {
+      const value = this.resolvePlaceholder(source, field, context);
+      if (value === undefined || value === null || value === '') {
+        missing.push(`${source}.${field}`);
+        return '';
+      }
+      return String(value);
+    });
+
+    return { content: rendered.replace(/[ \t]{2,}/g, ' ').trim(), missing };
+  }
+
+  /**
+   * Contexto de placeholders a partir de la conversación (incluye contacto)
+   */
+  static buildContext(conversation, agent) {
+    const contact = conversation?.contact
+      ? { ...conversation.contact, name: conversation.contact.name || conversation.customerName }
+      : (conversation ? { name: conversation.customerName, phone: conversation.customerPhone } : null);
+
+    return { contact, conversation, agent };
+  }
+
+  /**
+   * Renderizar para una conversación y registrar el uso
+   */
+  static async use(response, { user, conversation = null }) {
+    const rendered = this.render(response.content, this.buildContext(conversation, user));
+
+    await response.recordUsage({ userId: user.id, conversationId: conversation?.id || null });
+
+    return {
+      responseId: response.id,
+      shortcut: response.shortcut,
+      content: rendered.content,
+      missingPlaceholders: rendered.missing,
+      attachments: response.attachments
+    };
+  }
+
+  /**
+   * Estadísticas de uso: ranking histórico y usos del periodo
+   */
+  static async getUsageStats(user, { startDate, endDate, limit = 10 }) {
+    const [responses, events] = await Promise.all([
+      this.listForUser(user),
+      CannedResponse.getUsageEvents(startDate, endDate)
+    ]);
+
+    const visible = new Map(responses.map(response => [response.id, response]));
+    const periodCounts = new Map();
+    const agents = new Set();
+
+    events.forEach(event => {
+      if (!visible.has(event.responseId)) return;
+      periodCounts.set(event.responseId, (periodCounts.get(event.responseId) || 0) + 1);
+      agents.add(event.userId);
+    });
+
+    const summarize = (response) => ({
+      id: response.id,
+      title: response.title,
+      shortcut: response.shortcut,
+      category: response.category,
+      scope: response.scope,
+      usageCount: response.usageCount,
+      periodUsage: periodCounts.get(response.id) || 0,
+      knowledgeId: response.knowledgeId
+    });
+
+    const topAllTime = [...responses].sort((a, b) => b.usageCount - a.usageCount).slice(0, limit);
+    const topPeriod = [...responses]
+      .filter(response => periodCounts.has(response.id))
+      .sort((a, b) => periodCounts.get(b.id) - periodCounts.get(a.id))
+      .slice(0, limit);
+
+    return {
+      totalResponses: responses.length,
+      periodUsage: Array.from(periodCounts.values()).reduce((sum, count) => sum + count, 0),
+      activeAgents: agents.size,
+      topAllTime: topAllTime.map(summarize),
+      topPeriod: topPeriod.map(summarize),
+      // Las más usadas que aún no están en la base de conocimiento
+      knowledgeCandidates: topAllTime
+        .filter(response => !response.knowledgeId && response.scope !== 'personal' && response.usageCount > 0)
+        .map(summarize)
+    };
+  }
+
+  /**
+   * Publicar la respuesta como artículo FAQ en la base de conocimiento
+   */
+  static async promoteToKnowledge(response, user) {
+    if (response.knowledgeId) {
+      const existing = await Knowledge.getById(response.knowledgeId);
+      if (existing && existing.isActive) return { knowledge: existing, created: false };
+    }
+
+    const knowledge = await Knowledge.create({
+      title: response.title,
+      content: response.content,
+      category: response.category,
+      tags: ['respuesta-rapida', response.shortcut.replace(/^\//, '')],
+      type: 'faq',
+      attachments: response.attachments,
+      createdBy: user.id,
+      lastModifiedBy: user.id
+    });
+
+    await response.update({ knowledgeId: knowledge.id });
+
+    logger.info('📚 Respuesta guardada publicada en base de conocimiento', {
+      responseId: response.id,
+      knowledgeId: knowledge.id,
+      usageCount: response.usageCount,
+      publishedBy: user.id
+    });
+
+    return { knowledge, created: true };
+  }
+}
+
+module.exports = CannedResponseService;
@@ -0,0 +1,551 @@
+const { firestore, FieldValue, admin } = require('../config/firebase');
+const logger = require('../utils/logger');
+const Contact = require('../models/Contact');
+const ContactMerge = require('../models/ContactMerge');
+const { ApiError } = require('../utils/responseHandler');
+const { toDate } = require('../utils/businessHours');
+const { findDuplicateGroups, normalizeName, phoneKey, phoneVariants, emailKey, NAME_SIMILARITY_THRESHOLD } = require('../utils/contactDedupe');
+const { getTenant, getDefaultTenant, scopeQuery } = require('../utils/tenantContext');
+
+const BATCH_LIMIT = 400;
+const SCAN_PAGE_SIZE = 500;
+const NAME_CANDIDATES_LIMIT = 200;
+
+/**
+ * 🎯 SERVICIO DE DEDUPLICACIÓN Y FUSIÓN DE CONTACTOS
+ *
+ * Detecta contactos duplicados (mismo correo, variantes de teléfono con o
+ * sin 521, nombres parecidos) y los fusiona en un contacto superviviente:
+ * mueve conversaciones y mensajes de contacts/{id}/conversations, une tags
+ * y customFields, y deja un registro en contact_merges para deshacerlo.
+ *
+ * Los contactos fusionados quedan inactivos con mergedInto, de modo que los
+ * mensajes nuevos de sus teléfonos se enrutan al superviviente.
+ *
+ * Solo se comparan contactos del workspace actual: el reporte completo lo
+ * recorre por páginas y los duplicados de un contacto se buscan con
+ * consultas por correo, variantes de teléfono y prefijo de nombre.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class ContactMergeService {
+
+  /**
+   * Consulta de contactos del workspace (nunca de todos los workspaces)
+   */
+  static scopedContacts() {
+    return scopeQuery(firestore.collection('contacts'), getTenant() || getDefaultTenant());
+  }
+
+  /**
+   * ¿Puede participar en una fusión? (activo y no fusionado)
+   */
+  static isMergeable(contact) {
+    return contact.isActive !== false && !contact.mergedInto;
+  }
+
+  /**
+   * Contactos candidatos del workspace: activos y no fusionados
+   * Se leen por páginas para no traer la colección completa en una consulta
+   */
+  static async loadActiveContacts() {
+    const contacts = [];
+    let lastDoc = null;
+
+    do {
+      let query = this.scopedContacts()
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(SCAN_PAGE_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      snapshot.docs
+        .map(doc => new Contact({ id: doc.id, ...doc.data() }))
+        .filter(contact => this.isMergeable(contact))
+        .forEach(contact => contacts.push(contact));
+
+      lastDoc = snapshot.docs.length === SCAN_PAGE_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null;
+    } while (lastDoc);
+
+    return contacts;
+  }
+
+  /**
+   * Posibles duplicados de un contacto: mismo correo, alguna variante de
+   * sus teléfonos o nombre con la misma primera palabra
+   */
+  static async loadCandidatesFor(contact) {
+    const queries = [];
+
+    const phones = [...new Set([contact.phone, ...(contact.alternatePhones || [])].flatMap(phoneVariants))].slice(0, 30);
+    if (phones.length > 0) {
+      queries.push(this.scopedContacts().where('phone', 'in', phones));
+      queries.push(this.scopedContacts().where('alternatePhones', 'array-contains-any', phones));
+    }
+
+    const emails = [...new Set([contact.email, emailKey(contact.email)].filter(Boolean))];
+    if (emails.length > 0) {
+      queries.push(this.scopedContacts().where('email', 'in', emails));
+    }
+
+    // Prefijo sobre el nombre guardado: distingue mayúsculas y acentos
+    const firstWord = normalizeName(contact.name) ? String(contact.name).trim().split(/\s+/)[0] : null;
+    if (firstWord) {
+      queries.push(this.scopedContacts()
+        .where('name', '>=', firstWord)
+        .where('name', '<', `${firstWord}\uf8ff`)
+        .limit(NAME_CANDIDATES_LIMIT));
+    }
+
+    const snapshots = await Promise.all(queries.map(query => query.get()));
+    const byId = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+      if (doc.id !== contact.id) byId.set(doc.id, new Contact({ id: doc.id, ...doc.data() }));
+    }));
+
+    return Array.from(byId.values()).filter(candidate => this.isMergeable(candidate));
+  }
+
+  /**
+   * Grupos de duplicados con el superviviente sugerido
+   * (más mensajes; a igualdad, el más antiguo)
+   */
+  static async findDuplicates({ nameThreshold = NAME_SIMILARITY_THRESHOLD, limit = 50 } = {}) {
+    const contacts = await this.loadActiveContacts();
+    const byId = new Map(contacts.map(contact => [contact.id, contact]));
+
+    return findDuplicateGroups(contacts, { nameThreshold })
+      .map(group => {
+        const members = group.contactIds.map(id => byId.get(id));
+        const survivor = [...members].sort((a, b) =>
+          (b.totalMessages || 0) - (a.totalMessages || 0) ||
+          (toDate(a.createdAt)?.getTime() || 0) - (toDate(b.createdAt)?.getTime() || 0)
+        )[0];
+
+        return {
+          contactIds: group.contactIds,
+          suggestedSurvivorId: survivor.id,
+          reasons: group.reasons,
+          contacts: members.map(contact => contact.toJSON())
+        };
+      })
+      .sort((a, b) => b.contactIds.length - a.contactIds.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * Duplicados de un contacto concreto
+   */
+  static async findDuplicatesFor(contactId, { nameThreshold = NAME_SIMILARITY_THRESHOLD } = {}) {
+    const contact = await Contact.getById(contactId);
+    if (!contact || !this.isMergeable(contact)) return [];
+
+    const candidates = await this.loadCandidatesFor(contact);
+    const byId = new Map(candidates.map(candidate => [candidate.id, candidate]));
+
+    const group = findDuplicateGroups([contact, ...candidates], { nameThreshold })
+      .find(item => item.contactIds.includes(contactId));
+    if (!group) return [];
+
+    return group.contactIds
+      .filter(id => id !== contactId)
+      .map(id => ({
+        contact: byId.get(id).toJSON(),
+        reasons: group.reasons.filter(reason => reason.contactIds.includes(id))
+      }));
+  }
+
+  /**
+   * Cambios al superviviente: une tags, customFields faltantes, correo,
+   * nombre (si el suyo es solo un teléfono) y teléfonos alternos
+   * @returns {{ updates: object, changes: object, conflicts: Array }}
+   */
+  static planSurvivorChanges(survivor, mergedContacts, { movedConversationIds = [] } = {}) {
+    const tags = [...(survivor.tags || [])];
+    const customFields = { ...(survivor.customFields || {}) };
+    const knownPhones = new Set([survivor.phone, ...(survivor.alternatePhones || [])].map(phoneKey).filter(Boolean));
+    const changes = {
+      addedTags: [],
+      addedCustomFields: [],
+      emailSet: null,
+      nameSet: null,
+      previousName: null,
+      addedPhones: [],
+      addedConversationIds: movedConversationIds.filter(id => !(survivor.conversationIds || []).includes(id)),
+      addedTotalMessages: 0
+    };
+    const conflicts = [];
+    const updates = {};
+
+    for (const merged of mergedContacts) {
+      for (const tag of merged.tags || []) {
+        if (!tags.includes(tag)) {
+          tags.push(tag);
+          changes.addedTags.push(tag);
+        }
+      }
+
+      for (const [field, value] of Object.entries(merged.customFields || {})) {
+        if (!(field in customFields)) {
+          customFields[field] = value;
+          changes.addedCustomFields.push(field);
+        } else if (JSON.stringify(customFields[field]) !== JSON.stringify(value)) {
+          conflicts.push({ field: `customFields.${field}`, kept: customFields[field], discarded: value, contactId: merged.id });
+        }
+      }
+
+      if (merged.email && !survivor.email && !changes.emailSet) {
+        changes.emailSet = merged.email;
+      } else if (merged.email && (survivor.email || changes.emailSet) !== merged.email) {
+        conflicts.push({ field: 'email', kept: survivor.email || changes.emailSet, discarded: merged.email, contactId: merged.id });
+      }
+
+      if (!normalizeName(survivor.name) && !changes.nameSet && normalizeName(merged.name)) {
+        changes.nameSet = merged.name;
+        changes.previousName = survivor.name || null;
+      }
+
+      for (const phone of [merged.phone, ...(merged.alternatePhones || [])]) {
+        const key = phoneKey(phone);
+        if (phone && key && !knownPhones.has(key)) {
+          knownPhones.add(key);
+          changes.addedPhones.push(phone);
+        }
+      }
+
+      changes.addedTotalMessages += merged.totalMessages || 0;
+    }
+
+    if (changes.addedTags.length > 0) updates.tags = tags;
+    if (changes.addedCustomFields.length > 0) updates.customFields = customFields;
+    if (changes.emailSet) updates.email = changes.emailSet;
+    if (changes.nameSet) updates.name = changes.nameSet;
+    if (changes.addedPhones.length > 0) updates.alternatePhones = [...(survivor.alternatePhones || []), ...changes.addedPhones];
+    if (changes.addedConversationIds.length > 0) {
+      updates.conversationIds = [...(survivor.conversationIds || []), ...changes.addedConversationIds];
+    }
+    if (changes.addedTotalMessages > 0) updates.totalMessages = (survivor.totalMessages || 0) + changes.addedTotalMessages;
+
+    return { updates, changes, conflicts };
+  }
+
+  /**
+   * Revertir en el superviviente solo lo que aportó la fusión
+   * (las ediciones posteriores a otros campos se conservan)
+   */
+  static planSurvivorRevert(survivor, changes) {
+    const without = (list, removed = []) => (list || []).filter(item => !removed.includes(item));
+    const updates = {};
+
+    if (changes.addedTags?.length) updates.tags = without(survivor.tags, changes.addedTags);
+    if (changes.addedCustomFields?.length) {
+      updates.customFields = Object.fromEntries(
+        Object.entries(survivor.customFields || {}).filter(([field]) => !changes.addedCustomFields.includes(field))
+      );
+    }
+    if (changes.emailSet && survivor.email === changes.emailSet) updates.email = null;
+    if (changes.nameSet && survivor.name === changes.nameSet) updates.name = changes.previousName;
+    if (changes.addedPhones?.length) updates.alternatePhones = without(survivor.alternatePhones, changes.addedPhones);
+    if (changes.addedConversationIds?.length) {
+      updates.conversationIds = without(survivor.conversationIds, changes.addedConversationIds);
+    }
+    if (changes.addedTotalMessages) {
+      updates.totalMessages = Math.max(0, (survivor.totalMessages || 0) - changes.addedTotalMessages);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Fusionar contactos en el superviviente
+   */
+  static async merge({ survivorId, mergedIds, reason = null, user }) {
+    const uniqueMergedIds = [...new Set(mergedIds)];
+    if (uniqueMergedIds.includes(survivorId)) {
+      throw ApiError.validationError('El contacto superviviente no puede estar entre los fusionados');
+    }
+
+    const survivor = await Contact.getById(survivorId);
+    if (!survivor) {
+      throw ApiError.notFoundError(`Contacto ${survivorId} no encontrado`);
+    }
+    if (survivor.mergedInto || survivor.isActive === false) {
+      throw ApiError.conflictError(`El contacto ${survivorId} está inactivo o ya fue fusionado`);
+    }
+
+    const mergedContacts = [];
+    for (const contactId of uniqueMergedIds) {
+      const contact = await Contact.getById(contactId);
+      if (!contact) {
+        throw ApiError.notFoundError(`Contacto ${contactId} no encontrado`);
+      }
+      if (contact.mergedInto) {
+        throw ApiError.conflictError(`El contacto ${contactId} ya fue fusionado en ${contact.mergedInto}`);
+      }
+      mergedContacts.push(contact);
+    }
+
+    const record = await ContactMerge.create({
+      survivorId,
+      mergedIds: uniqueMergedIds,
+      reason,
+      mergedContacts: mergedContacts.map(contact => ({
+        id: contact.id,
+        name: contact.name,
+        phone: contact.phone,
+        email: contact.email,
+        isActive: contact.isActive !== false
+      })),
+      workspaceId: user.workspaceId || null,
+      tenantId: user.tenantId || null,
+      mergedBy: user.email
+    });
+
+    const moves = [];
+    try {
+      for (const contact of mergedContacts) {
+        const conversationIds = await this.listConversationIds(contact.id);
+        for (const conversationId of conversationIds) {
+          moves.push(await this.moveConversation({ fromContactId: contact.id, toContactId: survivorId, conversationId }));
+        }
+        // Se registra por contacto para poder deshacer una fusión a medias
+        await record.recordConversations(moves);
+      }
+
+      const { updates, changes, conflicts } = this.planSurvivorChanges(survivor, mergedContacts, {
+        movedConversationIds: moves.filter(move => move.mode === 'moved').map(move => move.conversationId)
+      });
+      if (Object.keys(updates).length > 0) {
+        await Contact.update(survivorId, updates);
+      }
+
+      for (const contact of mergedContacts) {
+        await Contact.update(contact.id, {
+          isActive: false,
+          mergedInto: survivorId,
+          mergeId: record.id,
+          mergedAt: new Date()
+        });
+      }
+
+      await record.update({ status: 'completed', survivorChanges: changes, conflicts });
+    } catch (error) {
+      await record.update({ status: 'failed', error: error.message });
+      logger.error('❌ Error fusionando contactos', {
+        mergeId: record.id,
+        survivorId,
+        mergedIds: uniqueMergedIds,
+        movedConversations: moves.length,
+        error: error.message
+      });
+      throw error;
+    }
+
+    logger.info('🔗 Contactos fusionados', {
+      mergeId: record.id,
+      survivorId,
+      mergedIds: uniqueMergedIds,
+      conversations: moves.length,
+      conflicts: record.conflicts.length,
+      mergedBy: user.email
+    });
+
+    return record;
+  }
+
+  /**
+   * Deshacer una fusión: devuelve conversaciones y mensajes a su contacto
+   * original, reactiva los fusionados y revierte lo aportado al superviviente
+   */
+  static async undo(mergeId, user) {
+    const record = await ContactMerge.getById(mergeId);
+    if (!record) {
+      throw ApiError.notFoundError(`Fusión ${mergeId} no encontrada`);
+    }
+    if (!['completed', 'failed'].includes(record.status)) {
+      throw ApiError.conflictError(`No se puede deshacer una fusión en estado ${record.status}`);
+    }
+
+    const mergedContacts = [];
+    for (const contactId of record.mergedIds) {
+      const contact = await Contact.getById(contactId);
+      if (contact?.mergedInto && contact.mergedInto !== record.survivorId) {
+        throw ApiError.conflictError(`El contacto ${contactId} fue fusionado después en ${contact.mergedInto}`);
+      }
+      if (contact) mergedContacts.push(contact);
+    }
+
+    for (const move of [...record.conversations].reverse()) {
+      await this.restoreConversation(move, record.survivorId);
+    }
+
+    const survivor = await Contact.getById(record.survivorId);
+    if (survivor) {
+      const updates = this.planSurvivorRevert(survivor, record.survivorChanges);
+      if (Object.keys(updates).length > 0) {
+        await Contact.update(record.survivorId, updates);
+      }
+    }
+
+    for (const contact of mergedContacts) {
+      const previous = record.mergedContacts.find(item => item.id === contact.id);
+      await this.contactRef(contact.id).update({
+        isActive: previous ? previous.isActive !== false : true,
+        mergedInto: FieldValue.delete(),
+        mergeId: FieldValue.delete(),
+        mergedAt: FieldValue.delete(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+
+    await record.update({ status: 'undone', undoneBy: user.email, undoneAt: new Date() });
+
+    logger.info('↩️ Fusión de contactos deshecha', {
+      mergeId,
+      survivorId: record.survivorId,
+      restoredContacts: mergedContacts.length,
+      conversations: record.conversations.length,
+      undoneBy: user.email
+    });
+
+    return record;
+  }
+
+  /**
+   * Mover una conversación al superviviente
+   * Si ya tiene una con el mismo ID (mismo teléfono duplicado) se combinan los mensajes
+   */
+  static async moveConversation({ fromContactId, toContactId, conversationId }) {
+    const sourceRef = this.conversationRef(fromContactId, conversationId);
+    const targetRef = this.conversationRef(toContactId, conversationId);
+
+    const [sourceDoc, targetDoc, messagesSnapshot] = await Promise.all([
+      sourceRef.get(),
+      targetRef.get(),
+      sourceRef.collection('messages').get()
+    ]);
+    const sourceData = sourceDoc.data() || {};
+    const operations = [];
+
+    messagesSnapshot.docs.forEach(doc => {
+      operations.push(batch => batch.set(targetRef.collection('messages').doc(doc.id), doc.data()));
+      operations.push(batch => batch.delete(doc.ref));
+    });
+
+    const move = {
+      conversationId,
+      fromContactId,
+      mode: targetDoc.exists ? 'combined' : 'moved',
+      messageCount: messagesSnapshot.size
+    };
+
+    if (targetDoc.exists) {
+      const targetData = targetDoc.data();
+      const sourceLast = toDate(sourceData.lastMessageAt);
+      const targetLast = toDate(targetData.lastMessageAt);
+      const targetUpdate = {
+        messageCount: FieldValue.increment(messagesSnapshot.size),
+        updatedAt: new Date()
+      };
+      if (sourceLast && (!targetLast || sourceLast > targetLast)) {
+        targetUpdate.lastMessage = sourceData.lastMessage || null;
+        targetUpdate.lastMessageAt = sourceData.lastMessageAt;
+      }
+      operations.push(batch => batch.update(targetRef, targetUpdate));
+
+      Object.assign(move, {
+        messageIds: messagesSnapshot.docs.map(doc => doc.id),
+        conversationData: sourceData,
+        previousLastMessage: { lastMessage: targetData.lastMessage || null, lastMessageAt: targetData.lastMessageAt || null }
+      });
+    } else {
+      operations.push(batch => batch.set(targetRef, { ...sourceData, mergedFromContactId: fromContactId, updatedAt: new Date() }));
+    }
+    operations.push(batch => batch.delete(sourceRef));
+
+    await this.commitOperations(operations);
+    return move;
+  }
+
+  /**
+   * Devolver una conversación movida a su contacto original
+   */
+  static async restoreConversation(move, survivorId) {
+    const currentRef = this.conversationRef(survivorId, move.conversationId);
+    const originalRef = this.conversationRef(move.fromContactId, move.conversationId);
+    const operations = [];
+
+    if (move.mode === 'moved') {
+      // Se devuelve completa, incluidos los mensajes recibidos tras la fusión
+      const [currentDoc, messagesSnapshot] = await Promise.all([
+        currentRef.get(),
+        currentRef.collection('messages').get()
+      ]);
+      if (!currentDoc.exists) return;
+
+      const { mergedFromContactId, ...conversationData } = currentDoc.data();
+      operations.push(batch => batch.set(originalRef, { ...conversationData, updatedAt: new Date() }));
+      messagesSnapshot.docs.forEach(doc => {
+        operations.push(batch => batch.set(originalRef.collection('messages').doc(doc.id), doc.data()));
+        operations.push(batch => batch.delete(doc.ref));
+      });
+      operations.push(batch => batch.delete(currentRef));
+    } else {
+      const currentDoc = await currentRef.get();
+      const messageDocs = await Promise.all(
+        (move.messageIds || []).map(messageId => currentRef.collection('messages').doc(messageId).get())
+      );
+      const restored = messageDocs.filter(doc => doc.exists);
+
+      operations.push(batch => batch.set(originalRef, move.conversationData || {}));
+      restored.forEach(doc => {
+        operations.push(batch => batch.set(originalRef.collection('messages').doc(doc.id), doc.data()));
+        operations.push(batch => batch.delete(doc.ref));
+      });
+
+      if (currentDoc.exists) {
+        const currentUpdate = {
+          messageCount: FieldValue.increment(-restored.length),
+          updatedAt: new Date()
+        };
+        const lastMessageId = currentDoc.data().lastMessage?.messageId;
+        if (lastMessageId && move.messageIds.includes(lastMessageId)) {
+          currentUpdate.lastMessage = move.previousLastMessage?.lastMessage || null;
+          currentUpdate.lastMessageAt = move.previousLastMessage?.lastMessageAt || null;
+        }
+        operations.push(batch => batch.update(currentRef, currentUpdate));
+      }
+    }
+
+    await this.commitOperations(operations);
+  }
+
+  /**
+   * Ejecutar escrituras en lotes (límite de Firestore: 500 por batch)
+   */
+  static async commitOperations(operations) {
+    for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+      const batch = firestore.batch();
+      operations.slice(i, i + BATCH_LIMIT).forEach(operation => operation(batch));
+      await batch.commit();
+    }
+  }
+
+  static async listConversationIds(contactId) {
+    const snapshot = await this.contactRef(contactId).collection('conversations').get();
+    return snapshot.docs.map(doc => doc.id);
+  }
+
+  static contactRef(contactId) {
+    return firestore.collection('contacts').doc(contactId);
+  }
+
+  static conversationRef(contactId, conversationId) {
+    return this.contactRef(contactId).collection('conversations').doc(conversationId);
+  }
+}
+
+module.exports = ContactMergeService;
@@ -10,6 +10,7 @@
 
 const { firestore, FieldValue } = require('../config/firebase');
 const logger = require('../utils/logger');
+const { getTenant, scopeQuery, withTenant, belongsToTenant } = require('../utils/tenantContext');
 
 class ConversationService {
   /**
@@ -19,7 +20,7 @@ class ConversationService {
   static async getConversations(filters = {}) {
     try {
       // Consultar en la estructura contacts/{contactId}/conversations
-      const contactsSnapshot = await firestore.collection('contacts').get();
+      const contactsSnapshot = await scopeQuery(firestore.collection('contacts')).get();
       
       let allConversations = [];
       
@@ -131,8 +132,8 @@ class ConversationService {
    */
   static async getConversationById(id) {
     try {
-      // Buscar en todos los contactos ya que no tenemos el contactId
-      const contactsSnapshot = await firestore.collection('contacts').get();
+      // Buscar en los contactos del workspace ya que no tenemos el contactId
+      const contactsSnapshot = await scopeQuery(firestore.collection('contacts')).get();
       
       for (const contactDoc of contactsSnapshot.docs) {
         const contactId = contactDoc.id;
@@ -144,6 +145,11 @@ class ConversationService {
           .get();
         
         if (conversationDoc.exists) {
+          // Los IDs se derivan del teléfono: otro workspace puede tener el mismo
+          if (!belongsToTenant(conversationDoc.data())) {
+            continue;
+          }
+
           // 🔧 OBTENER INFORMACIÓN COMPLETA DEL CONTACTO
           const contactData = contactDoc.data();
           
@@ -216,6 +222,12 @@ class ConversationService {
         // No bloquear creación si falla el listado de usuarios
       }
 
+      // Con contexto se impone el workspace del JWT
+      const tenant = withTenant({
+        workspaceId: conversationData.workspaceId,
+        tenantId: conversationData.tenantId
+      });
+
       // Preparar datos de la conversación
       const conversation = {
         ...conversationData,
@@ -225,8 +237,8 @@ class ConversationService {
         status: conversationData.status || 'open',
         unreadCount: conversationData.unreadCount || 0,
         messageCount: conversationData.messageCount || 0,
-        workspaceId: conversationData.workspaceId || 'default_workspace',
-        tenantId: conversationData.tenantId || 'default_tenant',
+        workspaceId: tenant.workspaceId,
+        tenantId: tenant.tenantId,
         priority: conversationData.priority || 'normal',
         tags: Array.isArray(conversationData.tags) ? conversationData.tags : [],
         participants: Array.isArray(conversationData.participants) ? conversationData.participants : []
@@ -247,7 +259,7 @@ class ConversationService {
       conversation.participants = Array.from(participantsSet);
 
       // Buscar o crear el contacto
-      const contactId = await this.getOrCreateContactId(conversationData.customerPhone, conversationData.customerName);
+      const contactId = await this.getOrCreateContactId(conversationData.customerPhone, conversationData.customerName, tenant);
       
       // Crear la conversación en la subcolección del contacto
       const conversationRef = firestore
@@ -323,9 +335,9 @@ class ConversationService {
   }
 
   /**
-   * Obtener o crear el ID del contacto
+   * Obtener o crear el ID del contacto dentro del workspace
    */
-  static async getOrCreateContactId(customerPhone, customerName) {
+  static async getOrCreateContactId(customerPhone, customerName, tenant = getTenant()) {
     try {
       // 🔒 BÚSQUEDA ROBUSTA DE CONTACTO: Normalizar teléfono y buscar múltiples variantes
       const originalPhone = customerPhone;
@@ -338,16 +350,14 @@ class ConversationService {
       });
 
       // Buscar por teléfono normalizado primero
-      let contactsSnapshot = await firestore
-        .collection('contacts')
+      let contactsSnapshot = await scopeQuery(firestore.collection('contacts'), tenant)
         .where('phone', '==', normalizedPhone)
         .limit(1)
         .get();
       
       // Si no se encuentra con normalizado, buscar con el original
       if (contactsSnapshot.empty && normalizedPhone !== originalPhone) {
-        contactsSnapshot = await firestore
-          .collection('contacts')
+        contactsSnapshot = await scopeQuery(firestore.collection('contacts'), tenant)
           .where('phone', '==', originalPhone)
           .limit(1)
           .get();
@@ -358,8 +368,7 @@ class ConversationService {
         const phoneVariants = this.generatePhoneVariants(originalPhone);
         for (const variant of phoneVariants) {
           if (variant !== normalizedPhone && variant !== originalPhone) {
-            const variantQuery = await firestore
-              .collection('contacts')
+            const variantQuery = await scopeQuery(firestore.collection('contacts'), tenant)
               .where('phone', '==', variant)
               .limit(1)
               .get();
@@ -396,8 +405,7 @@ class ConversationService {
       });
 
       // ÚLTIMA VERIFICACIÓN antes de crear: buscar de nuevo por si hay condición de carrera
-      const finalCheck = await firestore
-        .collection('contacts')
+      const finalCheck = await scopeQuery(firestore.collection('contacts'), tenant)
         .where('phone', '==', normalizedPhone)
         .limit(1)
         .get();
@@ -427,7 +435,7 @@ class ConversationService {
         updatedAt: FieldValue.serverTimestamp()
       };
 
-      const newContactRef = await firestore.collection('contacts').add(newContactData);
+      const newContactRef = await firestore.collection('contacts').add(withTenant(newContactData, tenant));
       
       logger.info('✅ Nuevo contacto creado exitosamente', {
         contactId: newContactRef.id,
@@ -460,8 +468,8 @@ class ConversationService {
         updatedAt: FieldValue.serverTimestamp()
       };
 
-      // Buscar la conversación en todos los contactos para obtener el contactId
-      const contactsSnapshot = await firestore.collection('contacts').get();
+      // Buscar la conversación en los contactos del workspace para obtener el contactId
+      const contactsSnapshot = await scopeQuery(firestore.collection('contacts')).get();
       
       for (const contactDoc of contactsSnapshot.docs) {
         const contactId = contactDoc.id;
@@ -473,7 +481,7 @@ class ConversationService {
         
         const conversationDoc = await conversationRef.get();
         
-        if (conversationDoc.exists) {
+        if (conversationDoc.exists && belongsToTenant(conversationDoc.data())) {
           await conversationRef.update(updateData);
           
           logger.info('✅ Conversación actualizada en contacts/{contactId}/conversations', {
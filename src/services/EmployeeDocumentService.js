@@ -30,6 +30,8 @@ class EmployeeDocumentService {
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'text/plain',
       'text/csv',
+      'application/xml',
+      'text/xml',
       
       // Imágenes
       'image/jpeg',
@@ -77,7 +79,7 @@ class EmployeeDocumentService {
 
     // Validar extensión
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.txt', '.csv', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp3', '.wav', '.mp4', '.webm'];
+    const allowedExtensions = ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.txt', '.csv', '.xml', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp3', '.wav', '.mp4', '.webm'];
     if (!allowedExtensions.includes(ext)) {
       errors.push(`Extensión de archivo no permitida: ${ext}`);
     }
@@ -2,11 +2,25 @@ const ExtrasMovement = require('../models/ExtrasMovement');
 const Employee = require('../models/Employee');
 const VacationBalance = require('../models/VacationBalance');
 
+// Tipos de movimiento que suman a la nómina; el resto se descuenta
+const ADDITIVE_MOVEMENT_TYPES = ['overtime', 'bonus'];
+
 /**
  * Servicio de Extras y Movimientos de Nómina
  * Contiene toda la lógica de negocio para gestión de movimientos
  */
 class ExtrasService {
+  /**
+   * Determina si un movimiento suma o resta en nómina
+   * Los movimientos guardados no persisten impactType, se infiere del tipo
+   */
+  static getImpactType(movement) {
+    if (movement.impactType) {
+      return movement.impactType;
+    }
+    return ADDITIVE_MOVEMENT_TYPES.includes(movement.type) ? 'add' : 'subtract';
+  }
+
   /**
    * Registra un movimiento de nómina
    */
@@ -211,7 +225,7 @@ class ExtrasService {
       movements.forEach(movement => {
         const amount = movement.calculatedAmount || movement.amount;
         
-        if (movement.impactType === 'add') {
+        if (this.getImpactType(movement) === 'add') {
           summary.totalToAdd += amount;
         } else {
           summary.totalToSubtract += amount;
@@ -447,7 +461,7 @@ class ExtrasService {
       movements.forEach(movement => {
         const amount = movement.calculatedAmount || movement.amount;
         
-        if (movement.impactType === 'add') {
+        if (this.getImpactType(movement) === 'add') {
           impact.totalToAdd += amount;
           if (movement.type === 'overtime') {
             impact.breakdown.overtime += amount;
@@ -6196,6 +6196,7 @@ class FileService {
       const { 
         fileId, 
         conversationId, 
+        messageId = null,
         originalName, 
         mimetype, 
         category, 
@@ -6217,6 +6218,7 @@ class FileService {
       const fileRecord = await File.create({
         id: fileId,
         conversationId,
+        messageId,
         originalName,
         mimetype,
         category,
@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { firestore } = require('../config/firebase');
+const User = require('../models/User');
+const Mention = require('../models/Mention');
+const { getConversationsRepository } = require('../repositories/ConversationsRepository');
+const {
+  INTERNAL_NOTE_TYPE,
+  excludeInternalNotes,
+  extractMentionTokens
+} = require('../utils/internalNotes');
+
+const EXCERPT_LENGTH = 140;
+
+/**
+ * 🎯 SERVICIO DE NOTAS INTERNAS Y MENCIONES
+ *
+ * Notas que el equipo deja dentro de una conversación sin enviarlas al
+ * cliente. Las @menciones (@correo o @usuario) se resuelven contra los
+ * usuarios activos, generan una entrada en el feed de menciones de cada
+ * usuario y una notificación en tiempo real a su sala personal.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class InternalNoteService {
+
+  /**
+   * Resolver menciones del texto y explícitas contra usuarios activos
+   * @returns {Promise<{ users: object[], unresolved: string[] }>}
+   */
+  static async resolveMentions(content, explicitMentions = [], { authorEmail = null } = {}) {
+    const tokens = new Set([
+      ...extractMentionTokens(content),
+      ...explicitMentions.map(mention => String(mention).replace(/^@/, '').toLowerCase())
+    ]);
+    if (tokens.size === 0) return { users: [], unresolved: [] };
+
+    const activeUsers = await User.getAllActive();
+    const resolved = new Map();
+    const unresolved = [];
+
+    tokens.forEach(token => {
+      const matches = activeUsers.filter(user => {
+        const email = String(user.email || '').toLowerCase();
+        return token.includes('@') ? email === token : email.split('@')[0] === token;
+      });
+
+      if (matches.length === 0) {
+        unresolved.push(token);
+        return;
+      }
+      matches.forEach(user => resolved.set(user.email.toLowerCase(), user));
+    });
+
+    const author = String(authorEmail || '').toLowerCase();
+    const users = Array.from(resolved.values())
+      .filter(user => user.email.toLowerCase() !== author)
+      .map(user => ({ email: user.email.toLowerCase(), name: user.name || null }));
+
+    return { users, unresolved };
+  }
+
+  /**
+   * Extracto de la nota para el feed de menciones
+   */
+  static buildExcerpt(content) {
+    const text = String(content || '').replace(/\s+/g, ' ').trim();
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * Crear nota interna, registrar menciones y notificar
+   */
+  static async createNote({ conversation, author, content, mentions = [] }) {
+    const { users, unresolved } = await this.resolveMentions(content, mentions, { authorEmail: author.email });
+    const workspaceId = conversation.workspaceId || author.workspaceId || null;
+    const tenantId = conversation.tenantId || author.tenantId || null;
+
+    const { message, idempotent } = await getConversationsRepository().appendInternalNote({
+      contactId: conversation.contactId,
+      conversationId: conversation.id,
+      messageId: `NOTE_${uuidv4()}`,
+      content,
+      authorEmail: author.email,
+      authorName: author.name,
+      mentions: users.map(user => user.email),
+      workspaceId,
+      tenantId
+    });
+
+    const excerpt = this.buildExcerpt(content);
+    const created = idempotent ? [] : await Promise.all(users.map(user => Mention.create({
+      userEmail: user.email,
+      conversationId: conversation.id,
+      contactId: conversation.contactId,
+      messageId: message.id,
+      authorEmail: author.email,
+      authorName: author.name,
+      excerpt,
+      workspaceId,
+      tenantId
+    })));
+
+    logger.info('📝 Nota interna creada', {
+      conversationId: conversation.id,
+      messageId: message.id,
+      author: author.email,
+      mentions: users.length,
+      unresolved: unresolved.join(',')
+    });
+
+    if (!idempotent) {
+      await this.notify({ conversation, message, mentions: created, workspaceId, tenantId });
+    }
+
+    return { message, mentions: created, unresolved };
+  }
+
+  /**
+   * Emitir la nota a la sala de la conversación y la mención a cada usuario
+   */
+  static async notify({ conversation, message, mentions, workspaceId, tenantId }) {
+    try {
+      const { getSocketManager } = require('../socket');
+      const rt = getSocketManager();
+      if (!rt) return;
+
+      rt.broadcastToConversation({
+        workspaceId: workspaceId || 'default_workspace',
+        tenantId: tenantId || 'default_tenant',
+        conversationId: conversation.id,
+        event: 'internal-note',
+        payload: { conversationId: conversation.id, message }
+      });
+
+      for (const mention of mentions) {
+        const unreadCount = await Mention.countUnread(mention.userEmail);
+        rt.emitMention({ userEmail: mention.userEmail, mention: mention.toJSON(), unreadCount });
+      }
+    } catch (error) {
+      logger.warn('⚠️ No se pudo notificar la nota interna', {
+        conversationId: conversation.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Notas internas de la conversación (orden cronológico)
+   */
+  static async listNotes(conversation) {
+    const snapshot = await this.messagesRef(conversation)
+      .where('type', '==', INTERNAL_NOTE_TYPE)
+      .orderBy('timestamp', 'asc')
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Transcripción para el cliente: sin notas internas salvo includeInternalNotes
+   */
+  static async buildTranscript(conversation, { includeInternalNotes = false } = {}) {
+    const snapshot = await this.messagesRef(conversation).orderBy('timestamp', 'asc').get();
+    const messages = excludeInternalNotes(
+      snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(message => !message.metadata?.isInitialPlaceholder),
+      { includeInternalNotes }
+    );
+
+    const toISO = (value) => {
+      if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+      if (value instanceof Date) return value.toISOString();
+      return value || null;
+    };
+
+    return messages.map(message => ({
+      id: message.id,
+      timestamp: toISO(message.timestamp),
+      direction: message.direction,
+      type: message.type,
+      sender: message.direction === 'inbound'
+        ? (conversation.contact?.name || message.senderIdentifier)
+        : (message.metadata?.authorName || message.senderIdentifier),
+      content: message.content || ''
+    }));
+  }
+
+  /**
+   * Texto plano de la transcripción
+   */
+  static formatTranscriptText(conversation, entries) {
+    const header = `Conversación ${conversation.id} - ${conversation.contact?.name || conversation.customerPhone || ''}`.trim();
+    const lines = entries.map(entry => {
+      const label = entry.direction === 'internal' ? `[Nota interna] ${entry.sender}` : entry.sender;
+      return `[${entry.timestamp}] ${label}: ${entry.content}`;
+    });
+
+    return [header, '', ...lines].join('\n');
+  }
+
+  static messagesRef(conversation) {
+    return firestore
+      .collection('contacts').doc(conversation.contactId)
+      .collection('conversations').doc(conversation.id)
+      .collection('messages');
+  }
+}
+
+module.exports = InternalNoteService;
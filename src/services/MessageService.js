@@ -12,7 +12,10 @@ const { firestore, FieldValue, Timestamp } = require('../config/firebase');
 const FileService = require('./FileService');
 const { getConversationsRepository } = require('../repositories/ConversationsRepository');
 const { integrateAIWithIncomingMessage } = require('./AIWebhookIntegration');
+const { ensureConversationAssignment } = require('../utils/agentAssignment');
 const { ApiError } = require('../utils/responseHandler');
+const { getDefaultTenant, runWithTenant } = require('../utils/tenantContext');
+const { resolveInboundTenant } = require('../config/twilioRouting');
 
 /**
  * Servicio centralizado para toda la lógica de mensajes
@@ -380,8 +383,10 @@ class MessageService {
       // Resolver routing Twilio (config + ENV)
       const { resolveRouting } = require('../config/twilioRouting');
       const routing = resolveRouting({ toPhone: toPhone, fromPhone: fromPhone });
-      const routingWorkspaceId = routing?.workspaceId || derivedWorkspaceId;
-      const routingTenantId = routing?.tenantId || derivedTenantId;
+      // Workspace del número destino o de la conversación existente
+      const inboundTenant = await resolveInboundTenant({ toPhone, fromPhone, conversationId });
+      const routingWorkspaceId = inboundTenant.workspaceId;
+      const routingTenantId = inboundTenant.tenantId;
       const routingAgentEmail = routing?.agentEmail || derivedAgentEmail;
 
       // Extraer nombre del cliente (WhatsApp ProfileName)
@@ -392,6 +397,7 @@ class MessageService {
         logger.info('write.shape_inbound', {
           sources: {
             hasRoutingConfig: !!routing,
+            workspaceSource: inboundTenant.source,
             envWorkspace: !!derivedWorkspaceId,
             envTenant: !!derivedTenantId,
             envDefaultAgent: !!derivedAgentEmail
@@ -585,6 +591,35 @@ class MessageService {
         idempotent: result.idempotent
       });
 
+      // 🎯 ASIGNACIÓN AUTOMÁTICA DE AGENTE (en background)
+      if (!result.idempotent && !result.primaryAgent) {
+        setImmediate(async () => {
+          try {
+            const contactDoc = result.contactId
+              ? await firestore.collection('contacts').doc(result.contactId).get()
+              : null;
+            const contactTags = contactDoc?.exists ? (contactDoc.data().tags || []) : [];
+
+            await ensureConversationAssignment({
+              id: result.message.conversationId,
+              customerPhone: fromPhone,
+              workspaceId: routingWorkspaceId,
+              tenantId: routingTenantId,
+              tags: result.tags || []
+            }, {
+              strategy: routing?.assignmentStrategy,
+              contact: { id: result.contactId, tags: [...contactTags, ...(routing?.skills || [])] }
+            });
+          } catch (assignmentError) {
+            logger.error('❌ Error en asignación automática (no crítico)', {
+              requestId,
+              conversationId: result.message.conversationId,
+              error: assignmentError.message
+            });
+          }
+        });
+      }
+
       // 🤖 INTEGRACIÓN DE IA CON WEBHOOK (FASE G)
       // Ejecutar en background para no afectar la respuesta del webhook
       setImmediate(async () => {
@@ -609,8 +644,8 @@ class MessageService {
             const socketManager = require('../socket').getSocketManager();
             if (socketManager) {
               socketManager.broadcastToConversation({
-                workspaceId: 'default_workspace',
-                tenantId: 'default_tenant',
+                workspaceId: routingWorkspaceId,
+                tenantId: routingTenantId,
                 conversationId: result.message.conversationId,
                 event: 'suggestion:new',
                 payload: {
@@ -1277,7 +1312,7 @@ class MessageService {
 
       // emitRealTimeEvent ahora está en MessageService
       const messageService = getMessageService();
-      await messageService.emitRealTimeEvent(conversation.id, message);
+      await messageService.emitRealTimeEvent(conversation.id, message, conversation);
 
       logger.info('✅ UPDATECONVERSATION - EVENTO EMITIDO', {
         requestId,
@@ -1911,6 +1946,7 @@ class MessageService {
             const fileRecord = await fileService.saveIncomingFileToDatabase({
               fileId: processedFile.fileId,
               conversationId: generateConversationId(normalizedToPhone, normalizedFromPhone),
+              messageId: twilioSid,
               originalName: `incoming_${messageType}_${Date.now()}.${processedFile.mimetype?.split('/')?.pop() || 'file'}`,
               mimetype: processedFile.mimetype,
               category: processedFile.category,
@@ -1955,6 +1991,13 @@ class MessageService {
       // PASO 5: Generar ID de conversación (cliente primero)
       const conversationId = generateConversationId(normalizedToPhone, normalizedFromPhone);
 
+      // Workspace del mensaje: número de WhatsApp destino o conversación existente
+      const inboundTenant = await resolveInboundTenant({
+        toPhone: normalizedToPhone,
+        fromPhone: normalizedFromPhone,
+        conversationId
+      });
+
       // PASO 6: Crear datos del mensaje
       const messageData = {
         id: twilioSid,
@@ -2061,14 +2104,84 @@ class MessageService {
         metadata: messageData.metadata,
         attachments: messageData.attachments,
         twilioSid: messageData.twilioSid,
-        workspaceId: 'default_workspace', // TODO: obtener del contexto
-        tenantId: 'default_tenant' // TODO: obtener del contexto
+        workspaceId: inboundTenant.workspaceId,
+        tenantId: inboundTenant.tenantId
       });
 
       const savedMessage = savedResult.message;
 
       // PASO 9: Emitir evento en tiempo real
-      await this.emitRealTimeEvent(conversationId, savedMessage);
+      await this.emitRealTimeEvent(conversationId, savedMessage, inboundTenant);
+
+      // PASO 10: Palabras clave de baja (STOP/BAJA/CANCELAR) → lista de supresión
+      let optOut = { optedOut: false };
+      try {
+        const SuppressionService = require('./SuppressionService');
+        // La baja aplica solo al workspace que recibió el mensaje
+        optOut = await runWithTenant(inboundTenant, () =>
+          SuppressionService.handleInboundMessage(normalizedFromPhone, content)
+        );
+      } catch (optOutError) {
+        logger.error('❌ MESSAGESERVICE - ERROR PROCESANDO BAJA', {
+          requestId,
+          from: normalizedFromPhone,
+          error: optOutError.message,
+          step: 'opt_out_error'
+        });
+      }
+
+      // PASO 11: Clasificar sentimiento/intención (no bloquea la respuesta al webhook)
+      if (!savedResult.idempotent && !optOut.optedOut) {
+        const { sentimentAnalysisService } = require('./SentimentAnalysisService');
+        sentimentAnalysisService.processInboundMessage({
+          contactId: savedResult.contactId,
+          conversationId: savedMessage.conversationId,
+          messageId: savedMessage.id,
+          content,
+          workspaceId: savedResult.conversation.workspaceId,
+          tenantId: savedResult.conversation.tenantId
+        }).catch(classificationError => {
+          logger.error('❌ MESSAGESERVICE - ERROR CLASIFICANDO MENSAJE', {
+            requestId,
+            messageId: savedMessage.id,
+            error: classificationError.message,
+            step: 'classification_error'
+          });
+        });
+      }
+
+      // PASO 12: Transcribir notas de voz en segundo plano
+      if (!savedResult.idempotent && attachments.length > 0) {
+        const TranscriptionService = require('./TranscriptionService');
+        TranscriptionService.transcribeInboundAudio({
+          contactId: savedResult.contactId,
+          conversationId: savedMessage.conversationId,
+          messageId: savedMessage.id,
+          attachments,
+          workspaceId: savedResult.conversation.workspaceId,
+          tenantId: savedResult.conversation.tenantId
+        });
+      }
+
+      // PASO 13: Respuesta automática (fuera de horario, feriado o saludo inicial)
+      if (!savedResult.idempotent && !optOut.optedOut) {
+        const AutoResponderService = require('./AutoResponderService');
+        AutoResponderService.handleInboundMessage({
+          contactId: savedResult.contactId,
+          conversationId: savedMessage.conversationId,
+          customerPhone: normalizedFromPhone,
+          isNewConversation: savedResult.created === true,
+          workspaceId: savedResult.conversation.workspaceId,
+          tenantId: savedResult.conversation.tenantId
+        }).catch(autoReplyError => {
+          logger.error('❌ MESSAGESERVICE - ERROR EN RESPUESTA AUTOMÁTICA', {
+            requestId,
+            conversationId: savedMessage.conversationId,
+            error: autoReplyError.message,
+            step: 'auto_reply_error'
+          });
+        });
+      }
 
       logger.info('✅ MESSAGESERVICE - PROCESAMIENTO COMPLETADO', {
         requestId,
@@ -2084,6 +2197,7 @@ class MessageService {
         message: savedMessage,
         conversation: savedResult.conversation, // Usar conversación de upsertFromInbound
         contactInfo,
+        optOut,
         success: true
       };
 
@@ -2422,8 +2536,8 @@ class MessageService {
         timestamp: new Date().toISOString(),
         profileName: contactInfo.profileName,
         waId: contactInfo.waId,
-        workspaceId: 'default_workspace',
-        tenantId: 'default_tenant'
+        workspaceId: contact?.workspaceId || getDefaultTenant().workspaceId,
+        tenantId: contact?.tenantId || getDefaultTenant().tenantId
       };
 
       // Inyectar agentEmail (si se resolvió) para asegurar participants por EMAIL
@@ -2595,8 +2709,9 @@ class MessageService {
 
   /**
    * EMITIR EVENTO EN TIEMPO REAL (SOCKET.IO)
+   * @param {Object} tenant - workspaceId/tenantId de la conversación (rooms por workspace)
    */
-  async emitRealTimeEvent(conversationId, savedMessage) {
+  async emitRealTimeEvent(conversationId, savedMessage, tenant = {}) {
     const requestId = `realtime_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     try {
@@ -2639,8 +2754,8 @@ class MessageService {
 
       // Emitir evento de nuevo mensaje
       await rt.emitNewMessage({
-        workspaceId: 'default_workspace',
-        tenantId: 'default_tenant',
+        workspaceId: tenant.workspaceId || savedMessage.workspaceId || getDefaultTenant().workspaceId,
+        tenantId: tenant.tenantId || savedMessage.tenantId || getDefaultTenant().tenantId,
         conversationId,
         message: savedMessage,
         correlationId: requestId
@@ -2736,6 +2851,45 @@ class MessageService {
     }
   }
 
+  /**
+   * 📝 ENVIAR PLANTILLA WHATSAPP (CONTENT SID) VIA TWILIO
+   * Válido fuera de la ventana de sesión de 24 horas
+   */
+  async sendWhatsAppTemplate({ from, to, contentSid, contentVariables = {} }) {
+    try {
+      const payload = {
+        from: this.ensureFrom(from),
+        to: this.ensureWhatsApp(to),
+        contentSid,
+      };
+
+      if (Object.keys(contentVariables).length > 0) {
+        payload.contentVariables = JSON.stringify(contentVariables);
+      }
+
+      logger?.info?.('TWILIO:TEMPLATE_REQUEST', {
+        from: payload.from,
+        to: payload.to,
+        contentSid,
+        variableCount: Object.keys(contentVariables).length
+      });
+
+      const resp = await this.client.messages.create(payload);
+
+      logger?.info?.('TWILIO:RESPONSE_OK', { sid: resp?.sid, status: resp?.status, contentSid });
+      return resp;
+    } catch (error) {
+      logger?.error?.('TWILIO:TEMPLATE_ERR', {
+        error: error.message,
+        errorCode: error.code,
+        from,
+        to,
+        contentSid
+      });
+      throw error;
+    }
+  }
+
   /**
    * 📎 ENVIAR ARCHIVO A WHATSAPP VIA TWILIO
    * FASE 6: Integración específica para archivos
@@ -3297,9 +3451,8 @@ class MessageService {
    */
   static validateTwilioSignature(requestUrl, requestBody, signature, authToken) {
     try {
-      // Importar crypto para validación de firma
-      const crypto = require('crypto');
-      
+      const { isValidSignature } = require('../utils/twilioSignature');
+
       // Obtener auth token de Twilio
       const twilioAuthToken = authToken || 
         process.env.TWILIO_AUTH_TOKEN || 
@@ -3311,30 +3464,14 @@ class MessageService {
         return false;
       }
 
-      // Crear la cadena a firmar (URL + body ordenado alfabéticamente)
-      const sortedParams = new URLSearchParams(requestBody);
-      const sortedBody = sortedParams.toString();
-      
-      const dataToSign = requestUrl + sortedBody;
-
-      // Calcular firma esperada
-      const expectedSignature = crypto
-        .createHmac('sha1', twilioAuthToken)
-        .update(Buffer.from(dataToSign, 'utf-8'))
-        .digest('base64');
-
-      // Comparar firmas
-      const isValid = crypto.timingSafeEqual(
-        Buffer.from(signature, 'base64'),
-        Buffer.from(expectedSignature, 'base64')
-      );
+      // URL + parámetros ordenados por nombre (nombre+valor, sin separadores)
+      const isValid = isValidSignature(twilioAuthToken, signature, requestUrl, requestBody);
 
       logger.info('🔐 Validación de firma de Twilio', {
         isValid,
         requestUrl,
-        bodyLength: sortedBody.length,
-        signatureProvided: !!signature,
-        signatureExpected: !!expectedSignature
+        paramCount: Object.keys(requestBody || {}).length,
+        signatureProvided: !!signature
       });
 
       return isValid;
@@ -3486,6 +3623,30 @@ class MessageService {
       const batchSize = options.batchSize || 10;
       const delayBetweenBatches = options.delayBetweenBatches || 1000;
 
+      // Omitir números en la lista de supresión
+      const SuppressionService = require('./SuppressionService');
+      const { allowed, suppressed } = await SuppressionService.partitionContacts(contacts);
+
+      suppressed.forEach(contact => {
+        results.push({
+          contactId: contact.id,
+          phone: contact.phone,
+          success: false,
+          skipped: true,
+          error: 'Número en lista de supresión'
+        });
+      });
+
+      if (suppressed.length > 0) {
+        logger.info('🚫 Contactos omitidos por lista de supresión', {
+          requestId,
+          campaignId,
+          skipped: suppressed.length
+        });
+      }
+
+      contacts = allowed;
+
       // Procesar en lotes para evitar rate limiting
       for (let i = 0; i < contacts.length; i += batchSize) {
         const batch = contacts.slice(i, i + batchSize);
@@ -3541,14 +3702,16 @@ class MessageService {
       }
 
       const successCount = results.filter(r => r.success).length;
-      const failureCount = results.filter(r => !r.success).length;
+      const skippedCount = results.filter(r => r.skipped).length;
+      const failureCount = results.filter(r => !r.success && !r.skipped).length;
 
       logger.info('✅ Envío de mensajes en lote completado', {
         requestId,
         campaignId,
         totalSent: results.length,
         successCount,
-        failureCount
+        failureCount,
+        skippedCount
       });
 
       return {
@@ -3557,7 +3720,8 @@ class MessageService {
         summary: {
           total: results.length,
           success: successCount,
-          failed: failureCount
+          failed: failureCount,
+          skipped: skippedCount
         }
       };
 
@@ -1,5 +1,5 @@
 const React = require('react');
-const { Document, Page, Text, View, StyleSheet, pdf, Font } = require('@react-pdf/renderer');
+const { Document, Page, Text, View, StyleSheet, pdf, renderToBuffer, Font } = require('@react-pdf/renderer');
 const path = require('path');
 const { Storage } = require('@google-cloud/storage');
 const { v4: uuidv4 } = require('uuid');
@@ -371,7 +371,7 @@ class PDFService {
       
       logger.info('📄 Generando buffer del PDF...');
       // Generar el PDF
-      const pdfBuffer = await pdf(React.createElement(PayrollDocument)).toBuffer();
+      const pdfBuffer = await renderToBuffer(React.createElement(PayrollDocument));
       
       // Generar nombre del archivo
       const fileName = `recibo-nomina-${payrollData.employeeId}-${payrollData.periodStart}-${payrollData.periodEnd}.pdf`;
@@ -396,6 +396,470 @@ class PDFService {
     }
   }
 
+  /**
+   * Componente del PDF de finiquito / liquidación
+   */
+  createSettlementDocument(settlement, employeeData, companyData) {
+    const styles = this.getPayrollStyles();
+    const reasons = {
+      voluntary_resignation: 'Renuncia voluntaria',
+      justified_dismissal: 'Despido justificado',
+      unjustified_dismissal: 'Despido injustificado',
+      contract_end: 'Término de contrato',
+      mutual_agreement: 'Mutuo acuerdo'
+    };
+    const item = (label, value) => (
+      React.createElement(View, { style: styles.employeeItem },
+        React.createElement(Text, { style: styles.employeeLabel }, label),
+        React.createElement(Text, { style: styles.employeeValue }, value)
+      )
+    );
+
+    const SettlementDocument = () => (
+      React.createElement(Document, {},
+        React.createElement(Page, { size: 'A4', style: styles.page },
+          // Header
+          React.createElement(View, { style: styles.header },
+            React.createElement(View, { style: styles.companyInfo },
+              React.createElement(Text, { style: styles.companyName }, companyData.name || 'UTalk'),
+              React.createElement(Text, { style: styles.companyDetails }, companyData.address || 'Dirección de la empresa'),
+              React.createElement(Text, { style: styles.companyDetails }, `RFC: ${companyData.rfc || 'RFC123456789'}`)
+            ),
+            React.createElement(View, { style: styles.receiptTitle },
+              React.createElement(Text, { style: styles.receiptTitleText }, settlement.type === 'liquidacion' ? 'LIQUIDACIÓN' : 'FINIQUITO'),
+              React.createElement(Text, { style: styles.periodInfo }, `Fecha de baja: ${this.formatDate(`${settlement.terminationDate}T12:00:00`)}`),
+              React.createElement(Text, { style: styles.periodInfo }, `Motivo: ${reasons[settlement.reason] || settlement.reason}`)
+            )
+          ),
+
+          // Employee Details
+          React.createElement(View, { style: styles.section },
+            React.createElement(Text, { style: styles.sectionTitle }, 'Datos del Empleado'),
+            React.createElement(View, { style: styles.employeeGrid },
+              item('Nombre:', settlement.employeeName),
+              item('ID Empleado:', settlement.employeeNumber || 'N/A'),
+              item('Puesto:', settlement.position || 'N/A'),
+              item('RFC:', employeeData.personalInfo?.rfc || 'N/A'),
+              item('Fecha de ingreso:', this.formatDate(`${settlement.startDate}T12:00:00`)),
+              item('Antigüedad:', `${settlement.yearsOfService.toFixed(2)} años`),
+              item('Salario diario:', this.formatCurrency(settlement.dailySalary)),
+              item('Salario diario integrado:', this.formatCurrency(settlement.integratedDailySalary))
+            )
+          ),
+
+          // Summary
+          React.createElement(View, { style: styles.summaryContainer },
+            React.createElement(View, { style: styles.summaryBox },
+              React.createElement(Text, { style: styles.summaryLabel }, 'PERCEPCIONES'),
+              React.createElement(Text, { style: [styles.summaryValue, styles.grossValue] }, this.formatCurrency(settlement.totalPerceptions))
+            ),
+            React.createElement(View, { style: styles.summaryBox },
+              React.createElement(Text, { style: styles.summaryLabel }, 'DEDUCCIONES'),
+              React.createElement(Text, { style: [styles.summaryValue, styles.deductionValue] }, this.formatCurrency(settlement.totalDeductions))
+            ),
+            React.createElement(View, { style: styles.summaryBox },
+              React.createElement(Text, { style: styles.summaryLabel }, 'NETO A PAGAR'),
+              React.createElement(Text, { style: [styles.summaryValue, styles.netValue] }, this.formatCurrency(settlement.netAmount))
+            )
+          ),
+
+          // Details
+          React.createElement(View, { style: styles.detailsContainer },
+            React.createElement(View, { style: styles.detailsColumn },
+              React.createElement(Text, { style: [styles.detailsHeader, styles.perceptionsHeader] }, '💰 PERCEPCIONES'),
+              ...settlement.perceptions.map((perception, index) =>
+                React.createElement(View, { key: index, style: styles.detailItem },
+                  React.createElement(Text, { style: styles.detailConcept }, `${perception.concept} (exento ${this.formatCurrency(perception.exempt)})`),
+                  React.createElement(Text, { style: [styles.detailAmount, styles.perceptionAmount] }, `+${this.formatCurrency(perception.amount)}`)
+                )
+              )
+            ),
+            React.createElement(View, { style: styles.detailsColumn },
+              React.createElement(Text, { style: [styles.detailsHeader, styles.deductionsHeader] }, '📉 DEDUCCIONES'),
+              settlement.deductions.length > 0
+                ? settlement.deductions.map((deduction, index) =>
+                    React.createElement(View, { key: index, style: styles.detailItem },
+                      React.createElement(Text, { style: styles.detailConcept }, deduction.concept),
+                      React.createElement(Text, { style: [styles.detailAmount, styles.deductionAmount] }, `-${this.formatCurrency(deduction.amount)}`)
+                    )
+                  )
+                : React.createElement(Text, { style: styles.noItems }, 'No hay deducciones registradas')
+            )
+          ),
+
+          // Signatures
+          React.createElement(View, { style: styles.signatureSection },
+            React.createElement(View, { style: styles.signatureBox },
+              React.createElement(View, { style: styles.signatureLine }),
+              React.createElement(Text, { style: styles.signatureLabel }, 'Recibí de conformidad (Empleado)')
+            ),
+            React.createElement(View, { style: styles.signatureBox },
+              React.createElement(View, { style: styles.signatureLine }),
+              React.createElement(Text, { style: styles.signatureLabel }, 'Por la Empresa')
+            )
+          ),
+
+          // Footer
+          React.createElement(View, { style: styles.footer },
+            React.createElement(Text, { style: styles.footerText }, `Generado el ${this.formatDate(new Date())} | UTalk - Sistema de Gestión de Nómina`),
+            React.createElement(Text, { style: styles.footerText }, `ISR retenido conforme a tablas ${settlement.taxes?.tableVersion || 'vigentes'}`)
+          )
+        )
+      )
+    );
+
+    return SettlementDocument;
+  }
+
+  /**
+   * Generar PDF de finiquito / liquidación
+   */
+  async generateSettlementReceipt(settlement, employeeData, companyData) {
+    try {
+      if (!settlement || !employeeData || !companyData) {
+        throw new Error('Datos requeridos faltantes para generar PDF');
+      }
+
+      const SettlementDocument = this.createSettlementDocument(settlement, employeeData, companyData);
+      const pdfBuffer = await renderToBuffer(React.createElement(SettlementDocument));
+      const fileName = `${settlement.type}-${settlement.employeeId}-${settlement.terminationDate}.pdf`;
+
+      logger.info('✅ PDF de finiquito generado', {
+        employeeId: settlement.employeeId,
+        fileName,
+        fileSize: pdfBuffer.length
+      });
+
+      return {
+        success: true,
+        pdfBuffer,
+        fileName,
+        size: pdfBuffer.length,
+        contentType: 'application/pdf'
+      };
+    } catch (error) {
+      logger.error('❌ Error generando PDF de finiquito', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estilos para el PDF de reporte de asistencia
+   */
+  getAttendanceStyles() {
+    return StyleSheet.create({
+      page: {
+        flexDirection: 'column',
+        backgroundColor: '#FFFFFF',
+        padding: 24,
+        fontFamily: 'Helvetica',
+        fontSize: 8
+      },
+      header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+        borderBottom: 2,
+        borderBottomColor: '#2563eb',
+        paddingBottom: 8
+      },
+      title: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#1f2937'
+      },
+      subtitle: {
+        fontSize: 10,
+        color: '#6b7280',
+        marginTop: 3
+      },
+      section: {
+        marginBottom: 12
+      },
+      sectionTitle: {
+        fontSize: 11,
+        fontWeight: 'bold',
+        color: '#1f2937',
+        marginBottom: 5,
+        borderBottom: 1,
+        borderBottomColor: '#e5e7eb',
+        paddingBottom: 2
+      },
+      summaryContainer: {
+        flexDirection: 'row',
+        backgroundColor: '#f9fafb',
+        padding: 8,
+        borderRadius: 4,
+        marginBottom: 12
+      },
+      summaryBox: {
+        flex: 1,
+        alignItems: 'center'
+      },
+      summaryLabel: {
+        fontSize: 7,
+        color: '#6b7280',
+        marginBottom: 2
+      },
+      summaryValue: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#1d4ed8'
+      },
+      metaGrid: {
+        flexDirection: 'row',
+        flexWrap: 'wrap'
+      },
+      metaItem: {
+        width: '33%',
+        flexDirection: 'row',
+        marginBottom: 3
+      },
+      metaLabel: {
+        fontWeight: 'bold',
+        color: '#374151',
+        marginRight: 4
+      },
+      metaValue: {
+        color: '#111827'
+      },
+      tableHeader: {
+        flexDirection: 'row',
+        backgroundColor: '#f3f4f6',
+        borderBottom: 1,
+        borderBottomColor: '#d1d5db',
+        paddingVertical: 3
+      },
+      tableRow: {
+        flexDirection: 'row',
+        borderBottom: 1,
+        borderBottomColor: '#f3f4f6',
+        paddingVertical: 3
+      },
+      headerCell: {
+        fontWeight: 'bold',
+        color: '#374151',
+        paddingHorizontal: 2
+      },
+      cell: {
+        color: '#111827',
+        paddingHorizontal: 2
+      },
+      noItems: {
+        textAlign: 'center',
+        color: '#9ca3af',
+        fontStyle: 'italic',
+        paddingVertical: 6
+      },
+      footer: {
+        position: 'absolute',
+        bottom: 12,
+        left: 24,
+        right: 24,
+        textAlign: 'center',
+        fontSize: 7,
+        color: '#9ca3af'
+      }
+    });
+  }
+
+  /**
+   * Tabla genérica: columns = [{ label, value, width }] con width proporcional
+   */
+  createTable(styles, columns, rows, emptyText) {
+    if (!rows || rows.length === 0) {
+      return React.createElement(Text, { style: styles.noItems }, emptyText);
+    }
+
+    const cellStyle = (base, column) => [base, { flex: column.width || 1 }];
+
+    return React.createElement(View, {},
+      React.createElement(View, { style: styles.tableHeader, fixed: true },
+        ...columns.map((column, index) =>
+          React.createElement(Text, { key: index, style: cellStyle(styles.headerCell, column) }, column.label)
+        )
+      ),
+      ...rows.map((row, rowIndex) =>
+        React.createElement(View, { key: rowIndex, style: styles.tableRow, wrap: false },
+          ...columns.map((column, index) =>
+            React.createElement(Text, { key: index, style: cellStyle(styles.cell, column) }, String(row[column.value] ?? ''))
+          )
+        )
+      )
+    );
+  }
+
+  /**
+   * Componente del PDF de reporte de asistencia
+   */
+  createAttendanceReportDocument(exportData) {
+    const styles = this.getAttendanceStyles();
+    const { summary, approval } = exportData;
+
+    const summaryItems = [
+      ['EMPLEADOS', summary.totalEmployees],
+      ['PRESENTES', summary.presentCount],
+      ['AUSENTES', summary.absentCount],
+      ['RETARDOS', summary.lateCount],
+      ['VACACIONES', summary.vacationCount],
+      ['HORAS', summary.totalHours],
+      ['HORAS EXTRA', summary.overtimeHours]
+    ];
+
+    const approvalItems = [
+      ['Estado:', approval.status],
+      ['Creado por:', approval.createdBy],
+      ['Creado:', this.formatDate(approval.createdAt)],
+      ['Aprobado por:', approval.approvedBy || 'N/A'],
+      ['Aprobado:', approval.approvedAt ? this.formatDate(approval.approvedAt) : 'N/A'],
+      ['Rechazado por:', approval.rejectedBy || 'N/A'],
+      ['Motivo de rechazo:', approval.rejectionReason || 'N/A']
+    ];
+
+    const employeeColumns = [
+      { label: 'No.', value: 'employeeNumber', width: 1 },
+      { label: 'Empleado', value: 'employeeName', width: 3 },
+      { label: 'Departamento', value: 'department', width: 2 },
+      { label: 'Puesto', value: 'position', width: 2 },
+      { label: 'Estado', value: 'status', width: 1.5 },
+      { label: 'Entrada', value: 'clockIn', width: 1 },
+      { label: 'Salida', value: 'clockOut', width: 1 },
+      { label: 'Horas', value: 'totalHours', width: 1 },
+      { label: 'Extra', value: 'overtimeHours', width: 1 },
+      { label: 'Notas', value: 'notes', width: 3 }
+    ];
+
+    const movementColumns = [
+      { label: 'Empleado', value: 'employeeName', width: 3 },
+      { label: 'Tipo', value: 'type', width: 1.5 },
+      { label: 'Descripción', value: 'description', width: 4 },
+      { label: 'Horas', value: 'hours', width: 1 },
+      { label: 'Monto', value: 'amount', width: 1.5 },
+      { label: 'Estado', value: 'status', width: 1.5 },
+      { label: 'Revisado por', value: 'approvedBy', width: 2.5 }
+    ];
+
+    const exceptionColumns = [
+      { label: 'Empleado', value: 'employeeName', width: 3 },
+      { label: 'Tipo', value: 'type', width: 2 },
+      { label: 'Descripción', value: 'description', width: 4 },
+      { label: 'Hora', value: 'time', width: 1 },
+      { label: 'Min.', value: 'duration', width: 1 },
+      { label: 'Severidad', value: 'severity', width: 1.5 },
+      { label: 'Estado', value: 'status', width: 1.5 }
+    ];
+
+    const AttendanceDocument = () => (
+      React.createElement(Document, {},
+        React.createElement(Page, { size: 'A4', orientation: 'landscape', style: styles.page },
+          // Header
+          React.createElement(View, { style: styles.header },
+            React.createElement(View, {},
+              React.createElement(Text, { style: styles.title }, 'REPORTE DE ASISTENCIA'),
+              React.createElement(Text, { style: styles.subtitle }, `Fecha: ${this.formatDate(`${exportData.date}T12:00:00`)}`)
+            ),
+            React.createElement(Text, { style: styles.subtitle }, `ID: ${exportData.reportId || 'N/A'}`)
+          ),
+
+          // Summary
+          React.createElement(View, { style: styles.summaryContainer },
+            ...summaryItems.map(([label, value], index) =>
+              React.createElement(View, { key: index, style: styles.summaryBox },
+                React.createElement(Text, { style: styles.summaryLabel }, label),
+                React.createElement(Text, { style: styles.summaryValue }, String(value ?? 0))
+              )
+            )
+          ),
+
+          // Approval
+          React.createElement(View, { style: styles.section },
+            React.createElement(Text, { style: styles.sectionTitle }, 'Aprobación'),
+            React.createElement(View, { style: styles.metaGrid },
+              ...approvalItems.map(([label, value], index) =>
+                React.createElement(View, { key: index, style: styles.metaItem },
+                  React.createElement(Text, { style: styles.metaLabel }, label),
+                  React.createElement(Text, { style: styles.metaValue }, String(value || ''))
+                )
+              )
+            )
+          ),
+
+          // Employees
+          React.createElement(View, { style: styles.section },
+            React.createElement(Text, { style: styles.sectionTitle }, 'Empleados'),
+            this.createTable(styles, employeeColumns, exportData.employees, 'No hay registros de asistencia')
+          ),
+
+          // Movements
+          React.createElement(View, { style: styles.section },
+            React.createElement(Text, { style: styles.sectionTitle }, 'Movimientos'),
+            this.createTable(
+              styles,
+              movementColumns,
+              exportData.movements.map(movement => ({ ...movement, amount: this.formatCurrency(movement.amount) })),
+              'No hay movimientos registrados'
+            )
+          ),
+
+          // Exceptions
+          React.createElement(View, { style: styles.section },
+            React.createElement(Text, { style: styles.sectionTitle }, 'Excepciones'),
+            this.createTable(styles, exceptionColumns, exportData.exceptions, 'No hay excepciones registradas')
+          ),
+
+          // Footer
+          React.createElement(Text, {
+            style: styles.footer,
+            fixed: true,
+            render: ({ pageNumber, totalPages }) =>
+              `Generado el ${this.formatDate(new Date())} | UTalk - Control de Asistencia | Página ${pageNumber} de ${totalPages}`
+          })
+        )
+      )
+    );
+
+    return AttendanceDocument;
+  }
+
+  /**
+   * Generar PDF de reporte de asistencia
+   * @param {Object} exportData - Datos normalizados por AttendanceService.buildExportData
+   */
+  async generateAttendanceReport(exportData) {
+    try {
+      if (!exportData) {
+        throw new Error('Datos requeridos faltantes para generar PDF');
+      }
+
+      logger.info('🎨 Generando PDF de reporte de asistencia', {
+        reportId: exportData.reportId,
+        employees: exportData.employees.length,
+        movements: exportData.movements.length,
+        exceptions: exportData.exceptions.length
+      });
+
+      const AttendanceDocument = this.createAttendanceReportDocument(exportData);
+      const pdfBuffer = await renderToBuffer(React.createElement(AttendanceDocument));
+      const fileName = `reporte-asistencia-${exportData.date}.pdf`;
+
+      logger.info('✅ PDF de asistencia generado exitosamente', {
+        fileName,
+        fileSize: pdfBuffer.length
+      });
+
+      return {
+        success: true,
+        pdfBuffer,
+        fileName,
+        size: pdfBuffer.length,
+        contentType: 'application/pdf'
+      };
+    } catch (error) {
+      logger.error('❌ Error generando PDF de asistencia', error);
+      throw error;
+    }
+  }
+
   /**
    * Subir PDF a Google Cloud Storage
    */
@@ -0,0 +1,324 @@
+const PayrollRun = require('../models/PayrollRun');
+const Employee = require('../models/Employee');
+const PDFService = require('./PDFService');
+const EmployeeDocumentService = require('./EmployeeDocumentService');
+const EmployeeDocument = require('../models/EmployeeDocument');
+const {
+  PAYROLL_COMPANY,
+  SAT_PAYMENT_FREQUENCY,
+  SAT_PERCEPTION_TYPES,
+  SAT_DEDUCTION_TYPES
+} = require('../config/payrollConfig');
+const logger = require('../utils/logger');
+
+// c_TipoContrato según el tipo de contrato del empleado
+const SAT_CONTRACT_TYPES = {
+  permanent: '01',
+  temporary: '03',
+  intern: '99',
+  contractor: '99'
+};
+
+/**
+ * Servicio de Recibos de Nómina
+ * Genera el PDF y el XML (estilo complemento de nómina 1.2 del SAT) de una corrida
+ * y los guarda como documentos del empleado (categoría payroll)
+ *
+ * El XML no está timbrado: no incluye sello, certificado ni UUID de un PAC
+ */
+class PayrollReceiptService {
+  /**
+   * Escapar valor para atributo XML
+   */
+  static escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Formatear importe con dos decimales
+   */
+  static money(amount) {
+    return (Math.round((Number(amount) || 0) * 100) / 100).toFixed(2);
+  }
+
+  /**
+   * Construir un elemento XML con atributos (omite atributos vacíos)
+   */
+  static element(name, attributes = {}, children = []) {
+    const attrs = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => ` ${key}="${this.escapeXml(value)}"`)
+      .join('');
+
+    if (children.length === 0) {
+      return `<${name}${attrs}/>`;
+    }
+
+    return `<${name}${attrs}>${children.join('')}</${name}>`;
+  }
+
+  /**
+   * Construir XML del recibo modelado en CFDI 4.0 + complemento Nómina 1.2
+   */
+  static buildNominaXml(run, employee, company = PAYROLL_COMPANY) {
+    const perceptions = run.perceptions || [];
+    const deductions = run.deductions || [];
+
+    const totalPerceptions = perceptions.reduce((sum, item) => sum + item.amount, 0);
+    const taxWithheld = deductions
+      .filter(item => item.type === 'isr')
+      .reduce((sum, item) => sum + item.amount, 0);
+    const otherDeductions = deductions
+      .filter(item => item.type !== 'isr')
+      .reduce((sum, item) => sum + item.amount, 0);
+    const totalDeductions = taxWithheld + otherDeductions;
+
+    const employeeName = `${employee.personalInfo?.firstName || ''} ${employee.personalInfo?.lastName || ''}`.trim() || run.employeeName;
+    const issuedAt = new Date().toISOString().slice(0, 19);
+
+    const percepcionNodes = perceptions.map((item, index) => this.element('nomina12:Percepcion', {
+      TipoPercepcion: SAT_PERCEPTION_TYPES[item.type] || '038',
+      Clave: String(index + 1).padStart(3, '0'),
+      Concepto: item.concept,
+      ImporteGravado: this.money(item.taxable === false ? 0 : item.amount),
+      ImporteExento: this.money(item.taxable === false ? item.amount : 0)
+    }));
+
+    const deduccionNodes = deductions.map((item, index) => this.element('nomina12:Deduccion', {
+      TipoDeduccion: SAT_DEDUCTION_TYPES[item.type] || '004',
+      Clave: String(index + 1).padStart(3, '0'),
+      Concepto: item.concept,
+      Importe: this.money(item.amount)
+    }));
+
+    const taxedTotal = perceptions
+      .filter(item => item.taxable !== false)
+      .reduce((sum, item) => sum + item.amount, 0);
+
+    const nomina = this.element('nomina12:Nomina', {
+      Version: '1.2',
+      TipoNomina: 'O',
+      FechaPago: run.paymentDate,
+      FechaInicialPago: run.periodStart,
+      FechaFinalPago: run.periodEnd,
+      NumDiasPagados: this.money(run.paidDays),
+      TotalPercepciones: this.money(totalPerceptions),
+      TotalDeducciones: totalDeductions > 0 ? this.money(totalDeductions) : undefined
+    }, [
+      this.element('nomina12:Emisor', {
+        RegistroPatronal: company.employerRegistration
+      }),
+      this.element('nomina12:Receptor', {
+        Curp: employee.personalInfo?.curp,
+        NumSeguridadSocial: employee.personalInfo?.nss,
+        FechaInicioRelLaboral: (employee.contract?.startDate || '').slice(0, 10),
+        TipoContrato: SAT_CONTRACT_TYPES[employee.contract?.type] || '01',
+        TipoRegimen: '02',
+        NumEmpleado: run.employeeNumber || employee.employeeNumber || employee.id,
+        Departamento: run.department,
+        Puesto: run.position,
+        PeriodicidadPago: SAT_PAYMENT_FREQUENCY[run.frequency] || '99',
+        SalarioBaseCotApor: this.money(run.sbc / 30),
+        SalarioDiarioIntegrado: this.money(run.sbc / 30),
+        ClaveEntFed: company.state
+      }),
+      this.element('nomina12:Percepciones', {
+        // Todas las percepciones de la corrida son sueldos (sin indemnizaciones ni jubilación)
+        TotalSueldos: this.money(totalPerceptions),
+        TotalGravado: this.money(taxedTotal),
+        TotalExento: this.money(totalPerceptions - taxedTotal)
+      }, percepcionNodes),
+      ...(deduccionNodes.length > 0
+        ? [this.element('nomina12:Deducciones', {
+          TotalOtrasDeducciones: otherDeductions > 0 ? this.money(otherDeductions) : undefined,
+          TotalImpuestosRetenidos: taxWithheld > 0 ? this.money(taxWithheld) : undefined
+        }, deduccionNodes)]
+        : [])
+    ]);
+
+    const comprobante = this.element('cfdi:Comprobante', {
+      'xmlns:cfdi': 'http://www.sat.gob.mx/cfd/4',
+      'xmlns:nomina12': 'http://www.sat.gob.mx/nomina12',
+      'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      'xsi:schemaLocation': 'http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd http://www.sat.gob.mx/nomina12 http://www.sat.gob.mx/sitio_internet/cfd/nomina/nomina12.xsd',
+      Version: '4.0',
+      Serie: 'NOM',
+      Folio: run.id,
+      Fecha: issuedAt,
+      SubTotal: this.money(totalPerceptions),
+      Descuento: totalDeductions > 0 ? this.money(totalDeductions) : undefined,
+      Moneda: 'MXN',
+      Total: this.money(totalPerceptions - totalDeductions),
+      TipoDeComprobante: 'N',
+      Exportacion: '01',
+      MetodoPago: 'PUE',
+      LugarExpedicion: company.expeditionZip
+    }, [
+      this.element('cfdi:Emisor', {
+        Rfc: company.rfc,
+        Nombre: company.name,
+        RegimenFiscal: company.taxRegime
+      }),
+      this.element('cfdi:Receptor', {
+        Rfc: employee.personalInfo?.rfc || 'XAXX010101000',
+        Nombre: employeeName,
+        DomicilioFiscalReceptor: employee.personalInfo?.address?.postalCode || employee.personalInfo?.address?.zipCode || company.expeditionZip,
+        RegimenFiscalReceptor: '605',
+        UsoCFDI: 'CN01'
+      }),
+      this.element('cfdi:Conceptos', {}, [
+        this.element('cfdi:Concepto', {
+          ClaveProdServ: '84111505',
+          Cantidad: '1',
+          ClaveUnidad: 'ACT',
+          Descripcion: 'Pago de nómina',
+          ValorUnitario: this.money(totalPerceptions),
+          Importe: this.money(totalPerceptions),
+          Descuento: totalDeductions > 0 ? this.money(totalDeductions) : undefined,
+          ObjetoImp: '01'
+        })
+      ]),
+      this.element('cfdi:Complemento', {}, [nomina])
+    ]);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${comprobante}\n`;
+  }
+
+  /**
+   * Dar de baja (soft delete) los documentos del recibo anterior para que el
+   * empleado no vea dos recibos del mismo período; el archivo se conserva
+   */
+  static async supersedePreviousReceipt(run, deletedBy) {
+    const previousIds = [run.receipt?.pdfDocumentId, run.receipt?.xmlDocumentId].filter(Boolean);
+
+    for (const documentId of previousIds) {
+      const document = await EmployeeDocument.findById(documentId, run.employeeId);
+      if (!document || document.audit?.deletedAt) {
+        continue;
+      }
+      await document.delete(deletedBy);
+    }
+
+    return previousIds;
+  }
+
+  /**
+   * Generar recibo (PDF + XML) de una corrida aprobada o cerrada y guardarlo
+   * en los documentos del empleado (al regenerar, reemplaza al anterior)
+   */
+  static async generateReceipt(runId, user, options = {}) {
+    try {
+      const run = await PayrollRun.findById(runId);
+      if (!run) {
+        throw new Error('Corrida de nómina no encontrada');
+      }
+
+      if (run.status === 'draft') {
+        throw new Error('Solo se pueden generar recibos de corridas aprobadas o cerradas');
+      }
+
+      if (run.receipt && !options.regenerate) {
+        return run.receipt;
+      }
+
+      const employee = await Employee.findById(run.employeeId);
+      if (!employee) {
+        throw new Error('Empleado no encontrado');
+      }
+
+      const { pdfBuffer, fileName } = await PDFService.generatePayrollReceipt(run, employee, PAYROLL_COMPANY);
+      const xmlBuffer = Buffer.from(this.buildNominaXml(run, employee, PAYROLL_COMPANY), 'utf8');
+
+      const uploader = {
+        id: user?.id || null,
+        email: user?.email || 'system',
+        name: user?.name || 'Nómina'
+      };
+
+      const metadata = {
+        category: 'payroll',
+        description: `Recibo de nómina ${run.periodStart} - ${run.periodEnd}`,
+        tags: ['nomina', 'recibo', run.periodStart],
+        isConfidential: true,
+        metadata: {
+          payrollRunId: run.id,
+          periodId: run.periodId,
+          periodStart: run.periodStart,
+          periodEnd: run.periodEnd,
+          netSalary: run.netSalary
+        }
+      };
+
+      const documentService = new EmployeeDocumentService();
+      const pdfDocument = await documentService.uploadDocument(run.employeeId, {
+        buffer: pdfBuffer,
+        originalname: fileName,
+        size: pdfBuffer.length,
+        mimetype: 'application/pdf'
+      }, { ...metadata, subcategory: 'payroll_receipt_pdf' }, uploader);
+
+      const xmlDocument = await documentService.uploadDocument(run.employeeId, {
+        buffer: xmlBuffer,
+        originalname: fileName.replace(/\.pdf$/, '.xml'),
+        size: xmlBuffer.length,
+        mimetype: 'application/xml'
+      }, { ...metadata, subcategory: 'payroll_receipt_xml' }, uploader);
+
+      const receipt = {
+        pdfDocumentId: pdfDocument.id,
+        xmlDocumentId: xmlDocument.id,
+        generatedAt: new Date().toISOString(),
+        generatedBy: uploader.email
+      };
+
+      if (run.receipt) {
+        receipt.replacedDocumentIds = await this.supersedePreviousReceipt(run, uploader.email);
+      }
+
+      await run.update({ receipt });
+
+      logger.info('🧾 Recibo de nómina generado', {
+        runId,
+        employeeId: run.employeeId,
+        pdfDocumentId: pdfDocument.id,
+        xmlDocumentId: xmlDocument.id
+      });
+
+      return receipt;
+    } catch (error) {
+      logger.error('Error generando recibo de nómina:', { runId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Generar recibos de todas las corridas aprobadas o cerradas de un período
+   */
+  static async generatePeriodReceipts(periodId, user, options = {}) {
+    const runs = await PayrollRun.findByPeriod(periodId);
+    const result = { generated: [], skipped: [], errors: [] };
+
+    for (const run of runs) {
+      if (run.status === 'draft') {
+        result.skipped.push({ runId: run.id, reason: 'draft' });
+        continue;
+      }
+
+      try {
+        const receipt = await this.generateReceipt(run.id, user, options);
+        result.generated.push({ runId: run.id, employeeId: run.employeeId, ...receipt });
+      } catch (error) {
+        result.errors.push({ runId: run.id, employeeId: run.employeeId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = PayrollReceiptService;
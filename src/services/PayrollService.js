@@ -0,0 +1,593 @@
+const PayrollPeriod = require('../models/PayrollPeriod');
+const PayrollRun = require('../models/PayrollRun');
+const Employee = require('../models/Employee');
+const ExtrasMovement = require('../models/ExtrasMovement');
+const VacationRequest = require('../models/VacationRequest');
+const ExtrasService = require('./ExtrasService');
+const TaxCalculationService = require('./TaxCalculationService');
+const logger = require('../utils/logger');
+
+const PAYROLL_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// Días pagados por frecuencia (convención de nómina: mes de 30 días)
+const PAID_DAYS = {
+  weekly: 7,
+  biweekly: 15,
+  monthly: 30
+};
+
+// Prima vacacional mínima de ley (25%)
+const DEFAULT_VACATION_PREMIUM_RATE = 0.25;
+
+// Transiciones válidas de una corrida de nómina
+const RUN_TRANSITIONS = {
+  draft: ['approved'],
+  approved: ['closed'],
+  closed: []
+};
+
+/**
+ * Servicio de Nómina
+ * Genera corridas por empleado combinando salario base, movimientos de extras,
+ * prima vacacional, ISR/IMSS y la asistencia aprobada del período
+ */
+class PayrollService {
+  /**
+   * Redondear a centavos
+   */
+  static round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  /**
+   * Formatear fecha como YYYY-MM-DD (UTC)
+   */
+  static toDateString(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Calcular rango del período que contiene una fecha de referencia
+   * Semanal: lunes a domingo. Quincenal: 1-15 y 16-fin de mes. Mensual: mes calendario
+   */
+  static buildPeriodRange(frequency, referenceDate) {
+    if (!PAYROLL_FREQUENCIES.includes(frequency)) {
+      throw new Error(`Frecuencia de nómina no soportada: ${frequency}`);
+    }
+
+    const reference = new Date(`${referenceDate}T00:00:00Z`);
+    if (isNaN(reference.getTime())) {
+      throw new Error('Fecha de referencia inválida');
+    }
+
+    const year = reference.getUTCFullYear();
+    const month = reference.getUTCMonth();
+    const day = reference.getUTCDate();
+    const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    let start;
+    let end;
+
+    switch (frequency) {
+      case 'weekly': {
+        const offset = (reference.getUTCDay() + 6) % 7;
+        start = new Date(Date.UTC(year, month, day - offset));
+        end = new Date(Date.UTC(year, month, day - offset + 6));
+        break;
+      }
+      case 'biweekly':
+        start = new Date(Date.UTC(year, month, day <= 15 ? 1 : 16));
+        end = new Date(Date.UTC(year, month, day <= 15 ? 15 : lastDayOfMonth));
+        break;
+      case 'monthly':
+      default:
+        start = new Date(Date.UTC(year, month, 1));
+        end = new Date(Date.UTC(year, month, lastDayOfMonth));
+        break;
+    }
+
+    return {
+      startDate: this.toDateString(start),
+      endDate: this.toDateString(end)
+    };
+  }
+
+  /**
+   * Validar transición de estado de una corrida
+   */
+  static assertRunTransition(run, nextStatus) {
+    const allowed = RUN_TRANSITIONS[run.status] || [];
+    if (!allowed.includes(nextStatus)) {
+      throw new Error(`La corrida ${run.id} no puede pasar de ${run.status} a ${nextStatus}`);
+    }
+  }
+
+  /**
+   * Crear período de nómina
+   */
+  static async createPeriod(periodData, createdBy) {
+    try {
+      const { frequency, referenceDate, paymentDate, notes } = periodData;
+
+      if (!PAYROLL_FREQUENCIES.includes(frequency)) {
+        throw new Error(`Frecuencia de nómina no soportada: ${frequency}`);
+      }
+
+      const range = periodData.startDate && periodData.endDate
+        ? { startDate: periodData.startDate, endDate: periodData.endDate }
+        : this.buildPeriodRange(frequency, referenceDate || this.toDateString(new Date()));
+
+      if (range.startDate > range.endDate) {
+        throw new Error('La fecha de inicio debe ser anterior a la fecha de fin');
+      }
+
+      const overlapping = await PayrollPeriod.findOverlapping(frequency, range.startDate, range.endDate);
+      if (overlapping.length > 0) {
+        throw new Error(`Ya existe un período ${frequency} que se traslapa con ${range.startDate} - ${range.endDate}`);
+      }
+
+      const period = new PayrollPeriod({
+        frequency,
+        ...range,
+        paymentDate: paymentDate || range.endDate,
+        notes,
+        createdBy
+      });
+
+      await period.save();
+
+      logger.info('💼 Período de nómina creado', {
+        periodId: period.id,
+        frequency,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        createdBy
+      });
+
+      return period;
+    } catch (error) {
+      logger.error('Error creando período de nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener período con sus corridas
+   */
+  static async getPeriod(periodId) {
+    const period = await PayrollPeriod.findById(periodId);
+    if (!period) {
+      throw new Error('Período de nómina no encontrado');
+    }
+
+    const runs = await PayrollRun.findByPeriod(periodId);
+
+    return { period, runs };
+  }
+
+  /**
+   * Listar períodos
+   */
+  static async listPeriods(filters = {}) {
+    return PayrollPeriod.list(filters);
+  }
+
+  /**
+   * Calcular prima vacacional de las vacaciones aprobadas dentro del período
+   * Omite solicitudes cuyo pago ya se liquidó fuera de nómina
+   */
+  static async calculateVacationPremium(employeeId, period, dailySalary) {
+    const years = [...new Set([period.startDate, period.endDate].map(date => Number(date.slice(0, 4))))];
+    const requestsById = new Map();
+
+    for (const year of years) {
+      const requests = await VacationRequest.listByEmployee(employeeId, {
+        year,
+        status: 'approved',
+        type: 'vacation'
+      });
+      requests.forEach(request => requestsById.set(request.id, request));
+    }
+
+    const vacation = { days: 0, premiumRate: DEFAULT_VACATION_PREMIUM_RATE, premium: 0, requestIds: [] };
+
+    requestsById.forEach(request => {
+      const totals = request.paymentTotals;
+      if (totals && totals.totalCalculated > 0 && totals.totalPaid >= totals.totalCalculated) {
+        return;
+      }
+
+      const overlapStart = request.startDate > period.startDate ? request.startDate : period.startDate;
+      const overlapEnd = request.endDate < period.endDate ? request.endDate : period.endDate;
+      if (overlapStart > overlapEnd) {
+        return;
+      }
+
+      // Mismo criterio que VacationRequest.calculateTotalDays: solo días laborales
+      let days = 0;
+      const cursor = new Date(`${overlapStart.slice(0, 10)}T00:00:00Z`);
+      const last = new Date(`${overlapEnd.slice(0, 10)}T00:00:00Z`);
+      while (cursor <= last) {
+        const dayOfWeek = cursor.getUTCDay();
+        if (dayOfWeek !== 0 && dayOfWeek !== 6) {
+          days++;
+        }
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+      }
+
+      if (days === 0) {
+        return;
+      }
+
+      const rate = Math.max(DEFAULT_VACATION_PREMIUM_RATE, request.payment?.vacationPremiumRate || 0);
+      vacation.days += days;
+      vacation.premiumRate = rate;
+      vacation.premium += dailySalary * days * rate;
+      vacation.requestIds.push(request.id);
+    });
+
+    vacation.premium = this.round(vacation.premium);
+
+    return vacation;
+  }
+
+  /**
+   * Calcular la corrida de nómina de un empleado para un período
+   */
+  static async calculateRun(employee, period, generatedBy = null) {
+    const monthlySalary = Number(employee.contract?.salary || employee.salary?.baseSalary || 0);
+    const dailySalary = monthlySalary / 30;
+    const paidDays = PAID_DAYS[period.frequency];
+    const sbc = Number(employee.sbc) || monthlySalary;
+
+    const [extras, vacation, attendance] = await Promise.all([
+      ExtrasService.calculatePayrollImpact(employee.id, period.startDate, period.endDate),
+      this.calculateVacationPremium(employee.id, period, dailySalary),
+      period.getAttendance(employee.id)
+    ]);
+    const { breakdown } = extras;
+
+    const perceptions = [
+      { type: 'salary', concept: 'Sueldo', amount: this.round(dailySalary * paidDays), taxable: true },
+      { type: 'overtime', concept: 'Horas extra', amount: this.round(breakdown.overtime), taxable: true },
+      { type: 'bonus', concept: 'Bonos', amount: this.round(breakdown.bonuses), taxable: true },
+      { type: 'vacation_premium', concept: 'Prima vacacional', amount: vacation.premium, taxable: true }
+    ].filter(item => item.amount > 0);
+
+    const absences = this.round(breakdown.absences);
+    const grossSalary = this.round(perceptions.reduce((sum, item) => sum + item.amount, 0));
+    const taxableIncome = this.round(Math.max(0, grossSalary - absences));
+
+    // Las tablas fiscales son mensuales: se calcula sobre el equivalente mensual y se prorratea
+    // Se usa la tabla vigente en la fecha de pago para que recalcular un período pasado sea reproducible
+    const factor = paidDays / 30;
+    const fiscal = await TaxCalculationService.calcularDeduccionesFiscalesPorFecha(
+      taxableIncome / factor,
+      sbc,
+      period.paymentDate || period.endDate
+    );
+    const taxes = {
+      isr: this.round(fiscal.isr * factor),
+      imss: this.round((fiscal.seguridadSocial.totalImss || 0) * factor),
+      afore: this.round((fiscal.seguridadSocial.afore || 0) * factor),
+      infonavit: this.round((fiscal.seguridadSocial.infonavit || 0) * factor),
+      tableVersion: fiscal.tableVersion
+    };
+
+    const deductions = [
+      { type: 'absence', concept: 'Faltas', amount: absences },
+      { type: 'isr', concept: 'ISR', amount: taxes.isr },
+      { type: 'imss', concept: 'IMSS', amount: taxes.imss },
+      { type: 'afore', concept: 'AFORE', amount: taxes.afore },
+      { type: 'infonavit', concept: 'INFONAVIT', amount: taxes.infonavit },
+      { type: 'loan', concept: 'Abono a préstamo', amount: this.round(breakdown.loanPayments) },
+      { type: 'damage', concept: 'Descuento por daños', amount: this.round(breakdown.damages) },
+      { type: 'deduction', concept: 'Otras deducciones', amount: this.round(breakdown.deductions) }
+    ].filter(item => item.amount > 0);
+
+    const totalDeductions = this.round(deductions.reduce((sum, item) => sum + item.amount, 0));
+
+    return new PayrollRun({
+      periodId: period.id,
+      employeeId: employee.id,
+      workspaceId: period.workspaceId,
+      tenantId: period.tenantId,
+      employeeName: `${employee.personalInfo?.firstName || ''} ${employee.personalInfo?.lastName || ''}`.trim(),
+      employeeNumber: employee.employeeNumber || '',
+      department: employee.position?.department || '',
+      position: employee.position?.title || '',
+      frequency: period.frequency,
+      periodStart: period.startDate,
+      periodEnd: period.endDate,
+      paymentDate: period.paymentDate,
+      currency: employee.salary?.currency || employee.contract?.currency || 'MXN',
+      monthlySalary: this.round(monthlySalary),
+      dailySalary: this.round(dailySalary),
+      paidDays,
+      sbc: this.round(sbc),
+      perceptions,
+      deductions,
+      grossSalary,
+      taxableIncome,
+      totalDeductions,
+      netSalary: this.round(grossSalary - totalDeductions),
+      taxes,
+      extras: {
+        breakdown,
+        totalToAdd: this.round(extras.totalToAdd),
+        totalToSubtract: this.round(extras.totalToSubtract),
+        movementIds: extras.movements.map(movement => movement.id)
+      },
+      vacation,
+      attendance,
+      status: 'draft',
+      generatedBy
+    });
+  }
+
+  /**
+   * Generar (o recalcular) corridas en borrador para los empleados del período
+   * Por defecto toma empleados activos cuya frecuencia de pago coincide con la del período
+   */
+  static async generateRuns(periodId, options = {}, generatedBy = null) {
+    try {
+      const period = await PayrollPeriod.findById(periodId);
+      if (!period) {
+        throw new Error('Período de nómina no encontrado');
+      }
+
+      if (period.status !== 'open') {
+        throw new Error('Solo se pueden generar corridas en períodos abiertos');
+      }
+
+      let employees;
+      if (Array.isArray(options.employeeIds) && options.employeeIds.length > 0) {
+        employees = (await Promise.all(options.employeeIds.map(id => Employee.findById(id)))).filter(Boolean);
+      } else {
+        employees = (await Employee.findActive())
+          .filter(employee => (employee.salary?.frequency || 'monthly') === period.frequency);
+      }
+
+      const result = { generated: [], skipped: [], errors: [] };
+
+      for (const employee of employees) {
+        try {
+          const existing = await PayrollRun.findById(PayrollRun.buildId(period.id, employee.id));
+          if (existing && existing.status !== 'draft') {
+            result.skipped.push({ employeeId: employee.id, runId: existing.id, status: existing.status });
+            continue;
+          }
+
+          const run = await this.calculateRun(employee, period, generatedBy);
+          if (existing) {
+            run.createdAt = existing.createdAt;
+          }
+          await run.save();
+          result.generated.push(run);
+        } catch (error) {
+          logger.error('Error generando corrida de nómina:', { employeeId: employee.id, periodId, error: error.message });
+          result.errors.push({ employeeId: employee.id, error: error.message });
+        }
+      }
+
+      await this.refreshPeriodTotals(period);
+
+      logger.info('💼 Corridas de nómina generadas', {
+        periodId,
+        generated: result.generated.length,
+        skipped: result.skipped.length,
+        errors: result.errors.length
+      });
+
+      return { period, ...result };
+    } catch (error) {
+      logger.error('Error generando corridas de nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener corrida por ID
+   */
+  static async getRun(runId) {
+    const run = await PayrollRun.findById(runId);
+    if (!run) {
+      throw new Error('Corrida de nómina no encontrada');
+    }
+    return run;
+  }
+
+  /**
+   * Recalcular una corrida en borrador
+   */
+  static async recalculateRun(runId, generatedBy = null) {
+    const run = await this.getRun(runId);
+    if (run.status !== 'draft') {
+      throw new Error('Solo se pueden recalcular corridas en borrador');
+    }
+
+    const result = await this.generateRuns(run.periodId, { employeeIds: [run.employeeId] }, generatedBy);
+    if (result.errors.length > 0) {
+      throw new Error(result.errors[0].error);
+    }
+
+    return result.generated[0];
+  }
+
+  /**
+   * Aprobar corrida (draft → approved)
+   */
+  static async approveRun(runId, approvedBy) {
+    const run = await this.getRun(runId);
+    this.assertRunTransition(run, 'approved');
+
+    await run.update({
+      status: 'approved',
+      approvedBy,
+      approvedAt: new Date().toISOString()
+    });
+
+    logger.info('✅ Corrida de nómina aprobada', { runId, approvedBy });
+
+    return run;
+  }
+
+  /**
+   * Aprobar todas las corridas en borrador de un período
+   */
+  static async approvePeriod(periodId, approvedBy) {
+    const { period, runs } = await this.getPeriod(periodId);
+    if (period.status !== 'open') {
+      throw new Error('El período ya está cerrado');
+    }
+
+    const drafts = runs.filter(run => run.status === 'draft');
+    for (const run of drafts) {
+      await this.approveRun(run.id, approvedBy);
+    }
+
+    return { period, approved: drafts.length };
+  }
+
+  /**
+   * Cerrar período: todas las corridas deben estar aprobadas
+   * Las corridas pasan a closed y los movimientos incluidos se marcan como pagados
+   */
+  static async closePeriod(periodId, closedBy) {
+    try {
+      const { period, runs } = await this.getPeriod(periodId);
+      if (period.status !== 'open') {
+        throw new Error('El período ya está cerrado');
+      }
+
+      if (runs.length === 0) {
+        throw new Error('El período no tiene corridas de nómina');
+      }
+
+      const drafts = runs.filter(run => run.status === 'draft');
+      if (drafts.length > 0) {
+        throw new Error(`Hay ${drafts.length} corridas en borrador; apruébelas antes de cerrar el período`);
+      }
+
+      const closedAt = new Date().toISOString();
+
+      for (const run of runs) {
+        this.assertRunTransition(run, 'closed');
+        await run.update({ status: 'closed', closedBy, closedAt });
+
+        for (const movementId of run.extras?.movementIds || []) {
+          await new ExtrasMovement({ id: movementId, employeeId: run.employeeId }).update({
+            status: 'paid',
+            payrollRunId: run.id
+          });
+        }
+      }
+
+      await this.refreshPeriodTotals(period, runs);
+      await period.update({ status: 'closed', closedBy, closedAt });
+
+      logger.info('🔒 Período de nómina cerrado', {
+        periodId,
+        runs: runs.length,
+        netSalary: period.totals.netSalary,
+        closedBy
+      });
+
+      return { period, runs };
+    } catch (error) {
+      logger.error('Error cerrando período de nómina:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalcular totales del período a partir de sus corridas
+   */
+  static async refreshPeriodTotals(period, runs = null) {
+    const periodRuns = runs || await PayrollRun.findByPeriod(period.id);
+
+    const totals = periodRuns.reduce((acc, run) => ({
+      employees: acc.employees + 1,
+      grossSalary: this.round(acc.grossSalary + run.grossSalary),
+      totalDeductions: this.round(acc.totalDeductions + run.totalDeductions),
+      netSalary: this.round(acc.netSalary + run.netSalary)
+    }), { employees: 0, grossSalary: 0, totalDeductions: 0, netSalary: 0 });
+
+    await period.update({ totals });
+
+    return totals;
+  }
+
+  /**
+   * Resumir registros de asistencia por empleado
+   */
+  static summarizeAttendance(records = []) {
+    const summaries = {};
+
+    records.forEach(record => {
+      if (!record.employeeId) {
+        return;
+      }
+
+      const summary = summaries[record.employeeId] || { days: {}, totalHours: 0, overtimeHours: 0 };
+      const status = record.status || 'unknown';
+      summary.days[status] = (summary.days[status] || 0) + 1;
+      summary.totalHours = this.round(summary.totalHours + (Number(record.totalHours) || 0));
+      summary.overtimeHours = this.round(summary.overtimeHours + (Number(record.overtimeHours) || 0));
+      summaries[record.employeeId] = summary;
+    });
+
+    return summaries;
+  }
+
+  /**
+   * Aplicar un reporte de asistencia aprobado a los períodos abiertos que contienen su fecha
+   * Las corridas en borrador reciben la asistencia actualizada
+   */
+  static async applyAttendanceReport(report, records = []) {
+    const periods = await PayrollPeriod.findOpenByDate(report.date);
+
+    if (periods.length === 0) {
+      logger.warn('No hay período de nómina abierto para el reporte de asistencia', {
+        reportId: report.id,
+        date: report.date
+      });
+      return { periods: [], employees: 0 };
+    }
+
+    const summaries = this.summarizeAttendance(records);
+    const employeeIds = Object.keys(summaries);
+
+    for (const period of periods) {
+      if (period.attendanceReports.includes(report.id)) {
+        continue;
+      }
+
+      for (const employeeId of employeeIds) {
+        const applied = await period.addAttendance(employeeId, report.id, summaries[employeeId]);
+        if (!applied) {
+          continue;
+        }
+
+        const run = await PayrollRun.findById(PayrollRun.buildId(period.id, employeeId));
+        if (run && run.status === 'draft') {
+          await run.update({ attendance: await period.getAttendance(employeeId) });
+        }
+      }
+
+      await period.update({ attendanceReports: [...period.attendanceReports, report.id] });
+    }
+
+    logger.info('📅 Asistencia aplicada a nómina', {
+      reportId: report.id,
+      date: report.date,
+      periods: periods.map(period => period.id),
+      employees: employeeIds.length
+    });
+
+    return { periods: periods.map(period => period.id), employees: employeeIds.length };
+  }
+}
+
+module.exports = PayrollService;
+module.exports.PAYROLL_FREQUENCIES = PAYROLL_FREQUENCIES;
@@ -9,6 +9,7 @@
 const Platform = require('../models/Platform');
 const Provider = require('../models/Provider');
 const Material = require('../models/Material');
+const StockLedgerService = require('./StockLedgerService');
 const logger = require('../utils/logger');
 const { ApiError } = require('../utils/responseHandler');
 
@@ -120,8 +121,18 @@ class PlatformService {
           provider: provider.name
         });
 
+        // ✅ KARDEX: validar materiales antes de guardar una carga que llega ya completada
+        const ledger = new StockLedgerService();
+        const receipts = StockLedgerService.shouldPostPlatform(platform)
+          ? await ledger.buildReceiptMovements(platform, createdBy)
+          : null;
+
         await platform.save();
 
+        if (receipts) {
+          await ledger.postPlatformReceipt(platform, createdBy, receipts);
+        }
+
         logger.info('Plataforma de proveedor creada exitosamente', {
           userId,
           workspaceId,
@@ -182,8 +193,29 @@ class PlatformService {
         throw ApiError.notFoundError('Plataforma no encontrada');
       }
 
+      // ✅ KARDEX: la entrada se registra al completar y se revierte al reabrir
+      const ledger = new StockLedgerService();
+      const next = new Platform({ ...platform, ...updates, stockPostedAt: platform.stockPostedAt });
+      const willBePosted = StockLedgerService.shouldPostPlatform(next);
+
+      if (platform.stockPostedAt && willBePosted && updates.pieces) {
+        throw ApiError.conflictError('La plataforma ya está registrada en el kardex. Reábrela (in_progress) para modificar sus piezas.');
+      }
+
+      if (platform.stockPostedAt && !willBePosted) {
+        await ledger.reversePlatformReceipt(platform, userId);
+      }
+
+      const receipts = !platform.stockPostedAt && willBePosted
+        ? await ledger.buildReceiptMovements(next, userId)
+        : null;
+
       await platform.update(updates);
 
+      if (receipts) {
+        await ledger.postPlatformReceipt(platform, userId, receipts);
+      }
+
       logger.info('Plataforma actualizada exitosamente', { userId, platformId });
 
       return platform;
@@ -211,6 +243,11 @@ class PlatformService {
         throw ApiError.notFoundError('Plataforma no encontrada');
       }
 
+      // ✅ KARDEX: retirar del stock la entrada de la plataforma eliminada
+      if (platform.stockPostedAt) {
+        await new StockLedgerService().reversePlatformReceipt(platform, userId);
+      }
+
       await platform.delete();
 
       logger.info('Plataforma eliminada exitosamente', { userId, platformId });
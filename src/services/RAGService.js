@@ -2,7 +2,8 @@
  * 🔍 SERVICIO DE RAG (RETRIEVAL-AUGMENTED GENERATION)
  * 
  * Servicio principal para RAG que integra documentos, embeddings
- * y vector store. Funciona en modo stub cuando RAG está deshabilitado.
+ * y vector store. Cuando RAG está deshabilitado recurre a una
+ * búsqueda simple por título y tags.
  * 
  * @version 1.0.0
  * @author Backend Team
@@ -11,7 +12,15 @@
 const { Document, DOCUMENT_STATUS } = require('../models/Document');
 const DocumentsRepository = require('../repositories/DocumentsRepository');
 const { processDocument } = require('../ai/rag/embeddingService');
-const { search, upsert, deleteVectors } = require('../ai/rag/vectorStore');
+const {
+  search,
+  upsert,
+  deleteVectors,
+  reindex: reindexVectors,
+  countVectors,
+  getVectorStoreStats
+} = require('../ai/rag/vectorStore');
+const { getEmbeddingStats } = require('../ai/rag/embeddingService');
 const { getAIConfig, isAIEnabled } = require('../config/aiConfig');
 const logger = require('../utils/logger');
 
@@ -50,6 +59,43 @@ class RAGService {
     }
   }
 
+  /**
+   * Extraer texto indexable del archivo subido
+   * PDF y binarios no se parsean: se indexa solo el título
+   */
+  extractText(fileBuffer, type) {
+    if (!fileBuffer || !['txt', 'md', 'html'].includes(type)) {
+      return null;
+    }
+
+    const raw = fileBuffer.toString('utf8');
+    if (type === 'html') {
+      return raw
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    }
+
+    return raw;
+  }
+
+  /**
+   * Generar embeddings de un documento y guardarlos en el vector store
+   */
+  async indexDocument(document, text = null) {
+    const processed = await processDocument(document, { text });
+
+    // Reemplazar chunks previos del documento
+    await deleteVectors([document.id], document.workspaceId);
+    const stored = await upsert(processed.embeddings, document.workspaceId);
+
+    return {
+      chunks: processed.chunks.length,
+      stored: stored.stored
+    };
+  }
+
   /**
    * Subir documento
    */
@@ -95,8 +141,7 @@ class RAGService {
             updatedAt: document.updatedAt
           });
 
-          // Procesar documento (stub por ahora)
-          await processDocument(document);
+          const indexed = await this.indexDocument(document, this.extractText(fileBuffer, type));
           
           document.markAsReady();
           await this.documentsRepo.updateDocument(document.id, {
@@ -104,9 +149,10 @@ class RAGService {
             updatedAt: document.updatedAt
           });
 
-          logger.info('✅ Documento procesado con embeddings (STUB)', {
+          logger.info('✅ Documento procesado con embeddings', {
             docId: document.id,
             workspaceId,
+            chunks: indexed.chunks,
             ragEnabled: true
           });
         } catch (processingError) {
@@ -179,7 +225,7 @@ class RAGService {
       let notes = [];
 
       if (ragEnabled) {
-        // Búsqueda real en vector store (stub por ahora)
+        // Búsqueda en vector store
         const searchResult = await search(query, {
           workspaceId,
           topK,
@@ -196,7 +242,7 @@ class RAGService {
           tags: match.tags
         }));
 
-        notes.push('RAG habilitado - búsqueda vectorial (stub)');
+        notes.push('RAG habilitado - búsqueda vectorial');
       } else {
         // Búsqueda simulada
         const documents = await this.documentsRepo.getDocumentsByWorkspace(workspaceId, {
@@ -305,6 +351,10 @@ class RAGService {
 
       const reindexed = [];
 
+      // Regenerar embeddings a partir de los chunks ya almacenados
+      const stored = await reindexVectors(workspaceId, documents.map(doc => doc.id));
+      const withChunks = new Set(stored.reindexed);
+
       for (const document of documents) {
         try {
           // Marcar como procesando
@@ -317,8 +367,10 @@ class RAGService {
             updatedAt: document.updatedAt
           });
 
-          // Procesar documento (stub por ahora)
-          await processDocument(document);
+          // Documentos sin chunks almacenados se indexan desde su título
+          if (!withChunks.has(document.id)) {
+            await this.indexDocument(document);
+          }
 
           // Marcar como listo
           document.markAsReady();
@@ -329,7 +381,7 @@ class RAGService {
 
           reindexed.push(document.id);
 
-          logger.info('✅ Documento reindexado (STUB)', {
+          logger.info('✅ Documento reindexado', {
             docId: document.id,
             workspaceId,
             version: document.version
@@ -468,12 +520,13 @@ class RAGService {
         ragEnabled,
         documents: docStats,
         embeddings: {
-          service: 'stub',
+          ...getEmbeddingStats(),
           status: ragEnabled ? 'enabled' : 'disabled'
         },
         vectorStore: {
-          service: 'stub',
-          status: ragEnabled ? 'enabled' : 'disabled'
+          ...getVectorStoreStats(),
+          status: ragEnabled ? 'enabled' : 'disabled',
+          vectors: ragEnabled ? await countVectors(workspaceId) : 0
         }
       };
     } catch (error) {
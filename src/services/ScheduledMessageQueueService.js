@@ -0,0 +1,211 @@
+/**
+ * 🕒 SCHEDULED MESSAGE QUEUE SERVICE - ENVÍO DIFERIDO
+ *
+ * Worker de Bull/Redis para mensajes programados:
+ * ✅ Un job con delay por mensaje (jobId ligado a la revisión)
+ * ✅ Reencolado de pendientes al arrancar
+ * ✅ Sin Redis: sondeo periódico de mensajes vencidos en Firestore
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const Queue = require('bull');
+const logger = require('../utils/logger');
+const ScheduledMessage = require('../models/ScheduledMessage');
+
+const JOB_NAME = 'deliver-scheduled-message';
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+
+class ScheduledMessageQueueService {
+  constructor() {
+    this.queue = null;
+    this.pollTimer = null;
+    this.polling = false;
+    this.isInitialized = false;
+  }
+
+  /**
+   * 🚀 INICIALIZAR WORKER
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    const redisUrl = process.env.REDIS_URL || process.env.REDISCLOUD_URL;
+
+    if (!redisUrl || typeof redisUrl !== 'string' || process.env.ENABLE_REDIS === 'false') {
+      logger.warn('⚠️ Cola de mensajes programados sin Redis: se usará sondeo periódico', {
+        category: 'SCHEDULED_QUEUE_POLLING',
+        redisUrl: redisUrl ? 'EXISTS' : 'MISSING',
+        enableRedis: process.env.ENABLE_REDIS
+      });
+      this.startPolling();
+      this.isInitialized = true;
+      return;
+    }
+
+    try {
+      const redisURL = new URL(redisUrl);
+      this.queue = new Queue('scheduled-messages', {
+        redis: {
+          host: redisURL.hostname,
+          port: Number(redisURL.port || '6379'),
+          username: redisURL.username || 'default',
+          password: redisURL.password,
+          family: 0, // dual stack (Railway)
+          connectTimeout: 5000
+        },
+        defaultJobOptions: {
+          removeOnComplete: 100,
+          removeOnFail: 50,
+          attempts: 1 // Los fallos quedan registrados en el mensaje programado
+        }
+      });
+
+      this.queue.process(JOB_NAME, async (job) => {
+        const ScheduledMessageService = require('./ScheduledMessageService');
+        return ScheduledMessageService.deliver(job.data.scheduledMessageId, { revision: job.data.revision });
+      });
+
+      this.queue.on('failed', (job, err) => {
+        logger.error('❌ Error entregando mensaje programado', {
+          scheduledMessageId: job.data.scheduledMessageId,
+          jobId: job.id,
+          error: err.message
+        });
+      });
+
+      this.isInitialized = true;
+      await this.requeuePending();
+
+      logger.info('✅ Cola de mensajes programados inicializada', {
+        category: 'SCHEDULED_QUEUE_INIT',
+        queue: 'scheduled-messages'
+      });
+    } catch (error) {
+      logger.error('❌ Error inicializando cola de mensajes programados, usando sondeo', {
+        category: 'SCHEDULED_QUEUE_ERROR',
+        error: error.message
+      });
+      this.queue = null;
+      this.startPolling();
+      this.isInitialized = true;
+    }
+  }
+
+  /**
+   * Encolar con delay hasta scheduledAt; quita el job de la revisión anterior
+   * @returns {Promise<string|null>} jobId (null si se entrega por sondeo)
+   */
+  async schedule(scheduled) {
+    if (!this.queue) return null;
+
+    await this.remove(scheduled.jobId);
+
+    const jobId = `scheduled_${scheduled.id}_r${scheduled.revision}`;
+    const scheduledAt = scheduled.toJSON().scheduledAt;
+    await this.queue.add(JOB_NAME, {
+      scheduledMessageId: scheduled.id,
+      revision: scheduled.revision
+    }, {
+      jobId,
+      delay: this.calculateDelay(scheduledAt)
+    });
+
+    return jobId;
+  }
+
+  /**
+   * Quitar job pendiente (cancelación o edición)
+   */
+  async remove(jobId) {
+    if (!this.queue || !jobId) return;
+
+    try {
+      const job = await this.queue.getJob(jobId);
+      if (job) await job.remove();
+    } catch (error) {
+      // El job pudo haber empezado: claimForDelivery descarta revisiones viejas
+      logger.warn('⚠️ No se pudo quitar job de mensaje programado', { jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Reencolar pendientes (jobs perdidos si Redis se vació)
+   */
+  async requeuePending() {
+    const pending = await ScheduledMessage.listPending();
+
+    for (const scheduled of pending) {
+      const jobId = `scheduled_${scheduled.id}_r${scheduled.revision}`;
+      const existing = await this.queue.getJob(jobId);
+      if (!existing) {
+        await this.queue.add(JOB_NAME, { scheduledMessageId: scheduled.id, revision: scheduled.revision }, {
+          jobId,
+          delay: this.calculateDelay(scheduled.toJSON().scheduledAt)
+        });
+      }
+    }
+
+    logger.info('🔁 Mensajes programados pendientes revisados', { pending: pending.length });
+  }
+
+  /**
+   * Sondeo sin Redis: entrega los vencidos
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+
+    const intervalMs = parseInt(process.env.SCHEDULED_MESSAGES_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+
+    this.pollTimer = setInterval(async () => {
+      if (this.polling) return;
+      this.polling = true;
+      try {
+        await this.deliverDue();
+      } catch (error) {
+        logger.error('❌ Error en sondeo de mensajes programados', { error: error.message });
+      } finally {
+        this.polling = false;
+      }
+    }, intervalMs);
+
+    if (typeof this.pollTimer.unref === 'function') this.pollTimer.unref();
+  }
+
+  async deliverDue(now = new Date()) {
+    const ScheduledMessageService = require('./ScheduledMessageService');
+    const due = await ScheduledMessage.listDue(now);
+
+    for (const scheduled of due) {
+      await ScheduledMessageService.deliver(scheduled.id, { revision: scheduled.revision, now });
+    }
+
+    return due.length;
+  }
+
+  calculateDelay(scheduledAt) {
+    if (!scheduledAt) return 0;
+    return Math.max(0, new Date(scheduledAt).getTime() - Date.now());
+  }
+
+  /**
+   * 🛑 DETENER WORKER
+   */
+  async shutdown() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.queue) {
+      await this.queue.close();
+      this.queue = null;
+    }
+    this.isInitialized = false;
+  }
+}
+
+// Singleton instance
+const scheduledMessageQueueService = new ScheduledMessageQueueService();
+
+module.exports = scheduledMessageQueueService;
@@ -0,0 +1,362 @@
+const { firestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Contact = require('../models/Contact');
+const WhatsAppTemplateService = require('./WhatsAppTemplateService');
+const { getConversationsRepository } = require('../repositories/ConversationsRepository');
+const { toDate } = require('../utils/businessHours');
+const { getDefaultTenant, runWithTenant } = require('../utils/tenantContext');
+
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const FAILURE_MESSAGES = {
+  window_closed: 'La ventana de 24 horas de WhatsApp está cerrada y no hay plantilla de respaldo',
+  template_unavailable: 'La plantilla de respaldo no existe o no está aprobada',
+  template_unresolved: 'La plantilla de respaldo tiene variables sin resolver',
+  send_failed: 'Twilio rechazó el envío'
+};
+
+/**
+ * 🎯 SERVICIO DE MENSAJES PROGRAMADOS
+ *
+ * Permite a los agentes programar mensajes (con adjuntos) para una fecha
+ * futura. Mientras esperan aparecen en el hilo con status 'scheduled'; al
+ * vencer, ScheduledMessageQueueService los entrega. Si la ventana de 24
+ * horas de WhatsApp está cerrada se usa la plantilla de respaldo o el
+ * mensaje falla con un motivo claro.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class ScheduledMessageService {
+
+  /**
+   * ¿La ventana de sesión de 24h sigue abierta en `at`?
+   */
+  static isWindowOpen(lastInboundAt, at = new Date()) {
+    const last = toDate(lastInboundAt);
+    if (!last) return false;
+    return at.getTime() - last.getTime() < SESSION_WINDOW_MS;
+  }
+
+  /**
+   * Último mensaje del cliente en la conversación
+   * Conversaciones anteriores a lastInboundAt se resuelven por sus mensajes
+   */
+  static async getLastInboundAt(scheduled) {
+    const conversationRef = firestore
+      .collection('contacts').doc(scheduled.contactId)
+      .collection('conversations').doc(scheduled.conversationId);
+
+    const conversationDoc = await conversationRef.get();
+    const lastInboundAt = conversationDoc.exists ? conversationDoc.data().lastInboundAt : null;
+    if (lastInboundAt) return toDate(lastInboundAt);
+
+    const snapshot = await conversationRef.collection('messages')
+      .where('direction', '==', 'inbound')
+      .orderBy('timestamp', 'desc')
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : toDate(snapshot.docs[0].data().timestamp);
+  }
+
+  /**
+   * Mensaje del hilo que representa al programado
+   */
+  static buildPlaceholder(scheduled, { status = 'scheduled', metadata = {} } = {}) {
+    return {
+      contactId: scheduled.contactId,
+      conversationId: scheduled.conversationId,
+      messageId: scheduled.placeholderMessageId,
+      content: scheduled.content,
+      type: scheduled.attachments.length > 0 ? 'file' : 'text',
+      senderIdentifier: scheduled.createdBy,
+      recipientIdentifier: scheduled.recipientIdentifier,
+      scheduledAt: toDate(scheduled.scheduledAt),
+      status,
+      metadata: {
+        scheduledMessageId: scheduled.id,
+        attachments: scheduled.attachments,
+        sentBy: scheduled.createdBy,
+        failureReason: null,
+        failureMessage: null,
+        ...metadata
+      }
+    };
+  }
+
+  /**
+   * Programar mensaje en una conversación
+   */
+  static async schedule({ conversation, user, content, attachments = [], scheduledAt, fallbackTemplateId = null, templateVariables = {} }) {
+    const scheduled = await ScheduledMessage.create({
+      conversationId: conversation.id,
+      contactId: conversation.contactId,
+      recipientIdentifier: conversation.customerPhone,
+      content,
+      attachments,
+      scheduledAt: new Date(scheduledAt),
+      fallbackTemplateId,
+      templateVariables,
+      workspaceId: conversation.workspaceId || user.workspaceId || null,
+      tenantId: conversation.tenantId || user.tenantId || null,
+      createdBy: user.email
+    });
+
+    const message = await getConversationsRepository().upsertScheduledPlaceholder(this.buildPlaceholder(scheduled));
+    await this.enqueue(scheduled);
+    this.emit(scheduled, 'new-message', { message });
+
+    logger.info('🕒 Mensaje programado', {
+      scheduledMessageId: scheduled.id,
+      conversationId: scheduled.conversationId,
+      scheduledAt: scheduled.toJSON().scheduledAt,
+      attachments: attachments.length,
+      fallbackTemplateId,
+      createdBy: user.email
+    });
+
+    return scheduled;
+  }
+
+  /**
+   * Editar contenido, adjuntos, hora o plantilla de respaldo
+   * La nueva revisión invalida el job anterior
+   */
+  static async reschedule(scheduled, updates, user) {
+    // Un fallido editado vuelve a programarse
+    const changes = {
+      ...updates,
+      status: 'scheduled',
+      failureReason: null,
+      failureMessage: null,
+      revision: scheduled.revision + 1,
+      updatedBy: user.email
+    };
+    if (updates.scheduledAt) changes.scheduledAt = new Date(updates.scheduledAt);
+
+    await scheduled.update(changes);
+
+    const message = await getConversationsRepository().upsertScheduledPlaceholder(this.buildPlaceholder(scheduled));
+    await this.enqueue(scheduled);
+    this.emit(scheduled, 'message-updated', { messageId: message.id, updates: message });
+
+    logger.info('✏️ Mensaje programado actualizado', {
+      scheduledMessageId: scheduled.id,
+      revision: scheduled.revision,
+      fields: Object.keys(updates).join(','),
+      updatedBy: user.email
+    });
+
+    return scheduled;
+  }
+
+  /**
+   * Cancelar: se quita del hilo y de la cola
+   */
+  static async cancel(scheduled, user) {
+    await scheduled.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: user.email
+    });
+
+    await getConversationsRepository().removeScheduledPlaceholder({
+      contactId: scheduled.contactId,
+      conversationId: scheduled.conversationId,
+      messageId: scheduled.placeholderMessageId
+    });
+    await this.getQueue().remove(scheduled.jobId);
+    this.emit(scheduled, 'scheduled-message-cancelled', { scheduledMessageId: scheduled.id, messageId: scheduled.placeholderMessageId });
+
+    logger.info('🚫 Mensaje programado cancelado', {
+      scheduledMessageId: scheduled.id,
+      conversationId: scheduled.conversationId,
+      cancelledBy: user.email
+    });
+
+    return scheduled;
+  }
+
+  /**
+   * Entregar un mensaje programado (llamado por el worker)
+   * El worker no tiene petición: el envío corre en el workspace del mensaje
+   * para que plantilla y contacto se resuelvan solo dentro de él
+   * @returns {Promise<{ delivered: boolean, via?: string, reason?: string }>}
+   */
+  static async deliver(scheduledMessageId, { revision = null, now = new Date() } = {}) {
+    const scheduled = await ScheduledMessage.getById(scheduledMessageId);
+    if (!scheduled) {
+      return { delivered: false, reason: 'not_found' };
+    }
+
+    const tenant = {
+      workspaceId: scheduled.workspaceId || getDefaultTenant().workspaceId,
+      tenantId: scheduled.tenantId || getDefaultTenant().tenantId
+    };
+    return runWithTenant(tenant, () => this.deliverInWorkspace(scheduled, { revision, now }));
+  }
+
+  /**
+   * Reclamar y enviar un mensaje programado ya cargado
+   */
+  static async deliverInWorkspace(scheduled, { revision, now }) {
+    const claimed = await scheduled.claimForDelivery(revision);
+    if (!claimed) {
+      return { delivered: false, reason: 'stale' };
+    }
+
+    const lastInboundAt = await this.getLastInboundAt(scheduled);
+    const outbound = {
+      conversationId: scheduled.conversationId,
+      messageId: scheduled.placeholderMessageId,
+      content: scheduled.content,
+      type: scheduled.attachments.length > 0 ? 'file' : 'text',
+      senderIdentifier: scheduled.createdBy,
+      recipientIdentifier: scheduled.recipientIdentifier,
+      timestamp: now,
+      workspaceId: scheduled.workspaceId,
+      tenantId: scheduled.tenantId,
+      metadata: {
+        scheduledMessageId: scheduled.id,
+        scheduledAt: scheduled.toJSON().scheduledAt,
+        sentBy: scheduled.createdBy,
+        attachments: scheduled.attachments
+      }
+    };
+
+    let via = 'session';
+    if (!this.isWindowOpen(lastInboundAt, now)) {
+      if (!scheduled.fallbackTemplateId) {
+        return this.markFailed(scheduled, 'window_closed');
+      }
+
+      let template;
+      try {
+        template = await WhatsAppTemplateService.getUsableTemplate(scheduled.fallbackTemplateId);
+      } catch (templateError) {
+        return this.markFailed(scheduled, 'template_unavailable', templateError.message);
+      }
+
+      const contact = await Contact.getByPhone(scheduled.recipientIdentifier);
+      const prepared = WhatsAppTemplateService.prepareMessage(template, contact, scheduled.templateVariables);
+      if (!prepared.ready) {
+        return this.markFailed(scheduled, 'template_unresolved', `Variables sin resolver: ${prepared.missing.join(', ')}`);
+      }
+
+      // Las plantillas no llevan adjuntos libres: se envía solo el cuerpo aprobado
+      via = 'template';
+      Object.assign(outbound, {
+        content: prepared.body,
+        type: 'text',
+        contentSid: prepared.contentSid,
+        contentVariables: prepared.contentVariables
+      });
+      outbound.metadata = {
+        ...outbound.metadata,
+        attachments: [],
+        templateId: template.id,
+        contentSid: prepared.contentSid,
+        originalContent: scheduled.content
+      };
+    }
+
+    const repository = getConversationsRepository();
+    let result;
+    try {
+      // El envío real reemplaza al mensaje 'scheduled' del hilo (mismo ID)
+      await repository.removeScheduledPlaceholder({
+        contactId: scheduled.contactId,
+        conversationId: scheduled.conversationId,
+        messageId: scheduled.placeholderMessageId
+      });
+      result = await repository.appendOutbound(outbound);
+    } catch (sendError) {
+      return this.markFailed(scheduled, 'send_failed', sendError.message);
+    }
+
+    await scheduled.update({
+      status: 'sent',
+      deliveredVia: via,
+      sentMessageId: result.message.id,
+      twilioSid: result.message.twilioSid || null,
+      sentAt: now
+    });
+
+    logger.info('📤 Mensaje programado enviado', {
+      scheduledMessageId: scheduled.id,
+      conversationId: scheduled.conversationId,
+      via,
+      twilioSid: scheduled.twilioSid
+    });
+
+    return { delivered: true, via };
+  }
+
+  /**
+   * Marcar como fallido con motivo visible en el hilo
+   */
+  static async markFailed(scheduled, reason, detail = null) {
+    const failureMessage = detail ? `${FAILURE_MESSAGES[reason]}: ${detail}` : FAILURE_MESSAGES[reason];
+
+    await scheduled.update({ status: 'failed', failureReason: reason, failureMessage });
+
+    const message = await getConversationsRepository().upsertScheduledPlaceholder(this.buildPlaceholder(scheduled, {
+      status: 'failed',
+      metadata: { failureReason: reason, failureMessage }
+    }));
+    this.emit(scheduled, 'message-updated', { messageId: message.id, updates: message });
+
+    logger.warn('⚠️ Mensaje programado no enviado', {
+      scheduledMessageId: scheduled.id,
+      conversationId: scheduled.conversationId,
+      reason,
+      detail
+    });
+
+    return { delivered: false, reason };
+  }
+
+  /**
+   * Encolar (o reencolar tras una edición) en el worker de Bull
+   */
+  static async enqueue(scheduled) {
+    const jobId = await this.getQueue().schedule(scheduled);
+    if (jobId !== scheduled.jobId) {
+      await scheduled.update({ jobId });
+    }
+  }
+
+  static getQueue() {
+    return require('./ScheduledMessageQueueService');
+  }
+
+  /**
+   * Emitir a la sala de la conversación
+   */
+  static emit(scheduled, event, payload) {
+    try {
+      const { getSocketManager } = require('../socket');
+      const rt = getSocketManager();
+      if (!rt) return;
+
+      rt.broadcastToConversation({
+        workspaceId: scheduled.workspaceId || 'default_workspace',
+        tenantId: scheduled.tenantId || 'default_tenant',
+        conversationId: scheduled.conversationId,
+        event,
+        payload: { conversationId: scheduled.conversationId, ...payload }
+      });
+    } catch (error) {
+      logger.warn('⚠️ No se pudo emitir evento de mensaje programado', {
+        scheduledMessageId: scheduled.id,
+        event,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = ScheduledMessageService;
+module.exports.FAILURE_MESSAGES = FAILURE_MESSAGES;
@@ -1,38 +1,28 @@
 /**
  * 😊 SENTIMENT ANALYSIS SERVICE
  *
- * Analiza sentimiento, urgencia y complejidad de mensajes de usuario.
- * Combina reglas simples con heurísticas y normaliza salidas.
+ * Analiza sentimiento, emoción, intención y urgencia de mensajes de usuario
+ * con un clasificador intercambiable (IA del workspace o léxico local), guarda
+ * el resultado en el mensaje y mantiene un resumen en la conversación para
+ * filtrar listas y alertar sobre tendencias negativas.
  *
  * @version 1.0.0
  */
 
+const { firestore } = require('../config/firebase');
 const logger = require('../utils/logger');
+const { getClassifier } = require('../ai/classifiers');
+const lexiconClassifier = require('../ai/classifiers/lexicon');
+
+const DEFAULT_NEGATIVE_STREAK = 3;
+const AVERAGE_ALPHA = 0.3;
+const NEGATIVE_AVERAGE_THRESHOLD = -0.4;
 
 class SentimentAnalysisService {
   async analyzeSentiment(userMessage) {
     try {
-      const text = (userMessage || '').toLowerCase();
-
-      // Heurísticas básicas
-      const positiveWords = ['gracias', 'excelente', 'perfecto', 'genial', 'buen', 'feliz', 'satisfecho'];
-      const negativeWords = ['problema', 'error', 'molesto', 'enojado', 'mal', 'malo', 'queja', 'reclamo'];
-
-      const positiveHits = positiveWords.filter(w => text.includes(w)).length;
-      const negativeHits = negativeWords.filter(w => text.includes(w)).length;
-
-      let sentiment = 'neutral';
-      let confidence = 0.5;
-
-      if (positiveHits > negativeHits && positiveHits > 0) {
-        sentiment = 'positive';
-        confidence = Math.min(0.9, 0.6 + 0.1 * positiveHits);
-      } else if (negativeHits > positiveHits && negativeHits > 0) {
-        sentiment = 'negative';
-        confidence = Math.min(0.9, 0.6 + 0.1 * negativeHits);
-      }
-
-      return { sentiment, confidence };
+      const { sentiment } = await lexiconClassifier.classify(userMessage);
+      return { sentiment: sentiment.label, confidence: sentiment.confidence };
     } catch (error) {
       logger.warn('Error analizando sentimiento', { error: error.message });
       return { sentiment: 'neutral', confidence: 0.5 };
@@ -41,10 +31,8 @@ class SentimentAnalysisService {
 
   async detectUrgency(userMessage) {
     try {
-      const text = (userMessage || '').toLowerCase();
-      if (/(urgente|inmediato|rápido|ya|ahora|lo antes posible)/.test(text)) return 'high';
-      if (/(pronto|próximo|fecha|cuando)/.test(text)) return 'medium';
-      return 'normal';
+      const { urgency } = await lexiconClassifier.classify(userMessage);
+      return urgency.level;
     } catch (error) {
       return 'normal';
     }
@@ -60,6 +48,191 @@ class SentimentAnalysisService {
       return 'simple';
     }
   }
+
+  /**
+   * Elegir clasificador según MESSAGE_CLASSIFIER y la configuración IA del workspace
+   * @returns {Promise<{ name: string, provider?: string, model?: string }>}
+   */
+  async resolveClassifier(workspaceId) {
+    const mode = process.env.MESSAGE_CLASSIFIER || 'auto';
+
+    if (mode !== 'auto' && mode !== 'ai') {
+      return { name: mode };
+    }
+
+    try {
+      const { getAIConfig } = require('../config/aiConfig');
+      const config = await getAIConfig(workspaceId || 'default_workspace');
+
+      if (mode === 'ai' || config.ai_enabled === true) {
+        return { name: 'ai', provider: config.provider, model: config.defaultModel };
+      }
+    } catch (error) {
+      logger.warn('⚠️ No se pudo leer configuración IA, usando léxico local', {
+        workspaceId,
+        error: error.message
+      });
+    }
+
+    return { name: 'lexicon' };
+  }
+
+  /**
+   * Clasificar un mensaje (sentimiento, emoción, intención y urgencia)
+   * Si el clasificador elegido falla se usa el léxico local.
+   */
+  async classifyMessage(text, options = {}) {
+    const { workspaceId, conversationId } = options;
+    const selected = await this.resolveClassifier(workspaceId);
+    let result = null;
+
+    try {
+      result = await getClassifier(selected.name).classify(text, {
+        provider: selected.provider,
+        model: selected.model,
+        workspaceId,
+        conversationId
+      });
+    } catch (error) {
+      logger.warn('⚠️ Clasificador falló, usando léxico local', {
+        classifier: selected.name,
+        conversationId,
+        error: error.message
+      });
+    }
+
+    if (!result) {
+      result = await lexiconClassifier.classify(text);
+    }
+
+    return { ...result, classifiedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Calcular el resumen de la conversación con un nuevo mensaje clasificado
+   * Promedio exponencial del sentimiento, racha negativa y conteos por intención.
+   */
+  buildSummary(previous, analysis, messageId = null) {
+    const streakThreshold = parseInt(process.env.SENTIMENT_ALERT_NEGATIVE_STREAK) || DEFAULT_NEGATIVE_STREAK;
+    const prev = previous || {};
+    const messagesAnalyzed = (prev.messagesAnalyzed || 0) + 1;
+    const score = analysis.sentiment.score;
+
+    const averageScore = prev.messagesAnalyzed
+      ? prev.averageScore + AVERAGE_ALPHA * (score - prev.averageScore)
+      : score;
+
+    const negativeStreak = analysis.sentiment.label === 'negative' ? (prev.negativeStreak || 0) + 1 : 0;
+
+    const counts = { positive: 0, neutral: 0, negative: 0, ...(prev.counts || {}) };
+    counts[analysis.sentiment.label] += 1;
+
+    const intents = { ...(prev.intents || {}) };
+    intents[analysis.intent.label] = (intents[analysis.intent.label] || 0) + 1;
+
+    const negativeTrend = negativeStreak >= streakThreshold ||
+      (messagesAnalyzed >= streakThreshold && averageScore <= NEGATIVE_AVERAGE_THRESHOLD);
+
+    return {
+      lastSentiment: analysis.sentiment.label,
+      lastScore: score,
+      averageScore: Math.round(averageScore * 1000) / 1000,
+      lastEmotion: analysis.emotion.label,
+      lastIntent: analysis.intent.label,
+      urgencyLevel: analysis.urgency.level,
+      urgencyScore: analysis.urgency.score,
+      negativeStreak,
+      negativeTrend,
+      counts,
+      intents,
+      messagesAnalyzed,
+      lastMessageId: messageId,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Clasificar un mensaje entrante, guardarlo en el mensaje y actualizar el
+   * resumen de la conversación (contacts/{contactId}/conversations/{id})
+   */
+  async processInboundMessage({ contactId, conversationId, messageId, content, workspaceId, tenantId }) {
+    if (!content || !content.trim()) {
+      return { analysis: null, summary: null, alert: false };
+    }
+
+    const analysis = await this.classifyMessage(content, { workspaceId, conversationId });
+
+    if (!contactId || !firestore) {
+      return { analysis, summary: null, alert: false };
+    }
+
+    const conversationRef = firestore
+      .collection('contacts').doc(contactId)
+      .collection('conversations').doc(conversationId);
+    const messageRef = conversationRef.collection('messages').doc(messageId);
+
+    const { previous, summary } = await firestore.runTransaction(async (transaction) => {
+      const conversationDoc = await transaction.get(conversationRef);
+      const previousSummary = conversationDoc.exists ? conversationDoc.data().sentimentSummary || null : null;
+      const nextSummary = this.buildSummary(previousSummary, analysis, messageId);
+
+      transaction.set(messageRef, { analysis }, { merge: true });
+      transaction.set(conversationRef, { sentimentSummary: nextSummary }, { merge: true });
+
+      return { previous: previousSummary, summary: nextSummary };
+    });
+
+    // Alertar solo al entrar en tendencia negativa (no en cada mensaje siguiente)
+    const alert = summary.negativeTrend && !previous?.negativeTrend;
+    if (alert) {
+      this.raiseNegativeTrendAlert({ conversationId, workspaceId, tenantId, summary });
+    }
+
+    logger.info('🧭 Mensaje clasificado', {
+      conversationId,
+      messageId,
+      classifier: analysis.classifier,
+      sentiment: analysis.sentiment.label,
+      intent: analysis.intent.label,
+      urgency: analysis.urgency.level,
+      negativeTrend: summary.negativeTrend
+    });
+
+    return { analysis, summary, alert };
+  }
+
+  /**
+   * Alerta de tendencia negativa: log + evento en tiempo real a la conversación
+   */
+  raiseNegativeTrendAlert({ conversationId, workspaceId, tenantId, summary }) {
+    logger.warn('🚨 Tendencia negativa en conversación', {
+      category: 'SENTIMENT_NEGATIVE_TREND',
+      conversationId,
+      negativeStreak: summary.negativeStreak,
+      averageScore: summary.averageScore,
+      lastIntent: summary.lastIntent
+    });
+
+    try {
+      const { getSocketManager } = require('../socket');
+      const rt = getSocketManager();
+
+      if (rt && typeof rt.broadcastToConversation === 'function') {
+        rt.broadcastToConversation({
+          workspaceId,
+          tenantId,
+          conversationId,
+          event: 'conversation:sentiment-alert',
+          payload: { conversationId, sentimentSummary: summary }
+        });
+      }
+    } catch (error) {
+      logger.warn('⚠️ No se pudo emitir alerta de sentimiento', {
+        conversationId,
+        error: error.message
+      });
+    }
+  }
 }
 
 // Singleton
@@ -0,0 +1,321 @@
+const Employee = require('../models/Employee');
+const EmployeeSettlement = require('../models/EmployeeSettlement');
+const TaxCalculationService = require('./TaxCalculationService');
+const PDFService = require('./PDFService');
+const EmployeeDocumentService = require('./EmployeeDocumentService');
+const { PAYROLL_COMPANY, SETTLEMENT_CONFIG } = require('../config/payrollConfig');
+const logger = require('../utils/logger');
+
+const TERMINATION_REASONS = [
+  'voluntary_resignation',
+  'justified_dismissal',
+  'unjustified_dismissal',
+  'contract_end',
+  'mutual_agreement'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Servicio de Finiquito y Liquidación
+ * Calcula la baja de un empleado conforme a la LFT:
+ * - Finiquito: salario pendiente, aguinaldo proporcional, vacaciones no gozadas y prima vacacional
+ * - Liquidación (despido injustificado): 3 meses de salario, 20 días por año y prima de antigüedad
+ * Retiene ISR con las exenciones del art. 93 LISR, genera el PDF y bloquea el expediente
+ */
+class SettlementService {
+  /**
+   * Redondear a centavos
+   */
+  static round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  /**
+   * Fecha YYYY-MM-DD a Date (UTC)
+   */
+  static toDate(value) {
+    return new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  }
+
+  /**
+   * Días naturales entre dos fechas, ambas inclusive
+   */
+  static daysBetween(start, end) {
+    return Math.round((this.toDate(end) - this.toDate(start)) / DAY_MS) + 1;
+  }
+
+  /**
+   * Días de vacaciones del año de servicio n (art. 76 LFT, reforma 2023)
+   * 12 días el primer año, +2 por año hasta 20; desde el sexto, +2 cada 5 años
+   */
+  static vacationEntitlement(serviceYear) {
+    if (serviceYear <= 5) {
+      return 12 + (Math.max(1, serviceYear) - 1) * 2;
+    }
+    return 22 + Math.floor((serviceYear - 6) / 5) * 2;
+  }
+
+  /**
+   * Años de servicio completos y días transcurridos desde el último aniversario
+   */
+  static serviceTime(startDate, terminationDate) {
+    const start = this.toDate(startDate);
+    const end = this.toDate(terminationDate);
+
+    let completedYears = end.getUTCFullYear() - start.getUTCFullYear();
+    const anniversary = new Date(start);
+    anniversary.setUTCFullYear(start.getUTCFullYear() + completedYears);
+    if (anniversary > end) {
+      completedYears--;
+      anniversary.setUTCFullYear(anniversary.getUTCFullYear() - 1);
+    }
+
+    const daysSinceAnniversary = Math.round((end - anniversary) / DAY_MS) + 1;
+    return {
+      completedYears,
+      daysSinceAnniversary,
+      years: Math.round((completedYears + daysSinceAnniversary / 365) * 10000) / 10000
+    };
+  }
+
+  /**
+   * ¿Corresponde prima de antigüedad? (art. 162 LFT)
+   * Separación por despido (justificado o no) o retiro voluntario con 15+ años
+   */
+  static appliesSeniorityPremium(reason, years) {
+    if (reason === 'justified_dismissal' || reason === 'unjustified_dismissal') {
+      return true;
+    }
+    return reason === 'voluntary_resignation' && years >= 15;
+  }
+
+  /**
+   * Calcular finiquito o liquidación (sin guardar)
+   * @param {Object} options - { terminationDate, reason, pendingSalaryDays, unusedVacationDays,
+   *                             aguinaldoDays, vacationPremiumRate, otherDeductions, notes }
+   */
+  static async calculate(employee, options = {}, calculatedBy = null) {
+    const { terminationDate, reason } = options;
+
+    if (!TERMINATION_REASONS.includes(reason)) {
+      throw new Error(`Motivo de baja no soportado: ${reason}`);
+    }
+
+    const startDate = String(employee.contract?.startDate || employee.position?.startDate || '').slice(0, 10);
+    if (!startDate || isNaN(this.toDate(startDate).getTime())) {
+      throw new Error('El empleado no tiene fecha de ingreso válida');
+    }
+    if (terminationDate < startDate) {
+      throw new Error('La fecha de baja no puede ser anterior a la fecha de ingreso');
+    }
+
+    const monthlySalary = Number(employee.contract?.salary || employee.salary?.baseSalary || 0);
+    if (monthlySalary <= 0) {
+      throw new Error('El empleado no tiene salario registrado');
+    }
+
+    const dailySalary = monthlySalary / 30;
+    const integratedDailySalary = (Number(employee.sbc) || monthlySalary) / 30;
+    const aguinaldoDays = options.aguinaldoDays ?? SETTLEMENT_CONFIG.aguinaldoDays;
+    const vacationPremiumRate = Math.max(SETTLEMENT_CONFIG.vacationPremiumRate, options.vacationPremiumRate || 0);
+    const pendingSalaryDays = options.pendingSalaryDays || 0;
+
+    const table = await TaxCalculationService.getTableForDate(terminationDate);
+    const uma = table.uma.diaria;
+    const service = this.serviceTime(startDate, terminationDate);
+
+    // Aguinaldo proporcional a los días trabajados en el año de la baja
+    const yearStart = `${terminationDate.slice(0, 4)}-01-01`;
+    const daysWorkedInYear = this.daysBetween(startDate > yearStart ? startDate : yearStart, terminationDate);
+    const aguinaldo = aguinaldoDays * dailySalary * daysWorkedInYear / 365;
+
+    // Vacaciones: proporcionales del año de servicio en curso + pendientes de años cumplidos
+    const proportionalVacation = this.vacationEntitlement(service.completedYears + 1) * service.daysSinceAnniversary / 365;
+    const unusedVacationDays = options.unusedVacationDays ?? (Number(employee.vacationBalance) || 0);
+    const vacationDays = Math.round((proportionalVacation + unusedVacationDays) * 100) / 100;
+    const vacationPay = vacationDays * dailySalary;
+    const vacationPremium = vacationPay * vacationPremiumRate;
+
+    // Exenciones art. 93 LISR: aguinaldo 30 UMA, prima vacacional 15 UMA
+    const ordinary = [
+      { type: 'salary', concept: 'Salario pendiente', amount: this.round(dailySalary * pendingSalaryDays), exemptLimit: 0 },
+      { type: 'aguinaldo', concept: 'Aguinaldo proporcional', amount: this.round(aguinaldo), exemptLimit: 30 * uma },
+      { type: 'vacation', concept: 'Vacaciones no gozadas', amount: this.round(vacationPay), exemptLimit: 0 },
+      { type: 'vacation_premium', concept: 'Prima vacacional', amount: this.round(vacationPremium), exemptLimit: 15 * uma }
+    ];
+
+    const separation = [];
+    if (reason === 'unjustified_dismissal') {
+      separation.push(
+        { type: 'indemnity_90_days', concept: 'Indemnización constitucional (3 meses)', amount: this.round(90 * integratedDailySalary) },
+        { type: 'indemnity_20_days', concept: 'Indemnización 20 días por año', amount: this.round(20 * integratedDailySalary * service.years) }
+      );
+    }
+    if (this.appliesSeniorityPremium(reason, service.years)) {
+      // Art. 486 LFT: el salario base no puede exceder el doble del mínimo
+      const seniorityBase = Math.min(dailySalary, 2 * SETTLEMENT_CONFIG.minimumWageDaily);
+      separation.push({
+        type: 'seniority_premium',
+        concept: 'Prima de antigüedad (12 días por año)',
+        amount: this.round(12 * seniorityBase * service.years)
+      });
+    }
+
+    const perceptions = ordinary.map(({ exemptLimit, ...item }) => {
+      const exempt = this.round(Math.min(item.amount, exemptLimit));
+      return { ...item, exempt, taxable: this.round(item.amount - exempt) };
+    });
+
+    // Pagos por separación: exentos hasta 90 UMA por año de servicio (fracción > 6 meses cuenta como año)
+    const exemptYears = service.completedYears + (service.daysSinceAnniversary > 182 ? 1 : 0);
+    let separationExemptLeft = 90 * uma * exemptYears;
+    separation.forEach(item => {
+      const exempt = this.round(Math.min(item.amount, separationExemptLeft));
+      separationExemptLeft -= exempt;
+      perceptions.push({ ...item, exempt, taxable: this.round(item.amount - exempt) });
+    });
+
+    const isSeparation = (item) => separation.some(entry => entry.type === item.type);
+    const ordinaryTaxable = perceptions.filter(item => !isSeparation(item)).reduce((sum, item) => sum + item.taxable, 0);
+    const separationTaxable = perceptions.filter(isSeparation).reduce((sum, item) => sum + item.taxable, 0);
+
+    // ISR: lo ordinario se grava como ingreso del mes de la baja; la separación con la
+    // tasa efectiva del último sueldo mensual ordinario (art. 95 LISR)
+    const ordinaryIsr = TaxCalculationService.calcularISR(ordinaryTaxable, 0, table);
+    const separationRate = TaxCalculationService.calcularISR(monthlySalary, 0, table) / monthlySalary;
+    const separationIsr = this.round(separationTaxable * separationRate);
+    const isr = this.round(ordinaryIsr + separationIsr);
+
+    const deductions = [
+      { type: 'isr', concept: 'ISR', amount: isr },
+      ...(options.otherDeductions || []).map(item => ({ type: 'deduction', concept: item.concept, amount: this.round(item.amount) }))
+    ].filter(item => item.amount > 0);
+
+    const payable = perceptions.filter(item => item.amount > 0);
+    const totalPerceptions = this.round(payable.reduce((sum, item) => sum + item.amount, 0));
+    const totalDeductions = this.round(deductions.reduce((sum, item) => sum + item.amount, 0));
+
+    return new EmployeeSettlement({
+      employeeId: employee.id,
+      employeeName: `${employee.personalInfo?.firstName || ''} ${employee.personalInfo?.lastName || ''}`.trim(),
+      employeeNumber: employee.employeeNumber || '',
+      department: employee.position?.department || '',
+      position: employee.position?.title || '',
+      type: separation.some(item => item.type.startsWith('indemnity')) ? 'liquidacion' : 'finiquito',
+      reason,
+      notes: options.notes || null,
+      currency: employee.salary?.currency || employee.contract?.currency || 'MXN',
+      startDate,
+      terminationDate,
+      yearsOfService: service.years,
+      monthlySalary: this.round(monthlySalary),
+      dailySalary: this.round(dailySalary),
+      integratedDailySalary: this.round(integratedDailySalary),
+      pendingSalaryDays,
+      aguinaldoDays,
+      vacationDays,
+      vacationPremiumRate,
+      perceptions: payable,
+      deductions,
+      totalPerceptions,
+      totalExempt: this.round(payable.reduce((sum, item) => sum + item.exempt, 0)),
+      totalTaxable: this.round(ordinaryTaxable + separationTaxable),
+      totalDeductions,
+      netAmount: this.round(totalPerceptions - totalDeductions),
+      taxes: {
+        isr,
+        ordinaryIsr: this.round(ordinaryIsr),
+        separationIsr,
+        separationRate: Math.round(separationRate * 10000) / 10000,
+        tableVersion: table.version
+      },
+      calculatedBy
+    });
+  }
+
+  /**
+   * Vista previa del cálculo (no guarda ni bloquea)
+   */
+  static async preview(employeeId, options = {}) {
+    const employee = await Employee.findById(employeeId);
+    if (!employee) {
+      throw new Error('Empleado no encontrado');
+    }
+
+    return this.calculate(employee, options);
+  }
+
+  /**
+   * Registrar la baja: calcula, genera el PDF en los documentos del empleado y bloquea el expediente
+   */
+  static async terminate(employeeId, options, user) {
+    const employee = await Employee.findById(employeeId);
+    if (!employee) {
+      throw new Error('Empleado no encontrado');
+    }
+    if (employee.isLocked()) {
+      throw new Error('El empleado ya tiene una baja registrada y su expediente está bloqueado');
+    }
+
+    const settlement = await this.calculate(employee, options, user?.email || null);
+
+    // El PDF se genera antes de guardar para no dejar una baja sin comprobante
+    const { pdfBuffer, fileName } = await PDFService.generateSettlementReceipt(settlement, employee, PAYROLL_COMPANY);
+    await settlement.save();
+
+    const documentService = new EmployeeDocumentService();
+    const pdfDocument = await documentService.uploadDocument(employeeId, {
+      buffer: pdfBuffer,
+      originalname: fileName,
+      size: pdfBuffer.length,
+      mimetype: 'application/pdf'
+    }, {
+      category: 'payroll',
+      subcategory: 'settlement_pdf',
+      description: `${settlement.type === 'liquidacion' ? 'Liquidación' : 'Finiquito'} al ${settlement.terminationDate}`,
+      tags: ['finiquito', settlement.type, settlement.terminationDate],
+      isConfidential: true,
+      metadata: {
+        settlementId: settlement.id,
+        reason: settlement.reason,
+        netAmount: settlement.netAmount
+      }
+    }, {
+      id: user?.id || null,
+      email: user?.email || 'system',
+      name: user?.name || 'Nómina'
+    });
+
+    await settlement.update({ pdfDocumentId: pdfDocument.id });
+    await employee.lock({
+      settlementId: settlement.id,
+      terminationDate: settlement.terminationDate,
+      reason: settlement.reason
+    }, user?.email || null);
+
+    logger.info('📄 Baja de empleado registrada', {
+      employeeId,
+      settlementId: settlement.id,
+      type: settlement.type,
+      netAmount: settlement.netAmount,
+      pdfDocumentId: pdfDocument.id
+    });
+
+    return settlement;
+  }
+
+  /**
+   * Obtener el finiquito registrado de un empleado
+   */
+  static async getSettlement(employeeId) {
+    const settlement = await EmployeeSettlement.findByEmployee(employeeId);
+    if (!settlement) {
+      throw new Error('Finiquito no encontrado');
+    }
+    return settlement;
+  }
+}
+
+module.exports = SettlementService;
+module.exports.TERMINATION_REASONS = TERMINATION_REASONS;
@@ -0,0 +1,440 @@
+const { firestore, FieldValue } = require('../config/firebase');
+const logger = require('../utils/logger');
+const SlaPolicy = require('../models/SlaPolicy');
+const BusinessHoursCalendar = require('../models/BusinessHoursCalendar');
+const { toDate, businessMinutesBetween, addBusinessMinutes } = require('../utils/businessHours');
+const { getDefaultTenant, runWithTenant, scopeQuery } = require('../utils/tenantContext');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const ACTIVE_STATUSES = ['open', 'pending'];
+const FINISHED_STATUSES = ['resolved', 'closed', 'archived'];
+const PRIORITY_LADDER = ['low', 'medium', 'high', 'urgent'];
+const STATUS_SEVERITY = { ok: 0, at_risk: 1, breached: 2 };
+
+/**
+ * 🎯 SERVICIO DE SLA DE CONVERSACIONES
+ *
+ * Asigna a cada conversación abierta la política SLA que le corresponde
+ * (por prioridad o etiqueta), mide primera respuesta y resolución en
+ * minutos hábiles y la marca en riesgo o incumplida. Al entrar en riesgo o
+ * incumplimiento avisa a supervisores por socket; al incumplir escala
+ * subiendo prioridad o reasignando según la política. Cada workspace se
+ * evalúa en su propio contexto de tenant con sus propias políticas.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class SlaService {
+
+  static timer = null;
+  static running = false;
+
+  /**
+   * Política aplicable: la de menor rank que coincide con la conversación
+   * (solo políticas del workspace de la conversación)
+   */
+  static matchPolicy(conversation, policies) {
+    return [...policies]
+      .sort((a, b) => a.rank - b.rank)
+      .find(policy => policy.matches(conversation)) || null;
+  }
+
+  /**
+   * Evaluar un objetivo (primera respuesta o resolución)
+   */
+  static evaluateTarget({ startedAt, completedAt, targetMinutes, atRiskThreshold, calendar, now }) {
+    if (!targetMinutes) return null;
+
+    const elapsedMinutes = businessMinutesBetween(startedAt, completedAt || now, calendar);
+    const dueAt = addBusinessMinutes(startedAt, targetMinutes, calendar);
+
+    let status;
+    if (completedAt) {
+      status = elapsedMinutes <= targetMinutes ? 'met' : 'breached';
+    } else if (elapsedMinutes >= targetMinutes) {
+      status = 'breached';
+    } else if (elapsedMinutes >= targetMinutes * atRiskThreshold) {
+      status = 'at_risk';
+    } else {
+      status = 'pending';
+    }
+
+    return {
+      targetMinutes,
+      dueAt,
+      completedAt: completedAt || null,
+      elapsedMinutes: Math.round(elapsedMinutes * 10) / 10,
+      status
+    };
+  }
+
+  /**
+   * Estado SLA de una conversación en `now` (sin efectos secundarios)
+   */
+  static evaluateConversation(conversation, policy, calendar = null, now = new Date()) {
+    const previous = conversation.sla || null;
+    const samePolicy = previous && previous.policyId === policy.id;
+
+    const startedAt = toDate(samePolicy && previous.startedAt) || toDate(conversation.createdAt) || now;
+    const respondedAt = toDate(conversation.firstResponseAt);
+    const resolvedAt = FINISHED_STATUSES.includes(conversation.status)
+      ? (toDate(samePolicy && previous.resolution?.completedAt) || toDate(conversation.updatedAt) || now)
+      : null;
+
+    const common = { startedAt, atRiskThreshold: policy.atRiskThreshold, calendar, now };
+    const firstResponse = SlaService.evaluateTarget({
+      ...common,
+      completedAt: respondedAt,
+      targetMinutes: policy.firstResponseMinutes
+    });
+    const resolution = SlaService.evaluateTarget({
+      ...common,
+      completedAt: resolvedAt,
+      targetMinutes: policy.resolutionMinutes
+    });
+
+    const statuses = [firstResponse?.status, resolution?.status];
+    const status = statuses.includes('breached') ? 'breached' : statuses.includes('at_risk') ? 'at_risk' : 'ok';
+
+    return {
+      policyId: policy.id,
+      policyName: policy.name,
+      calendarId: policy.calendarId,
+      startedAt,
+      firstResponse,
+      resolution,
+      status,
+      state: resolvedAt ? 'completed' : 'active',
+      lastEvaluatedAt: now,
+      escalations: samePolicy ? (previous.escalations || []) : []
+    };
+  }
+
+  /**
+   * Siguiente prioridad en la escala (null si ya es la máxima)
+   */
+  static raisePriority(priority) {
+    const current = PRIORITY_LADDER.indexOf(priority === 'normal' ? 'medium' : priority);
+    if (current === PRIORITY_LADDER.length - 1) return null;
+    return PRIORITY_LADDER[Math.max(current + 1, 1)];
+  }
+
+  /**
+   * Cambios de escalamiento al incumplir la política
+   */
+  static buildEscalation(conversation, policy, now = new Date()) {
+    const updates = {};
+    const actions = [];
+
+    if (policy.escalation.raisePriority) {
+      const nextPriority = SlaService.raisePriority(conversation.priority);
+      if (nextPriority) {
+        updates.priority = nextPriority;
+        actions.push({ type: 'raise_priority', from: conversation.priority || null, to: nextPriority });
+      }
+    }
+
+    const reassignTo = policy.escalation.reassignTo;
+    if (reassignTo && reassignTo !== conversation.assignedTo) {
+      updates.assignedTo = reassignTo;
+      updates.primaryAgent = reassignTo;
+      updates.assignedAt = now;
+      actions.push({ type: 'reassign', from: conversation.assignedTo || null, to: reassignTo });
+    }
+
+    return { updates, actions };
+  }
+
+  /**
+   * Evaluar y persistir una conversación; alerta y escala en transiciones
+   */
+  static async processConversation(ref, conversation, policy, calendar, now = new Date()) {
+    const previous = conversation.sla || null;
+    const sla = SlaService.evaluateConversation(conversation, policy, calendar, now);
+
+    const previousSeverity = previous && previous.policyId === sla.policyId ? STATUS_SEVERITY[previous.status] || 0 : 0;
+    const worsened = STATUS_SEVERITY[sla.status] > previousSeverity;
+
+    const changed = !previous ||
+      previous.policyId !== sla.policyId ||
+      previous.status !== sla.status ||
+      previous.state !== sla.state ||
+      previous.firstResponse?.status !== sla.firstResponse?.status ||
+      previous.resolution?.status !== sla.resolution?.status;
+
+    if (!changed) return { sla, changed: false, escalated: false };
+
+    const updates = { sla };
+
+    let escalation = null;
+    if (worsened && sla.status === 'breached' && sla.state === 'active') {
+      escalation = SlaService.buildEscalation(conversation, policy, now);
+      if (escalation.actions.length > 0) {
+        Object.assign(updates, escalation.updates);
+        sla.escalations = [...sla.escalations, { at: now, reason: 'breached', actions: escalation.actions }];
+      }
+    }
+
+    await ref.update({ ...updates, updatedAt: FieldValue.serverTimestamp() });
+
+    if (worsened && sla.state === 'active') {
+      SlaService.emitAlert({ conversation, sla, escalation });
+    }
+
+    return { sla, changed: true, escalated: !!escalation?.actions.length };
+  }
+
+  /**
+   * Alerta en tiempo real a supervisores y a la sala de la conversación
+   */
+  static emitAlert({ conversation, sla, escalation }) {
+    const payload = {
+      conversationId: conversation.id,
+      status: sla.status,
+      policyId: sla.policyId,
+      policyName: sla.policyName,
+      firstResponse: sla.firstResponse,
+      resolution: sla.resolution,
+      escalation: escalation?.actions || [],
+      at: new Date().toISOString()
+    };
+
+    logger.warn(sla.status === 'breached' ? '🚨 SLA incumplido' : '⏰ SLA en riesgo', {
+      category: 'SLA_ALERT',
+      conversationId: conversation.id,
+      policyId: sla.policyId,
+      status: sla.status,
+      escalation: payload.escalation.map(action => action.type).join(',')
+    });
+
+    try {
+      const { getSocketManager } = require('../socket');
+      const rt = getSocketManager();
+      if (!rt) return;
+
+      const { getRoleRoom } = require('../socket');
+      const tenant = {
+        workspaceId: conversation.workspaceId || getDefaultTenant().workspaceId,
+        tenantId: conversation.tenantId || getDefaultTenant().tenantId
+      };
+
+      ['supervisor', 'admin'].forEach(role => rt.io?.to(getRoleRoom({ ...tenant, role })).emit('conversation:sla-alert', payload));
+
+      if (typeof rt.broadcastToConversation === 'function') {
+        rt.broadcastToConversation({
+          ...tenant,
+          conversationId: conversation.id,
+          event: 'conversation:sla-alert',
+          payload
+        });
+      }
+    } catch (error) {
+      logger.warn('⚠️ No se pudo emitir alerta SLA', {
+        conversationId: conversation.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Calendario por ID con cache por corrida
+   */
+  static async loadCalendar(calendarId, cache) {
+    if (!calendarId) return null;
+    if (!cache.has(calendarId)) {
+      const calendar = await BusinessHoursCalendar.getById(calendarId);
+      cache.set(calendarId, calendar && calendar.isActive ? calendar : null);
+    }
+    return cache.get(calendarId);
+  }
+
+  /**
+   * Conversaciones a evaluar del workspace actual: abiertas/pendientes y las
+   * que tienen SLA activo
+   */
+  static async loadCandidates() {
+    const conversations = () => scopeQuery(firestore.collectionGroup('conversations'));
+    const [openSnapshot, activeSnapshot] = await Promise.all([
+      conversations().where('status', 'in', ACTIVE_STATUSES).get(),
+      conversations().where('sla.state', '==', 'active').get()
+    ]);
+
+    const byPath = new Map();
+    [...openSnapshot.docs, ...activeSnapshot.docs].forEach(doc => {
+      // Solo contacts/{contactId}/conversations/{conversationId}
+      if (doc.ref.parent.parent?.parent?.id !== 'contacts') return;
+      byPath.set(doc.ref.path, doc);
+    });
+
+    return Array.from(byPath.values());
+  }
+
+  /**
+   * Evaluar todas las conversaciones candidatas
+   * Sin contexto (evaluador periódico) recorre cada workspace con políticas;
+   * dentro de una petición solo el workspace del usuario
+   */
+  static async evaluateAll(now = new Date()) {
+    const startTime = Date.now();
+    const stats = { evaluated: 0, changed: 0, atRisk: 0, breached: 0, escalated: 0, errors: 0 };
+
+    const policies = await SlaPolicy.list();
+    if (policies.length === 0) return stats;
+
+    const byWorkspace = new Map();
+    policies.forEach(policy => {
+      const key = `${policy.workspaceId}:${policy.tenantId}`;
+      if (!byWorkspace.has(key)) {
+        byWorkspace.set(key, { tenant: { workspaceId: policy.workspaceId, tenantId: policy.tenantId }, policies: [] });
+      }
+      byWorkspace.get(key).policies.push(policy);
+    });
+
+    for (const { tenant, policies: workspacePolicies } of byWorkspace.values()) {
+      try {
+        await runWithTenant(tenant, () => SlaService.evaluateWorkspace(workspacePolicies, stats, now));
+      } catch (error) {
+        stats.errors++;
+        logger.error('❌ Error evaluando SLA del workspace', {
+          workspaceId: tenant.workspaceId,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('⏱️ Evaluación SLA completada', {
+      category: 'SLA_EVALUATION',
+      ...stats,
+      durationMs: Date.now() - startTime
+    });
+
+    return stats;
+  }
+
+  /**
+   * Evaluar las conversaciones del workspace actual con sus políticas
+   */
+  static async evaluateWorkspace(policies, stats, now) {
+    const calendars = new Map();
+    const docs = await SlaService.loadCandidates();
+
+    for (const doc of docs) {
+      const conversation = { id: doc.id, ...doc.data() };
+      const policy = SlaService.matchPolicy(conversation, policies);
+      if (!policy) continue;
+
+      try {
+        const calendar = await SlaService.loadCalendar(policy.calendarId, calendars);
+        const result = await SlaService.processConversation(doc.ref, conversation, policy, calendar, now);
+
+        stats.evaluated++;
+        if (result.changed) stats.changed++;
+        if (result.escalated) stats.escalated++;
+        if (result.sla.state === 'active' && result.sla.status === 'at_risk') stats.atRisk++;
+        if (result.sla.state === 'active' && result.sla.status === 'breached') stats.breached++;
+      } catch (error) {
+        stats.errors++;
+        logger.error('❌ Error evaluando SLA de conversación', {
+          conversationId: conversation.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Iniciar evaluador periódico (SLA_EVALUATION_INTERVAL_MS)
+   */
+  static start() {
+    if (SlaService.timer) return;
+
+    if (!firestore) {
+      logger.warn('⚠️ Evaluador SLA no iniciado: Firestore no disponible');
+      return;
+    }
+
+    const intervalMs = parseInt(process.env.SLA_EVALUATION_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    SlaService.timer = setInterval(async () => {
+      // Evitar corridas solapadas si una evaluación tarda más que el intervalo
+      if (SlaService.running) return;
+      SlaService.running = true;
+      try {
+        await SlaService.evaluateAll();
+      } catch (error) {
+        logger.error('❌ Error en evaluador SLA', { error: error.message });
+      } finally {
+        SlaService.running = false;
+      }
+    }, intervalMs);
+
+    if (typeof SlaService.timer.unref === 'function') SlaService.timer.unref();
+
+    logger.info('⏱️ Evaluador SLA iniciado', { intervalMs });
+  }
+
+  /**
+   * Detener evaluador periódico
+   */
+  static stop() {
+    if (SlaService.timer) {
+      clearInterval(SlaService.timer);
+      SlaService.timer = null;
+    }
+  }
+
+  /**
+   * Cumplimiento SLA de conversaciones del workspace iniciadas en el periodo
+   */
+  static async getComplianceMetrics(startDate, endDate) {
+    const snapshot = await scopeQuery(firestore.collectionGroup('conversations'))
+      .where('sla.startedAt', '>=', startDate)
+      .where('sla.startedAt', '<=', endDate)
+      .get();
+
+    const metrics = {
+      total: 0,
+      firstResponse: { met: 0, breached: 0, pending: 0, complianceRate: null, averageMinutes: null },
+      resolution: { met: 0, breached: 0, pending: 0, complianceRate: null, averageMinutes: null },
+      activeAtRisk: 0,
+      activeBreached: 0,
+      escalations: 0
+    };
+
+    const durations = { firstResponse: [], resolution: [] };
+
+    snapshot.docs.forEach(doc => {
+      const sla = doc.data().sla;
+      if (!sla) return;
+      metrics.total++;
+
+      ['firstResponse', 'resolution'].forEach(key => {
+        const target = sla[key];
+        if (!target) return;
+        if (target.status === 'met') metrics[key].met++;
+        else if (target.status === 'breached') metrics[key].breached++;
+        else metrics[key].pending++;
+        if (target.completedAt) durations[key].push(target.elapsedMinutes);
+      });
+
+      if (sla.state === 'active' && sla.status === 'at_risk') metrics.activeAtRisk++;
+      if (sla.state === 'active' && sla.status === 'breached') metrics.activeBreached++;
+      metrics.escalations += (sla.escalations || []).length;
+    });
+
+    ['firstResponse', 'resolution'].forEach(key => {
+      const { met, breached } = metrics[key];
+      if (met + breached > 0) {
+        metrics[key].complianceRate = Math.round((met / (met + breached)) * 1000) / 10;
+      }
+      if (durations[key].length > 0) {
+        const sum = durations[key].reduce((acc, value) => acc + value, 0);
+        metrics[key].averageMinutes = Math.round((sum / durations[key].length) * 10) / 10;
+      }
+    });
+
+    return metrics;
+  }
+}
+
+module.exports = SlaService;
@@ -0,0 +1,519 @@
+/**
+ * 📒 SERVICIO DE KARDEX (LIBRO DE STOCK)
+ *
+ * Registra entradas (plataformas de proveedor completadas) y salidas
+ * (envíos, consumos y ajustes) como movimientos inmutables, y mantiene la
+ * existencia por material, proveedor y ubicación en la misma transacción.
+ *
+ * @version 1.0.0
+ */
+
+const { db } = require('../config/firebase');
+const Material = require('../models/Material');
+const Provider = require('../models/Provider');
+const StockMovement = require('../models/StockMovement');
+const StockBalance = require('../models/StockBalance');
+const StockDocument = require('../models/StockDocument');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/responseHandler');
+const { withTenant } = require('../utils/tenantContext');
+
+// Estados de plataforma cuya carga ya está en patio
+const POSTED_STATUSES = ['completed', 'exported'];
+
+// Redondeo a milímetros para evitar arrastre de decimales en los saldos
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class StockLedgerService {
+  /**
+   * Indica si una plataforma debe tener su entrada registrada en el kardex
+   */
+  static shouldPostPlatform(platform) {
+    return platform.platformType === 'provider' && POSTED_STATUSES.includes(platform.status);
+  }
+
+  /**
+   * Aplica movimientos sobre las existencias (sin persistir)
+   * Asigna balanceAfter a cada movimiento y falla si alguna existencia queda negativa
+   * @param {Map<string, StockBalance>} balances - Existencias actuales por ID
+   * @param {StockMovement[]} movements - Movimientos en orden
+   */
+  static applyMovements(balances, movements) {
+    movements.forEach(movement => {
+      const id = StockBalance.buildId(movement.workspaceId, movement.materialId, movement.providerId, movement.location);
+      const balance = balances.get(id) || new StockBalance({
+        id,
+        materialId: movement.materialId,
+        providerId: movement.providerId,
+        provider: movement.provider,
+        location: movement.location,
+        workspaceId: movement.workspaceId,
+        tenantId: movement.tenantId
+      });
+
+      const linearMeters = round(balance.linearMeters + movement.linearMeters);
+      const pieces = balance.pieces + movement.pieces;
+
+      if (linearMeters < 0 || pieces < 0) {
+        const origin = movement.provider ? ` de ${movement.provider}` : '';
+        throw ApiError.conflictError(
+          `Existencia insuficiente de ${movement.materialName}${origin} en ${movement.location}: ` +
+          `disponible ${balance.linearMeters} m lineales y ${balance.pieces} piezas`
+        );
+      }
+
+      Object.assign(balance, {
+        materialName: movement.materialName || balance.materialName,
+        category: movement.category || balance.category,
+        linearMeters,
+        pieces,
+        lastMovementAt: movement.createdAt,
+        updatedAt: new Date()
+      });
+      balances.set(id, balance);
+
+      movement.balanceAfter = { linearMeters, pieces };
+    });
+
+    return balances;
+  }
+
+  /**
+   * Lee dentro de la transacción las existencias que tocan los movimientos
+   */
+  async readBalances(transaction, movements) {
+    const ids = [...new Set(movements.map(movement =>
+      StockBalance.buildId(movement.workspaceId, movement.materialId, movement.providerId, movement.location)))];
+
+    const docs = await Promise.all(ids.map(id => transaction.get(StockBalance.getDocRef(id))));
+
+    return new Map(docs
+      .filter(doc => doc.exists)
+      .map(doc => [doc.id, StockBalance.fromFirestore(doc)]));
+  }
+
+  /**
+   * Aplica y escribe movimientos y existencias dentro de la transacción
+   */
+  writeMovements(transaction, movements, balances) {
+    StockLedgerService.applyMovements(balances, movements);
+
+    movements.forEach(movement => {
+      transaction.set(movement.getDocRef(), movement.toFirestore());
+    });
+    balances.forEach(balance => {
+      transaction.set(StockBalance.getDocRef(balance.id), balance.toFirestore());
+    });
+  }
+
+  /**
+   * Construye las entradas de una plataforma agrupando sus piezas por material
+   * Todas las piezas deben corresponder a un material del catálogo
+   */
+  async buildReceiptMovements(platform, createdBy) {
+    const byMaterial = new Map();
+    platform.pieces.forEach(piece => {
+      const name = piece.material;
+      const current = byMaterial.get(name) || { linearMeters: 0, pieces: 0 };
+      current.linearMeters += piece.linearMeters || 0;
+      current.pieces += 1;
+      byMaterial.set(name, current);
+    });
+
+    const missing = [];
+    const movements = [];
+    const { workspaceId, tenantId } = withTenant({ workspaceId: platform.workspaceId, tenantId: platform.tenantId });
+
+    for (const [name, totals] of byMaterial) {
+      const material = name ? await Material.findByName(platform.userId, name) : null;
+      if (!material) {
+        missing.push(name || '(sin material)');
+        continue;
+      }
+
+      movements.push(new StockMovement({
+        type: 'receipt',
+        materialId: material.id,
+        materialName: material.name,
+        category: material.category,
+        providerId: platform.providerId,
+        provider: platform.provider,
+        location: platform.location,
+        linearMeters: round(totals.linearMeters),
+        pieces: totals.pieces,
+        sourceType: 'platform',
+        sourceId: platform.id,
+        reference: platform.platformNumber,
+        workspaceId,
+        tenantId,
+        createdBy
+      }));
+    }
+
+    if (missing.length > 0) {
+      throw ApiError.validationError(`Materiales no registrados en el catálogo: ${missing.join(', ')}`);
+    }
+
+    return movements;
+  }
+
+  /**
+   * Registra la entrada al kardex de una plataforma completada (idempotente)
+   * @param {Array} [movements] - Entradas ya construidas (validadas antes de actualizar la plataforma)
+   */
+  async postPlatformReceipt(platform, createdBy, movements = null) {
+    try {
+      const receipts = movements || await this.buildReceiptMovements(platform, createdBy);
+      const postedAt = new Date();
+
+      const posted = await db.runTransaction(async (transaction) => {
+        const platformDoc = await transaction.get(platform.getDocRef());
+        if (platformDoc.exists && platformDoc.data().stockPostedAt) {
+          return false;
+        }
+
+        const balances = await this.readBalances(transaction, receipts);
+        this.writeMovements(transaction, receipts, balances);
+        transaction.update(platform.getDocRef(), { stockPostedAt: postedAt });
+        return true;
+      });
+
+      if (posted) {
+        platform.stockPostedAt = postedAt;
+        logger.info('📥 Entrada de plataforma registrada en kardex', {
+          platformId: platform.id,
+          platformNumber: platform.platformNumber,
+          movements: receipts.length
+        });
+      }
+
+      return posted ? receipts : [];
+    } catch (error) {
+      logger.error('Error registrando entrada de plataforma', { platformId: platform.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revierte la entrada de una plataforma que se reabre o elimina
+   * Falla si el material ya salió del patio (la existencia quedaría negativa)
+   */
+  async reversePlatformReceipt(platform, createdBy) {
+    try {
+      // Neto registrado por la plataforma en cada material, proveedor y ubicación
+      const previous = await StockMovement.listBySource('platform', platform.id);
+      const net = new Map();
+      previous.forEach(movement => {
+        const key = `${movement.materialId}|${movement.providerId}|${movement.location}`;
+        const current = net.get(key) || { ...movement, linearMeters: 0, pieces: 0 };
+        current.linearMeters = round(current.linearMeters + movement.linearMeters);
+        current.pieces += movement.pieces;
+        net.set(key, current);
+      });
+
+      const reversals = [...net.values()]
+        .filter(entry => entry.linearMeters !== 0 || entry.pieces !== 0)
+        .map(entry => new StockMovement({
+          type: 'receipt_reversal',
+          materialId: entry.materialId,
+          materialName: entry.materialName,
+          category: entry.category,
+          providerId: entry.providerId,
+          provider: entry.provider,
+          location: entry.location,
+          linearMeters: -entry.linearMeters,
+          pieces: -entry.pieces,
+          sourceType: 'platform',
+          sourceId: platform.id,
+          reference: platform.platformNumber,
+          workspaceId: entry.workspaceId,
+          tenantId: entry.tenantId,
+          createdBy
+        }));
+
+      const reversed = await db.runTransaction(async (transaction) => {
+        const platformDoc = await transaction.get(platform.getDocRef());
+        if (!platformDoc.exists || !platformDoc.data().stockPostedAt) {
+          return false;
+        }
+
+        const balances = await this.readBalances(transaction, reversals);
+        this.writeMovements(transaction, reversals, balances);
+        transaction.update(platform.getDocRef(), { stockPostedAt: null });
+        return true;
+      });
+
+      if (reversed) {
+        platform.stockPostedAt = null;
+        logger.info('↩️ Entrada de plataforma revertida en kardex', {
+          platformId: platform.id,
+          platformNumber: platform.platformNumber,
+          movements: reversals.length
+        });
+      }
+
+      return reversed ? reversals : [];
+    } catch (error) {
+      logger.error('Error revirtiendo entrada de plataforma', { platformId: platform.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Proveedor de un renglón que no indica providerId: el único con existencia
+   * del material en esa ubicación (null si no hay existencia de ninguno)
+   */
+  async inferLineProvider(materialId, location, lineNumber) {
+    const balances = (await StockBalance.list({ materialId, location }))
+      .filter(balance => balance.linearMeters !== 0 || balance.pieces !== 0);
+
+    if (balances.length > 1) {
+      throw ApiError.validationError(
+        `Renglón ${lineNumber}: hay existencia de varios proveedores en ${location}, indica providerId`
+      );
+    }
+
+    const [balance] = balances;
+    return balance?.providerId ? { id: balance.providerId, name: balance.provider } : null;
+  }
+
+  /**
+   * Valida y normaliza los renglones de un documento
+   * Salidas y consumos llevan cantidades positivas; los ajustes llevan signo
+   * Cada renglón descuenta de la existencia de un solo proveedor
+   */
+  async buildDocumentMovements(userId, document) {
+    if (!Array.isArray(document.lines) || document.lines.length === 0) {
+      throw ApiError.validationError('El documento debe tener al menos un renglón');
+    }
+
+    const isAdjustment = document.type === 'adjustment';
+    const movements = [];
+
+    for (const [index, line] of document.lines.entries()) {
+      const linearMeters = Number(line.linearMeters || 0);
+      const pieces = Number(line.pieces || 0);
+
+      if (!Number.isFinite(linearMeters) || !Number.isInteger(pieces)) {
+        throw ApiError.validationError(`Renglón ${index + 1}: cantidades inválidas`);
+      }
+      if (linearMeters === 0 && pieces === 0) {
+        throw ApiError.validationError(`Renglón ${index + 1}: indica metros lineales o piezas`);
+      }
+      if (!isAdjustment && (linearMeters < 0 || pieces < 0)) {
+        throw ApiError.validationError(`Renglón ${index + 1}: las cantidades de salida deben ser positivas`);
+      }
+
+      const material = line.materialId ? await Material.findById(userId, line.materialId) : null;
+      if (!material) {
+        throw ApiError.notFoundError(`Renglón ${index + 1}: material no encontrado`);
+      }
+
+      const location = line.location || 'general';
+      let provider = null;
+      if (line.providerId) {
+        provider = await Provider.findById(userId, line.providerId);
+        if (!provider) {
+          throw ApiError.notFoundError(`Renglón ${index + 1}: proveedor no encontrado`);
+        }
+      } else {
+        provider = await this.inferLineProvider(material.id, location, index + 1);
+      }
+
+      const sign = isAdjustment ? 1 : -1;
+      movements.push(new StockMovement({
+        type: document.type,
+        materialId: material.id,
+        materialName: material.name,
+        category: material.category,
+        providerId: provider ? provider.id : null,
+        provider: provider ? provider.name : '',
+        location,
+        linearMeters: round(sign * linearMeters),
+        pieces: sign * pieces,
+        sourceType: 'document',
+        sourceId: document.id,
+        notes: line.notes || '',
+        workspaceId: document.workspaceId,
+        tenantId: document.tenantId,
+        createdBy: document.createdBy
+      }));
+    }
+
+    return movements;
+  }
+
+  /**
+   * Crea un documento de salida, consumo o ajuste y registra sus movimientos
+   */
+  async createDocument(userId, data, createdBy) {
+    try {
+      if (!StockDocument.DOCUMENT_TYPES[data.type]) {
+        throw ApiError.validationError('type debe ser "outbound", "consumption" o "adjustment"');
+      }
+      if (data.type === 'adjustment' && !data.reason?.trim()) {
+        throw ApiError.validationError('reason es requerido para ajustes de inventario');
+      }
+
+      const document = new StockDocument({
+        ...withTenant({}),
+        type: data.type,
+        date: data.date ? new Date(data.date) : new Date(),
+        destination: data.destination,
+        driver: data.driver,
+        reference: data.reference,
+        reason: data.reason,
+        notes: data.notes,
+        createdBy
+      });
+
+      const movements = await this.buildDocumentMovements(userId, { ...document, lines: data.lines });
+
+      await db.runTransaction(async (transaction) => {
+        const counterRef = StockDocument.getCounterRef(document.workspaceId, document.type);
+        const counterDoc = await transaction.get(counterRef);
+        const sequence = (counterDoc.exists ? counterDoc.data().sequence : 0) + 1;
+
+        const balances = await this.readBalances(transaction, movements);
+
+        document.documentNumber = StockDocument.formatNumber(document.type, sequence);
+        movements.forEach(movement => {
+          movement.reference = document.documentNumber;
+        });
+        this.writeMovements(transaction, movements, balances);
+
+        // El documento conserva las cantidades como se capturaron (salidas en positivo)
+        const sign = document.type === 'adjustment' ? 1 : -1;
+        document.lines = movements.map(movement => ({
+          movementId: movement.id,
+          materialId: movement.materialId,
+          materialName: movement.materialName,
+          providerId: movement.providerId,
+          location: movement.location,
+          linearMeters: sign * movement.linearMeters,
+          pieces: sign * movement.pieces,
+          notes: movement.notes
+        }));
+        document.totalLinearMeters = round(document.lines.reduce((sum, line) => sum + line.linearMeters, 0));
+        document.totalPieces = document.lines.reduce((sum, line) => sum + line.pieces, 0);
+
+        transaction.set(document.getDocRef(), document.toFirestore());
+        transaction.set(counterRef, { sequence, updatedAt: new Date() });
+      });
+
+      logger.info('📤 Documento de stock registrado', {
+        documentId: document.id,
+        documentNumber: document.documentNumber,
+        type: document.type,
+        lines: document.lines.length
+      });
+
+      return document;
+    } catch (error) {
+      logger.error('Error creando documento de stock', { type: data.type, error: error.message });
+      throw error;
+    }
+  }
+
+  async getDocument(documentId) {
+    const document = await StockDocument.findById(documentId);
+    if (!document) {
+      throw ApiError.notFoundError('Documento de stock no encontrado');
+    }
+    return document;
+  }
+
+  async listDocuments(options = {}) {
+    return StockDocument.list(options);
+  }
+
+  /**
+   * Existencias con totales por material, categoría, proveedor y ubicación
+   */
+  async getBalances(options = {}) {
+    try {
+      const { includeZero = false } = options;
+
+      let balances = await StockBalance.list(options);
+      if (!includeZero) {
+        balances = balances.filter(balance => balance.linearMeters !== 0 || balance.pieces !== 0);
+      }
+
+      const group = (keyOf, seed) => {
+        const groups = new Map();
+        balances.forEach(balance => {
+          const key = keyOf(balance);
+          const current = groups.get(key) || { ...seed(balance), linearMeters: 0, pieces: 0 };
+          current.linearMeters = round(current.linearMeters + balance.linearMeters);
+          current.pieces += balance.pieces;
+          groups.set(key, current);
+        });
+        return [...groups.values()];
+      };
+
+      return {
+        balances,
+        summary: {
+          totals: {
+            linearMeters: round(balances.reduce((sum, balance) => sum + balance.linearMeters, 0)),
+            pieces: balances.reduce((sum, balance) => sum + balance.pieces, 0)
+          },
+          byMaterial: group(balance => balance.materialId, balance => ({
+            materialId: balance.materialId,
+            materialName: balance.materialName,
+            category: balance.category
+          })),
+          byCategory: group(balance => balance.category, balance => ({ category: balance.category })),
+          byProvider: group(balance => balance.providerId || '', balance => ({
+            providerId: balance.providerId,
+            provider: balance.provider
+          })),
+          byLocation: group(balance => balance.location, balance => ({ location: balance.location }))
+        }
+      };
+    } catch (error) {
+      logger.error('Error obteniendo existencias', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Kardex de un material: movimientos con saldo resultante y existencia actual
+   */
+  async getKardex(userId, materialId, options = {}) {
+    try {
+      const material = await Material.findById(userId, materialId);
+      if (!material) {
+        throw ApiError.notFoundError('Material no encontrado');
+      }
+
+      const [{ movements, pagination }, { summary }] = await Promise.all([
+        StockMovement.listByMaterial(materialId, options),
+        this.getBalances({ materialId, providerId: options.providerId, location: options.location })
+      ]);
+
+      return {
+        material: {
+          id: material.id,
+          name: material.name,
+          category: material.category,
+          unit: material.unit
+        },
+        onHand: {
+          ...summary.totals,
+          byProvider: summary.byProvider,
+          byLocation: summary.byLocation
+        },
+        movements,
+        pagination
+      };
+    } catch (error) {
+      logger.error('Error obteniendo kardex', { materialId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+StockLedgerService.POSTED_STATUSES = POSTED_STATUSES;
+
+module.exports = StockLedgerService;
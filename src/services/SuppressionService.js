@@ -0,0 +1,223 @@
+const logger = require('../utils/logger');
+const SuppressionEntry = require('../models/SuppressionEntry');
+const Contact = require('../models/Contact');
+
+const OPT_OUT_KEYWORDS = ['STOP', 'BAJA', 'CANCELAR'];
+const DEFAULT_CONFIRMATION = 'Has sido dado de baja y ya no recibirás mensajes promocionales. Si fue un error, responde a este chat y un agente te ayudará.';
+const E164_REGEX = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * 🚫 SERVICIO DE LISTA DE SUPRESIÓN
+ *
+ * Detecta palabras clave de baja (STOP, BAJA, CANCELAR) en mensajes
+ * entrantes, marca el contacto como optedOut y confirma la baja. Los envíos
+ * masivos consultan la lista antes de enviar. Los admins pueden importar
+ * números y revertir bajas.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class SuppressionService {
+
+  /**
+   * Teléfono en E.164 sin prefijo whatsapp: ni espacios
+   */
+  static normalizePhone(phone) {
+    return String(phone || '')
+      .replace(/^whatsapp:/, '')
+      .replace(/[\s\-().]/g, '')
+      .trim();
+  }
+
+  /**
+   * ¿Teléfono válido para la lista?
+   */
+  static isValidPhone(phone) {
+    return E164_REGEX.test(this.normalizePhone(phone));
+  }
+
+  /**
+   * Detectar palabra clave de baja
+   * Solo cuenta si el mensaje completo es la palabra clave (evita falsos
+   * positivos como "no quiero cancelar mi pedido")
+   * @returns {string|null} Palabra clave detectada
+   */
+  static detectOptOutKeyword(body) {
+    if (!body || typeof body !== 'string') return null;
+
+    const normalized = body
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z\s]/g, '')
+      .trim()
+      .toUpperCase();
+
+    return OPT_OUT_KEYWORDS.includes(normalized) ? normalized : null;
+  }
+
+  /**
+   * ¿Número suprimido?
+   */
+  static async isSuppressed(phone) {
+    const entry = await SuppressionEntry.getByPhone(this.normalizePhone(phone));
+    return !!(entry && entry.isActive);
+  }
+
+  /**
+   * Separar destinatarios suprimidos (una sola lectura de la lista)
+   * @returns {Promise<{ allowed: Array, suppressed: Array }>}
+   */
+  static async partitionContacts(contacts = []) {
+    const suppressedPhones = await SuppressionEntry.getActivePhones();
+    const allowed = [];
+    const suppressed = [];
+
+    contacts.forEach(contact => {
+      if (contact.optedOut || suppressedPhones.has(this.normalizePhone(contact.phone))) {
+        suppressed.push(contact);
+      } else {
+        allowed.push(contact);
+      }
+    });
+
+    return { allowed, suppressed };
+  }
+
+  /**
+   * Sincronizar bandera optedOut del contacto (si existe)
+   */
+  static async syncContact(phone, optedOut) {
+    try {
+      const contact = await Contact.getByPhone(phone);
+      if (!contact) return null;
+
+      return await Contact.update(contact.id, optedOut
+        ? { optedOut: true, optedOutAt: new Date() }
+        : { optedOut: false });
+    } catch (error) {
+      logger.warn('⚠️ No se pudo sincronizar baja en contacto', {
+        phone,
+        optedOut,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Agregar número a la lista de supresión
+   */
+  static async suppress(phone, options = {}) {
+    const { reason = 'manual', keyword = null, note = null, createdBy = null } = options;
+    const normalizedPhone = this.normalizePhone(phone);
+
+    if (!this.isValidPhone(normalizedPhone)) {
+      throw new Error(`Número inválido: ${phone}`);
+    }
+
+    const entry = await SuppressionEntry.upsert({
+      phone: normalizedPhone,
+      reason,
+      keyword,
+      note,
+      createdBy
+    });
+
+    await this.syncContact(normalizedPhone, true);
+
+    logger.info('🚫 Número agregado a lista de supresión', {
+      phone: normalizedPhone,
+      reason,
+      keyword,
+      createdBy
+    });
+
+    return entry;
+  }
+
+  /**
+   * Revertir baja (override de admin)
+   */
+  static async unsuppress(phone, options = {}) {
+    const { removedBy = null, note = null } = options;
+    const normalizedPhone = this.normalizePhone(phone);
+
+    const entry = await SuppressionEntry.getByPhone(normalizedPhone);
+    if (!entry || !entry.isActive) {
+      throw new Error(`El número ${normalizedPhone} no está en la lista de supresión`);
+    }
+
+    await entry.deactivate({ removedBy, note });
+    await this.syncContact(normalizedPhone, false);
+
+    logger.info('✅ Baja revertida en lista de supresión', {
+      phone: normalizedPhone,
+      removedBy
+    });
+
+    return entry;
+  }
+
+  /**
+   * Importar números a la lista
+   * @returns {Promise<{ imported: number, invalid: string[] }>}
+   */
+  static async importPhones(phones = [], options = {}) {
+    const { createdBy = null, note = null } = options;
+    const unique = [...new Set(phones.map(phone => this.normalizePhone(phone)).filter(Boolean))];
+    const invalid = unique.filter(phone => !this.isValidPhone(phone));
+    const valid = unique.filter(phone => this.isValidPhone(phone));
+
+    for (const phone of valid) {
+      await this.suppress(phone, { reason: 'import', note, createdBy });
+    }
+
+    logger.info('📥 Importación de lista de supresión completada', {
+      received: phones.length,
+      imported: valid.length,
+      invalid: invalid.length,
+      createdBy
+    });
+
+    return { imported: valid.length, invalid };
+  }
+
+  /**
+   * Procesar palabra clave de baja en un mensaje entrante
+   * Registra la baja y envía confirmación al cliente
+   * @returns {Promise<{ optedOut: boolean, keyword?: string }>}
+   */
+  static async handleInboundMessage(fromPhone, body) {
+    const keyword = this.detectOptOutKeyword(body);
+    if (!keyword) {
+      return { optedOut: false };
+    }
+
+    const normalizedPhone = this.normalizePhone(fromPhone);
+    const alreadySuppressed = await this.isSuppressed(normalizedPhone);
+
+    await this.suppress(normalizedPhone, { reason: 'keyword', keyword });
+
+    // Confirmar solo la primera vez para no responder en bucle
+    if (!alreadySuppressed) {
+      try {
+        const { getMessageService } = require('./MessageService');
+        await getMessageService().sendWhatsAppMessage({
+          from: process.env.TWILIO_WHATSAPP_NUMBER,
+          to: normalizedPhone,
+          body: process.env.OPT_OUT_CONFIRMATION_MESSAGE || DEFAULT_CONFIRMATION
+        });
+      } catch (error) {
+        logger.error('❌ Error enviando confirmación de baja', {
+          phone: normalizedPhone,
+          error: error.message
+        });
+      }
+    }
+
+    return { optedOut: true, keyword, alreadySuppressed };
+  }
+}
+
+module.exports = SuppressionService;
+module.exports.OPT_OUT_KEYWORDS = OPT_OUT_KEYWORDS;
@@ -1,61 +1,243 @@
 const logger = require('../utils/logger');
+const TaxTable = require('../models/TaxTable');
+const { DEFAULT_TAX_TABLE } = require('../config/taxTables');
 
 /**
  * Servicio para cálculo de impuestos y seguridad social
- * Implementa las fórmulas oficiales de México 2025
+ * Implementa las fórmulas oficiales de México con tablas versionadas por fecha de vigencia
+ * (colección tax_tables); la tabla integrada 2025 se usa como respaldo
  */
 class TaxCalculationService {
   constructor() {
-    // Tablas de ISR 2025 (valores anuales)
-    this.isrTable = [
-      { desde: 0, hasta: 416220.00, cuotaFija: 0, porcentaje: 0 },
-      { desde: 416220.01, hasta: 624329.00, cuotaFija: 0, porcentaje: 0.15 },
-      { desde: 624329.01, hasta: 867123.00, cuotaFija: 31216.00, porcentaje: 0.20 },
-      { desde: 867123.01, hasta: 1000000.00, cuotaFija: 79776.00, porcentaje: 0.25 },
-      { desde: 1000000.01, hasta: 1200000.00, cuotaFija: 133095.00, porcentaje: 0.30 },
-      { desde: 1200000.01, hasta: 1500000.00, cuotaFija: 193095.00, porcentaje: 0.32 },
-      { desde: 1500000.01, hasta: 2000000.00, cuotaFija: 289095.00, porcentaje: 0.34 },
-      { desde: 2000000.01, hasta: 3000000.00, cuotaFija: 459095.00, porcentaje: 0.35 },
-      { desde: 3000000.01, hasta: Infinity, cuotaFija: 809095.00, porcentaje: 0.36 }
-    ];
-
-    // UMA (Unidad de Medida y Actualización) 2025
-    this.uma = {
-      diaria: 108.57,
-      mensual: 3296.76,
-      anual: 39561.12
-    };
+    // Tabla integrada (respaldo cuando Firestore no tiene versiones)
+    this.defaultTable = TaxCalculationService.normalizeTable(DEFAULT_TAX_TABLE);
 
-    // Límites y porcentajes de seguridad social
-    this.socialSecurity = {
-      // IMSS Empleado
-      imssEmpleado: {
-        enfermedadMaternidad: 0.025, // 2.5%
-        invalidezVida: 0.00625, // 0.625%
-        cesantiaVejez: 0.01125 // 1.125%
-      },
-      // IMSS Patrón
-      imssPatron: {
-        enfermedadMaternidad: 0.204, // 20.4%
-        riesgoTrabajo: 0.005, // Variable, promedio 0.5%
-        invalidezVida: 0.0175, // 1.75%
-        cesantiaVejez: 0.0315, // 3.15%
-        guarderia: 0.01, // 1%
-        infonavit: 0.05 // 5%
-      },
-      // AFORE
-      afore: 0.01125, // 1.125%
-      
-      // Límites
-      topeImss: this.uma.mensual * 25, // 25 UMAs
-      topeInfonavit: this.uma.mensual * 25 // 25 UMAs
+    // Caché de versiones cargadas desde Firestore
+    this.tablesCache = null;
+    this.tablesCacheAt = 0;
+    this.cacheTTL = 10 * 60 * 1000; // 10 minutos
+  }
+
+  /**
+   * Normalizar tabla: límite superior abierto (null) → Infinity y topes en pesos
+   */
+  static normalizeTable(data) {
+    const socialSecurity = data.socialSecurity || {};
+    const topeImssUmas = socialSecurity.topeImssUmas || 25;
+    const topeInfonavitUmas = socialSecurity.topeInfonavitUmas || 25;
+
+    return {
+      version: data.version,
+      effectiveFrom: data.effectiveFrom,
+      source: data.source || 'api',
+      isrTable: (data.isrTable || [])
+        .map(bracket => ({
+          desde: bracket.desde,
+          hasta: bracket.hasta === null || bracket.hasta === undefined ? Infinity : bracket.hasta,
+          cuotaFija: bracket.cuotaFija,
+          porcentaje: bracket.porcentaje
+        }))
+        .sort((a, b) => a.desde - b.desde),
+      uma: { ...data.uma },
+      socialSecurity: {
+        imssEmpleado: { ...socialSecurity.imssEmpleado },
+        imssPatron: { ...socialSecurity.imssPatron },
+        afore: socialSecurity.afore,
+        topeImssUmas,
+        topeInfonavitUmas,
+        topeImss: data.uma.mensual * topeImssUmas,
+        topeInfonavit: data.uma.mensual * topeInfonavitUmas
+      }
     };
   }
 
+  /**
+   * Validar coherencia de una tabla antes de guardarla
+   * Los tramos deben iniciar en 0, ser contiguos y solo el último puede no tener límite
+   */
+  static validateTable(data) {
+    const errors = [];
+    const brackets = [...(data.isrTable || [])].sort((a, b) => a.desde - b.desde);
+
+    if (brackets.length === 0) {
+      errors.push('La tabla de ISR debe tener al menos un tramo');
+      return errors;
+    }
+
+    if (brackets[0].desde !== 0) {
+      errors.push('El primer tramo de ISR debe iniciar en 0');
+    }
+
+    brackets.forEach((bracket, index) => {
+      const isLast = index === brackets.length - 1;
+
+      if (bracket.hasta === null || bracket.hasta === undefined) {
+        if (!isLast) {
+          errors.push(`Solo el último tramo puede no tener límite superior (tramo ${index + 1})`);
+        }
+        return;
+      }
+
+      if (bracket.hasta <= bracket.desde) {
+        errors.push(`El límite superior debe ser mayor al inferior (tramo ${index + 1})`);
+      }
+
+      if (!isLast) {
+        const gap = brackets[index + 1].desde - bracket.hasta;
+        if (gap < 0 || gap > 0.011) {
+          errors.push(`Los tramos ${index + 1} y ${index + 2} no son contiguos`);
+        }
+      }
+    });
+
+    const last = brackets[brackets.length - 1];
+    if (last.hasta !== null && last.hasta !== undefined) {
+      errors.push('El último tramo de ISR debe tener límite superior abierto (null)');
+    }
+
+    const uma = data.uma || {};
+    if (!(uma.diaria > 0 && uma.mensual > 0 && uma.anual > 0)) {
+      errors.push('Los valores de UMA deben ser mayores a 0');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cargar versiones de Firestore (con caché); la tabla integrada siempre está disponible
+   */
+  async loadTables(force = false) {
+    if (!force && this.tablesCache && Date.now() - this.tablesCacheAt < this.cacheTTL) {
+      return this.tablesCache;
+    }
+
+    let tables = [];
+    try {
+      const stored = await TaxTable.list();
+      tables = stored.map(table => TaxCalculationService.normalizeTable(table));
+    } catch (error) {
+      logger.warn('⚠️ No se pudieron cargar tablas fiscales, usando tabla integrada', {
+        error: error.message
+      });
+    }
+
+    if (!tables.some(table => table.version === this.defaultTable.version)) {
+      tables.push(this.defaultTable);
+    }
+
+    tables.sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+    this.tablesCache = tables;
+    this.tablesCacheAt = Date.now();
+
+    return tables;
+  }
+
+  /**
+   * Invalidar caché tras cargar una nueva versión
+   */
+  clearCache() {
+    this.tablesCache = null;
+    this.tablesCacheAt = 0;
+  }
+
+  /**
+   * Seleccionar de una lista la tabla vigente en la fecha (mayor effectiveFrom <= fecha)
+   */
+  selectTableForDate(tables, fecha) {
+    const date = TaxCalculationService.toDateString(fecha);
+    const sorted = [...tables].sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+    const table = sorted.find(t => t.effectiveFrom <= date);
+
+    if (!table) {
+      // Fecha anterior a todas las versiones: se usa la más antigua disponible
+      logger.warn('⚠️ No hay tabla fiscal vigente para la fecha, usando la más antigua', { date });
+      return sorted[sorted.length - 1] || this.defaultTable;
+    }
+
+    return table;
+  }
+
+  /**
+   * Obtener la tabla fiscal vigente en una fecha
+   */
+  async getTableForDate(fecha = new Date()) {
+    const tables = await this.loadTables();
+    return this.selectTableForDate(tables, fecha);
+  }
+
+  /**
+   * Listar versiones disponibles (más reciente primero)
+   */
+  async listTables() {
+    const tables = await this.loadTables(true);
+    return tables.map(table => this.serializeTable(table));
+  }
+
+  /**
+   * Obtener una versión específica
+   */
+  async getTable(version) {
+    const tables = await this.loadTables();
+    const table = tables.find(t => t.version === version);
+
+    if (!table) {
+      throw new Error(`Tabla fiscal ${version} no encontrada`);
+    }
+
+    return this.serializeTable(table);
+  }
+
+  /**
+   * Cargar nueva versión de tablas fiscales (no se permite sobrescribir versiones existentes)
+   */
+  async createTable(tableData, createdBy = null) {
+    const errors = TaxCalculationService.validateTable(tableData);
+    if (errors.length > 0) {
+      throw new Error(`Tabla fiscal inválida: ${errors.join('; ')}`);
+    }
+
+    if (tableData.version === this.defaultTable.version) {
+      throw new Error(`La versión de tabla fiscal ${tableData.version} ya existe`);
+    }
+
+    const tables = await this.loadTables(true);
+    if (tables.some(t => t.effectiveFrom === tableData.effectiveFrom)) {
+      throw new Error(`Ya existe una tabla fiscal vigente desde ${tableData.effectiveFrom}`);
+    }
+
+    const table = new TaxTable({
+      ...tableData,
+      source: 'api',
+      createdBy
+    });
+    await table.save();
+
+    this.clearCache();
+
+    logger.info('🧾 Nueva tabla fiscal cargada', {
+      version: table.version,
+      effectiveFrom: table.effectiveFrom,
+      createdBy
+    });
+
+    return this.serializeTable(TaxCalculationService.normalizeTable(table));
+  }
+
+  /**
+   * Fecha en formato YYYY-MM-DD
+   */
+  static toDateString(fecha) {
+    if (typeof fecha === 'string' && /^\d{4}-\d{2}-\d{2}/.test(fecha)) {
+      return fecha.substring(0, 10);
+    }
+    return new Date(fecha || Date.now()).toISOString().split('T')[0];
+  }
+
   /**
    * Calcular ISR mensual
    */
-  calcularISR(salarioMensual, deducciones = 0) {
+  calcularISR(salarioMensual, deducciones = 0, table = this.defaultTable) {
     try {
       // Salario gravable
       const salarioGravable = Math.max(0, salarioMensual - deducciones);
@@ -69,7 +251,7 @@ class TaxCalculationService {
       });
 
       // Buscar en tabla de ISR
-      const tabla = this.isrTable.find(t => 
+      const tabla = table.isrTable.find(t => 
         salarioAnual >= t.desde && salarioAnual <= t.hasta
       );
 
@@ -105,19 +287,19 @@ class TaxCalculationService {
   /**
    * Calcular deducciones de seguridad social para empleado
    */
-  calcularSeguridadSocialEmpleado(sbc) {
+  calcularSeguridadSocialEmpleado(sbc, table = this.defaultTable) {
     try {
       // Aplicar tope de cotización
-      const sbcLimitado = Math.min(sbc, this.socialSecurity.topeImss);
+      const sbcLimitado = Math.min(sbc, table.socialSecurity.topeImss);
 
       const deducciones = {
         // IMSS
-        imssEnfermedadMaternidad: sbcLimitado * this.socialSecurity.imssEmpleado.enfermedadMaternidad,
-        imssInvalidezVida: sbcLimitado * this.socialSecurity.imssEmpleado.invalidezVida,
-        imssCesantiaVejez: sbcLimitado * this.socialSecurity.imssEmpleado.cesantiaVejez,
+        imssEnfermedadMaternidad: sbcLimitado * table.socialSecurity.imssEmpleado.enfermedadMaternidad,
+        imssInvalidezVida: sbcLimitado * table.socialSecurity.imssEmpleado.invalidezVida,
+        imssCesantiaVejez: sbcLimitado * table.socialSecurity.imssEmpleado.cesantiaVejez,
         
         // AFORE
-        afore: sbcLimitado * this.socialSecurity.afore,
+        afore: sbcLimitado * table.socialSecurity.afore,
         
         // INFONAVIT (solo si aplica)
         infonavit: 0 // Se calcula por separado según política de la empresa
@@ -151,20 +333,20 @@ class TaxCalculationService {
   /**
    * Calcular aportaciones patronales (para reportes)
    */
-  calcularSeguridadSocialPatron(sbc) {
+  calcularSeguridadSocialPatron(sbc, table = this.defaultTable) {
     try {
-      const sbcLimitado = Math.min(sbc, this.socialSecurity.topeImss);
+      const sbcLimitado = Math.min(sbc, table.socialSecurity.topeImss);
 
       const aportaciones = {
         // IMSS Patrón
-        imssEnfermedadMaternidad: sbcLimitado * this.socialSecurity.imssPatron.enfermedadMaternidad,
-        imssRiesgoTrabajo: sbcLimitado * this.socialSecurity.imssPatron.riesgoTrabajo,
-        imssInvalidezVida: sbcLimitado * this.socialSecurity.imssPatron.invalidezVida,
-        imssCesantiaVejez: sbcLimitado * this.socialSecurity.imssPatron.cesantiaVejez,
-        imssGuarderia: sbcLimitado * this.socialSecurity.imssPatron.guarderia,
+        imssEnfermedadMaternidad: sbcLimitado * table.socialSecurity.imssPatron.enfermedadMaternidad,
+        imssRiesgoTrabajo: sbcLimitado * table.socialSecurity.imssPatron.riesgoTrabajo,
+        imssInvalidezVida: sbcLimitado * table.socialSecurity.imssPatron.invalidezVida,
+        imssCesantiaVejez: sbcLimitado * table.socialSecurity.imssPatron.cesantiaVejez,
+        imssGuarderia: sbcLimitado * table.socialSecurity.imssPatron.guarderia,
         
         // INFONAVIT
-        infonavit: Math.min(sbc, this.socialSecurity.topeInfonavit) * this.socialSecurity.imssPatron.infonavit
+        infonavit: Math.min(sbc, table.socialSecurity.topeInfonavit) * table.socialSecurity.imssPatron.infonavit
       };
 
       aportaciones.totalImss = aportaciones.imssEnfermedadMaternidad +
@@ -190,7 +372,7 @@ class TaxCalculationService {
   /**
    * Calcular todas las deducciones fiscales
    */
-  calcularDeduccionesFiscales(salarioMensual, sbc, configuraciones = {}) {
+  calcularDeduccionesFiscales(salarioMensual, sbc, configuraciones = {}, table = this.defaultTable) {
     try {
       const {
         calcularISR = true,
@@ -206,12 +388,12 @@ class TaxCalculationService {
 
       // Calcular ISR
       if (calcularISR) {
-        deducciones.isr = this.calcularISR(salarioMensual);
+        deducciones.isr = this.calcularISR(salarioMensual, 0, table);
       }
 
       // Calcular seguridad social
       if (calcularIMSS || calcularAFORE) {
-        const seguridadSocial = this.calcularSeguridadSocialEmpleado(sbc);
+        const seguridadSocial = this.calcularSeguridadSocialEmpleado(sbc, table);
         
         if (!calcularIMSS) {
           seguridadSocial.totalImss = 0;
@@ -226,7 +408,7 @@ class TaxCalculationService {
         
         if (calcularINFONAVIT) {
           // INFONAVIT se calcula según política específica
-          seguridadSocial.infonavit = Math.min(sbc, this.socialSecurity.topeInfonavit) * 0.05;
+          seguridadSocial.infonavit = Math.min(sbc, table.socialSecurity.topeInfonavit) * 0.05;
         }
 
         // Recalcular total
@@ -259,33 +441,61 @@ class TaxCalculationService {
   }
 
   /**
-   * Obtener información de UMA actual
+   * Calcular deducciones fiscales con la tabla vigente en la fecha de pago
+   * Recalcular un período pasado usa la tabla histórica
    */
-  getUMAInfo() {
+  async calcularDeduccionesFiscalesPorFecha(salarioMensual, sbc, fecha, configuraciones = {}) {
+    const table = await this.getTableForDate(fecha);
+    const deducciones = this.calcularDeduccionesFiscales(salarioMensual, sbc, configuraciones, table);
+
+    return {
+      ...deducciones,
+      tableVersion: table.version
+    };
+  }
+
+  /**
+   * Obtener información de UMA de una tabla
+   */
+  getUMAInfo(table = this.defaultTable) {
     return {
-      ...this.uma,
-      year: 2025,
-      lastUpdate: '2025-01-01'
+      ...table.uma,
+      year: parseInt(table.version) || table.version,
+      lastUpdate: table.effectiveFrom
     };
   }
 
   /**
    * Obtener información de tablas fiscales
    */
-  getTaxTablesInfo() {
+  getTaxTablesInfo(table = this.defaultTable) {
     return {
+      version: table.version,
+      effectiveFrom: table.effectiveFrom,
+      source: table.source,
       isr: {
-        year: 2025,
-        brackets: this.isrTable.length,
-        lastUpdate: '2025-01-01'
+        brackets: table.isrTable.length,
+        lastUpdate: table.effectiveFrom
       },
       socialSecurity: {
-        year: 2025,
-        topeImss: this.socialSecurity.topeImss,
-        topeInfonavit: this.socialSecurity.topeInfonavit,
-        lastUpdate: '2025-01-01'
+        topeImss: table.socialSecurity.topeImss,
+        topeInfonavit: table.socialSecurity.topeInfonavit,
+        lastUpdate: table.effectiveFrom
       },
-      uma: this.getUMAInfo()
+      uma: this.getUMAInfo(table)
+    };
+  }
+
+  /**
+   * Serializar tabla para API (límite abierto como null)
+   */
+  serializeTable(table) {
+    return {
+      ...table,
+      isrTable: table.isrTable.map(bracket => ({
+        ...bracket,
+        hasta: bracket.hasta === Infinity ? null : bracket.hasta
+      }))
     };
   }
 
@@ -320,3 +530,4 @@ class TaxCalculationService {
 }
 
 module.exports = new TaxCalculationService();
+module.exports.TaxCalculationService = TaxCalculationService;
@@ -0,0 +1,258 @@
+const axios = require('axios');
+const { firestore } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { getBackendChain } = require('../ai/transcription');
+
+const queue = [];
+let activeJobs = 0;
+
+/**
+ * 🎧 SERVICIO DE TRANSCRIPCIÓN DE AUDIO
+ *
+ * Transcribe notas de voz con el primer backend disponible de la cadena
+ * (OpenAI, endpoint compatible tipo LLM Studio o binario whisper.cpp local).
+ * Las notas de voz entrantes se encolan en segundo plano; la transcripción se
+ * guarda en el mensaje y en el registro del archivo y se emite por socket
+ * como actualización del mensaje.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class TranscriptionService {
+
+  /**
+   * ¿Hay algún backend configurado?
+   */
+  static isAvailable() {
+    return getBackendChain().length > 0;
+  }
+
+  /**
+   * Transcribir un buffer probando los backends en orden
+   * @returns {Promise<{ success: boolean, text: string|null, backend?: string, error?: string }>}
+   */
+  static async transcribe(buffer, options = {}) {
+    const chain = getBackendChain();
+
+    if (chain.length === 0) {
+      logger.warn('Sin backend de transcripción configurado - transcripción deshabilitada');
+      return {
+        success: false,
+        text: null,
+        error: 'Transcripción no disponible (sin backend configurado)',
+        confidence: 0
+      };
+    }
+
+    const errors = [];
+
+    for (const { name, backend } of chain) {
+      const startTime = Date.now();
+
+      try {
+        logger.info('🎙️ Iniciando transcripción de audio', {
+          backend: name,
+          audioSize: buffer.length,
+          fileName: options.fileName || 'buffer'
+        });
+
+        const result = await backend.transcribe(buffer, options);
+
+        logger.info('✅ Transcripción completada exitosamente', {
+          backend: name,
+          textLength: result.text.length,
+          language: result.language || 'unknown',
+          latencyMs: Date.now() - startTime
+        });
+
+        return { success: true, ...result, backend: name };
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+        logger.warn('⚠️ Backend de transcripción falló, probando siguiente', {
+          backend: name,
+          error: error.message,
+          latencyMs: Date.now() - startTime
+        });
+      }
+    }
+
+    logger.error('❌ Error en transcripción de audio con todos los backends', { errors });
+
+    return {
+      success: false,
+      text: null,
+      error: errors.join(' | '),
+      confidence: 0
+    };
+  }
+
+  /**
+   * Encolar transcripción de las notas de voz de un mensaje entrante
+   * No bloquea: las transcripciones corren con TRANSCRIPTION_CONCURRENCY (default 1)
+   */
+  static transcribeInboundAudio({ contactId, conversationId, messageId, attachments = [], workspaceId, tenantId }) {
+    if (process.env.TRANSCRIPTION_ENABLED === 'false') return 0;
+
+    const audios = attachments.filter(attachment => attachment.category === 'audio' || attachment.mime?.startsWith('audio/'));
+    if (audios.length === 0 || !this.isAvailable()) return 0;
+
+    audios.forEach((attachment, index) => {
+      this.enqueue(() => this.processInboundAudio({
+        contactId,
+        conversationId,
+        messageId,
+        attachment,
+        index,
+        workspaceId,
+        tenantId
+      }));
+    });
+
+    logger.info('🗂️ Notas de voz encoladas para transcripción', {
+      conversationId,
+      messageId,
+      count: audios.length,
+      pending: queue.length
+    });
+
+    return audios.length;
+  }
+
+  /**
+   * Cola en memoria con concurrencia limitada
+   */
+  static enqueue(job) {
+    queue.push(job);
+    this.drain();
+  }
+
+  static drain() {
+    const concurrency = parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || 1;
+
+    while (activeJobs < concurrency && queue.length > 0) {
+      const job = queue.shift();
+      activeJobs++;
+
+      Promise.resolve()
+        .then(job)
+        .catch(error => logger.error('❌ Error en trabajo de transcripción', { error: error.message }))
+        .finally(() => {
+          activeJobs--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Descargar audio (Twilio requiere autenticación)
+   */
+  static async downloadAudio(url, messageId, index) {
+    const TwilioMediaService = require('./TwilioMediaService');
+    const twilioMedia = new TwilioMediaService();
+
+    if (twilioMedia.isValidTwilioUrl(url)) {
+      const { buffer, contentType } = await twilioMedia.downloadTwilioMedia(url, messageId, index);
+      return { buffer, contentType };
+    }
+
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] };
+  }
+
+  /**
+   * Transcribir una nota de voz entrante y propagar el resultado
+   */
+  static async processInboundAudio({ contactId, conversationId, messageId, attachment, index, workspaceId, tenantId }) {
+    let transcription;
+
+    try {
+      const { buffer, contentType } = await this.downloadAudio(attachment.url, messageId, index);
+      const mimetype = contentType || attachment.mime || 'audio/ogg';
+      const result = await this.transcribe(buffer, {
+        fileName: attachment.name || `voice_${messageId}.${mimetype.split('/').pop().split(';')[0]}`,
+        mimetype,
+        language: process.env.TRANSCRIPTION_LANGUAGE || 'auto'
+      });
+
+      transcription = result.success
+        ? {
+          status: 'completed',
+          text: result.text,
+          language: result.language || null,
+          confidence: result.confidence,
+          backend: result.backend
+        }
+        : { status: 'failed', text: null, error: result.error };
+    } catch (error) {
+      transcription = { status: 'failed', text: null, error: error.message };
+    }
+
+    transcription = {
+      ...transcription,
+      fileId: attachment.id || null,
+      transcribedAt: new Date().toISOString()
+    };
+
+    await this.saveTranscription({ contactId, conversationId, messageId, fileId: attachment.id, transcription });
+
+    try {
+      const { getSocketManager } = require('../socket');
+      const rt = getSocketManager();
+      if (rt && typeof rt.emitMessageUpdated === 'function') {
+        rt.emitMessageUpdated({ workspaceId, tenantId, conversationId, messageId, updates: { transcription } });
+      }
+    } catch (error) {
+      logger.warn('⚠️ No se pudo emitir transcripción por socket', { messageId, error: error.message });
+    }
+
+    // El texto transcrito también alimenta la clasificación de sentimiento/intención
+    if (transcription.status === 'completed' && transcription.text) {
+      const { sentimentAnalysisService } = require('./SentimentAnalysisService');
+      await sentimentAnalysisService.processInboundMessage({
+        contactId, conversationId, messageId, content: transcription.text, workspaceId, tenantId
+      }).catch(error => logger.warn('⚠️ No se pudo clasificar transcripción', { messageId, error: error.message }));
+    }
+
+    return transcription;
+  }
+
+  /**
+   * Guardar transcripción en el mensaje y en el registro del archivo
+   */
+  static async saveTranscription({ contactId, conversationId, messageId, fileId, transcription }) {
+    if (!firestore) return;
+
+    if (contactId) {
+      await firestore
+        .collection('contacts').doc(contactId)
+        .collection('conversations').doc(conversationId)
+        .collection('messages').doc(messageId)
+        .set({ transcription, updatedAt: new Date() }, { merge: true });
+    }
+
+    if (fileId) {
+      try {
+        const File = require('../models/File');
+        const file = await File.getById(fileId);
+        if (file) {
+          await file.update({
+            transcript: transcription.text,
+            metadata: { ...file.metadata, transcription }
+          });
+        }
+      } catch (error) {
+        logger.warn('⚠️ No se pudo guardar transcripción en archivo', { fileId, error: error.message });
+      }
+    }
+
+    logger.info('📝 Transcripción guardada', {
+      conversationId,
+      messageId,
+      fileId,
+      status: transcription.status,
+      backend: transcription.backend
+    });
+  }
+}
+
+module.exports = TranscriptionService;
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/responseHandler');
+const { getAccessTokenConfig } = require('../config/jwt');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+/**
+ * Servicio de autenticación en dos pasos (TOTP + códigos de respaldo)
+ *
+ * - El secreto TOTP se guarda cifrado (AES-256-GCM) en user.twoFactor
+ * - Los códigos de respaldo se guardan como hash SHA-256 y son de un solo uso
+ * - El login con 2FA emite un challenge token (JWT con audiencia propia, no sirve
+ *   como access token) que se canjea por los tokens reales en /auth/2fa/verify
+ */
+class TwoFactorService {
+  /**
+   * Configuración desde variables de entorno
+   */
+  static getConfig() {
+    return {
+      issuer: process.env.TWO_FACTOR_ISSUER || 'UTalk',
+      requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean),
+      challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+    };
+  }
+
+  /**
+   * ¿El rol está obligado a usar 2FA?
+   */
+  static isRequiredForRole(role) {
+    return this.getConfig().requiredRoles.includes(role);
+  }
+
+  /**
+   * ¿El login de este usuario requiere el paso pending_2fa?
+   */
+  static requiresChallenge(user) {
+    return Boolean(user.twoFactor?.enabled) || this.isRequiredForRole(user.role);
+  }
+
+  /**
+   * Llave de cifrado del secreto TOTP
+   */
+  static encryptionKey() {
+    const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) {
+      throw ApiError.internalServerError('TWO_FACTOR_ENCRYPTION_KEY no configurado');
+    }
+    return crypto.createHash('sha256').update(material).digest();
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  static hashBackupCode(code) {
+    return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+  }
+
+  /**
+   * Genera códigos de respaldo (XXXXX-XXXXX); devuelve texto plano y hashes
+   */
+  static generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  /**
+   * Estado de 2FA del usuario (sin secretos)
+   */
+  static getStatus(user) {
+    const twoFactor = user.twoFactor || {};
+    return {
+      enabled: Boolean(twoFactor.enabled),
+      required: this.isRequiredForRole(user.role),
+      enabledAt: twoFactor.enabledAt || null,
+      backupCodesRemaining: (twoFactor.backupCodes || []).length,
+      pendingEnrollment: Boolean(twoFactor.pendingSecret)
+    };
+  }
+
+  /**
+   * Iniciar enrolamiento: genera un secreto pendiente y la URI para el QR
+   */
+  static async startEnrollment(user) {
+    if (user.twoFactor?.enabled) {
+      throw ApiError.conflictError('La verificación en dos pasos ya está activa');
+    }
+
+    const secret = generateSecret();
+    await user.update({
+      twoFactor: {
+        ...(user.twoFactor || {}),
+        enabled: false,
+        pendingSecret: this.encryptSecret(secret),
+        pendingCreatedAt: new Date().toISOString()
+      }
+    });
+
+    logger.info('🔐 Enrolamiento 2FA iniciado', { email: user.email });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: this.getConfig().issuer })
+    };
+  }
+
+  /**
+   * Confirmar enrolamiento con el primer código de la app
+   * Devuelve los códigos de respaldo (solo se muestran esta vez)
+   */
+  static async confirmEnrollment(user, code) {
+    if (user.twoFactor?.enabled) {
+      throw ApiError.conflictError('La verificación en dos pasos ya está activa');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw ApiError.validationError('No hay un enrolamiento 2FA pendiente');
+    }
+
+    const step = verifyCode(this.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw ApiError.validationError('Código de verificación inválido');
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await user.update({
+      twoFactor: {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: null,
+        backupCodes: hashes,
+        lastUsedStep: step,
+        failedAttempts: 0,
+        lockedUntil: null,
+        enabledAt: new Date().toISOString()
+      }
+    });
+
+    logger.info('🔐 2FA activado', { email: user.email });
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Verificar código TOTP o de respaldo del usuario
+   * Aplica bloqueo temporal tras varios intentos fallidos
+   */
+  static async verify(user, { code, backupCode } = {}) {
+    const twoFactor = user.twoFactor || {};
+    if (!twoFactor.enabled) {
+      throw ApiError.validationError('La verificación en dos pasos no está activa');
+    }
+    if (twoFactor.lockedUntil && new Date(twoFactor.lockedUntil) > new Date()) {
+      throw new ApiError('AUTHENTICATION_ERROR', 'TWO_FACTOR_LOCKED', 'Demasiados intentos fallidos, intenta más tarde', 429);
+    }
+
+    if (backupCode) {
+      const hash = this.hashBackupCode(backupCode);
+      const remaining = (twoFactor.backupCodes || []).filter(item => item !== hash);
+      if (remaining.length === (twoFactor.backupCodes || []).length) {
+        return this.registerFailure(user);
+      }
+
+      await user.update({ twoFactor: { ...twoFactor, backupCodes: remaining, failedAttempts: 0, lockedUntil: null } });
+      logger.info('🔐 Código de respaldo 2FA utilizado', { email: user.email, remaining: remaining.length });
+      return { method: 'backup_code', backupCodesRemaining: remaining.length };
+    }
+
+    // afterStep evita reutilizar el mismo código dentro de su ventana
+    const step = verifyCode(this.decryptSecret(twoFactor.secret), code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+    if (step === null) {
+      return this.registerFailure(user);
+    }
+
+    await user.update({ twoFactor: { ...twoFactor, lastUsedStep: step, failedAttempts: 0, lockedUntil: null } });
+    return { method: 'totp', backupCodesRemaining: (twoFactor.backupCodes || []).length };
+  }
+
+  static async registerFailure(user) {
+    const failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+    const lockedUntil = failedAttempts >= MAX_FAILED_ATTEMPTS
+      ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString()
+      : null;
+
+    await user.update({
+      twoFactor: {
+        ...user.twoFactor,
+        failedAttempts: lockedUntil ? 0 : failedAttempts,
+        lockedUntil
+      }
+    });
+
+    logger.warn('⚠️ Código 2FA inválido', { email: user.email, failedAttempts, locked: Boolean(lockedUntil) });
+    throw ApiError.authenticationError('Código de verificación inválido');
+  }
+
+  /**
+   * Regenerar códigos de respaldo (requiere un código TOTP válido)
+   */
+  static async regenerateBackupCodes(user, code) {
+    await this.verify(user, { code });
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await user.update({ twoFactor: { ...user.twoFactor, backupCodes: hashes } });
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Desactivar 2FA por el propio usuario (no permitido si su rol lo exige)
+   */
+  static async disable(user, { code, backupCode } = {}) {
+    if (this.isRequiredForRole(user.role)) {
+      throw ApiError.authorizationError('Tu rol requiere verificación en dos pasos');
+    }
+
+    await this.verify(user, { code, backupCode });
+    await user.update({ twoFactor: null });
+
+    logger.info('🔐 2FA desactivado por el usuario', { email: user.email });
+  }
+
+  /**
+   * Restablecer 2FA de otro usuario (admin): borra el enrolamiento y cierra sus sesiones
+   */
+  static async adminReset(user, adminEmail) {
+    await user.update({
+      twoFactor: {
+        enabled: false,
+        resetAt: new Date().toISOString(),
+        resetBy: adminEmail
+      }
+    });
+    const sessionsClosed = await RefreshToken.invalidateAllForUser(user.email);
+
+    logger.warn('🔐 2FA restablecido por administrador', { email: user.email, resetBy: adminEmail, sessionsClosed });
+
+    return { sessionsClosed };
+  }
+
+  /**
+   * Challenge token del paso pending_2fa
+   */
+  static createChallenge(user) {
+    const cfg = getAccessTokenConfig();
+    const enrollmentRequired = !user.twoFactor?.enabled;
+
+    const challengeToken = jwt.sign({
+      email: user.email,
+      type: '2fa_challenge',
+      enrollmentRequired
+    }, cfg.secret, {
+      issuer: cfg.issuer,
+      audience: `${cfg.audience}:2fa`,
+      algorithm: 'HS256',
+      expiresIn: this.getConfig().challengeExpiresIn
+    });
+
+    return { challengeToken, enrollmentRequired, expiresIn: this.getConfig().challengeExpiresIn };
+  }
+
+  static verifyChallenge(challengeToken) {
+    const cfg = getAccessTokenConfig();
+    try {
+      const decoded = jwt.verify(challengeToken, cfg.secret, {
+        issuer: cfg.issuer,
+        audience: `${cfg.audience}:2fa`,
+        algorithms: ['HS256']
+      });
+      if (decoded.type !== '2fa_challenge') {
+        throw new Error('Tipo de token inválido');
+      }
+      return decoded;
+    } catch (error) {
+      throw ApiError.authenticationError('El desafío 2FA es inválido o expiró, inicia sesión de nuevo');
+    }
+  }
+}
+
+module.exports = TwoFactorService;
+module.exports.BACKUP_CODE_COUNT = BACKUP_CODE_COUNT;
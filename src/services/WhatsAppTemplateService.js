@@ -0,0 +1,240 @@
+const logger = require('../utils/logger');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const AudienceSegmentService = require('./AudienceSegmentService');
+
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+const CONTENT_SID_REGEX = /^HX[0-9a-fA-F]{32}$/;
+const CONTACT_SOURCES = ['name', 'firstName', 'phone', 'email'];
+
+/**
+ * 📝 SERVICIO DE PLANTILLAS DE WHATSAPP
+ *
+ * Las plantillas aprobadas se envían por Content SID (válidas fuera de la
+ * ventana de 24 horas). Cada placeholder {{n}} se llena por destinatario a
+ * partir de los campos del contacto, customFields, valores fijos del envío
+ * o el valor por defecto de la plantilla. Un envío con placeholders sin
+ * resolver no se realiza.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+class WhatsAppTemplateService {
+
+  /**
+   * Placeholders presentes en el cuerpo, sin duplicados y en orden de aparición
+   */
+  static extractPlaceholders(body = '') {
+    const keys = [];
+    for (const match of String(body).matchAll(PLACEHOLDER_REGEX)) {
+      if (!keys.includes(match[1])) {
+        keys.push(match[1]);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * ¿Fuente de variable válida? (campo de contacto o customFields.<campo>)
+   */
+  static isValidSource(source) {
+    if (typeof source !== 'string') return false;
+    if (CONTACT_SOURCES.includes(source)) return true;
+    return /^customFields\.[^.\s]+$/.test(source);
+  }
+
+  /**
+   * Validar definición de plantilla
+   * @returns {string[]} Lista de errores (vacía si es válida)
+   */
+  static validateDefinition(data = {}) {
+    const errors = [];
+    const variables = data.variables || {};
+    const defaults = data.defaults || {};
+
+    if (!CONTENT_SID_REGEX.test(data.contentSid || '')) {
+      errors.push('contentSid debe tener el formato HX seguido de 32 caracteres hexadecimales');
+    }
+
+    const placeholders = this.extractPlaceholders(data.body);
+
+    placeholders.forEach(key => {
+      const source = variables[key];
+      const hasDefault = defaults[key] !== undefined && defaults[key] !== '';
+
+      // Sin mapeo se acepta si hay default (se podrá sobrescribir por envío)
+      if (source === undefined && !hasDefault) {
+        errors.push(`El placeholder {{${key}}} no tiene fuente ni valor por defecto`);
+      } else if (source !== undefined && !this.isValidSource(source)) {
+        errors.push(`Fuente inválida para {{${key}}}: ${source}`);
+      }
+    });
+
+    Object.keys(variables).forEach(key => {
+      if (!placeholders.includes(key)) {
+        errors.push(`La variable ${key} no aparece en el cuerpo de la plantilla`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Obtener valor de una fuente para un contacto
+   */
+  static resolveSource(contact = {}, source) {
+    if (!contact || !source) return null;
+
+    switch (source) {
+      case 'name':
+        return contact.name || null;
+      case 'firstName':
+        return contact.name ? String(contact.name).trim().split(/\s+/)[0] : null;
+      case 'phone':
+        return contact.phone ? String(contact.phone).replace(/^whatsapp:/, '') : null;
+      case 'email':
+        return contact.email || null;
+      default: {
+        const field = source.replace(/^customFields\./, '');
+        const value = (contact.customFields || {})[field];
+        return value === undefined || value === null ? null : value;
+      }
+    }
+  }
+
+  /**
+   * Construir variables para un destinatario
+   * Prioridad: valores fijos del envío > campo del contacto > default de la plantilla
+   * @returns {{ variables: Object, missing: string[] }}
+   */
+  static buildVariables(template, contact = null, overrides = {}) {
+    const variables = {};
+    const missing = [];
+
+    this.extractPlaceholders(template.body).forEach(key => {
+      let value = overrides[key];
+
+      if (value === undefined || value === null || value === '') {
+        value = this.resolveSource(contact, template.variables?.[key]);
+      }
+      if (value === undefined || value === null || value === '') {
+        value = template.defaults?.[key];
+      }
+
+      if (value === undefined || value === null || String(value).trim() === '') {
+        missing.push(key);
+      } else {
+        variables[key] = String(value);
+      }
+    });
+
+    return { variables, missing };
+  }
+
+  /**
+   * Renderizar cuerpo con variables (los faltantes quedan como {{n}})
+   */
+  static render(body = '', variables = {}) {
+    return String(body).replace(PLACEHOLDER_REGEX, (placeholder, key) =>
+      variables[key] !== undefined ? variables[key] : placeholder
+    );
+  }
+
+  /**
+   * Obtener plantilla lista para envío
+   */
+  static async getUsableTemplate(templateId) {
+    const template = await WhatsAppTemplate.getById(templateId);
+
+    if (!template || !template.isActive) {
+      throw new Error(`Plantilla ${templateId} no encontrada`);
+    }
+
+    if (!template.isUsable()) {
+      throw new Error(`La plantilla ${template.name} no está aprobada para envío`);
+    }
+
+    return template;
+  }
+
+  /**
+   * Preparar envío de plantilla para un contacto
+   * @returns {{ contentSid, contentVariables, body, missing, ready }}
+   */
+  static prepareMessage(template, contact = null, overrides = {}) {
+    const { variables, missing } = this.buildVariables(template, contact, overrides);
+
+    return {
+      contentSid: template.contentSid,
+      contentVariables: variables,
+      body: this.render(template.body, variables),
+      missing,
+      ready: missing.length === 0
+    };
+  }
+
+  /**
+   * Vista previa renderizada por contacto
+   */
+  static previewForContacts(template, contacts = [], overrides = {}) {
+    const previews = contacts.map(contact => {
+      const prepared = this.prepareMessage(template, contact, overrides);
+      return {
+        contactId: contact.id,
+        name: contact.name,
+        phone: contact.phone,
+        rendered: prepared.body,
+        variables: prepared.contentVariables,
+        missing: prepared.missing,
+        ready: prepared.ready
+      };
+    });
+
+    const ready = previews.filter(preview => preview.ready).length;
+
+    return {
+      templateId: template.id,
+      contentSid: template.contentSid,
+      total: previews.length,
+      ready,
+      unresolved: previews.length - ready,
+      previews
+    };
+  }
+
+  /**
+   * Vista previa de una campaña con plantilla antes de lanzarla
+   */
+  static async previewCampaign(campaign, options = {}) {
+    const { limit = 20 } = options;
+
+    if (!campaign.templateId) {
+      throw new Error('La campaña no tiene plantilla asignada');
+    }
+
+    const template = await this.getUsableTemplate(campaign.templateId);
+    const recipients = await AudienceSegmentService.resolveCampaignRecipients(campaign);
+    const preview = this.previewForContacts(template, recipients.contacts, campaign.templateVariables || {});
+
+    logger.info('📝 Vista previa de plantilla de campaña', {
+      campaignId: campaign.id,
+      templateId: template.id,
+      total: preview.total,
+      unresolved: preview.unresolved
+    });
+
+    return {
+      ...preview,
+      excludedOptedOut: recipients.excludedOptedOut,
+      // Los no resolubles primero para poder corregirlos antes del lanzamiento
+      previews: [
+        ...preview.previews.filter(item => !item.ready),
+        ...preview.previews.filter(item => item.ready)
+      ].slice(0, limit)
+    };
+  }
+}
+
+module.exports = WhatsAppTemplateService;
+module.exports.PLACEHOLDER_REGEX = PLACEHOLDER_REGEX;
+module.exports.CONTENT_SID_REGEX = CONTENT_SID_REGEX;
+module.exports.CONTACT_SOURCES = CONTACT_SOURCES;
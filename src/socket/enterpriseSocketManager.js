@@ -116,9 +116,13 @@ const SOCKET_EVENTS = {
   MESSAGE_SENT: 'message-sent',
   MESSAGE_READ: 'message-read',
   MESSAGE_DELIVERED: 'message-delivered',
+  MESSAGE_UPDATED: 'message-updated',
   MESSAGE_TYPING: 'typing',
   MESSAGE_TYPING_STOP: 'typing-stop',
   
+  // 🆕 Mention events
+  MENTION_CREATED: 'mention-created',
+  
   // 🆕 File events
   FILE_UPLOADED: 'file-uploaded',
   FILE_PROCESSING: 'file-processing',
@@ -888,7 +892,7 @@ class EnterpriseSocketManager {
         }
 
         // Notify other users about new user online
-        this.broadcastUserPresence(userEmail, 'online', userRole);
+        this.broadcastUserPresence(userEmail, 'online', userRole, socket);
 
         logger.info('✅ SYNC INICIAL INMEDIATO COMPLETADO', {
           category: 'SOCKET_INITIAL_SYNC_IMMEDIATE_SUCCESS',
@@ -926,19 +930,26 @@ class EnterpriseSocketManager {
    */
   joinRoleBasedRooms(socket, userRole) {
     const { userEmail } = socket;
+    const { getWorkspaceRoom, getRoleRoom } = require('./index');
+    const tenant = { workspaceId: socket.workspaceId, tenantId: socket.tenantId };
 
     try {
-      // Join role-specific room
-      socket.join(`role-${userRole}`);
+      // Join role-specific room (solo del propio workspace)
+      socket.join(getRoleRoom({ ...tenant, role: userRole }));
+
+      // Sala personal: notificaciones dirigidas (menciones en notas internas)
+      if (userEmail) {
+        socket.join(`user-${String(userEmail).toLowerCase()}`);
+      }
 
       // Admin privileges
       if (userRole === 'admin' || userRole === 'superadmin') {
-        socket.join('role-admin');
-        socket.join('role-agent'); // Admins see everything
+        socket.join(getRoleRoom({ ...tenant, role: 'admin' }));
+        socket.join(getRoleRoom({ ...tenant, role: 'agent' })); // Admins see everything
       }
 
       // 🔧 CORRECCIÓN CRÍTICA: Unirse automáticamente al workspace room
-      const workspaceRoomId = `ws:${socket.workspaceId || 'default_workspace'}:ten:${socket.tenantId || 'default_tenant'}:workspace`;
+      const workspaceRoomId = getWorkspaceRoom(tenant);
       socket.join(workspaceRoomId);
       
       logger.info('🔗 Usuario unido al workspace room', {
@@ -1555,7 +1566,7 @@ class EnterpriseSocketManager {
       });
 
       // 🔧 CORRECCIÓN CRÍTICA: Verificar permisos con el conversationId decodificado
-      const hasPermission = await this.verifyConversationPermission(userEmail, decodedConversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, decodedConversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         logger.warn('Permiso denegado para unirse a conversación', {
           category: 'SOCKET_JOIN_CONVERSATION_PERMISSION_DENIED',
@@ -1861,7 +1872,7 @@ class EnterpriseSocketManager {
       }
 
       // Verify permission to send message
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -2158,7 +2169,7 @@ class EnterpriseSocketManager {
       }
 
       // Broadcast status change to relevant users
-      this.broadcastUserPresence(userEmail, status, socket.userRole);
+      this.broadcastUserPresence(userEmail, status, socket.userRole, socket);
 
       logger.info('User status changed', {
         category: 'SOCKET_STATUS_CHANGE',
@@ -2257,7 +2268,7 @@ class EnterpriseSocketManager {
         await this.cleanupUserSession(userEmail, socketId);
         
         // Broadcast user offline status solo si userEmail es válido
-        this.broadcastUserPresence(userEmail, 'offline', userRole);
+        this.broadcastUserPresence(userEmail, 'offline', userRole, socket);
       } else {
         logger.warn('No se pudo limpiar sesión de usuario - userEmail inválido', {
           category: 'SOCKET_DISCONNECT_WARNING',
@@ -2313,7 +2324,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos para la conversación
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -2387,7 +2398,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -2446,7 +2457,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -2510,7 +2521,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -2570,7 +2581,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -2771,8 +2782,9 @@ class EnterpriseSocketManager {
 
   /**
    * 📡 BROADCAST USER PRESENCE
+   * Solo a las rooms de rol del workspace del socket
    */
-  broadcastUserPresence(userEmail, status, userRole) {
+  broadcastUserPresence(userEmail, status, userRole, socket = {}) {
     try {
       // ✅ VALIDACIÓN: Verificar que userEmail sea válido
       if (!userEmail || typeof userEmail !== 'string') {
@@ -2793,12 +2805,15 @@ class EnterpriseSocketManager {
         timestamp: new Date().toISOString()
       };
 
+      const { getRoleRoom } = require('./index');
+      const tenant = { workspaceId: socket.workspaceId, tenantId: socket.tenantId };
+
       // Broadcast to all users in same role
-      this.io.to(`role-${userRole}`).emit(SOCKET_EVENTS.PRESENCE_UPDATE, presenceData);
+      this.io.to(getRoleRoom({ ...tenant, role: userRole })).emit(SOCKET_EVENTS.PRESENCE_UPDATE, presenceData);
 
       // Broadcast to admins if user is not admin
       if (userRole !== 'admin' && userRole !== 'superadmin') {
-        this.io.to('role-admin').emit(SOCKET_EVENTS.PRESENCE_UPDATE, presenceData);
+        this.io.to(getRoleRoom({ ...tenant, role: 'admin' })).emit(SOCKET_EVENTS.PRESENCE_UPDATE, presenceData);
       }
 
       logger.debug('User presence broadcasted', {
@@ -3109,8 +3124,9 @@ class EnterpriseSocketManager {
 
   /**
    * 🔐 VERIFY CONVERSATION PERMISSION
+   * @param {string} userWorkspaceId - Workspace del JWT del socket (aislamiento multi-tenant)
    */
-  async verifyConversationPermission(userEmail, conversationId, action = 'read') {
+  async verifyConversationPermission(userEmail, conversationId, action = 'read', userWorkspaceId = 'default_workspace') {
     try {
       // 🔧 CORRECCIÓN: Validación más robusta de parámetros
       if (!userEmail || !conversationId) {
@@ -3166,6 +3182,17 @@ class EnterpriseSocketManager {
         return false;
       }
 
+      // 🏢 AISLAMIENTO: nunca se accede a conversaciones de otro workspace (ni siendo admin o participante)
+      if ((conversation.workspaceId || 'default_workspace') !== (userWorkspaceId || 'default_workspace')) {
+        logger.warn('Conversación de otro workspace, acceso denegado', {
+          category: 'SOCKET_PERMISSION_WORKSPACE_MISMATCH',
+          userEmail: userEmail?.substring(0, 20) + '...',
+          conversationId: decodedConversationId?.substring(0, 20) + '...',
+          action
+        });
+        return false;
+      }
+
       // 🔧 CORRECCIÓN: Verificación más robusta de participantes
       const participants = conversation.participants || [];
       
@@ -4085,6 +4112,34 @@ class EnterpriseSocketManager {
     }
   }
 
+  /**
+   * 🟢 GET AVAILABLE USER EMAILS (PUBLIC METHOD)
+   * Emails completos de usuarios conectados cuya presencia está en `statuses`
+   */
+  getAvailableUserEmails(statuses = ['online']) {
+    try {
+      if (!this.connectedUsers || typeof this.connectedUsers.get !== 'function') {
+        return [];
+      }
+
+      const emails = [];
+      for (const email of Array.from(this.connectedUsers.map.keys())) {
+        const session = this.connectedUsers.get(email);
+        if (session && statuses.includes(session.status || 'online')) {
+          emails.push(String(email).toLowerCase());
+        }
+      }
+
+      return emails;
+    } catch (error) {
+      logger.error('Error getting available users', {
+        category: 'SOCKET_AVAILABLE_USERS_ERROR',
+        error: error.message
+      });
+      return [];
+    }
+  }
+
   /**
    * 📡 BROADCAST TO CONVERSATION (MÉTODO PÚBLICO PARA REPOSITORIO)
    * Emite eventos a una conversación específica con autorización
@@ -4252,6 +4307,35 @@ class EnterpriseSocketManager {
     }
   }
 
+  /**
+   * 📡 BROADCAST TO WORKSPACE
+   * Emite a todos los usuarios conectados del workspace (nunca a todos los sockets)
+   */
+  broadcastToWorkspace({ workspaceId, tenantId, event, payload }) {
+    try {
+      if (!workspaceId || !event) {
+        logger.warn('broadcastToWorkspace: Sin workspaceId o evento, omitiendo broadcast', {
+          category: 'SOCKET_BROADCAST_AUTH_WARNING',
+          event,
+          hasWorkspaceId: !!workspaceId
+        });
+        return false;
+      }
+
+      const { getWorkspaceRoom } = require('./index');
+      this.io.to(getWorkspaceRoom({ workspaceId, tenantId })).emit(event, payload);
+      return true;
+
+    } catch (error) {
+      logger.error('Error en broadcastToWorkspace', {
+        category: 'SOCKET_BROADCAST_ERROR',
+        error: error.message,
+        event
+      });
+      return false;
+    }
+  }
+
   /**
    * 📡 EMIT CONVERSATION UPDATED (FACADE PARA ACTUALIZACIONES DE CONVERSACIÓN)
    * Emite eventos cuando se actualiza una conversación
@@ -4272,7 +4356,8 @@ class EnterpriseSocketManager {
       });
 
       // 🔧 CORRECCIÓN CRÍTICA: Emitir también al workspace general para nuevas conversaciones
-      const workspaceRoomId = `ws:${workspaceId || 'default_workspace'}:ten:${tenantId || 'default_tenant'}:workspace`;
+      const { getWorkspaceRoom } = require('./index');
+      const workspaceRoomId = getWorkspaceRoom({ workspaceId, tenantId });
       this.io.to(workspaceRoomId).emit('conversation-event', { 
         conversationId, 
         lastMessage, 
@@ -4311,6 +4396,64 @@ class EnterpriseSocketManager {
     }
   }
 
+  /**
+   * 📡 EMIT MESSAGE UPDATED (FACADE PARA CAMBIOS EN MENSAJES EXISTENTES)
+   * Emite campos actualizados de un mensaje (p. ej. transcripción de audio)
+   */
+  emitMessageUpdated({ workspaceId, tenantId, conversationId, messageId, updates, correlationId }) {
+    try {
+      this.broadcastToConversation({
+        workspaceId, tenantId, conversationId,
+        event: SOCKET_EVENTS.MESSAGE_UPDATED,
+        payload: {
+          conversationId,
+          messageId,
+          updates,
+          correlationId
+        }
+      });
+
+      logger.info('RT:BROADCAST message-updated', {
+        event: SOCKET_EVENTS.MESSAGE_UPDATED,
+        conversationId: conversationId?.substring(0, 20) + '...',
+        messageId,
+        fields: Object.keys(updates || {})
+      });
+
+    } catch (error) {
+      logger.error('RT:ERROR emitMessageUpdated', {
+        where: 'emitMessageUpdated',
+        err: error.message,
+        conversationId: conversationId?.substring(0, 20) + '...'
+      });
+    }
+  }
+
+  /**
+   * 📡 EMIT MENTION (NOTIFICACIÓN DIRIGIDA)
+   * Notifica a un usuario que fue mencionado en una nota interna
+   */
+  emitMention({ userEmail, mention, unreadCount }) {
+    try {
+      const roomId = `user-${String(userEmail || '').toLowerCase()}`;
+      this.io.to(roomId).emit(SOCKET_EVENTS.MENTION_CREATED, { mention, unreadCount });
+
+      logger.info('RT:EMIT mention-created', {
+        event: SOCKET_EVENTS.MENTION_CREATED,
+        userEmail: userEmail?.substring(0, 20) + '...',
+        conversationId: mention?.conversationId?.substring(0, 20) + '...',
+        unreadCount
+      });
+
+    } catch (error) {
+      logger.error('RT:ERROR emitMention', {
+        where: 'emitMention',
+        err: error.message,
+        userEmail: userEmail?.substring(0, 20) + '...'
+      });
+    }
+  }
+
   /**
    * 🔧 VERIFY AND RE-REGISTER LISTENERS
    * Verifica que todos los listeners estén activos y los re-registra si es necesario
@@ -4628,7 +4771,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos para la conversación
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -4702,7 +4845,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos para la conversación
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -5008,7 +5151,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -5068,7 +5211,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -5126,7 +5269,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'read', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -5184,7 +5327,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -5261,7 +5404,7 @@ class EnterpriseSocketManager {
       }
 
       // Verificar permisos
-      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write');
+      const hasPermission = await this.verifyConversationPermission(userEmail, conversationId, 'write', socket.workspaceId);
       if (!hasPermission) {
         socket.emit(SOCKET_EVENTS.ERROR, {
           error: 'PERMISSION_DENIED',
@@ -5452,7 +5595,8 @@ class EnterpriseSocketManager {
       });
 
       // 🔧 CORRECCIÓN CRÍTICA: Emitir también al workspace general para nuevas conversaciones
-      const workspaceRoomId = `ws:${workspaceId || 'default_workspace'}:ten:${tenantId || 'default_tenant'}:workspace`;
+      const { getWorkspaceRoom } = require('./index');
+      const workspaceRoomId = getWorkspaceRoom({ workspaceId, tenantId });
       this.io.to(workspaceRoomId).emit('new-message', { 
         conversationId, 
         message, 
@@ -26,6 +26,16 @@ function getConversationRoom({ workspaceId, tenantId, conversationId }) {
   return `ws:${workspaceId || 'default_workspace'}:ten:${tenantId || 'default_tenant'}:conv:${conversationId}`;
 }
 
+// Room general del workspace (todos los usuarios conectados del workspace)
+function getWorkspaceRoom({ workspaceId, tenantId }) {
+  return `ws:${workspaceId || 'default_workspace'}:ten:${tenantId || 'default_tenant'}:workspace`;
+}
+
+// Room de un rol dentro del workspace
+function getRoleRoom({ workspaceId, tenantId, role }) {
+  return `ws:${workspaceId || 'default_workspace'}:ten:${tenantId || 'default_tenant'}:role:${role}`;
+}
+
 // Constantes de eventos para compatibilidad
 const EV_NEW_MESSAGE = 'new-message';
 const EV_CONV_EVENT = 'conversation-event';
@@ -35,6 +45,10 @@ function broadcastToConversation(args) {
   return _manager?.broadcastToConversation?.(args) ?? false;
 }
 
+function broadcastToWorkspace(args) {
+  return _manager?.broadcastToWorkspace?.(args) ?? false;
+}
+
 function emitNewMessage(args) {
   return _manager?.emitNewMessage?.(args) ?? false;
 }
@@ -72,10 +86,13 @@ module.exports = {
   setSocketManager,
   getSocketManager,
   getConversationRoom,
+  getWorkspaceRoom,
+  getRoleRoom,
   EV_NEW_MESSAGE,
   EV_CONV_EVENT,
   // Delegadores seguros
   broadcastToConversation,
+  broadcastToWorkspace,
   emitNewMessage,
   emitConversationUpdated,
   // 🔧 Función de prueba
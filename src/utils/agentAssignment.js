@@ -1,23 +1,32 @@
 /**
  * Utilidad de asignación automática de agentes
+ * Fachada sobre AgentAssignmentService
  */
 
 const logger = require('./logger');
+const { agentAssignmentService } = require('../services/AgentAssignmentService');
+const { AGENT_ASSIGNMENT_CONFIG } = require('../config/agentAssignmentConfig');
 
 /**
  * Obtener agente activo para asignación automática
- * @returns {string|null} - ID del agente o null si no hay agentes activos
+ * @param {Object} options - { workspaceId, strategy, requiredSkills }
+ * @returns {string|null} - Email del agente o null si no hay agentes disponibles
  */
-async function getActiveAgent () {
+async function getActiveAgent (options = {}) {
   try {
-    const agentId = process.env.DEFAULT_AGENT_ID || 'system';
+    const agent = await agentAssignmentService.selectAgent(options);
+
+    if (!agent) {
+      return null;
+    }
 
     logger.info('Asignando agente automáticamente', {
-      agentId,
+      agentId: agent.email,
+      strategy: agent.strategy,
       method: 'auto_assignment',
     });
 
-    return agentId;
+    return agent.email;
   } catch (error) {
     logger.error('Error obteniendo agente activo', { error: error.message });
     return null;
@@ -27,39 +36,41 @@ async function getActiveAgent () {
 /**
  * Asignar conversación a agente automáticamente
  * @param {Object} options - Opciones de asignación
- * @returns {string} - ID del agente asignado
+ * @returns {string|null} - Email del agente asignado
  */
 async function assignConversationToAgent (options = {}) {
-  const { conversationId, customerPhone, contact } = options;
+  const { conversationId, customerPhone, contact, conversation, workspaceId, strategy } = options;
 
   try {
-    const assignedAgent = await getActiveAgent();
-
-    if (!assignedAgent) {
-      logger.warn('No hay agentes disponibles para asignación automática', {
-        conversationId,
-        customerPhone,
-      });
+    if (!AGENT_ASSIGNMENT_CONFIG.enabled) {
       return null;
     }
 
-    const isValidAgent = await validateAgent(assignedAgent);
-    if (!isValidAgent) {
-      logger.warn('Agente asignado no es válido', {
-        agentId: assignedAgent,
+    const agent = await agentAssignmentService.assignConversation(
+      conversation || { id: conversationId, customerPhone, workspaceId },
+      {
+        workspaceId,
+        strategy,
+        requiredSkills: contact?.tags || []
+      }
+    );
+
+    if (!agent) {
+      logger.warn('No hay agentes disponibles para asignación automática', {
         conversationId,
+        customerPhone,
       });
       return null;
     }
 
     logger.info('Conversación asignada automáticamente', {
       conversationId,
-      agentId: assignedAgent,
+      agentId: agent.email,
       customerPhone,
       contactId: contact?.id || 'sin_contacto',
     });
 
-    return assignedAgent;
+    return agent.email;
   } catch (error) {
     logger.error('Error en asignación automática', {
       error: error.message,
@@ -70,9 +81,34 @@ async function assignConversationToAgent (options = {}) {
   }
 }
 
+/**
+ * Asignar la conversación solo si aún no tiene agente principal
+ * @param {Object} conversation - Datos de la conversación (id, primaryAgent, tags, workspaceId)
+ * @param {Object} options - { contact, strategy }
+ * @returns {string|null} - Email del agente principal
+ */
+async function ensureConversationAssignment (conversation, options = {}) {
+  if (!conversation?.id) {
+    return null;
+  }
+
+  const currentAgent = conversation.primaryAgent || conversation.assignedTo;
+  if (currentAgent) {
+    return currentAgent;
+  }
+
+  return assignConversationToAgent({
+    conversationId: conversation.id,
+    customerPhone: conversation.customerPhone,
+    conversation,
+    workspaceId: conversation.workspaceId,
+    ...options,
+  });
+}
+
 /**
  * Validar si un agente existe y está activo
- * @param {string} agentId - ID del agente
+ * @param {string} agentId - Email del agente
  * @returns {boolean} - true si el agente es válido
  */
 async function validateAgent (agentId) {
@@ -86,12 +122,13 @@ async function validateAgent (agentId) {
     return false;
   }
 
-  return true;
+  const agent = await getAgentInfo(agentId);
+  return !!agent && agent.isActive;
 }
 
 /**
  * Obtener información del agente
- * @param {string} agentId - ID del agente
+ * @param {string} agentId - Email del agente
  * @returns {Object|null} - Información del agente
  */
 async function getAgentInfo (agentId) {
@@ -100,16 +137,19 @@ async function getAgentInfo (agentId) {
       return null;
     }
 
-    const isValid = await validateAgent(agentId);
-    if (!isValid) {
+    const agents = await agentAssignmentService.getEligibleAgents();
+    const agent = agents.find(candidate => candidate.email === String(agentId).toLowerCase());
+    if (!agent) {
       return null;
     }
 
     return {
-      id: agentId,
-      name: agentId,
+      id: agent.email,
+      name: agent.name,
+      role: agent.role,
+      skills: agent.skills,
+      capacity: agent.capacity,
       isActive: true,
-      assignedAt: new Date(),
     };
   } catch (error) {
     logger.error('Error obteniendo información del agente', {
@@ -122,8 +162,8 @@ async function getAgentInfo (agentId) {
 
 /**
  * Obtener carga de trabajo del agente
- * @param {string} agentId - ID del agente
- * @returns {number} - Número de conversaciones asignadas
+ * @param {string} agentId - Email del agente
+ * @returns {number} - Número de conversaciones abiertas como agente principal
  */
 async function getAgentWorkload (agentId) {
   try {
@@ -131,8 +171,7 @@ async function getAgentWorkload (agentId) {
       return 0;
     }
 
-    // Simulación básica - en producción consultaría la base de datos
-    return 0;
+    return await agentAssignmentService.getOpenConversationCount(String(agentId).toLowerCase());
   } catch (error) {
     logger.error('Error obteniendo carga de trabajo del agente', {
       error: error.message,
@@ -145,13 +184,13 @@ async function getAgentWorkload (agentId) {
 /**
  * Reasignar conversación a otro agente
  * @param {string} conversationId - ID de la conversación
- * @param {string} newAgentId - ID del nuevo agente
+ * @param {string} newAgentId - Email del nuevo agente
  * @returns {boolean} - true si se reasignó exitosamente
  */
 async function reassignConversation (conversationId, newAgentId) {
   try {
-    const isValidAgent = await validateAgent(newAgentId);
-    if (!isValidAgent) {
+    const agent = await getAgentInfo(newAgentId);
+    if (!agent) {
       logger.warn('Agente de reasignación no es válido', {
         agentId: newAgentId,
         conversationId,
@@ -159,9 +198,19 @@ async function reassignConversation (conversationId, newAgentId) {
       return false;
     }
 
+    const Conversation = require('../models/Conversation');
+    const ConversationService = require('../services/ConversationService');
+    const existing = await ConversationService.getConversationById(conversationId);
+    if (!existing) {
+      return false;
+    }
+
+    const conversation = new Conversation(existing);
+    await conversation.assignTo(agent.id, agent.name, 'principal', AGENT_ASSIGNMENT_CONFIG.assignedBy);
+
     logger.info('Conversación reasignada', {
       conversationId,
-      newAgentId,
+      newAgentId: agent.id,
     });
 
     return true;
@@ -178,6 +227,7 @@ async function reassignConversation (conversationId, newAgentId) {
 module.exports = {
   getActiveAgent,
   assignConversationToAgent,
+  ensureConversationAssignment,
   validateAgent,
   getAgentInfo,
   getAgentWorkload,
@@ -0,0 +1,237 @@
+/**
+ * UTILIDADES DE HORARIO HÁBIL - UTalk Backend
+ * Cálculo de minutos hábiles y vencimientos según un calendario con zona
+ * horaria, horario semanal y feriados. Sin calendario se asume 24/7.
+ *
+ * Formato de calendario:
+ * {
+ *   timezone: 'America/Mexico_City',
+ *   weeklySchedule: { 1: [{ start: '09:00', end: '18:00' }], ... }, // 0 = domingo
+ *   holidays: [{ date: '2026-12-25', name: 'Navidad' }]
+ * }
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_DAYS_SCAN = 366;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Componentes de fecha/hora locales en la zona indicada
+ */
+function getZonedParts(date, timeZone = 'UTC') {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    weekday: WEEKDAYS[parts.weekday],
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+/**
+ * Diferencia (ms) entre la hora local de la zona y UTC en un instante
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instante UTC de una hora local en la zona (con corrección por horario de verano)
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstPass = guess - getOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - getOffsetMs(new Date(firstPass), timeZone));
+}
+
+function parseTime(value) {
+  const [hour, minute] = String(value).split(':').map(Number);
+  return { hour, minute: minute || 0 };
+}
+
+/**
+ * Normalizar valores de fecha (Date, Timestamp de Firestore, ISO)
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value === 'object' && '_seconds' in value) return new Date(value._seconds * 1000);
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * ¿Fecha local (YYYY-MM-DD) es feriado?
+ */
+function isHoliday(dateKey, calendar) {
+  return (calendar?.holidays || []).some(holiday => (holiday.date || holiday) === dateKey);
+}
+
+/**
+ * Feriado del día local que contiene `date` (null si no hay)
+ */
+function getHoliday(date, calendar) {
+  if (!calendar) return null;
+  const { dateKey } = getZonedParts(toDate(date), calendar.timezone || 'UTC');
+  const holiday = (calendar.holidays || []).find(item => (item.date || item) === dateKey);
+  if (!holiday) return null;
+  return typeof holiday === 'string' ? { date: holiday, name: null } : holiday;
+}
+
+/**
+ * Ventanas hábiles [start, end) del día local que contiene `date`
+ */
+function getDayWindows(date, calendar) {
+  const timeZone = calendar.timezone || 'UTC';
+  const local = getZonedParts(date, timeZone);
+
+  if (isHoliday(local.dateKey, calendar)) return [];
+
+  const slots = calendar.weeklySchedule?.[local.weekday] || calendar.weeklySchedule?.[String(local.weekday)] || [];
+
+  return slots
+    .map(slot => {
+      const start = parseTime(slot.start);
+      const end = parseTime(slot.end);
+      return {
+        start: zonedTimeToDate(local.year, local.month, local.day, start.hour, start.minute, timeZone),
+        end: zonedTimeToDate(local.year, local.month, local.day, end.hour, end.minute, timeZone)
+      };
+    })
+    .filter(window => window.end > window.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Inicio del día local siguiente (instante UTC)
+ */
+function nextLocalDay(date, calendar) {
+  const timeZone = calendar.timezone || 'UTC';
+  const local = getZonedParts(date, timeZone);
+  const noonNextDay = new Date(Date.UTC(local.year, local.month - 1, local.day, 12) + DAY_MS);
+  const next = getZonedParts(noonNextDay, timeZone);
+  return zonedTimeToDate(next.year, next.month, next.day, 0, 0, timeZone);
+}
+
+/**
+ * ¿Instante dentro del horario hábil?
+ */
+function isWithinBusinessHours(date, calendar) {
+  if (!calendar) return true;
+  const instant = toDate(date);
+  return getDayWindows(instant, calendar).some(window => instant >= window.start && instant < window.end);
+}
+
+/**
+ * Minutos hábiles transcurridos entre dos instantes
+ */
+function businessMinutesBetween(start, end, calendar) {
+  const from = toDate(start);
+  const to = toDate(end);
+  if (!from || !to || to <= from) return 0;
+
+  if (!calendar) return (to - from) / MINUTE_MS;
+
+  let total = 0;
+  let cursor = from;
+
+  for (let i = 0; i < MAX_DAYS_SCAN && cursor < to; i++) {
+    getDayWindows(cursor, calendar).forEach(window => {
+      const overlapStart = Math.max(window.start.getTime(), from.getTime());
+      const overlapEnd = Math.min(window.end.getTime(), to.getTime());
+      if (overlapEnd > overlapStart) total += overlapEnd - overlapStart;
+    });
+    cursor = nextLocalDay(cursor, calendar);
+  }
+
+  return total / MINUTE_MS;
+}
+
+/**
+ * Instante en que se cumplen `minutes` minutos hábiles desde `start`
+ */
+function addBusinessMinutes(start, minutes, calendar) {
+  const from = toDate(start);
+  if (!calendar) return new Date(from.getTime() + minutes * MINUTE_MS);
+
+  let remainingMs = minutes * MINUTE_MS;
+  let cursor = from;
+
+  for (let i = 0; i < MAX_DAYS_SCAN; i++) {
+    for (const window of getDayWindows(cursor, calendar)) {
+      const windowStart = Math.max(window.start.getTime(), from.getTime());
+      const available = window.end.getTime() - windowStart;
+      if (available <= 0) continue;
+
+      if (available >= remainingMs) {
+        return new Date(windowStart + remainingMs);
+      }
+      remainingMs -= available;
+    }
+    cursor = nextLocalDay(cursor, calendar);
+  }
+
+  // Calendario sin horario hábil: no hay vencimiento alcanzable
+  return null;
+}
+
+/**
+ * Próximo instante hábil a partir de `date` (el mismo si ya es hábil)
+ */
+function nextBusinessOpening(date, calendar) {
+  const from = toDate(date);
+  if (!calendar) return from;
+
+  let cursor = from;
+  for (let i = 0; i < MAX_DAYS_SCAN; i++) {
+    const window = getDayWindows(cursor, calendar).find(w => w.end > from);
+    if (window) return window.start > from ? window.start : from;
+    cursor = nextLocalDay(cursor, calendar);
+  }
+
+  return null;
+}
+
+module.exports = {
+  getZonedParts,
+  zonedTimeToDate,
+  toDate,
+  isHoliday,
+  getHoliday,
+  isWithinBusinessHours,
+  businessMinutesBetween,
+  addBusinessMinutes,
+  nextBusinessOpening
+};
@@ -0,0 +1,190 @@
+/**
+ * Detección de contactos duplicados
+ *
+ * Un mismo cliente puede existir con varias variantes de teléfono
+ * (whatsapp:+5215512345678 vs +525512345678), con el mismo correo o con
+ * nombres casi iguales. Estas funciones son puras: ContactMergeService
+ * las aplica sobre los contactos cargados de Firestore.
+ */
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Clave de teléfono comparable: solo dígitos, con el "1" móvil de México
+ * (521XXXXXXXXXX) colapsado y números locales de 10 dígitos con lada 52
+ */
+function phoneKey (phone) {
+  const digits = String(phone || '').replace(/^whatsapp:/, '').replace(/\D/g, '');
+  if (digits.length < 7) return null;
+
+  if (digits.length === 13 && digits.startsWith('521')) {
+    return `52${digits.slice(3)}`;
+  }
+  if (digits.length === 10) {
+    return `52${digits}`;
+  }
+  return digits;
+}
+
+/**
+ * Formas en que se guarda un teléfono con la misma clave
+ * (para buscar candidatos con consultas de igualdad)
+ */
+function phoneVariants (phone) {
+  const key = phoneKey(phone);
+  if (!key) return [];
+
+  const numbers = key.length === 12 && key.startsWith('52')
+    ? [`+52${key.slice(2)}`, `+521${key.slice(2)}`]
+    : [`+${key}`];
+  return numbers.flatMap(number => [`whatsapp:${number}`, number]);
+}
+
+/**
+ * Correo comparable (minúsculas, sin espacios)
+ */
+function emailKey (email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized.includes('@') ? normalized : null;
+}
+
+/**
+ * Nombre comparable: sin acentos, minúsculas y solo letras/números
+ * Los nombres que son un teléfono (contactos creados por webhook) no cuentan
+ */
+function normalizeName (name) {
+  const normalized = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!normalized || /^[\d\s]+$/.test(normalized)) return null;
+  return normalized;
+}
+
+function bigrams (text) {
+  const compact = text.replace(/\s/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    grams.push(compact.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * Similitud 0..1 entre nombres (coeficiente de Dice sobre bigramas)
+ * El mismo conjunto de palabras en otro orden cuenta como 1
+ */
+function nameSimilarity (a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const sortedTokens = (text) => text.split(' ').sort().join(' ');
+  if (sortedTokens(left) === sortedTokens(right)) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (leftGrams.length === 0 || rightGrams.length === 0) return 0;
+
+  const counts = new Map();
+  leftGrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let overlap = 0;
+  rightGrams.forEach(gram => {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      overlap++;
+      counts.set(gram, count - 1);
+    }
+  });
+
+  return (2 * overlap) / (leftGrams.length + rightGrams.length);
+}
+
+/**
+ * Agrupar contactos duplicados
+ * @param {Array<{id, name, phone, email, alternatePhones?}>} contacts
+ * @returns {Array<{ contactIds: string[], reasons: Array<{ type, contactIds, value?, score? }> }>}
+ */
+function findDuplicateGroups (contacts, { nameThreshold = NAME_SIMILARITY_THRESHOLD } = {}) {
+  const parent = new Map(contacts.map(contact => [contact.id, contact.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const reasons = [];
+  const link = (a, b, reason) => {
+    if (a === b) return;
+    reasons.push({ ...reason, contactIds: [a, b] });
+    parent.set(find(a), find(b));
+  };
+
+  // Coincidencias exactas: teléfono (todas sus variantes) y correo
+  const byPhone = new Map();
+  const byEmail = new Map();
+  for (const contact of contacts) {
+    const phones = [contact.phone, ...(contact.alternatePhones || [])];
+    new Set(phones.map(phoneKey).filter(Boolean)).forEach(key => {
+      if (byPhone.has(key)) link(byPhone.get(key), contact.id, { type: 'phone', value: key });
+      else byPhone.set(key, contact.id);
+    });
+
+    const email = emailKey(contact.email);
+    if (email) {
+      if (byEmail.has(email)) link(byEmail.get(email), contact.id, { type: 'email', value: email });
+      else byEmail.set(email, contact.id);
+    }
+  }
+
+  // Nombres parecidos: solo se comparan los que comparten inicial
+  // (de las palabras ordenadas, para que "Gómez Juan" caiga con "Juan Gómez")
+  const byInitial = new Map();
+  for (const contact of contacts) {
+    const name = normalizeName(contact.name);
+    if (!name) continue;
+    const initial = name.split(' ').sort()[0][0];
+    const bucket = byInitial.get(initial) || [];
+    bucket.push(contact);
+    byInitial.set(initial, bucket);
+  }
+  for (const bucket of byInitial.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const score = nameSimilarity(bucket[i].name, bucket[j].name);
+        if (score >= nameThreshold) {
+          link(bucket[i].id, bucket[j].id, { type: 'name', score: Math.round(score * 100) / 100 });
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const contact of contacts) {
+    const root = find(contact.id);
+    if (!groups.has(root)) groups.set(root, { contactIds: [], reasons: [] });
+    groups.get(root).contactIds.push(contact.id);
+  }
+  for (const reason of reasons) {
+    groups.get(find(reason.contactIds[0])).reasons.push(reason);
+  }
+
+  return Array.from(groups.values()).filter(group => group.contactIds.length > 1);
+}
+
+module.exports = {
+  NAME_SIMILARITY_THRESHOLD,
+  phoneKey,
+  phoneVariants,
+  emailKey,
+  normalizeName,
+  nameSimilarity,
+  findDuplicateGroups
+};
@@ -11,6 +11,7 @@
 const { firestore } = require('../config/firebase');
 const logger = require('./logger');
 const { aiLogger } = require('./aiLogger');
+const { isInternalNote } = require('./internalNotes');
 
 /**
  * Cargar contexto conversacional para IA
@@ -22,6 +23,7 @@ async function loadConversationContext(conversationId, options = {}) {
     const {
       maxMessages = 20,
       includeMetadata = false,
+      includeInternalNotes = false,
       workspaceId = null
     } = options;
 
@@ -81,11 +83,18 @@ async function loadConversationContext(conversationId, options = {}) {
 
     snapshot.forEach(doc => {
       const messageData = doc.data();
+
+      // Notas internas: solo con includeInternalNotes (flag internal_notes del workspace)
+      if (isInternalNote(messageData) && !includeInternalNotes) {
+        return;
+      }
       
       // Determinar rol del mensaje
       let role = 'user';
       if (messageData.direction === 'outbound') {
         role = 'assistant';
+      } else if (isInternalNote(messageData)) {
+        role = 'system';
       }
 
       // Construir mensaje para contexto
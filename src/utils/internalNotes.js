@@ -0,0 +1,46 @@
+/**
+ * UTILIDADES DE NOTAS INTERNAS - UTalk Backend
+ * Las notas internas viven en la subcolección de mensajes de la conversación
+ * pero solo las ve el equipo: nunca se envían a Twilio y se excluyen de
+ * exportaciones para el cliente y del contexto de la IA salvo que se pida.
+ */
+
+const INTERNAL_NOTE_TYPE = 'internal_note';
+const INTERNAL_DIRECTION = 'internal';
+
+// @correo@dominio.com o @usuario (parte local del correo)
+const MENTION_REGEX = /(^|[^a-zA-Z0-9._%+-])@([a-zA-Z0-9._%+-]+(?:@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})?)/g;
+
+function isInternalNote(message) {
+  if (!message) return false;
+  return message.type === INTERNAL_NOTE_TYPE ||
+    message.direction === INTERNAL_DIRECTION ||
+    message.metadata?.internal === true;
+}
+
+/**
+ * Quitar notas internas de una lista de mensajes (salvo includeInternalNotes)
+ */
+function excludeInternalNotes(messages = [], { includeInternalNotes = false } = {}) {
+  if (includeInternalNotes) return messages;
+  return messages.filter(message => !isInternalNote(message));
+}
+
+/**
+ * Tokens @mención del texto, en minúsculas y sin duplicados
+ */
+function extractMentionTokens(content) {
+  const tokens = new Set();
+  for (const match of String(content || '').matchAll(MENTION_REGEX)) {
+    tokens.add(match[2].replace(/[.]+$/, '').toLowerCase());
+  }
+  return Array.from(tokens);
+}
+
+module.exports = {
+  INTERNAL_NOTE_TYPE,
+  INTERNAL_DIRECTION,
+  isInternalNote,
+  excludeInternalNotes,
+  extractMentionTokens
+};
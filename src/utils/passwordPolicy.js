@@ -0,0 +1,62 @@
+/**
+ * Política de contraseñas para restablecimiento e invitaciones
+ *
+ * Devuelve la lista de reglas incumplidas (vacía si la contraseña es válida)
+ * para que el frontend pueda mostrarlas todas a la vez.
+ */
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'contraseña', 'contrasena', '12345678',
+  '123456789', '1234567890', 'qwerty123', 'qwertyuiop', 'iloveyou', 'admin123',
+  'bienvenido', 'bienvenido1', 'utalk123', 'welcome123', 'abc12345', '11111111'
+]);
+
+function getPolicy () {
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+    maxLength: 128
+  };
+}
+
+/**
+ * Validar contraseña contra la política
+ * @param {string} password
+ * @param {Object} context - { email, name } para impedir contraseñas derivadas del usuario
+ * @returns {string[]} errores
+ */
+function validatePassword (password, { email = '', name = '' } = {}) {
+  const { minLength, maxLength } = getPolicy();
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+  const errors = [];
+
+  if (value.length < minLength) {
+    errors.push(`Debe tener al menos ${minLength} caracteres`);
+  }
+  if (value.length > maxLength) {
+    errors.push(`No puede exceder ${maxLength} caracteres`);
+  }
+  if (!/[a-z]/.test(value) || !/[A-Z]/.test(value)) {
+    errors.push('Debe combinar mayúsculas y minúsculas');
+  }
+  if (!/\d/.test(value)) {
+    errors.push('Debe incluir al menos un número');
+  }
+  if (COMMON_PASSWORDS.has(lower)) {
+    errors.push('Es una contraseña demasiado común');
+  }
+
+  const personal = [String(email).split('@')[0], ...String(name).split(/\s+/)]
+    .map(part => part.toLowerCase())
+    .filter(part => part.length >= 4);
+  if (personal.some(part => lower.includes(part))) {
+    errors.push('No debe contener tu nombre ni tu correo');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getPolicy,
+  validatePassword
+};
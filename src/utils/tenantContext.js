@@ -0,0 +1,104 @@
+/**
+ * 🏢 CONTEXTO DE TENANT (WORKSPACE)
+ *
+ * El workspace activo se resuelve del JWT en authMiddleware y se propaga con
+ * AsyncLocalStorage durante toda la petición. Modelos y repositorios lo usan
+ * para filtrar consultas y sellar escrituras sin que cada controlador tenga
+ * que pasarlo explícitamente.
+ *
+ * Los body parsers que leen el stream de la petición después de authMiddleware
+ * (multer/busboy) ejecutan sus callbacks desde los eventos del socket, donde
+ * AsyncLocalStorage ya no tiene el contexto. Por eso authMiddleware liga los
+ * eventos de la petición al contexto del workspace (bindRequestToTenant).
+ *
+ * Fuera de una petición autenticada (webhooks, workers, scripts) no hay
+ * contexto: las consultas no se filtran y las escrituras usan el workspace
+ * indicado en los datos o el workspace por defecto.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Workspace/tenant por defecto (datos previos a multi-tenancy)
+ */
+function getDefaultTenant () {
+  return {
+    workspaceId: process.env.DEFAULT_WORKSPACE_ID || process.env.WORKSPACE_ID || 'default_workspace',
+    tenantId: process.env.DEFAULT_TENANT_ID || process.env.TENANT_ID || 'default_tenant'
+  };
+}
+
+/**
+ * Ejecutar una función dentro del contexto de un tenant
+ */
+function runWithTenant (tenant, fn) {
+  return storage.run({ workspaceId: tenant.workspaceId, tenantId: tenant.tenantId }, fn);
+}
+
+/**
+ * Tenant activo o null si no hay contexto
+ */
+function getTenant () {
+  return storage.getStore() || null;
+}
+
+/**
+ * Ejecutar los eventos del stream de la petición dentro del contexto actual
+ * Así el next() que llama multer al terminar de leer el multipart sigue
+ * corriendo en el workspace del JWT
+ */
+function bindRequestToTenant (req) {
+  if (typeof req.emit === 'function') {
+    req.emit = AsyncResource.bind(req.emit, 'TenantRequest', req);
+  }
+  return req;
+}
+
+/**
+ * Agregar el filtro de workspace a una consulta de Firestore
+ */
+function scopeQuery (query, tenant = getTenant()) {
+  return tenant ? query.where('workspaceId', '==', tenant.workspaceId) : query;
+}
+
+/**
+ * Sellar datos con el workspace activo
+ * Con contexto se impone el del JWT (ignora lo que venga en los datos)
+ */
+function withTenant (data, tenant = getTenant()) {
+  const target = tenant || {
+    workspaceId: data.workspaceId || getDefaultTenant().workspaceId,
+    tenantId: data.tenantId || getDefaultTenant().tenantId
+  };
+
+  return { ...data, workspaceId: target.workspaceId, tenantId: target.tenantId };
+}
+
+/**
+ * Verificar que un documento pertenece al workspace activo
+ * Los documentos sin workspaceId se consideran del workspace por defecto
+ */
+function belongsToTenant (data, tenant = getTenant()) {
+  if (!tenant) {
+    return true;
+  }
+  if (!data) {
+    return false;
+  }
+  return (data.workspaceId || getDefaultTenant().workspaceId) === tenant.workspaceId;
+}
+
+module.exports = {
+  getDefaultTenant,
+  runWithTenant,
+  getTenant,
+  bindRequestToTenant,
+  scopeQuery,
+  withTenant,
+  belongsToTenant
+};
@@ -0,0 +1,139 @@
+/**
+ * TOTP (RFC 6238) sobre HOTP (RFC 4226)
+ *
+ * Compatible con Google Authenticator, Authy, 1Password, etc.:
+ * HMAC-SHA1, códigos de 6 dígitos y pasos de 30 segundos.
+ * Implementado con crypto de Node para no depender de librerías externas.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Codificar bytes en base32 (sin relleno), formato que esperan las apps
+ */
+function base32Encode (buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodificar base32 (ignora espacios, guiones y relleno)
+ */
+function base32Decode (input) {
+  const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Secreto aleatorio de 160 bits en base32
+ */
+function generateSecret () {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Paso de tiempo actual (contador TOTP)
+ */
+function currentStep (now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Código HOTP para un contador
+ */
+function generateCode (secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, '0');
+}
+
+/**
+ * Verificar un código tolerando ±window pasos de desfase de reloj
+ * Devuelve el paso que coincidió (para impedir reutilizarlo) o null
+ */
+function verifyCode (secret, code, { window = 1, now = Date.now(), afterStep = -1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let candidate = step - window; candidate <= step + window; candidate++) {
+    if (candidate <= afterStep) continue;
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URI otpauth:// para el código QR de aprovisionamiento
+ */
+function buildOtpauthUrl ({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  DIGITS,
+  STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
@@ -0,0 +1,81 @@
+/**
+ * UTILIDAD DE FIRMA DE TWILIO - UTalk Backend
+ *
+ * Construye y compara X-Twilio-Signature siguiendo el algoritmo de Twilio:
+ * URL completa + parámetros ordenados por nombre (nombre+valor, sin separadores),
+ * HMAC-SHA1 con el Auth Token y codificado en base64.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Cadena firmada: URL + parámetros ordenados (nombre+valor, sin separadores)
+ */
+function buildSignedPayload(url, params = {}) {
+  return Object.keys(params || {})
+    .sort()
+    .reduce((acc, key) => {
+      const value = params[key];
+      if (value === undefined || value === null) return acc;
+
+      const values = Array.isArray(value) ? [...value].sort() : [value];
+      return acc + values.map(item => `${key}${item}`).join('');
+    }, url);
+}
+
+/**
+ * Firma esperada en base64
+ */
+function computeSignature(authToken, url, params = {}) {
+  return crypto
+    .createHmac('sha1', authToken)
+    .update(Buffer.from(buildSignedPayload(url, params), 'utf-8'))
+    .digest('base64');
+}
+
+/**
+ * Comparación en tiempo constante (false si difieren en longitud)
+ */
+function safeCompare(a, b) {
+  const bufferA = Buffer.from(String(a || ''));
+  const bufferB = Buffer.from(String(b || ''));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Variantes de URL con y sin puerto por defecto (Twilio puede firmar cualquiera)
+ */
+function getUrlVariants(url) {
+  try {
+    const parsed = new URL(url);
+    const defaultPort = parsed.protocol === 'https:' ? '443' : '80';
+
+    if (parsed.port) {
+      if (parsed.port !== defaultPort) return [url];
+      return [url, `${parsed.protocol}//${parsed.hostname}${parsed.pathname}${parsed.search}`];
+    }
+
+    return [url, `${parsed.protocol}//${parsed.hostname}:${defaultPort}${parsed.pathname}${parsed.search}`];
+  } catch (error) {
+    return [url];
+  }
+}
+
+/**
+ * Verificar firma contra la URL (y sus variantes de puerto) y los parámetros
+ */
+function isValidSignature(authToken, signature, url, params = {}) {
+  if (!authToken || !signature) return false;
+
+  return getUrlVariants(url).some(candidate =>
+    safeCompare(computeSignature(authToken, candidate, params), signature)
+  );
+}
+
+module.exports = {
+  buildSignedPayload,
+  computeSignature,
+  safeCompare,
+  getUrlVariants,
+  isValidSignature
+};
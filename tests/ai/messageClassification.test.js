@@ -0,0 +1,104 @@
+/**
+ * 🧪 TESTS DE CLASIFICACIÓN DE MENSAJES
+ *
+ * Verifica el clasificador por léxico, el uso del proveedor IA con respaldo
+ * local y el resumen de sentimiento que detecta tendencias negativas.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockGenerateWithProvider = jest.fn();
+
+jest.mock('../../src/ai/vendors', () => ({
+  generateWithProvider: (...args) => mockGenerateWithProvider(...args)
+}));
+
+const lexiconClassifier = require('../../src/ai/classifiers/lexicon');
+const { sentimentAnalysisService } = require('../../src/services/SentimentAnalysisService');
+
+describe('🧭 Clasificación de mensajes entrantes', () => {
+  const originalClassifier = process.env.MESSAGE_CLASSIFIER;
+
+  beforeEach(() => {
+    mockGenerateWithProvider.mockReset();
+  });
+
+  afterAll(() => {
+    process.env.MESSAGE_CLASSIFIER = originalClassifier;
+  });
+
+  describe('léxico local', () => {
+    test('DEBE detectar queja de cancelación urgente con enojo', async () => {
+      const result = await lexiconClassifier.classify('ESTO ES UNA ESTAFA, quiero mi reembolso YA MISMO');
+
+      expect(result.sentiment.label).toBe('negative');
+      expect(result.emotion.label).toBe('anger');
+      expect(result.intent.label).toBe('cancellation');
+      expect(result.urgency.level).toBe('high');
+      expect(result.classifier).toBe('lexicon');
+    });
+
+    test('DEBE invertir la polaridad con negación e identificar intención de compra', async () => {
+      const negated = await lexiconClassifier.classify('No tengo ningún problema, todo bien');
+      const purchase = await lexiconClassifier.classify('¿Cuánto cuesta el producto?');
+
+      expect(negated.sentiment.label).toBe('positive');
+      expect(purchase.intent.label).toBe('purchase');
+      expect(purchase.sentiment.label).toBe('neutral');
+    });
+  });
+
+  describe('classifyMessage', () => {
+    test('DEBE usar el proveedor IA cuando está configurado', async () => {
+      process.env.MESSAGE_CLASSIFIER = 'ai';
+      mockGenerateWithProvider.mockResolvedValue({
+        ok: true,
+        provider: 'openai',
+        text: '{"sentiment":{"label":"negative","score":-0.8},"emotion":{"label":"anger"},"intent":{"label":"complaint","confidence":0.9},"urgency":{"score":0.7}}'
+      });
+
+      const result = await sentimentAnalysisService.classifyMessage('El pedido llegó roto', { workspaceId: 'ws1' });
+
+      expect(mockGenerateWithProvider).toHaveBeenCalled();
+      expect(result).toMatchObject({
+        classifier: 'ai:openai',
+        sentiment: { label: 'negative', score: -0.8 },
+        intent: { label: 'complaint' },
+        urgency: { level: 'high' }
+      });
+    });
+
+    test('DEBE usar el léxico local si la respuesta IA no es válida', async () => {
+      process.env.MESSAGE_CLASSIFIER = 'ai';
+      mockGenerateWithProvider.mockResolvedValue({ ok: true, text: 'Gracias por tu mensaje.' });
+
+      const result = await sentimentAnalysisService.classifyMessage('Excelente atención, gracias');
+
+      expect(result.classifier).toBe('lexicon');
+      expect(result.sentiment.label).toBe('positive');
+    });
+  });
+
+  describe('buildSummary', () => {
+    test('DEBE marcar tendencia negativa tras la racha configurada', async () => {
+      process.env.MESSAGE_CLASSIFIER = 'lexicon';
+      const negative = await sentimentAnalysisService.classifyMessage('Pésimo servicio, estoy muy molesto');
+
+      let summary = null;
+      for (let i = 0; i < 3; i++) {
+        summary = sentimentAnalysisService.buildSummary(summary, negative, `MSG${i}`);
+      }
+
+      expect(summary.negativeStreak).toBe(3);
+      expect(summary.negativeTrend).toBe(true);
+      expect(summary.counts.negative).toBe(3);
+      expect(summary.intents.complaint).toBe(3);
+
+      const positive = await sentimentAnalysisService.classifyMessage('Muchas gracias, excelente');
+      const recovered = sentimentAnalysisService.buildSummary(summary, positive, 'MSG3');
+      expect(recovered.negativeStreak).toBe(0);
+      expect(recovered.lastSentiment).toBe('positive');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * 🧪 TESTS DE PROVEEDORES ANTHROPIC Y GEMINI
+ *
+ * Verifica generación, conteo de tokens, integración con el
+ * circuit breaker por workspace, las protecciones compartidas por
+ * proveedor y la cadena de fallback.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockAnthropicCreate = jest.fn();
+const mockGeminiGenerate = jest.fn();
+
+jest.mock('@anthropic-ai/sdk', () => jest.fn().mockImplementation(() => ({
+  messages: { create: mockAnthropicCreate }
+})));
+
+jest.mock('@google/generative-ai', () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: jest.fn(() => ({ generateContent: mockGeminiGenerate }))
+  }))
+}));
+
+process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+process.env.GEMINI_API_KEY = 'test-gemini-key';
+
+const anthropic = require('../../src/ai/vendors/anthropic');
+const gemini = require('../../src/ai/vendors/gemini');
+const vendors = require('../../src/ai/vendors');
+const { CircuitBreaker, RateLimiter } = require('../../src/ai/vendors/providerGuards');
+const { forceBreakerState, getBreakerStatus } = require('../../src/services/AICircuitBreaker');
+
+describe('🤖 Proveedores Anthropic y Gemini', () => {
+  beforeEach(() => {
+    mockAnthropicCreate.mockReset();
+    mockGeminiGenerate.mockReset();
+  });
+
+  describe('Anthropic', () => {
+    test('DEBE generar texto y contar tokens', async () => {
+      mockAnthropicCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Con gusto te ayudo.' }],
+        usage: { input_tokens: 42, output_tokens: 7 }
+      });
+
+      const result = await anthropic.generateWithAnthropic({
+        prompt: 'Hola',
+        model: 'claude-3-sonnet',
+        workspaceId: 'ws_anthropic',
+        conversationId: 'conv_1'
+      });
+
+      expect(result.ok).toBe(true);
+      expect(result.text).toBe('Con gusto te ayudo.');
+      expect(result.usage).toMatchObject({ in: 42, out: 7, model: 'claude-3-sonnet' });
+      expect(mockAnthropicCreate.mock.calls[0][0].model).toBe('claude-3-sonnet-20240229');
+      // El breaker del workspace lo alimenta AIWebhookIntegration (una vez por llamada)
+      expect(getBreakerStatus('ws_anthropic').successCount).toBe(0);
+      expect(anthropic.circuitBreaker.getStats().successes).toBeGreaterThan(0);
+    });
+
+    test('DEBE respetar el circuit breaker del workspace', async () => {
+      await forceBreakerState('ws_open', true, 'test');
+
+      const result = await anthropic.generateWithAnthropic({
+        prompt: 'Hola',
+        workspaceId: 'ws_open',
+        conversationId: 'conv_2'
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toBe('CIRCUIT_BREAKER_OPEN');
+      expect(mockAnthropicCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Gemini', () => {
+    test('DEBE generar texto y contar tokens', async () => {
+      mockGeminiGenerate.mockResolvedValue({
+        response: {
+          text: () => 'Claro, ¿me compartes tu número de pedido?',
+          usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 11 }
+        }
+      });
+
+      const result = await gemini.generateWithGemini({
+        prompt: 'Hola',
+        model: 'gpt-4o-mini', // Modelo de otro proveedor → modelo por defecto
+        workspaceId: 'ws_gemini',
+        conversationId: 'conv_3'
+      });
+
+      expect(result.ok).toBe(true);
+      expect(result.usage).toMatchObject({ in: 30, out: 11, model: 'gemini-1.5-flash' });
+    });
+  });
+
+  describe('Protecciones compartidas', () => {
+    test('DEBE usar las mismas clases con la configuración de cada proveedor', () => {
+      expect(anthropic.circuitBreaker).toBeInstanceOf(CircuitBreaker);
+      expect(gemini.rateLimiter).toBeInstanceOf(RateLimiter);
+
+      const limiter = new RateLimiter({ rateLimitPerMinute: 2 });
+      expect([1, 2, 3].map(() => limiter.canMakeRequest('conv_limit'))).toEqual([true, true, false]);
+      expect(limiter.getStats('conv_limit')).toEqual({ count: 2, remaining: 0 });
+    });
+
+    test('DEBE abrir el breaker del proveedor al superar el umbral de errores', () => {
+      const breaker = new CircuitBreaker('Prueba', { circuitBreakerThreshold: 0.5, circuitBreakerWindow: 60000 });
+
+      breaker.recordSuccess();
+      breaker.recordFailure();
+      expect(breaker.isCircuitOpen()).toBe(false);
+
+      breaker.recordFailure();
+      expect(breaker.isCircuitOpen()).toBe(true);
+    });
+  });
+
+  describe('Cadena de fallback', () => {
+    test('DEBE incluir los proveedores habilitados', () => {
+      expect(vendors.isProviderAvailable('anthropic')).toBeTruthy();
+      expect(vendors.getFallbackChain('gemini')[0]).toBe('gemini');
+      expect(vendors.getFallbackChain('gemini')).toContain('anthropic');
+    });
+
+    test('DEBE usar el siguiente proveedor cuando el solicitado falla', async () => {
+      mockAnthropicCreate.mockRejectedValue(new Error('overloaded'));
+      mockGeminiGenerate.mockResolvedValue({
+        response: {
+          text: () => 'Respuesta de respaldo',
+          usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3 }
+        }
+      });
+
+      const result = await vendors.generateWithProvider('anthropic', {
+        prompt: 'Hola',
+        workspaceId: 'ws_fallback',
+        conversationId: 'conv_4'
+      });
+
+      expect(result.ok).toBe(true);
+      expect(result.provider).toBe('gemini');
+      expect(result.fallbackFrom).toBe('anthropic');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * 🧪 TESTS DEL VECTOR STORE RAG
+ *
+ * Verifica embeddings locales, similitud coseno, filtros de
+ * metadata y construcción de chunks.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { embedText, buildChunks, EMBEDDING_CONFIG } = require('../../src/ai/rag/embeddingService');
+const { cosineSimilarity, matchesFilters, VECTOR_STORE_CONFIG } = require('../../src/ai/rag/vectorStore');
+
+describe('🗄️ Vector Store RAG', () => {
+  describe('Embeddings locales', () => {
+    test('DEBE generar vectores deterministas normalizados', () => {
+      const a = embedText('Precio del envío a domicilio');
+      const b = embedText('Precio del envío a domicilio');
+
+      expect(a).toHaveLength(EMBEDDING_CONFIG.dimensions);
+      expect(a).toEqual(b);
+      expect(cosineSimilarity(a, b)).toBeCloseTo(1, 4);
+    });
+
+    test('DEBE ignorar acentos y mayúsculas', () => {
+      expect(embedText('ENVÍO')).toEqual(embedText('envio'));
+    });
+
+    test('DEBE puntuar textos relacionados por encima del umbral mínimo', () => {
+      const doc = embedText('Política de precios y costo de envío a domicilio');
+      const related = embedText('¿cuál es el costo de envío?');
+      const unrelated = embedText('horario de atención del sábado');
+
+      expect(cosineSimilarity(doc, related)).toBeGreaterThanOrEqual(VECTOR_STORE_CONFIG.minScore);
+      expect(cosineSimilarity(doc, unrelated)).toBeLessThan(VECTOR_STORE_CONFIG.minScore);
+    });
+  });
+
+  describe('Filtros de metadata', () => {
+    const entry = {
+      docId: 'doc_1',
+      tags: ['ventas', 'precios'],
+      metadata: { source: 'upload', lang: 'es' }
+    };
+
+    test('DEBE filtrar por tags, docIds y metadata', () => {
+      expect(matchesFilters(entry, {})).toBe(true);
+      expect(matchesFilters(entry, { tags: ['precios'] })).toBe(true);
+      expect(matchesFilters(entry, { tags: ['soporte'] })).toBe(false);
+      expect(matchesFilters(entry, { docIds: ['doc_2'] })).toBe(false);
+      expect(matchesFilters(entry, { metadata: { lang: 'es' } })).toBe(true);
+      expect(matchesFilters(entry, { metadata: { lang: 'en' } })).toBe(false);
+    });
+  });
+
+  describe('Chunks', () => {
+    test('DEBE dividir el texto con solapamiento', async () => {
+      const text = 'palabra '.repeat(300);
+      const { chunks } = await buildChunks(
+        { id: 'doc_1', workspaceId: 'ws_1', title: 'Manual', tags: [] },
+        { text, chunkSize: 800, overlap: 100 }
+      );
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0].id).toBe('doc_1#chunk_00');
+      expect(chunks[1].start).toBeLessThan(chunks[0].end);
+    });
+
+    test('DEBE usar el título cuando no hay texto', async () => {
+      const { chunks } = await buildChunks({ id: 'doc_2', workspaceId: 'ws_1', title: 'Preguntas frecuentes' });
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].content).toBe('Preguntas frecuentes');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * 🧪 TESTS DE SEGMENTOS DE AUDIENCIA
+ *
+ * Verifica la evaluación de reglas sobre contactos y conversaciones,
+ * y la exclusión de contactos dados de baja al resolver destinatarios.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockConversationDocs = [];
+const mockQueries = [];
+
+jest.mock('../../src/config/firebase', () => {
+  const actual = jest.requireActual('../../src/config/firebase');
+  const matches = (data, [field, op, value]) => (op === 'in' ? value.includes(data[field]) : data[field] === value);
+  const query = (source, filters = []) => ({
+    where: (field, op, value) => query(source, [...filters, [field, op, value]]),
+    get: async () => {
+      mockQueries.push({ source, filters });
+      const docs = mockConversationDocs
+        .filter(data => filters.every(filter => matches(data, filter)))
+        .map((data, index) => ({ id: `conv_${index}`, data: () => data }));
+      return { docs, empty: docs.length === 0 };
+    }
+  });
+  const firestore = {
+    collection: (name) => query(`collection:${name}`),
+    collectionGroup: (name) => query(`collectionGroup:${name}`)
+  };
+  return { ...actual, firestore };
+});
+
+const AudienceSegmentService = require('../../src/services/AudienceSegmentService');
+const Contact = require('../../src/models/Contact');
+const { runWithTenant } = require('../../src/utils/tenantContext');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-15T12:00:00Z').getTime();
+
+const buildContact = (overrides = {}) => new Contact({
+  id: 'contact_1',
+  name: 'Ana',
+  phone: 'whatsapp:+5215512345678',
+  userId: 'user_1',
+  tags: ['VIP', 'cdmx'],
+  customFields: { plan: 'Premium', compras: 5 },
+  totalMessages: 12,
+  lastContactAt: new Date(NOW - 3 * DAY_MS),
+  ...overrides
+});
+
+describe('🎯 Segmentos de audiencia', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchesContact', () => {
+    test('DEBE evaluar tags any/all/none sin distinguir mayúsculas', () => {
+      const contact = buildContact();
+
+      expect(AudienceSegmentService.matchesContact(contact, { tags: { any: ['vip', 'gdl'] } }, null, NOW)).toBe(true);
+      expect(AudienceSegmentService.matchesContact(contact, { tags: { all: ['vip', 'gdl'] } }, null, NOW)).toBe(false);
+      expect(AudienceSegmentService.matchesContact(contact, { tags: { none: ['cdmx'] } }, null, NOW)).toBe(false);
+    });
+
+    test('DEBE evaluar customFields, último contacto y total de mensajes', () => {
+      const contact = buildContact();
+
+      expect(AudienceSegmentService.matchesContact(contact, {
+        customFields: [
+          { field: 'plan', operator: 'eq', value: 'premium' },
+          { field: 'compras', operator: 'gte', value: 5 },
+          { field: 'empresa', operator: 'not_exists' }
+        ],
+        lastContactAt: { withinDays: 7 },
+        totalMessages: { min: 10, max: 20 }
+      }, null, NOW)).toBe(true);
+
+      expect(AudienceSegmentService.matchesContact(contact, { lastContactAt: { olderThanDays: 30 } }, null, NOW)).toBe(false);
+      expect(AudienceSegmentService.matchesContact(contact, { totalMessages: { min: 50 } }, null, NOW)).toBe(false);
+    });
+
+    test('DEBE cruzar estado y prioridad de conversaciones por teléfono', () => {
+      const contact = buildContact();
+      const conversations = new Map([
+        ['+5215512345678', [{ status: 'open', priority: 'high' }]]
+      ]);
+
+      expect(AudienceSegmentService.matchesContact(contact, {
+        conversation: { status: ['open'], priority: ['high', 'urgent'] }
+      }, conversations, NOW)).toBe(true);
+
+      expect(AudienceSegmentService.matchesContact(contact, {
+        conversation: { status: ['resolved'] }
+      }, conversations, NOW)).toBe(false);
+    });
+  });
+
+  describe('loadConversationIndex', () => {
+    beforeEach(() => {
+      mockConversationDocs.length = 0;
+      mockQueries.length = 0;
+    });
+
+    test('DEBE buscar conversaciones anidadas en los contactos del workspace', async () => {
+      mockConversationDocs.push(
+        { customerPhone: 'whatsapp:+5215512345678', status: 'open', priority: 'high', workspaceId: 'ws_a' },
+        { customerPhone: '+5215587654321', status: 'closed', priority: 'normal', workspaceId: 'ws_a' },
+        { customerPhone: '+5215500000000', status: 'open', priority: 'high', workspaceId: 'ws_b' }
+      );
+
+      const index = await runWithTenant({ workspaceId: 'ws_a', tenantId: 'tenant_1' }, () =>
+        AudienceSegmentService.loadConversationIndex({ status: ['open', 'pending'] }));
+
+      expect(mockQueries).toEqual([{
+        source: 'collectionGroup:conversations',
+        filters: [['workspaceId', '==', 'ws_a'], ['status', 'in', ['open', 'pending']]]
+      }]);
+      expect([...index.entries()]).toEqual([
+        ['+5215512345678', [{ status: 'open', priority: 'high' }]]
+      ]);
+    });
+  });
+
+  describe('Resolución de destinatarios', () => {
+    test('DEBE excluir contactos dados de baja al resolver reglas', async () => {
+      jest.spyOn(AudienceSegmentService, 'loadCandidateContacts').mockResolvedValue([
+        buildContact({ id: 'c1' }),
+        buildContact({ id: 'c2', optedOut: true }),
+        buildContact({ id: 'c3', tags: ['otro'] })
+      ]);
+
+      const preview = await AudienceSegmentService.preview({ tags: { any: ['vip'] } });
+
+      expect(preview.matched).toBe(2);
+      expect(preview.count).toBe(1);
+      expect(preview.excludedOptedOut).toBe(1);
+      expect(preview.sample.map(contact => contact.id)).toEqual(['c1']);
+    });
+
+    test('DEBE excluir bajas también en campañas con lista explícita', async () => {
+      jest.spyOn(Contact, 'getById').mockImplementation(async id => {
+        if (id === 'missing') return null;
+        return buildContact({ id, optedOut: id === 'c2' });
+      });
+
+      const result = await AudienceSegmentService.resolveCampaignRecipients({
+        contacts: ['c1', 'c2', 'missing']
+      });
+
+      expect(result.source).toBe('contacts');
+      expect(result.contacts.map(contact => contact.id)).toEqual(['c1']);
+      expect(result.excludedOptedOut).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * 🧪 TESTS DE DEDUPLICACIÓN Y FUSIÓN DE CONTACTOS
+ *
+ * Verifica la detección de duplicados (teléfono con o sin 521, correo,
+ * nombres parecidos), la unión de tags/customFields en el superviviente,
+ * el registro de la fusión, que deshacerla revierta solo lo aportado y que
+ * la búsqueda de duplicados no salga del workspace.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+let mockCollection = null;
+
+jest.mock('../../src/config/firebase', () => {
+  const actual = jest.requireActual('../../src/config/firebase');
+  return { ...actual, firestore: { collection: (name) => mockCollection(name) } };
+});
+
+const ContactMergeService = require('../../src/services/ContactMergeService');
+const Contact = require('../../src/models/Contact');
+const ContactMerge = require('../../src/models/ContactMerge');
+const { phoneKey, phoneVariants, nameSimilarity, findDuplicateGroups } = require('../../src/utils/contactDedupe');
+const { runWithTenant } = require('../../src/utils/tenantContext');
+
+const WS_A = { workspaceId: 'ws_a', tenantId: 'tenant_1' };
+
+const user = { email: 'admin@empresa.com', role: 'admin' };
+
+// Firestore en memoria: aplica filtros, orden por ID, límite y cursor
+const mockFirestore = (docs) => {
+  const queries = [];
+  const matches = (data, [field, op, value]) => {
+    switch (op) {
+      case 'in': return value.includes(data[field]);
+      case 'array-contains-any': return (data[field] || []).some(item => value.includes(item));
+      case '>=': return data[field] >= value;
+      case '<': return data[field] < value;
+      default: return data[field] === value;
+    }
+  };
+  const query = (filters = [], page = {}) => ({
+    where: (field, op, value) => query([...filters, [field, op, value]], page),
+    orderBy: () => query(filters, page),
+    limit: (limit) => query(filters, { ...page, limit }),
+    startAfter: (doc) => query(filters, { ...page, after: doc.id }),
+    get: async () => {
+      queries.push(filters);
+      const matched = docs
+        .filter(data => filters.every(filter => matches(data, filter)))
+        .filter(data => !page.after || data.id > page.after)
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .slice(0, page.limit || Infinity);
+      return { docs: matched.map(data => ({ id: data.id, data: () => data })) };
+    }
+  });
+
+  mockCollection = () => query();
+  return queries;
+};
+
+const buildContacts = () => ({
+  survivor: new Contact({
+    id: 'c_survivor',
+    name: 'María Pérez',
+    phone: 'whatsapp:+5215512345678',
+    tags: ['vip'],
+    customFields: { ciudad: 'CDMX' },
+    totalMessages: 10
+  }),
+  duplicate: new Contact({
+    id: 'c_duplicate',
+    name: '+525512345678',
+    phone: 'whatsapp:+525512345678',
+    email: 'maria@correo.com',
+    tags: ['vip', 'mayoreo'],
+    customFields: { ciudad: 'Puebla', rfc: 'PEMM800101' },
+    totalMessages: 4
+  })
+});
+
+describe('🔗 Deduplicación y fusión de contactos', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE tratar como el mismo teléfono las variantes con y sin 521', () => {
+    expect(phoneKey('whatsapp:+5215512345678')).toBe('525512345678');
+    expect(phoneKey('+52 55 1234 5678')).toBe('525512345678');
+    expect(phoneKey('5512345678')).toBe('525512345678');
+    expect(phoneKey('+14155550123')).toBe('14155550123');
+    expect(phoneVariants('+52 55 1234 5678')).toEqual([
+      'whatsapp:+525512345678', '+525512345678', 'whatsapp:+5215512345678', '+5215512345678'
+    ]);
+  });
+
+  test('DEBE buscar duplicados de un contacto solo en su workspace', async () => {
+    const contact = new Contact({ id: 'a1', name: 'María Pérez', phone: 'whatsapp:+5215512345678', ...WS_A });
+    jest.spyOn(Contact, 'getById').mockResolvedValue(contact);
+    const queries = mockFirestore([
+      { id: 'a1', name: 'María Pérez', phone: 'whatsapp:+5215512345678', ...WS_A },
+      { id: 'a2', name: '+525512345678', phone: 'whatsapp:+525512345678', ...WS_A },
+      { id: 'a3', name: 'María Peres', phone: 'whatsapp:+525500000001', ...WS_A },
+      { id: 'a4', name: 'Pedro', phone: 'whatsapp:+525500000002', alternatePhones: ['+5215512345678'], ...WS_A },
+      { id: 'a5', name: 'María Pérez', phone: 'whatsapp:+525500000003', mergedInto: 'a1', ...WS_A },
+      { id: 'b1', name: 'María Pérez', phone: 'whatsapp:+5215512345678', workspaceId: 'ws_b', tenantId: 'tenant_1' }
+    ]);
+
+    const duplicates = await runWithTenant(WS_A, () => ContactMergeService.findDuplicatesFor('a1'));
+
+    expect(duplicates.map(duplicate => duplicate.contact.id).sort()).toEqual(['a2', 'a3', 'a4']);
+    expect(duplicates.find(duplicate => duplicate.contact.id === 'a3').reasons[0].type).toBe('name');
+    expect(queries.every(filters => filters.some(([field, , value]) => field === 'workspaceId' && value === 'ws_a'))).toBe(true);
+  });
+
+  test('DEBE recorrer por páginas los contactos del workspace', async () => {
+    const docs = Array.from({ length: 501 }, (_, index) => ({
+      id: `c${String(index).padStart(3, '0')}`,
+      name: `Contacto ${index}`,
+      phone: `whatsapp:+5255${String(index).padStart(8, '0')}`,
+      ...WS_A
+    }));
+    docs.push({ id: 'z_otro', name: 'Contacto 1', phone: 'whatsapp:+525500000001', workspaceId: 'ws_b' });
+    const queries = mockFirestore(docs);
+
+    const contacts = await runWithTenant(WS_A, () => ContactMergeService.loadActiveContacts());
+
+    expect(contacts).toHaveLength(501);
+    expect(queries).toHaveLength(2);
+  });
+
+  test('DEBE agrupar duplicados por teléfono, correo y nombre parecido', () => {
+    const groups = findDuplicateGroups([
+      { id: 'a', name: 'María Pérez', phone: 'whatsapp:+5215512345678' },
+      { id: 'b', name: '+525512345678', phone: 'whatsapp:+525512345678' },
+      { id: 'c', name: 'Juan Gómez', phone: '+525500000001', email: 'Juan@Correo.com' },
+      { id: 'd', name: 'Gómez Juan', phone: '+525500000002', email: 'juan@correo.com' },
+      { id: 'e', name: 'Jose Luis Hernandez', phone: '+525500000003' },
+      { id: 'f', name: 'José Luis Hernández L.', phone: '+525500000004' },
+      { id: 'g', name: 'Pedro Ramírez', phone: '+525500000005' }
+    ]);
+
+    expect(groups.map(group => group.contactIds.sort())).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+    expect(groups[0].reasons).toEqual([{ type: 'phone', value: '525512345678', contactIds: ['a', 'b'] }]);
+    expect(groups[1].reasons.map(reason => reason.type)).toEqual(['email', 'name']);
+    expect(nameSimilarity('+525512345678', '+525512345678')).toBe(0);
+  });
+
+  test('DEBE unir tags y customFields faltantes registrando los conflictos', () => {
+    const { survivor, duplicate } = buildContacts();
+
+    const { updates, changes, conflicts } = ContactMergeService.planSurvivorChanges(survivor, [duplicate], {
+      movedConversationIds: ['conv_1']
+    });
+
+    expect(updates).toEqual({
+      tags: ['vip', 'mayoreo'],
+      customFields: { ciudad: 'CDMX', rfc: 'PEMM800101' },
+      email: 'maria@correo.com',
+      conversationIds: ['conv_1'],
+      totalMessages: 14
+    });
+    expect(changes).toMatchObject({ addedTags: ['mayoreo'], addedCustomFields: ['rfc'], addedPhones: [] });
+    expect(conflicts).toEqual([{ field: 'customFields.ciudad', kept: 'CDMX', discarded: 'Puebla', contactId: 'c_duplicate' }]);
+  });
+
+  test('DEBE mover las conversaciones, desactivar al fusionado y registrar la fusión', async () => {
+    const { survivor, duplicate } = buildContacts();
+    jest.spyOn(Contact, 'getById').mockImplementation(async (id) => ({ c_survivor: survivor, c_duplicate: duplicate })[id] || null);
+    const contactUpdate = jest.spyOn(Contact, 'update').mockResolvedValue(null);
+    jest.spyOn(ContactMerge, 'create').mockImplementation(async (data) => new ContactMerge({ id: 'merge_1', ...data }));
+    jest.spyOn(ContactMerge.prototype, 'recordConversations').mockImplementation(async function (conversations) {
+      this.conversations = conversations;
+    });
+    jest.spyOn(ContactMerge.prototype, 'update').mockImplementation(async function (updates) {
+      Object.assign(this, updates);
+    });
+    jest.spyOn(ContactMergeService, 'listConversationIds').mockResolvedValue(['conv_1']);
+    const moveConversation = jest.spyOn(ContactMergeService, 'moveConversation')
+      .mockResolvedValue({ conversationId: 'conv_1', fromContactId: 'c_duplicate', mode: 'moved', messageCount: 3 });
+
+    const record = await ContactMergeService.merge({ survivorId: 'c_survivor', mergedIds: ['c_duplicate'], user });
+
+    expect(moveConversation).toHaveBeenCalledWith({ fromContactId: 'c_duplicate', toContactId: 'c_survivor', conversationId: 'conv_1' });
+    expect(contactUpdate).toHaveBeenCalledWith('c_duplicate', expect.objectContaining({
+      isActive: false,
+      mergedInto: 'c_survivor',
+      mergeId: 'merge_1'
+    }));
+    expect(record).toMatchObject({ status: 'completed', mergedBy: 'admin@empresa.com' });
+    expect(record.conversations).toHaveLength(1);
+    expect(record.survivorChanges.addedTags).toEqual(['mayoreo']);
+  });
+
+  test('NO DEBE fusionar un contacto consigo mismo ni uno ya fusionado', async () => {
+    const { survivor, duplicate } = buildContacts();
+    duplicate.mergedInto = 'c_otro';
+    jest.spyOn(Contact, 'getById').mockImplementation(async (id) => ({ c_survivor: survivor, c_duplicate: duplicate })[id] || null);
+    const create = jest.spyOn(ContactMerge, 'create');
+
+    await expect(ContactMergeService.merge({ survivorId: 'c_survivor', mergedIds: ['c_survivor'], user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(ContactMergeService.merge({ survivorId: 'c_survivor', mergedIds: ['c_duplicate'], user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('DEBE deshacer la fusión devolviendo conversaciones y revirtiendo solo lo aportado', async () => {
+    const { survivor, duplicate } = buildContacts();
+    survivor.tags = ['vip', 'mayoreo', 'nuevo'];
+    survivor.customFields = { ciudad: 'CDMX', rfc: 'PEMM800101' };
+    survivor.email = 'maria@correo.com';
+    duplicate.isActive = false;
+    duplicate.mergedInto = 'c_survivor';
+
+    const record = new ContactMerge({
+      id: 'merge_1',
+      survivorId: 'c_survivor',
+      mergedIds: ['c_duplicate'],
+      status: 'completed',
+      mergedContacts: [{ id: 'c_duplicate', isActive: true }],
+      conversations: [
+        { conversationId: 'conv_1', fromContactId: 'c_duplicate', mode: 'moved' },
+        { conversationId: 'conv_2', fromContactId: 'c_duplicate', mode: 'combined', messageIds: ['m1'] }
+      ],
+      survivorChanges: { addedTags: ['mayoreo'], addedCustomFields: ['rfc'], emailSet: 'maria@correo.com', addedTotalMessages: 4 }
+    });
+    survivor.totalMessages = 14;
+    jest.spyOn(ContactMerge, 'getById').mockResolvedValue(record);
+    jest.spyOn(ContactMerge.prototype, 'update').mockImplementation(async function (updates) {
+      Object.assign(this, updates);
+    });
+    jest.spyOn(Contact, 'getById').mockImplementation(async (id) => ({ c_survivor: survivor, c_duplicate: duplicate })[id] || null);
+    const contactUpdate = jest.spyOn(Contact, 'update').mockResolvedValue(null);
+    const restoreConversation = jest.spyOn(ContactMergeService, 'restoreConversation').mockResolvedValue();
+    const refUpdate = jest.fn();
+    jest.spyOn(ContactMergeService, 'contactRef').mockReturnValue({ update: refUpdate });
+
+    const undone = await ContactMergeService.undo('merge_1', user);
+
+    expect(restoreConversation.mock.calls.map(([move]) => move.conversationId)).toEqual(['conv_2', 'conv_1']);
+    expect(contactUpdate).toHaveBeenCalledWith('c_survivor', {
+      tags: ['vip', 'nuevo'],
+      customFields: { ciudad: 'CDMX' },
+      email: null,
+      totalMessages: 10
+    });
+    expect(refUpdate).toHaveBeenCalledWith(expect.objectContaining({ isActive: true }));
+    expect(undone).toMatchObject({ status: 'undone', undoneBy: 'admin@empresa.com' });
+
+    await expect(ContactMergeService.undo('merge_1', user)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * 🧪 TESTS DE ASIGNACIÓN AUTOMÁTICA DE AGENTES
+ *
+ * Verifica el orden de candidatos por estrategia (empates de carga,
+ * agentes a capacidad, skills) y que selectAgent descarte agentes
+ * desconectados o de otro workspace y cuente solo la carga del workspace.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockUsers = [];
+const mockOpenCounts = {};
+const mockOnlineEmails = [];
+
+jest.mock('../../src/config/firebase', () => {
+  const matches = (data, [field, op, value]) =>
+    op === 'in' ? value.includes(data[field]) : data[field] === value;
+
+  // Consulta en memoria que aplica todos los filtros where
+  const query = (docs, filters = []) => ({
+    where: (field, op, value) => query(docs, [...filters, [field, op, value]]),
+    get: async () => ({
+      forEach: (callback) => docs()
+        .filter(data => filters.every(filter => matches(data, filter)))
+        .forEach(data => callback({ data: () => data }))
+    }),
+    count: () => ({
+      get: async () => ({
+        data: () => ({ count: docs().filter(data => filters.every(filter => matches(data, filter))).length })
+      })
+    })
+  });
+
+  // mockOpenCounts: { workspaceId: { email: abiertas } } → conversaciones abiertas
+  const openConversations = () => Object.entries(mockOpenCounts).flatMap(([workspaceId, counts]) =>
+    Object.entries(counts).flatMap(([email, count]) =>
+      Array.from({ length: count }, () => ({ workspaceId, primaryAgent: email, status: 'open' }))));
+
+  return {
+    firestore: {
+      collection: (name) => ({
+        ...query(() => (name === 'users' ? mockUsers : [])),
+        doc: () => ({
+          get: async () => ({ exists: false })
+        })
+      }),
+      collectionGroup: () => query(openConversations)
+    }
+  };
+});
+
+jest.mock('../../src/socket', () => ({
+  getSocketManager: () => ({
+    getAvailableUserEmails: () => mockOnlineEmails
+  })
+}));
+
+const { AgentAssignmentService } = require('../../src/services/AgentAssignmentService');
+const { ASSIGNMENT_STRATEGIES, AGENT_ASSIGNMENT_CONFIG } = require('../../src/config/agentAssignmentConfig');
+
+const candidate = (email, overrides = {}) => ({
+  email,
+  skills: [],
+  openCount: 0,
+  capacity: 5,
+  lastAssignedAt: null,
+  ...overrides
+});
+
+const emailsOf = (ranked) => ranked.map(agent => agent.email);
+
+describe('🎯 Asignación automática de agentes', () => {
+  describe('rankCandidates', () => {
+    test('DEBE priorizar al agente con menos conversaciones abiertas', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('ana@empresa.com', { openCount: 3 }),
+        candidate('beto@empresa.com', { openCount: 1 }),
+        candidate('carla@empresa.com', { openCount: 2 })
+      ], ASSIGNMENT_STRATEGIES.LEAST_OPEN);
+
+      expect(emailsOf(ranked)).toEqual(['beto@empresa.com', 'carla@empresa.com', 'ana@empresa.com']);
+    });
+
+    test('DEBE desempatar la misma carga por la asignación más antigua', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('ana@empresa.com', { openCount: 2, lastAssignedAt: '2026-10-19T10:00:00Z' }),
+        candidate('beto@empresa.com', { openCount: 2, lastAssignedAt: '2026-10-19T08:00:00Z' }),
+        candidate('carla@empresa.com', { openCount: 2 })
+      ], ASSIGNMENT_STRATEGIES.LEAST_OPEN);
+
+      // Sin asignaciones previas cuenta como la más antigua
+      expect(emailsOf(ranked)).toEqual(['carla@empresa.com', 'beto@empresa.com', 'ana@empresa.com']);
+    });
+
+    test('DEBE desempatar por email cuando carga y última asignación coinciden', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('carla@empresa.com', { openCount: 1 }),
+        candidate('ana@empresa.com', { openCount: 1 }),
+        candidate('beto@empresa.com', { openCount: 1 })
+      ], ASSIGNMENT_STRATEGIES.LEAST_OPEN);
+
+      expect(emailsOf(ranked)).toEqual(['ana@empresa.com', 'beto@empresa.com', 'carla@empresa.com']);
+    });
+
+    test('NO DEBE incluir agentes en o sobre su capacidad', () => {
+      const candidates = [
+        candidate('ana@empresa.com', { openCount: 5, capacity: 5 }),
+        candidate('beto@empresa.com', { openCount: 7, capacity: 5 }),
+        candidate('carla@empresa.com', { openCount: 4, capacity: 5 })
+      ];
+
+      for (const strategy of Object.values(ASSIGNMENT_STRATEGIES)) {
+        expect(emailsOf(AgentAssignmentService.rankCandidates(candidates, strategy, ['ventas'])))
+          .toEqual(['carla@empresa.com']);
+      }
+    });
+
+    test('DEBE devolver lista vacía si todos están a capacidad', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('ana@empresa.com', { openCount: 2, capacity: 2 }),
+        candidate('beto@empresa.com', { openCount: 0, capacity: 0 })
+      ], ASSIGNMENT_STRATEGIES.LEAST_OPEN);
+
+      expect(ranked).toEqual([]);
+    });
+
+    test('DEBE ordenar round-robin por la asignación más antigua sin importar la carga', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('ana@empresa.com', { openCount: 0, lastAssignedAt: '2026-10-19T10:00:00Z' }),
+        candidate('beto@empresa.com', { openCount: 4, lastAssignedAt: '2026-10-19T09:00:00Z' })
+      ], ASSIGNMENT_STRATEGIES.ROUND_ROBIN);
+
+      expect(emailsOf(ranked)).toEqual(['beto@empresa.com', 'ana@empresa.com']);
+    });
+
+    test('DEBE preferir más skills coincidentes y desempatar por carga', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('ana@empresa.com', { skills: ['ventas'], openCount: 0 }),
+        candidate('beto@empresa.com', { skills: ['ventas', 'soporte'], openCount: 3 }),
+        candidate('carla@empresa.com', { skills: ['ventas', 'soporte'], openCount: 1 }),
+        candidate('dani@empresa.com', { skills: ['cobranza'], openCount: 0 })
+      ], ASSIGNMENT_STRATEGIES.SKILLS, [' Ventas ', 'SOPORTE']);
+
+      expect(emailsOf(ranked)).toEqual(['carla@empresa.com', 'beto@empresa.com', 'ana@empresa.com']);
+    });
+
+    test('DEBE degradar a menor carga si ningún agente tiene las skills', () => {
+      const ranked = AgentAssignmentService.rankCandidates([
+        candidate('ana@empresa.com', { skills: ['ventas'], openCount: 2 }),
+        candidate('beto@empresa.com', { skills: ['soporte'], openCount: 1 })
+      ], ASSIGNMENT_STRATEGIES.SKILLS, ['cobranza']);
+
+      expect(emailsOf(ranked)).toEqual(['beto@empresa.com', 'ana@empresa.com']);
+    });
+  });
+
+  describe('selectAgent', () => {
+    const service = new AgentAssignmentService({
+      ...AGENT_ASSIGNMENT_CONFIG,
+      strategy: ASSIGNMENT_STRATEGIES.LEAST_OPEN,
+      requireOnline: true,
+      defaultCapacity: 5
+    });
+
+    beforeEach(() => {
+      mockUsers.length = 0;
+      mockOnlineEmails.length = 0;
+      Object.keys(mockOpenCounts).forEach(email => delete mockOpenCounts[email]);
+
+      mockUsers.push(
+        { email: 'ana@empresa.com', role: 'agent', workspaceId: 'ws_1' },
+        { email: 'Beto@Empresa.com', role: 'agent', workspaceId: 'ws_1' },
+        { email: 'carla@empresa.com', role: 'agent', workspaceId: 'ws_1', assignment: { maxOpenConversations: 2 } },
+        { email: 'diego@otra.com', role: 'agent', workspaceId: 'ws_2' }
+      );
+      Object.assign(mockOpenCounts, {
+        ws_1: {
+          'ana@empresa.com': 0,
+          'beto@empresa.com': 1,
+          'carla@empresa.com': 2
+        }
+      });
+    });
+
+    test('NO DEBE asignar a un agente desconectado aunque tenga menos carga', async () => {
+      mockOnlineEmails.push('beto@empresa.com', 'carla@empresa.com');
+
+      const selected = await service.selectAgent({ workspaceId: 'ws_1' });
+
+      expect(selected).toMatchObject({ email: 'beto@empresa.com', openCount: 1, capacity: 5 });
+    });
+
+    test('DEBE devolver null si los únicos agentes conectados están a capacidad', async () => {
+      mockOnlineEmails.push('carla@empresa.com');
+
+      await expect(service.selectAgent({ workspaceId: 'ws_1' })).resolves.toBeNull();
+    });
+
+    test('DEBE devolver null si no hay agentes conectados', async () => {
+      await expect(service.selectAgent({ workspaceId: 'ws_1' })).resolves.toBeNull();
+    });
+
+    test('NO DEBE asignar agentes de otro workspace', async () => {
+      mockOnlineEmails.push('diego@otra.com', 'carla@empresa.com');
+
+      await expect(service.selectAgent({ workspaceId: 'ws_1' })).resolves.toBeNull();
+      await expect(service.selectAgent({ workspaceId: 'ws_2' })).resolves.toMatchObject({ email: 'diego@otra.com' });
+    });
+
+    test('DEBE contar solo las conversaciones abiertas del workspace', async () => {
+      mockOnlineEmails.push('ana@empresa.com', 'beto@empresa.com');
+      // Ana atiende además otro workspace; esa carga no cuenta aquí
+      mockOpenCounts.ws_2 = { 'ana@empresa.com': 4 };
+
+      const selected = await service.selectAgent({ workspaceId: 'ws_1' });
+
+      expect(selected).toMatchObject({ email: 'ana@empresa.com', openCount: 0 });
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * 🧪 TESTS DE SLA DE CONVERSACIONES
+ *
+ * Verifica la selección de política, el cálculo de primera respuesta y
+ * resolución en horario hábil, el escalamiento al incumplir y que cada
+ * workspace se evalúe y alerte solo con lo suyo.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockRoomEmit = jest.fn();
+const mockRoomTo = jest.fn(() => ({ emit: mockRoomEmit }));
+const mockBroadcastToConversation = jest.fn();
+
+jest.mock('../../src/socket', () => ({
+  getSocketManager: () => ({
+    io: { to: mockRoomTo },
+    broadcastToConversation: mockBroadcastToConversation
+  }),
+  getRoleRoom: ({ workspaceId, tenantId, role }) => `ws:${workspaceId}:ten:${tenantId}:role:${role}`
+}));
+
+const SlaService = require('../../src/services/SlaService');
+const SlaPolicy = require('../../src/models/SlaPolicy');
+const { getTenant } = require('../../src/utils/tenantContext');
+
+// Lunes a viernes 09:00-18:00 en CDMX (UTC-6 todo el año)
+const officeCalendar = {
+  timezone: 'America/Mexico_City',
+  weeklySchedule: {
+    1: [{ start: '09:00', end: '18:00' }],
+    2: [{ start: '09:00', end: '18:00' }],
+    3: [{ start: '09:00', end: '18:00' }],
+    4: [{ start: '09:00', end: '18:00' }],
+    5: [{ start: '09:00', end: '18:00' }]
+  },
+  holidays: []
+};
+
+describe('⏱️ SLA de conversaciones', () => {
+  beforeEach(() => {
+    mockRoomEmit.mockReset();
+    mockRoomTo.mockClear();
+    mockBroadcastToConversation.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchPolicy', () => {
+    const policies = [
+      new SlaPolicy({ id: 'default', name: 'General', rank: 100 }),
+      new SlaPolicy({ id: 'urgent', name: 'Urgentes', match: { priorities: ['urgent'] }, rank: 5 }),
+      new SlaPolicy({ id: 'vip', name: 'VIP', match: { tags: ['vip'] }, rank: 1 })
+    ];
+
+    test('DEBE elegir la política de menor rank que coincide', () => {
+      expect(SlaService.matchPolicy({ priority: 'urgent', tags: ['vip'] }, policies).id).toBe('vip');
+      expect(SlaService.matchPolicy({ priority: 'urgent', tags: [] }, policies).id).toBe('urgent');
+    });
+
+    test('DEBE usar la política sin criterios como respaldo', () => {
+      expect(SlaService.matchPolicy({ priority: 'low', tags: ['nuevo'] }, policies).id).toBe('default');
+    });
+
+    test('NO DEBE aplicar políticas de otro workspace', () => {
+      const workspacePolicies = [
+        new SlaPolicy({ id: 'ajena', name: 'Otro workspace', workspaceId: 'ws_b', rank: 1 }),
+        new SlaPolicy({ id: 'propia', name: 'General', workspaceId: 'ws_a', rank: 100 })
+      ];
+
+      expect(SlaService.matchPolicy({ workspaceId: 'ws_a', priority: 'low' }, workspacePolicies).id).toBe('propia');
+      expect(SlaService.matchPolicy({ workspaceId: 'ws_c', priority: 'low' }, workspacePolicies)).toBeNull();
+    });
+  });
+
+  describe('evaluateConversation', () => {
+    const policy = new SlaPolicy({
+      id: 'office',
+      name: 'Oficina',
+      firstResponseMinutes: 120,
+      resolutionMinutes: 960,
+      calendarId: 'cal_1'
+    });
+
+    test('DEBE contar solo minutos hábiles y marcar en riesgo', () => {
+      // Viernes 17:00 local; ahora lunes 09:40 local → 60 + 40 minutos hábiles
+      const conversation = { id: 'conv_1', status: 'open', createdAt: new Date('2026-10-16T23:00:00Z') };
+
+      const sla = SlaService.evaluateConversation(conversation, policy, officeCalendar, new Date('2026-10-19T15:40:00Z'));
+
+      expect(sla.firstResponse).toMatchObject({ status: 'at_risk', elapsedMinutes: 100 });
+      expect(sla.firstResponse.dueAt.toISOString()).toBe('2026-10-19T16:00:00.000Z');
+      expect(sla.resolution.status).toBe('pending');
+      expect(sla).toMatchObject({ status: 'at_risk', state: 'active' });
+    });
+
+    test('DEBE marcar primera respuesta cumplida cuando hubo respuesta a tiempo', () => {
+      const conversation = {
+        id: 'conv_1',
+        status: 'open',
+        createdAt: new Date('2026-10-16T23:00:00Z'),
+        firstResponseAt: new Date('2026-10-19T15:10:00Z')
+      };
+
+      const sla = SlaService.evaluateConversation(conversation, policy, officeCalendar, new Date('2026-10-19T17:00:00Z'));
+
+      expect(sla.firstResponse).toMatchObject({ status: 'met', elapsedMinutes: 70 });
+      expect(sla.status).toBe('ok');
+    });
+
+    test('DEBE completar el SLA al resolver la conversación', () => {
+      const conversation = {
+        id: 'conv_1',
+        status: 'closed',
+        createdAt: new Date('2026-10-19T15:00:00Z'),
+        firstResponseAt: new Date('2026-10-19T15:30:00Z'),
+        updatedAt: new Date('2026-10-19T20:00:00Z')
+      };
+
+      const sla = SlaService.evaluateConversation(conversation, policy, officeCalendar, new Date('2026-10-20T15:00:00Z'));
+
+      expect(sla.resolution).toMatchObject({ status: 'met', elapsedMinutes: 300 });
+      expect(sla.state).toBe('completed');
+    });
+  });
+
+  describe('processConversation', () => {
+    const policy = new SlaPolicy({
+      id: 'fast',
+      name: 'Rápida',
+      firstResponseMinutes: 30,
+      escalation: { raisePriority: true, reassignTo: 'supervisor@empresa.com' }
+    });
+
+    test('DEBE escalar y alertar a supervisores al incumplir', async () => {
+      const now = new Date('2026-10-19T16:00:00Z');
+      const ref = { update: jest.fn().mockResolvedValue() };
+      const conversation = {
+        id: 'conv_2',
+        status: 'open',
+        priority: 'medium',
+        assignedTo: 'agente@empresa.com',
+        createdAt: new Date('2026-10-19T15:00:00Z')
+      };
+
+      const result = await SlaService.processConversation(ref, conversation, policy, null, now);
+
+      expect(result).toMatchObject({ changed: true, escalated: true });
+      expect(ref.update).toHaveBeenCalledWith(expect.objectContaining({
+        priority: 'high',
+        assignedTo: 'supervisor@empresa.com',
+        sla: expect.objectContaining({ status: 'breached' })
+      }));
+      expect(result.sla.escalations[0].actions.map(action => action.type)).toEqual(['raise_priority', 'reassign']);
+      expect(mockRoomEmit).toHaveBeenCalledWith('conversation:sla-alert', expect.objectContaining({ conversationId: 'conv_2', status: 'breached' }));
+      expect(mockBroadcastToConversation).toHaveBeenCalled();
+    });
+
+    test('DEBE alertar solo a supervisores y admins del workspace de la conversación', async () => {
+      const ref = { update: jest.fn().mockResolvedValue() };
+      const conversation = {
+        id: 'conv_3',
+        workspaceId: 'ws_a',
+        tenantId: 'tenant_1',
+        status: 'open',
+        createdAt: new Date('2026-10-19T15:00:00Z')
+      };
+
+      await SlaService.processConversation(ref, conversation, policy, null, new Date('2026-10-19T16:00:00Z'));
+
+      expect(mockRoomTo.mock.calls.map(([room]) => room)).toEqual([
+        'ws:ws_a:ten:tenant_1:role:supervisor',
+        'ws:ws_a:ten:tenant_1:role:admin'
+      ]);
+      expect(mockBroadcastToConversation).toHaveBeenCalledWith(expect.objectContaining({ workspaceId: 'ws_a', tenantId: 'tenant_1' }));
+    });
+
+    test('NO DEBE volver a escalar ni escribir si el estado no cambió', async () => {
+      const now = new Date('2026-10-19T16:00:00Z');
+      const conversation = {
+        id: 'conv_2',
+        status: 'open',
+        priority: 'high',
+        createdAt: new Date('2026-10-19T15:00:00Z')
+      };
+      conversation.sla = SlaService.evaluateConversation(conversation, policy, null, now);
+
+      const ref = { update: jest.fn() };
+      const result = await SlaService.processConversation(ref, conversation, policy, null, new Date('2026-10-19T16:05:00Z'));
+
+      expect(result.changed).toBe(false);
+      expect(ref.update).not.toHaveBeenCalled();
+      expect(mockRoomEmit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evaluateAll', () => {
+    test('DEBE evaluar cada workspace en su contexto y solo con sus políticas', async () => {
+      jest.spyOn(SlaPolicy, 'list').mockResolvedValue([
+        new SlaPolicy({ id: 'a1', name: 'A', workspaceId: 'ws_a', tenantId: 'tenant_1' }),
+        new SlaPolicy({ id: 'b1', name: 'B', workspaceId: 'ws_b', tenantId: 'tenant_1' }),
+        new SlaPolicy({ id: 'a2', name: 'A urgentes', workspaceId: 'ws_a', tenantId: 'tenant_1', match: { priorities: ['urgent'] } })
+      ]);
+      const runs = [];
+      jest.spyOn(SlaService, 'evaluateWorkspace').mockImplementation(async (policies) => {
+        runs.push({ tenant: getTenant(), policyIds: policies.map(policy => policy.id) });
+      });
+
+      await SlaService.evaluateAll(new Date('2026-10-19T16:00:00Z'));
+
+      expect(runs).toEqual([
+        { tenant: { workspaceId: 'ws_a', tenantId: 'tenant_1' }, policyIds: ['a1', 'a2'] },
+        { tenant: { workspaceId: 'ws_b', tenantId: 'tenant_1' }, policyIds: ['b1'] }
+      ]);
+    });
+  });
+
+  describe('raisePriority', () => {
+    test('DEBE subir un nivel y detenerse en urgente', () => {
+      expect(SlaService.raisePriority('low')).toBe('medium');
+      expect(SlaService.raisePriority('normal')).toBe('high');
+      expect(SlaService.raisePriority('urgent')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * 🧪 TESTS DE EXPORTACIÓN DE REPORTES DE ASISTENCIA
+ *
+ * Verifica que el PDF, el Excel y el CSV de un reporte diario se generen
+ * con las mismas filas y etiquetas: encabezado PDF válido, hojas con sus
+ * columnas y filas, y secciones CSV con las columnas compartidas.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const ExcelJS = require('exceljs');
+const AttendanceService = require('../../src/services/AttendanceService');
+const PDFService = require('../../src/services/PDFService');
+
+const reportData = {
+  report: {
+    id: 'report_1',
+    date: '2026-10-19',
+    status: 'approved',
+    createdBy: 'rh@empresa.com',
+    approvedBy: 'gerente@empresa.com'
+  },
+  records: [
+    {
+      employeeId: 'emp_1',
+      employeeNumber: 'EMP001',
+      employeeName: 'Ana Pérez',
+      department: 'Ventas',
+      position: 'Agente',
+      status: 'late',
+      clockIn: '09:20',
+      clockOut: '18:00',
+      totalHours: 8.5,
+      overtimeHours: 1
+    },
+    {
+      employeeId: 'emp_2',
+      employeeNumber: 'EMP002',
+      employeeName: 'Beto Ruiz',
+      department: 'Soporte',
+      position: 'Supervisor',
+      status: 'present',
+      clockIn: '08:58',
+      clockOut: '17:00',
+      totalHours: 8
+    }
+  ],
+  movements: [
+    { employeeId: 'emp_1', type: 'overtime', hours: 1, status: 'approved', approvedBy: 'gerente@empresa.com' }
+  ],
+  exceptions: [
+    { employeeId: 'emp_1', type: 'late', time: '09:20', duration: 20, severity: 'low', status: 'pending' }
+  ],
+  stats: {
+    totalEmployees: 2,
+    presentCount: 1,
+    lateCount: 1,
+    totalHours: 16.5,
+    overtimeHours: 1
+  }
+};
+
+const EMPLOYEE_HEADERS = [
+  'No. Empleado', 'Empleado', 'Departamento', 'Puesto', 'Estado', 'Entrada',
+  'Salida', 'Horas', 'Horas extra', 'Descanso', 'Notas'
+];
+
+// Valores de una fila de ExcelJS sin el índice 0 vacío
+const rowValues = (worksheet, rowNumber) => worksheet.getRow(rowNumber).values.slice(1);
+
+describe('📤 Exportación de reportes de asistencia', () => {
+  beforeEach(() => {
+    jest.spyOn(AttendanceService, 'getReportById').mockResolvedValue(reportData);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PDF', () => {
+    test('DEBE generar un PDF válido con los datos normalizados del reporte', async () => {
+      const generateSpy = jest.spyOn(PDFService, 'generateAttendanceReport');
+
+      const result = await AttendanceService.exportReport('report_1', 'pdf');
+
+      expect(result).toMatchObject({
+        format: 'pdf',
+        filename: 'reporte-asistencia-2026-10-19.pdf',
+        contentType: 'application/pdf'
+      });
+      expect(result.buffer.subarray(0, 4).toString()).toBe('%PDF');
+      expect(generateSpy).toHaveBeenCalledWith(expect.objectContaining({
+        reportId: 'report_1',
+        employees: expect.arrayContaining([
+          expect.objectContaining({ employeeName: 'Ana Pérez', status: 'Retardo' })
+        ])
+      }));
+    }, 30000);
+
+    test('NO DEBE generar el PDF sin datos del reporte', async () => {
+      await expect(PDFService.generateAttendanceReport(null)).rejects.toThrow('Datos requeridos faltantes');
+    });
+  });
+
+  describe('Excel', () => {
+    test('DEBE crear una hoja por sección con encabezados y filas de empleados', async () => {
+      const result = await AttendanceService.exportReport('report_1', 'excel');
+
+      expect(result.filename).toBe('reporte-asistencia-2026-10-19.xlsx');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(result.buffer);
+
+      expect(workbook.worksheets.map(worksheet => worksheet.name))
+        .toEqual(['Resumen', 'Empleados', 'Movimientos', 'Excepciones']);
+
+      const employees = workbook.getWorksheet('Empleados');
+      expect(rowValues(employees, 1)).toEqual(EMPLOYEE_HEADERS);
+      expect(employees.rowCount).toBe(3);
+      expect(rowValues(employees, 2)).toEqual([
+        'EMP001', 'Ana Pérez', 'Ventas', 'Agente', 'Retardo', '09:20', '18:00', 8.5, 1, 0, ''
+      ]);
+      expect(rowValues(employees, 3).slice(0, 5)).toEqual(['EMP002', 'Beto Ruiz', 'Soporte', 'Supervisor', 'Presente']);
+    });
+
+    test('DEBE traducir movimientos, excepciones y el resumen del reporte', async () => {
+      const { buffer } = await AttendanceService.exportReport('report_1', 'excel');
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+
+      const movements = workbook.getWorksheet('Movimientos');
+      expect(rowValues(movements, 2)).toEqual(
+        ['Ana Pérez', 'Horas extra', '', '', 1, 0, 'Aprobado', 'gerente@empresa.com']
+      );
+
+      const exceptions = workbook.getWorksheet('Excepciones');
+      expect(rowValues(exceptions, 2)).toEqual(
+        ['Ana Pérez', 'Retardo', '', '09:20', 20, 'Baja', 'Pendiente', '']
+      );
+
+      const summary = workbook.getWorksheet('Resumen');
+      const summaryRows = {};
+      summary.eachRow(row => {
+        const [label, value] = row.values.slice(1);
+        summaryRows[label] = value;
+      });
+      expect(summaryRows).toMatchObject({
+        'Fecha del reporte': '2026-10-19',
+        'Total de empleados': 2,
+        Retardos: 1,
+        Estado: 'Aprobado',
+        'Aprobado por': 'gerente@empresa.com'
+      });
+    });
+  });
+
+  describe('CSV', () => {
+    const parseSections = (buffer) => {
+      const content = buffer.toString('utf8');
+      expect(content.startsWith('\ufeff')).toBe(true);
+
+      const sections = {};
+      content.slice(1).split('\n\n').forEach(block => {
+        const [title, header, ...rows] = block.split('\n');
+        sections[title] = { header, rows };
+      });
+      return sections;
+    };
+
+    test('DEBE separar el CSV en secciones con las columnas compartidas', async () => {
+      const result = await AttendanceService.exportReport('report_1', 'csv');
+
+      expect(result).toMatchObject({
+        format: 'csv',
+        filename: 'reporte-asistencia-2026-10-19.csv',
+        contentType: 'text/csv; charset=utf-8'
+      });
+
+      const sections = parseSections(result.buffer);
+      expect(Object.keys(sections)).toEqual(['RESUMEN', 'EMPLEADOS', 'MOVIMIENTOS', 'EXCEPCIONES']);
+      expect(sections.EMPLEADOS.header).toBe(EMPLOYEE_HEADERS.map(label => `"${label}"`).join(','));
+      expect(sections.MOVIMIENTOS.header)
+        .toBe('"Empleado","Tipo","Subtipo","Descripción","Horas","Monto","Estado","Revisado por"');
+      expect(sections.RESUMEN.header).toBe('"Concepto","Valor"');
+    });
+
+    test('DEBE escribir una fila por empleado con las etiquetas traducidas', async () => {
+      const { buffer } = await AttendanceService.exportReport('report_1', 'csv');
+
+      const sections = parseSections(buffer);
+      expect(sections.EMPLEADOS.rows).toEqual([
+        '"EMP001","Ana Pérez","Ventas","Agente","Retardo","09:20","18:00",8.5,1,0,""',
+        '"EMP002","Beto Ruiz","Soporte","Supervisor","Presente","08:58","17:00",8,0,0,""'
+      ]);
+      expect(sections.EXCEPCIONES.rows).toEqual(['"Ana Pérez","Retardo","","09:20",20,"Baja","Pendiente",""']);
+    });
+  });
+
+  test('DEBE rechazar formatos no soportados', async () => {
+    await expect(AttendanceService.exportReport('report_1', 'xml')).rejects.toThrow('Formato no soportado');
+  });
+});
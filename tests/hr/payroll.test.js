@@ -0,0 +1,202 @@
+/**
+ * 🧪 TESTS DE NÓMINA
+ *
+ * Verifica rangos de períodos, resumen de asistencia, el cálculo
+ * de corridas combinando extras, prima vacacional e impuestos y que
+ * regenerar un recibo dé de baja los documentos del anterior.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const PayrollService = require('../../src/services/PayrollService');
+const ExtrasService = require('../../src/services/ExtrasService');
+const PayrollReceiptService = require('../../src/services/PayrollReceiptService');
+const PayrollRun = require('../../src/models/PayrollRun');
+const Employee = require('../../src/models/Employee');
+const EmployeeDocument = require('../../src/models/EmployeeDocument');
+const PDFService = require('../../src/services/PDFService');
+const EmployeeDocumentService = require('../../src/services/EmployeeDocumentService');
+
+describe('💼 Nómina', () => {
+  describe('Rangos de período', () => {
+    test('DEBE calcular semana de lunes a domingo', () => {
+      expect(PayrollService.buildPeriodRange('weekly', '2025-03-13')).toEqual({
+        startDate: '2025-03-10',
+        endDate: '2025-03-16'
+      });
+    });
+
+    test('DEBE dividir quincenas en 1-15 y 16-fin de mes', () => {
+      expect(PayrollService.buildPeriodRange('biweekly', '2025-02-03')).toEqual({
+        startDate: '2025-02-01',
+        endDate: '2025-02-15'
+      });
+      expect(PayrollService.buildPeriodRange('biweekly', '2025-02-20')).toEqual({
+        startDate: '2025-02-16',
+        endDate: '2025-02-28'
+      });
+    });
+
+    test('DEBE rechazar frecuencias no soportadas', () => {
+      expect(() => PayrollService.buildPeriodRange('daily', '2025-02-03')).toThrow('Frecuencia');
+    });
+  });
+
+  describe('Transiciones', () => {
+    test('DEBE permitir draft → approved → closed únicamente', () => {
+      expect(() => PayrollService.assertRunTransition({ id: 'r1', status: 'draft' }, 'approved')).not.toThrow();
+      expect(() => PayrollService.assertRunTransition({ id: 'r1', status: 'draft' }, 'closed')).toThrow();
+      expect(() => PayrollService.assertRunTransition({ id: 'r1', status: 'closed' }, 'approved')).toThrow();
+    });
+  });
+
+  describe('Cálculo de corrida', () => {
+    const employee = {
+      id: 'emp_1',
+      employeeNumber: 'EMP001',
+      personalInfo: { firstName: 'Ana', lastName: 'Pérez' },
+      position: { title: 'Agente', department: 'Ventas' },
+      contract: { salary: 60000 },
+      salary: { baseSalary: 60000, frequency: 'biweekly' },
+      sbc: 60000
+    };
+
+    const period = {
+      id: 'per_1',
+      frequency: 'biweekly',
+      startDate: '2025-03-01',
+      endDate: '2025-03-15',
+      paymentDate: '2025-03-15',
+      getAttendance: jest.fn().mockResolvedValue({ days: { present: 10 }, totalHours: 80 })
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ExtrasService, 'calculatePayrollImpact').mockResolvedValue({
+        totalToAdd: 700,
+        totalToSubtract: 900,
+        movements: [{ id: 'mov_1' }, { id: 'mov_2' }, { id: 'mov_3' }],
+        breakdown: { overtime: 500, bonuses: 200, absences: 500, deductions: 0, loanPayments: 400, damages: 0 }
+      });
+      jest.spyOn(PayrollService, 'calculateVacationPremium').mockResolvedValue({
+        days: 2, premiumRate: 0.25, premium: 250, requestIds: ['vac_1']
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('DEBE combinar sueldo, extras, prima vacacional e impuestos', async () => {
+      const run = await PayrollService.calculateRun(employee, period, 'admin_1');
+
+      expect(run.id).toBe('per_1_emp_1');
+      expect(run.status).toBe('draft');
+      expect(run.paidDays).toBe(15);
+      expect(run.perceptions.map(item => item.type)).toEqual(['salary', 'overtime', 'bonus', 'vacation_premium']);
+      expect(run.grossSalary).toBe(30000 + 500 + 200 + 250);
+      expect(run.taxableIncome).toBe(run.grossSalary - 500);
+      expect(run.taxes.isr).toBeGreaterThan(0);
+      expect(run.taxes.imss).toBeGreaterThan(0);
+
+      const deductionTypes = run.deductions.map(item => item.type);
+      expect(deductionTypes).toEqual(expect.arrayContaining(['absence', 'isr', 'imss', 'loan']));
+      expect(run.netSalary).toBeCloseTo(run.grossSalary - run.totalDeductions, 2);
+      expect(run.extras.movementIds).toEqual(['mov_1', 'mov_2', 'mov_3']);
+      expect(run.attendance.days.present).toBe(10);
+    });
+  });
+
+  describe('Asistencia', () => {
+    test('DEBE resumir registros por empleado y estado', () => {
+      const summary = PayrollService.summarizeAttendance([
+        { employeeId: 'e1', status: 'present', totalHours: 8, overtimeHours: 1 },
+        { employeeId: 'e1', status: 'late', totalHours: 7.5 },
+        { employeeId: 'e2', status: 'absent' }
+      ]);
+
+      expect(summary.e1).toEqual({ days: { present: 1, late: 1 }, totalHours: 15.5, overtimeHours: 1 });
+      expect(summary.e2.days.absent).toBe(1);
+    });
+  });
+
+  describe('Recibo XML', () => {
+    test('DEBE separar ISR retenido de otras deducciones y escapar atributos', () => {
+      const xml = PayrollReceiptService.buildNominaXml({
+        id: 'per_1_emp_1',
+        frequency: 'biweekly',
+        periodStart: '2025-03-01',
+        periodEnd: '2025-03-15',
+        paymentDate: '2025-03-15',
+        paidDays: 15,
+        sbc: 30000,
+        department: 'Ventas & Soporte',
+        perceptions: [{ type: 'salary', concept: 'Sueldo', amount: 15000, taxable: true }],
+        deductions: [
+          { type: 'isr', concept: 'ISR', amount: 1200 },
+          { type: 'imss', concept: 'IMSS', amount: 300 }
+        ]
+      }, { id: 'emp_1', personalInfo: { firstName: 'Ana', lastName: 'Pérez' } });
+
+      expect(xml).toContain('TipoDeComprobante="N"');
+      expect(xml).toContain('PeriodicidadPago="04"');
+      expect(xml).toContain('TotalImpuestosRetenidos="1200.00"');
+      expect(xml).toContain('TotalOtrasDeducciones="300.00"');
+      expect(xml).toContain('Total="13500.00"');
+      expect(xml).toContain('Departamento="Ventas &amp; Soporte"');
+    });
+  });
+
+  describe('Regeneración de recibo', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('DEBE dar de baja los documentos del recibo anterior al regenerar', async () => {
+      const run = new PayrollRun({
+        id: 'per_1_emp_1',
+        employeeId: 'emp_1',
+        status: 'approved',
+        periodStart: '2025-03-01',
+        periodEnd: '2025-03-15',
+        receipt: { pdfDocumentId: 'doc_pdf_old', xmlDocumentId: 'doc_xml_old' }
+      });
+      const runUpdate = jest.spyOn(run, 'update').mockImplementation(async (updates) => Object.assign(run, updates));
+      jest.spyOn(PayrollRun, 'findById').mockResolvedValue(run);
+      jest.spyOn(Employee, 'findById').mockResolvedValue({ id: 'emp_1' });
+      jest.spyOn(PDFService, 'generatePayrollReceipt').mockResolvedValue({ pdfBuffer: Buffer.from('%PDF'), fileName: 'recibo.pdf' });
+      jest.spyOn(PayrollReceiptService, 'buildNominaXml').mockReturnValue('<cfdi:Comprobante/>');
+      jest.spyOn(EmployeeDocumentService.prototype, 'uploadDocument')
+        .mockImplementation(async (employeeId, file) => ({ id: file.mimetype === 'application/pdf' ? 'doc_pdf_new' : 'doc_xml_new' }));
+      const deleted = [];
+      jest.spyOn(EmployeeDocument, 'findById').mockImplementation(async (documentId) => ({
+        audit: {},
+        delete: async (deletedBy) => deleted.push({ documentId, deletedBy })
+      }));
+
+      const receipt = await PayrollReceiptService.generateReceipt(run.id, { email: 'rh@empresa.com' }, { regenerate: true });
+
+      expect(deleted).toEqual([
+        { documentId: 'doc_pdf_old', deletedBy: 'rh@empresa.com' },
+        { documentId: 'doc_xml_old', deletedBy: 'rh@empresa.com' }
+      ]);
+      expect(receipt).toMatchObject({
+        pdfDocumentId: 'doc_pdf_new',
+        xmlDocumentId: 'doc_xml_new',
+        replacedDocumentIds: ['doc_pdf_old', 'doc_xml_old']
+      });
+      expect(runUpdate).toHaveBeenCalledWith({ receipt });
+    });
+
+    test('NO DEBE generar documentos nuevos si ya hay recibo y no se pide regenerar', async () => {
+      const receipt = { pdfDocumentId: 'doc_pdf_old', xmlDocumentId: 'doc_xml_old' };
+      jest.spyOn(PayrollRun, 'findById').mockResolvedValue(new PayrollRun({ id: 'per_1_emp_1', employeeId: 'emp_1', status: 'closed', receipt }));
+      const upload = jest.spyOn(EmployeeDocumentService.prototype, 'uploadDocument');
+      const findDocument = jest.spyOn(EmployeeDocument, 'findById');
+
+      await expect(PayrollReceiptService.generateReceipt('per_1_emp_1', null)).resolves.toEqual(receipt);
+      expect(upload).not.toHaveBeenCalled();
+      expect(findDocument).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * 🧪 TESTS DE FINIQUITO Y LIQUIDACIÓN
+ *
+ * Verifica la tabla de vacaciones LFT 2023, los conceptos del finiquito,
+ * las indemnizaciones de la liquidación con sus exenciones de ISR y el
+ * bloqueo del expediente al registrar la baja.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const SettlementService = require('../../src/services/SettlementService');
+const PDFService = require('../../src/services/PDFService');
+const EmployeeDocumentService = require('../../src/services/EmployeeDocumentService');
+const Employee = require('../../src/models/Employee');
+const EmployeeSettlement = require('../../src/models/EmployeeSettlement');
+
+const buildEmployee = (overrides = {}) => new Employee({
+  id: 'emp_1',
+  employeeNumber: 'EMP001',
+  personalInfo: { firstName: 'Ana', lastName: 'Pérez' },
+  position: { title: 'Agente', department: 'Ventas' },
+  contract: { salary: 60000, startDate: '2020-03-01' },
+  salary: { baseSalary: 60000 },
+  sbc: 62000,
+  vacationBalance: 2,
+  ...overrides
+});
+
+const options = { terminationDate: '2025-08-31', pendingSalaryDays: 15 };
+const amounts = (settlement) => Object.fromEntries(settlement.perceptions.map(item => [item.type, item.amount]));
+
+describe('📄 Finiquito y liquidación', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE aplicar la tabla de vacaciones de la reforma 2023 y medir la antigüedad', () => {
+    expect([1, 2, 5, 6, 10, 11, 16].map(year => SettlementService.vacationEntitlement(year)))
+      .toEqual([12, 14, 20, 22, 22, 24, 26]);
+    expect(SettlementService.serviceTime('2020-03-01', '2025-08-31')).toEqual({
+      completedYears: 5,
+      daysSinceAnniversary: 184,
+      years: 5.5041
+    });
+  });
+
+  test('DEBE calcular el finiquito por renuncia sin indemnizaciones', async () => {
+    const settlement = await SettlementService.calculate(buildEmployee(), { ...options, reason: 'voluntary_resignation' });
+
+    expect(settlement.type).toBe('finiquito');
+    expect(settlement.vacationDays).toBe(13.09);
+    expect(amounts(settlement)).toEqual({
+      salary: 30000,
+      aguinaldo: 19972.6,
+      vacation: 26180,
+      vacation_premium: 6545
+    });
+    // Aguinaldo exento hasta 30 UMA y prima vacacional hasta 15 UMA
+    expect(settlement.perceptions.find(item => item.type === 'aguinaldo').exempt).toBe(3257.1);
+    expect(settlement.perceptions.find(item => item.type === 'vacation_premium').exempt).toBe(1628.55);
+    expect(settlement.taxes.separationIsr).toBe(0);
+    expect(settlement.netAmount).toBeCloseTo(settlement.totalPerceptions - settlement.taxes.isr, 2);
+  });
+
+  test('DEBE sumar indemnizaciones y prima de antigüedad topada en la liquidación', async () => {
+    const settlement = await SettlementService.calculate(buildEmployee(), { ...options, reason: 'unjustified_dismissal' });
+    const separation = settlement.perceptions.filter(item => ['indemnity_90_days', 'indemnity_20_days', 'seniority_premium'].includes(item.type));
+
+    expect(settlement.type).toBe('liquidacion');
+    expect(amounts(settlement)).toMatchObject({
+      indemnity_90_days: 186000,
+      indemnity_20_days: 227502.8,
+      seniority_premium: 36829.03 // 12 × (2 × 278.80) × 5.5041 años
+    });
+    // 5 años y 184 días: exención de 90 UMA × 6 años
+    expect(separation.reduce((sum, item) => sum + item.exempt, 0)).toBeCloseTo(58627.8, 2);
+    expect(settlement.taxes.separationRate).toBe(0.0699);
+    expect(settlement.taxes.isr).toBeCloseTo(settlement.taxes.ordinaryIsr + settlement.taxes.separationIsr, 2);
+  });
+
+  test('DEBE guardar, generar el PDF y bloquear el expediente al registrar la baja', async () => {
+    const employee = buildEmployee();
+    jest.spyOn(Employee, 'findById').mockResolvedValue(employee);
+    jest.spyOn(PDFService, 'generateSettlementReceipt').mockResolvedValue({ pdfBuffer: Buffer.from('pdf'), fileName: 'finiquito.pdf' });
+    const save = jest.spyOn(EmployeeSettlement.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(EmployeeSettlement.prototype, 'update').mockImplementation(async function (data) { return Object.assign(this, data); });
+    const upload = jest.spyOn(EmployeeDocumentService.prototype, 'uploadDocument').mockResolvedValue({ id: 'doc_1' });
+    const lock = jest.spyOn(Employee.prototype, 'lock').mockImplementation(async function (termination) {
+      this.termination = termination;
+      return this;
+    });
+
+    const settlement = await SettlementService.terminate('emp_1', { ...options, reason: 'contract_end' }, { id: 'u1', email: 'rh@empresa.com' });
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(upload.mock.calls[0][2]).toMatchObject({ category: 'payroll', subcategory: 'settlement_pdf' });
+    expect(settlement).toMatchObject({ id: 'settlement_emp_1', pdfDocumentId: 'doc_1', calculatedBy: 'rh@empresa.com' });
+    expect(lock).toHaveBeenCalledWith({ settlementId: 'settlement_emp_1', terminationDate: '2025-08-31', reason: 'contract_end' }, 'rh@empresa.com');
+
+    await expect(SettlementService.terminate('emp_1', { ...options, reason: 'contract_end' }, null)).rejects.toThrow('bloqueado');
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  test('NO DEBE permitir modificar ni eliminar un expediente bloqueado', async () => {
+    const employee = buildEmployee({ termination: { settlementId: 'settlement_emp_1' } });
+
+    expect(employee.isLocked()).toBe(true);
+    await expect(employee.update({ sbc: 70000 })).rejects.toThrow('bloqueado');
+    await expect(employee.delete()).rejects.toThrow('bloqueado');
+    expect(employee.sbc).toBe(62000);
+  });
+
+  test('NO DEBE guardar nada en la vista previa ni aceptar bajas anteriores al ingreso', async () => {
+    jest.spyOn(Employee, 'findById').mockResolvedValue(buildEmployee());
+    const save = jest.spyOn(EmployeeSettlement.prototype, 'save');
+
+    const settlement = await SettlementService.preview('emp_1', { ...options, reason: 'mutual_agreement' });
+
+    expect(settlement.netAmount).toBeGreaterThan(0);
+    expect(save).not.toHaveBeenCalled();
+    await expect(SettlementService.preview('emp_1', { terminationDate: '2019-12-31', reason: 'mutual_agreement' }))
+      .rejects.toThrow('anterior a la fecha de ingreso');
+  });
+});
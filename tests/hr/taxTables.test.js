@@ -0,0 +1,80 @@
+/**
+ * 🧪 TESTS DE TABLAS FISCALES VERSIONADAS
+ *
+ * Verifica la selección de la tabla vigente por fecha de pago,
+ * el respaldo a la tabla integrada y la validación de tramos.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const TaxCalculationService = require('../../src/services/TaxCalculationService');
+const TaxTable = require('../../src/models/TaxTable');
+const { DEFAULT_TAX_TABLE } = require('../../src/config/taxTables');
+
+const { TaxCalculationService: TaxCalculationServiceClass } = TaxCalculationService;
+
+// Tabla 2026 ficticia: UMA más alta y ISR desde el primer peso
+const TABLE_2026 = {
+  ...DEFAULT_TAX_TABLE,
+  version: '2026',
+  effectiveFrom: '2026-01-01',
+  source: 'api',
+  isrTable: [
+    { desde: 0, hasta: 100000, cuotaFija: 0, porcentaje: 0.10 },
+    { desde: 100000.01, hasta: null, cuotaFija: 10000, porcentaje: 0.30 }
+  ],
+  uma: { diaria: 113.14, mensual: 3439.46, anual: 41273.52 }
+};
+
+describe('🧾 Tablas fiscales', () => {
+  beforeEach(() => {
+    TaxCalculationService.clearCache();
+    jest.spyOn(TaxTable, 'list').mockResolvedValue([new TaxTable(TABLE_2026)]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    TaxCalculationService.clearCache();
+  });
+
+  test('DEBE elegir la tabla vigente en la fecha de pago', async () => {
+    expect((await TaxCalculationService.getTableForDate('2025-12-31')).version).toBe('2025');
+    expect((await TaxCalculationService.getTableForDate('2026-01-01')).version).toBe('2026');
+    expect((await TaxCalculationService.getTableForDate('2026-06-15')).version).toBe('2026');
+  });
+
+  test('DEBE conservar el resultado histórico al recalcular un período pasado', async () => {
+    const past = await TaxCalculationService.calcularDeduccionesFiscalesPorFecha(20000, 20000, '2025-03-15');
+    const current = await TaxCalculationService.calcularDeduccionesFiscalesPorFecha(20000, 20000, '2026-03-15');
+
+    expect(past.tableVersion).toBe('2025');
+    expect(past.isr).toBe(0);
+    expect(current.tableVersion).toBe('2026');
+    expect(current.isr).toBeGreaterThan(0);
+  });
+
+  test('DEBE usar la tabla integrada si Firestore no está disponible', async () => {
+    TaxTable.list.mockRejectedValue(new Error('sin conexión'));
+
+    const table = await TaxCalculationService.getTableForDate('2026-03-15');
+    expect(table.version).toBe('2025');
+    expect(table.isrTable[table.isrTable.length - 1].hasta).toBe(Infinity);
+  });
+
+  test('DEBE rechazar tramos no contiguos o sin límite abierto al final', () => {
+    const errors = TaxCalculationServiceClass.validateTable({
+      ...TABLE_2026,
+      isrTable: [
+        { desde: 0, hasta: 100000, cuotaFija: 0, porcentaje: 0.10 },
+        { desde: 150000, hasta: 200000, cuotaFija: 10000, porcentaje: 0.30 }
+      ]
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'Los tramos 1 y 2 no son contiguos',
+      'El último tramo de ISR debe tener límite superior abierto (null)'
+    ]));
+    expect(TaxCalculationServiceClass.validateTable(TABLE_2026)).toEqual([]);
+  });
+});
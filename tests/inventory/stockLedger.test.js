@@ -0,0 +1,318 @@
+/**
+ * 🧪 TESTS DEL KARDEX DE INVENTARIO
+ *
+ * Verifica el saldo corrido por material, proveedor y ubicación, la entrada idempotente
+ * de plataformas completadas, los documentos de salida con folio y bloqueo por
+ * existencia insuficiente, la reversión al reabrir una plataforma y los
+ * totales de existencias por categoría, proveedor y ubicación.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockDocs = new Map();
+
+jest.mock('../../src/config/firebase', () => {
+  const snapshot = (path, data) => ({
+    id: path.split('/').pop(),
+    exists: data !== undefined,
+    data: () => data
+  });
+
+  const query = (name, filters = [], max = null, order = null, cursor = null) => ({
+    where: (field, op, value) => query(name, [...filters, [field, value]], max, order, cursor),
+    orderBy: (field, direction = 'asc') => query(name, filters, max, { field, direction }, cursor),
+    limit: (n) => query(name, filters, n, order, cursor),
+    startAfter: (doc) => query(name, filters, max, order, doc.id),
+    get: async () => {
+      let entries = [...mockDocs.entries()]
+        .filter(([path]) => path.startsWith(`${name}/`) && !path.slice(name.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(([field, value]) => data[field] === value));
+      if (order) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        entries.sort(([, a], [, b]) => sign * (a[order.field] - b[order.field]));
+      }
+      if (cursor) {
+        entries = entries.slice(entries.findIndex(([path]) => path.endsWith(`/${cursor}`)) + 1);
+      }
+      const docs = entries
+        .slice(0, max === null ? undefined : max)
+        .map(([path, data]) => snapshot(path, data));
+      return { docs, empty: docs.length === 0, size: docs.length };
+    }
+  });
+
+  const collection = (name) => ({
+    ...query(name),
+    doc: (id) => ({
+      id,
+      path: `${name}/${id}`,
+      get: async () => snapshot(`${name}/${id}`, mockDocs.get(`${name}/${id}`)),
+      set: async (data) => mockDocs.set(`${name}/${id}`, { ...data }),
+      collection: (sub) => collection(`${name}/${id}/${sub}`)
+    })
+  });
+
+  const db = {
+    collection,
+    runTransaction: async (fn) => {
+      const writes = [];
+      const result = await fn({
+        get: async (ref) => snapshot(ref.path, mockDocs.get(ref.path)),
+        set: (ref, data) => writes.push(() => mockDocs.set(ref.path, { ...data })),
+        update: (ref, data) => writes.push(() => mockDocs.set(ref.path, { ...mockDocs.get(ref.path), ...data }))
+      });
+      // Las escrituras solo se aplican si la transacción termina sin error
+      writes.forEach(write => write());
+      return result;
+    }
+  };
+
+  return { db, firestore: db };
+});
+
+const Platform = require('../../src/models/Platform');
+const StockMovement = require('../../src/models/StockMovement');
+const StockLedgerService = require('../../src/services/StockLedgerService');
+
+const USER = 'almacen@empresa.com';
+
+const seedMaterial = (id, name, category) => {
+  mockDocs.set(`materials/${id}`, { name, category, unit: 'm²', isActive: true });
+};
+
+const buildPlatform = (overrides = {}) => {
+  const platform = new Platform({
+    id: 'plat_1',
+    userId: USER,
+    platformType: 'provider',
+    providerId: 'prov_1',
+    provider: 'Canteras del Norte',
+    platformNumber: 'P-001',
+    driver: 'Juan',
+    location: 'patio-a',
+    status: 'completed',
+    pieces: [
+      { number: 1, material: 'Mármol Carrara', length: 2.5, linearMeters: 0.75 },
+      { number: 2, material: 'Mármol Carrara', length: 3, linearMeters: 0.9 },
+      { number: 3, material: 'Granito Negro', length: 2, linearMeters: 0.6 }
+    ],
+    ...overrides
+  });
+  mockDocs.set(platform.getDocRef().path, platform.toFirestore());
+  return platform;
+};
+
+const balanceOf = (materialId, location, providerId = 'prov_1') => [...mockDocs.entries()]
+  .find(([path, data]) => path.startsWith('stock_balances/') && data.materialId === materialId &&
+    data.location === location && data.providerId === providerId)?.[1];
+
+describe('📒 Kardex de inventario', () => {
+  let ledger;
+
+  beforeEach(() => {
+    mockDocs.clear();
+    seedMaterial('mat_carrara', 'Mármol Carrara', 'Mármol');
+    seedMaterial('mat_negro', 'Granito Negro', 'Granito');
+    ledger = new StockLedgerService();
+  });
+
+  test('DEBE calcular el saldo corrido y rechazar existencias negativas', () => {
+    const movement = (linearMeters, pieces) => new StockMovement({
+      type: linearMeters > 0 ? 'receipt' : 'outbound',
+      materialId: 'mat_carrara',
+      materialName: 'Mármol Carrara',
+      location: 'patio-a',
+      linearMeters,
+      pieces
+    });
+
+    const balances = new Map();
+    const movements = [movement(1.65, 2), movement(-0.75, -1), movement(0.1, 0)];
+    StockLedgerService.applyMovements(balances, movements);
+
+    expect(movements.map(m => m.balanceAfter)).toEqual([
+      { linearMeters: 1.65, pieces: 2 },
+      { linearMeters: 0.9, pieces: 1 },
+      { linearMeters: 1, pieces: 1 }
+    ]);
+    expect(() => StockLedgerService.applyMovements(balances, [movement(-1.2, -1)]))
+      .toThrow('Existencia insuficiente de Mármol Carrara en patio-a');
+  });
+
+  test('DEBE registrar la entrada de una plataforma completada una sola vez', async () => {
+    const platform = buildPlatform();
+
+    const receipts = await ledger.postPlatformReceipt(platform, USER);
+    expect(receipts.map(m => [m.materialId, m.linearMeters, m.pieces])).toEqual([
+      ['mat_carrara', 1.65, 2],
+      ['mat_negro', 0.6, 1]
+    ]);
+    expect(receipts[0]).toMatchObject({ type: 'receipt', providerId: 'prov_1', reference: 'P-001', location: 'patio-a' });
+    expect(mockDocs.get('providers/prov_1/platforms/plat_1').stockPostedAt).toBeInstanceOf(Date);
+
+    await expect(ledger.postPlatformReceipt(platform, USER)).resolves.toEqual([]);
+    expect(balanceOf('mat_carrara', 'patio-a')).toMatchObject({ linearMeters: 1.65, pieces: 2 });
+
+    const unknown = buildPlatform({ id: 'plat_2', pieces: [{ number: 1, material: 'Ónix Miel', linearMeters: 0.5 }] });
+    await expect(ledger.postPlatformReceipt(unknown, USER)).rejects.toMatchObject({ statusCode: 400 });
+    expect(mockDocs.get('providers/prov_1/platforms/plat_2').stockPostedAt).toBeNull();
+  });
+
+  test('DEBE descontar salidas con folio consecutivo y bloquear si no hay existencia', async () => {
+    await ledger.postPlatformReceipt(buildPlatform(), USER);
+
+    const outbound = await ledger.createDocument(USER, {
+      type: 'outbound',
+      destination: 'Obra Torre Sur',
+      lines: [{ materialId: 'mat_carrara', location: 'patio-a', linearMeters: 0.9, pieces: 1 }]
+    }, USER);
+
+    expect(outbound).toMatchObject({ documentNumber: 'SAL-000001', totalLinearMeters: 0.9, totalPieces: 1 });
+    expect(balanceOf('mat_carrara', 'patio-a')).toMatchObject({ linearMeters: 0.75, pieces: 1 });
+
+    const before = new Map(mockDocs);
+    await expect(ledger.createDocument(USER, {
+      type: 'consumption',
+      lines: [{ materialId: 'mat_carrara', location: 'patio-a', linearMeters: 2, pieces: 1 }]
+    }, USER)).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockDocs).toEqual(before);
+
+    await expect(ledger.createDocument(USER, {
+      type: 'adjustment',
+      lines: [{ materialId: 'mat_carrara', location: 'patio-a', linearMeters: -0.05 }]
+    }, USER)).rejects.toMatchObject({ statusCode: 400 });
+
+    const second = await ledger.createDocument(USER, {
+      type: 'outbound',
+      lines: [{ materialId: 'mat_negro', location: 'patio-a', linearMeters: 0.6, pieces: 1 }]
+    }, USER);
+    expect(second.documentNumber).toBe('SAL-000002');
+  });
+
+  test('DEBE revertir la entrada al reabrir la plataforma salvo que el material ya haya salido', async () => {
+    const platform = buildPlatform();
+    await ledger.postPlatformReceipt(platform, USER);
+
+    const reversals = await ledger.reversePlatformReceipt(platform, USER);
+    expect(reversals.map(m => [m.type, m.materialId, m.linearMeters, m.pieces])).toEqual([
+      ['receipt_reversal', 'mat_carrara', -1.65, -2],
+      ['receipt_reversal', 'mat_negro', -0.6, -1]
+    ]);
+    expect(balanceOf('mat_carrara', 'patio-a')).toMatchObject({ linearMeters: 0, pieces: 0 });
+
+    await ledger.postPlatformReceipt(platform, USER);
+    await ledger.createDocument(USER, {
+      type: 'outbound',
+      lines: [{ materialId: 'mat_negro', location: 'patio-a', linearMeters: 0.6, pieces: 1 }]
+    }, USER);
+
+    await expect(ledger.reversePlatformReceipt(platform, USER)).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockDocs.get('providers/prov_1/platforms/plat_1').stockPostedAt).toBeInstanceOf(Date);
+  });
+
+  test('DEBE totalizar existencias por material, categoría, proveedor y ubicación y mostrar el kardex', async () => {
+    await ledger.postPlatformReceipt(buildPlatform(), USER);
+    await ledger.postPlatformReceipt(buildPlatform({
+      id: 'plat_2',
+      platformNumber: 'P-002',
+      location: 'bodega-1',
+      pieces: [{ number: 1, material: 'Mármol Carrara', linearMeters: 0.8 }]
+    }), USER);
+
+    const { balances, summary } = await ledger.getBalances();
+    expect(balances).toHaveLength(3);
+    expect(summary.totals).toEqual({ linearMeters: 3.05, pieces: 4 });
+    expect(summary.byCategory).toEqual(expect.arrayContaining([
+      { category: 'Mármol', linearMeters: 2.45, pieces: 3 },
+      { category: 'Granito', linearMeters: 0.6, pieces: 1 }
+    ]));
+    expect(summary.byProvider).toEqual([
+      { providerId: 'prov_1', provider: 'Canteras del Norte', linearMeters: 3.05, pieces: 4 }
+    ]);
+    expect(summary.byLocation).toEqual(expect.arrayContaining([
+      { location: 'patio-a', linearMeters: 2.25, pieces: 3 },
+      { location: 'bodega-1', linearMeters: 0.8, pieces: 1 }
+    ]));
+
+    const kardex = await ledger.getKardex(USER, 'mat_carrara', { location: 'bodega-1' });
+    expect(kardex.material).toMatchObject({ id: 'mat_carrara', name: 'Mármol Carrara' });
+    expect(kardex.onHand).toMatchObject({ linearMeters: 0.8, pieces: 1 });
+    expect(kardex.movements).toHaveLength(1);
+    expect(kardex.movements[0]).toMatchObject({ reference: 'P-002', balanceAfter: { linearMeters: 0.8, pieces: 1 } });
+  });
+
+  test('DEBE paginar el kardex con cursor y filtrar por ubicación en la consulta', async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-01T10:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      await ledger.postPlatformReceipt(buildPlatform(), USER);
+      for (const [index, linearMeters] of [0.3, 0.25, 0.2].entries()) {
+        jest.setSystemTime(new Date(`2025-03-0${index + 2}T10:00:00Z`));
+        await ledger.createDocument(USER, {
+          type: 'outbound',
+          lines: [{ materialId: 'mat_carrara', location: 'patio-a', linearMeters, pieces: 0 }]
+        }, USER);
+      }
+    } finally {
+      jest.useRealTimers();
+    }
+    await ledger.postPlatformReceipt(buildPlatform({
+      id: 'plat_2',
+      platformNumber: 'P-002',
+      location: 'bodega-1',
+      pieces: [{ number: 1, material: 'Mármol Carrara', linearMeters: 0.8 }]
+    }), USER);
+
+    const firstPage = await ledger.getKardex(USER, 'mat_carrara', { location: 'patio-a', limit: 2 });
+    expect(firstPage.movements.map(m => m.balanceAfter.linearMeters)).toEqual([0.9, 1.1]);
+    expect(firstPage.pagination).toMatchObject({ limit: 2, hasMore: true, nextCursor: firstPage.movements[1].id });
+
+    const secondPage = await ledger.getKardex(USER, 'mat_carrara', {
+      location: 'patio-a',
+      limit: 2,
+      startAfter: firstPage.pagination.nextCursor
+    });
+    expect(secondPage.movements.map(m => m.balanceAfter.linearMeters)).toEqual([1.35, 1.65]);
+    expect(secondPage.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  test('DEBE llevar la existencia por proveedor y no descontar de otro proveedor', async () => {
+    mockDocs.set('providers/prov_2', { name: 'Mármoles del Sur', userId: USER, isActive: true });
+    await ledger.postPlatformReceipt(buildPlatform(), USER);
+    await ledger.postPlatformReceipt(buildPlatform({
+      id: 'plat_2',
+      providerId: 'prov_2',
+      provider: 'Mármoles del Sur',
+      platformNumber: 'P-002',
+      pieces: [{ number: 1, material: 'Mármol Carrara', linearMeters: 0.5 }]
+    }), USER);
+
+    expect(balanceOf('mat_carrara', 'patio-a')).toMatchObject({ linearMeters: 1.65, pieces: 2 });
+    expect(balanceOf('mat_carrara', 'patio-a', 'prov_2')).toMatchObject({ linearMeters: 0.5, pieces: 1 });
+
+    // El total en patio alcanza, pero la existencia de prov_2 no
+    await expect(ledger.createDocument(USER, {
+      type: 'outbound',
+      lines: [{ materialId: 'mat_carrara', providerId: 'prov_2', location: 'patio-a', linearMeters: 0.9, pieces: 1 }]
+    }, USER)).rejects.toThrow('Existencia insuficiente de Mármol Carrara de Mármoles del Sur en patio-a');
+
+    // Con existencia de dos proveedores el renglón debe indicar cuál
+    await expect(ledger.createDocument(USER, {
+      type: 'outbound',
+      lines: [{ materialId: 'mat_carrara', location: 'patio-a', linearMeters: 0.2 }]
+    }, USER)).rejects.toMatchObject({ statusCode: 400 });
+
+    // Con un solo proveedor en la ubicación se descuenta de él
+    const outbound = await ledger.createDocument(USER, {
+      type: 'outbound',
+      lines: [{ materialId: 'mat_negro', location: 'patio-a', linearMeters: 0.6, pieces: 1 }]
+    }, USER);
+    expect(outbound.lines[0]).toMatchObject({ providerId: 'prov_1', linearMeters: 0.6 });
+
+    const { summary } = await ledger.getBalances();
+    expect(summary.byProvider).toEqual(expect.arrayContaining([
+      { providerId: 'prov_1', provider: 'Canteras del Norte', linearMeters: 1.65, pieces: 2 },
+      { providerId: 'prov_2', provider: 'Mármoles del Sur', linearMeters: 0.5, pieces: 1 }
+    ]));
+  });
+});
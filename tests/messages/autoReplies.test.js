@@ -0,0 +1,150 @@
+/**
+ * 🧪 TESTS DE RESPUESTAS AUTOMÁTICAS
+ *
+ * Verifica la elección de respuesta (feriado, fuera de horario, saludo),
+ * el límite de una respuesta por ventana y el registro en el hilo como
+ * mensaje de sistema automatizado.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockConversationDocs = new Map();
+const mockAppendOutbound = jest.fn();
+
+jest.mock('../../src/config/firebase', () => {
+  const conversationRef = (path) => ({ path });
+  return {
+    firestore: {
+      collection: (name) => ({
+        doc: (contactId) => ({
+          collection: () => ({ doc: (conversationId) => conversationRef(`${name}/${contactId}/${conversationId}`) })
+        })
+      }),
+      runTransaction: async (fn) => fn({
+        get: async (ref) => ({
+          exists: mockConversationDocs.has(ref.path),
+          data: () => mockConversationDocs.get(ref.path)
+        }),
+        set: (ref, data) => mockConversationDocs.set(ref.path, { ...mockConversationDocs.get(ref.path), ...data })
+      })
+    },
+    FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    Timestamp: { now: () => new Date() }
+  };
+});
+
+jest.mock('../../src/repositories/ConversationsRepository', () => ({
+  getConversationsRepository: () => ({ appendOutbound: mockAppendOutbound })
+}));
+
+const AutoResponderService = require('../../src/services/AutoResponderService');
+const AutoReplySettings = require('../../src/models/AutoReplySettings');
+
+// Lunes a viernes 09:00-18:00 en CDMX (UTC-6) con feriado el 16 de septiembre
+const calendar = {
+  id: 'cal_1',
+  timezone: 'America/Mexico_City',
+  weeklySchedule: {
+    1: [{ start: '09:00', end: '18:00' }],
+    2: [{ start: '09:00', end: '18:00' }],
+    3: [{ start: '09:00', end: '18:00' }],
+    4: [{ start: '09:00', end: '18:00' }],
+    5: [{ start: '09:00', end: '18:00' }]
+  },
+  holidays: [{ date: '2026-09-16', name: 'Día de la Independencia' }]
+};
+
+const settings = new AutoReplySettings({
+  enabled: true,
+  windowMinutes: 60,
+  greeting: { enabled: true, message: '¡Hola! Gracias por escribirnos.' },
+  afterHours: { message: 'Estamos cerrados. Abrimos {{nextOpening}}.' },
+  holiday: { message: 'Hoy es {{holiday}}.' }
+});
+
+describe('🤖 Respuestas automáticas', () => {
+  beforeEach(() => {
+    mockConversationDocs.clear();
+    mockAppendOutbound.mockReset().mockImplementation(async (msg) => ({ message: { id: msg.messageId, ...msg } }));
+    jest.spyOn(AutoReplySettings, 'getForWorkspace').mockResolvedValue(settings);
+    jest.spyOn(AutoResponderService, 'getCalendar').mockResolvedValue(calendar);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveReply', () => {
+    test('DEBE responder fuera de horario con la próxima apertura', () => {
+      // Lunes 19 oct 2026, 20:00 local
+      const reply = AutoResponderService.resolveReply({ settings, calendar, now: new Date('2026-10-20T02:00:00Z') });
+
+      expect(reply.type).toBe('after_hours');
+      expect(reply.body).toMatch(/^Estamos cerrados\. Abrimos martes, 20 de octubre/);
+    });
+
+    test('DEBE priorizar el mensaje de feriado', () => {
+      // Miércoles 16 sep 2026, 11:00 local (feriado)
+      const reply = AutoResponderService.resolveReply({ settings, calendar, now: new Date('2026-09-16T17:00:00Z') });
+
+      expect(reply).toEqual({ type: 'holiday', body: 'Hoy es Día de la Independencia.' });
+    });
+
+    test('DEBE saludar solo en conversaciones nuevas dentro de horario', () => {
+      const now = new Date('2026-10-19T17:00:00Z');
+
+      expect(AutoResponderService.resolveReply({ settings, calendar, isNewConversation: true, now }).type).toBe('greeting');
+      expect(AutoResponderService.resolveReply({ settings, calendar, isNewConversation: false, now })).toBeNull();
+    });
+  });
+
+  describe('handleInboundMessage', () => {
+    const inbound = {
+      contactId: 'contact1',
+      conversationId: 'conv_1',
+      customerPhone: '+5215512345678',
+      isNewConversation: false,
+      now: new Date('2026-10-20T02:00:00Z')
+    };
+
+    test('DEBE enviar y registrar la respuesta como mensaje de sistema automatizado', async () => {
+      const result = await AutoResponderService.handleInboundMessage(inbound);
+
+      expect(result).toMatchObject({ sent: true, type: 'after_hours' });
+      expect(mockAppendOutbound).toHaveBeenCalledTimes(1);
+      expect(mockAppendOutbound).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: 'conv_1',
+        type: 'system',
+        senderIdentifier: 'system',
+        recipientIdentifier: '+5215512345678',
+        metadata: { automated: true, autoReplyType: 'after_hours' }
+      }));
+    });
+
+    test('DEBE responder una sola vez por ventana', async () => {
+      await AutoResponderService.handleInboundMessage(inbound);
+      const second = await AutoResponderService.handleInboundMessage({
+        ...inbound,
+        now: new Date(inbound.now.getTime() + 30 * 60 * 1000)
+      });
+      const third = await AutoResponderService.handleInboundMessage({
+        ...inbound,
+        now: new Date(inbound.now.getTime() + 61 * 60 * 1000)
+      });
+
+      expect(second).toMatchObject({ sent: false, reason: 'rate_limited' });
+      expect(third.sent).toBe(true);
+      expect(mockAppendOutbound).toHaveBeenCalledTimes(2);
+    });
+
+    test('NO DEBE responder si el workspace lo tiene deshabilitado', async () => {
+      AutoReplySettings.getForWorkspace.mockResolvedValue(new AutoReplySettings({ enabled: false }));
+
+      const result = await AutoResponderService.handleInboundMessage(inbound);
+
+      expect(result).toEqual({ sent: false, reason: 'disabled' });
+      expect(mockAppendOutbound).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * 🧪 TESTS DE RESPUESTAS GUARDADAS
+ *
+ * Verifica atajos, visibilidad por alcance, búsqueda, relleno de
+ * placeholders y estadísticas de uso.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const CannedResponseService = require('../../src/services/CannedResponseService');
+const CannedResponse = require('../../src/models/CannedResponse');
+
+const agent = { id: 'ana@empresa.com', name: 'Ana López', email: 'ana@empresa.com', role: 'agent', department: 'ventas' };
+
+const library = [
+  new CannedResponse({ id: 'r1', title: 'Precio del plan', shortcut: '/precio', content: 'Hola {{contact.firstName}}, el plan cuesta $299.', category: 'ventas', scope: 'global', usageCount: 12 }),
+  new CannedResponse({ id: 'r2', title: 'Precio mayoreo', shortcut: '/precio-mayoreo', content: 'Para mayoreo te atiende {{agent.name}}.', category: 'ventas', scope: 'team', teamId: 'ventas', usageCount: 3 }),
+  new CannedResponse({ id: 'r3', title: 'Horario soporte', shortcut: '/horario', content: 'Soporte 24/7', category: 'soporte', scope: 'team', teamId: 'soporte', usageCount: 40 }),
+  new CannedResponse({ id: 'r4', title: 'Mi firma', shortcut: '/firma', content: 'Saludos, {{agent.firstName}}', category: 'general', scope: 'personal', ownerId: 'otro@empresa.com' })
+];
+
+describe('💬 Respuestas guardadas', () => {
+  beforeEach(() => {
+    jest.spyOn(CannedResponse, 'list').mockResolvedValue(library);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE normalizar atajos', () => {
+    expect(CannedResponseService.normalizeShortcut('Precio Envío')).toBe('/precio-envio');
+    expect(CannedResponseService.normalizeShortcut('//precio')).toBe('/precio');
+    expect(CannedResponseService.normalizeShortcut('/')).toBeNull();
+  });
+
+  test('DEBE mostrar solo globales, de su equipo y personales propias', async () => {
+    const responses = await CannedResponseService.listForUser(agent);
+
+    expect(responses.map(response => response.id)).toEqual(['r2', 'r1']);
+  });
+
+  test('DEBE buscar por prefijo de atajo y por texto', async () => {
+    const byShortcut = await CannedResponseService.search(agent, '/prec');
+    const byText = await CannedResponseService.search(agent, 'mayoreo');
+
+    expect(byShortcut.map(response => response.id)).toEqual(['r2', 'r1']);
+    expect(byText.map(response => response.id)).toEqual(['r2']);
+  });
+
+  test('DEBE rellenar placeholders con contacto y agente', () => {
+    const context = CannedResponseService.buildContext({
+      id: 'conv_1',
+      contact: { name: 'María Pérez', phone: 'whatsapp:+5215512345678' }
+    }, agent);
+
+    expect(CannedResponseService.render(library[0].content, context)).toEqual({
+      content: 'Hola María, el plan cuesta $299.',
+      missing: []
+    });
+    expect(CannedResponseService.render('Tel: {{contact.phone}} / {{contact.email}}', context)).toEqual({
+      content: 'Tel: +5215512345678 /',
+      missing: ['contact.email']
+    });
+  });
+
+  test('DEBE registrar el uso al usar una respuesta', async () => {
+    const response = new CannedResponse(library[1]);
+    const recordUsage = jest.spyOn(response, 'recordUsage').mockResolvedValue();
+
+    const result = await CannedResponseService.use(response, { user: agent, conversation: { id: 'conv_1' } });
+
+    expect(result.content).toBe('Para mayoreo te atiende Ana López.');
+    expect(recordUsage).toHaveBeenCalledWith({ userId: agent.id, conversationId: 'conv_1' });
+  });
+
+  test('DEBE calcular estadísticas y candidatas para la base de conocimiento', async () => {
+    jest.spyOn(CannedResponse, 'getUsageEvents').mockResolvedValue([
+      { responseId: 'r2', userId: 'ana@empresa.com' },
+      { responseId: 'r2', userId: 'luis@empresa.com' },
+      { responseId: 'r3', userId: 'otro@empresa.com' }
+    ]);
+
+    const stats = await CannedResponseService.getUsageStats(agent, { startDate: new Date(0), endDate: new Date() });
+
+    expect(stats).toMatchObject({ totalResponses: 2, periodUsage: 2, activeAgents: 2 });
+    expect(stats.topAllTime.map(item => item.id)).toEqual(['r1', 'r2']);
+    expect(stats.topPeriod[0]).toMatchObject({ id: 'r2', periodUsage: 2 });
+    expect(stats.knowledgeCandidates.map(item => item.id)).toEqual(['r1', 'r2']);
+  });
+
+  test('DEBE permitir gestionar globales solo a administradores o supervisores', () => {
+    expect(CannedResponseService.canManage({ scope: 'global' }, agent)).toBe(false);
+    expect(CannedResponseService.canManage({ scope: 'global' }, { ...agent, role: 'supervisor' })).toBe(true);
+    expect(CannedResponseService.canManage({ scope: 'personal', ownerId: agent.id }, agent)).toBe(true);
+  });
+});
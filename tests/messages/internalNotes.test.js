@@ -0,0 +1,143 @@
+/**
+ * 🧪 TESTS DE NOTAS INTERNAS Y MENCIONES
+ *
+ * Verifica el parseo y la resolución de @menciones, que la nota se guarde
+ * sin pasar por Twilio, las notificaciones por usuario y la exclusión de
+ * notas en transcripciones para el cliente.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockAppendInternalNote = jest.fn();
+const mockAppendOutbound = jest.fn();
+const mockBroadcastToConversation = jest.fn();
+const mockEmitMention = jest.fn();
+
+jest.mock('../../src/repositories/ConversationsRepository', () => ({
+  getConversationsRepository: () => ({
+    appendInternalNote: mockAppendInternalNote,
+    appendOutbound: mockAppendOutbound
+  })
+}));
+
+jest.mock('../../src/socket', () => ({
+  getSocketManager: () => ({
+    broadcastToConversation: mockBroadcastToConversation,
+    emitMention: mockEmitMention
+  })
+}));
+
+const InternalNoteService = require('../../src/services/InternalNoteService');
+const Mention = require('../../src/models/Mention');
+const User = require('../../src/models/User');
+const { extractMentionTokens, excludeInternalNotes } = require('../../src/utils/internalNotes');
+
+const author = { id: 'ana@empresa.com', email: 'ana@empresa.com', name: 'Ana López', role: 'agent' };
+const conversation = {
+  id: 'conv_+5215512345678_+5215598765432',
+  contactId: 'contact_1',
+  workspaceId: 'ws_1',
+  tenantId: 'ten_1',
+  contact: { name: 'María Pérez' }
+};
+
+describe('📝 Notas internas y menciones', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'getAllActive').mockResolvedValue([
+      new User({ email: 'ana@empresa.com', name: 'Ana López' }),
+      new User({ email: 'luis.ramos@empresa.com', name: 'Luis Ramos' }),
+      new User({ email: 'sofia@empresa.com', name: 'Sofía Díaz' })
+    ]);
+    jest.spyOn(Mention, 'create').mockImplementation(async (data) => new Mention({ id: `m_${data.userEmail}`, ...data }));
+    jest.spyOn(Mention, 'countUnread').mockResolvedValue(3);
+    mockAppendInternalNote.mockImplementation(async (note) => ({
+      message: { id: note.messageId, type: 'internal_note', direction: 'internal', content: note.content, mentions: note.mentions },
+      idempotent: false
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('DEBE extraer menciones por correo y por usuario sin tomar correos sueltos', () => {
+    expect(extractMentionTokens('@luis.ramos revisa esto con @Sofia@empresa.com. Copia a soporte@empresa.com'))
+      .toEqual(['luis.ramos', 'sofia@empresa.com']);
+  });
+
+  test('DEBE resolver menciones contra usuarios activos y excluir al autor', async () => {
+    const { users, unresolved } = await InternalNoteService.resolveMentions(
+      '@luis.ramos @ana @pedro',
+      ['sofia@empresa.com'],
+      { authorEmail: author.email }
+    );
+
+    expect(users.map(user => user.email)).toEqual(['luis.ramos@empresa.com', 'sofia@empresa.com']);
+    expect(unresolved).toEqual(['pedro']);
+  });
+
+  test('DEBE guardar la nota sin enviarla a Twilio y notificar a cada mencionado', async () => {
+    const result = await InternalNoteService.createNote({
+      conversation,
+      author,
+      content: 'Cliente molesto por el envío, @luis.ramos ¿lo revisas?'
+    });
+
+    expect(mockAppendOutbound).not.toHaveBeenCalled();
+    expect(mockAppendInternalNote).toHaveBeenCalledWith(expect.objectContaining({
+      contactId: 'contact_1',
+      conversationId: conversation.id,
+      authorEmail: 'ana@empresa.com',
+      mentions: ['luis.ramos@empresa.com']
+    }));
+    expect(result.mentions.map(mention => mention.userEmail)).toEqual(['luis.ramos@empresa.com']);
+    expect(mockBroadcastToConversation).toHaveBeenCalledWith(expect.objectContaining({ event: 'internal-note' }));
+    expect(mockEmitMention).toHaveBeenCalledWith(expect.objectContaining({
+      userEmail: 'luis.ramos@empresa.com',
+      unreadCount: 3
+    }));
+  });
+
+  test('NO DEBE duplicar menciones si la nota ya existía', async () => {
+    mockAppendInternalNote.mockResolvedValueOnce({ message: { id: 'NOTE_1' }, idempotent: true });
+
+    const result = await InternalNoteService.createNote({ conversation, author, content: '@sofia ok' });
+
+    expect(result.mentions).toEqual([]);
+    expect(Mention.create).not.toHaveBeenCalled();
+    expect(mockEmitMention).not.toHaveBeenCalled();
+  });
+
+  test('DEBE excluir notas internas salvo que se habilite explícitamente', () => {
+    const messages = [
+      { id: '1', type: 'text', direction: 'inbound' },
+      { id: '2', type: 'internal_note', direction: 'internal' },
+      { id: '3', type: 'text', direction: 'outbound' }
+    ];
+
+    expect(excludeInternalNotes(messages).map(message => message.id)).toEqual(['1', '3']);
+    expect(excludeInternalNotes(messages, { includeInternalNotes: true })).toHaveLength(3);
+  });
+
+  test('DEBE generar la transcripción para el cliente sin notas internas', async () => {
+    const docs = [
+      { id: 'initial_placeholder', type: 'system', direction: 'system', metadata: { isInitialPlaceholder: true } },
+      { id: 'm1', type: 'text', direction: 'inbound', content: 'Hola', senderIdentifier: 'whatsapp:+5215512345678', timestamp: new Date('2026-10-01T15:00:00Z') },
+      { id: 'n1', type: 'internal_note', direction: 'internal', content: 'Cliente VIP', senderIdentifier: 'ana@empresa.com', metadata: { internal: true, authorName: 'Ana López' }, timestamp: new Date('2026-10-01T15:01:00Z') },
+      { id: 'm2', type: 'text', direction: 'outbound', content: 'Con gusto', senderIdentifier: 'ana@empresa.com', timestamp: new Date('2026-10-01T15:02:00Z') }
+    ];
+    jest.spyOn(InternalNoteService, 'messagesRef').mockReturnValue({
+      orderBy: () => ({ get: async () => ({ docs: docs.map(doc => ({ id: doc.id, data: () => doc })) }) })
+    });
+
+    const entries = await InternalNoteService.buildTranscript(conversation);
+    const withNotes = await InternalNoteService.buildTranscript(conversation, { includeInternalNotes: true });
+
+    expect(entries.map(entry => entry.id)).toEqual(['m1', 'm2']);
+    expect(entries[0]).toMatchObject({ sender: 'María Pérez', timestamp: '2026-10-01T15:00:00.000Z' });
+    expect(InternalNoteService.formatTranscriptText(conversation, withNotes))
+      .toContain('[2026-10-01T15:01:00.000Z] [Nota interna] Ana López: Cliente VIP');
+  });
+});
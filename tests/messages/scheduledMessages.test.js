@@ -0,0 +1,176 @@
+/**
+ * 🧪 TESTS DE MENSAJES PROGRAMADOS
+ *
+ * Verifica que el mensaje programado aparezca en el hilo, que se entregue
+ * dentro de la ventana de 24 horas, que use la plantilla de respaldo cuando
+ * la ventana está cerrada y que falle con un motivo claro si no la hay.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockUpsertScheduledPlaceholder = jest.fn();
+const mockRemoveScheduledPlaceholder = jest.fn();
+const mockAppendOutbound = jest.fn();
+const mockBroadcastToConversation = jest.fn();
+const mockQueueSchedule = jest.fn();
+const mockQueueRemove = jest.fn();
+
+jest.mock('../../src/repositories/ConversationsRepository', () => ({
+  getConversationsRepository: () => ({
+    upsertScheduledPlaceholder: mockUpsertScheduledPlaceholder,
+    removeScheduledPlaceholder: mockRemoveScheduledPlaceholder,
+    appendOutbound: mockAppendOutbound
+  })
+}));
+
+jest.mock('../../src/socket', () => ({
+  getSocketManager: () => ({
+    broadcastToConversation: mockBroadcastToConversation
+  })
+}));
+
+jest.mock('../../src/services/ScheduledMessageQueueService', () => ({
+  schedule: mockQueueSchedule,
+  remove: mockQueueRemove
+}));
+
+const ScheduledMessageService = require('../../src/services/ScheduledMessageService');
+const ScheduledMessage = require('../../src/models/ScheduledMessage');
+const WhatsAppTemplateService = require('../../src/services/WhatsAppTemplateService');
+const Contact = require('../../src/models/Contact');
+
+const now = new Date('2026-10-20T15:00:00Z');
+const user = { email: 'ana@empresa.com', workspaceId: 'ws_1', tenantId: 'ten_1' };
+const conversation = {
+  id: 'conv_+5215512345678_+5215598765432',
+  contactId: 'contact_1',
+  customerPhone: '+5215512345678',
+  workspaceId: 'ws_1',
+  tenantId: 'ten_1'
+};
+
+const buildScheduled = (overrides = {}) => new ScheduledMessage({
+  id: 'sched_1',
+  conversationId: conversation.id,
+  contactId: conversation.contactId,
+  recipientIdentifier: conversation.customerPhone,
+  content: 'Le recuerdo su cita de mañana',
+  attachments: [{ fileId: 'file_1', url: 'https://cdn.test/cita.pdf', name: 'cita.pdf', mimeType: 'application/pdf', category: 'document' }],
+  scheduledAt: now,
+  createdBy: user.email,
+  workspaceId: 'ws_1',
+  tenantId: 'ten_1',
+  ...overrides
+});
+
+describe('🕒 Mensajes programados', () => {
+  let scheduled;
+
+  beforeEach(() => {
+    scheduled = buildScheduled();
+    jest.spyOn(ScheduledMessage.prototype, 'update').mockImplementation(async function (updates) {
+      Object.assign(this, updates);
+    });
+    jest.spyOn(ScheduledMessage.prototype, 'claimForDelivery').mockResolvedValue(true);
+    jest.spyOn(ScheduledMessage, 'getById').mockImplementation(async () => scheduled);
+    mockUpsertScheduledPlaceholder.mockImplementation(async (placeholder) => ({ id: placeholder.messageId, status: placeholder.status }));
+    mockAppendOutbound.mockImplementation(async (msg) => ({ message: { id: msg.messageId, twilioSid: 'SM123' } }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('DEBE considerar abierta la ventana solo dentro de las 24 horas', () => {
+    expect(ScheduledMessageService.isWindowOpen(new Date('2026-10-19T16:00:00Z'), now)).toBe(true);
+    expect(ScheduledMessageService.isWindowOpen(new Date('2026-10-19T14:59:00Z'), now)).toBe(false);
+    expect(ScheduledMessageService.isWindowOpen(null, now)).toBe(false);
+  });
+
+  test('DEBE crear el mensaje en el hilo con estado scheduled y encolarlo', async () => {
+    jest.spyOn(ScheduledMessage, 'create').mockImplementation(async (data) => new ScheduledMessage({ id: 'sched_2', ...data }));
+    mockQueueSchedule.mockResolvedValue('scheduled_sched_2_r1');
+
+    const result = await ScheduledMessageService.schedule({
+      conversation,
+      user,
+      content: 'Hola, ¿sigue interesado?',
+      scheduledAt: '2026-10-21T15:00:00Z'
+    });
+
+    expect(mockUpsertScheduledPlaceholder).toHaveBeenCalledWith(expect.objectContaining({
+      messageId: 'SCHED_sched_2',
+      status: 'scheduled',
+      recipientIdentifier: '+5215512345678'
+    }));
+    expect(result.jobId).toBe('scheduled_sched_2_r1');
+    expect(mockBroadcastToConversation).toHaveBeenCalledWith(expect.objectContaining({ event: 'new-message' }));
+  });
+
+  test('DEBE enviar con adjuntos dentro de la ventana reemplazando el mensaje programado', async () => {
+    jest.spyOn(ScheduledMessageService, 'getLastInboundAt').mockResolvedValue(new Date('2026-10-20T10:00:00Z'));
+
+    const result = await ScheduledMessageService.deliver('sched_1', { revision: 1, now });
+
+    expect(result).toEqual({ delivered: true, via: 'session' });
+    expect(mockRemoveScheduledPlaceholder).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'SCHED_sched_1' }));
+    expect(mockAppendOutbound).toHaveBeenCalledWith(expect.objectContaining({
+      messageId: 'SCHED_sched_1',
+      type: 'file',
+      metadata: expect.objectContaining({ attachments: scheduled.attachments })
+    }));
+    expect(scheduled).toMatchObject({ status: 'sent', deliveredVia: 'session', twilioSid: 'SM123' });
+  });
+
+  test('DEBE usar la plantilla de respaldo si la ventana está cerrada', async () => {
+    scheduled = buildScheduled({ fallbackTemplateId: 'tpl_1', templateVariables: { 1: 'mañana' } });
+    jest.spyOn(ScheduledMessageService, 'getLastInboundAt').mockResolvedValue(new Date('2026-10-15T10:00:00Z'));
+    jest.spyOn(WhatsAppTemplateService, 'getUsableTemplate').mockResolvedValue({ id: 'tpl_1' });
+    jest.spyOn(WhatsAppTemplateService, 'prepareMessage').mockReturnValue({
+      ready: true,
+      missing: [],
+      body: 'Su cita es mañana',
+      contentSid: 'HX123',
+      contentVariables: { 1: 'mañana' }
+    });
+    jest.spyOn(Contact, 'getByPhone').mockResolvedValue(null);
+
+    const result = await ScheduledMessageService.deliver('sched_1', { revision: 1, now });
+
+    expect(result).toEqual({ delivered: true, via: 'template' });
+    expect(mockAppendOutbound).toHaveBeenCalledWith(expect.objectContaining({
+      content: 'Su cita es mañana',
+      contentSid: 'HX123',
+      type: 'text',
+      metadata: expect.objectContaining({ attachments: [], templateId: 'tpl_1' })
+    }));
+    expect(scheduled.deliveredVia).toBe('template');
+  });
+
+  test('DEBE marcar como fallido si la ventana está cerrada y no hay plantilla', async () => {
+    jest.spyOn(ScheduledMessageService, 'getLastInboundAt').mockResolvedValue(null);
+
+    const result = await ScheduledMessageService.deliver('sched_1', { revision: 1, now });
+
+    expect(result).toEqual({ delivered: false, reason: 'window_closed' });
+    expect(mockAppendOutbound).not.toHaveBeenCalled();
+    expect(scheduled).toMatchObject({ status: 'failed', failureReason: 'window_closed' });
+    expect(mockUpsertScheduledPlaceholder).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      metadata: expect.objectContaining({ failureReason: 'window_closed' })
+    }));
+  });
+
+  test('NO DEBE enviar si el job pertenece a una revisión anterior o fue cancelado', async () => {
+    ScheduledMessage.prototype.claimForDelivery.mockResolvedValue(false);
+    const getLastInboundAt = jest.spyOn(ScheduledMessageService, 'getLastInboundAt');
+
+    const result = await ScheduledMessageService.deliver('sched_1', { revision: 1, now });
+
+    expect(result).toEqual({ delivered: false, reason: 'stale' });
+    expect(getLastInboundAt).not.toHaveBeenCalled();
+    expect(mockAppendOutbound).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * 🧪 TESTS DE LISTA DE SUPRESIÓN
+ *
+ * Verifica la detección de palabras clave de baja, el registro con
+ * confirmación al cliente y la exclusión de números en envíos masivos.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockSendWhatsAppMessage = jest.fn();
+
+jest.mock('../../src/services/MessageService', () => ({
+  getMessageService: () => ({ sendWhatsAppMessage: mockSendWhatsAppMessage })
+}));
+
+const SuppressionService = require('../../src/services/SuppressionService');
+const SuppressionEntry = require('../../src/models/SuppressionEntry');
+const Contact = require('../../src/models/Contact');
+
+describe('🚫 Lista de supresión', () => {
+  beforeEach(() => {
+    mockSendWhatsAppMessage.mockReset().mockResolvedValue({ sid: 'SM1' });
+    jest.spyOn(Contact, 'getByPhone').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectOptOutKeyword', () => {
+    test('DEBE reconocer STOP, BAJA y CANCELAR sin importar formato', () => {
+      expect(SuppressionService.detectOptOutKeyword('stop')).toBe('STOP');
+      expect(SuppressionService.detectOptOutKeyword('  Baja. ')).toBe('BAJA');
+      expect(SuppressionService.detectOptOutKeyword('CANCELAR!')).toBe('CANCELAR');
+    });
+
+    test('NO DEBE reconocer la palabra dentro de un mensaje más largo', () => {
+      expect(SuppressionService.detectOptOutKeyword('no quiero cancelar mi pedido')).toBeNull();
+      expect(SuppressionService.detectOptOutKeyword('')).toBeNull();
+    });
+  });
+
+  describe('handleInboundMessage', () => {
+    test('DEBE registrar la baja y confirmar solo la primera vez', async () => {
+      const getByPhone = jest.spyOn(SuppressionEntry, 'getByPhone').mockResolvedValueOnce(null);
+      const upsert = jest.spyOn(SuppressionEntry, 'upsert').mockImplementation(async data => new SuppressionEntry(data));
+
+      const first = await SuppressionService.handleInboundMessage('whatsapp:+5215512345678', 'BAJA');
+
+      expect(first).toMatchObject({ optedOut: true, keyword: 'BAJA', alreadySuppressed: false });
+      expect(upsert).toHaveBeenCalledWith(expect.objectContaining({ phone: '+5215512345678', reason: 'keyword' }));
+      expect(mockSendWhatsAppMessage).toHaveBeenCalledTimes(1);
+      expect(mockSendWhatsAppMessage.mock.calls[0][0].to).toBe('+5215512345678');
+
+      getByPhone.mockResolvedValueOnce(new SuppressionEntry({ phone: '+5215512345678' }));
+      const second = await SuppressionService.handleInboundMessage('+5215512345678', 'stop');
+
+      expect(second.alreadySuppressed).toBe(true);
+      expect(mockSendWhatsAppMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('NO DEBE hacer nada con mensajes normales', async () => {
+      const upsert = jest.spyOn(SuppressionEntry, 'upsert');
+
+      const result = await SuppressionService.handleInboundMessage('+5215512345678', 'Hola, quiero información');
+
+      expect(result.optedOut).toBe(false);
+      expect(upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('partitionContacts', () => {
+    test('DEBE omitir números en la lista y contactos con optedOut', async () => {
+      jest.spyOn(SuppressionEntry, 'getActivePhones').mockResolvedValue(new Set(['+5215500000002']));
+
+      const { allowed, suppressed } = await SuppressionService.partitionContacts([
+        { id: 'c1', phone: 'whatsapp:+5215500000001' },
+        { id: 'c2', phone: 'whatsapp:+5215500000002' },
+        { id: 'c3', phone: 'whatsapp:+5215500000003', optedOut: true }
+      ]);
+
+      expect(allowed.map(contact => contact.id)).toEqual(['c1']);
+      expect(suppressed.map(contact => contact.id)).toEqual(['c2', 'c3']);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * 🧪 TESTS DE TRANSCRIPCIÓN DE NOTAS DE VOZ
+ *
+ * Verifica la cadena de backends con respaldo, el encolado de audios
+ * entrantes y la propagación de la transcripción (mensaje, archivo, socket).
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const mockEmitMessageUpdated = jest.fn();
+
+jest.mock('../../src/socket', () => ({
+  getSocketManager: () => ({ emitMessageUpdated: mockEmitMessageUpdated })
+}));
+
+const TranscriptionService = require('../../src/services/TranscriptionService');
+const { registerBackend, BACKENDS } = require('../../src/ai/transcription');
+const { sentimentAnalysisService } = require('../../src/services/SentimentAnalysisService');
+
+describe('🎙️ Transcripción de notas de voz', () => {
+  const originalBackends = process.env.TRANSCRIPTION_BACKENDS;
+
+  beforeAll(() => {
+    registerBackend('fake_down', {
+      isAvailable: () => true,
+      transcribe: jest.fn().mockRejectedValue(new Error('servidor caído'))
+    });
+    registerBackend('fake_local', {
+      isAvailable: () => true,
+      transcribe: jest.fn().mockResolvedValue({ text: 'Hola, quiero saber el precio', language: 'es', confidence: 0.7 })
+    });
+  });
+
+  beforeEach(() => {
+    mockEmitMessageUpdated.mockReset();
+  });
+
+  afterEach(() => {
+    process.env.TRANSCRIPTION_BACKENDS = originalBackends;
+    jest.restoreAllMocks();
+  });
+
+  describe('transcribe', () => {
+    test('DEBE usar el siguiente backend cuando el primero falla', async () => {
+      process.env.TRANSCRIPTION_BACKENDS = 'fake_down,fake_local';
+
+      const result = await TranscriptionService.transcribe(Buffer.from('audio'), { fileName: 'nota.ogg' });
+
+      expect(BACKENDS.fake_down.transcribe).toHaveBeenCalled();
+      expect(result).toMatchObject({ success: true, backend: 'fake_local', text: 'Hola, quiero saber el precio' });
+    });
+
+    test('DEBE reportar no disponible cuando no hay backends configurados', async () => {
+      process.env.TRANSCRIPTION_BACKENDS = 'whisper_cpp';
+      delete process.env.WHISPER_CPP_BIN;
+
+      const result = await TranscriptionService.transcribe(Buffer.from('audio'));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/sin backend configurado/);
+    });
+  });
+
+  describe('processInboundAudio', () => {
+    test('DEBE guardar, emitir por socket y clasificar la transcripción', async () => {
+      process.env.TRANSCRIPTION_BACKENDS = 'fake_local';
+      jest.spyOn(TranscriptionService, 'downloadAudio').mockResolvedValue({ buffer: Buffer.from('ogg'), contentType: 'audio/ogg' });
+      const save = jest.spyOn(TranscriptionService, 'saveTranscription').mockResolvedValue();
+      const classify = jest.spyOn(sentimentAnalysisService, 'processInboundMessage').mockResolvedValue({});
+
+      const transcription = await TranscriptionService.processInboundAudio({
+        contactId: 'contact1',
+        conversationId: 'conv_1',
+        messageId: 'MM123',
+        attachment: { id: 'webhook-MM123-0', url: 'https://media.example.com/a.ogg', category: 'audio' },
+        index: 0
+      });
+
+      expect(transcription).toMatchObject({ status: 'completed', text: 'Hola, quiero saber el precio', fileId: 'webhook-MM123-0' });
+      expect(save).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'MM123', fileId: 'webhook-MM123-0' }));
+      expect(mockEmitMessageUpdated).toHaveBeenCalledWith(expect.objectContaining({
+        conversationId: 'conv_1',
+        messageId: 'MM123',
+        updates: { transcription }
+      }));
+      expect(classify).toHaveBeenCalledWith(expect.objectContaining({ content: 'Hola, quiero saber el precio' }));
+    });
+
+    test('DEBE registrar estado fallido si la descarga falla', async () => {
+      jest.spyOn(TranscriptionService, 'downloadAudio').mockRejectedValue(new Error('404'));
+      jest.spyOn(TranscriptionService, 'saveTranscription').mockResolvedValue();
+
+      const transcription = await TranscriptionService.processInboundAudio({
+        conversationId: 'conv_1',
+        messageId: 'MM124',
+        attachment: { id: 'f1', url: 'https://media.example.com/b.ogg', category: 'audio' },
+        index: 0
+      });
+
+      expect(transcription).toMatchObject({ status: 'failed', text: null, error: '404' });
+      expect(mockEmitMessageUpdated).toHaveBeenCalled();
+    });
+  });
+
+  describe('transcribeInboundAudio', () => {
+    test('DEBE encolar solo los adjuntos de audio', () => {
+      process.env.TRANSCRIPTION_BACKENDS = 'fake_local';
+      const enqueue = jest.spyOn(TranscriptionService, 'enqueue').mockImplementation(() => {});
+
+      const count = TranscriptionService.transcribeInboundAudio({
+        conversationId: 'conv_1',
+        messageId: 'MM125',
+        attachments: [
+          { id: 'f1', url: 'https://x/a.ogg', category: 'audio' },
+          { id: 'f2', url: 'https://x/b.jpg', category: 'image' }
+        ]
+      });
+
+      expect(count).toBe(1);
+      expect(enqueue).toHaveBeenCalledTimes(1);
+    });
+  });
+});
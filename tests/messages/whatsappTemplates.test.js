@@ -0,0 +1,74 @@
+/**
+ * 🧪 TESTS DE PLANTILLAS DE WHATSAPP
+ *
+ * Verifica la validación del registro local, el llenado de variables
+ * por contacto y el renderizado de vista previa.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const WhatsAppTemplateService = require('../../src/services/WhatsAppTemplateService');
+const WhatsAppTemplate = require('../../src/models/WhatsAppTemplate');
+const Contact = require('../../src/models/Contact');
+
+const CONTENT_SID = 'HX' + 'a'.repeat(32);
+
+const buildTemplate = (overrides = {}) => new WhatsAppTemplate({
+  id: 'tpl_1',
+  name: 'renovacion',
+  contentSid: CONTENT_SID,
+  body: 'Hola {{1}}, tu plan {{2}} vence el {{3}}',
+  variables: { '1': 'firstName', '2': 'customFields.plan' },
+  defaults: { '2': 'actual' },
+  ...overrides
+});
+
+const buildContact = (overrides = {}) => new Contact({
+  id: 'contact_1',
+  name: 'Ana López',
+  phone: 'whatsapp:+5215512345678',
+  customFields: { plan: 'Premium' },
+  ...overrides
+});
+
+describe('📝 Plantillas de WhatsApp', () => {
+  describe('validateDefinition', () => {
+    test('DEBE aceptar una plantilla con todos los placeholders resolubles', () => {
+      const template = buildTemplate({ defaults: { '2': 'actual', '3': 'próximo mes' } });
+
+      expect(WhatsAppTemplateService.validateDefinition(template)).toEqual([]);
+    });
+
+    test('DEBE rechazar Content SID inválido y placeholders sin fuente', () => {
+      const errors = WhatsAppTemplateService.validateDefinition(buildTemplate({
+        contentSid: 'MG123',
+        variables: { '1': 'direccion', '9': 'name' }
+      }));
+
+      expect(errors.some(error => error.includes('contentSid'))).toBe(true);
+      expect(errors.some(error => error.includes('{{3}}'))).toBe(true);
+      expect(errors.some(error => error.includes('Fuente inválida'))).toBe(true);
+      expect(errors.some(error => error.includes('La variable 9'))).toBe(true);
+    });
+  });
+
+  describe('Variables por contacto', () => {
+    test('DEBE llenar desde el contacto, customFields y valores fijos del envío', () => {
+      const prepared = WhatsAppTemplateService.prepareMessage(buildTemplate(), buildContact(), { '3': '30/06' });
+
+      expect(prepared.ready).toBe(true);
+      expect(prepared.contentVariables).toEqual({ '1': 'Ana', '2': 'Premium', '3': '30/06' });
+      expect(prepared.body).toBe('Hola Ana, tu plan Premium vence el 30/06');
+    });
+
+    test('DEBE usar el default y reportar placeholders sin resolver', () => {
+      const contact = buildContact({ name: null, customFields: {} });
+      const preview = WhatsAppTemplateService.previewForContacts(buildTemplate(), [contact]);
+
+      expect(preview.unresolved).toBe(1);
+      expect(preview.previews[0].missing).toEqual(['1', '3']);
+      expect(preview.previews[0].rendered).toBe('Hola {{1}}, tu plan actual vence el {{3}}');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * 🧪 TESTS DE RESTABLECIMIENTO DE CONTRASEÑA E INVITACIONES
+ *
+ * Verifica la política de contraseñas, la emisión de tokens firmados con
+ * entrega por el transporte local, el canje de un solo uso con cierre de
+ * sesiones, el rechazo de tokens de otro propósito o de cuentas inactivas y
+ * que un fallo de entrega no cambie la respuesta del restablecimiento.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const bcrypt = require('bcryptjs');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const AccountToken = require('../../src/models/AccountToken');
+const AccountTokenService = require('../../src/services/AccountTokenService');
+const AccountNotificationService = require('../../src/services/AccountNotificationService');
+const { validatePassword } = require('../../src/utils/passwordPolicy');
+
+const tokenFromOutbox = () => {
+  const { link } = AccountNotificationService.outbox[AccountNotificationService.outbox.length - 1];
+  return decodeURIComponent(new URL(link).searchParams.get('token'));
+};
+
+describe('🔑 Tokens de cuenta', () => {
+  let user;
+  let records;
+
+  beforeEach(() => {
+    AccountNotificationService.outbox.length = 0;
+    records = new Map();
+    user = new User({ email: 'laura@empresa.com', name: 'Laura Ríos', password: 'temporal', phone: '+5215512345678' });
+
+    jest.spyOn(User, 'getByEmail').mockImplementation(async (email) => (email === user.email ? user : null));
+    jest.spyOn(User.prototype, 'update').mockImplementation(async function (updates) {
+      Object.assign(this, updates);
+    });
+    jest.spyOn(AccountToken, 'revokeActive').mockImplementation(async (email, purpose) => {
+      records.forEach(record => {
+        if (record.email === email && record.purpose === purpose && record.status === 'active') record.status = 'revoked';
+      });
+    });
+    jest.spyOn(AccountToken, 'create').mockImplementation(async (data) => {
+      const record = new AccountToken(data);
+      records.set(record.id, record);
+      return record;
+    });
+    jest.spyOn(AccountToken, 'getById').mockImplementation(async (id) => records.get(id) || null);
+    jest.spyOn(AccountToken, 'consume').mockImplementation(async (id) => {
+      const record = records.get(id);
+      if (!record || record.status !== 'active') return false;
+      record.status = 'used';
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE rechazar contraseñas cortas, comunes o derivadas del usuario', () => {
+    expect(validatePassword('Corta1', {})).toContain('Debe tener al menos 10 caracteres');
+    expect(validatePassword('password123', {})).toEqual(expect.arrayContaining([
+      'Debe combinar mayúsculas y minúsculas',
+      'Es una contraseña demasiado común'
+    ]));
+    expect(validatePassword('LauraSegura2024', { email: 'laura@empresa.com', name: 'Laura Ríos' }))
+      .toEqual(['No debe contener tu nombre ni tu correo']);
+    expect(validatePassword('Mango-Verde-2024', { email: 'laura@empresa.com' })).toEqual([]);
+  });
+
+  test('DEBE emitir el token por el transporte local sin devolverlo en la respuesta', async () => {
+    const result = await AccountTokenService.issue('invite', user, { channel: 'whatsapp', createdBy: 'admin@empresa.com' });
+
+    expect(result).toEqual({ tokenId: expect.any(String), channel: 'whatsapp', expiresAt: expect.any(String) });
+    expect(JSON.stringify(result)).not.toContain(tokenFromOutbox());
+    expect(AccountNotificationService.outbox[0]).toMatchObject({ channel: 'whatsapp', to: '+5215512345678', purpose: 'invite' });
+    expect(AccountNotificationService.outbox[0].link).toContain('/accept-invite?token=');
+    expect(records.get(result.tokenId)).toMatchObject({ status: 'active', purpose: 'invite', createdBy: 'admin@empresa.com' });
+  });
+
+  test('DEBE establecer la contraseña con hash, cerrar sesiones y no aceptar el token dos veces', async () => {
+    const invalidate = jest.spyOn(RefreshToken, 'invalidateAllForUser').mockResolvedValue(2);
+    await AccountTokenService.requestPasswordReset(user.email);
+    const token = tokenFromOutbox();
+
+    const result = await AccountTokenService.complete(token, 'password_reset', 'Mango-Verde-2024');
+
+    expect(result).toEqual({ email: user.email, sessionsClosed: 2 });
+    expect(invalidate).toHaveBeenCalledWith(user.email);
+    expect(user.password).toBeNull();
+    expect(await bcrypt.compare('Mango-Verde-2024', user.passwordHash)).toBe(true);
+    await expect(AccountTokenService.complete(token, 'password_reset', 'Otra-Clave-2025'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('NO DEBE gastar el token si la contraseña no cumple la política', async () => {
+    await AccountTokenService.issue('password_reset', user);
+    const token = tokenFromOutbox();
+
+    await expect(AccountTokenService.complete(token, 'password_reset', 'corta'))
+      .rejects.toMatchObject({ statusCode: 400, details: expect.arrayContaining(['Debe incluir al menos un número']) });
+    expect(AccountToken.consume).not.toHaveBeenCalled();
+    await expect(AccountTokenService.verify(token, 'password_reset')).resolves.toMatchObject({ user });
+  });
+
+  test('NO DEBE aceptar tokens de otro propósito ni tokens reemplazados', async () => {
+    await AccountTokenService.issue('invite', user);
+    const inviteToken = tokenFromOutbox();
+    await expect(AccountTokenService.verify(inviteToken, 'password_reset')).rejects.toMatchObject({ statusCode: 400 });
+
+    await AccountTokenService.issue('invite', user);
+    await expect(AccountTokenService.verify(inviteToken, 'invite')).rejects.toThrow('reemplazado');
+    await expect(AccountTokenService.verify(tokenFromOutbox(), 'invite')).resolves.toMatchObject({ user });
+  });
+
+  test('NO DEBE revelar ni enviar nada si el correo no existe', async () => {
+    await expect(AccountTokenService.requestPasswordReset('nadie@empresa.com')).resolves.toBeUndefined();
+    expect(AccountNotificationService.outbox).toHaveLength(0);
+    expect(AccountToken.create).not.toHaveBeenCalled();
+  });
+
+  test('NO DEBE revelar que el correo existe cuando falla la entrega', async () => {
+    jest.spyOn(AccountNotificationService, 'deliver').mockRejectedValue(new Error('SMTP no disponible'));
+
+    await expect(AccountTokenService.requestPasswordReset(user.email)).resolves.toBeUndefined();
+    expect(AccountNotificationService.deliver).toHaveBeenCalled();
+  });
+
+  test('NO DEBE aceptar tokens de una cuenta desactivada', async () => {
+    await AccountTokenService.issue('password_reset', user);
+    const token = tokenFromOutbox();
+    user.isActive = false;
+
+    await expect(AccountTokenService.verify(token, 'password_reset')).rejects.toThrow('no está activa');
+    await expect(AccountTokenService.complete(token, 'password_reset', 'Mango-Verde-2024'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(AccountToken.consume).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * 🧪 TESTS DE BITÁCORA DE AUDITORÍA
+ *
+ * Verifica el encadenamiento de hashes y la detección de alteraciones,
+ * el diff con redacción de campos sensibles, el middleware que solo registra
+ * respuestas exitosas y la exportación a CSV.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const { EventEmitter } = require('events');
+
+const mockDocs = new Map();
+
+jest.mock('../../src/config/firebase', () => ({
+  firestore: {
+    collection: (name) => ({
+      doc: (id) => ({
+        path: `${name}/${id}`,
+        get: async () => ({
+          id,
+          exists: mockDocs.has(`${name}/${id}`),
+          data: () => mockDocs.get(`${name}/${id}`)
+        })
+      })
+    }),
+    runTransaction: async (fn) => fn({
+      get: async (ref) => ({
+        exists: mockDocs.has(ref.path),
+        data: () => mockDocs.get(ref.path)
+      }),
+      set: (ref, data) => mockDocs.set(ref.path, JSON.parse(JSON.stringify(data)))
+    })
+  }
+}));
+
+const AuditLog = require('../../src/models/AuditLog');
+const AuditService = require('../../src/services/AuditService');
+const { auditTrail } = require('../../src/middleware/audit');
+
+const storedEntries = () => [...mockDocs.entries()]
+  .filter(([path]) => path.startsWith('audit_logs/'))
+  .map(([path, data]) => new AuditLog({ id: path.split('/')[1], ...data }))
+  .sort((a, b) => a.sequence - b.sequence);
+
+const buildReq = (overrides = {}) => ({
+  user: { id: 'admin@empresa.com', email: 'admin@empresa.com', role: 'admin' },
+  ip: '10.0.0.7',
+  method: 'PUT',
+  originalUrl: '/api/employees/emp-1',
+  params: { id: 'emp-1' },
+  body: {},
+  headers: {},
+  get (name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...overrides
+});
+
+describe('🧾 Bitácora de auditoría', () => {
+  beforeEach(() => {
+    mockDocs.clear();
+    jest.spyOn(AuditLog, 'listBySequence').mockImplementation(async ({ afterSequence }) =>
+      storedEntries().filter(entry => entry.sequence > afterSequence));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE encadenar entradas y detectar contenido alterado o eliminado', async () => {
+    for (const salary of [10000, 12000, 15000]) {
+      await AuditService.record({ req: buildReq(), action: 'employee.update', entityType: 'employee', entityId: 'emp-1', after: { salary } });
+    }
+
+    const entries = storedEntries();
+    expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(AuditLog.GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({ valid: true, checked: 3 });
+
+    mockDocs.get(`audit_logs/${entries[1].id}`).after.salary = 99000;
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({
+      valid: false,
+      brokenAt: { sequence: 2, problem: 'El contenido de la entrada fue modificado' }
+    });
+
+    mockDocs.get(`audit_logs/${entries[1].id}`).after.salary = 12000;
+    mockDocs.delete(`audit_logs/${entries[2].id}`);
+    await expect(AuditService.verifyChain()).resolves.toMatchObject({ valid: false, checked: 2 });
+  });
+
+  test('DEBE registrar actor, IP, motivo y diff ocultando campos sensibles', async () => {
+    const req = buildReq({ headers: { 'x-audit-reason': 'Ajuste anual', 'user-agent': 'jest' } });
+
+    const entry = await AuditService.record({
+      req,
+      action: 'employee.update',
+      entityType: 'employee',
+      entityId: 'emp-1',
+      before: { salary: { baseSalary: 10000 }, position: { title: 'Analista' }, password: 'viejo' },
+      after: { salary: { baseSalary: 12500 }, position: { title: 'Analista' }, password: 'nuevo' }
+    });
+
+    expect(entry).toMatchObject({
+      actor: { email: 'admin@empresa.com', role: 'admin' },
+      ip: '10.0.0.7',
+      userAgent: 'jest',
+      reason: 'Ajuste anual',
+      diff: [{ path: 'salary.baseSalary', before: 10000, after: 12500 }]
+    });
+    expect(entry.before.password).toBe('[REDACTED]');
+  });
+
+  test('NO DEBE romper la operación si falla la escritura de auditoría', async () => {
+    jest.spyOn(AuditLog, 'append').mockRejectedValue(new Error('firestore caído'));
+
+    await expect(AuditService.record({ action: 'employee.delete', entityType: 'employee', entityId: 'emp-1' }))
+      .resolves.toBeNull();
+  });
+
+  test('DEBE registrar desde el middleware solo respuestas exitosas con estado antes/después', async () => {
+    let salary = 10000;
+    const load = jest.fn(async () => ({ salary }));
+    const record = jest.spyOn(AuditService, 'record');
+    const middleware = auditTrail({ action: 'employee.update', entityType: 'employee', load });
+
+    const run = async (statusCode) => {
+      const res = Object.assign(new EventEmitter(), { statusCode });
+      await middleware(buildReq(), res, () => { salary += 500; });
+      res.emit('finish');
+      await new Promise(resolve => setImmediate(resolve));
+    };
+
+    await run(400);
+    expect(record).not.toHaveBeenCalled();
+
+    await run(200);
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'employee.update',
+      entityId: 'emp-1',
+      before: { salary: 10500 },
+      after: { salary: 11000 }
+    }));
+    expect(storedEntries()[0].diff).toEqual([{ path: 'salary', before: 10500, after: 11000 }]);
+  });
+
+  test('DEBE exportar a CSV con el diff serializado', async () => {
+    const entry = await AuditService.record({
+      req: buildReq(),
+      action: 'module_permissions.update',
+      entityType: 'user_permissions',
+      entityId: 'agente@empresa.com',
+      before: { role: 'agent' },
+      after: { role: 'supervisor' }
+    });
+
+    const csv = AuditService.toCsv([entry]);
+    const [header, row] = csv.split('\n');
+
+    expect(header).toContain('"actorEmail"');
+    expect(row).toContain('"module_permissions.update"');
+    expect(row).toContain('agente@empresa.com');
+    expect(row).toContain(entry.hash);
+    expect(row).toContain('""path"":""role""');
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * 🧪 TESTS DE AISLAMIENTO MULTI-TENANT
+ *
+ * Verifica que el workspace del JWT se propague como contexto de la petición,
+ * que las consultas y escrituras se limiten a ese workspace, que un token
+ * emitido para otro workspace se rechace y que los sockets, la lista de
+ * supresión y los workers de campañas y mensajes programados no crucen
+ * datos entre workspaces.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const mockDocs = new Map();
+
+jest.mock('../../src/config/firebase', () => {
+  const actual = jest.requireActual('../../src/config/firebase');
+  const matches = (data, [field, op, value]) =>
+    op === 'array-contains' ? (data[field] || []).includes(value) : data[field] === value;
+
+  const query = (name, filters = []) => ({
+    where: (field, op, value) => query(name, [...filters, [field, op, value]]),
+    limit: () => query(name, filters),
+    get: async () => {
+      const docs = [...mockDocs.entries()]
+        .filter(([path]) => path.startsWith(`${name}/`) && !path.slice(name.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(filter => matches(data, filter)))
+        .map(([path, data]) => ({ id: path.split('/').pop(), exists: true, data: () => data }));
+      return { docs, empty: docs.length === 0 };
+    }
+  });
+
+  const collection = (name) => ({
+    ...query(name),
+    doc: (id) => ({
+      get: async () => ({
+        id,
+        exists: mockDocs.has(`${name}/${id}`),
+        data: () => mockDocs.get(`${name}/${id}`)
+      }),
+      collection: (sub) => collection(`${name}/${id}/${sub}`)
+    })
+  });
+
+  const firestore = { collection };
+  return { ...actual, firestore, db: firestore };
+});
+
+jest.mock('../../src/services/MessageService', () => ({
+  getMessageService: jest.fn()
+}));
+
+const http = require('http');
+const express = require('express');
+const multer = require('multer');
+const jwt = require('jsonwebtoken');
+const User = require('../../src/models/User');
+const Contact = require('../../src/models/Contact');
+const ConversationService = require('../../src/services/ConversationService');
+const ConversationController = require('../../src/controllers/ConversationController');
+const campaignQueueService = require('../../src/services/CampaignQueueService');
+const ScheduledMessageService = require('../../src/services/ScheduledMessageService');
+const SuppressionEntry = require('../../src/models/SuppressionEntry');
+const { EnterpriseSocketManager } = require('../../src/socket/enterpriseSocketManager');
+const { authMiddleware } = require('../../src/middleware/auth');
+const { getAccessTokenConfig } = require('../../src/config/jwt');
+const { resolveInboundTenant } = require('../../src/config/twilioRouting');
+const { runWithTenant, getTenant, scopeQuery, withTenant, belongsToTenant } = require('../../src/utils/tenantContext');
+
+const WS_A = { workspaceId: 'ws_a', tenantId: 'tenant_1' };
+const WS_B = { workspaceId: 'ws_b', tenantId: 'tenant_1' };
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buildReq = (token, headers = {}) => ({
+  headers: { authorization: `Bearer ${token}`, ...headers },
+  ip: '10.0.0.7',
+  method: 'GET',
+  originalUrl: '/api/contacts',
+  get (name) {
+    return this.headers[name.toLowerCase()];
+  }
+});
+
+// Envía un CSV como multipart/form-data al servidor de prueba
+const postMultipart = (server, path, token) => new Promise((resolve, reject) => {
+  const boundary = 'tenant-boundary';
+  const body = [
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="file"; filename="empleados.csv"',
+    'Content-Type: text/csv',
+    '',
+    'nombre,correo\nAna,ana@empresa.com',
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+
+  const request = http.request({
+    port: server.address().port,
+    path,
+    method: 'POST',
+    headers: {
+      authorization: `Bearer ${token}`,
+      'content-type': `multipart/form-data; boundary=${boundary}`,
+      'content-length': Buffer.byteLength(body)
+    }
+  }, (response) => {
+    let data = '';
+    response.on('data', chunk => { data += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }));
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+const signToken = (payload) => {
+  const config = getAccessTokenConfig();
+  return jwt.sign(payload, config.secret, { issuer: config.issuer, audience: config.audience, expiresIn: '1h' });
+};
+
+describe('🏢 Aislamiento multi-tenant', () => {
+  beforeEach(() => {
+    mockDocs.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE filtrar consultas y sellar escrituras solo dentro del contexto de tenant', () => {
+    const query = { where: jest.fn(() => query) };
+
+    expect(scopeQuery(query)).toBe(query);
+    expect(query.where).not.toHaveBeenCalled();
+    expect(withTenant({ name: 'Ana' })).toMatchObject({ workspaceId: 'default_workspace', tenantId: 'default_tenant' });
+
+    runWithTenant(WS_A, () => {
+      scopeQuery(query);
+      expect(query.where).toHaveBeenCalledWith('workspaceId', '==', 'ws_a');
+      // Los datos no pueden elegir otro workspace
+      expect(withTenant({ name: 'Ana', workspaceId: 'ws_b' })).toMatchObject({ workspaceId: 'ws_a', tenantId: 'tenant_1' });
+      expect(belongsToTenant({ workspaceId: 'ws_b' })).toBe(false);
+      // Documentos previos a la migración pertenecen al workspace por defecto
+      expect(belongsToTenant({})).toBe(false);
+      expect(belongsToTenant({}, { workspaceId: 'default_workspace' })).toBe(true);
+    });
+  });
+
+  test('DEBE propagar el workspace del JWT y rechazar tokens de un workspace anterior', async () => {
+    jest.spyOn(User, 'getByEmail').mockImplementation(async (email) =>
+      new User({ email, name: 'Agente', role: 'agent', isActive: true, ...WS_B }));
+
+    const staleRes = buildRes();
+    const staleNext = jest.fn();
+    await authMiddleware(buildReq(signToken({ email: 'agente@empresa.com', role: 'agent', ...WS_A })), staleRes, staleNext);
+
+    expect(staleNext).not.toHaveBeenCalled();
+    expect(staleRes.status).toHaveBeenCalledWith(401);
+    expect(staleRes.json.mock.calls[0][0].error.code).toBe('WORKSPACE_CHANGED');
+
+    const req = buildReq(signToken({ email: 'agente@empresa.com', role: 'agent', ...WS_B }));
+    let tenantInNext = null;
+    await authMiddleware(req, buildRes(), () => { tenantInNext = getTenant(); });
+
+    expect(tenantInNext).toEqual(WS_B);
+    expect(req.user.workspaceId).toBe('ws_b');
+
+    const forbiddenRes = buildRes();
+    await authMiddleware(buildReq(signToken({ email: 'agente@empresa.com', role: 'agent', ...WS_B }), { 'x-workspace-id': 'ws_a' }), forbiddenRes, jest.fn());
+    expect(forbiddenRes.status).toHaveBeenCalledWith(403);
+  });
+
+  test('DEBE conservar el workspace después de procesar un upload con multer', async () => {
+    jest.spyOn(User, 'getByEmail').mockImplementation(async (email) =>
+      new User({ email, name: 'RH', role: 'admin', isActive: true, ...WS_B }));
+
+    const upload = multer({ storage: multer.memoryStorage() });
+    const app = express();
+    app.post('/api/employees/import', authMiddleware, upload.single('file'), (req, res) => {
+      const query = { where: jest.fn(() => query) };
+      scopeQuery(query);
+      res.json({ tenant: getTenant(), where: query.where.mock.calls, size: req.file.size });
+    });
+
+    const server = await new Promise(resolve => {
+      const instance = app.listen(0, () => resolve(instance));
+    });
+
+    try {
+      const token = signToken({ email: 'rh@empresa.com', role: 'admin', ...WS_B });
+      const { status, body } = await postMultipart(server, '/api/employees/import', token);
+
+      expect(status).toBe(200);
+      expect(body.size).toBeGreaterThan(0);
+      expect(body.tenant).toEqual(WS_B);
+      expect(body.where).toEqual([['workspaceId', '==', 'ws_b']]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('NO DEBE devolver contactos de otro workspace por ID', async () => {
+    mockDocs.set('contacts/c_1', { name: 'Cliente A', phone: '+5215512345678', ...WS_A });
+
+    await runWithTenant(WS_A, async () => {
+      await expect(Contact.getById('c_1')).resolves.toMatchObject({ id: 'c_1', workspaceId: 'ws_a' });
+    });
+    await runWithTenant(WS_B, async () => {
+      await expect(Contact.getById('c_1')).resolves.toBeNull();
+    });
+  });
+
+  test('NO DEBE exponer por ID conversaciones de otro workspace', async () => {
+    const customer = '+5215512345678';
+    // El ID se deriva del teléfono: ambos workspaces pueden tener el mismo
+    mockDocs.set('contacts/c_a', { phone: customer, ...WS_A });
+    mockDocs.set('contacts/c_a/conversations/conv_compartida', { status: 'open', ...WS_A });
+    mockDocs.set('contacts/c_a/conversations/conv_solo_a', { status: 'open', ...WS_A });
+    mockDocs.set('contacts/c_b', { phone: customer, ...WS_B });
+    mockDocs.set('contacts/c_b/conversations/conv_compartida', { status: 'pending', ...WS_B });
+
+    await runWithTenant(WS_B, async () => {
+      await expect(ConversationService.getConversationById('conv_compartida'))
+        .resolves.toMatchObject({ contactId: 'c_b', status: 'pending', workspaceId: 'ws_b' });
+      await expect(ConversationService.getConversationById('conv_solo_a')).resolves.toBeNull();
+
+      const res = buildRes();
+      await ConversationController.getConversation({
+        params: { id: 'conv_solo_a' },
+        user: { email: 'admin@empresa.com', role: 'admin', ...WS_B },
+        method: 'GET',
+        originalUrl: '/api/conversations/conv_solo_a'
+      }, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+    await runWithTenant(WS_A, async () => {
+      await expect(ConversationService.getConversationById('conv_solo_a'))
+        .resolves.toMatchObject({ contactId: 'c_a', workspaceId: 'ws_a' });
+    });
+  });
+
+  test('DEBE asignar los mensajes entrantes al workspace del número de WhatsApp destino', async () => {
+    const customer = '+5215512345678';
+    const conversationId = `conv_${customer}_+5215500000001`;
+    mockDocs.set('workspaces/ws_b', { name: 'Sucursal B', tenantId: 'tenant_1', whatsappNumbers: ['+5215500000002'] });
+    mockDocs.set('contacts/c_9', { phone: customer, ...WS_A });
+    mockDocs.set(`contacts/c_9/conversations/${conversationId}`, { customerPhone: customer, ...WS_A });
+
+    await expect(resolveInboundTenant({ toPhone: 'whatsapp:+5215500000002', fromPhone: customer, conversationId: 'conv_nueva' }))
+      .resolves.toEqual({ ...WS_B, source: 'workspace_number' });
+    // Sin número asignado: la conversación existente conserva su workspace
+    await expect(resolveInboundTenant({ toPhone: '+5215500000001', fromPhone: customer, conversationId }))
+      .resolves.toEqual({ ...WS_A, source: 'conversation' });
+    await expect(resolveInboundTenant({ toPhone: '+1234567890', fromPhone: '+5215599999999', conversationId: 'conv_otra' }))
+      .resolves.toEqual({ workspaceId: 'wsA', tenantId: 'tenA', source: 'routing' });
+  });
+
+  test('NO DEBE permitir a un admin unirse por socket a conversaciones de otro workspace', async () => {
+    jest.spyOn(ConversationService, 'getConversationById').mockResolvedValue({
+      id: 'conv_1',
+      participants: ['admin@empresa.com'],
+      ...WS_A
+    });
+    const manager = Object.create(EnterpriseSocketManager.prototype);
+    manager.Conversation = {};
+    manager.userRoleCache = new Map([['admin@empresa.com', 'admin']]);
+
+    await expect(manager.verifyConversationPermission('admin@empresa.com', 'conv_1', 'read', 'ws_a')).resolves.toBe(true);
+    await expect(manager.verifyConversationPermission('admin@empresa.com', 'conv_1', 'read', 'ws_b')).resolves.toBe(false);
+  });
+
+  test('DEBE emitir eventos de conversaciones y presencia solo a rooms del workspace', () => {
+    const emit = jest.fn();
+    const manager = Object.create(EnterpriseSocketManager.prototype);
+    manager.io = { to: jest.fn(() => ({ emit })), emit: jest.fn() };
+    const socket = { id: 's_1', userEmail: 'agente@empresa.com', join: jest.fn(), ...WS_A };
+
+    manager.joinRoleBasedRooms(socket, 'agent');
+    manager.broadcastUserPresence('agente@empresa.com', 'online', 'agent', socket);
+    manager.broadcastToWorkspace({ ...WS_B, event: 'conversation-created', payload: { conversation: { id: 'conv_1' } } });
+
+    expect(socket.join.mock.calls.map(([room]) => room)).toEqual([
+      'ws:ws_a:ten:tenant_1:role:agent',
+      'user-agente@empresa.com',
+      'ws:ws_a:ten:tenant_1:workspace'
+    ]);
+    expect(manager.io.to.mock.calls.map(([room]) => room)).toEqual([
+      'ws:ws_a:ten:tenant_1:role:agent',
+      'ws:ws_a:ten:tenant_1:role:admin',
+      'ws:ws_b:ten:tenant_1:workspace'
+    ]);
+    expect(manager.io.emit).not.toHaveBeenCalled();
+  });
+
+  test('NO DEBE aplicar la lista de supresión de un workspace a otro', async () => {
+    mockDocs.set('suppression_list/ws_a_+5215512345678', { phone: '+5215512345678', ...WS_A, isActive: true });
+    // Entrada previa a multi-tenancy (ID = teléfono) del workspace por defecto
+    mockDocs.set('suppression_list/+5215587654321', { phone: '+5215587654321', isActive: true });
+
+    await expect(runWithTenant(WS_A, () => SuppressionEntry.getByPhone('+5215512345678'))).resolves.toMatchObject(WS_A);
+    await expect(runWithTenant(WS_B, () => SuppressionEntry.getByPhone('+5215512345678'))).resolves.toBeNull();
+    await expect(runWithTenant(WS_B, () => SuppressionEntry.getByPhone('+5215587654321'))).resolves.toBeNull();
+    await expect(SuppressionEntry.getByPhone('+5215587654321')).resolves.toMatchObject({ phone: '+5215587654321' });
+  });
+
+  test('DEBE entregar los mensajes programados en el workspace del mensaje', async () => {
+    mockDocs.set('scheduled_messages/sch_1', { conversationId: 'conv_1', status: 'pending', revision: 1, ...WS_B });
+    jest.spyOn(ScheduledMessageService, 'deliverInWorkspace').mockImplementation(async () => getTenant());
+
+    // El worker llama sin contexto de petición
+    await expect(ScheduledMessageService.deliver('sch_1', { revision: 1 })).resolves.toEqual(WS_B);
+  });
+
+  test('DEBE ejecutar los jobs de campañas en el workspace de la campaña', async () => {
+    const job = { id: 'job_1', data: { campaignId: 'camp_1', ...WS_A } };
+
+    await expect(campaignQueueService.runInJobTenant(job, async () => getTenant())).resolves.toEqual(WS_A);
+    // Jobs encolados antes de multi-tenancy se ejecutan sin contexto (sin filtro)
+    await expect(campaignQueueService.runInJobTenant({ id: 'job_2', data: {} }, async () => getTenant())).resolves.toBeNull();
+  });
+});
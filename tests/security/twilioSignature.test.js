@@ -0,0 +1,140 @@
+/**
+ * 🧪 TESTS DE FIRMA DE WEBHOOKS TWILIO
+ *
+ * Verifica el payload firmado (parámetros ordenados, URL detrás de proxy),
+ * el rechazo de firmas inválidas, la protección contra replay y el bypass
+ * limitado a fixtures de test.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+const {
+  buildSignedPayload,
+  computeSignature,
+  isValidSignature
+} = require('../../src/utils/twilioSignature');
+const { validateTwilioWebhook, replayCache } = require('../../src/middleware/twilioSignature');
+
+const AUTH_TOKEN = 'test-auth-token';
+const PUBLIC_URL = 'https://api.example.com/api/messages/webhook';
+
+const buildReq = ({ body, headers = {} }) => {
+  const normalized = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    body,
+    query: {},
+    protocol: 'http',
+    ip: '127.0.0.1',
+    baseUrl: '/api/messages',
+    path: '/webhook',
+    originalUrl: '/api/messages/webhook',
+    get: name => normalized[name.toLowerCase()]
+  };
+};
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('🔐 Firma de webhooks Twilio', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+    delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    delete process.env.TWILIO_WEBHOOK_SKIP_VALIDATION;
+    replayCache.clear();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('utilidad de firma', () => {
+    test('DEBE ordenar parámetros y concatenarlos sin separadores', () => {
+      expect(buildSignedPayload('https://x.com/hook', { To: 'b', Body: 'a', From: 'c' }))
+        .toBe('https://x.com/hookBodyaFromcTob');
+    });
+
+    test('DEBE aceptar la firma con o sin puerto por defecto', () => {
+      const params = { MessageSid: 'SM1', Body: 'Hola' };
+      const signature = computeSignature(AUTH_TOKEN, 'https://api.example.com:443/hook', params);
+
+      expect(isValidSignature(AUTH_TOKEN, signature, 'https://api.example.com/hook', params)).toBe(true);
+      expect(isValidSignature(AUTH_TOKEN, signature, 'https://api.example.com/hook', { ...params, Body: 'x' })).toBe(false);
+    });
+  });
+
+  describe('validateTwilioWebhook', () => {
+    const body = { MessageSid: 'SM123', From: 'whatsapp:+5215512345678', Body: 'Hola' };
+
+    test('DEBE rechazar con 403 cuando falta la firma', () => {
+      const res = buildRes();
+      const next = jest.fn();
+
+      validateTwilioWebhook()(buildReq({ body, headers: { host: 'api.example.com' } }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'MISSING_SIGNATURE' }));
+    });
+
+    test('DEBE validar con la URL pública reconstruida desde X-Forwarded-*', () => {
+      const signature = computeSignature(AUTH_TOKEN, PUBLIC_URL, body);
+      const req = buildReq({
+        body,
+        headers: {
+          host: 'localhost:3001',
+          'x-forwarded-proto': 'https',
+          'x-forwarded-host': 'api.example.com',
+          'x-twilio-signature': signature
+        }
+      });
+      const next = jest.fn();
+
+      validateTwilioWebhook()(req, buildRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.twilioSignatureValidated).toBe(true);
+    });
+
+    test('DEBE rechazar firmas inválidas y descartar replays del mismo MessageSid', () => {
+      process.env.TWILIO_WEBHOOK_BASE_URL = 'https://api.example.com';
+      const middleware = validateTwilioWebhook();
+      const signature = computeSignature(AUTH_TOKEN, PUBLIC_URL, body);
+
+      const badRes = buildRes();
+      middleware(buildReq({ body, headers: { 'x-twilio-signature': 'invalida' } }), badRes, jest.fn());
+      expect(badRes.status).toHaveBeenCalledWith(403);
+      expect(badRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+
+      const firstNext = jest.fn();
+      middleware(buildReq({ body, headers: { 'x-twilio-signature': signature } }), buildRes(), firstNext);
+      expect(firstNext).toHaveBeenCalled();
+
+      const replayRes = buildRes();
+      const replayNext = jest.fn();
+      middleware(buildReq({ body, headers: { 'x-twilio-signature': signature } }), replayRes, replayNext);
+      expect(replayNext).not.toHaveBeenCalled();
+      expect(replayRes.status).toHaveBeenCalledWith(200);
+      expect(replayRes.json).toHaveBeenCalledWith(expect.objectContaining({ duplicate: true }));
+    });
+
+    test('DEBE omitir la validación solo en NODE_ENV=test con la bandera activa', () => {
+      process.env.TWILIO_WEBHOOK_SKIP_VALIDATION = 'true';
+      const next = jest.fn();
+      validateTwilioWebhook()(buildReq({ body }), buildRes(), next);
+      expect(next).toHaveBeenCalled();
+
+      process.env.NODE_ENV = 'production';
+      const res = buildRes();
+      validateTwilioWebhook()(buildReq({ body }), res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(403);
+      process.env.NODE_ENV = 'test';
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * 🧪 TESTS DE VERIFICACIÓN EN DOS PASOS (TOTP)
+ *
+ * Verifica los códigos TOTP contra los vectores del RFC 6238, el
+ * enrolamiento con secreto cifrado, los códigos de respaldo de un solo
+ * uso, el bloqueo por intentos fallidos y el paso pending_2fa del login.
+ *
+ * @version 1.0.0
+ * @author Backend Team
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const AuthController = require('../../src/controllers/AuthController');
+const AuthService = require('../../src/services/AuthService');
+const TwoFactorService = require('../../src/services/TwoFactorService');
+const totp = require('../../src/utils/totp');
+
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const enrolledUser = async (overrides = {}) => {
+  const user = new User({ email: 'agente@empresa.com', name: 'Agente', role: 'agent', ...overrides });
+  const { secret } = await TwoFactorService.startEnrollment(user);
+  const { backupCodes } = await TwoFactorService.confirmEnrollment(user, totp.generateCode(secret, totp.currentStep() - 1));
+  return { user, secret, backupCodes };
+};
+
+describe('🔐 Verificación en dos pasos', () => {
+  beforeEach(() => {
+    jest.spyOn(User.prototype, 'update').mockImplementation(async function (updates) {
+      Object.assign(this, updates);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('DEBE generar los códigos de los vectores del RFC 6238 y tolerar un paso de desfase', () => {
+    expect(totp.generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+
+    const now = 1111111109 * 1000;
+    const step = totp.currentStep(now);
+    expect(totp.verifyCode(RFC_SECRET, '081804', { now })).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { now })).toBeNull();
+    // Un código ya usado no se acepta de nuevo
+    expect(totp.verifyCode(RFC_SECRET, '081804', { now, afterStep: step })).toBeNull();
+    expect(totp.buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'ana@empresa.com', issuer: 'UTalk' }))
+      .toBe(`otpauth://totp/UTalk%3Aana%40empresa.com?secret=${RFC_SECRET}&issuer=UTalk&algorithm=SHA1&digits=6&period=30`);
+  });
+
+  test('DEBE enrolar guardando el secreto cifrado y los códigos de respaldo como hash', async () => {
+    const { user, secret, backupCodes } = await enrolledUser();
+
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeNull();
+    expect(user.twoFactor.secret).not.toContain(secret);
+    expect(TwoFactorService.decryptSecret(user.twoFactor.secret)).toBe(secret);
+    expect(backupCodes).toHaveLength(10);
+    expect(user.twoFactor.backupCodes).toEqual(backupCodes.map(code => TwoFactorService.hashBackupCode(code)));
+    expect(user.toJSON()).toMatchObject({ twoFactorEnabled: true });
+    expect(user.toJSON().twoFactor).toBeUndefined();
+  });
+
+  test('DEBE aceptar cada código de respaldo una sola vez y bloquear tras 5 fallos', async () => {
+    const { user, backupCodes } = await enrolledUser();
+
+    await expect(TwoFactorService.verify(user, { backupCode: backupCodes[0].toLowerCase() }))
+      .resolves.toEqual({ method: 'backup_code', backupCodesRemaining: 9 });
+    await expect(TwoFactorService.verify(user, { backupCode: backupCodes[0] })).rejects.toMatchObject({ statusCode: 401 });
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await expect(TwoFactorService.verify(user, { code: '000000' })).rejects.toMatchObject({ statusCode: 401 });
+    }
+    expect(user.twoFactor.lockedUntil).toBeTruthy();
+    await expect(TwoFactorService.verify(user, { backupCode: backupCodes[1] }))
+      .rejects.toMatchObject({ statusCode: 429, code: 'TWO_FACTOR_LOCKED' });
+  });
+
+  test('DEBE responder pending_2fa sin emitir tokens y el challenge no sirve como access token', async () => {
+    const { user } = await enrolledUser();
+    jest.spyOn(User, 'getByEmail').mockResolvedValue(user);
+    jest.spyOn(User, 'validatePassword').mockResolvedValue(true);
+    const generate = jest.spyOn(RefreshToken, 'generate');
+    const res = buildRes();
+
+    await AuthController.login({ body: { email: user.email, password: 'secreto123' }, headers: {}, ip: '127.0.0.1' }, res);
+
+    const payload = res.json.mock.calls[0][0].data;
+    expect(payload).toMatchObject({ status: 'pending_2fa', enrollmentRequired: false });
+    expect(payload.accessToken).toBeUndefined();
+    expect(generate).not.toHaveBeenCalled();
+    expect(TwoFactorService.verifyChallenge(payload.challengeToken)).toMatchObject({ email: user.email, type: '2fa_challenge' });
+    expect(() => AuthService.verifyAccessToken(payload.challengeToken)).toThrow();
+  });
+
+  test('DEBE exigir enrolamiento al rol obligado e impedirle desactivar 2FA', async () => {
+    const admin = new User({ email: 'admin@empresa.com', role: 'admin' });
+    expect(TwoFactorService.requiresChallenge(admin)).toBe(true);
+    expect(TwoFactorService.createChallenge(admin).enrollmentRequired).toBe(true);
+
+    const { user, secret } = await enrolledUser({ email: 'admin@empresa.com', role: 'admin' });
+    await expect(TwoFactorService.disable(user, { code: totp.generateCode(secret) })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('DEBE permitir al admin restablecer el 2FA cerrando las sesiones del usuario', async () => {
+    const { user } = await enrolledUser();
+    const invalidate = jest.spyOn(RefreshToken, 'invalidateAllForUser').mockResolvedValue(3);
+
+    const result = await TwoFactorService.adminReset(user, 'admin@empresa.com');
+
+    expect(result).toEqual({ sessionsClosed: 3 });
+    expect(invalidate).toHaveBeenCalledWith('agente@empresa.com');
+    expect(user.twoFactor).toMatchObject({ enabled: false, resetBy: 'admin@empresa.com' });
+    expect(user.twoFactor.secret).toBeUndefined();
+    expect(TwoFactorService.requiresChallenge(user)).toBe(false);
+  });
+});